@@ -23,6 +23,7 @@ import Login from "./components/auth/Login";
 import Register from "./components/auth/Register";
 import ForgotPassword from "./components/auth/ForgotPassword";
 import ResetPassword from "./components/auth/ResetPassword";
+import AcceptInvitation from "./components/auth/AcceptInvitation";
 import Dashboard from "./components/dashboard/Dashboard";
 
 // Development-only components
@@ -57,6 +58,13 @@ const ShippingManagement = lazy(() =>
 const ShippingSlipDesigner = lazy(() =>
   import("./components/shipping/ShippingSlipDesigner")
 );
+const ReturnsQueue = lazy(() => import("./components/returns/ReturnsQueue"));
+const WarehouseManagement = lazy(() =>
+  import("./components/warehouses/WarehouseManagement")
+);
+const PurchaseOrders = lazy(() =>
+  import("./components/purchasing/PurchaseOrders")
+);
 const ImportExport = lazy(() => import("./components/common/ImportExport"));
 const PlatformConnections = lazy(() =>
   import("./components/platforms/PlatformConnections")
@@ -82,6 +90,9 @@ const Settings = lazy(() => import("./components/settings/Settings"));
 const Config = lazy(() => import("./components/config/Config"));
 const Profile = lazy(() => import("./components/profile/Profile"));
 const PrintSettings = lazy(() => import("./components/settings/PrintSettings"));
+const WebhookSettings = lazy(() =>
+  import("./components/webhooks/WebhookSettings")
+);
 const DatabaseBusyModal = lazy(() => import("./components/DatabaseBusyModal"));
 const PlatformCategoriesManagement = lazy(() =>
   import("./components/PlatformCategoriesManagement.jsx")
@@ -232,6 +243,11 @@ function App() {
                                 </PublicRoute>
                               }
                             />
+                            {/* Invitation details are public; accepting needs a login */}
+                            <Route
+                              path="/accept-invitation"
+                              element={<AcceptInvitation />}
+                            />
                             {/* Private routes - consolidated and organized */}
                             <Route
                               path="/"
@@ -375,6 +391,24 @@ function App() {
                                   </Suspense>
                                 }
                               />
+                              {/* Warehouses, bins and stock transfers */}
+                              <Route
+                                path="products/warehouses"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <WarehouseManagement />
+                                  </Suspense>
+                                }
+                              />
+                              {/* Suppliers, purchase orders and reorder suggestions */}
+                              <Route
+                                path="products/purchasing"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <PurchaseOrders />
+                                  </Suspense>
+                                }
+                              />
                               {/* Variant Detection Configuration */}
                               <Route
                                 path="products/variant-detection"
@@ -410,6 +444,8 @@ function App() {
                                 path="customers/segments"
                                 element={<CustomerManagement />}
                               />
+                              {/* Marketplace returns and claims */}
+                              <Route path="returns" element={<ReturnsQueue />} />
                               {/* Customer Questions Management */}
                               <Route
                                 path="customer-questions"
@@ -536,6 +572,10 @@ function App() {
                                 path="settings/integrations"
                                 element={<Settings />}
                               />
+                              <Route
+                                path="settings/webhooks"
+                                element={<WebhookSettings />}
+                              />
                               <Route
                                 path="print-settings"
                                 element={<PrintSettings />}
@@ -18,15 +18,20 @@ import {
   Calendar,
   ExternalLink,
   MessageCircle,
+  Lightbulb,
+  Timer,
+  UserCheck,
 } from "lucide-react";
 import { formatDistanceToNow, format } from "date-fns";
 import { tr } from "date-fns/locale";
 import api from "../services/api";
 import { useAlert } from "../contexts/AlertContext";
+import { useAuth } from "../hooks/useAuth";
 import { Button, Card, CardContent, Badge, Modal } from "./ui";
 
 const CustomerQuestions = () => {
   const { showAlert } = useAlert();
+  const { user } = useAuth();
   const searchInputRef = useRef(null);
 
   // State management
@@ -76,6 +81,11 @@ const CustomerQuestions = () => {
   const [replyFeedback, setReplyFeedback] = useState(null);
   const [templateSaving, setTemplateSaving] = useState(false);
   const [selectedTemplate, setSelectedTemplate] = useState("");
+  const [replySuggestions, setReplySuggestions] = useState([]);
+  const [suggestionsLoading, setSuggestionsLoading] = useState(false);
+  const [slaQueue, setSlaQueue] = useState({ overdue: [], dueSoon: [] });
+  const [slaTotals, setSlaTotals] = useState(null);
+  const [slaMineOnly, setSlaMineOnly] = useState(false);
 
   // API functions
   const loadQuestions = useCallback(async () => {
@@ -186,6 +196,71 @@ const CustomerQuestions = () => {
     }
   }, []);
 
+  const loadSla = useCallback(async () => {
+    try {
+      const [queueResponse, reportResponse] = await Promise.all([
+        api.customerQuestions.getSlaQueue(
+          slaMineOnly ? { assigned_to: "me" } : {}
+        ),
+        api.customerQuestions.getSlaReport({
+          start_date: new Date(
+            Date.now() - 7 * 24 * 60 * 60 * 1000
+          ).toISOString(),
+        }),
+      ]);
+      if (queueResponse.success) {
+        setSlaQueue(queueResponse.data);
+      }
+      if (reportResponse.success) {
+        setSlaTotals(reportResponse.data.totals);
+      }
+    } catch (err) {
+      logger.error("Error loading question SLA:", err);
+    }
+  }, [slaMineOnly]);
+
+  const assignToMe = useCallback(
+    async (question) => {
+      try {
+        const mine = question.assigned_to === user?.id;
+        const response = await api.customerQuestions.assignQuestion(
+          question.id,
+          mine ? null : user?.id
+        );
+        if (response.success) {
+          showAlert(
+            mine ? "Soru üzerinizden alındı" : "Soru size atandı",
+            "success"
+          );
+          await loadQuestions();
+          await loadSla();
+        }
+      } catch (err) {
+        logger.error("Error assigning question:", err);
+        showAlert("Soru atanırken hata oluştu", "error");
+      }
+    },
+    [user, showAlert, loadQuestions, loadSla]
+  );
+
+  const loadReplySuggestions = useCallback(async (questionId) => {
+    setSuggestionsLoading(true);
+    setReplySuggestions([]);
+    try {
+      const response = await api.customerQuestions.getReplySuggestions(
+        questionId,
+        { limit: 3 }
+      );
+      if (response.success) {
+        setReplySuggestions(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading reply suggestions:", err);
+    } finally {
+      setSuggestionsLoading(false);
+    }
+  }, []);
+
   const saveTemplate = useCallback(async () => {
     if (!replyText.trim()) {
       showAlert("Şablon olarak kaydetmek için yanıt metnini girin", "error");
@@ -274,6 +349,7 @@ const CustomerQuestions = () => {
 
         await loadQuestions();
         await loadStats();
+        await loadSla();
       } else {
         throw new Error(response.data.message || "Reply failed");
       }
@@ -294,6 +370,7 @@ const CustomerQuestions = () => {
     replyType,
     loadQuestions,
     loadStats,
+    loadSla,
     showAlert,
   ]);
 
@@ -307,6 +384,16 @@ const CustomerQuestions = () => {
     loadTemplates();
   }, [loadStats, loadTemplates]);
 
+  useEffect(() => {
+    loadSla();
+  }, [loadSla]);
+
+  useEffect(() => {
+    if (replyDialog && selectedQuestion) {
+      loadReplySuggestions(selectedQuestion.id);
+    }
+  }, [replyDialog, selectedQuestion, loadReplySuggestions]);
+
   // Helper functions similar to Orders page
   const getStatusIcon = useCallback((status) => {
     const iconMap = {
@@ -550,6 +637,116 @@ const CustomerQuestions = () => {
           </Card>
         </div>
 
+        {/* Answer Deadline (SLA) Queue */}
+        <Card className="mb-6">
+          <CardContent className="p-4">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center space-x-6">
+                <h3 className="flex items-center text-sm font-semibold text-gray-900">
+                  <Timer className="h-5 w-5 mr-2 text-orange-600" />
+                  Yanıt Süresi
+                </h3>
+                <span className="text-sm text-red-600 font-medium">
+                  Süresi geçen: {slaQueue.overdue.length}
+                </span>
+                <span className="text-sm text-yellow-700 font-medium">
+                  Süresi yaklaşan: {slaQueue.dueSoon.length}
+                </span>
+                {slaTotals?.sla_compliance_rate != null && (
+                  <span className="text-sm text-gray-600">
+                    Son 7 gün zamanında yanıt: %
+                    {slaTotals.sla_compliance_rate}
+                  </span>
+                )}
+              </div>
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                  checked={slaMineOnly}
+                  onChange={(e) => setSlaMineOnly(e.target.checked)}
+                />
+                Yalnızca bana atananlar
+              </label>
+            </div>
+
+            {slaQueue.overdue.length + slaQueue.dueSoon.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Süresi geçen veya yaklaşan soru yok.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {[...slaQueue.overdue, ...slaQueue.dueSoon]
+                  .slice(0, 10)
+                  .map((question) => {
+                    const overdue =
+                      new Date(question.answer_due_date) < new Date();
+                    return (
+                      <li
+                        key={question.id}
+                        className="flex items-center justify-between py-2"
+                      >
+                        <div className="min-w-0 mr-4">
+                          <p
+                            className="text-sm text-gray-900 truncate"
+                            title={question.question_text}
+                          >
+                            {question.question_text}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {getPlatformText(question.platform)} •{" "}
+                            <span
+                              className={
+                                overdue ? "text-red-600" : "text-yellow-700"
+                              }
+                            >
+                              {overdue ? "Süre doldu " : "Son yanıt "}
+                              {formatDistanceToNow(
+                                new Date(question.answer_due_date),
+                                { addSuffix: true, locale: tr }
+                              )}
+                            </span>
+                            {" • "}
+                            {question.assigned_to
+                              ? question.assigned_to === user?.id
+                                ? "Size atanmış"
+                                : "Atanmış"
+                              : "Atanmamış"}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <Button
+                            onClick={() => assignToMe(question)}
+                            variant="outline"
+                            size="sm"
+                            title={
+                              question.assigned_to === user?.id
+                                ? "Atamayı kaldır"
+                                : "Bana ata"
+                            }
+                          >
+                            <UserCheck className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => {
+                              setSelectedQuestion(question);
+                              setReplyDialog(true);
+                              setReplyText("");
+                            }}
+                            variant="primary"
+                            size="sm"
+                          >
+                            <MessageSquare className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </li>
+                    );
+                  })}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+
         {/* Search and Filter Section */}
         <Card className="mb-6">
           <CardContent className="p-6">
@@ -836,6 +1033,23 @@ const CustomerQuestions = () => {
                               }
                             )}
                           </div>
+                          {question.status === "WAITING_FOR_ANSWER" &&
+                            question.answer_due_date && (
+                              <div
+                                className={`flex items-center text-xs ${
+                                  new Date(question.answer_due_date) <
+                                  new Date()
+                                    ? "text-red-600"
+                                    : "text-gray-500"
+                                }`}
+                              >
+                                <Timer className="h-3 w-3 mr-1" />
+                                {formatDistanceToNow(
+                                  new Date(question.answer_due_date),
+                                  { addSuffix: true, locale: tr }
+                                )}
+                              </div>
+                            )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <div className="flex items-center space-x-3">
@@ -864,6 +1078,25 @@ const CustomerQuestions = () => {
                               </Button>
                             )}
 
+                            {question.status === "WAITING_FOR_ANSWER" && (
+                              <Button
+                                onClick={() => assignToMe(question)}
+                                variant={
+                                  question.assigned_to === user?.id
+                                    ? "primary"
+                                    : "outline"
+                                }
+                                size="sm"
+                                title={
+                                  question.assigned_to === user?.id
+                                    ? "Atamayı kaldır"
+                                    : "Bana ata"
+                                }
+                              >
+                                <UserCheck className="h-4 w-4" />
+                              </Button>
+                            )}
+
                             <Button
                               onClick={() => {
                                 if (question.platform_question_url) {
@@ -996,6 +1229,61 @@ const CustomerQuestions = () => {
               </div>
             </div>
 
+            {(suggestionsLoading || replySuggestions.length > 0) && (
+              <div>
+                <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                  <Lightbulb className="w-4 h-4 mr-1 text-yellow-500" />
+                  Önerilen Yanıtlar
+                </label>
+                {suggestionsLoading ? (
+                  <div className="flex items-center text-sm text-gray-500">
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Benzer sorular aranıyor...
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    {replySuggestions.map((suggestion) => (
+                      <div
+                        key={suggestion.replyId}
+                        className="border border-gray-200 rounded-lg p-3 hover:border-blue-300"
+                      >
+                        <p className="text-sm text-gray-800 whitespace-pre-line">
+                          {suggestion.text}
+                        </p>
+                        <div className="flex items-center justify-between mt-2">
+                          <div
+                            className="flex flex-wrap items-center gap-1 text-xs text-gray-500"
+                            title={`Benzer soru: ${suggestion.sourceQuestion.question_text}`}
+                          >
+                            <span>
+                              %{Math.round(suggestion.similarity * 100)} benzer
+                            </span>
+                            {suggestion.nearDuplicate && (
+                              <Badge variant="success">Aynı soru</Badge>
+                            )}
+                            {suggestion.sameProduct && (
+                              <Badge variant="info">Aynı ürün</Badge>
+                            )}
+                            {suggestion.usageCount > 1 && (
+                              <span>• {suggestion.usageCount} kez kullanıldı</span>
+                            )}
+                          </div>
+                          <Button
+                            onClick={() => setReplyText(suggestion.text)}
+                            variant="outline"
+                            size="sm"
+                            disabled={replyLoading}
+                          >
+                            Kullan
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {templates.length > 0 && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -135,7 +135,15 @@ const PlatformAnalytics = ({ timeframe = "30d", filters = {} }) => {
   const platforms = platformAnalytics.platforms || {};
 
   // Colors for charts
-  const CHART_COLORS = ["#0088FE", "#00C49F", "#FFBB28", "#FF8042", "#8884D8"];
+  const CHART_COLORS = [
+    "#0088FE",
+    "#00C49F",
+    "#FFBB28",
+    "#FF8042",
+    "#8884D8",
+    "#E91E63",
+    "#82CA9D",
+  ];
 
   // Prepare data for charts
   const platformChart = platforms.map((platform) => ({
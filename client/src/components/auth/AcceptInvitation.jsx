@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from "react";
+import {
+  Button,
+  Card,
+  Container,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+} from "react-bootstrap";
+import { useNavigate, useLocation, useSearchParams } from "react-router-dom";
+import useAuth from "../../hooks/useAuth";
+import api from "../../services/api";
+
+const ROLE_LABELS = {
+  operator: "Operator",
+  warehouse: "Warehouse",
+  accountant: "Accountant",
+  read_only: "Read-only",
+};
+
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const token = searchParams.get("token");
+
+  useEffect(() => {
+    if (!token) {
+      setError("Invitation token is missing from URL");
+      setLoading(false);
+      return;
+    }
+
+    api.organizations
+      .getInvitation(token)
+      .then((response) => setInvitation(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.error || "Invitation could not be loaded")
+      )
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleLogin = () => {
+    navigate("/login", {
+      state: {
+        from: location,
+        email: invitation.email,
+        message: `Log in as ${invitation.email} to join ${invitation.organizationName}.`,
+      },
+    });
+  };
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    setError(null);
+
+    try {
+      await api.organizations.acceptInvitation(token);
+      // Reload so every page picks up the organisation's account
+      window.location.assign("/");
+    } catch (err) {
+      setError(err.response?.data?.error || "Error accepting invitation");
+      setAccepting(false);
+    }
+  };
+
+  const wrongAccount =
+    isAuthenticated &&
+    invitation &&
+    user?.email?.toLowerCase() !== invitation.email;
+
+  return (
+    <Container className="py-5">
+      <Row className="justify-content-center">
+        <Col md={6}>
+          <Card>
+            <Card.Body>
+              <h2 className="text-center mb-4">Team Invitation</h2>
+              {error && (
+                <Alert variant="danger" className="mb-4">
+                  {error}
+                </Alert>
+              )}
+
+              {(loading || authLoading) && (
+                <div className="text-center">
+                  <Spinner animation="border" role="status" />
+                </div>
+              )}
+
+              {!loading && !authLoading && invitation && (
+                <>
+                  <p className="text-center">
+                    You have been invited to join{" "}
+                    <strong>{invitation.organizationName}</strong> as{" "}
+                    <strong>
+                      {ROLE_LABELS[invitation.role] || invitation.role}
+                    </strong>
+                    .
+                  </p>
+                  <p className="text-center text-muted small">
+                    Sent to {invitation.email} · expires{" "}
+                    {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </p>
+
+                  {wrongAccount && (
+                    <Alert variant="warning">
+                      You are logged in as {user.email}. Log in as{" "}
+                      {invitation.email} to accept this invitation.
+                    </Alert>
+                  )}
+
+                  {isAuthenticated ? (
+                    <Button
+                      variant="primary"
+                      className="w-100"
+                      onClick={handleAccept}
+                      disabled={accepting || wrongAccount}
+                    >
+                      {accepting ? (
+                        <>
+                          <Spinner
+                            as="span"
+                            animation="border"
+                            size="sm"
+                            role="status"
+                            aria-hidden="true"
+                            className="me-2"
+                          />
+                          Joining...
+                        </>
+                      ) : (
+                        "Accept Invitation"
+                      )}
+                    </Button>
+                  ) : (
+                    <Button
+                      variant="primary"
+                      className="w-100"
+                      onClick={handleLogin}
+                    >
+                      Log In to Accept
+                    </Button>
+                  )}
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default AcceptInvitation;
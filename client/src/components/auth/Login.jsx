@@ -54,7 +54,9 @@ const Login = () => {
 
     try {
       await login(formData);
-      navigate("/");
+      // Return to the page that asked for a login, e.g. an invitation link
+      const from = location.state?.from;
+      navigate(from ? `${from.pathname}${from.search || ""}` : "/");
     } catch (err) {
       setError(err.message || "Failed to log in");
     } finally {
@@ -332,6 +332,8 @@ const OrderBulkActions = ({
   onActionError,
   customActions = DEFAULT_CUSTOM_ACTIONS,
   theme = "default",
+  // Rendered next to the action categories, e.g. a print format picker
+  extraActions = null,
 }) => {
   // State management
   const [showConfirmation, setShowConfirmation] = useState(false);
@@ -752,6 +754,8 @@ const OrderBulkActions = ({
                 )
               )}
 
+              {extraActions}
+
               {/* Advanced Options */}
               {enableAdvancedFiltering && (
                 <button
@@ -0,0 +1,131 @@
+import logger from "../../utils/logger.js";
+import React, { useState } from "react";
+import { Printer, FileText, ChevronDown, Loader2, Tag } from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+
+const PRINT_OPTIONS = [
+  {
+    id: "pdf",
+    label: "PDF",
+    description: "Gönderi belgelerini PDF olarak aç ve yazdır",
+    icon: FileText,
+  },
+  {
+    id: "zpl-203",
+    label: "ZPL (203 dpi)",
+    description: "Termal yazıcıya doğrudan gönderilecek etiket dosyası",
+    icon: Tag,
+    dpi: 203,
+  },
+  {
+    id: "zpl-300",
+    label: "ZPL (300 dpi)",
+    description: "300 dpi termal yazıcılar için etiket dosyası",
+    icon: Tag,
+    dpi: 300,
+  },
+];
+
+/**
+ * Bulk shipping slip printing: PDF through the existing slip flow, or a
+ * raw ZPL file rendered from the same template for thermal printers
+ */
+const BulkPrintDropdown = ({ selectedOrders = [], onPrintPdf, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const { showAlert } = useAlert();
+
+  const downloadZpl = async (dpi) => {
+    const orderIds = [...new Set(selectedOrders)];
+    if (orderIds.length === 0) {
+      showAlert("Lütfen yazdırılacak siparişleri seçin", "warning");
+      return;
+    }
+
+    setDownloading(true);
+    try {
+      const blob = await api.shipping.generateZPL(orderIds, { dpi });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `gonderi-etiketleri-${new Date()
+        .toISOString()
+        .slice(0, 10)}.zpl`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      showAlert(
+        `${orderIds.length} sipariş için ZPL etiketi indirildi`,
+        "success"
+      );
+    } catch (error) {
+      logger.error("Error downloading ZPL labels:", error);
+      showAlert(`ZPL etiketleri oluşturulamadı: ${error.message}`, "error");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleSelect = (option) => {
+    setIsOpen(false);
+    if (option.dpi) {
+      downloadZpl(option.dpi);
+    } else {
+      onPrintPdf();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled || downloading}
+        className="btn btn-outline btn-sm flex items-center space-x-2"
+      >
+        {downloading ? (
+          <Loader2 className="h-4 w-4 animate-spin" />
+        ) : (
+          <Printer className="h-4 w-4" />
+        )}
+        <span>Gönderi Belgesi</span>
+        <ChevronDown className="h-3 w-3" />
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-[9998]"
+            onClick={() => setIsOpen(false)}
+          />
+          <div className="absolute right-0 mt-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-xl min-w-[260px] z-[9999]">
+            <div className="py-1">
+              {PRINT_OPTIONS.map((option) => {
+                const OptionIcon = option.icon;
+                return (
+                  <button
+                    key={option.id}
+                    onClick={() => handleSelect(option)}
+                    className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center space-x-3"
+                  >
+                    <OptionIcon className="h-4 w-4 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <div className="font-medium">{option.label}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {option.description}
+                      </div>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BulkPrintDropdown;
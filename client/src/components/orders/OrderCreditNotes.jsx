@@ -0,0 +1,270 @@
+/**
+ * OrderCreditNotes - Return invoices (iade faturası) for an invoiced order
+ * Issue a return invoice for returned items and open its PDF
+ */
+
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { FileMinus, FileText, Loader2 } from "lucide-react";
+import qnbFinansService from "../../services/qnbFinansService";
+import { useAlert } from "../../contexts/AlertContext";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+
+const statusLabels = {
+  pending: "Gönderiliyor",
+  issued: "Düzenlendi",
+  failed: "Başarısız",
+};
+
+const statusClasses = {
+  pending: "bg-yellow-100 text-yellow-800",
+  issued: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const OrderCreditNotes = ({ order }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  // orderItemId -> quantity to credit
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState("");
+
+  const loadCreditNotes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await qnbFinansService.getCreditNotes({
+        orderId: order.id,
+      });
+      setCreditNotes(response.data || []);
+    } catch (err) {
+      logger.error("Error loading credit notes:", err);
+      handleError(err, "İade faturaları yüklenirken hata oluştu");
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id, handleError]);
+
+  useEffect(() => {
+    loadCreditNotes();
+  }, [loadCreditNotes]);
+
+  // Quantity of each item not covered by an issued return invoice yet
+  const remaining = useMemo(() => {
+    const credited = {};
+    creditNotes
+      .filter((creditNote) => creditNote.status !== "failed")
+      .forEach((creditNote) =>
+        creditNote.lines.forEach((line) => {
+          credited[line.orderItemId] =
+            (credited[line.orderItemId] || 0) + line.quantity;
+        })
+      );
+
+    return Object.fromEntries(
+      (order.items || []).map((item) => [
+        item.id,
+        item.quantity - (credited[item.id] || 0),
+      ])
+    );
+  }, [creditNotes, order.items]);
+
+  const openForm = () => {
+    setQuantities(
+      Object.fromEntries(
+        Object.entries(remaining).filter(([, quantity]) => quantity > 0)
+      )
+    );
+    setReason("");
+    setShowForm(true);
+  };
+
+  const handleQuantityChange = (itemId, value) => {
+    const quantity = Math.max(0, Math.min(parseInt(value) || 0, remaining[itemId]));
+    setQuantities((prev) => ({ ...prev, [itemId]: quantity }));
+  };
+
+  const handleCreate = async () => {
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+    if (items.length === 0) {
+      showAlert("İade edilecek ürün seçin", "warning");
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await qnbFinansService.createCreditNote({
+        orderId: order.id,
+        items,
+        reason: reason.trim() || undefined,
+      });
+      showAlert(
+        `İade faturası düzenlendi: ${response.data.creditNoteNumber || ""}`,
+        "success"
+      );
+      setShowForm(false);
+    } catch (err) {
+      handleError(err, "İade faturası oluşturulamadı");
+    } finally {
+      setSubmitting(false);
+      await loadCreditNotes();
+    }
+  };
+
+  const handlePdf = async (creditNote) => {
+    try {
+      await qnbFinansService.openCreditNotePdf(creditNote.id);
+    } catch (err) {
+      handleError(err, "İade faturası PDF'i açılamadı");
+    }
+  };
+
+  const hasRemaining = Object.values(remaining).some((quantity) => quantity > 0);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FileMinus className="w-5 h-5 mr-2" />
+          İade Faturaları
+        </h2>
+        {hasRemaining && !showForm && (
+          <button
+            onClick={openForm}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded text-sm font-medium"
+          >
+            İade Faturası Oluştur
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 mb-4">
+        Orijinal fatura: {order.invoiceNumber}
+      </p>
+
+      {showForm && (
+        <div className="border border-dashed border-gray-300 rounded-lg p-4 mb-4">
+          <h3 className="text-sm font-medium text-gray-900 mb-2">
+            İade Edilen Ürünler
+          </h3>
+          <div className="space-y-2 mb-3">
+            {(order.items || [])
+              .filter((item) => remaining[item.id] > 0)
+              .map((item) => (
+                <div
+                  key={item.id}
+                  className="flex items-center justify-between text-sm text-gray-700"
+                >
+                  <span className="truncate mr-2">
+                    {item.title || item.sku}
+                  </span>
+                  <span className="flex items-center whitespace-nowrap">
+                    <input
+                      type="number"
+                      min="0"
+                      max={remaining[item.id]}
+                      value={quantities[item.id] ?? 0}
+                      onChange={(e) =>
+                        handleQuantityChange(item.id, e.target.value)
+                      }
+                      className="w-16 border border-gray-300 rounded px-2 py-1 text-sm mr-1"
+                    />
+                    / {remaining[item.id]}
+                  </span>
+                </div>
+              ))}
+          </div>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="İade nedeni (isteğe bağlı)"
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm mb-3"
+          />
+          <div className="flex space-x-2">
+            <button
+              onClick={handleCreate}
+              disabled={submitting}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1.5 rounded text-sm font-medium flex items-center"
+            >
+              {submitting && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              Gönder
+            </button>
+            <button
+              onClick={() => setShowForm(false)}
+              disabled={submitting}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-1.5 rounded text-sm font-medium"
+            >
+              Vazgeç
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading && creditNotes.length === 0 ? (
+        <div className="flex items-center justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-blue-600" />
+        </div>
+      ) : creditNotes.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Bu sipariş için iade faturası yok.
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {creditNotes.map((creditNote) => (
+            <li key={creditNote.id} className="border rounded-lg p-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium text-gray-900">
+                    {creditNote.creditNoteNumber || "—"}
+                  </span>
+                  <span
+                    className={`ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      statusClasses[creditNote.status]
+                    }`}
+                  >
+                    {statusLabels[creditNote.status] || creditNote.status}
+                  </span>
+                </div>
+                {creditNote.hasPdf && (
+                  <button
+                    onClick={() => handlePdf(creditNote)}
+                    className="text-gray-600 hover:text-gray-900"
+                    title="PDF"
+                  >
+                    <FileText className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {formatDate(creditNote.issuedAt || creditNote.createdAt)} •{" "}
+                {creditNote.documentType === "efatura" ? "e-Fatura" : "e-Arşiv"}{" "}
+                • {formatCurrency(creditNote.totalAmount, creditNote.currency)}
+              </div>
+              <div className="text-xs text-gray-600 mt-1">
+                {creditNote.lines
+                  .map((line) => `${line.title || line.sku} × ${line.quantity}`)
+                  .join(", ")}
+              </div>
+              {creditNote.status === "failed" && creditNote.errorMessage && (
+                <p className="text-xs text-red-600 mt-1">
+                  {creditNote.errorMessage}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderCreditNotes;
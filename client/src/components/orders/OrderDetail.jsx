@@ -21,6 +21,8 @@ import api from "../../services/api";
 import { useAlert } from "../../contexts/AlertContext";
 import OrderTimeline from "./OrderTimeline";
 import OrderProductLinks from "./OrderProductLinks";
+import OrderPackages from "./OrderPackages";
+import OrderCreditNotes from "./OrderCreditNotes";
 import PaymentDetails from "./PaymentDetails";
 import ShippingAddress from "./ShippingAddress";
 
@@ -609,6 +611,14 @@ const OrderDetail = () => {
             }}
           />
 
+          {/* Marketplace packages (split/merge/unpack) */}
+          {(order.platform || order.platformType) === "hepsiburada" && (
+            <OrderPackages order={order} onPackagesChange={fetchOrder} />
+          )}
+
+          {/* Return invoices against the order's invoice */}
+          {order.invoiceNumber && <OrderCreditNotes order={order} />}
+
           {/* Enhanced Order Timeline */}
           <OrderTimeline order={order} />
         </div>
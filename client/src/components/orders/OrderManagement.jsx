@@ -41,6 +41,7 @@ import { useNetworkStatus } from "../../hooks/useNetworkStatus";
 import { Button, Card, CardContent, Badge, Modal } from "../ui";
 import CancelOrderDialog from "../dialogs/CancelOrderDialog";
 import OrderBulkActions from "./BulkActions";
+import BulkPrintDropdown from "./BulkPrintDropdown";
 // import NetworkDebugger from "../NetworkDebugger";
 
 const OrderManagement = React.memo(() => {
@@ -2126,6 +2127,13 @@ const OrderManagement = React.memo(() => {
               orders={orders}
               onBulkAction={handleBulkAction}
               onClearSelection={() => setSelectedOrders([])}
+              extraActions={
+                <BulkPrintDropdown
+                  selectedOrders={selectedOrders}
+                  onPrintPdf={handleBulkPrintShippingSlips}
+                  disabled={bulkPrintingShipping}
+                />
+              }
             />
           </>
         )}
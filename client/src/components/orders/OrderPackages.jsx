@@ -0,0 +1,467 @@
+/**
+ * OrderPackages - Marketplace package management for an order
+ * Create, split, merge and unpack packages and print their cargo barcodes
+ */
+
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Boxes,
+  Package,
+  Barcode,
+  Scissors,
+  PackageOpen,
+  Merge,
+  Loader2,
+  Link2,
+} from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+import { formatDate } from "../../utils/platformHelpers";
+
+const statusLabels = {
+  packaged: "Paketlendi",
+  shipped: "Kargoya Verildi",
+  unpacked: "Paket Bozuldu",
+};
+
+const statusClasses = {
+  packaged: "bg-blue-100 text-blue-800",
+  shipped: "bg-purple-100 text-purple-800",
+  unpacked: "bg-gray-100 text-gray-600",
+};
+
+const OrderPackages = ({ order, onPackagesChange }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [packages, setPackages] = useState([]);
+  const [unpackagedItems, setUnpackagedItems] = useState([]);
+  const [consolidation, setConsolidation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(null);
+
+  const [selectedItemIds, setSelectedItemIds] = useState([]);
+  const [desi, setDesi] = useState("1");
+
+  // Split mode: package being split and the items to move out of it
+  const [splitPackageId, setSplitPackageId] = useState(null);
+  const [splitItemIds, setSplitItemIds] = useState([]);
+
+  // Merge candidates: other open orders of the same customer
+  const [mergeCandidates, setMergeCandidates] = useState(null);
+  const [mergeVerified, setMergeVerified] = useState(false);
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+
+  const loadPackages = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/order-packages/orders/${order.id}`);
+      const data = response.data.data || {};
+      setPackages(data.packages || []);
+      setUnpackagedItems(data.unpackagedItems || []);
+      setConsolidation(data.order || null);
+      setSelectedItemIds((data.unpackagedItems || []).map((item) => item.orderItemId));
+    } catch (err) {
+      logger.error("Error loading order packages:", err);
+      handleError(err, "Paketler yüklenirken hata oluştu");
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id, handleError]);
+
+  useEffect(() => {
+    loadPackages();
+  }, [loadPackages]);
+
+  const refreshAfterChange = async () => {
+    setSplitPackageId(null);
+    setSplitItemIds([]);
+    setMergeCandidates(null);
+    setSelectedOrderIds([]);
+    await loadPackages();
+    if (onPackagesChange) {
+      onPackagesChange();
+    }
+  };
+
+  const toggle = (list, setList, id) =>
+    setList(list.includes(id) ? list.filter((value) => value !== id) : [...list, id]);
+
+  const handleCreatePackage = async () => {
+    if (selectedItemIds.length === 0) {
+      showAlert("Paketlenecek ürün seçin", "warning");
+      return;
+    }
+
+    try {
+      setActionLoading("create");
+      const response = await api.post("/order-packages", {
+        orderItemIds: selectedItemIds,
+        desi: parseFloat(desi) || undefined,
+      });
+      showAlert(response.data.message || "Paket oluşturuldu", "success");
+      await refreshAfterChange();
+    } catch (err) {
+      handleError(err, "Paket oluşturulamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleSplit = async (orderPackage) => {
+    if (splitItemIds.length === 0) {
+      showAlert("Yeni pakete taşınacak ürünleri seçin", "warning");
+      return;
+    }
+
+    try {
+      setActionLoading(orderPackage.id);
+      const response = await api.post(`/order-packages/${orderPackage.id}/split`, {
+        orderItemIds: splitItemIds,
+      });
+      showAlert(response.data.message || "Paket bölündü", "success");
+      await refreshAfterChange();
+    } catch (err) {
+      handleError(err, "Paket bölünemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleUnpack = async (orderPackage) => {
+    if (
+      !window.confirm(
+        `${orderPackage.packageNumber} numaralı paket bozulsun mu? Ürünler yeniden paketlenebilir hale gelir.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(orderPackage.id);
+      await api.post(`/order-packages/${orderPackage.id}/unpack`);
+      showAlert("Paket bozuldu", "success");
+      await refreshAfterChange();
+    } catch (err) {
+      handleError(err, "Paket bozulamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleBarcode = async (orderPackage) => {
+    try {
+      setActionLoading(orderPackage.id);
+      const response = await api.get(`/order-packages/${orderPackage.id}/barcode`, {
+        params: { format: "pdf" },
+        responseType: "blob",
+      });
+
+      const url = window.URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      window.open(url, "_blank");
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      handleError(err, "Kargo barkodu alınamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const loadMergeCandidates = async () => {
+    try {
+      setActionLoading("merge");
+      const response = await api.get(
+        `/order-packages/orders/${order.id}/merge-candidates`
+      );
+      setMergeCandidates(response.data.data?.candidates || []);
+      setMergeVerified(!!response.data.data?.verified);
+      setSelectedOrderIds([]);
+    } catch (err) {
+      handleError(err, "Birleştirilebilecek siparişler alınamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (selectedOrderIds.length === 0) {
+      showAlert("Birleştirilecek sipariş seçin", "warning");
+      return;
+    }
+
+    try {
+      setActionLoading("merge");
+      const response = await api.post("/order-packages/merge", {
+        orderIds: [order.id, ...selectedOrderIds],
+        desi: parseFloat(desi) || undefined,
+      });
+      showAlert(response.data.message || "Siparişler birleştirildi", "success");
+      await refreshAfterChange();
+    } catch (err) {
+      handleError(err, "Siparişler birleştirilemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const isOpenOrder = ["new", "pending", "processing"].includes(order.orderStatus);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Boxes className="w-5 h-5 mr-2" />
+          Paketler
+        </h2>
+        {consolidation?.isConsolidated && (
+          <span className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-full bg-teal-100 text-teal-800">
+            <Link2 className="w-3 h-3 mr-1" />
+            Birleştirilmiş gönderi: {consolidation.consolidatedGroupId}
+          </span>
+        )}
+      </div>
+
+      {loading && packages.length === 0 ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          <span className="ml-2 text-gray-600">Paketler yükleniyor...</span>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {/* Items not packaged yet */}
+          {unpackagedItems.length > 0 && isOpenOrder && (
+            <div className="border border-dashed border-gray-300 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Paketlenmemiş Ürünler
+              </h3>
+              <div className="space-y-1 mb-3">
+                {unpackagedItems.map((item) => (
+                  <label
+                    key={item.orderItemId}
+                    className="flex items-center text-sm text-gray-700"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedItemIds.includes(item.orderItemId)}
+                      onChange={() =>
+                        toggle(selectedItemIds, setSelectedItemIds, item.orderItemId)
+                      }
+                      className="mr-2"
+                    />
+                    {item.title || item.sku} × {item.quantity}
+                  </label>
+                ))}
+              </div>
+              <div className="flex items-center space-x-2">
+                <label className="text-sm text-gray-600">Desi</label>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={desi}
+                  onChange={(e) => setDesi(e.target.value)}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+                <button
+                  onClick={handleCreatePackage}
+                  disabled={actionLoading === "create"}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1.5 rounded text-sm font-medium flex items-center"
+                >
+                  <Package className="w-4 h-4 mr-1" />
+                  Paket Oluştur
+                </button>
+                <button
+                  onClick={loadMergeCandidates}
+                  disabled={actionLoading === "merge"}
+                  className="bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 px-3 py-1.5 rounded text-sm font-medium flex items-center"
+                >
+                  <Merge className="w-4 h-4 mr-1" />
+                  Diğer Siparişlerle Birleştir
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Merge candidates */}
+          {mergeCandidates && (
+            <div className="border border-teal-200 bg-teal-50 rounded-lg p-4">
+              <h3 className="text-sm font-medium text-teal-900 mb-1">
+                Aynı Müşterinin Açık Siparişleri
+              </h3>
+              {!mergeVerified && mergeCandidates.length > 0 && (
+                <p className="text-xs text-teal-700 mb-2">
+                  Pazaryeri uygunluğu doğrulanamadı; birleştirme sırasında
+                  kontrol edilecek.
+                </p>
+              )}
+              {mergeCandidates.length === 0 ? (
+                <p className="text-sm text-gray-600">
+                  Birleştirilebilecek başka sipariş bulunamadı.
+                </p>
+              ) : (
+                <>
+                  <div className="space-y-1 mb-3">
+                    {mergeCandidates.map((candidate) => (
+                      <label
+                        key={candidate.id}
+                        className="flex items-center text-sm text-gray-700"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={selectedOrderIds.includes(candidate.id)}
+                          onChange={() =>
+                            toggle(selectedOrderIds, setSelectedOrderIds, candidate.id)
+                          }
+                          className="mr-2"
+                        />
+                        #{candidate.orderNumber} — {candidate.items.length} ürün
+                        <span className="ml-2 text-xs text-gray-500">
+                          {formatDate(candidate.orderDate)}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  <button
+                    onClick={handleMerge}
+                    disabled={actionLoading === "merge"}
+                    className="bg-teal-600 hover:bg-teal-700 disabled:opacity-50 text-white px-3 py-1.5 rounded text-sm font-medium flex items-center"
+                  >
+                    <Merge className="w-4 h-4 mr-1" />
+                    Tek Pakette Birleştir
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {packages.length === 0 && unpackagedItems.length === 0 && (
+            <p className="text-sm text-gray-500">
+              Bu sipariş için paket bilgisi yok.
+            </p>
+          )}
+
+          {/* Packages */}
+          {packages.map((orderPackage) => {
+            const isSplitting = splitPackageId === orderPackage.id;
+            const isActive = orderPackage.status === "packaged";
+
+            return (
+              <div
+                key={orderPackage.id}
+                className={`border rounded-lg p-4 ${
+                  isActive ? "border-gray-200" : "border-gray-100 opacity-70"
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <span className="font-medium text-gray-900">
+                      {orderPackage.packageNumber}
+                    </span>
+                    <span
+                      className={`ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${
+                        statusClasses[orderPackage.status]
+                      }`}
+                    >
+                      {statusLabels[orderPackage.status] || orderPackage.status}
+                    </span>
+                    {orderPackage.consolidatedGroupId && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-teal-100 text-teal-800">
+                        Birleştirilmiş
+                      </span>
+                    )}
+                  </div>
+                  {orderPackage.status !== "unpacked" && (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleBarcode(orderPackage)}
+                        disabled={actionLoading === orderPackage.id}
+                        className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                        title="Kargo barkodu"
+                      >
+                        <Barcode className="w-4 h-4" />
+                      </button>
+                      {isActive && orderPackage.items.length > 1 && (
+                        <button
+                          onClick={() => {
+                            setSplitPackageId(isSplitting ? null : orderPackage.id);
+                            setSplitItemIds([]);
+                          }}
+                          className="text-gray-600 hover:text-gray-900"
+                          title="Paketi böl"
+                        >
+                          <Scissors className="w-4 h-4" />
+                        </button>
+                      )}
+                      {isActive && (
+                        <button
+                          onClick={() => handleUnpack(orderPackage)}
+                          disabled={actionLoading === orderPackage.id}
+                          className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                          title="Paketi boz"
+                        >
+                          <PackageOpen className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="text-xs text-gray-500 mb-2">
+                  {formatDate(orderPackage.createdAt)}
+                  {orderPackage.cargoCompany && ` • ${orderPackage.cargoCompany}`}
+                  {orderPackage.desi && ` • ${orderPackage.desi} desi`}
+                  {orderPackage.splitFromPackageNumber &&
+                    ` • ${orderPackage.splitFromPackageNumber} paketinden bölündü`}
+                </div>
+
+                <ul className="space-y-1">
+                  {orderPackage.items.map((item) => (
+                    <li
+                      key={item.id}
+                      className="flex items-center text-sm text-gray-700"
+                    >
+                      {isSplitting && (
+                        <input
+                          type="checkbox"
+                          checked={splitItemIds.includes(item.orderItemId)}
+                          onChange={() =>
+                            toggle(splitItemIds, setSplitItemIds, item.orderItemId)
+                          }
+                          className="mr-2"
+                        />
+                      )}
+                      {item.orderItem?.title || item.orderItem?.sku || item.lineItemId}{" "}
+                      × {item.quantity}
+                      {item.orderId !== order.id && (
+                        <span className="ml-2 text-xs text-teal-700">
+                          (#{item.order?.orderNumber})
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {isSplitting && (
+                  <button
+                    onClick={() => handleSplit(orderPackage)}
+                    disabled={actionLoading === orderPackage.id}
+                    className="mt-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1.5 rounded text-sm font-medium flex items-center"
+                  >
+                    <Scissors className="w-4 h-4 mr-1" />
+                    Seçilenleri Yeni Pakete Taşı
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderPackages;
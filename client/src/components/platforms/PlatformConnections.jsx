@@ -27,8 +27,10 @@ const PlatformConnections = () => {
     apiSecret: "",
     supplierId: "",
     merchantId: "",
-    accessKey: "",
-    secretKey: "",
+    sellerId: "",
+    clientId: "",
+    clientSecret: "",
+    refreshToken: "",
     marketplaceId: "",
     apiUrl: "",
     username: "",
@@ -57,10 +59,16 @@ const PlatformConnections = () => {
     {
       id: "amazon",
       name: "Amazon",
-      description: "Küresel pazaryeri platformu",
+      description: "Küresel pazaryeri platformu (Selling Partner API)",
       icon: "📦",
       color: "warning",
-      fields: ["accessKey", "secretKey", "merchantId", "marketplaceId"],
+      fields: [
+        "sellerId",
+        "clientId",
+        "clientSecret",
+        "refreshToken",
+        "marketplaceId",
+      ],
     },
     {
       id: "n11",
@@ -70,6 +78,22 @@ const PlatformConnections = () => {
       color: "info",
       fields: ["apiKey", "apiSecret"],
     },
+    {
+      id: "pazarama",
+      name: "Pazarama",
+      description: "İş Bankası pazaryeri",
+      icon: "🏬",
+      color: "success",
+      fields: ["apiKey", "apiSecret"],
+    },
+    {
+      id: "ciceksepeti",
+      name: "ÇiçekSepeti",
+      description: "Çiçek, hediye ve ev ürünleri pazaryeri",
+      icon: "💐",
+      color: "danger",
+      fields: ["apiKey", "environment"],
+    },
   ];
 
   // Helper function to safely format dates
@@ -118,9 +142,12 @@ const PlatformConnections = () => {
       apiSecret: "",
       supplierId: "",
       merchantId: "",
-      accessKey: "",
-      secretKey: "",
-      marketplaceId: "",
+      sellerId: "",
+      clientId: "",
+      clientSecret: "",
+      refreshToken: "",
+      // Amazon.com.tr
+      marketplaceId: platform.id === "amazon" ? "A33AVAJ2PDY3EV" : "",
       apiUrl: "",
       username: "",
       environment: "production",
@@ -629,45 +656,93 @@ const PlatformConnections = () => {
             </div>
           )}
 
-          {selectedPlatform?.fields.includes("accessKey") && (
+          {selectedPlatform?.fields.includes("sellerId") && (
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Erişim Anahtarı *
+                Satıcı ID (Merchant Token) *
               </label>
               <input
                 type="text"
-                value={connectionData.accessKey}
+                value={connectionData.sellerId}
                 onChange={(e) =>
                   setConnectionData({
                     ...connectionData,
-                    accessKey: e.target.value,
+                    sellerId: e.target.value,
                   })
                 }
                 required
                 className="form-input"
-                placeholder="Erişim anahtarınızı girin"
+                placeholder="örn. A1B2C3D4E5F6G7"
               />
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                Seller Central &gt; Ayarlar &gt; Hesap Bilgileri altında bulabilirsiniz
+              </p>
             </div>
           )}
 
-          {selectedPlatform?.fields.includes("secretKey") && (
+          {selectedPlatform?.fields.includes("clientId") && (
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Gizli Anahtar *
+                LWA İstemci ID *
+              </label>
+              <input
+                type="text"
+                value={connectionData.clientId}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    clientId: e.target.value,
+                  })
+                }
+                required
+                className="form-input"
+                placeholder="amzn1.application-oa2-client..."
+              />
+            </div>
+          )}
+
+          {selectedPlatform?.fields.includes("clientSecret") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                LWA İstemci Gizli Anahtarı *
+              </label>
+              <input
+                type="password"
+                value={connectionData.clientSecret}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    clientSecret: e.target.value,
+                  })
+                }
+                required
+                className="form-input"
+                placeholder="İstemci gizli anahtarınızı girin"
+              />
+            </div>
+          )}
+
+          {selectedPlatform?.fields.includes("refreshToken") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Yenileme Token'ı *
               </label>
               <input
                 type="password"
-                value={connectionData.secretKey}
+                value={connectionData.refreshToken}
                 onChange={(e) =>
                   setConnectionData({
                     ...connectionData,
-                    secretKey: e.target.value,
+                    refreshToken: e.target.value,
                   })
                 }
                 required
                 className="form-input"
-                placeholder="Gizli anahtarınızı girin"
+                placeholder="Atzr|..."
               />
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                Uygulamanızı Seller Central'da yetkilendirdiğinizde oluşturulur
+              </p>
             </div>
           )}
 
@@ -730,7 +805,7 @@ const PlatformConnections = () => {
                     marketplaceId: e.target.value,
                   })
                 }
-                placeholder="örn. ATVPDKIKX0DER (ABD için)"
+                placeholder="örn. A33AVAJ2PDY3EV (Türkiye için)"
                 required
                 className="form-input"
               />
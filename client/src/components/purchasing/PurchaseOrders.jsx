@@ -0,0 +1,1258 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  ShoppingCart,
+  Plus,
+  Edit2,
+  Trash2,
+  Send,
+  PackageCheck,
+  XCircle,
+  Loader2,
+  Truck,
+  TrendingDown,
+  RefreshCw,
+} from "lucide-react";
+import { format } from "date-fns";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const tabs = [
+  { id: "orders", label: "Satın Alma Siparişleri" },
+  { id: "suppliers", label: "Tedarikçiler" },
+  { id: "suggestions", label: "Sipariş Önerileri" },
+];
+
+const statusLabels = {
+  draft: "Taslak",
+  ordered: "Sipariş Verildi",
+  partially_received: "Kısmen Teslim Alındı",
+  received: "Teslim Alındı",
+  cancelled: "İptal Edildi",
+};
+
+const statusVariants = {
+  draft: "secondary",
+  ordered: "info",
+  partially_received: "warning",
+  received: "success",
+  cancelled: "danger",
+};
+
+const emptySupplier = {
+  name: "",
+  code: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  taxNumber: "",
+  taxOffice: "",
+  currency: "TRY",
+  leadTimeDays: 7,
+  notes: "",
+};
+
+const emptyLine = { sku: "", quantityOrdered: 1, unitCost: 0 };
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const formatMoney = (value, currency = "TRY") =>
+  new Intl.NumberFormat("tr-TR", { style: "currency", currency }).format(
+    Number(value) || 0
+  );
+
+const PurchaseOrders = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [activeTab, setActiveTab] = useState("orders");
+  const [suppliers, setSuppliers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+
+  // Purchase orders
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, total: 0 });
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [receiveWarehouseId, setReceiveWarehouseId] = useState("");
+  const [actionLoading, setActionLoading] = useState(null);
+
+  // Suppliers
+  const [editingSupplier, setEditingSupplier] = useState(null);
+
+  // Reorder suggestions
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggestionsLoading, setSuggestionsLoading] = useState(false);
+  const [coverDays, setCoverDays] = useState(30);
+  const [selectedSuggestions, setSelectedSuggestions] = useState({});
+
+  const loadSuppliers = useCallback(async () => {
+    try {
+      const response = await api.get("/purchasing/suppliers", {
+        params: { includeInactive: true },
+      });
+      setSuppliers(response.data.data || []);
+    } catch (err) {
+      logger.error("Error loading suppliers:", err);
+      handleError(err, "Tedarikçiler yüklenemedi");
+    }
+  }, [handleError]);
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/purchasing/purchase-orders", {
+        params: { status: statusFilter, page: currentPage, limit: 20 },
+      });
+      const data = response.data.data || {};
+      setOrders(data.purchaseOrders || []);
+      setPagination(data.pagination || { totalPages: 1, total: 0 });
+    } catch (err) {
+      logger.error("Error loading purchase orders:", err);
+      handleError(err, "Satın alma siparişleri yüklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, currentPage, handleError]);
+
+  const loadSuggestions = useCallback(async () => {
+    try {
+      setSuggestionsLoading(true);
+      const response = await api.get("/purchasing/reorder-suggestions", {
+        params: { coverDays },
+      });
+      setSuggestions(response.data.data?.suggestions || []);
+      setSelectedSuggestions({});
+    } catch (err) {
+      logger.error("Error loading reorder suggestions:", err);
+      handleError(err, "Sipariş önerileri yüklenemedi");
+    } finally {
+      setSuggestionsLoading(false);
+    }
+  }, [coverDays, handleError]);
+
+  useEffect(() => {
+    loadSuppliers();
+    api
+      .get("/warehouses")
+      .then((response) => setWarehouses(response.data.data || []))
+      .catch((err) => logger.error("Error loading warehouses:", err));
+  }, [loadSuppliers]);
+
+  useEffect(() => {
+    if (activeTab === "orders") {
+      loadOrders();
+    } else if (activeTab === "suggestions") {
+      loadSuggestions();
+    }
+  }, [activeTab, loadOrders, loadSuggestions]);
+
+  const activeSuppliers = suppliers.filter((s) => s.isActive);
+
+  const openNewOrder = (lines = [{ ...emptyLine }], supplierId = "") => {
+    setEditingOrder({
+      supplierId: supplierId || activeSuppliers[0]?.id || "",
+      warehouseId: "",
+      currency: "TRY",
+      exchangeRate: 1,
+      shippingCost: 0,
+      customsCost: 0,
+      otherCosts: 0,
+      notes: "",
+      lines,
+    });
+  };
+
+  const openEditOrder = (order) => {
+    setEditingOrder({
+      id: order.id,
+      status: order.status,
+      supplierId: order.supplierId,
+      warehouseId: order.warehouseId || "",
+      currency: order.currency,
+      exchangeRate: order.exchangeRate,
+      shippingCost: order.shippingCost,
+      customsCost: order.customsCost,
+      otherCosts: order.otherCosts,
+      notes: order.notes || "",
+      lines: order.lines.map((line) => ({
+        sku: line.sku,
+        quantityOrdered: line.quantityOrdered,
+        unitCost: line.unitCost,
+      })),
+    });
+  };
+
+  const updateLine = (index, field, value) => {
+    setEditingOrder((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line, i) =>
+        i === index ? { ...line, [field]: value } : line
+      ),
+    }));
+  };
+
+  const handleSaveOrder = async () => {
+    const isDraft = !editingOrder.id || editingOrder.status === "draft";
+    const lines = editingOrder.lines
+      .filter((line) => line.sku.trim())
+      .map((line) => ({
+        sku: line.sku.trim(),
+        quantityOrdered: parseInt(line.quantityOrdered),
+        unitCost: Number(line.unitCost) || 0,
+      }));
+
+    if (!editingOrder.supplierId || (isDraft && lines.length === 0)) {
+      showAlert("Tedarikçi ve en az bir kalem zorunludur", "warning");
+      return;
+    }
+
+    const payload = {
+      warehouseId: editingOrder.warehouseId || null,
+      exchangeRate: Number(editingOrder.exchangeRate) || 1,
+      shippingCost: Number(editingOrder.shippingCost) || 0,
+      customsCost: Number(editingOrder.customsCost) || 0,
+      otherCosts: Number(editingOrder.otherCosts) || 0,
+      notes: editingOrder.notes,
+      ...(isDraft && {
+        supplierId: editingOrder.supplierId,
+        currency: editingOrder.currency,
+        lines,
+      }),
+    };
+
+    try {
+      setActionLoading("save");
+      if (editingOrder.id) {
+        await api.put(`/purchasing/purchase-orders/${editingOrder.id}`, payload);
+        showAlert("Satın alma siparişi güncellendi", "success");
+      } else {
+        const response = await api.post("/purchasing/purchase-orders", payload);
+        showAlert(response.data.message || "Taslak oluşturuldu", "success");
+      }
+      setEditingOrder(null);
+      await loadOrders();
+    } catch (err) {
+      handleError(err, "Satın alma siparişi kaydedilemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const runOrderAction = async (order, action, confirmMessage, successMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      setActionLoading(order.id);
+      if (action === "delete") {
+        await api.delete(`/purchasing/purchase-orders/${order.id}`);
+      } else {
+        await api.post(`/purchasing/purchase-orders/${order.id}/${action}`);
+      }
+      showAlert(successMessage, "success");
+      await loadOrders();
+    } catch (err) {
+      handleError(err, "İşlem başarısız oldu");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const openReceive = (order) => {
+    setReceivingOrder(order);
+    setReceiveWarehouseId(order.warehouseId || "");
+    setReceiveQuantities(
+      order.lines.reduce((quantities, line) => {
+        quantities[line.id] = line.quantityOrdered - line.quantityReceived;
+        return quantities;
+      }, {})
+    );
+  };
+
+  const handleReceive = async () => {
+    const lines = Object.entries(receiveQuantities)
+      .map(([lineId, quantity]) => ({ lineId, quantity: parseInt(quantity) || 0 }))
+      .filter((line) => line.quantity > 0);
+
+    if (lines.length === 0) {
+      showAlert("Teslim alınacak miktar girin", "warning");
+      return;
+    }
+
+    try {
+      setActionLoading(receivingOrder.id);
+      const response = await api.post(
+        `/purchasing/purchase-orders/${receivingOrder.id}/receive`,
+        { lines, warehouseId: receiveWarehouseId || undefined }
+      );
+      showAlert(response.data.message || "Mal kabul yapıldı", "success");
+      setReceivingOrder(null);
+      await loadOrders();
+    } catch (err) {
+      handleError(err, "Mal kabul yapılamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleSaveSupplier = async () => {
+    if (!editingSupplier.name.trim()) {
+      showAlert("Tedarikçi adı zorunludur", "warning");
+      return;
+    }
+
+    const payload = {
+      ...editingSupplier,
+      leadTimeDays: parseInt(editingSupplier.leadTimeDays) || 0,
+    };
+
+    try {
+      setActionLoading("supplier");
+      if (editingSupplier.id) {
+        await api.put(`/purchasing/suppliers/${editingSupplier.id}`, payload);
+      } else {
+        await api.post("/purchasing/suppliers", payload);
+      }
+      showAlert("Tedarikçi kaydedildi", "success");
+      setEditingSupplier(null);
+      await loadSuppliers();
+    } catch (err) {
+      handleError(err, "Tedarikçi kaydedilemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleDeleteSupplier = async (supplier) => {
+    if (!window.confirm(`${supplier.name} silinsin mi?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.delete(`/purchasing/suppliers/${supplier.id}`);
+      showAlert(
+        response.data.data?.deactivated
+          ? "Tedarikçinin siparişleri olduğu için pasife alındı"
+          : "Tedarikçi silindi",
+        "success"
+      );
+      await loadSuppliers();
+    } catch (err) {
+      handleError(err, "Tedarikçi silinemedi");
+    }
+  };
+
+  const createDraftFromSuggestions = () => {
+    const selected = suggestions.filter((s) => selectedSuggestions[s.productId]);
+    if (selected.length === 0) {
+      showAlert("Önce öneri seçin", "warning");
+      return;
+    }
+
+    const supplierIds = [
+      ...new Set(selected.map((s) => s.supplier?.id).filter(Boolean)),
+    ];
+    if (supplierIds.length > 1) {
+      showAlert(
+        "Seçilen ürünler farklı tedarikçilere ait, tedarikçi bazında seçin",
+        "warning"
+      );
+      return;
+    }
+
+    setActiveTab("orders");
+    openNewOrder(
+      selected.map((s) => ({
+        sku: s.sku,
+        quantityOrdered: s.suggestedQuantity,
+        unitCost: s.lastUnitCost ?? s.costPrice ?? 0,
+      })),
+      supplierIds[0]
+    );
+  };
+
+  const formatDate = (date) =>
+    date ? format(new Date(date), "dd.MM.yyyy") : "—";
+
+  const renderOrders = () => (
+    <>
+      <div className="flex items-center justify-between mb-4">
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value);
+            setCurrentPage(1);
+          }}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="all">Tüm Durumlar</option>
+          {Object.entries(statusLabels).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => openNewOrder()}
+          disabled={activeSuppliers.length === 0}
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Yeni Satın Alma Siparişi
+        </Button>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {loading && orders.length === 0 ? (
+            <div className="flex items-center justify-center h-48">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          ) : orders.length === 0 ? (
+            <div className="text-center py-16">
+              <ShoppingCart className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">
+                {activeSuppliers.length === 0
+                  ? "Sipariş oluşturmak için önce tedarikçi ekleyin"
+                  : "Satın alma siparişi yok"}
+              </p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Sipariş No
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tedarikçi
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Kalem / Teslim
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tutar
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Beklenen
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Durum
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                    İşlemler
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {orders.map((order) => {
+                  const ordered = order.lines.reduce(
+                    (sum, line) => sum + line.quantityOrdered,
+                    0
+                  );
+                  const received = order.lines.reduce(
+                    (sum, line) => sum + line.quantityReceived,
+                    0
+                  );
+                  const busy = actionLoading === order.id;
+
+                  return (
+                    <tr key={order.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                        {order.poNumber}
+                        {order.warehouse && (
+                          <div className="text-xs text-gray-500">
+                            {order.warehouse.name}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {order.supplier?.name || "—"}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {order.lines.length} kalem · {received}/{ordered} adet
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {formatMoney(order.subtotal, order.currency)}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {formatDate(order.expectedAt)}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <Badge variant={statusVariants[order.status]}>
+                          {statusLabels[order.status] || order.status}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right">
+                        <div className="flex justify-end space-x-2">
+                          {!["received", "cancelled"].includes(order.status) && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => openEditOrder(order)}
+                              disabled={busy}
+                            >
+                              <Edit2 className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {order.status === "draft" && (
+                            <>
+                              <Button
+                                variant="primary"
+                                size="sm"
+                                disabled={busy}
+                                onClick={() =>
+                                  runOrderAction(
+                                    order,
+                                    "order",
+                                    `${order.poNumber} tedarikçiye sipariş olarak gönderilsin mi?`,
+                                    "Sipariş verildi"
+                                  )
+                                }
+                              >
+                                <Send className="h-4 w-4 mr-1" />
+                                Sipariş Ver
+                              </Button>
+                              <Button
+                                variant="danger"
+                                size="sm"
+                                disabled={busy}
+                                onClick={() =>
+                                  runOrderAction(
+                                    order,
+                                    "delete",
+                                    `${order.poNumber} taslağı silinsin mi?`,
+                                    "Taslak silindi"
+                                  )
+                                }
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </>
+                          )}
+                          {["ordered", "partially_received"].includes(
+                            order.status
+                          ) && (
+                            <Button
+                              variant="success"
+                              size="sm"
+                              disabled={busy}
+                              onClick={() => openReceive(order)}
+                            >
+                              <PackageCheck className="h-4 w-4 mr-1" />
+                              Teslim Al
+                            </Button>
+                          )}
+                          {order.status === "ordered" && (
+                            <Button
+                              variant="danger"
+                              size="sm"
+                              disabled={busy}
+                              onClick={() =>
+                                runOrderAction(
+                                  order,
+                                  "cancel",
+                                  `${order.poNumber} iptal edilsin mi?`,
+                                  "Sipariş iptal edildi"
+                                )
+                              }
+                            >
+                              <XCircle className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Toplam {pagination.total} sipariş
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage <= 1}
+                  onClick={() => setCurrentPage((page) => page - 1)}
+                >
+                  Önceki
+                </Button>
+                <span className="text-sm text-gray-600 self-center">
+                  {currentPage} / {pagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage >= pagination.totalPages}
+                  onClick={() => setCurrentPage((page) => page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+
+  const renderSuppliers = () => (
+    <>
+      <div className="flex justify-end mb-4">
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={() => setEditingSupplier({ ...emptySupplier })}
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Yeni Tedarikçi
+        </Button>
+      </div>
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {suppliers.length === 0 ? (
+            <div className="text-center py-16">
+              <Truck className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Henüz tedarikçi yok</p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tedarikçi
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    İletişim
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Vergi No
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tedarik Süresi
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                    İşlemler
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {supplier.name}
+                      </div>
+                      {!supplier.isActive && (
+                        <Badge variant="secondary">Pasif</Badge>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <div>{supplier.contactName || "—"}</div>
+                      <div className="text-xs text-gray-500">
+                        {[supplier.email, supplier.phone]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {supplier.taxNumber || "—"}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {supplier.leadTimeDays} gün
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right">
+                      <div className="flex justify-end space-x-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() =>
+                            setEditingSupplier({
+                              ...emptySupplier,
+                              ...supplier,
+                            })
+                          }
+                        >
+                          <Edit2 className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="danger"
+                          size="sm"
+                          onClick={() => handleDeleteSupplier(supplier)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+
+  const renderSuggestions = () => (
+    <>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Stok yetecek süre hedefi:</span>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={coverDays}
+            onChange={(e) => setCoverDays(parseInt(e.target.value) || 30)}
+            className="border border-gray-300 rounded px-2 py-1 w-20"
+          />
+          <span>gün</span>
+          <Button variant="outline" size="sm" onClick={loadSuggestions}>
+            <RefreshCw
+              className={`h-4 w-4 ${suggestionsLoading ? "animate-spin" : ""}`}
+            />
+          </Button>
+        </div>
+        <Button variant="primary" size="sm" onClick={createDraftFromSuggestions}>
+          <Plus className="h-4 w-4 mr-2" />
+          Seçilenlerden Taslak Oluştur
+        </Button>
+      </div>
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {suggestionsLoading && suggestions.length === 0 ? (
+            <div className="flex items-center justify-center h-48">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          ) : suggestions.length === 0 ? (
+            <div className="text-center py-16">
+              <TrendingDown className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">
+                Satış tahminine göre şu an sipariş verilmesi gereken ürün yok
+              </p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="w-8" />
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Ürün
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Stok / Yolda
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Günlük Satış
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tükenme
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Önerilen
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tedarikçi
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {suggestions.map((suggestion) => (
+                  <tr key={suggestion.productId} className="hover:bg-gray-50">
+                    <td className="pl-4">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(selectedSuggestions[suggestion.productId])}
+                        onChange={(e) =>
+                          setSelectedSuggestions((prev) => ({
+                            ...prev,
+                            [suggestion.productId]: e.target.checked,
+                          }))
+                        }
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {suggestion.name}
+                      </div>
+                      <div className="text-xs text-gray-500">{suggestion.sku}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {suggestion.currentStock} / {suggestion.onOrder}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {suggestion.dailyDemand}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <Badge
+                        variant={
+                          suggestion.daysUntilStockout < 7 ? "danger" : "warning"
+                        }
+                      >
+                        {suggestion.daysUntilStockout} gün
+                      </Badge>
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      {suggestion.suggestedQuantity} adet
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {suggestion.supplier?.name || "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+
+  const isDraftOrder = editingOrder && (!editingOrder.id || editingOrder.status === "draft");
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ShoppingCart className="h-8 w-8 text-blue-600 mr-3" />
+          Satın Alma
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Tedarikçiler, satın alma siparişleri, mal kabul ve sipariş önerileri
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200 mb-6">
+        <nav className="flex space-x-6">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setActiveTab(tab.id)}
+              className={`pb-3 text-sm font-medium border-b-2 ${
+                activeTab === tab.id
+                  ? "border-blue-600 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === "orders" && renderOrders()}
+      {activeTab === "suppliers" && renderSuppliers()}
+      {activeTab === "suggestions" && renderSuggestions()}
+
+      {/* Purchase order dialog */}
+      {editingOrder && (
+        <Modal
+          isOpen={true}
+          onClose={() => setEditingOrder(null)}
+          title={editingOrder.id ? "Satın Alma Siparişini Düzenle" : "Yeni Satın Alma Siparişi"}
+          size="lg"
+        >
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tedarikçi
+                </label>
+                <select
+                  value={editingOrder.supplierId}
+                  disabled={!isDraftOrder}
+                  onChange={(e) =>
+                    setEditingOrder((prev) => ({
+                      ...prev,
+                      supplierId: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                >
+                  <option value="">Seçiniz</option>
+                  {activeSuppliers.map((supplier) => (
+                    <option key={supplier.id} value={supplier.id}>
+                      {supplier.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Teslim Alınacak Depo
+                </label>
+                <select
+                  value={editingOrder.warehouseId}
+                  onChange={(e) =>
+                    setEditingOrder((prev) => ({
+                      ...prev,
+                      warehouseId: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                >
+                  <option value="">Varsayılan depo</option>
+                  {warehouses.map((warehouse) => (
+                    <option key={warehouse.id} value={warehouse.id}>
+                      {warehouse.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Para Birimi / Kur (TL)
+                </label>
+                <div className="flex space-x-2">
+                  <select
+                    value={editingOrder.currency}
+                    disabled={!isDraftOrder}
+                    onChange={(e) =>
+                      setEditingOrder((prev) => ({
+                        ...prev,
+                        currency: e.target.value,
+                        exchangeRate: e.target.value === "TRY" ? 1 : prev.exchangeRate,
+                      }))
+                    }
+                    className={inputClassName}
+                  >
+                    {["TRY", "USD", "EUR", "CNY"].map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.0001"
+                    min="0"
+                    value={editingOrder.exchangeRate}
+                    disabled={editingOrder.currency === "TRY"}
+                    onChange={(e) =>
+                      setEditingOrder((prev) => ({
+                        ...prev,
+                        exchangeRate: e.target.value,
+                      }))
+                    }
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  ["shippingCost", "Nakliye"],
+                  ["customsCost", "Gümrük"],
+                  ["otherCosts", "Diğer"],
+                ].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={editingOrder[field]}
+                      onChange={(e) =>
+                        setEditingOrder((prev) => ({
+                          ...prev,
+                          [field]: e.target.value,
+                        }))
+                      }
+                      className={inputClassName}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Nakliye, gümrük ve diğer masraflar kalemlere tutarları oranında
+              dağıtılarak birim maliyete (landed cost) eklenir.
+            </p>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-700">Kalemler</span>
+                {isDraftOrder && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() =>
+                      setEditingOrder((prev) => ({
+                        ...prev,
+                        lines: [...prev.lines, { ...emptyLine }],
+                      }))
+                    }
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    Kalem Ekle
+                  </Button>
+                )}
+              </div>
+              <div className="space-y-2">
+                {editingOrder.lines.map((line, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2">
+                    <input
+                      type="text"
+                      placeholder="SKU"
+                      value={line.sku}
+                      disabled={!isDraftOrder}
+                      onChange={(e) => updateLine(index, "sku", e.target.value)}
+                      className={`${inputClassName} col-span-6`}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Adet"
+                      value={line.quantityOrdered}
+                      disabled={!isDraftOrder}
+                      onChange={(e) =>
+                        updateLine(index, "quantityOrdered", e.target.value)
+                      }
+                      className={`${inputClassName} col-span-2`}
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Birim fiyat"
+                      value={line.unitCost}
+                      disabled={!isDraftOrder}
+                      onChange={(e) => updateLine(index, "unitCost", e.target.value)}
+                      className={`${inputClassName} col-span-3`}
+                    />
+                    {isDraftOrder && editingOrder.lines.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setEditingOrder((prev) => ({
+                            ...prev,
+                            lines: prev.lines.filter((_, i) => i !== index),
+                          }))
+                        }
+                        className="text-red-500 hover:text-red-700"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <textarea
+              rows={2}
+              placeholder="Notlar"
+              value={editingOrder.notes}
+              onChange={(e) =>
+                setEditingOrder((prev) => ({ ...prev, notes: e.target.value }))
+              }
+              className={inputClassName}
+            />
+
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setEditingOrder(null)}>
+                Vazgeç
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleSaveOrder}
+                disabled={actionLoading === "save"}
+              >
+                {actionLoading === "save" && (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                )}
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Goods receipt dialog */}
+      {receivingOrder && (
+        <Modal
+          isOpen={true}
+          onClose={() => setReceivingOrder(null)}
+          title={`Mal Kabul: ${receivingOrder.poNumber}`}
+        >
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Depo
+              </label>
+              <select
+                value={receiveWarehouseId}
+                onChange={(e) => setReceiveWarehouseId(e.target.value)}
+                className={inputClassName}
+              >
+                <option value="">Varsayılan depo</option>
+                {warehouses.map((warehouse) => (
+                  <option key={warehouse.id} value={warehouse.id}>
+                    {warehouse.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="text-left py-1">SKU</th>
+                  <th className="text-left py-1">Sipariş / Alınan</th>
+                  <th className="text-left py-1">Şimdi Alınan</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receivingOrder.lines.map((line) => {
+                  const outstanding = line.quantityOrdered - line.quantityReceived;
+                  return (
+                    <tr key={line.id}>
+                      <td className="py-1 text-gray-900">
+                        {line.sku}
+                        <div className="text-xs text-gray-500">{line.name}</div>
+                      </td>
+                      <td className="py-1 text-gray-600">
+                        {line.quantityOrdered} / {line.quantityReceived}
+                      </td>
+                      <td className="py-1">
+                        <input
+                          type="number"
+                          min="0"
+                          max={outstanding}
+                          disabled={outstanding <= 0}
+                          value={receiveQuantities[line.id] ?? 0}
+                          onChange={(e) =>
+                            setReceiveQuantities((prev) => ({
+                              ...prev,
+                              [line.id]: e.target.value,
+                            }))
+                          }
+                          className="border border-gray-300 rounded px-2 py-1 w-24"
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setReceivingOrder(null)}>
+                Vazgeç
+              </Button>
+              <Button
+                variant="success"
+                onClick={handleReceive}
+                disabled={actionLoading === receivingOrder.id}
+              >
+                {actionLoading === receivingOrder.id && (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                )}
+                Teslim Al
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Supplier dialog */}
+      {editingSupplier && (
+        <Modal
+          isOpen={true}
+          onClose={() => setEditingSupplier(null)}
+          title={editingSupplier.id ? "Tedarikçiyi Düzenle" : "Yeni Tedarikçi"}
+        >
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              {[
+                ["name", "Firma Adı"],
+                ["code", "Kod"],
+                ["contactName", "Yetkili"],
+                ["email", "E-posta"],
+                ["phone", "Telefon"],
+                ["taxNumber", "Vergi / TC No"],
+                ["taxOffice", "Vergi Dairesi"],
+                ["leadTimeDays", "Tedarik Süresi (gün)"],
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {label}
+                  </label>
+                  <input
+                    type={field === "leadTimeDays" ? "number" : "text"}
+                    value={editingSupplier[field] ?? ""}
+                    onChange={(e) =>
+                      setEditingSupplier((prev) => ({
+                        ...prev,
+                        [field]: e.target.value,
+                      }))
+                    }
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+            <textarea
+              rows={2}
+              placeholder="Notlar"
+              value={editingSupplier.notes || ""}
+              onChange={(e) =>
+                setEditingSupplier((prev) => ({ ...prev, notes: e.target.value }))
+              }
+              className={inputClassName}
+            />
+            {editingSupplier.id && (
+              <label className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={Boolean(editingSupplier.isActive)}
+                  onChange={(e) =>
+                    setEditingSupplier((prev) => ({
+                      ...prev,
+                      isActive: e.target.checked,
+                    }))
+                  }
+                  className="mr-2"
+                />
+                Aktif
+              </label>
+            )}
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setEditingSupplier(null)}>
+                Vazgeç
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleSaveSupplier}
+                disabled={actionLoading === "supplier"}
+              >
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,564 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  RotateCcw,
+  RefreshCw,
+  Search,
+  CheckCircle,
+  XCircle,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  Package,
+} from "lucide-react";
+import { format } from "date-fns";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const statusLabels = {
+  pending: "Karar Bekliyor",
+  approved: "Onaylandı",
+  rejected: "Reddedildi",
+  cancelled: "İptal Edildi",
+  in_dispute: "İtirazda",
+};
+
+const statusVariants = {
+  pending: "warning",
+  approved: "success",
+  rejected: "danger",
+  cancelled: "secondary",
+  in_dispute: "info",
+};
+
+const platformLabels = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const ReturnsQueue = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [filters, setFilters] = useState({
+    status: "pending",
+    platformType: "all",
+  });
+  const [searchTerm, setSearchTerm] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, total: 0 });
+  const [expandedId, setExpandedId] = useState(null);
+  const [actionLoading, setActionLoading] = useState(null);
+
+  // Reject dialog state
+  const [rejectTarget, setRejectTarget] = useState(null);
+  const [rejectReason, setRejectReason] = useState("");
+  const [rejectReasonCode, setRejectReasonCode] = useState("");
+  const [rejectionReasons, setRejectionReasons] = useState([]);
+
+  const loadReturns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/returns", {
+        params: {
+          page: currentPage,
+          limit: 20,
+          ...filters,
+          search: searchTerm.trim() || undefined,
+        },
+      });
+
+      if (response.data.success) {
+        setReturns(response.data.data || []);
+        setPagination(response.data.pagination || { totalPages: 1, total: 0 });
+      }
+    } catch (err) {
+      logger.error("Error loading returns:", err);
+      handleError(err, "İadeler yüklenirken hata oluştu");
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, filters, searchTerm, handleError]);
+
+  useEffect(() => {
+    loadReturns();
+  }, [loadReturns]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      const response = await api.post("/returns/sync");
+      showAlert(response.data.message || "İadeler senkronize edildi", "success");
+
+      const failed = (response.data.data?.connections || []).filter(
+        (connection) => !connection.success
+      );
+      if (failed.length > 0) {
+        showAlert(
+          `${failed.length} bağlantıdan iade talepleri alınamadı`,
+          "warning"
+        );
+      }
+
+      await loadReturns();
+    } catch (err) {
+      handleError(err, "İadeler senkronize edilemedi");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleApprove = async (returnRecord) => {
+    if (
+      !window.confirm(
+        `${returnRecord.orderNumber} numaralı siparişin iadesi onaylansın ve ürünler stoğa geri eklensin mi?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(returnRecord.id);
+      const response = await api.post(`/returns/${returnRecord.id}/approve`, {
+        restock: true,
+      });
+
+      const skipped = response.data.restock?.skipped || [];
+      showAlert("İade onaylandı", "success");
+      if (skipped.length > 0) {
+        showAlert(
+          `${skipped.length} kalem stoğa eklenemedi (SKU eşleşmedi)`,
+          "warning"
+        );
+      }
+
+      await loadReturns();
+    } catch (err) {
+      handleError(err, "İade onaylanamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const openRejectDialog = async (returnRecord) => {
+    setRejectTarget(returnRecord);
+    setRejectReason("");
+    setRejectReasonCode("");
+    setRejectionReasons([]);
+
+    try {
+      const response = await api.get(
+        `/returns/rejection-reasons/${returnRecord.connectionId}`
+      );
+      setRejectionReasons(response.data.data || []);
+    } catch (err) {
+      logger.error("Error loading rejection reasons:", err);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!rejectReason.trim()) {
+      showAlert("Ret gerekçesi zorunludur", "warning");
+      return;
+    }
+
+    if (rejectionReasons.length > 0 && !rejectReasonCode) {
+      showAlert("Lütfen bir ret nedeni seçin", "warning");
+      return;
+    }
+
+    try {
+      setActionLoading(rejectTarget.id);
+      await api.post(`/returns/${rejectTarget.id}/reject`, {
+        reason: rejectReason.trim(),
+        reasonCode: rejectReasonCode || undefined,
+      });
+      showAlert("İade reddedildi", "success");
+      setRejectTarget(null);
+      await loadReturns();
+    } catch (err) {
+      handleError(err, "İade reddedilemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const formatDate = (date) =>
+    date ? format(new Date(date), "dd.MM.yyyy HH:mm") : "—";
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <RotateCcw className="h-8 w-8 text-blue-600 mr-3" />
+            İadeler ve Talepler
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Pazaryerlerinden gelen iade taleplerini onaylayın veya reddedin
+          </p>
+        </div>
+        <Button
+          onClick={handleSync}
+          variant="primary"
+          size="sm"
+          disabled={syncing}
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${syncing ? "animate-spin" : ""}`} />
+          Pazaryerlerinden Çek
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <Card className="bg-white mb-6">
+        <CardContent className="p-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="relative">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-3" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setCurrentPage(1);
+                }}
+                placeholder="Sipariş no, talep no veya kargo takip no"
+                className={`${inputClassName} pl-9`}
+              />
+            </div>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange("status", e.target.value)}
+              className={inputClassName}
+            >
+              <option value="all">Tüm Durumlar</option>
+              {Object.entries(statusLabels).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.platformType}
+              onChange={(e) =>
+                handleFilterChange("platformType", e.target.value)
+              }
+              className={inputClassName}
+            >
+              <option value="all">Tüm Pazaryerleri</option>
+              {Object.entries(platformLabels).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Returns table */}
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {loading && returns.length === 0 ? (
+            <div className="flex items-center justify-center h-64">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+              <span className="ml-2 text-gray-600">İadeler yükleniyor...</span>
+            </div>
+          ) : returns.length === 0 ? (
+            <div className="text-center py-16">
+              <Package className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Bu filtrelere uygun iade yok</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="w-8" />
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Sipariş
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Pazaryeri
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Neden
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Talep Tarihi
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Durum
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                      İşlemler
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {returns.map((returnRecord) => (
+                    <React.Fragment key={returnRecord.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="pl-4">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setExpandedId(
+                                expandedId === returnRecord.id
+                                  ? null
+                                  : returnRecord.id
+                              )
+                            }
+                            className="text-gray-400 hover:text-gray-600"
+                          >
+                            {expandedId === returnRecord.id ? (
+                              <ChevronDown className="h-4 w-4" />
+                            ) : (
+                              <ChevronRight className="h-4 w-4" />
+                            )}
+                          </button>
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <div className="font-medium text-gray-900">
+                            {returnRecord.orderNumber || "—"}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {returnRecord.order?.customerName ||
+                              "Sipariş içe aktarılmamış"}
+                          </div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {platformLabels[returnRecord.platformType] ||
+                            returnRecord.platformType}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {returnRecord.reason || "—"}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {formatDate(returnRecord.claimDate)}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <Badge variant={statusVariants[returnRecord.status]}>
+                            {statusLabels[returnRecord.status] ||
+                              returnRecord.status}
+                          </Badge>
+                          {returnRecord.restocked && (
+                            <div className="text-xs text-green-600 mt-1">
+                              Stoğa eklendi
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right">
+                          {returnRecord.status === "pending" && (
+                            <div className="flex justify-end space-x-2">
+                              <Button
+                                onClick={() => handleApprove(returnRecord)}
+                                variant="success"
+                                size="sm"
+                                disabled={actionLoading === returnRecord.id}
+                              >
+                                <CheckCircle className="h-4 w-4 mr-1" />
+                                Onayla
+                              </Button>
+                              <Button
+                                onClick={() => openRejectDialog(returnRecord)}
+                                variant="danger"
+                                size="sm"
+                                disabled={actionLoading === returnRecord.id}
+                              >
+                                <XCircle className="h-4 w-4 mr-1" />
+                                Reddet
+                              </Button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === returnRecord.id && (
+                        <tr className="bg-gray-50">
+                          <td />
+                          <td colSpan={6} className="px-4 py-3">
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-xs text-gray-500">
+                                  <th className="text-left py-1">Ürün</th>
+                                  <th className="text-left py-1">SKU / Barkod</th>
+                                  <th className="text-left py-1">Adet</th>
+                                  <th className="text-left py-1">Neden</th>
+                                  <th className="text-left py-1">Durum</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {(returnRecord.items || []).map((item) => (
+                                  <tr key={item.id}>
+                                    <td className="py-1 text-gray-900">
+                                      {item.title || "—"}
+                                    </td>
+                                    <td className="py-1 text-gray-600">
+                                      {item.sku || item.barcode || "—"}
+                                    </td>
+                                    <td className="py-1 text-gray-600">
+                                      {item.quantity}
+                                    </td>
+                                    <td className="py-1 text-gray-600">
+                                      {item.reason || "—"}
+                                    </td>
+                                    <td className="py-1">
+                                      <Badge
+                                        variant={statusVariants[item.status]}
+                                      >
+                                        {statusLabels[item.status] ||
+                                          item.status}
+                                      </Badge>
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            {returnRecord.customerNote && (
+                              <p className="text-sm text-gray-600 mt-2">
+                                <span className="font-medium">
+                                  Müşteri notu:
+                                </span>{" "}
+                                {returnRecord.customerNote}
+                              </p>
+                            )}
+                            {returnRecord.rejectionReason && (
+                              <p className="text-sm text-red-600 mt-2">
+                                <span className="font-medium">
+                                  Ret gerekçesi:
+                                </span>{" "}
+                                {returnRecord.rejectionReason}
+                              </p>
+                            )}
+                            {returnRecord.cargoTrackingNumber && (
+                              <p className="text-sm text-gray-600 mt-2">
+                                <span className="font-medium">
+                                  Kargo takip:
+                                </span>{" "}
+                                {returnRecord.cargoProvider}{" "}
+                                {returnRecord.cargoTrackingNumber}
+                              </p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Toplam {pagination.total} iade
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage <= 1}
+                  onClick={() => setCurrentPage((page) => page - 1)}
+                >
+                  Önceki
+                </Button>
+                <span className="text-sm text-gray-600 self-center">
+                  {currentPage} / {pagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage >= pagination.totalPages}
+                  onClick={() => setCurrentPage((page) => page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Reject dialog */}
+      {rejectTarget && (
+        <Modal
+          isOpen={true}
+          onClose={() => setRejectTarget(null)}
+          title="İadeyi Reddet"
+        >
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {rejectTarget.orderNumber} numaralı siparişin iade talebi
+              pazaryerinde reddedilecek.
+            </p>
+            {rejectionReasons.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Ret Nedeni
+                </label>
+                <select
+                  value={rejectReasonCode}
+                  onChange={(e) => setRejectReasonCode(e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">Seçiniz</option>
+                  {rejectionReasons.map((reason) => (
+                    <option key={reason.code} value={reason.code}>
+                      {reason.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Açıklama
+              </label>
+              <textarea
+                rows={4}
+                value={rejectReason}
+                onChange={(e) => setRejectReason(e.target.value)}
+                placeholder="Ürün kullanılmış, etiketleri sökülmüş vb."
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setRejectTarget(null)}>
+                Vazgeç
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleReject}
+                disabled={actionLoading === rejectTarget.id}
+              >
+                {actionLoading === rejectTarget.id && (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                )}
+                Reddet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default ReturnsQueue;
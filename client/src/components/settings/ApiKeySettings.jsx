@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  KeyIcon,
+  ClipboardDocumentIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { Card, CardHeader, CardTitle, CardContent } from "../ui/Card";
+import { useAlert } from "../../contexts/AlertContext";
+import api from "../../services/api";
+
+const emptyForm = { name: "", scopes: [], rateLimit: 60, expiresAt: "" };
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString() : "Never";
+
+/**
+ * API Key Settings Component
+ * Personal API keys that integrations such as ERP jobs send as a Bearer token
+ */
+const ApiKeySettings = () => {
+  const { showAlert } = useAlert();
+
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const showError = useCallback(
+    (title, error) => {
+      showAlert(
+        `${title}: ${error.response?.data?.error || error.message}`,
+        "error"
+      );
+    },
+    [showAlert]
+  );
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const [keysResponse, scopesResponse] = await Promise.all([
+        api.apiKeys.getKeys(),
+        api.apiKeys.getScopes(),
+      ]);
+      setApiKeys(keysResponse.data || []);
+      setScopes(scopesResponse.data || []);
+    } catch (error) {
+      showError("Failed to load API keys", error);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || form.scopes.length === 0) return;
+
+    setSaving(true);
+    try {
+      const response = await api.apiKeys.create({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        rateLimit: Number(form.rateLimit),
+        expiresAt: form.expiresAt
+          ? new Date(form.expiresAt).toISOString()
+          : null,
+      });
+      setCreatedKey(response.data.key);
+      setForm(emptyForm);
+      await loadKeys();
+    } catch (error) {
+      showError("Failed to create API key", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Revoke "${apiKey.name}"? Integrations using it will stop working.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await api.apiKeys.revoke(apiKey.id);
+      setApiKeys((prev) => prev.filter((item) => item.id !== apiKey.id));
+      showAlert("API key revoked", "success");
+    } catch (error) {
+      showError("Failed to revoke API key", error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      showAlert("API key copied", "success");
+    } catch (error) {
+      showError("Failed to copy API key", error);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <KeyIcon className="w-5 h-5 mr-2 text-yellow-600" />
+          API Keys
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-gray-500">
+          Send a key as <code>Authorization: Bearer &lt;key&gt;</code>. Keys
+          act as you, limited to their scopes and rate limit.
+        </p>
+
+        {createdKey && (
+          <div className="p-3 rounded-md bg-yellow-50 border border-yellow-200 space-y-2">
+            <p className="text-sm font-medium text-yellow-800">
+              Copy this key now. It will not be shown again.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 truncate text-xs">{createdKey}</code>
+              <button
+                type="button"
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm flex items-center"
+                onClick={handleCopy}
+              >
+                <ClipboardDocumentIcon className="w-4 h-4 mr-1" />
+                Copy
+              </button>
+              <button
+                type="button"
+                className="px-2 py-1 text-sm text-gray-500"
+                onClick={() => setCreatedKey(null)}
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {apiKeys.length > 0 ? (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {apiKeys.map((apiKey) => (
+              <div
+                key={apiKey.id}
+                className="flex items-start justify-between px-3 py-2"
+              >
+                <div className="space-y-1">
+                  <div className="text-sm font-medium text-gray-700">
+                    {apiKey.name}{" "}
+                    <code className="text-xs text-gray-500">
+                      {apiKey.prefix}…
+                    </code>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {apiKey.scopes.join(", ")}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Last used: {formatDate(apiKey.lastUsedAt)}
+                    {apiKey.lastUsedIp && ` from ${apiKey.lastUsedIp}`} ·{" "}
+                    {apiKey.usage?.count || 0}/{apiKey.rateLimit} requests this
+                    minute · Expires: {formatDate(apiKey.expiresAt)}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  className="p-1 text-red-500 hover:text-red-700"
+                  onClick={() => handleRevoke(apiKey)}
+                  title="Revoke key"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No API keys yet.</p>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <div className="flex flex-wrap gap-3">
+            <div className="flex-1">
+              <label className="text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                className="w-full px-3 py-1 border border-gray-300 rounded-md text-sm"
+                value={form.name}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, name: e.target.value }))
+                }
+                placeholder="ERP sync"
+                maxLength={100}
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-700">
+                Requests / minute
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={1000}
+                className="w-28 px-3 py-1 border border-gray-300 rounded-md text-sm block"
+                value={form.rateLimit}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, rateLimit: e.target.value }))
+                }
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-700">
+                Expires
+              </label>
+              <input
+                type="date"
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm block"
+                value={form.expiresAt}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, expiresAt: e.target.value }))
+                }
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-gray-700">Scopes</label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-1 mt-1">
+              {scopes.map(({ scope, allowed }) => (
+                <label
+                  key={scope}
+                  className={`flex items-center text-xs ${
+                    allowed ? "text-gray-700" : "text-gray-400"
+                  }`}
+                  title={allowed ? undefined : "Not allowed for your role"}
+                >
+                  <input
+                    type="checkbox"
+                    className="mr-1"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    disabled={!allowed}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            className="px-3 py-1 bg-blue-600 text-white rounded-md text-sm disabled:opacity-50"
+            disabled={saving || !form.name.trim() || form.scopes.length === 0}
+          >
+            {saving ? "Creating..." : "Create API Key"}
+          </button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApiKeySettings;
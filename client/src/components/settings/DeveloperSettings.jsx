@@ -9,6 +9,7 @@ import {
 } from "@heroicons/react/24/outline";
 import { useDeveloperSettings } from "../../contexts/DeveloperSettingsContext";
 import { Card, CardHeader, CardTitle, CardContent } from "../ui/Card";
+import ApiKeySettings from "./ApiKeySettings";
 
 const DeveloperSettings = () => {
   const { settings, updateSetting, resetSettings } = useDeveloperSettings();
@@ -21,13 +22,15 @@ const DeveloperSettings = () => {
     updateSetting(category, key, value);
   };
 
-  // Only show in development mode or if explicitly enabled
+  // Debugging tools only show in development mode or if explicitly enabled
   if (process.env.NODE_ENV !== "development" && !settings.debugMode) {
-    return null;
+    return <ApiKeySettings />;
   }
 
   return (
     <div className="space-y-6">
+      <ApiKeySettings />
+
       {/* Network Debugger Settings */}
       <Card>
         <CardHeader>
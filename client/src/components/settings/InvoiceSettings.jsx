@@ -30,15 +30,25 @@ import {
   TestTube,
   CheckCircle,
   AlertCircle,
+  FileMinus,
+  FileText,
 } from "lucide-react";
 import { useAlert } from "../../contexts/AlertContext";
 import qnbFinansService from "../../services/qnbFinansService";
+import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+
+const creditNoteStatusLabels = {
+  pending: "Gönderiliyor",
+  issued: "Düzenlendi",
+  failed: "Başarısız",
+};
 
 const InvoiceSettings = () => {
   const { showAlert } = useAlert();
   const [loading, setLoading] = useState(false);
   const [testingConnection, setTestingConnection] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState(null);
+  const [creditNotes, setCreditNotes] = useState(null);
 
   const [settings, setSettings] = useState({
     // QNB Finans e-solutions integration
@@ -154,6 +164,29 @@ const InvoiceSettings = () => {
     }
   };
 
+  const loadCreditNotes = async () => {
+    try {
+      const response = await qnbFinansService.getCreditNotes({ limit: 100 });
+      setCreditNotes(response.data || []);
+    } catch (error) {
+      logger.error("Error loading credit notes:", error);
+      showAlert("İade faturaları yüklenirken hata oluştu", "error");
+      setCreditNotes([]);
+    }
+  };
+
+  const openCreditNotePdf = async (creditNote) => {
+    try {
+      await qnbFinansService.openCreditNotePdf(creditNote.id);
+    } catch (error) {
+      logger.error("Error opening credit note PDF:", error);
+      showAlert(
+        `PDF açılamadı: ${qnbFinansService.formatErrorMessage(error)}`,
+        "error"
+      );
+    }
+  };
+
   const handleSettingChange = (category, field, value) => {
     setSettings((prev) => ({
       ...prev,
@@ -193,8 +226,16 @@ const InvoiceSettings = () => {
         </Button>
       </div>
 
-      <Tabs defaultValue="qnbfinans" className="space-y-6">
-        <TabsList className="grid w-full grid-cols-2">
+      <Tabs
+        defaultValue="qnbfinans"
+        className="space-y-6"
+        onValueChange={(value) => {
+          if (value === "creditnotes" && creditNotes === null) {
+            loadCreditNotes();
+          }
+        }}
+      >
+        <TabsList className="grid w-full grid-cols-3">
           <TabsTrigger value="qnbfinans" className="flex items-center gap-2">
             <Settings className="w-4 h-4" />
             QNB Finans API
@@ -203,6 +244,10 @@ const InvoiceSettings = () => {
             <Settings className="w-4 h-4" />
             Şirket Bilgileri
           </TabsTrigger>
+          <TabsTrigger value="creditnotes" className="flex items-center gap-2">
+            <FileMinus className="w-4 h-4" />
+            İade Faturaları
+          </TabsTrigger>
         </TabsList>
 
         {/* QNB Finans Settings */}
@@ -539,6 +584,95 @@ const InvoiceSettings = () => {
             </CardContent>
           </Card>
         </TabsContent>
+
+        {/* Return invoices issued from order detail */}
+        <TabsContent value="creditnotes">
+          <Card>
+            <CardHeader>
+              <CardTitle>İade Faturaları</CardTitle>
+              <CardDescription>
+                İade edilen ürünler için düzenlenen e-Arşiv ve e-Fatura iade
+                faturaları. Yeni iade faturası sipariş detayından oluşturulur.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {creditNotes === null ? (
+                <p className="text-sm text-gray-500">Yükleniyor...</p>
+              ) : creditNotes.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Henüz iade faturası düzenlenmedi.
+                </p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Fatura No</th>
+                      <th className="py-2">Sipariş</th>
+                      <th className="py-2">Orijinal Fatura</th>
+                      <th className="py-2">Tarih</th>
+                      <th className="py-2 text-right">Tutar</th>
+                      <th className="py-2">Durum</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {creditNotes.map((creditNote) => (
+                      <tr key={creditNote.id} className="border-b last:border-0">
+                        <td className="py-2 font-medium">
+                          {creditNote.creditNoteNumber || "—"}
+                        </td>
+                        <td className="py-2">
+                          <a
+                            href={`/orders/${creditNote.orderId}`}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {creditNote.orderNumber}
+                          </a>
+                        </td>
+                        <td className="py-2">
+                          {creditNote.originalInvoiceNumber}
+                        </td>
+                        <td className="py-2">
+                          {formatDate(
+                            creditNote.issuedAt || creditNote.createdAt
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          {formatCurrency(
+                            creditNote.totalAmount,
+                            creditNote.currency
+                          )}
+                        </td>
+                        <td
+                          className={`py-2 ${
+                            creditNote.status === "failed"
+                              ? "text-red-600"
+                              : "text-gray-700"
+                          }`}
+                          title={creditNote.errorMessage || undefined}
+                        >
+                          {creditNoteStatusLabels[creditNote.status] ||
+                            creditNote.status}
+                        </td>
+                        <td className="py-2 text-right">
+                          {creditNote.hasPdf && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => openCreditNotePdf(creditNote)}
+                            >
+                              <FileText className="w-4 h-4" />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
       </Tabs>
     </div>
   );
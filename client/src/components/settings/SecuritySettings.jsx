@@ -1,12 +1,15 @@
 import React, { useState, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
 import { useTranslation } from "../../i18n/hooks/useTranslation";
 import { useAlert } from "../../contexts/AlertContext";
+import { useAuth } from "../../hooks/useAuth";
 import {
   KeyIcon,
   EyeIcon,
   EyeSlashIcon,
   LockClosedIcon,
   DevicePhoneMobileIcon,
+  ComputerDesktopIcon,
 } from "@heroicons/react/24/outline";
 
 /**
@@ -65,6 +68,8 @@ const PasswordStrengthIndicator = ({ password, t }) => {
 const SecuritySettings = ({ onSettingsChange, onLoadingChange }) => {
   const { t } = useTranslation();
   const { showAlert } = useAlert();
+  const { logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
 
   const [passwordData, setPasswordData] = useState({
     currentPassword: "",
@@ -207,6 +212,38 @@ const SecuritySettings = ({ onSettingsChange, onLoadingChange }) => {
     }
   }, [onLoadingChange, onSettingsChange, showAlert, t]);
 
+  const [loggingOutAll, setLoggingOutAll] = useState(false);
+
+  const handleLogoutAllDevices = useCallback(async () => {
+    if (
+      !window.confirm(
+        t(
+          "settings.security.sessions.confirm",
+          {},
+          "Bu cihaz dahil tüm cihazlardaki oturumlarınız kapatılacak. Devam edilsin mi?"
+        )
+      )
+    ) {
+      return;
+    }
+
+    setLoggingOutAll(true);
+    try {
+      await logoutAllDevices();
+      navigate("/login");
+    } catch (error) {
+      showAlert(
+        t(
+          "settings.security.sessions.error",
+          {},
+          "Tüm cihazlardan çıkış yapılamadı"
+        ),
+        "error"
+      );
+      setLoggingOutAll(false);
+    }
+  }, [logoutAllDevices, navigate, showAlert, t]);
+
   return (
     <div className="settings-tab-content">
       {/* Password Change Section */}
@@ -424,6 +461,37 @@ const SecuritySettings = ({ onSettingsChange, onLoadingChange }) => {
         </div>
       </section>
 
+      {/* Sessions Section */}
+      <section className="card">
+        <div className="card-header">
+          <h2 className="card-title">
+            <ComputerDesktopIcon className="h-5 w-5 mr-2" />
+            {t("settings.security.sessions.title", {}, "Oturumlar")}
+          </h2>
+          <p className="card-subtitle">
+            {t(
+              "settings.security.sessions.description",
+              {},
+              "Hesabınıza giriş yapılmış tüm cihazlardaki oturumları kapatın"
+            )}
+          </p>
+        </div>
+        <div className="card-body">
+          <button
+            type="button"
+            className="btn btn-danger"
+            onClick={handleLogoutAllDevices}
+            disabled={loggingOutAll}
+          >
+            {t(
+              "settings.security.sessions.logoutAll",
+              {},
+              "Tüm cihazlardan çıkış yap"
+            )}
+          </button>
+        </div>
+      </section>
+
       {/* Security Preferences Section */}
       <section className="card">
         <div className="card-header">
@@ -10,6 +10,8 @@ import {
   DocumentTextIcon,
   CodeBracketIcon,
   LanguageIcon,
+  TruckIcon,
+  UserGroupIcon,
 } from "@heroicons/react/24/outline";
 import "./SettingsScoped.css";
 
@@ -19,6 +21,8 @@ import SecuritySettings from "./SecuritySettings";
 import NotificationSettings from "./NotificationSettings";
 import IntegrationSettings from "./IntegrationSettings";
 import InvoiceSettings from "./InvoiceSettings";
+import ShippingRuleSettings from "./ShippingRuleSettings";
+import TeamSettings from "./TeamSettings";
 import DeveloperSettings from "./DeveloperSettings";
 import TranslationManager from "./TranslationManager";
 
@@ -30,9 +34,11 @@ const useTranslation = () => ({
       "settings.description": "Manage your account settings and preferences",
       "settings.tabs.general": "General",
       "settings.tabs.security": "Security",
+      "settings.tabs.team": "Team",
       "settings.tabs.notifications": "Notifications",
       "settings.tabs.integrations": "Integrations",
       "settings.tabs.invoice": "Invoice Settings",
+      "settings.tabs.shippingRules": "Shipping Rules",
       "settings.tabs.developer": "Developer",
       "settings.tabs.translation": "Translations",
       "settings.unsavedChanges": "You have unsaved changes",
@@ -83,6 +89,13 @@ const SettingsWrapper = () => {
       description:
         "Password management, two-factor authentication, and security settings",
     },
+    {
+      id: "team",
+      name: t("settings.tabs.team"),
+      icon: UserGroupIcon,
+      component: TeamSettings,
+      description: "Organization members, roles, and invitations",
+    },
     {
       id: "notifications",
       name: t("settings.tabs.notifications"),
@@ -107,6 +120,13 @@ const SettingsWrapper = () => {
       description:
         "Invoice templates, numbering systems, and financial settings",
     },
+    {
+      id: "shippingRules",
+      name: t("settings.tabs.shippingRules"),
+      icon: TruckIcon,
+      component: ShippingRuleSettings,
+      description: "Carrier selection rules applied to imported orders",
+    },
     {
       id: "developer",
       name: t("settings.tabs.developer"),
@@ -0,0 +1,693 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "../ui/Card";
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import { Label } from "../ui/Label";
+import { Badge } from "../ui/Badge";
+import { Switch } from "../ui/Switch";
+import {
+  Plus,
+  Edit,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Play,
+  Truck,
+  Loader2,
+} from "lucide-react";
+import { useAlert } from "../../contexts/AlertContext";
+import api from "../../services/api";
+
+const LIST_FIELDS = [
+  { key: "cities", label: "Cities", placeholder: "İstanbul, Ankara" },
+  { key: "districts", label: "Districts", placeholder: "Kadıköy, Çankaya" },
+  {
+    key: "marketplaces",
+    label: "Marketplaces",
+    placeholder: "trendyol, hepsiburada",
+  },
+  { key: "productTags", label: "Product tags", placeholder: "fragile, bulky" },
+];
+
+const NUMBER_FIELDS = [
+  { key: "minWeight", label: "Min weight (kg)" },
+  { key: "maxWeight", label: "Max weight (kg)" },
+  { key: "minOrderValue", label: "Min order value" },
+  { key: "maxOrderValue", label: "Max order value" },
+];
+
+const emptyForm = {
+  id: null,
+  name: "",
+  isActive: true,
+  cities: "",
+  districts: "",
+  marketplaces: "",
+  productTags: "",
+  minWeight: "",
+  maxWeight: "",
+  minOrderValue: "",
+  maxOrderValue: "",
+  cashOnDelivery: "any",
+  carrier: "",
+  serviceType: "",
+  shippingTemplateId: "",
+};
+
+const selectClassName =
+  "w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const ruleToForm = (rule) => {
+  const conditions = rule.conditions || {};
+  const actions = rule.actions || {};
+  const form = { ...emptyForm, id: rule.id, name: rule.name };
+
+  form.isActive = rule.isActive !== false;
+  LIST_FIELDS.forEach(({ key }) => {
+    form[key] = (conditions[key] || []).join(", ");
+  });
+  NUMBER_FIELDS.forEach(({ key }) => {
+    form[key] = conditions[key] ?? "";
+  });
+  if (typeof conditions.cashOnDelivery === "boolean") {
+    form.cashOnDelivery = conditions.cashOnDelivery ? "yes" : "no";
+  }
+  form.carrier = actions.carrier || "";
+  form.serviceType = actions.serviceType || "";
+  form.shippingTemplateId = actions.shippingTemplateId || "";
+  return form;
+};
+
+const formToRule = (form) => {
+  const conditions = {};
+  LIST_FIELDS.forEach(({ key }) => {
+    const values = splitList(form[key]);
+    if (values.length > 0) {
+      conditions[key] = values;
+    }
+  });
+  NUMBER_FIELDS.forEach(({ key }) => {
+    if (form[key] !== "") {
+      conditions[key] = Number(form[key]);
+    }
+  });
+  if (form.cashOnDelivery !== "any") {
+    conditions.cashOnDelivery = form.cashOnDelivery === "yes";
+  }
+
+  const actions = { carrier: form.carrier };
+  if (form.serviceType) {
+    actions.serviceType = form.serviceType;
+  }
+  if (form.shippingTemplateId) {
+    actions.shippingTemplateId = form.shippingTemplateId;
+  }
+
+  return {
+    name: form.name.trim(),
+    isActive: form.isActive,
+    conditions,
+    actions,
+  };
+};
+
+const describeConditions = (conditions = {}) => {
+  const parts = [];
+  LIST_FIELDS.forEach(({ key, label }) => {
+    if (conditions[key]?.length) {
+      parts.push(`${label}: ${conditions[key].join(", ")}`);
+    }
+  });
+  if (conditions.minWeight !== undefined || conditions.maxWeight !== undefined) {
+    parts.push(
+      `Weight: ${conditions.minWeight ?? 0}–${conditions.maxWeight ?? "∞"} kg`
+    );
+  }
+  if (
+    conditions.minOrderValue !== undefined ||
+    conditions.maxOrderValue !== undefined
+  ) {
+    parts.push(
+      `Value: ${conditions.minOrderValue ?? 0}–${
+        conditions.maxOrderValue ?? "∞"
+      }`
+    );
+  }
+  if (typeof conditions.cashOnDelivery === "boolean") {
+    parts.push(conditions.cashOnDelivery ? "Cash on delivery" : "Prepaid");
+  }
+  return parts.length > 0 ? parts.join(" · ") : "All orders";
+};
+
+const ShippingRuleSettings = () => {
+  const [rules, setRules] = useState([]);
+  const [carriers, setCarriers] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+  const [previewDays, setPreviewDays] = useState(7);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const { showAlert } = useAlert();
+
+  const showError = useCallback(
+    (title, error) => {
+      logger.error(title, error);
+      showAlert(error.response?.data?.message || error.message, "error", {
+        title,
+      });
+    },
+    [showAlert]
+  );
+
+  const loadRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/shipping/rules");
+      if (response.data.success) {
+        setRules(response.data.data || []);
+      }
+    } catch (error) {
+      showError("Failed to load shipping rules", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadRules();
+
+    const loadOptions = async () => {
+      try {
+        const [carrierResponse, templateResponse] = await Promise.all([
+          api.get("/shipping/carriers"),
+          api.get("/shipping/templates"),
+        ]);
+        setCarriers(carrierResponse.data.data || []);
+        setTemplates(templateResponse.data.data || []);
+      } catch (error) {
+        logger.error("Error loading carriers or templates:", error);
+      }
+    };
+    loadOptions();
+  }, [loadRules]);
+
+  const updateForm = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.carrier) {
+      showAlert("A rule needs a name and a carrier", "error", {
+        title: "Missing fields",
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const payload = formToRule(form);
+      if (form.id) {
+        await api.put(`/shipping/rules/${form.id}`, payload);
+      } else {
+        await api.post("/shipping/rules", payload);
+      }
+      showAlert("Shipping rule saved", "success");
+      setForm(null);
+      await loadRules();
+    } catch (error) {
+      showError("Failed to save shipping rule", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) {
+      return;
+    }
+    try {
+      await api.delete(`/shipping/rules/${rule.id}`);
+      setRules((prev) => prev.filter((item) => item.id !== rule.id));
+    } catch (error) {
+      showError("Failed to delete shipping rule", error);
+    }
+  };
+
+  const handleToggle = async (rule, isActive) => {
+    try {
+      const response = await api.put(`/shipping/rules/${rule.id}`, {
+        isActive,
+      });
+      setRules((prev) =>
+        prev.map((item) => (item.id === rule.id ? response.data.data : item))
+      );
+    } catch (error) {
+      showError("Failed to update shipping rule", error);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) {
+      return;
+    }
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setRules(reordered);
+
+    try {
+      const response = await api.put("/shipping/rules/order", {
+        ruleIds: reordered.map((rule) => rule.id),
+      });
+      setRules(response.data.data || reordered);
+    } catch (error) {
+      showError("Failed to reorder shipping rules", error);
+      loadRules();
+    }
+  };
+
+  // The preview uses the open editor's version of a rule, so changes can be
+  // checked against recent orders before they are saved
+  const handlePreview = async () => {
+    const draft = form ? { ...formToRule(form), id: form.id } : null;
+    const editorRules = rules.map((rule) =>
+      draft && rule.id === draft.id ? draft : rule
+    );
+    if (draft && !draft.id && draft.name && draft.actions.carrier) {
+      editorRules.push(draft);
+    }
+
+    try {
+      setPreviewing(true);
+      const response = await api.post("/shipping/rules/dry-run", {
+        rules: editorRules.map((rule, index) => ({
+          id: rule.id,
+          name: rule.name,
+          isActive: rule.isActive,
+          conditions: rule.conditions,
+          actions: rule.actions,
+          priority: index,
+        })),
+        days: previewDays,
+      });
+      setPreview(response.data.data);
+    } catch (error) {
+      showError("Failed to preview shipping rules", error);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const carrierName = (code) =>
+    carriers.find((carrier) => carrier.code?.toLowerCase() === code)?.name ||
+    code;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Truck className="h-5 w-5" />
+              Shipping Rules
+            </CardTitle>
+            <CardDescription>
+              Imported orders get the carrier of the first matching rule.
+              Orders that match no rule keep waiting for a manual choice.
+            </CardDescription>
+          </div>
+          <Button
+            onClick={() => setForm({ ...emptyForm })}
+            disabled={Boolean(form)}
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            New Rule
+          </Button>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          ) : rules.length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">
+              No shipping rules yet. Orders are assigned a carrier manually.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {rules.map((rule, index) => (
+                <li
+                  key={rule.id}
+                  className="flex items-center justify-between gap-4 py-3"
+                >
+                  <div className="flex items-center gap-3">
+                    <span className="w-6 text-sm font-medium text-gray-400">
+                      {index + 1}
+                    </span>
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">
+                          {rule.name}
+                        </span>
+                        <Badge variant="secondary">
+                          {carrierName(rule.actions?.carrier)}
+                          {rule.actions?.serviceType
+                            ? ` · ${rule.actions.serviceType}`
+                            : ""}
+                        </Badge>
+                        {rule.matchCount > 0 && (
+                          <span className="text-xs text-gray-500">
+                            {rule.matchCount} orders
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {describeConditions(rule.conditions)}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Switch
+                      checked={rule.isActive}
+                      onCheckedChange={(checked) => handleToggle(rule, checked)}
+                    />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move up"
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === rules.length - 1}
+                      aria-label="Move down"
+                    >
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setForm(ruleToForm(rule))}
+                      aria-label="Edit"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDelete(rule)}
+                      aria-label="Delete"
+                    >
+                      <Trash2 className="h-4 w-4 text-red-500" />
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      {form && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{form.id ? "Edit Rule" : "New Rule"}</CardTitle>
+            <CardDescription>
+              Empty conditions match every order. List conditions match when
+              any of the values matches.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="rule-name">Name</Label>
+                <Input
+                  id="rule-name"
+                  value={form.name}
+                  onChange={(e) => updateForm("name", e.target.value)}
+                  placeholder="Heavy parcels to Istanbul"
+                />
+              </div>
+              <div className="flex items-end gap-2 pb-2">
+                <Switch
+                  id="rule-active"
+                  checked={form.isActive}
+                  onCheckedChange={(checked) => updateForm("isActive", checked)}
+                />
+                <Label htmlFor="rule-active">Active</Label>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="mb-3 text-sm font-semibold text-gray-900">
+                Conditions
+              </h4>
+              <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                {LIST_FIELDS.map(({ key, label, placeholder }) => (
+                  <div key={key} className="space-y-2">
+                    <Label htmlFor={`rule-${key}`}>{label}</Label>
+                    <Input
+                      id={`rule-${key}`}
+                      value={form[key]}
+                      onChange={(e) => updateForm(key, e.target.value)}
+                      placeholder={placeholder}
+                    />
+                  </div>
+                ))}
+                {NUMBER_FIELDS.map(({ key, label }) => (
+                  <div key={key} className="space-y-2">
+                    <Label htmlFor={`rule-${key}`}>{label}</Label>
+                    <Input
+                      id={`rule-${key}`}
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form[key]}
+                      onChange={(e) => updateForm(key, e.target.value)}
+                    />
+                  </div>
+                ))}
+                <div className="space-y-2">
+                  <Label htmlFor="rule-cod">Payment</Label>
+                  <select
+                    id="rule-cod"
+                    className={selectClassName}
+                    value={form.cashOnDelivery}
+                    onChange={(e) =>
+                      updateForm("cashOnDelivery", e.target.value)
+                    }
+                  >
+                    <option value="any">Any payment</option>
+                    <option value="yes">Cash on delivery only</option>
+                    <option value="no">Prepaid only</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <h4 className="mb-3 text-sm font-semibold text-gray-900">
+                Actions
+              </h4>
+              <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+                <div className="space-y-2">
+                  <Label htmlFor="rule-carrier">Carrier</Label>
+                  <select
+                    id="rule-carrier"
+                    className={selectClassName}
+                    value={form.carrier}
+                    onChange={(e) => updateForm("carrier", e.target.value)}
+                  >
+                    <option value="">Select a carrier</option>
+                    {carriers.map((carrier) => (
+                      <option
+                        key={carrier.code}
+                        value={carrier.code.toLowerCase()}
+                      >
+                        {carrier.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="rule-service">Service type</Label>
+                  <select
+                    id="rule-service"
+                    className={selectClassName}
+                    value={form.serviceType}
+                    onChange={(e) => updateForm("serviceType", e.target.value)}
+                  >
+                    <option value="">Carrier default</option>
+                    <option value="STANDARD">Standard</option>
+                    <option value="EXPRESS">Express</option>
+                    <option value="ECONOMY">Economy</option>
+                  </select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="rule-template">Shipping slip</Label>
+                  <select
+                    id="rule-template"
+                    className={selectClassName}
+                    value={form.shippingTemplateId}
+                    onChange={(e) =>
+                      updateForm("shippingTemplateId", e.target.value)
+                    }
+                  >
+                    <option value="">Default template</option>
+                    {templates.map((template) => (
+                      <option key={template.id} value={template.id}>
+                        {template.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setForm(null)}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saving}>
+                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save Rule
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Preview</CardTitle>
+          <CardDescription>
+            Shows which rule recent orders would get, including unsaved
+            changes in the editor. Nothing is changed.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-end gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="preview-days">Orders from the last</Label>
+              <select
+                id="preview-days"
+                className={selectClassName}
+                value={previewDays}
+                onChange={(e) => setPreviewDays(Number(e.target.value))}
+              >
+                <option value={1}>1 day</option>
+                <option value={7}>7 days</option>
+                <option value={30}>30 days</option>
+              </select>
+            </div>
+            <Button
+              variant="outline"
+              onClick={handlePreview}
+              disabled={previewing}
+            >
+              {previewing ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Play className="mr-2 h-4 w-4" />
+              )}
+              Run Preview
+            </Button>
+          </div>
+
+          {preview && (
+            <>
+              <p className="text-sm text-gray-600">
+                {preview.summary.matched} of {preview.summary.evaluated} orders
+                match a rule
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">
+                        Order
+                      </th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">
+                        Destination
+                      </th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">
+                        Weight
+                      </th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">
+                        Current
+                      </th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">
+                        Would get
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {preview.orders.map((row) => (
+                      <tr key={row.orderId}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium">{row.orderNumber}</div>
+                          <div className="text-xs text-gray-500">
+                            {row.facts.marketplace}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2">
+                          {[row.facts.district, row.facts.city]
+                            .filter(Boolean)
+                            .join(", ") || "—"}
+                        </td>
+                        <td className="px-3 py-2">
+                          {row.facts.billableWeight} kg
+                        </td>
+                        <td className="px-3 py-2">
+                          {row.current.carrier
+                            ? carrierName(row.current.carrier)
+                            : "—"}
+                        </td>
+                        <td className="px-3 py-2">
+                          {row.match ? (
+                            <div>
+                              <Badge variant="success">
+                                {carrierName(row.match.actions.carrier)}
+                              </Badge>
+                              <div className="text-xs text-gray-500">
+                                {row.match.ruleName}
+                              </div>
+                            </div>
+                          ) : (
+                            <span className="text-gray-400">No match</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ShippingRuleSettings;
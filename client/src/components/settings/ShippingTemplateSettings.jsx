@@ -47,7 +47,7 @@ import {
   Grid,
   Search,
 } from "lucide-react";
-import { useToast } from "../ui/use-toast";
+import { useAlert } from "../../contexts/AlertContext";
 import api from "../../services/api";
 import TemplateManager from "../../services/TemplateManager";
 import ShippingSlipDesigner from "../shipping/ShippingSlipDesigner";
@@ -67,7 +67,7 @@ const ShippingTemplateSettings = () => {
     showRulers: true,
     showElementOutlines: false,
   });
-  const { toast } = useToast();
+  const { showAlert } = useAlert();
 
   const loadTemplates = React.useCallback(async () => {
     logger.info("🔧 DEBUG: loadTemplates called");
@@ -85,15 +85,11 @@ const ShippingTemplateSettings = () => {
       }
     } catch (error) {
       logger.error("🔧 DEBUG: Failed to load templates:", error);
-      toast({
-        title: "Error",
-        description: "Failed to load shipping templates",
-        variant: "destructive",
-      });
+      showAlert("Failed to load shipping templates", "error");
     } finally {
       setLoading(false);
     }
-  }, [toast]);
+  }, [showAlert]);
 
   const loadDefaultTemplate = React.useCallback(async () => {
     try {
@@ -144,18 +140,11 @@ const ShippingTemplateSettings = () => {
       });
       if (response.data.success) {
         setDefaultTemplateId(templateId);
-        toast({
-          title: "Success",
-          description: "Default template updated successfully",
-        });
+        showAlert("Default template updated successfully", "success");
       }
     } catch (error) {
       logger.error("Failed to set default template:", error);
-      toast({
-        title: "Error",
-        description: "Failed to set default template",
-        variant: "destructive",
-      });
+      showAlert("Failed to set default template", "error");
     }
   };
 
@@ -167,18 +156,11 @@ const ShippingTemplateSettings = () => {
         if (defaultTemplateId === templateId) {
           setDefaultTemplateId(null);
         }
-        toast({
-          title: "Success",
-          description: "Template deleted successfully",
-        });
+        showAlert("Template deleted successfully", "success");
       }
     } catch (error) {
       logger.error("Failed to delete template:", error);
-      toast({
-        title: "Error",
-        description: "Failed to delete template",
-        variant: "destructive",
-      });
+      showAlert("Failed to delete template", "error");
     }
   };
 
@@ -195,45 +177,29 @@ const ShippingTemplateSettings = () => {
       const response = await api.post("/shipping/templates", duplicated);
       if (response.data.success) {
         setTemplates((prev) => [...prev, response.data.data]);
-        toast({
-          title: "Success",
-          description: "Template duplicated successfully",
-        });
+        showAlert("Template duplicated successfully", "success");
       }
     } catch (error) {
       logger.error("Failed to duplicate template:", error);
-      toast({
-        title: "Error",
-        description: "Failed to duplicate template",
-        variant: "destructive",
-      });
+      showAlert("Failed to duplicate template", "error");
     }
   };
 
   const handleExportTemplate = async (template) => {
     try {
       await TemplateManager.export(template);
-      toast({
-        title: "Success",
-        description: "Template exported successfully",
-      });
+      showAlert("Template exported successfully", "success");
     } catch (error) {
       logger.error("Failed to export template:", error);
-      toast({
-        title: "Error",
-        description: "Failed to export template",
-        variant: "destructive",
-      });
+      showAlert("Failed to export template", "error");
     }
   };
 
   const handlePreviewTemplate = (template) => {
     // Check if template has required properties to render
     if (!template || !template.elements || !template.elements.length) {
-      toast({
+      showAlert("This template has no elements to preview.", "warning", {
         title: "Preview not available",
-        description: "This template has no elements to preview.",
-        variant: "warning",
       });
       return;
     }
@@ -251,18 +217,11 @@ const ShippingTemplateSettings = () => {
       const response = await api.post("/shipping/templates", template);
       if (response.data.success) {
         setTemplates((prev) => [...prev, response.data.data]);
-        toast({
-          title: "Success",
-          description: "Template imported successfully",
-        });
+        showAlert("Template imported successfully", "success");
       }
     } catch (error) {
       logger.error("Failed to import template:", error);
-      toast({
-        title: "Error",
-        description: "Failed to import template",
-        variant: "destructive",
-      });
+      showAlert("Failed to import template", "error");
     }
 
     // Reset file input
@@ -312,18 +271,11 @@ const ShippingTemplateSettings = () => {
               setSelectedTemplate(null);
 
               logger.info("🔧 DEBUG: Showing success toast");
-              toast({
-                title: "Success",
-                description: "Template saved successfully",
-              });
+              showAlert("Template saved successfully", "success");
               logger.info("🔧 DEBUG: onSave callback completed successfully");
             } catch (error) {
               logger.error("🔧 DEBUG: Error in onSave callback:", error);
-              toast({
-                title: "Error",
-                description: "Failed to refresh templates after save",
-                variant: "destructive",
-              });
+              showAlert("Failed to refresh templates after save", "error");
             }
           }}
           onCancel={() => {
@@ -0,0 +1,450 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "../ui/Card";
+import { Button } from "../ui/Button";
+import { Input } from "../ui/Input";
+import { Label } from "../ui/Label";
+import { Badge } from "../ui/Badge";
+import { Users, UserPlus, Trash2, LogOut, Copy, Loader2 } from "lucide-react";
+import { useAlert } from "../../contexts/AlertContext";
+import { useAuth } from "../../hooks/useAuth";
+import api from "../../services/api";
+
+const ROLE_OPTIONS = [
+  {
+    value: "operator",
+    label: "Operator",
+    description: "Everything except members and billing",
+  },
+  {
+    value: "warehouse",
+    label: "Warehouse",
+    description: "Orders, inventory, shipping labels and returns",
+  },
+  {
+    value: "accountant",
+    label: "Accountant",
+    description: "Invoices and financial reports",
+  },
+  {
+    value: "read_only",
+    label: "Read-only",
+    description: "Can view but not change anything",
+  },
+];
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  ...Object.fromEntries(ROLE_OPTIONS.map(({ value, label }) => [value, label])),
+};
+
+const selectClassName =
+  "rounded-md border border-gray-300 bg-white px-3 py-2 text-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const emptyInvite = { email: "", role: "operator" };
+
+/**
+ * Team Settings Component
+ * Organisation members, their roles and pending invitations
+ */
+const TeamSettings = () => {
+  const { showAlert } = useAlert();
+  const { user } = useAuth();
+
+  const [current, setCurrent] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [organizationName, setOrganizationName] = useState("");
+  const [invite, setInvite] = useState(emptyInvite);
+  const [lastInvitationUrl, setLastInvitationUrl] = useState(null);
+
+  const canManage = current?.permissions?.includes("*");
+
+  const showError = useCallback(
+    (title, error) => {
+      showAlert(
+        `${title}: ${error.response?.data?.error || error.message}`,
+        "error"
+      );
+    },
+    [showAlert]
+  );
+
+  const loadTeam = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.organizations.getCurrent();
+      const organization = response.data;
+      setCurrent(organization);
+
+      if (organization) {
+        const manager = organization.permissions.includes("*");
+        const [membersResponse, invitationsResponse] = await Promise.all([
+          api.organizations.getMembers(),
+          manager
+            ? api.organizations.getInvitations()
+            : Promise.resolve({ data: [] }),
+        ]);
+        setMembers(membersResponse.data || []);
+        setInvitations(invitationsResponse.data || []);
+      }
+    } catch (error) {
+      showError("Failed to load team", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadTeam();
+  }, [loadTeam]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!organizationName.trim()) return;
+
+    setSaving(true);
+    try {
+      await api.organizations.create({ name: organizationName.trim() });
+      showAlert("Organization created", "success");
+      setOrganizationName("");
+      await loadTeam();
+    } catch (error) {
+      showError("Failed to create organization", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!invite.email.trim()) return;
+
+    setSaving(true);
+    try {
+      const response = await api.organizations.invite(invite);
+      setLastInvitationUrl(response.data.invitationUrl);
+      setInvite(emptyInvite);
+      showAlert(
+        `Invitation sent to ${response.data.invitation.email}`,
+        "success"
+      );
+      await loadTeam();
+    } catch (error) {
+      showError("Failed to send invitation", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await api.organizations.updateMember(member.id, role);
+      setMembers((prev) =>
+        prev.map((item) => (item.id === member.id ? { ...item, role } : item))
+      );
+      showAlert("Role updated", "success");
+    } catch (error) {
+      showError("Failed to update role", error);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const name = member.user?.fullName || member.user?.email;
+    if (!window.confirm(`Remove ${name} from the organization?`)) return;
+
+    try {
+      await api.organizations.removeMember(member.id);
+      setMembers((prev) => prev.filter((item) => item.id !== member.id));
+      showAlert("Member removed", "success");
+    } catch (error) {
+      showError("Failed to remove member", error);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    try {
+      await api.organizations.revokeInvitation(invitation.id);
+      setInvitations((prev) =>
+        prev.filter((item) => item.id !== invitation.id)
+      );
+      showAlert("Invitation revoked", "success");
+    } catch (error) {
+      showError("Failed to revoke invitation", error);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (
+      !window.confirm(
+        `Leave ${current.organization.name}? You will go back to your own account.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await api.organizations.leave();
+      // Every loaded page belonged to the organisation's account
+      window.location.assign("/");
+    } catch (error) {
+      showError("Failed to leave organization", error);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(lastInvitationUrl);
+      showAlert("Invitation link copied", "success");
+    } catch (error) {
+      showError("Failed to copy link", error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!current) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Users className="mr-2 h-5 w-5" />
+            Team
+          </CardTitle>
+          <CardDescription>
+            Create an organization to invite staff to work on this account with
+            their own login and role
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="flex items-end gap-3">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor="organizationName">Organization name</Label>
+              <Input
+                id="organizationName"
+                value={organizationName}
+                onChange={(e) => setOrganizationName(e.target.value)}
+                placeholder="Company name"
+              />
+            </div>
+            <Button type="submit" disabled={saving || !organizationName.trim()}>
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Create Organization
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-start justify-between">
+            <div>
+              <CardTitle className="flex items-center">
+                <Users className="mr-2 h-5 w-5" />
+                {current.organization.name}
+              </CardTitle>
+              <CardDescription>
+                Your role:{" "}
+                <Badge variant="secondary">
+                  {ROLE_LABELS[current.role] || current.role}
+                </Badge>
+              </CardDescription>
+            </div>
+            {current.role !== "owner" && (
+              <Button variant="outline" onClick={handleLeave}>
+                <LogOut className="mr-2 h-4 w-4" />
+                Leave
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">
+                    Member
+                  </th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">
+                    Role
+                  </th>
+                  {canManage && <th className="px-3 py-2" />}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {members.map((member) => (
+                  <tr key={member.id}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium">
+                        {member.user?.fullName || member.user?.username}
+                        {member.userId === user?.id && (
+                          <span className="ml-1 text-gray-400">(you)</span>
+                        )}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {member.user?.email}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      {canManage && member.role !== "owner" ? (
+                        <select
+                          className={selectClassName}
+                          value={member.role}
+                          onChange={(e) =>
+                            handleRoleChange(member, e.target.value)
+                          }
+                        >
+                          {ROLE_OPTIONS.map(({ value, label }) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <Badge
+                          variant={
+                            member.role === "owner" ? "default" : "secondary"
+                          }
+                        >
+                          {ROLE_LABELS[member.role] || member.role}
+                        </Badge>
+                      )}
+                    </td>
+                    {canManage && (
+                      <td className="px-3 py-2 text-right">
+                        {member.role !== "owner" && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleRemove(member)}
+                            title="Remove member"
+                          >
+                            <Trash2 className="h-4 w-4 text-red-500" />
+                          </Button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+
+      {canManage && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <UserPlus className="mr-2 h-5 w-5" />
+              Invite Members
+            </CardTitle>
+            <CardDescription>
+              Invitations are emailed and expire after 7 days
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <form onSubmit={handleInvite} className="flex items-end gap-3">
+              <div className="flex-1 space-y-1">
+                <Label htmlFor="inviteEmail">Email</Label>
+                <Input
+                  id="inviteEmail"
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) =>
+                    setInvite((prev) => ({ ...prev, email: e.target.value }))
+                  }
+                  placeholder="name@company.com"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="inviteRole">Role</Label>
+                <select
+                  id="inviteRole"
+                  className={`block ${selectClassName}`}
+                  value={invite.role}
+                  onChange={(e) =>
+                    setInvite((prev) => ({ ...prev, role: e.target.value }))
+                  }
+                >
+                  {ROLE_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <Button type="submit" disabled={saving || !invite.email.trim()}>
+                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Send Invitation
+              </Button>
+            </form>
+            <p className="text-xs text-gray-500">
+              {ROLE_OPTIONS.find(({ value }) => value === invite.role)
+                ?.description}
+            </p>
+
+            {lastInvitationUrl && (
+              <div className="flex items-center gap-2 rounded-md bg-gray-50 p-3 text-sm">
+                <span className="flex-1 truncate font-mono text-xs">
+                  {lastInvitationUrl}
+                </span>
+                <Button variant="outline" size="sm" onClick={handleCopyLink}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  Copy Link
+                </Button>
+              </div>
+            )}
+
+            {invitations.length > 0 && (
+              <div className="divide-y divide-gray-200 rounded-md border border-gray-200">
+                {invitations.map((invitation) => (
+                  <div
+                    key={invitation.id}
+                    className="flex items-center justify-between px-3 py-2 text-sm"
+                  >
+                    <div>
+                      <div className="font-medium">{invitation.email}</div>
+                      <div className="text-xs text-gray-500">
+                        {ROLE_LABELS[invitation.role] || invitation.role} ·
+                        expires{" "}
+                        {new Date(invitation.expiresAt).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRevoke(invitation)}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default TeamSettings;
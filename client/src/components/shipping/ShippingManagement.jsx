@@ -19,11 +19,25 @@ import {
 import api from "../../services/api";
 import { useAlert } from "../../contexts/AlertContext";
 
+const SHIPMENTS_PAGE_SIZE = 25;
+
 const ShippingManagement = () => {
   const [activeTab, setActiveTab] = useState("carriers");
   const [carriers, setCarriers] = useState([]);
   const [shipments, setShipments] = useState([]);
+  const [shipmentsPage, setShipmentsPage] = useState(1);
+  const [shipmentsMeta, setShipmentsMeta] = useState({
+    total: 0,
+    totalPages: 1,
+  });
+  const [newShipment, setNewShipment] = useState({
+    carrier: "",
+    serviceType: "STANDARD",
+  });
   const [rates, setRates] = useState([]);
+  const [pendingManifests, setPendingManifests] = useState([]);
+  const [manifests, setManifests] = useState([]);
+  const [closingManifest, setClosingManifest] = useState(false);
   const [loading, setLoading] = useState(false);
   const [showCarrierModal, setShowCarrierModal] = useState(false);
   const [showCreateShipmentModal, setShowCreateShipmentModal] = useState(false);
@@ -98,12 +112,27 @@ const ShippingManagement = () => {
           break;
         case "shipments":
           const shipmentsResponse = await api.get("/shipping/shipments", {
-            params: filters,
+            params: {
+              ...filters,
+              page: shipmentsPage,
+              limit: SHIPMENTS_PAGE_SIZE,
+            },
           });
           if (shipmentsResponse.data.success) {
             setShipments(shipmentsResponse.data.data || []);
+            setShipmentsMeta(
+              shipmentsResponse.data.meta || { total: 0, totalPages: 1 }
+            );
           }
           break;
+        case "manifests":
+          const [pendingResponse, manifestsResponse] = await Promise.all([
+            api.get("/shipping/manifests/pending"),
+            api.get("/shipping/manifests", { params: { limit: 50 } }),
+          ]);
+          setPendingManifests(pendingResponse.data.data || []);
+          setManifests(manifestsResponse.data.data || []);
+          break;
         case "rates":
           // Keep existing rates or fetch new ones
           break;
@@ -117,7 +146,7 @@ const ShippingManagement = () => {
     } finally {
       setLoading(false);
     }
-  }, [activeTab, filters, showAlert]);
+  }, [activeTab, filters, shipmentsPage, showAlert]);
 
   useEffect(() => {
     fetchData();
@@ -242,12 +271,23 @@ const ShippingManagement = () => {
   const handleCreateShipment = async (orderIds) => {
     try {
       setLoading(true);
-      const response = await api.post("/shipping/labels/create", {
+      // Without a carrier each order ships with its rule-assigned carrier
+      const response = await api.post("/shipping/shipments", {
         orderIds,
-        carrier: "auto",
+        carrier: newShipment.carrier || undefined,
+        serviceType: newShipment.serviceType,
+        fromAddress,
       });
       if (response.data.success) {
-        showAlert("Shipment created successfully!", "success");
+        const failures = response.data.failures || [];
+        showAlert(
+          failures.length > 0
+            ? `${response.data.data.length} shipment(s) created, ${failures.length} failed: ${failures
+                .map((f) => `${f.orderNumber || f.orderId}: ${f.error}`)
+                .join("; ")}`
+            : response.data.message,
+          failures.length > 0 ? "warning" : "success"
+        );
         setShowCreateShipmentModal(false);
         setSelectedOrders([]);
         fetchData();
@@ -258,12 +298,156 @@ const ShippingManagement = () => {
       }
     } catch (error) {
       logger.error("Failed to create shipment:", error);
-      showAlert("Failed to create shipment: " + error.message, "error");
+      showAlert(
+        "Failed to create shipment: " +
+          (error.response?.data?.error?.message || error.message),
+        "error"
+      );
     } finally {
       setLoading(false);
     }
   };
 
+  const handleShipmentLabel = async (shipment) => {
+    try {
+      const response = await api.get(
+        `/shipping/shipments/${shipment.id}/label`,
+        { responseType: "blob" }
+      );
+
+      const url = window.URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      window.open(url, "_blank");
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      logger.error("Failed to open shipping label:", error);
+      showAlert("Shipping label is not available", "error");
+    }
+  };
+
+  const handleCancelShipment = async (shipment) => {
+    if (
+      !window.confirm(
+        `Cancel shipment ${shipment.trackingNumber} with ${shipment.carrierName}?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await api.post(
+        `/shipping/shipments/${shipment.id}/cancel`
+      );
+      showAlert(response.data.message, "success");
+      fetchData();
+    } catch (error) {
+      logger.error("Failed to cancel shipment:", error);
+      showAlert(
+        "Failed to cancel shipment: " +
+          (error.response?.data?.error?.message || error.message),
+        "error"
+      );
+    }
+  };
+
+  const handleCloseManifest = async (carrier = null) => {
+    const target = carrier
+      ? pendingManifests.find((pending) => pending.carrier === carrier)
+          ?.carrierName
+      : "all carriers";
+    if (
+      !window.confirm(
+        `Close the manifest for ${target}? Labels created afterwards go into the next manifest.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setClosingManifest(true);
+      const response = await api.post("/shipping/manifests", { carrier });
+      const failed = response.data.data.filter(
+        (manifest) => manifest.closeOutStatus === "failed"
+      );
+      showAlert(
+        failed.length > 0
+          ? `${response.data.message}. Carrier close-out failed for ${failed
+              .map((manifest) => manifest.manifestNumber)
+              .join(", ")}`
+          : response.data.message,
+        failed.length > 0 ? "warning" : "success"
+      );
+      fetchData();
+    } catch (error) {
+      logger.error("Failed to close manifest:", error);
+      showAlert(
+        "Failed to close manifest: " +
+          (error.response?.data?.error?.message || error.message),
+        "error"
+      );
+    } finally {
+      setClosingManifest(false);
+    }
+  };
+
+  const handleManifestPdf = async (manifest) => {
+    try {
+      const response = await api.get(`/shipping/manifests/${manifest.id}/pdf`, {
+        responseType: "blob",
+      });
+
+      const url = window.URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      window.open(url, "_blank");
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      logger.error("Failed to open manifest PDF:", error);
+      showAlert("Manifest PDF could not be generated", "error");
+    }
+  };
+
+  const handleRetryCloseOut = async (manifest) => {
+    try {
+      const response = await api.post(
+        `/shipping/manifests/${manifest.id}/close-out`
+      );
+      showAlert(
+        response.data.message,
+        response.data.data.closeOutStatus === "submitted" ? "success" : "warning"
+      );
+      fetchData();
+    } catch (error) {
+      logger.error("Failed to submit manifest:", error);
+      showAlert(
+        "Failed to submit manifest: " +
+          (error.response?.data?.error?.message || error.message),
+        "error"
+      );
+    }
+  };
+
+  const getCloseOutBadge = (manifest) => {
+    switch (manifest.closeOutStatus) {
+      case "submitted":
+        return <Badge bg="success">Submitted</Badge>;
+      case "failed":
+        return (
+          <Badge bg="danger" title={manifest.closeOutError || ""}>
+            Close-out failed
+          </Badge>
+        );
+      default:
+        return <Badge bg="secondary">Printed list only</Badge>;
+    }
+  };
+
+  const updateShipmentFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setShipmentsPage(1);
+  };
+
   const handleAddCarrier = async () => {
     try {
       if (!newCarrier.name || !newCarrier.code || !newCarrier.type) {
@@ -334,16 +518,19 @@ const ShippingManagement = () => {
   const getStatusBadge = (status) => {
     const variants = {
       pending: "warning",
+      created: "info",
       picked_up: "info",
       in_transit: "primary",
       out_for_delivery: "warning",
       delivered: "success",
+      delivery_failed: "danger",
+      on_hold: "warning",
       cancelled: "danger",
       returned: "secondary",
     };
     return (
       <Badge bg={variants[status] || "secondary"}>
-        {status.replace("_", " ").toUpperCase()}
+        {status.replace(/_/g, " ").toUpperCase()}
       </Badge>
     );
   };
@@ -552,10 +739,10 @@ const ShippingManagement = () => {
                   <InputGroup>
                     <Form.Control
                       type="text"
-                      placeholder="Search shipments..."
+                      placeholder="Search tracking #, order # or customer..."
                       value={filters.search}
                       onChange={(e) =>
-                        setFilters({ ...filters, search: e.target.value })
+                        updateShipmentFilters({ search: e.target.value })
                       }
                     />
                     <Button variant="outline-secondary">
@@ -567,13 +754,17 @@ const ShippingManagement = () => {
                   <Form.Select
                     value={filters.status}
                     onChange={(e) =>
-                      setFilters({ ...filters, status: e.target.value })
+                      updateShipmentFilters({ status: e.target.value })
                     }
                   >
                     <option value="">All Status</option>
-                    <option value="pending">Pending</option>
+                    <option value="created">Label Created</option>
                     <option value="in_transit">In Transit</option>
+                    <option value="out_for_delivery">Out for Delivery</option>
                     <option value="delivered">Delivered</option>
+                    <option value="delivery_failed">Delivery Failed</option>
+                    <option value="on_hold">On Hold</option>
+                    <option value="returned">Returned</option>
                     <option value="cancelled">Cancelled</option>
                   </Form.Select>
                 </Col>
@@ -581,14 +772,14 @@ const ShippingManagement = () => {
                   <Form.Select
                     value={filters.carrier}
                     onChange={(e) =>
-                      setFilters({ ...filters, carrier: e.target.value })
+                      updateShipmentFilters({ carrier: e.target.value })
                     }
                   >
                     <option value="">All Carriers</option>
                     {carriers.map((carrier) => (
                       <option
                         key={`filter-${carrier.id || carrier.code}`}
-                        value={carrier.id}
+                        value={carrier.code}
                       >
                         {carrier.name}
                       </option>
@@ -646,7 +837,18 @@ const ShippingManagement = () => {
                         <td>
                           <Badge bg="secondary">{shipment.carrierName}</Badge>
                         </td>
-                        <td>{getStatusBadge(shipment.status)}</td>
+                        <td>
+                          {getStatusBadge(shipment.status)}
+                          {shipment.exceptionReason && (
+                            <div>
+                              <Badge bg="danger" className="mt-1">
+                                {shipment.exceptionReason
+                                  .replace(/_/g, " ")
+                                  .toUpperCase()}
+                              </Badge>
+                            </div>
+                          )}
+                        </td>
                         <td>
                           {shipment.shipDate
                             ? formatDate(shipment.shipDate)
@@ -673,19 +875,190 @@ const ShippingManagement = () => {
                               <i className="fas fa-map-marker-alt"></i>
                             </Button>
                             <Button
-                              variant="outline-info"
+                              variant="outline-secondary"
                               size="sm"
-                              title="Update"
+                              title="Label"
+                              disabled={!shipment.hasLabel}
+                              onClick={() => handleShipmentLabel(shipment)}
                             >
-                              <i className="fas fa-edit"></i>
+                              <i className="fas fa-print"></i>
                             </Button>
+                            {shipment.status === "created" && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                title="Cancel"
+                                onClick={() => handleCancelShipment(shipment)}
+                              >
+                                <i className="fas fa-times"></i>
+                              </Button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+
+              {shipmentsMeta.totalPages > 1 && (
+                <div className="d-flex justify-content-between align-items-center">
+                  <small className="text-muted">
+                    {shipmentsMeta.total} shipments
+                  </small>
+                  <div className="d-flex gap-2 align-items-center">
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      disabled={shipmentsPage <= 1}
+                      onClick={() => setShipmentsPage((page) => page - 1)}
+                    >
+                      Previous
+                    </Button>
+                    <small>
+                      {shipmentsPage} / {shipmentsMeta.totalPages}
+                    </small>
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      disabled={shipmentsPage >= shipmentsMeta.totalPages}
+                      onClick={() => setShipmentsPage((page) => page + 1)}
+                    >
+                      Next
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </Tab>
+
+            {/* Manifests Tab */}
+            <Tab eventKey="manifests" title="Manifests">
+              <Card className="mb-4">
+                <Card.Header className="d-flex justify-content-between align-items-center">
+                  <h6 className="mb-0">Waiting for Pickup</h6>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    disabled={closingManifest || pendingManifests.length === 0}
+                    onClick={() => handleCloseManifest()}
+                  >
+                    {closingManifest ? (
+                      <Spinner animation="border" size="sm" className="me-2" />
+                    ) : (
+                      <i className="fas fa-clipboard-check me-2"></i>
+                    )}
+                    Close All Manifests
+                  </Button>
+                </Card.Header>
+                <Card.Body>
+                  {pendingManifests.length === 0 ? (
+                    <p className="text-muted mb-0">
+                      Every labelled shipment is already on a manifest
+                    </p>
+                  ) : (
+                    <Table responsive className="mb-0">
+                      <thead className="table-light">
+                        <tr>
+                          <th>Carrier</th>
+                          <th>Packages</th>
+                          <th>Total Weight</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pendingManifests.map((pending) => (
+                          <tr key={pending.carrier}>
+                            <td>
+                              <Badge bg="secondary">{pending.carrierName}</Badge>
+                            </td>
+                            <td>{pending.shipmentCount}</td>
+                            <td>{pending.totalWeight.toFixed(2)} kg</td>
+                            <td className="text-end">
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                disabled={closingManifest}
+                                onClick={() =>
+                                  handleCloseManifest(pending.carrier)
+                                }
+                              >
+                                Close Manifest
+                              </Button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  )}
+                </Card.Body>
+              </Card>
+
+              {manifests.length === 0 ? (
+                <div className="text-center py-5">
+                  <i className="fas fa-clipboard-list display-4 text-muted mb-3"></i>
+                  <h5 className="text-muted">No manifests yet</h5>
+                  <p className="text-muted">
+                    Close a manifest when the courier picks up the day's
+                    packages
+                  </p>
+                </div>
+              ) : (
+                <Table responsive hover>
+                  <thead className="table-light">
+                    <tr>
+                      <th>Manifest #</th>
+                      <th>Carrier</th>
+                      <th>Date</th>
+                      <th>Packages</th>
+                      <th>Total Weight</th>
+                      <th>Carrier Close-out</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {manifests.map((manifest) => (
+                      <tr key={manifest.id}>
+                        <td>
+                          <strong>{manifest.manifestNumber}</strong>
+                          {manifest.carrierReference && (
+                            <div>
+                              <small className="text-muted">
+                                {manifest.carrierReference}
+                              </small>
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg="secondary">{manifest.carrierName}</Badge>
+                        </td>
+                        <td>{formatDate(manifest.manifestDate)}</td>
+                        <td>{manifest.shipmentCount}</td>
+                        <td>
+                          {manifest.totalWeight !== null
+                            ? `${manifest.totalWeight.toFixed(2)} kg`
+                            : "-"}
+                        </td>
+                        <td>{getCloseOutBadge(manifest)}</td>
+                        <td>
+                          <div className="btn-group btn-group-sm">
                             <Button
                               variant="outline-secondary"
                               size="sm"
-                              title="Label"
+                              title="Handover list"
+                              onClick={() => handleManifestPdf(manifest)}
                             >
                               <i className="fas fa-print"></i>
                             </Button>
+                            {manifest.closeOutStatus === "failed" && (
+                              <Button
+                                variant="outline-warning"
+                                size="sm"
+                                title="Retry carrier close-out"
+                                onClick={() => handleRetryCloseOut(manifest)}
+                              >
+                                <i className="fas fa-redo"></i>
+                              </Button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -914,15 +1287,17 @@ const ShippingManagement = () => {
         <Modal.Body>
           <Alert variant="info">
             <i className="fas fa-info-circle me-2"></i>
-            Select orders to create shipments. Orders must be in 'paid' status
-            to be eligible for shipping.
+            Labels are created with the selected carrier, or with the
+            carrier each order got from its shipping rule, and stored as
+            shipments. Orders must be new, pending or processing and not
+            already shipped.
           </Alert>
           <Form>
             <Form.Group className="mb-3">
               <Form.Label>Order IDs (comma-separated)</Form.Label>
               <Form.Control
                 type="text"
-                placeholder="e.g., ORD-001, ORD-002, ORD-003"
+                placeholder="Order IDs, separated by commas"
                 value={selectedOrders.join(", ")}
                 onChange={(e) =>
                   setSelectedOrders(
@@ -939,23 +1314,33 @@ const ShippingManagement = () => {
             </Form.Group>
             <Form.Group className="mb-3">
               <Form.Label>Carrier</Form.Label>
-              <Form.Select required>
-                <option value="">Select carrier...</option>
-                {carriers
-                  .filter((c) => c.isActive)
-                  .map((carrier) => (
-                    <option key={carrier.id} value={carrier.id}>
-                      {carrier.name}
-                    </option>
-                  ))}
+              <Form.Select
+                value={newShipment.carrier}
+                onChange={(e) =>
+                  setNewShipment({ ...newShipment, carrier: e.target.value })
+                }
+              >
+                <option value="">Assigned by shipping rules</option>
+                {carriers.map((carrier) => (
+                  <option key={carrier.code} value={carrier.code}>
+                    {carrier.name}
+                  </option>
+                ))}
               </Form.Select>
             </Form.Group>
             <Form.Group className="mb-3">
               <Form.Label>Service Type</Form.Label>
-              <Form.Select>
-                <option value="standard">Standard</option>
-                <option value="express">Express</option>
-                <option value="overnight">Overnight</option>
+              <Form.Select
+                value={newShipment.serviceType}
+                onChange={(e) =>
+                  setNewShipment({
+                    ...newShipment,
+                    serviceType: e.target.value,
+                  })
+                }
+              >
+                <option value="STANDARD">Standard</option>
+                <option value="EXPRESS">Express</option>
               </Form.Select>
             </Form.Group>
           </Form>
@@ -15,6 +15,7 @@ import {
 } from "../constants/dataFields.js";
 import {
   BARCODE_FORMATS,
+  ZPL_NATIVE_FORMATS,
   getSampleBarcodeContent,
 } from "../constants/barcodeTypes";
 
@@ -205,6 +206,11 @@ export const BarcodeBasicSection = ({
                 </option>
               ))}
           </select>
+          {!ZPL_NATIVE_FORMATS.includes(element.barcodeType || "code128") && (
+            <div className="mt-1 text-xs text-amber-600 dark:text-amber-400">
+              Termal yazıcı çıktısında (ZPL) Code 128 olarak basılır
+            </div>
+          )}
         </div>
 
         {/* Barcode Preview */}
@@ -117,6 +117,41 @@ export const BARCODE_FORMATS = {
     upcecomposite: "upcecomposite",                       // UPC-E Composite
 };
 
+// Types thermal printers draw natively when slips are printed as ZPL. Keep in
+// sync with ZPL_BARCODES in server/services/templateBasedZplGenerator.js;
+// any other type is printed as Code 128 there.
+export const ZPL_NATIVE_FORMATS = [
+  "azreccode",
+  "code11",
+  "code128",
+  "code2of5",
+  "code39",
+  "code39ext",
+  "code93",
+  "code93ext",
+  "datamatrix",
+  "ean13",
+  "ean8",
+  "gs1_128",
+  "gs1datamatrix",
+  "hibccode128",
+  "hibccode39",
+  "industrial2of5",
+  "interleaved2of5",
+  "itf14",
+  "maxicode",
+  "micropdf417",
+  "msi",
+  "pdf417",
+  "planet",
+  "plessey",
+  "postnet",
+  "qrcode",
+  "rationalizedCodabar",
+  "upca",
+  "upce",
+];
+
 // For sample content generation
 export const getSampleBarcodeContent = (barcodeType) => {
   switch (barcodeType?.toLowerCase()) {
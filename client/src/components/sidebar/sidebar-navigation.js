@@ -207,6 +207,11 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
                 ? orderCounts.delivered.toString()
                 : null,
           },
+          {
+            name: "İadeler",
+            href: "/returns",
+            ariaLabel: "İade ve talep yönetimi",
+          },
         ],
       },
       {
@@ -231,6 +236,16 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
             href: "/products/inventory",
             ariaLabel: "Stok durumu takibi",
           },
+          {
+            name: "Depolar",
+            href: "/products/warehouses",
+            ariaLabel: "Depo, raf ve transfer yönetimi",
+          },
+          {
+            name: "Satın Alma",
+            href: "/products/purchasing",
+            ariaLabel: "Tedarikçi ve satın alma siparişi yönetimi",
+          },
           {
             name: "Fiyatlandırma",
             href: "/products/pricing",
@@ -498,6 +513,11 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
             href: "/settings/api",
             ariaLabel: "API anahtar yönetimi",
           },
+          {
+            name: "Webhooklar",
+            href: "/settings/webhooks",
+            ariaLabel: "Webhook abonelikleri ve gönderim kaydı",
+          },
           {
             name: "Kullanıcılar",
             href: "/settings/users",
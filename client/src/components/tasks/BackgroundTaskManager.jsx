@@ -22,6 +22,7 @@ import {
   User,
   ArrowUpDown,
   X,
+  CalendarClock,
 } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
 import { tr } from "date-fns/locale";
@@ -30,6 +31,7 @@ import { useAlert } from "../../contexts/AlertContext";
 import { Button, Card, CardContent, Badge } from "../ui";
 import { useErrorHandler } from "../../hooks/useErrorHandler";
 import TaskDetailModal from "./TaskDetailModal";
+import TaskSchedulesPanel from "./TaskSchedulesPanel";
 
 const BackgroundTaskManager = () => {
   const { showAlert } = useAlert();
@@ -47,6 +49,7 @@ const BackgroundTaskManager = () => {
   const [pagination, setPagination] = useState({ totalPages: 1, total: 0 });
   const [refreshing, setRefreshing] = useState(false);
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
   const [selectedTasks, setSelectedTasks] = useState([]);
   const [recordCount] = useState(20);
   const [sortConfig, setSortConfig] = useState({
@@ -488,6 +491,14 @@ const BackgroundTaskManager = () => {
             </p>
           </div>
           <div className="flex space-x-3">
+            <Button
+              onClick={() => setShowSchedules((prev) => !prev)}
+              variant={showSchedules ? "primary" : "outline"}
+              size="sm"
+            >
+              <CalendarClock className="h-4 w-4 mr-2" />
+              Zamanlamalar
+            </Button>
             <Button
               onClick={handleRefresh}
               variant="outline"
@@ -503,6 +514,16 @@ const BackgroundTaskManager = () => {
         </div>
       </div>
 
+      {showSchedules && (
+        <TaskSchedulesPanel
+          taskTypes={taskTypes}
+          priorities={priorities}
+          getStatusText={getStatusText}
+          getStatusVariant={getStatusVariant}
+          onTaskQueued={handleRefresh}
+        />
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-8 gap-4 mb-6">
         <Card className="bg-white">
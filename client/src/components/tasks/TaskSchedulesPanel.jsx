@@ -0,0 +1,555 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  CalendarClock,
+  Plus,
+  Play,
+  Pause,
+  Pencil,
+  Trash2,
+  Loader2,
+  X,
+} from "lucide-react";
+import { formatDistanceToNow, format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+// Task types the server has executors for; the first two need a connection
+const SCHEDULABLE_TASK_TYPES = [
+  "order_fetching",
+  "product_sync",
+  "inventory_sync",
+];
+const CONNECTION_TASK_TYPES = ["order_fetching", "product_sync"];
+
+const emptyForm = {
+  name: "",
+  taskType: "order_fetching",
+  priority: "normal",
+  platformConnectionId: "",
+  scheduleType: "interval",
+  intervalMinutes: 60,
+  cronExpression: "0 3 * * *",
+  timezone: "Europe/Istanbul",
+  isActive: true,
+};
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const TaskSchedulesPanel = ({
+  taskTypes,
+  priorities,
+  getStatusText,
+  getStatusVariant,
+  onTaskQueued,
+}) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [schedules, setSchedules] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [actionLoading, setActionLoading] = useState(null);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/background-tasks/schedules");
+      if (response.data.success) {
+        setSchedules(response.data.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading task schedules:", err);
+      handleError(err, "Zamanlanmış görevler yüklenirken hata oluştu");
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  const loadConnections = useCallback(async () => {
+    try {
+      const response = await api.get("/platforms/connections");
+      setConnections(response.data.data || []);
+    } catch (err) {
+      logger.error("Error loading platform connections:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+    loadConnections();
+  }, [loadSchedules, loadConnections]);
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (schedule) => {
+    setEditingId(schedule.id);
+    setForm({
+      name: schedule.name,
+      taskType: schedule.taskType,
+      priority: schedule.priority,
+      platformConnectionId: schedule.platformConnectionId || "",
+      scheduleType: schedule.scheduleType,
+      intervalMinutes: schedule.intervalMinutes || 60,
+      cronExpression: schedule.cronExpression || "0 3 * * *",
+      timezone: schedule.timezone,
+      isActive: schedule.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: form.name.trim(),
+      taskType: form.taskType,
+      priority: form.priority,
+      platformConnectionId: form.platformConnectionId
+        ? parseInt(form.platformConnectionId, 10)
+        : null,
+      scheduleType: form.scheduleType,
+      intervalMinutes:
+        form.scheduleType === "interval"
+          ? parseInt(form.intervalMinutes, 10)
+          : null,
+      cronExpression:
+        form.scheduleType === "cron" ? form.cronExpression.trim() : null,
+      timezone: form.timezone,
+      isActive: form.isActive,
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await api.put(`/background-tasks/schedules/${editingId}`, payload);
+        showAlert("Zamanlama güncellendi", "success");
+      } else {
+        await api.post("/background-tasks/schedules", payload);
+        showAlert("Zamanlama oluşturuldu", "success");
+      }
+      setShowForm(false);
+      await loadSchedules();
+    } catch (err) {
+      handleError(err, "Zamanlama kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      setActionLoading(schedule.id);
+      await api.put(`/background-tasks/schedules/${schedule.id}`, {
+        isActive: !schedule.isActive,
+      });
+      showAlert(
+        schedule.isActive ? "Zamanlama durduruldu" : "Zamanlama etkinleştirildi",
+        "success"
+      );
+      await loadSchedules();
+    } catch (err) {
+      handleError(err, "Zamanlama güncellenemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRunNow = async (schedule) => {
+    try {
+      setActionLoading(schedule.id);
+      await api.post(`/background-tasks/schedules/${schedule.id}/run`);
+      showAlert("Görev kuyruğa eklendi", "success");
+      await loadSchedules();
+      if (onTaskQueued) {
+        onTaskQueued();
+      }
+    } catch (err) {
+      if (err.response?.status === 409) {
+        showAlert("Önceki çalıştırma henüz tamamlanmadı", "warning");
+      } else {
+        handleError(err, "Görev başlatılamadı");
+      }
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`"${schedule.name}" zamanlamasını silmek istiyor musunuz?`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(schedule.id);
+      await api.delete(`/background-tasks/schedules/${schedule.id}`);
+      showAlert("Zamanlama silindi", "success");
+      await loadSchedules();
+    } catch (err) {
+      handleError(err, "Zamanlama silinemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const describeTiming = (schedule) => {
+    if (schedule.scheduleType === "cron") {
+      return `Cron: ${schedule.cronExpression}`;
+    }
+    if (schedule.intervalMinutes % 1440 === 0) {
+      return `Her ${schedule.intervalMinutes / 1440} günde bir`;
+    }
+    if (schedule.intervalMinutes % 60 === 0) {
+      return `Her ${schedule.intervalMinutes / 60} saatte bir`;
+    }
+    return `Her ${schedule.intervalMinutes} dakikada bir`;
+  };
+
+  return (
+    <Card className="bg-white mb-6">
+      <CardContent className="p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <CalendarClock className="h-5 w-5 text-blue-600 mr-2" />
+            Zamanlanmış Görevler
+          </h2>
+          <Button onClick={openCreateForm} variant="primary" size="sm">
+            <Plus className="h-4 w-4 mr-2" />
+            Yeni Zamanlama
+          </Button>
+        </div>
+
+        {showForm && (
+          <form
+            onSubmit={handleSubmit}
+            className="border border-gray-200 rounded-lg p-4 mb-4 bg-gray-50"
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-medium text-gray-900">
+                {editingId ? "Zamanlamayı Düzenle" : "Yeni Zamanlama"}
+              </h3>
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Ad
+                </label>
+                <input
+                  type="text"
+                  required
+                  value={form.name}
+                  onChange={(e) => handleFormChange("name", e.target.value)}
+                  placeholder="Örn. Gece stok senkronizasyonu"
+                  className={inputClassName}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Görev Türü
+                </label>
+                <select
+                  value={form.taskType}
+                  onChange={(e) => handleFormChange("taskType", e.target.value)}
+                  className={inputClassName}
+                >
+                  {Object.entries(taskTypes)
+                    .filter(([value]) =>
+                      SCHEDULABLE_TASK_TYPES.includes(value)
+                    )
+                    .map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Platform Bağlantısı
+                </label>
+                <select
+                  value={form.platformConnectionId}
+                  onChange={(e) =>
+                    handleFormChange("platformConnectionId", e.target.value)
+                  }
+                  required={CONNECTION_TASK_TYPES.includes(form.taskType)}
+                  className={inputClassName}
+                >
+                  <option value="">Tüm bağlantılar / yok</option>
+                  {connections.map((connection) => (
+                    <option key={connection.id} value={connection.id}>
+                      {connection.name} ({connection.platformType})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Zamanlama Türü
+                </label>
+                <select
+                  value={form.scheduleType}
+                  onChange={(e) =>
+                    handleFormChange("scheduleType", e.target.value)
+                  }
+                  className={inputClassName}
+                >
+                  <option value="interval">Belirli aralıklarla</option>
+                  <option value="cron">Cron ifadesi</option>
+                </select>
+              </div>
+
+              {form.scheduleType === "interval" ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Aralık (dakika)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    required
+                    value={form.intervalMinutes}
+                    onChange={(e) =>
+                      handleFormChange("intervalMinutes", e.target.value)
+                    }
+                    className={inputClassName}
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Cron İfadesi
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    value={form.cronExpression}
+                    onChange={(e) =>
+                      handleFormChange("cronExpression", e.target.value)
+                    }
+                    placeholder="0 3 * * *"
+                    className={`${inputClassName} font-mono`}
+                  />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Öncelik
+                </label>
+                <select
+                  value={form.priority}
+                  onChange={(e) => handleFormChange("priority", e.target.value)}
+                  className={inputClassName}
+                >
+                  {Object.entries(priorities).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => handleFormChange("isActive", e.target.checked)}
+                  className="mr-2 rounded border-gray-300"
+                />
+                Etkin
+              </label>
+              <div className="flex space-x-3">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowForm(false)}
+                >
+                  Vazgeç
+                </Button>
+                <Button type="submit" variant="primary" size="sm" disabled={saving}>
+                  {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Kaydet
+                </Button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        {loading && schedules.length === 0 ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            <span className="ml-2 text-gray-600">Yükleniyor...</span>
+          </div>
+        ) : schedules.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">
+            Henüz zamanlanmış görev yok
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Ad
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Görev
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Zamanlama
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Sonraki Çalışma
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Son Çalışma
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                    İşlemler
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {schedules.map((schedule) => (
+                  <tr key={schedule.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {schedule.name}
+                      </div>
+                      {schedule.platformConnection && (
+                        <div className="text-xs text-gray-500">
+                          {schedule.platformConnection.name}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {taskTypes[schedule.taskType] || schedule.taskType}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <div>{describeTiming(schedule)}</div>
+                      {schedule.skippedCount > 0 && (
+                        <div className="text-xs text-amber-600">
+                          {schedule.skippedCount} çalışma atlandı (önceki devam
+                          ediyordu)
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {schedule.isActive && schedule.nextRunAt ? (
+                        format(new Date(schedule.nextRunAt), "dd.MM.yyyy HH:mm")
+                      ) : (
+                        <Badge variant="secondary">Durduruldu</Badge>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {schedule.lastRunAt ? (
+                        <div className="flex items-center space-x-2">
+                          <span>
+                            {formatDistanceToNow(new Date(schedule.lastRunAt), {
+                              addSuffix: true,
+                              locale: tr,
+                            })}
+                          </span>
+                          {schedule.lastTask && (
+                            <Badge
+                              variant={getStatusVariant(schedule.lastTask.status)}
+                            >
+                              {getStatusText(schedule.lastTask.status)}
+                            </Badge>
+                          )}
+                        </div>
+                      ) : (
+                        "—"
+                      )}
+                      {schedule.lastError && (
+                        <div className="text-xs text-red-600">
+                          {schedule.lastError}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right">
+                      <div className="flex justify-end space-x-2">
+                        <Button
+                          onClick={() => handleRunNow(schedule)}
+                          variant="outline"
+                          size="sm"
+                          disabled={actionLoading === schedule.id}
+                          title="Şimdi çalıştır"
+                        >
+                          <Play className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          onClick={() => handleToggle(schedule)}
+                          variant="outline"
+                          size="sm"
+                          disabled={actionLoading === schedule.id}
+                          title={schedule.isActive ? "Durdur" : "Etkinleştir"}
+                        >
+                          {schedule.isActive ? (
+                            <Pause className="h-4 w-4" />
+                          ) : (
+                            <CalendarClock className="h-4 w-4" />
+                          )}
+                        </Button>
+                        <Button
+                          onClick={() => openEditForm(schedule)}
+                          variant="outline"
+                          size="sm"
+                          title="Düzenle"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          onClick={() => handleDelete(schedule)}
+                          variant="danger"
+                          size="sm"
+                          disabled={actionLoading === schedule.id}
+                          title="Sil"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TaskSchedulesPanel;
@@ -0,0 +1,1020 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Warehouse,
+  Plus,
+  Edit2,
+  Trash2,
+  Search,
+  Loader2,
+  ArrowRightLeft,
+  MapPin,
+  Save,
+  Package,
+} from "lucide-react";
+import { format } from "date-fns";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const tabs = [
+  { id: "warehouses", label: "Depolar" },
+  { id: "stock", label: "Stok ve Raf" },
+  { id: "transfers", label: "Transferler" },
+  { id: "allocation", label: "Pazaryeri Kuralları" },
+];
+
+const typeLabels = {
+  own: "Kendi Depom",
+  third_party: "3PL / Fulfilment",
+};
+
+const platformLabels = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const emptyWarehouse = {
+  name: "",
+  code: "",
+  type: "own",
+  isSellable: true,
+  isDefault: false,
+  priority: 0,
+};
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const WarehouseManagement = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [activeTab, setActiveTab] = useState("warehouses");
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Warehouse form
+  const [editingWarehouse, setEditingWarehouse] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Stock tab
+  const [selectedWarehouseId, setSelectedWarehouseId] = useState("");
+  const [stock, setStock] = useState([]);
+  const [stockLoading, setStockLoading] = useState(false);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [stockPage, setStockPage] = useState(1);
+  const [stockPagination, setStockPagination] = useState({
+    totalPages: 1,
+    total: 0,
+  });
+  const [binDrafts, setBinDrafts] = useState({});
+  const [adjustForm, setAdjustForm] = useState(null);
+
+  // Transfers tab
+  const [transferForm, setTransferForm] = useState({
+    sku: "",
+    quantity: 1,
+    fromWarehouseId: "",
+    toWarehouseId: "",
+    reason: "",
+  });
+  const [transfers, setTransfers] = useState([]);
+  const [transferring, setTransferring] = useState(false);
+
+  // Allocation tab
+  const [rules, setRules] = useState([]);
+
+  const loadWarehouses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/warehouses", {
+        params: { includeInactive: true },
+      });
+      const list = response.data.data || [];
+      setWarehouses(list);
+      setSelectedWarehouseId((current) => current || list[0]?.id || "");
+    } catch (err) {
+      logger.error("Error loading warehouses:", err);
+      handleError(err, "Depolar yüklenirken hata oluştu");
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  const loadStock = useCallback(async () => {
+    if (!selectedWarehouseId) {
+      setStock([]);
+      return;
+    }
+
+    try {
+      setStockLoading(true);
+      const response = await api.get(
+        `/warehouses/${selectedWarehouseId}/stock`,
+        {
+          params: {
+            page: stockPage,
+            limit: 50,
+            search: searchTerm.trim() || undefined,
+          },
+        }
+      );
+      const data = response.data.data || {};
+      setStock(data.stock || []);
+      setStockPagination(data.pagination || { totalPages: 1, total: 0 });
+      setBinDrafts({});
+    } catch (err) {
+      logger.error("Error loading warehouse stock:", err);
+      handleError(err, "Depo stoğu yüklenemedi");
+    } finally {
+      setStockLoading(false);
+    }
+  }, [selectedWarehouseId, stockPage, searchTerm, handleError]);
+
+  const loadTransfers = useCallback(async () => {
+    try {
+      const response = await api.get("/warehouses/transfers", {
+        params: { limit: 50 },
+      });
+      setTransfers(response.data.data?.transfers || []);
+    } catch (err) {
+      logger.error("Error loading transfers:", err);
+      handleError(err, "Transfer geçmişi yüklenemedi");
+    }
+  }, [handleError]);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await api.get("/warehouses/allocation-rules");
+      setRules(response.data.data || []);
+    } catch (err) {
+      logger.error("Error loading allocation rules:", err);
+      handleError(err, "Pazaryeri kuralları yüklenemedi");
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    loadWarehouses();
+  }, [loadWarehouses]);
+
+  useEffect(() => {
+    if (activeTab === "stock") {
+      loadStock();
+    } else if (activeTab === "transfers") {
+      loadTransfers();
+    } else if (activeTab === "allocation") {
+      loadRules();
+    }
+  }, [activeTab, loadStock, loadTransfers, loadRules]);
+
+  const activeWarehouses = warehouses.filter((w) => w.isActive);
+
+  const handleSaveWarehouse = async () => {
+    if (!editingWarehouse.name.trim() || !editingWarehouse.code.trim()) {
+      showAlert("Depo adı ve kodu zorunludur", "warning");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const payload = {
+        ...editingWarehouse,
+        priority: parseInt(editingWarehouse.priority) || 0,
+      };
+      if (editingWarehouse.id) {
+        await api.put(`/warehouses/${editingWarehouse.id}`, payload);
+        showAlert("Depo güncellendi", "success");
+      } else {
+        await api.post("/warehouses", payload);
+        showAlert("Depo oluşturuldu", "success");
+      }
+      setEditingWarehouse(null);
+      await loadWarehouses();
+    } catch (err) {
+      handleError(err, "Depo kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteWarehouse = async (warehouse) => {
+    if (!window.confirm(`${warehouse.name} deposu silinsin mi?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/warehouses/${warehouse.id}`);
+      showAlert("Depo silindi", "success");
+      if (selectedWarehouseId === warehouse.id) {
+        setSelectedWarehouseId("");
+      }
+      await loadWarehouses();
+    } catch (err) {
+      handleError(err, "Depo silinemedi");
+    }
+  };
+
+  const handleSaveBin = async (row) => {
+    try {
+      await api.put(
+        `/warehouses/${selectedWarehouseId}/stock/${encodeURIComponent(
+          row.sku
+        )}/bin`,
+        { binLocation: binDrafts[row.id] || null }
+      );
+      showAlert("Raf konumu kaydedildi", "success");
+      await loadStock();
+    } catch (err) {
+      handleError(err, "Raf konumu kaydedilemedi");
+    }
+  };
+
+  const handleAdjust = async () => {
+    const adjustment = parseInt(adjustForm.adjustment);
+    if (!adjustForm.sku.trim() || !adjustment || !adjustForm.reason.trim()) {
+      showAlert("SKU, miktar ve açıklama zorunludur", "warning");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.post(`/warehouses/${selectedWarehouseId}/stock/adjust`, {
+        sku: adjustForm.sku.trim(),
+        adjustment,
+        reason: adjustForm.reason.trim(),
+        binLocation: adjustForm.binLocation.trim() || undefined,
+      });
+      showAlert("Stok güncellendi", "success");
+      setAdjustForm(null);
+      await Promise.all([loadStock(), loadWarehouses()]);
+    } catch (err) {
+      handleError(err, "Stok güncellenemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    if (transferForm.fromWarehouseId === transferForm.toWarehouseId) {
+      showAlert("Kaynak ve hedef depo farklı olmalıdır", "warning");
+      return;
+    }
+
+    try {
+      setTransferring(true);
+      const response = await api.post("/warehouses/transfers", {
+        ...transferForm,
+        sku: transferForm.sku.trim(),
+        quantity: parseInt(transferForm.quantity),
+        reason: transferForm.reason.trim() || undefined,
+      });
+      showAlert(response.data.message || "Transfer tamamlandı", "success");
+      setTransferForm((prev) => ({ ...prev, sku: "", quantity: 1, reason: "" }));
+      await Promise.all([loadTransfers(), loadWarehouses()]);
+    } catch (err) {
+      handleError(err, "Transfer yapılamadı");
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  const handleRuleChange = async (rule, changes) => {
+    const next = { ...rule, ...changes };
+    if (next.mode === "single_warehouse" && !next.warehouseId) {
+      setRules((prev) =>
+        prev.map((r) => (r.connectionId === rule.connectionId ? next : r))
+      );
+      return;
+    }
+
+    try {
+      await api.put(`/warehouses/allocation-rules/${rule.connectionId}`, {
+        mode: next.mode,
+        warehouseId:
+          next.mode === "single_warehouse" ? next.warehouseId : undefined,
+      });
+      showAlert("Pazaryeri kuralı kaydedildi", "success");
+      await loadRules();
+    } catch (err) {
+      handleError(err, "Pazaryeri kuralı kaydedilemedi");
+    }
+  };
+
+  const formatDate = (date) =>
+    date ? format(new Date(date), "dd.MM.yyyy HH:mm") : "—";
+
+  const renderWarehouses = () => (
+    <Card className="bg-white">
+      <CardContent className="p-0">
+        {loading && warehouses.length === 0 ? (
+          <div className="flex items-center justify-center h-48">
+            <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+          </div>
+        ) : warehouses.length === 0 ? (
+          <div className="text-center py-16">
+            <Warehouse className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-500">
+              Henüz depo yok. Depo eklemediğiniz sürece stok ürün üzerinden
+              tek kalem olarak takip edilir.
+            </p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                  Depo
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                  Tür
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                  Öncelik
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                  Stok
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                  Durum
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                  İşlemler
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {warehouses.map((warehouse) => (
+                <tr key={warehouse.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-900">
+                      {warehouse.name}
+                    </div>
+                    <div className="text-xs text-gray-500">{warehouse.code}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {typeLabels[warehouse.type] || warehouse.type}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {warehouse.priority}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {warehouse.totalQuantity} adet / {warehouse.skuCount} SKU
+                  </td>
+                  <td className="px-4 py-3 text-sm space-x-1">
+                    {warehouse.isDefault && <Badge variant="info">Varsayılan</Badge>}
+                    {warehouse.isSellable ? (
+                      <Badge variant="success">Satışa Açık</Badge>
+                    ) : (
+                      <Badge variant="secondary">Satışa Kapalı</Badge>
+                    )}
+                    {!warehouse.isActive && <Badge variant="danger">Pasif</Badge>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    <div className="flex justify-end space-x-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setEditingWarehouse({ ...warehouse })}
+                      >
+                        <Edit2 className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="danger"
+                        size="sm"
+                        onClick={() => handleDeleteWarehouse(warehouse)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  const renderStock = () => (
+    <>
+      <Card className="bg-white mb-6">
+        <CardContent className="p-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select
+              value={selectedWarehouseId}
+              onChange={(e) => {
+                setSelectedWarehouseId(e.target.value);
+                setStockPage(1);
+              }}
+              className={inputClassName}
+            >
+              <option value="">Depo seçin</option>
+              {warehouses.map((warehouse) => (
+                <option key={warehouse.id} value={warehouse.id}>
+                  {warehouse.name} ({warehouse.code})
+                </option>
+              ))}
+            </select>
+            <div className="relative">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-3" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setStockPage(1);
+                }}
+                placeholder="SKU veya raf konumu"
+                className={`${inputClassName} pl-9`}
+              />
+            </div>
+            <div className="flex justify-end">
+              <Button
+                variant="primary"
+                size="sm"
+                disabled={!selectedWarehouseId}
+                onClick={() =>
+                  setAdjustForm({
+                    sku: "",
+                    adjustment: "",
+                    reason: "",
+                    binLocation: "",
+                  })
+                }
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Stok Girişi / Düzeltme
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {stockLoading && stock.length === 0 ? (
+            <div className="flex items-center justify-center h-48">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          ) : stock.length === 0 ? (
+            <div className="text-center py-16">
+              <Package className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Bu depoda stok kaydı yok</p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    SKU
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Ürün
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Adet
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Raf Konumu
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {stock.map((row) => (
+                  <tr key={row.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      {row.sku}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {row.variant?.name || row.product?.name || "—"}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {row.quantity}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="flex items-center space-x-2">
+                        <MapPin className="h-4 w-4 text-gray-400" />
+                        <input
+                          type="text"
+                          value={binDrafts[row.id] ?? row.binLocation ?? ""}
+                          onChange={(e) =>
+                            setBinDrafts((prev) => ({
+                              ...prev,
+                              [row.id]: e.target.value,
+                            }))
+                          }
+                          placeholder="A-03-2"
+                          className="border border-gray-300 rounded px-2 py-1 text-sm w-28"
+                        />
+                        {binDrafts[row.id] !== undefined &&
+                          binDrafts[row.id] !== (row.binLocation || "") && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleSaveBin(row)}
+                            >
+                              <Save className="h-4 w-4" />
+                            </Button>
+                          )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {stockPagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Toplam {stockPagination.total} SKU
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={stockPage <= 1}
+                  onClick={() => setStockPage((page) => page - 1)}
+                >
+                  Önceki
+                </Button>
+                <span className="text-sm text-gray-600 self-center">
+                  {stockPage} / {stockPagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={stockPage >= stockPagination.totalPages}
+                  onClick={() => setStockPage((page) => page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+
+  const renderTransfers = () => (
+    <>
+      <Card className="bg-white mb-6">
+        <CardContent className="p-4">
+          <form
+            onSubmit={handleTransfer}
+            className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end"
+          >
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                SKU
+              </label>
+              <input
+                type="text"
+                required
+                value={transferForm.sku}
+                onChange={(e) =>
+                  setTransferForm((prev) => ({ ...prev, sku: e.target.value }))
+                }
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Adet
+              </label>
+              <input
+                type="number"
+                min="1"
+                required
+                value={transferForm.quantity}
+                onChange={(e) =>
+                  setTransferForm((prev) => ({
+                    ...prev,
+                    quantity: e.target.value,
+                  }))
+                }
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Kaynak Depo
+              </label>
+              <select
+                required
+                value={transferForm.fromWarehouseId}
+                onChange={(e) =>
+                  setTransferForm((prev) => ({
+                    ...prev,
+                    fromWarehouseId: e.target.value,
+                  }))
+                }
+                className={inputClassName}
+              >
+                <option value="">Seçiniz</option>
+                {warehouses.map((warehouse) => (
+                  <option key={warehouse.id} value={warehouse.id}>
+                    {warehouse.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Hedef Depo
+              </label>
+              <select
+                required
+                value={transferForm.toWarehouseId}
+                onChange={(e) =>
+                  setTransferForm((prev) => ({
+                    ...prev,
+                    toWarehouseId: e.target.value,
+                  }))
+                }
+                className={inputClassName}
+              >
+                <option value="">Seçiniz</option>
+                {activeWarehouses.map((warehouse) => (
+                  <option key={warehouse.id} value={warehouse.id}>
+                    {warehouse.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Açıklama
+              </label>
+              <input
+                type="text"
+                value={transferForm.reason}
+                onChange={(e) =>
+                  setTransferForm((prev) => ({
+                    ...prev,
+                    reason: e.target.value,
+                  }))
+                }
+                className={inputClassName}
+              />
+            </div>
+            <Button type="submit" variant="primary" disabled={transferring}>
+              {transferring ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <ArrowRightLeft className="h-4 w-4 mr-2" />
+              )}
+              Transfer Et
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {transfers.length === 0 ? (
+            <div className="text-center py-16">
+              <ArrowRightLeft className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Henüz transfer yapılmadı</p>
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Tarih
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    SKU
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Adet
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Kaynak → Hedef
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                    Açıklama
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transfers.map((transfer) => (
+                  <tr key={transfer.transferId}>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {formatDate(transfer.occurredAt)}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      {transfer.sku}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {transfer.quantity}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {transfer.from?.name || "—"} → {transfer.to?.name || "—"}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {transfer.reason || "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  );
+
+  const renderAllocation = () => (
+    <Card className="bg-white">
+      <CardContent className="p-4">
+        <p className="text-sm text-gray-600 mb-4">
+          Her pazaryeri bağlantısına gönderilecek stoğun hangi depolardan
+          hesaplanacağını seçin. Rezervasyonlar da aynı kurala göre depodan
+          düşülür.
+        </p>
+        {rules.length === 0 ? (
+          <p className="text-gray-500 text-sm">Aktif pazaryeri bağlantısı yok</p>
+        ) : (
+          <div className="space-y-3">
+            {rules.map((rule) => (
+              <div
+                key={rule.connectionId}
+                className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center border border-gray-200 rounded-lg p-3"
+              >
+                <div>
+                  <div className="font-medium text-gray-900">{rule.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {platformLabels[rule.platformType] || rule.platformType}
+                  </div>
+                </div>
+                <select
+                  value={rule.mode}
+                  onChange={(e) =>
+                    handleRuleChange(rule, { mode: e.target.value })
+                  }
+                  className={inputClassName}
+                >
+                  <option value="sum_sellable">
+                    Satışa açık depoların toplamı
+                  </option>
+                  <option value="single_warehouse">Tek depo</option>
+                </select>
+                {rule.mode === "single_warehouse" ? (
+                  <select
+                    value={rule.warehouseId || ""}
+                    onChange={(e) =>
+                      handleRuleChange(rule, { warehouseId: e.target.value })
+                    }
+                    className={inputClassName}
+                  >
+                    <option value="">Depo seçin</option>
+                    {activeWarehouses.map((warehouse) => (
+                      <option key={warehouse.id} value={warehouse.id}>
+                        {warehouse.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <div className="text-sm text-gray-500">
+                    {activeWarehouses
+                      .filter((w) => w.isSellable)
+                      .map((w) => w.name)
+                      .join(", ") || "Satışa açık depo yok"}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Warehouse className="h-8 w-8 text-blue-600 mr-3" />
+            Depo Yönetimi
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Depolar, raf konumları, depolar arası transferler ve pazaryeri stok
+            kuralları
+          </p>
+        </div>
+        {activeTab === "warehouses" && (
+          <Button
+            onClick={() => setEditingWarehouse({ ...emptyWarehouse })}
+            variant="primary"
+            size="sm"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Yeni Depo
+          </Button>
+        )}
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200 mb-6">
+        <nav className="flex space-x-6">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setActiveTab(tab.id)}
+              className={`pb-3 text-sm font-medium border-b-2 ${
+                activeTab === tab.id
+                  ? "border-blue-600 text-blue-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === "warehouses" && renderWarehouses()}
+      {activeTab === "stock" && renderStock()}
+      {activeTab === "transfers" && renderTransfers()}
+      {activeTab === "allocation" && renderAllocation()}
+
+      {/* Warehouse dialog */}
+      {editingWarehouse && (
+        <Modal
+          isOpen={true}
+          onClose={() => setEditingWarehouse(null)}
+          title={editingWarehouse.id ? "Depoyu Düzenle" : "Yeni Depo"}
+        >
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Depo Adı
+                </label>
+                <input
+                  type="text"
+                  value={editingWarehouse.name}
+                  onChange={(e) =>
+                    setEditingWarehouse((prev) => ({
+                      ...prev,
+                      name: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Kod
+                </label>
+                <input
+                  type="text"
+                  value={editingWarehouse.code}
+                  onChange={(e) =>
+                    setEditingWarehouse((prev) => ({
+                      ...prev,
+                      code: e.target.value,
+                    }))
+                  }
+                  placeholder="IST-01"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tür
+                </label>
+                <select
+                  value={editingWarehouse.type}
+                  onChange={(e) =>
+                    setEditingWarehouse((prev) => ({
+                      ...prev,
+                      type: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                >
+                  {Object.entries(typeLabels).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Öncelik (küçük olan önce kullanılır)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={editingWarehouse.priority}
+                  onChange={(e) =>
+                    setEditingWarehouse((prev) => ({
+                      ...prev,
+                      priority: e.target.value,
+                    }))
+                  }
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              {[
+                ["isSellable", "Satışa açık (pazaryeri stoğuna dahil)"],
+                ["isDefault", "Varsayılan depo (depo belirtilmeyen girişler)"],
+                ...(editingWarehouse.id ? [["isActive", "Aktif"]] : []),
+              ].map(([field, label]) => (
+                <label key={field} className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(editingWarehouse[field])}
+                    onChange={(e) =>
+                      setEditingWarehouse((prev) => ({
+                        ...prev,
+                        [field]: e.target.checked,
+                      }))
+                    }
+                    className="mr-2"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setEditingWarehouse(null)}>
+                Vazgeç
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleSaveWarehouse}
+                disabled={saving}
+              >
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Stock adjustment dialog */}
+      {adjustForm && (
+        <Modal
+          isOpen={true}
+          onClose={() => setAdjustForm(null)}
+          title="Stok Girişi / Düzeltme"
+        >
+          <div className="space-y-4">
+            {[
+              ["sku", "SKU", "text", ""],
+              ["adjustment", "Miktar (çıkış için eksi)", "number", "10"],
+              ["binLocation", "Raf Konumu", "text", "A-03-2"],
+              ["reason", "Açıklama", "text", "Sayım farkı, mal kabul vb."],
+            ].map(([field, label, type, placeholder]) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {label}
+                </label>
+                <input
+                  type={type}
+                  value={adjustForm[field]}
+                  onChange={(e) =>
+                    setAdjustForm((prev) => ({
+                      ...prev,
+                      [field]: e.target.value,
+                    }))
+                  }
+                  placeholder={placeholder}
+                  className={inputClassName}
+                />
+              </div>
+            ))}
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setAdjustForm(null)}>
+                Vazgeç
+              </Button>
+              <Button variant="primary" onClick={handleAdjust} disabled={saving}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default WarehouseManagement;
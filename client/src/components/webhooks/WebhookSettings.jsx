@@ -0,0 +1,762 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Webhook,
+  Plus,
+  Pencil,
+  Trash2,
+  KeyRound,
+  Send,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  Copy,
+} from "lucide-react";
+import { format } from "date-fns";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const eventLabels = {
+  new_order: "Yeni Sipariş",
+  order_status_change: "Sipariş Durumu Değişti",
+  low_inventory: "Düşük Stok",
+  inventory_synced: "Stok Senkronize Edildi",
+  shipping_update: "Kargo Güncellemesi",
+  payment_update: "Ödeme Güncellemesi",
+  platform_error: "Pazaryeri Hatası",
+  sync_error: "Senkronizasyon Hatası",
+  ping: "Test",
+};
+
+const statusLabels = {
+  pending: "Bekliyor",
+  retrying: "Yeniden Denenecek",
+  delivered: "Teslim Edildi",
+  dead_letter: "Başarısız (DLQ)",
+};
+
+const statusVariants = {
+  pending: "secondary",
+  retrying: "warning",
+  delivered: "success",
+  dead_letter: "danger",
+};
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const emptyForm = { name: "", url: "", events: [], isActive: true };
+
+const WebhookSettings = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [eventTypes, setEventTypes] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loadingSubscriptions, setLoadingSubscriptions] = useState(true);
+  const [actionLoading, setActionLoading] = useState(null);
+
+  // Subscription form state
+  const [formTarget, setFormTarget] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  // Delivery log state
+  const [deliveries, setDeliveries] = useState([]);
+  const [loadingDeliveries, setLoadingDeliveries] = useState(true);
+  const [filters, setFilters] = useState({
+    status: "all",
+    subscriptionId: "",
+  });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ totalPages: 1, total: 0 });
+  const [expandedId, setExpandedId] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      setLoadingSubscriptions(true);
+      const [subscriptionsResponse, eventTypesResponse] = await Promise.all([
+        api.get("/webhooks/subscriptions"),
+        api.get("/webhooks/event-types"),
+      ]);
+      setSubscriptions(subscriptionsResponse.data.data || []);
+      setEventTypes(eventTypesResponse.data.data || []);
+    } catch (err) {
+      logger.error("Error loading webhook subscriptions:", err);
+      handleError(err, "Webhook abonelikleri yüklenirken hata oluştu");
+    } finally {
+      setLoadingSubscriptions(false);
+    }
+  }, [handleError]);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setLoadingDeliveries(true);
+      const response = await api.get("/webhooks/deliveries", {
+        params: {
+          page: currentPage,
+          limit: 20,
+          status: filters.status,
+          subscriptionId: filters.subscriptionId || undefined,
+        },
+      });
+
+      if (response.data.success) {
+        setDeliveries(response.data.data || []);
+        setPagination(response.data.pagination || { totalPages: 1, total: 0 });
+      }
+    } catch (err) {
+      logger.error("Error loading webhook deliveries:", err);
+      handleError(err, "Gönderim kayıtları yüklenirken hata oluştu");
+    } finally {
+      setLoadingDeliveries(false);
+    }
+  }, [currentPage, filters, handleError]);
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, [loadSubscriptions]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const openForm = (subscription = null) => {
+    setFormTarget(subscription || {});
+    setForm(
+      subscription
+        ? {
+            name: subscription.name,
+            url: subscription.url,
+            events: subscription.events || [],
+            isActive: subscription.isActive,
+          }
+        : emptyForm
+    );
+  };
+
+  const toggleEvent = (eventType) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(eventType)
+        ? prev.events.filter((event) => event !== eventType)
+        : [...prev.events, eventType],
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.url.trim()) {
+      showAlert("Ad ve URL zorunludur", "warning");
+      return;
+    }
+    if (form.events.length === 0) {
+      showAlert("En az bir olay seçin", "warning");
+      return;
+    }
+
+    const payload = { ...form, name: form.name.trim(), url: form.url.trim() };
+
+    try {
+      setSaving(true);
+      if (formTarget.id) {
+        await api.put(`/webhooks/subscriptions/${formTarget.id}`, payload);
+        showAlert("Webhook aboneliği güncellendi", "success");
+      } else {
+        const response = await api.post("/webhooks/subscriptions", payload);
+        setRevealedSecret(response.data.data?.secret || null);
+        showAlert("Webhook aboneliği oluşturuldu", "success");
+      }
+      setFormTarget(null);
+      await loadSubscriptions();
+    } catch (err) {
+      handleError(err, "Webhook aboneliği kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (
+      !window.confirm(
+        `"${subscription.name}" aboneliği ve tüm gönderim kayıtları silinsin mi?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(subscription.id);
+      await api.delete(`/webhooks/subscriptions/${subscription.id}`);
+      showAlert("Webhook aboneliği silindi", "success");
+      await Promise.all([loadSubscriptions(), loadDeliveries()]);
+    } catch (err) {
+      handleError(err, "Webhook aboneliği silinemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRotateSecret = async (subscription) => {
+    if (
+      !window.confirm(
+        "Yeni bir imza anahtarı oluşturulacak. Alıcı sistemdeki anahtarı da güncellemeniz gerekir. Devam edilsin mi?"
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(subscription.id);
+      const response = await api.post(
+        `/webhooks/subscriptions/${subscription.id}/secret`
+      );
+      setRevealedSecret(response.data.data?.secret || null);
+    } catch (err) {
+      handleError(err, "İmza anahtarı yenilenemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleTest = async (subscription) => {
+    try {
+      setActionLoading(subscription.id);
+      const response = await api.post(
+        `/webhooks/subscriptions/${subscription.id}/test`
+      );
+      const delivery = response.data.data;
+      if (delivery?.status === "delivered") {
+        showAlert(
+          `Test olayı teslim edildi (HTTP ${delivery.responseStatus})`,
+          "success"
+        );
+      } else {
+        showAlert(
+          `Test olayı teslim edilemedi: ${delivery?.error || "bilinmeyen hata"}`,
+          "error"
+        );
+      }
+      await Promise.all([loadSubscriptions(), loadDeliveries()]);
+    } catch (err) {
+      handleError(err, "Test olayı gönderilemedi");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      setActionLoading(delivery.id);
+      await api.post(`/webhooks/deliveries/${delivery.id}/redeliver`);
+      showAlert("Gönderim yeniden kuyruğa alındı", "success");
+      await loadDeliveries();
+    } catch (err) {
+      handleError(err, "Gönderim yeniden kuyruğa alınamadı");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret);
+      showAlert("İmza anahtarı kopyalandı", "success");
+    } catch (err) {
+      logger.error("Error copying webhook secret:", err);
+    }
+  };
+
+  const formatDate = (date) =>
+    date ? format(new Date(date), "dd.MM.yyyy HH:mm:ss") : "—";
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Webhook className="h-8 w-8 text-blue-600 mr-3" />
+            Webhook Abonelikleri
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Sipariş, stok ve kargo olaylarını imzalı HTTP istekleriyle kendi
+            sistemlerinize iletin
+          </p>
+        </div>
+        <Button onClick={() => openForm()} variant="primary" size="sm">
+          <Plus className="h-4 w-4 mr-2" />
+          Yeni Abonelik
+        </Button>
+      </div>
+
+      {/* Subscriptions */}
+      <Card className="bg-white mb-6">
+        <CardContent className="p-0">
+          {loadingSubscriptions && subscriptions.length === 0 ? (
+            <div className="flex items-center justify-center h-32">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+              <span className="ml-2 text-gray-600">
+                Abonelikler yükleniyor...
+              </span>
+            </div>
+          ) : subscriptions.length === 0 ? (
+            <div className="text-center py-12">
+              <Webhook className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Henüz webhook aboneliği yok</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Ad / URL
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Olaylar
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Son Gönderim
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Durum
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                      İşlemler
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {subscriptions.map((subscription) => (
+                    <tr key={subscription.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm">
+                        <div className="font-medium text-gray-900">
+                          {subscription.name}
+                        </div>
+                        <div className="text-xs text-gray-500 break-all">
+                          {subscription.url}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="flex flex-wrap gap-1">
+                          {(subscription.events || []).map((event) => (
+                            <Badge key={event} variant="info">
+                              {eventLabels[event] || event}
+                            </Badge>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {formatDate(subscription.lastDeliveryAt)}
+                        {subscription.lastDeliveryStatus && (
+                          <div className="mt-1">
+                            <Badge
+                              variant={
+                                statusVariants[subscription.lastDeliveryStatus]
+                              }
+                            >
+                              {statusLabels[subscription.lastDeliveryStatus] ||
+                                subscription.lastDeliveryStatus}
+                            </Badge>
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <Badge
+                          variant={subscription.isActive ? "success" : "secondary"}
+                        >
+                          {subscription.isActive ? "Aktif" : "Pasif"}
+                        </Badge>
+                        {subscription.consecutiveFailures > 0 && (
+                          <div className="text-xs text-red-600 mt-1">
+                            {subscription.consecutiveFailures} ardışık başarısız
+                            gönderim
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right">
+                        <div className="flex justify-end space-x-2">
+                          <Button
+                            onClick={() => handleTest(subscription)}
+                            variant="outline"
+                            size="sm"
+                            disabled={actionLoading === subscription.id}
+                            title="Test olayı gönder"
+                          >
+                            <Send className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => openForm(subscription)}
+                            variant="outline"
+                            size="sm"
+                            disabled={actionLoading === subscription.id}
+                            title="Düzenle"
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => handleRotateSecret(subscription)}
+                            variant="outline"
+                            size="sm"
+                            disabled={actionLoading === subscription.id}
+                            title="İmza anahtarını yenile"
+                          >
+                            <KeyRound className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => handleDelete(subscription)}
+                            variant="danger"
+                            size="sm"
+                            disabled={actionLoading === subscription.id}
+                            title="Sil"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Delivery log */}
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Gönderim Kaydı</h2>
+        <Button
+          onClick={loadDeliveries}
+          variant="outline"
+          size="sm"
+          disabled={loadingDeliveries}
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loadingDeliveries ? "animate-spin" : ""}`}
+          />
+          Yenile
+        </Button>
+      </div>
+
+      <Card className="bg-white mb-6">
+        <CardContent className="p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange("status", e.target.value)}
+              className={inputClassName}
+            >
+              <option value="all">Tüm Durumlar</option>
+              {Object.entries(statusLabels).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.subscriptionId}
+              onChange={(e) =>
+                handleFilterChange("subscriptionId", e.target.value)
+              }
+              className={inputClassName}
+            >
+              <option value="">Tüm Abonelikler</option>
+              {subscriptions.map((subscription) => (
+                <option key={subscription.id} value={subscription.id}>
+                  {subscription.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          {loadingDeliveries && deliveries.length === 0 ? (
+            <div className="flex items-center justify-center h-48">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+              <span className="ml-2 text-gray-600">
+                Gönderimler yükleniyor...
+              </span>
+            </div>
+          ) : deliveries.length === 0 ? (
+            <div className="text-center py-16">
+              <Send className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-gray-500">Bu filtrelere uygun gönderim yok</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="w-8" />
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Olay
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Abonelik
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Deneme
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Yanıt
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Tarih
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                      Durum
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                      İşlemler
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {deliveries.map((delivery) => (
+                    <React.Fragment key={delivery.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="pl-4">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setExpandedId(
+                                expandedId === delivery.id ? null : delivery.id
+                              )
+                            }
+                            className="text-gray-400 hover:text-gray-600"
+                          >
+                            {expandedId === delivery.id ? (
+                              <ChevronDown className="h-4 w-4" />
+                            ) : (
+                              <ChevronRight className="h-4 w-4" />
+                            )}
+                          </button>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {eventLabels[delivery.eventType] || delivery.eventType}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {delivery.subscription?.name || "—"}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {delivery.attempts} / {delivery.maxAttempts}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {delivery.responseStatus
+                            ? `HTTP ${delivery.responseStatus}`
+                            : "—"}
+                          {delivery.durationMs != null && (
+                            <div className="text-xs text-gray-500">
+                              {delivery.durationMs} ms
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {formatDate(delivery.createdAt)}
+                          {delivery.status === "retrying" && (
+                            <div className="text-xs text-gray-500">
+                              Sonraki deneme: {formatDate(delivery.nextAttemptAt)}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <Badge variant={statusVariants[delivery.status]}>
+                            {statusLabels[delivery.status] || delivery.status}
+                          </Badge>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right">
+                          {delivery.status === "dead_letter" && (
+                            <Button
+                              onClick={() => handleRedeliver(delivery)}
+                              variant="outline"
+                              size="sm"
+                              disabled={actionLoading === delivery.id}
+                            >
+                              <RefreshCw className="h-4 w-4 mr-1" />
+                              Yeniden Gönder
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === delivery.id && (
+                        <tr className="bg-gray-50">
+                          <td />
+                          <td colSpan={7} className="px-4 py-3 space-y-3">
+                            {delivery.error && (
+                              <p className="text-sm text-red-600">
+                                <span className="font-medium">Hata:</span>{" "}
+                                {delivery.error}
+                              </p>
+                            )}
+                            <div>
+                              <div className="text-xs font-medium text-gray-500 mb-1">
+                                Gönderilen İçerik
+                              </div>
+                              <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto max-h-64">
+                                {JSON.stringify(delivery.payload, null, 2)}
+                              </pre>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Toplam {pagination.total} gönderim
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage <= 1}
+                  onClick={() => setCurrentPage((page) => page - 1)}
+                >
+                  Önceki
+                </Button>
+                <span className="text-sm text-gray-600 self-center">
+                  {currentPage} / {pagination.totalPages}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={currentPage >= pagination.totalPages}
+                  onClick={() => setCurrentPage((page) => page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create / edit dialog */}
+      {formTarget && (
+        <Modal
+          isOpen={true}
+          onClose={() => setFormTarget(null)}
+          title={formTarget.id ? "Aboneliği Düzenle" : "Yeni Webhook Aboneliği"}
+        >
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Ad
+              </label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="ERP entegrasyonu"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Hedef URL
+              </label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://ornek.com/webhooks/pazar"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Olaylar
+              </label>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {eventTypes.map((eventType) => (
+                  <label
+                    key={eventType}
+                    className="flex items-center text-sm text-gray-700"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(eventType)}
+                      onChange={() => toggleEvent(eventType)}
+                      className="mr-2"
+                    />
+                    {eventLabels[eventType] || eventType}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                className="mr-2"
+              />
+              Aktif
+            </label>
+            <div className="flex justify-end space-x-3">
+              <Button variant="outline" onClick={() => setFormTarget(null)}>
+                Vazgeç
+              </Button>
+              <Button variant="primary" onClick={handleSave} disabled={saving}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Kaydet
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* One-time secret reveal */}
+      {revealedSecret && (
+        <Modal
+          isOpen={true}
+          onClose={() => setRevealedSecret(null)}
+          title="İmza Anahtarı"
+        >
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Bu anahtar yalnızca bir kez gösterilir. Alıcı sistemde{" "}
+              <code>X-Webhook-Signature</code> başlığını doğrulamak için
+              saklayın: <code>sha256=HMAC(anahtar, zaman_damgası + "." + gövde)</code>
+            </p>
+            <div className="flex items-center space-x-2">
+              <code className="flex-1 text-xs bg-gray-100 rounded p-2 break-all">
+                {revealedSecret}
+              </code>
+              <Button variant="outline" size="sm" onClick={copySecret}>
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex justify-end">
+              <Button variant="primary" onClick={() => setRevealedSecret(null)}>
+                Sakladım
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSettings;
@@ -32,6 +32,29 @@ export const AuthProvider = ({ children }) => {
     delete api.defaults.headers.common["Authorization"];
   }, []);
 
+  // Revoke the token on the server too, so it cannot be reused
+  const logout = useCallback(async () => {
+    try {
+      await api.post("/auth/logout");
+    } catch (err) {
+      logger.warn("Server logout failed:", err.message);
+    } finally {
+      handleLogout();
+    }
+  }, [handleLogout]);
+
+  const logoutAllDevices = useCallback(async () => {
+    try {
+      await api.post("/auth/logout-all");
+      handleLogout();
+    } catch (err) {
+      setError(
+        err.response?.data?.message || "Failed to log out from all devices"
+      );
+      throw err;
+    }
+  }, [handleLogout]);
+
   const login = useCallback(async (credentials) => {
     try {
       setError(null); // Clear any existing errors
@@ -305,7 +328,8 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     login,
     register,
-    logout: handleLogout,
+    logout,
+    logoutAllDevices,
     setupTwoFactor,
     verifyTwoFactor,
     disableTwoFactor,
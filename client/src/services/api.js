@@ -993,6 +993,46 @@ const customerQuestionsAPI = {
     },
   },
 
+  // Get previously sent answers to similar questions
+  getReplySuggestions: async (questionId, params = {}) => {
+    try {
+      const response = await api.get(
+        `/customer-questions/${questionId}/reply-suggestions`,
+        { params }
+      );
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting reply suggestions:", error);
+      throw error;
+    }
+  },
+
+  // Get unanswered questions that are overdue or due soon
+  getSlaQueue: async (params = {}) => {
+    try {
+      const response = await api.get("/customer-questions/sla/queue", {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting question SLA queue:", error);
+      throw error;
+    }
+  },
+
+  // Get daily response-time and answer deadline report
+  getSlaReport: async (params = {}) => {
+    try {
+      const response = await api.get("/customer-questions/sla/report", {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting question SLA report:", error);
+      throw error;
+    }
+  },
+
   // Question management methods
   assignQuestion: async (questionId, assignedTo) => {
     try {
@@ -1319,6 +1359,30 @@ const shippingAPI = {
     }
   },
 
+  // Generate ZPL labels for thermal printers, returned as a text blob
+  generateZPL: async (orderIds, { templateId = null, dpi = 203 } = {}) => {
+    try {
+      const response = await api.post(
+        "/shipping/templates/generate-zpl",
+        { orderIds: orderIds.map(String), templateId, dpi },
+        { responseType: "blob" }
+      );
+      return response.data;
+    } catch (error) {
+      // Error bodies arrive as blobs too
+      if (error.response?.data instanceof Blob) {
+        try {
+          const errorData = JSON.parse(await error.response.data.text());
+          error.message = errorData.message || error.message;
+        } catch (parseError) {
+          // Keep the original message
+        }
+      }
+      logger.error("❌ API: Error generating ZPL:", error.message);
+      throw error;
+    }
+  },
+
   // Link order with shipping template
   linkOrderTemplate: async (linkData) => {
     try {
@@ -1809,6 +1873,182 @@ const fontAPI = {
   },
 };
 
+// Organization (team) API
+const organizationsAPI = {
+  // Organization of the current user with their role and permissions
+  getCurrent: async () => {
+    try {
+      const response = await api.get("/organizations/current");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting organization:", error);
+      throw error;
+    }
+  },
+
+  create: async (data) => {
+    try {
+      const response = await api.post("/organizations", data);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error creating organization:", error);
+      throw error;
+    }
+  },
+
+  update: async (data) => {
+    try {
+      const response = await api.put("/organizations/current", data);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error updating organization:", error);
+      throw error;
+    }
+  },
+
+  getMembers: async () => {
+    try {
+      const response = await api.get("/organizations/members");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting organization members:", error);
+      throw error;
+    }
+  },
+
+  updateMember: async (memberId, role) => {
+    try {
+      const response = await api.patch(`/organizations/members/${memberId}`, {
+        role,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error updating organization member:", error);
+      throw error;
+    }
+  },
+
+  removeMember: async (memberId) => {
+    try {
+      const response = await api.delete(`/organizations/members/${memberId}`);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error removing organization member:", error);
+      throw error;
+    }
+  },
+
+  leave: async () => {
+    try {
+      const response = await api.post("/organizations/leave");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error leaving organization:", error);
+      throw error;
+    }
+  },
+
+  getInvitations: async () => {
+    try {
+      const response = await api.get("/organizations/invitations");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting organization invitations:", error);
+      throw error;
+    }
+  },
+
+  invite: async (data) => {
+    try {
+      const response = await api.post("/organizations/invitations", data);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error sending organization invitation:", error);
+      throw error;
+    }
+  },
+
+  revokeInvitation: async (invitationId) => {
+    try {
+      const response = await api.delete(
+        `/organizations/invitations/${invitationId}`
+      );
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error revoking organization invitation:", error);
+      throw error;
+    }
+  },
+
+  // Public invitation details for the accept page
+  getInvitation: async (token) => {
+    try {
+      const response = await api.get(`/organizations/invitations/${token}`);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting organization invitation:", error);
+      throw error;
+    }
+  },
+
+  acceptInvitation: async (token) => {
+    try {
+      const response = await api.post(
+        `/organizations/invitations/${token}/accept`
+      );
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error accepting organization invitation:", error);
+      throw error;
+    }
+  },
+};
+
+// Personal API keys API
+const apiKeysAPI = {
+  // Available scopes and whether the user's role allows them
+  getScopes: async () => {
+    try {
+      const response = await api.get("/api-keys/scopes");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting API key scopes:", error);
+      throw error;
+    }
+  },
+
+  getKeys: async () => {
+    try {
+      const response = await api.get("/api-keys");
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error getting API keys:", error);
+      throw error;
+    }
+  },
+
+  // The response holds the key itself; it is not returned again
+  create: async (data) => {
+    try {
+      const response = await api.post("/api-keys", data);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error creating API key:", error);
+      throw error;
+    }
+  },
+
+  revoke: async (apiKeyId) => {
+    try {
+      const response = await api.delete(`/api-keys/${apiKeyId}`);
+      return response.data;
+    } catch (error) {
+      logger.error("❌ API: Error revoking API key:", error);
+      throw error;
+    }
+  },
+};
+
 // Extend the default export with all API methods
 api.platforms = platformAPI;
 api.orders = orderService;
@@ -1821,6 +2061,8 @@ api.settings = settingsAPI;
 api.reports = reportsAPI;
 api.products = productAPI;
 api.fonts = fontAPI;
+api.organizations = organizationsAPI;
+api.apiKeys = apiKeysAPI;
 
 // Add legacy direct methods for backward compatibility with existing hooks
 api.getOrders = orderService.getOrders;
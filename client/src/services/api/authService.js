@@ -155,6 +155,16 @@ const authService = {
     }
   },
 
+  // Logout from all devices
+  logoutAll: async () => {
+    try {
+      await api.post("/logout-all");
+    } finally {
+      localStorage.removeItem("token");
+      localStorage.removeItem("refreshToken");
+    }
+  },
+
   // Get current user
   getCurrentUser: async () => {
     if (!localStorage.getItem("token")) {
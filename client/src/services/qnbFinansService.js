@@ -82,6 +82,41 @@ const qnbFinansService = {
     }
   },
 
+  // Return invoices (iade faturası)
+  getCreditNotes: async (params = {}) => {
+    try {
+      const response = await api.get("/credit-notes", { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  createCreditNote: async (data) => {
+    try {
+      const response = await api.post("/credit-notes", data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  openCreditNotePdf: async (creditNoteId) => {
+    try {
+      const response = await api.get(`/credit-notes/${creditNoteId}/pdf`, {
+        responseType: "blob",
+      });
+
+      const url = window.URL.createObjectURL(
+        new Blob([response.data], { type: "application/pdf" })
+      );
+      window.open(url, "_blank");
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Determine document type automatically
   determineDocumentType: (order, customerType = "individual") => {
     // Turkish e-invoice rules:
@@ -58,6 +58,7 @@ export const getPlatformVariant = (platform) => {
     n11: "info",
     amazon: "dark",
     pazarama: "success",
+    ciceksepeti: "danger",
     gittigidiyor: "secondary",
     default: "secondary",
   };
@@ -78,6 +78,12 @@ app.use(
     limit: "100mb",
     parameterLimit: 50000,
     type: ["application/json", "text/plain"],
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
   })
 );
 app.use(
@@ -24,7 +24,7 @@ class BackgroundTaskController {
       } = req.query;
 
       // Filter by user if not admin
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const userId = req.actor.role === 'admin' ? null : req.user.id;
 
       const result = await BackgroundTaskService.getTasks({
         page: parseInt(page),
@@ -79,7 +79,7 @@ class BackgroundTaskController {
       }
 
       // Check if user has access to this task
-      if (req.user.role !== 'admin' && task.userId !== req.user.id) {
+      if (req.actor.role !== 'admin' && task.userId !== req.user.id) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
@@ -460,14 +460,14 @@ class BackgroundTaskController {
       const { timeframe = '24h' } = req.query;
 
       // Filter by user if not admin
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const userId = req.actor.role === 'admin' ? null : req.user.id;
 
       // Get basic task stats
       const stats = await BackgroundTaskService.getTaskStats(userId, timeframe);
 
       // Get enhanced TaskQueueManager metrics (admin only or if user has running tasks)
       let queueMetrics = null;
-      if (req.user.role === 'admin') {
+      if (req.actor.role === 'admin') {
         const { taskQueueManager } = require('../services/TaskQueueManager');
         queueMetrics = taskQueueManager.getMetrics();
 
@@ -503,7 +503,7 @@ class BackgroundTaskController {
   static async getQueue(req, res) {
     try {
       // Admin only
-      if (req.user.role !== 'admin') {
+      if (req.actor.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Admin access required'
@@ -545,7 +545,7 @@ class BackgroundTaskController {
   static async bulkOperation(req, res) {
     try {
       // Admin only
-      if (req.user.role !== 'admin') {
+      if (req.actor.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Admin access required'
@@ -598,7 +598,7 @@ class BackgroundTaskController {
   static async cleanupTasks(req, res) {
     try {
       // Admin only
-      if (req.user.role !== 'admin') {
+      if (req.actor.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Admin access required'
@@ -636,7 +636,7 @@ class BackgroundTaskController {
   static async handleTimeouts(req, res) {
     try {
       // Admin only
-      if (req.user.role !== 'admin') {
+      if (req.actor.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Admin access required'
@@ -670,7 +670,7 @@ class BackgroundTaskController {
   static async deleteTask(req, res) {
     try {
       // Admin only
-      if (req.user.role !== 'admin') {
+      if (req.actor.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Admin access required'
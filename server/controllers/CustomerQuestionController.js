@@ -2,6 +2,8 @@
 const { Op } = require("sequelize");
 const { CustomerQuestion, ReplyTemplate } = require("../models");
 const CustomerQuestionService = require("../services/CustomerQuestionService");
+const replySuggestionService = require("../services/ReplySuggestionService");
+const questionSlaService = require("../services/QuestionSlaService");
 const { validationResult } = require("express-validator");
 const debug = require("debug")("pazar:controller:questions");
 
@@ -71,7 +73,7 @@ class CustomerQuestionController {
       const options = {
         platform,
         status,
-        assigned_to: assigned_to ? parseInt(assigned_to) : undefined,
+        assigned_to: assigned_to === "me" ? req.actor?.id : assigned_to,
         customer_name,
         priority,
         startDate: start_date ? new Date(start_date) : undefined,
@@ -149,7 +151,7 @@ class CustomerQuestionController {
 
       const { id } = req.params;
       const { text, type = "answer", template_id, attachments } = req.body;
-      const userId = req.user?.id || null; // Handle case where user is not authenticated
+      const userId = req.actor?.id || null; // Handle case where user is not authenticated
 
       debug("Question ID:", id);
       debug("Reply data:", {
@@ -410,36 +412,159 @@ class CustomerQuestionController {
     }
   }
 
+  /**
+   * Get suggested replies for a question from previously sent answers
+   */
+  async getReplySuggestions(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit = 3 } = req.query;
+
+      const question = await this.questionService.getQuestionById(parseInt(id));
+
+      const suggestions = await replySuggestionService.suggestReplies(
+        question,
+        req.user.id,
+        parseInt(limit)
+      );
+
+      res.json({
+        success: true,
+        data: suggestions,
+      });
+    } catch (error) {
+      debug("Error getting reply suggestions:", error.message);
+      res.status(error.message === "Question not found" ? 404 : 500).json({
+        success: false,
+        message: "Failed to get reply suggestions",
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Assign question to user
    */
   async assignQuestion(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
       const { id } = req.params;
       const { assigned_to } = req.body;
 
-      const question = await CustomerQuestion.findByPk(parseInt(id));
-      if (!question) {
-        return res.status(404).json({
+      const question = await questionSlaService.assignQuestion(
+        parseInt(id),
+        assigned_to || null,
+        {
+          userId: req.actor.id,
+          organizationId: req.organization?.id || null,
+        }
+      );
+
+      res.json({
+        success: true,
+        message: "Question assigned successfully",
+        data: question,
+      });
+    } catch (error) {
+      debug("Error assigning question:", error.message);
+      const status = {
+        "Question not found": 404,
+        "User not found": 400,
+      }[error.message];
+      res.status(status || 500).json({
+        success: false,
+        message: "Failed to assign question",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get unanswered questions that are overdue or due soon
+   */
+  async getSlaQueue(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: "Question not found",
+          message: "Validation errors",
+          errors: errors.array(),
         });
       }
 
-      await question.update({
-        assigned_to: assigned_to ? parseInt(assigned_to) : null,
+      const { platform, assigned_to, hours, limit } = req.query;
+
+      const queue = await questionSlaService.getQueue({
+        platform,
+        assignedTo: assigned_to === "me" ? req.actor?.id : assigned_to,
+        dueWithinHours: hours ? parseFloat(hours) : undefined,
+        limit: limit ? parseInt(limit) : undefined,
       });
 
       res.json({
         success: true,
-        message: "Question assigned successfully",
-        data: question,
+        data: {
+          ...queue,
+          counts: {
+            overdue: queue.overdue.length,
+            dueSoon: queue.dueSoon.length,
+          },
+        },
       });
     } catch (error) {
-      debug("Error assigning question:", error.message);
+      debug("Error getting SLA queue:", error.message);
       res.status(500).json({
         success: false,
-        message: "Failed to assign question",
+        message: "Failed to get SLA queue",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get daily response-time and SLA report from question statistics
+   */
+  async getSlaReport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { platform = "all", start_date, end_date } = req.query;
+      const endDate = end_date ? new Date(end_date) : new Date();
+      const startDate = start_date
+        ? new Date(start_date)
+        : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      const days = await this.questionService.getSlaReport({
+        platform,
+        startDate,
+        endDate,
+      });
+
+      res.json({
+        success: true,
+        data: days,
+      });
+    } catch (error) {
+      debug("Error getting SLA report:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get SLA report",
         error: error.message,
       });
     }
@@ -485,7 +610,7 @@ class CustomerQuestionController {
     try {
       const { id } = req.params;
       const { note } = req.body;
-      const userId = req.user?.id || null; // Handle case where user is not authenticated
+      const userId = req.actor?.id || null; // Handle case where user is not authenticated
 
       const question = await CustomerQuestion.findByPk(parseInt(id));
       if (!question) {
@@ -497,7 +622,7 @@ class CustomerQuestionController {
 
       const currentNotes = question.internal_notes || "";
       const timestamp = new Date().toISOString();
-      const userName = req.user?.name || req.user?.email || "Anonymous";
+      const userName = req.actor?.name || req.actor?.email || "Anonymous";
       const newNote = `[${timestamp}] ${userName}: ${note}`;
       const updatedNotes = currentNotes
         ? `${currentNotes}\n${newNote}`
@@ -0,0 +1,211 @@
+const TaskScheduleService = require('../services/TaskScheduleService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+class TaskScheduleController {
+  /**
+   * List the user's recurring task schedules
+   * GET /api/background-tasks/schedules
+   */
+  static async getSchedules(req, res) {
+    try {
+      const schedules = await TaskScheduleService.getSchedules(req.user.id);
+
+      res.json({
+        success: true,
+        data: schedules
+      });
+    } catch (error) {
+      logger.error('Error fetching task schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task schedules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a recurring task schedule
+   * POST /api/background-tasks/schedules
+   */
+  static async createSchedule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await TaskScheduleService.createSchedule(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Task schedule created successfully',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error('Error creating task schedule:', error);
+      res.status(TaskScheduleController.getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to create task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a recurring task schedule
+   * PUT /api/background-tasks/schedules/:scheduleId
+   */
+  static async updateSchedule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await TaskScheduleService.updateSchedule(
+        req.params.scheduleId,
+        req.user.id,
+        req.body
+      );
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Task schedule updated successfully',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error('Error updating task schedule:', error);
+      res.status(TaskScheduleController.getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to update task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a recurring task schedule
+   * DELETE /api/background-tasks/schedules/:scheduleId
+   */
+  static async deleteSchedule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const deleted = await TaskScheduleService.deleteSchedule(
+        req.params.scheduleId,
+        req.user.id
+      );
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Task schedule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Trigger a schedule immediately without moving its next run
+   * POST /api/background-tasks/schedules/:scheduleId/run
+   */
+  static async runScheduleNow(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await TaskScheduleService.getScheduleById(
+        req.params.scheduleId,
+        req.user.id
+      );
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task schedule not found'
+        });
+      }
+
+      const outcome = await TaskScheduleService.runSchedule(schedule, {
+        manual: true
+      });
+
+      if (outcome.status === 'skipped') {
+        return res.status(409).json({
+          success: false,
+          message: 'Previous run of this schedule is still active'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Scheduled task queued successfully',
+        data: outcome.task
+      });
+    } catch (error) {
+      logger.error('Error running task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  static getErrorStatus(error) {
+    if (error.name === 'SequelizeValidationError') {
+      return 400;
+    }
+    if (error.message === 'Platform connection not found') {
+      return 404;
+    }
+    return 500;
+  }
+}
+
+module.exports = TaskScheduleController;
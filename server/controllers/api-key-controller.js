@@ -0,0 +1,131 @@
+/**
+ * API Key Controller
+ * Handles personal API keys used by integrations
+ */
+
+const apiKeyService = require('../services/api-key-service');
+const {
+  API_KEY_SCOPES,
+  hasPermission
+} = require('../middleware/permissions');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Invalid scopes': 400,
+  'Scopes exceed your role': 403,
+  'API key not found': 404
+};
+
+const getErrorStatus = (error) => CLIENT_ERRORS[error.message] || 500;
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Organisation membership of the signed-in user, which bounds key scopes
+const getMembership = (req) =>
+  req.organization
+    ? { organizationId: req.organization.id, role: req.organizationRole }
+    : null;
+
+class ApiKeyController {
+  /**
+   * GET /api/api-keys/scopes
+   */
+  async getScopes(req, res) {
+    const role = req.organizationRole;
+    const scopes = Object.entries(API_KEY_SCOPES).map(
+      ([scope, permissions]) => ({
+        scope,
+        permissions,
+        allowed:
+          !role ||
+          permissions.every((permission) => hasPermission(role, permission))
+      })
+    );
+
+    res.json({ success: true, data: scopes });
+  }
+
+  /**
+   * GET /api/api-keys
+   */
+  async getKeys(req, res) {
+    try {
+      const apiKeys = await apiKeyService.listKeys(req.actor.id);
+      res.json({ success: true, data: apiKeys });
+    } catch (error) {
+      logger.error('Error fetching API keys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch API keys',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/api-keys
+   */
+  async createKey(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { name, scopes, rateLimit, expiresAt } = req.body;
+      const { apiKey, key } = await apiKeyService.createKey(
+        req.actor,
+        getMembership(req),
+        { name, scopes, rateLimit, expiresAt }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        data: { apiKey, key }
+      });
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to create API key',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/api-keys/:id
+   */
+  async revokeKey(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      await apiKeyService.revokeKey(req.actor.id, req.params.id);
+      res.json({ success: true, message: 'API key revoked successfully' });
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to revoke API key',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -4,6 +4,10 @@ const crypto = require("crypto");
 const { User } = require("../models");
 const logger = require("../utils/logger");
 const config = require("../config/config");
+const tokenBlacklistService = require("../modules/order-management/services/token-blacklist.service");
+const accountLockoutService = require("../modules/order-management/services/account-lockout.service");
+const sessionManager = require("../modules/order-management/services/session-manager.service");
+const { getPermissions } = require("../middleware/permissions");
 
 // Utility function to safely serialize data and prevent circular references
 const safeJsonResponse = (data) => {
@@ -63,8 +67,13 @@ const safeJsonResponse = (data) => {
   }
 };
 
-// Generate JWT Token with enhanced debugging and tenant support
-const generateToken = (user) => {
+// Signed-in user. Organisation members work on the owner's account (req.user),
+// but profile, password and session endpoints are about the member themself.
+const getSignedInUser = (req) => req.actor || req.user;
+
+// Generate JWT Token with enhanced debugging and tenant support. The token is
+// tied to a login session so logging out ends it everywhere.
+const generateToken = (user, sessionId) => {
   try {
     // Validate inputs
     if (!user || !user.id) {
@@ -97,6 +106,8 @@ const generateToken = (user) => {
       subscriptionPlan: user.subscriptionPlan,
       // Include user role for authorization
       role: user.role,
+      // Login session the token belongs to
+      sid: sessionId,
     };
 
     const token = jwt.sign(payload, config.jwt.secret, {
@@ -292,7 +303,8 @@ const register = async (req, res) => {
       userId: user.id,
     });
 
-    const token = generateToken(user);
+    const session = await sessionManager.createSession(user.id);
+    const token = generateToken(user, session.sessionId);
 
     // Log successful registration with comprehensive details
     const registrationTime = Date.now() - startTime;
@@ -468,6 +480,32 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse further attempts while too many recent ones failed
+    if (await accountLockoutService.isLocked(email)) {
+      const retryAfter = Math.ceil(
+        (await accountLockoutService.getRemainingLockoutTime(email)) / 1000
+      );
+
+      logger.warn("Login failed - account locked", {
+        operation: "user_login_failed",
+        reason: "account_locked",
+        loginAttemptId,
+        email,
+        ip: req.ip,
+        retryAfter,
+      });
+
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many failed login attempts. Please try again later.",
+        details: {
+          code: "ACCOUNT_LOCKED",
+          retryAfter,
+        },
+      });
+    }
+
     // Find user with password (using scope to include password field)
     logger.info("Searching for user in database", {
       loginAttemptId,
@@ -519,6 +557,8 @@ const login = async (req, res) => {
         });
       }
 
+      await accountLockoutService.recordFailedAttempt(email);
+
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -573,6 +613,8 @@ const login = async (req, res) => {
         storedPasswordHashLength: user.password.length,
       });
 
+      await accountLockoutService.recordFailedAttempt(email);
+
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -589,6 +631,8 @@ const login = async (req, res) => {
       passwordCheckDuration,
     });
 
+    await accountLockoutService.resetAttempts(email);
+
     // Check if user is active
     if (!user.isActive) {
       logger.warn("Login failed - account deactivated", {
@@ -641,7 +685,8 @@ const login = async (req, res) => {
 
     // Generate tenant-aware token
     const tokenStart = Date.now();
-    const token = generateToken(user);
+    const session = await sessionManager.createSession(user.id);
+    const token = generateToken(user, session.sessionId);
     const tokenDuration = Date.now() - tokenStart;
 
     logger.info("Authentication token generated", {
@@ -737,7 +782,7 @@ const login = async (req, res) => {
 // Get current user profile with subscription info
 const getProfile = async (req, res) => {
   try {
-    const user = req.user;
+    const user = getSignedInUser(req);
 
     // Get user with basic information - simplified to avoid serialization issues
     const userData = await User.findByPk(user.id);
@@ -784,6 +829,15 @@ const getProfile = async (req, res) => {
       isTrialExpired: userData.trialEndsAt && new Date() > userData.trialEndsAt,
       trialDaysRemaining: userData.getTrialDaysRemaining(),
       needsOnboarding: !userData.onboardingCompleted,
+      // Organisation the user works in, with their role's permissions
+      organization: req.organization
+        ? {
+            id: req.organization.id,
+            name: req.organization.name,
+            role: req.organizationRole,
+            permissions: getPermissions(req.organizationRole),
+          }
+        : null,
     };
 
     res.json({
@@ -802,7 +856,7 @@ const getProfile = async (req, res) => {
 // Update user profile
 const updateProfile = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = getSignedInUser(req).id;
     const {
       fullName,
       email,
@@ -1124,7 +1178,7 @@ const resendVerification = async (req, res) => {
 // Change password
 const changePassword = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = getSignedInUser(req).id;
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -1182,7 +1236,7 @@ const changePassword = async (req, res) => {
 // Logout
 const logout = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = getSignedInUser(req).id;
 
     // Update last activity
     await User.update(
@@ -1194,6 +1248,15 @@ const logout = async (req, res) => {
       }
     );
 
+    // Revoke the token used for this request until it would have expired
+    await tokenBlacklistService.addToBlacklist(
+      req.token,
+      req.tokenPayload?.exp
+    );
+    if (req.tokenPayload?.sid) {
+      await sessionManager.invalidateSession(req.tokenPayload.sid);
+    }
+
     logger.info("User logged out", {
       userId: userId,
     });
@@ -1211,6 +1274,41 @@ const logout = async (req, res) => {
   }
 };
 
+// Logout from all devices: revokes every token and session issued so far
+const logoutAll = async (req, res) => {
+  try {
+    const userId = getSignedInUser(req).id;
+
+    await tokenBlacklistService.revokeAllForUser(userId);
+    const sessionCount = await sessionManager.invalidateUserSessions(userId);
+
+    await User.update(
+      {
+        lastActivityAt: new Date(),
+      },
+      {
+        where: { id: userId },
+      }
+    );
+
+    logger.info("User logged out from all devices", {
+      userId: userId,
+      sessionCount,
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices successfully",
+    });
+  } catch (error) {
+    logger.error(`Logout all error: ${error.message}`, { error });
+    res.status(500).json({
+      success: false,
+      message: "Server error during logout",
+    });
+  }
+};
+
 // Development token endpoint - only works in development mode
 const generateDevToken = async (req, res) => {
   try {
@@ -1261,7 +1359,8 @@ const generateDevToken = async (req, res) => {
     }
 
     // Generate token for development user
-    const token = generateToken(devUser);
+    const session = await sessionManager.createSession(devUser.id);
+    const token = generateToken(devUser, session.sessionId);
 
     // Update last login
     await devUser.update({
@@ -1310,6 +1409,7 @@ module.exports = {
   resendVerification,
   changePassword,
   logout,
+  logoutAll,
   generateDevToken, // Add this new function
   generateToken,
   generateVerificationToken,
@@ -0,0 +1,171 @@
+/**
+ * Credit Note Controller
+ * Handles return invoices (iade faturası) issued against order invoices
+ */
+
+const creditNoteService = require('../services/credit-note-service');
+const qnbFinansInvoiceController = require('./qnbFinansInvoiceController');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Credit note not found': 404,
+  'Credit note PDF not available': 404,
+  'Order not found': 404,
+  'Return not found': 404,
+  'Order item not found': 400,
+  'Order has no invoice to credit': 409,
+  'Return has no approved items to credit': 409,
+  'No items left to credit': 409,
+  'Credit quantity exceeds invoiced quantity': 409
+};
+
+const getErrorStatus = (error) => CLIENT_ERRORS[error.message] || 500;
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+class CreditNoteController {
+  /**
+   * GET /api/credit-notes
+   */
+  async getCreditNotes(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { page, limit, orderId, status } = req.query;
+      const result = await creditNoteService.getCreditNotes(req.user.id, {
+        page,
+        limit,
+        orderId,
+        status
+      });
+
+      res.json({
+        success: true,
+        data: result.creditNotes,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error fetching credit notes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch credit notes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/credit-notes/:id
+   */
+  async getCreditNote(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const creditNote = await creditNoteService.getCreditNote(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({ success: true, data: creditNote });
+    } catch (error) {
+      logger.error('Error fetching credit note:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch credit note',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/credit-notes
+   */
+  async createCreditNote(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const qnbConfig = await qnbFinansInvoiceController.getQNBFinansConfig(
+        req.user.id
+      );
+      if (!qnbConfig) {
+        return res.status(400).json({
+          success: false,
+          message:
+            'QNB Finans configuration not found. Please configure your QNB Finans settings first.'
+        });
+      }
+
+      const { orderId, returnId, items, reason, documentType } = req.body;
+      const creditNote = await creditNoteService.createCreditNote(
+        orderId,
+        req.user.id,
+        qnbConfig,
+        { returnId, items, reason, documentType }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit note issued successfully',
+        data: creditNote
+      });
+    } catch (error) {
+      logger.error('Error issuing credit note:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to issue credit note',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/credit-notes/:id/pdf
+   */
+  async getCreditNotePdf(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const pdf = await creditNoteService.getCreditNotePdf(
+        req.params.id,
+        req.user.id
+      );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="iade-faturasi-${pdf.creditNoteNumber}.pdf"`
+      );
+      res.send(pdf.data);
+    } catch (error) {
+      logger.error('Error fetching credit note PDF:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch credit note PDF',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CreditNoteController();
@@ -0,0 +1,242 @@
+/**
+ * Order Package Controller
+ * Handles marketplace package create/split/merge/unpack and cargo barcodes
+ */
+
+const orderPackageService = require('../services/order-package-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Order not found': 404,
+  'Order items not found': 404,
+  'Package not found': 404,
+  'Package management is not supported for this platform': 400,
+  'At least two orders are required to merge': 400,
+  'Selected items are not in this package': 400,
+  'At least one item must stay in the original package': 400,
+  'No items left to package': 400,
+  'Items from different connections cannot be packaged together': 400,
+  'Items from different customers cannot be packaged together': 400,
+  'Some items are already packaged': 409,
+  'Package is unpacked': 409
+};
+
+const getErrorStatus = (error) => {
+  if (CLIENT_ERRORS[error.message]) {
+    return CLIENT_ERRORS[error.message];
+  }
+  if (
+    error.message.includes(' is already ') ||
+    error.message.endsWith('split it first')
+  ) {
+    return 409;
+  }
+  return 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = getErrorStatus(error);
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+    error: error.message
+  });
+};
+
+class OrderPackageController {
+  /**
+   * GET /api/order-packages/orders/:orderId
+   */
+  async getOrderPackages(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await orderPackageService.getOrderPackages(
+        req.params.orderId,
+        req.user.id
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error fetching order packages:', error);
+      sendError(res, error, 'Failed to fetch order packages');
+    }
+  }
+
+  /**
+   * GET /api/order-packages/orders/:orderId/merge-candidates
+   */
+  async getMergeCandidates(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await orderPackageService.getMergeCandidates(
+        req.params.orderId,
+        req.user.id
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error fetching merge candidates:', error);
+      sendError(res, error, 'Failed to fetch merge candidates');
+    }
+  }
+
+  /**
+   * POST /api/order-packages
+   */
+  async createPackage(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { orderItemIds, desi, cargoCompany } = req.body;
+      const orderPackage = await orderPackageService.createPackage(req.user.id, {
+        orderItemIds,
+        desi,
+        cargoCompany
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Package ${orderPackage.packageNumber} created`,
+        data: orderPackage
+      });
+    } catch (error) {
+      logger.error('Error creating order package:', error);
+      sendError(res, error, 'Failed to create package');
+    }
+  }
+
+  /**
+   * POST /api/order-packages/merge
+   */
+  async mergeOrders(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { orderIds, desi, cargoCompany } = req.body;
+      const orderPackage = await orderPackageService.mergeOrders(req.user.id, {
+        orderIds,
+        desi,
+        cargoCompany
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Orders merged into package ${orderPackage.packageNumber}`,
+        data: orderPackage
+      });
+    } catch (error) {
+      logger.error('Error merging orders into a package:', error);
+      sendError(res, error, 'Failed to merge orders');
+    }
+  }
+
+  /**
+   * POST /api/order-packages/:id/split
+   */
+  async splitPackage(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await orderPackageService.splitPackage(
+        req.params.id,
+        req.user.id,
+        { orderItemIds: req.body.orderItemIds }
+      );
+
+      res.json({
+        success: true,
+        message: `Package split, new package ${result.created.packageNumber}`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error splitting order package:', error);
+      sendError(res, error, 'Failed to split package');
+    }
+  }
+
+  /**
+   * POST /api/order-packages/:id/unpack
+   */
+  async unpackPackage(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const orderPackage = await orderPackageService.unpackPackage(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: `Package ${orderPackage.packageNumber} unpacked`,
+        data: orderPackage
+      });
+    } catch (error) {
+      logger.error('Error unpacking order package:', error);
+      sendError(res, error, 'Failed to unpack package');
+    }
+  }
+
+  /**
+   * GET /api/order-packages/:id/barcode
+   */
+  async getPackageBarcode(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { format = 'pdf' } = req.query;
+      const barcode = await orderPackageService.getPackageBarcode(
+        req.params.id,
+        req.user.id,
+        format
+      );
+
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+          'Content-Disposition',
+          `inline; filename="${barcode.packageNumber}.pdf"`
+        );
+        return res.send(Buffer.from(barcode.data));
+      }
+
+      res.json({ success: true, data: barcode });
+    } catch (error) {
+      logger.error('Error generating package barcode:', error);
+      sendError(res, error, 'Failed to generate package barcode');
+    }
+  }
+}
+
+module.exports = new OrderPackageController();
@@ -0,0 +1,357 @@
+/**
+ * Organization Controller
+ * Handles company accounts, their members and invitations
+ */
+
+const organizationService = require('../services/organization-service');
+const { getPermissions } = require('../middleware/permissions');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Not a member of an organization': 404,
+  'Organization not found': 404,
+  'Member not found': 404,
+  'Invitation not found': 404,
+  'Invalid role': 400,
+  'Only regular accounts can own an organization': 403,
+  'Already a member of an organization': 409,
+  'User is already a member': 409,
+  'The owner role cannot be changed': 409,
+  'The owner cannot be removed': 409,
+  'The owner cannot leave the organization': 409,
+  'Invitation is no longer valid': 410,
+  'Invitation has expired': 410,
+  'Invitation was sent to a different email address': 403
+};
+
+const getErrorStatus = (error) => CLIENT_ERRORS[error.message] || 500;
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const requireOrganization = (req) => {
+  if (!req.organization) {
+    throw new Error('Not a member of an organization');
+  }
+  return req.organization;
+};
+
+class OrganizationController {
+  /**
+   * GET /api/organizations/current
+   */
+  async getCurrentOrganization(req, res) {
+    try {
+      if (!req.organization) {
+        return res.json({ success: true, data: null });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          organization: req.organization,
+          role: req.organizationRole,
+          permissions: getPermissions(req.organizationRole)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching organization:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch organization',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/organizations
+   */
+  async createOrganization(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const organization = await organizationService.createOrganization(
+        req.actor,
+        { name: req.body.name }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Organization created successfully',
+        data: organization
+      });
+    } catch (error) {
+      logger.error('Error creating organization:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to create organization',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/organizations/current
+   */
+  async updateOrganization(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const organization = await organizationService.updateOrganization(
+        requireOrganization(req).id,
+        { name: req.body.name }
+      );
+
+      res.json({ success: true, data: organization });
+    } catch (error) {
+      logger.error('Error updating organization:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to update organization',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/organizations/members
+   */
+  async getMembers(req, res) {
+    try {
+      const members = await organizationService.getMembers(
+        requireOrganization(req).id
+      );
+
+      res.json({ success: true, data: members });
+    } catch (error) {
+      logger.error('Error fetching organization members:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch members',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/organizations/members/:id
+   */
+  async updateMember(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const member = await organizationService.updateMemberRole(
+        requireOrganization(req).id,
+        req.params.id,
+        req.body.role
+      );
+
+      res.json({ success: true, data: member });
+    } catch (error) {
+      logger.error('Error updating organization member:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to update member',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/organizations/members/:id
+   */
+  async removeMember(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      await organizationService.removeMember(
+        requireOrganization(req).id,
+        req.params.id
+      );
+
+      res.json({ success: true, message: 'Member removed successfully' });
+    } catch (error) {
+      logger.error('Error removing organization member:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to remove member',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/organizations/leave
+   */
+  async leaveOrganization(req, res) {
+    try {
+      await organizationService.leaveOrganization(req.actor.id);
+
+      res.json({ success: true, message: 'Left organization successfully' });
+    } catch (error) {
+      logger.error('Error leaving organization:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to leave organization',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/organizations/invitations
+   */
+  async getInvitations(req, res) {
+    try {
+      const invitations = await organizationService.getInvitations(
+        requireOrganization(req).id
+      );
+
+      res.json({ success: true, data: invitations });
+    } catch (error) {
+      logger.error('Error fetching organization invitations:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch invitations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/organizations/invitations
+   */
+  async createInvitation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { email, role } = req.body;
+      const result = await organizationService.createInvitation(
+        requireOrganization(req),
+        req.actor,
+        { email, role }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error creating organization invitation:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to send invitation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/organizations/invitations/:id
+   */
+  async revokeInvitation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      await organizationService.revokeInvitation(
+        requireOrganization(req).id,
+        req.params.id
+      );
+
+      res.json({ success: true, message: 'Invitation revoked successfully' });
+    } catch (error) {
+      logger.error('Error revoking organization invitation:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/organizations/invitations/:token
+   */
+  async getInvitation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const invitation = await organizationService.getInvitation(
+        req.params.token
+      );
+
+      res.json({ success: true, data: invitation });
+    } catch (error) {
+      logger.error('Error fetching organization invitation:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch invitation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/organizations/invitations/:token/accept
+   */
+  async acceptInvitation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { member, organization } =
+        await organizationService.acceptInvitation(
+          req.params.token,
+          req.actor
+        );
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: {
+          organization,
+          role: member.role,
+          permissions: getPermissions(member.role)
+        }
+      });
+    } catch (error) {
+      logger.error('Error accepting organization invitation:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OrganizationController();
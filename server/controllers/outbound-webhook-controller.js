@@ -0,0 +1,260 @@
+/**
+ * Outbound Webhook Controller
+ * Manages user webhook subscriptions and exposes the delivery log
+ */
+
+const outboundWebhookService = require('../services/outbound-webhook-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+class OutboundWebhookController {
+  /**
+   * GET /api/webhooks/event-types
+   */
+  getEventTypes(req, res) {
+    res.json({
+      success: true,
+      data: outboundWebhookService.getEventTypes()
+    });
+  }
+
+  /**
+   * GET /api/webhooks/subscriptions
+   */
+  async getSubscriptions(req, res) {
+    try {
+      const subscriptions = await outboundWebhookService.getSubscriptions(
+        req.user.id
+      );
+      res.json({ success: true, data: subscriptions });
+    } catch (error) {
+      logger.error('Error fetching webhook subscriptions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook subscriptions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/subscriptions
+   */
+  async createSubscription(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await outboundWebhookService.createSubscription(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created. Store the secret, it is shown only once.',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error creating webhook subscription:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create webhook subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/subscriptions/:id
+   */
+  async updateSubscription(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const subscription = await outboundWebhookService.updateSubscription(
+        req.user.id,
+        req.params.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription updated',
+        data: subscription
+      });
+    } catch (error) {
+      logger.error('Error updating webhook subscription:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to update webhook subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/subscriptions/:id
+   */
+  async deleteSubscription(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      await outboundWebhookService.deleteSubscription(req.user.id, req.params.id);
+
+      res.json({ success: true, message: 'Webhook subscription deleted' });
+    } catch (error) {
+      logger.error('Error deleting webhook subscription:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to delete webhook subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/subscriptions/:id/secret
+   */
+  async rotateSubscriptionSecret(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await outboundWebhookService.rotateSecret(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Webhook secret rotated. Update it on the receiving system.',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error rotating webhook subscription secret:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to rotate webhook secret',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/subscriptions/:id/test
+   */
+  async sendTestEvent(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const delivery = await outboundWebhookService.sendTestEvent(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: delivery.status === 'delivered',
+        message:
+          delivery.status === 'delivered'
+            ? 'Test event delivered'
+            : `Test event failed: ${delivery.error}`,
+        data: delivery
+      });
+    } catch (error) {
+      logger.error('Error sending webhook test event:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to send test event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/webhooks/deliveries
+   */
+  async getDeliveries(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { page = 1, limit = 20, status, subscriptionId, eventType } =
+        req.query;
+
+      const result = await outboundWebhookService.getDeliveries(req.user.id, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        status,
+        subscriptionId,
+        eventType
+      });
+
+      res.json({
+        success: true,
+        data: result.deliveries,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook deliveries',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/deliveries/:id/redeliver
+   */
+  async redeliver(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const delivery = await outboundWebhookService.redeliver(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Delivery queued for redelivery',
+        data: delivery
+      });
+    } catch (error) {
+      logger.error('Error redelivering webhook:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to redeliver webhook',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OutboundWebhookController();
@@ -3,6 +3,9 @@ const logger = require('../utils/logger');
 const HepsiburadaService = require('../modules/order-management/services/platforms/hepsiburada/hepsiburada-service');
 const TrendyolService = require('../modules/order-management/services/platforms/trendyol/trendyol-service');
 const N11Service = require('../modules/order-management/services/platforms/n11/n11-service');
+const AmazonService = require('../modules/order-management/services/platforms/amazon/amazon-service');
+const PazaramaService = require('../modules/order-management/services/platforms/pazarama/pazarama-service');
+const CiceksepetiService = require('../modules/order-management/services/platforms/ciceksepeti/ciceksepeti-service');
 
 // Utility function to safely serialize data and prevent circular references
 const safeJsonResponse = (data) => {
@@ -68,6 +71,9 @@ const platformServices = {};
 platformServices.hepsiburada = HepsiburadaService;
 platformServices.trendyol = TrendyolService;
 platformServices.n11 = N11Service;
+platformServices.amazon = AmazonService;
+platformServices.pazarama = PazaramaService;
+platformServices.ciceksepeti = CiceksepetiService;
 
 // Get all platform connections for a user
 const getConnections = async (req, res) => {
@@ -929,6 +935,18 @@ async function testPlatformConnection(connection) {
       n11Service.connection = connection;
       return await n11Service.testConnection();
     }
+    case 'amazon': {
+      const amazonService = new platformServices.amazon(connection.id);
+      return await amazonService.testConnection();
+    }
+    case 'pazarama': {
+      const pazaramaService = new platformServices.pazarama(connection.id);
+      return await pazaramaService.testConnection();
+    }
+    case 'ciceksepeti': {
+      const ciceksepetiService = new platformServices.ciceksepeti(connection.id);
+      return await ciceksepetiService.testConnection();
+    }
     case 'csv': {
       const csvService = new platformServices.csv(connection.id);
       return await csvService.testConnection();
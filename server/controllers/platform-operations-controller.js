@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { PlatformConnection, BackgroundTask, Order } = require('../models');
 const PlatformServiceFactory = require('../modules/order-management/services/platforms/platformServiceFactory');
+const priceStockService = require('../services/price-stock-service');
 const { Op, literal } = require('sequelize');
 const cron = require('node-cron');
 
@@ -296,6 +297,109 @@ class PlatformOperationsController {
     }
   }
 
+  /**
+   * Bulk update price/stock on marketplaces from a CSV upload or JSON items
+   */
+  async updatePriceStock(req, res) {
+    try {
+      const { id: userId } = req.user;
+
+      let rows;
+      if (req.file) {
+        rows = await priceStockService.parseCsv(req.file.buffer);
+      } else if (typeof req.body.csv === 'string') {
+        rows = await priceStockService.parseCsv(req.body.csv);
+      } else if (Array.isArray(req.body.items)) {
+        rows = req.body.items;
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a CSV file, a csv string or an items array'
+        });
+      }
+
+      const { items, errors } = priceStockService.normalizeItems(rows);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} row(s) failed validation`,
+          errors
+        });
+      }
+
+      // Multipart forms send connectionIds as "1,2,3"
+      let { connectionIds } = req.body;
+      if (typeof connectionIds === 'string') {
+        connectionIds = connectionIds.split(',').filter(Boolean);
+      }
+      if (Array.isArray(connectionIds)) {
+        connectionIds = connectionIds.map((id) => parseInt(id, 10));
+      }
+
+      const result = await priceStockService.updatePriceAndInventory(userId, {
+        items,
+        connectionIds
+      });
+      const failed = result.connections.filter((c) => !c.success).length;
+
+      res.status(failed === result.connections.length ? 502 : 200).json({
+        success: failed === 0,
+        message:
+          failed === 0
+            ? `Price/stock update submitted for ${result.itemCount} item(s)`
+            : `Price/stock update failed on ${failed} of ${result.connections.length} connection(s)`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error updating price/stock:', error);
+      let status = 500;
+      if (error.message === 'No active marketplace connections found') {
+        status = 404;
+      } else if (
+        error.message === 'No price/stock items to update' ||
+        error.message.startsWith('A maximum of')
+      ) {
+        status = 400;
+      }
+      res.status(status).json({
+        success: false,
+        message: 'Failed to update price/stock',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the processing status of a submitted price/stock batch
+   */
+  async getPriceStockStatus(req, res) {
+    try {
+      const { id: userId } = req.user;
+      const { connectionId, requestId } = req.params;
+
+      const status = await priceStockService.getRequestStatus(
+        userId,
+        connectionId,
+        requestId,
+        { type: req.query.type }
+      );
+
+      res.status(status.success ? 200 : 502).json({
+        success: status.success,
+        data: status
+      });
+    } catch (error) {
+      logger.error('Error getting price/stock status:', error);
+      res
+        .status(error.message === 'Platform connection not found' ? 404 : 500)
+        .json({
+          success: false,
+          message: 'Failed to get price/stock status',
+          error: error.message
+        });
+    }
+  }
+
   /**
    * Execute order fetching task
    */
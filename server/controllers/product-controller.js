@@ -550,6 +550,41 @@ class ProductController {
         });
       }
 
+      // Large catalogs time out inline, so allow queueing one product_sync
+      // background task per connection instead
+      if (options.background === true || options.background === "true") {
+        const BackgroundTaskService = require("../services/BackgroundTaskService");
+        const syncableConnections = connections.filter((connection) =>
+          ["trendyol", "hepsiburada", "n11"].includes(connection.platformType)
+        );
+
+        const tasks = [];
+        for (const connection of syncableConnections) {
+          const task = await BackgroundTaskService.createTask({
+            userId,
+            taskType: "product_sync",
+            priority: "normal",
+            config: { size: options.size },
+            platformConnectionId: connection.id,
+            metadata: {
+              source: "product_sync_endpoint",
+              platformType: connection.platformType,
+            },
+          });
+          tasks.push({
+            taskId: task.id,
+            platformConnectionId: connection.id,
+            platformType: connection.platformType,
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: `Queued product sync for ${tasks.length} platform connections`,
+          data: { tasks },
+        });
+      }
+
       // Fetch products from all platforms
       const result = await ProductMergeService.fetchAllProducts(
         userId,
@@ -3197,7 +3232,8 @@ class ProductController {
   async adjustStock(req, res) {
     try {
       const userId = req.user.id;
-      const { productId, variantId, sku, adjustment, reason } = req.body;
+      const { productId, variantId, sku, adjustment, reason, warehouseId } =
+        req.body;
 
       // Verify ownership
       if (productId) {
@@ -3238,6 +3274,7 @@ class ProductController {
         adjustment: parseInt(adjustment),
         reason,
         userId,
+        warehouseId,
       });
 
       logger.info(
@@ -3273,6 +3310,8 @@ class ProductController {
         orderNumber,
         orderId,
         platformType,
+        connectionId,
+        warehouseId,
         expiresAt,
         reason = "Order stock reservation",
       } = req.body;
@@ -3317,6 +3356,8 @@ class ProductController {
         orderNumber,
         orderId,
         platformType,
+        connectionId,
+        warehouseId,
         userId,
         expiresAt: expiresAt ? new Date(expiresAt) : null,
         reason,
@@ -0,0 +1,353 @@
+/**
+ * Purchasing Controller
+ * Handles suppliers, purchase orders, goods receipt and reorder suggestions
+ */
+
+const supplierService = require('../services/supplier-service');
+const purchaseOrderService = require('../services/purchase-order-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Supplier not found': 404,
+  'Purchase order not found': 404,
+  'Purchase order line not found': 404,
+  'Warehouse not found': 404,
+  'Purchase order has no lines': 400,
+  'Nothing to receive': 400,
+  'Only draft purchase orders can be ordered': 409,
+  'Only draft purchase orders can be deleted': 409,
+  'Only draft purchase orders can change lines or supplier': 409,
+  'Only draft or ordered purchase orders without receipts can be cancelled': 409,
+  'Only ordered purchase orders can be received': 409
+};
+
+const getErrorStatus = (error) => {
+  if (CLIENT_ERRORS[error.message]) {
+    return CLIENT_ERRORS[error.message];
+  }
+  if (error.message.startsWith('Purchase order is already ')) {
+    return 409;
+  }
+  if (
+    error.message.startsWith('Cannot receive more than ordered') ||
+    error.message.startsWith('No product or variant found')
+  ) {
+    return 400;
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return 400;
+  }
+  return 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = getErrorStatus(error);
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+    error: error.message
+  });
+};
+
+class PurchasingController {
+  /**
+   * GET /api/purchasing/suppliers
+   */
+  async getSuppliers(req, res) {
+    try {
+      const suppliers = await supplierService.getSuppliers(
+        req.user.id,
+        req.query
+      );
+      res.json({ success: true, data: suppliers });
+    } catch (error) {
+      logger.error('Error fetching suppliers:', error);
+      sendError(res, error, 'Failed to fetch suppliers');
+    }
+  }
+
+  /**
+   * POST /api/purchasing/suppliers
+   */
+  async createSupplier(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const supplier = await supplierService.createSupplier(
+        req.user.id,
+        req.body
+      );
+      res.status(201).json({ success: true, data: supplier });
+    } catch (error) {
+      logger.error('Error creating supplier:', error);
+      sendError(res, error, 'Failed to create supplier');
+    }
+  }
+
+  /**
+   * PUT /api/purchasing/suppliers/:id
+   */
+  async updateSupplier(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const supplier = await supplierService.updateSupplier(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+      res.json({ success: true, data: supplier });
+    } catch (error) {
+      logger.error('Error updating supplier:', error);
+      sendError(res, error, 'Failed to update supplier');
+    }
+  }
+
+  /**
+   * DELETE /api/purchasing/suppliers/:id
+   */
+  async deleteSupplier(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await supplierService.deleteSupplier(
+        req.params.id,
+        req.user.id
+      );
+      res.json({
+        success: true,
+        message: result.deactivated
+          ? 'Supplier has purchase orders and was deactivated'
+          : 'Supplier deleted',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error deleting supplier:', error);
+      sendError(res, error, 'Failed to delete supplier');
+    }
+  }
+
+  /**
+   * GET /api/purchasing/purchase-orders
+   */
+  async getPurchaseOrders(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await purchaseOrderService.getPurchaseOrders(
+        req.user.id,
+        req.query
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error fetching purchase orders:', error);
+      sendError(res, error, 'Failed to fetch purchase orders');
+    }
+  }
+
+  /**
+   * GET /api/purchasing/purchase-orders/:id
+   */
+  async getPurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.getPurchaseOrder(
+        req.params.id,
+        req.user.id
+      );
+      res.json({ success: true, data: purchaseOrder });
+    } catch (error) {
+      logger.error('Error fetching purchase order:', error);
+      sendError(res, error, 'Failed to fetch purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchasing/purchase-orders
+   */
+  async createPurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.createPurchaseOrder(
+        req.user.id,
+        req.body
+      );
+      res.status(201).json({
+        success: true,
+        message: `Purchase order ${purchaseOrder.poNumber} created`,
+        data: purchaseOrder
+      });
+    } catch (error) {
+      logger.error('Error creating purchase order:', error);
+      sendError(res, error, 'Failed to create purchase order');
+    }
+  }
+
+  /**
+   * PUT /api/purchasing/purchase-orders/:id
+   */
+  async updatePurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+      res.json({ success: true, data: purchaseOrder });
+    } catch (error) {
+      logger.error('Error updating purchase order:', error);
+      sendError(res, error, 'Failed to update purchase order');
+    }
+  }
+
+  /**
+   * DELETE /api/purchasing/purchase-orders/:id
+   */
+  async deletePurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await purchaseOrderService.deletePurchaseOrder(
+        req.params.id,
+        req.user.id
+      );
+      res.json({ success: true, message: 'Purchase order deleted', data: result });
+    } catch (error) {
+      logger.error('Error deleting purchase order:', error);
+      sendError(res, error, 'Failed to delete purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchasing/purchase-orders/:id/order
+   */
+  async markOrdered(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.markOrdered(
+        req.params.id,
+        req.user.id
+      );
+      res.json({
+        success: true,
+        message: `Purchase order ${purchaseOrder.poNumber} ordered`,
+        data: purchaseOrder
+      });
+    } catch (error) {
+      logger.error('Error ordering purchase order:', error);
+      sendError(res, error, 'Failed to order purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchasing/purchase-orders/:id/cancel
+   */
+  async cancelPurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.cancelPurchaseOrder(
+        req.params.id,
+        req.user.id
+      );
+      res.json({
+        success: true,
+        message: `Purchase order ${purchaseOrder.poNumber} cancelled`,
+        data: purchaseOrder
+      });
+    } catch (error) {
+      logger.error('Error cancelling purchase order:', error);
+      sendError(res, error, 'Failed to cancel purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchasing/purchase-orders/:id/receive
+   */
+  async receivePurchaseOrder(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const purchaseOrder = await purchaseOrderService.receivePurchaseOrder(
+        req.params.id,
+        req.user.id,
+        { lines: req.body.lines, warehouseId: req.body.warehouseId }
+      );
+      res.json({
+        success: true,
+        message:
+          purchaseOrder.status === 'received'
+            ? `Purchase order ${purchaseOrder.poNumber} fully received`
+            : `Purchase order ${purchaseOrder.poNumber} partially received`,
+        data: purchaseOrder
+      });
+    } catch (error) {
+      logger.error('Error receiving purchase order:', error);
+      sendError(res, error, 'Failed to receive purchase order');
+    }
+  }
+
+  /**
+   * GET /api/purchasing/reorder-suggestions
+   */
+  async getReorderSuggestions(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await purchaseOrderService.getReorderSuggestions(
+        req.user.id,
+        req.query
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error building reorder suggestions:', error);
+      sendError(res, error, 'Failed to build reorder suggestions');
+    }
+  }
+}
+
+module.exports = new PurchasingController();
@@ -0,0 +1,224 @@
+/**
+ * Returns Controller
+ * Handles the marketplace returns/claims queue
+ */
+
+const returnsService = require('../services/returns-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Return not found': 404,
+  'Platform connection not found': 404,
+  'A rejection reason is required': 400,
+  'No pending items selected': 400
+};
+
+const getErrorStatus = (error) => {
+  if (CLIENT_ERRORS[error.message]) {
+    return CLIENT_ERRORS[error.message];
+  }
+  if (error.message.startsWith('Return is already')) {
+    return 409;
+  }
+  return 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+class ReturnsController {
+  /**
+   * GET /api/returns
+   */
+  async getReturns(req, res) {
+    try {
+      const { page = 1, limit = 20, status, platformType, search } = req.query;
+
+      const result = await returnsService.getReturns(req.user.id, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        status,
+        platformType,
+        search: search ? search.trim() : undefined
+      });
+
+      res.json({
+        success: true,
+        data: result.returns,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error fetching returns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch returns',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/returns/:id
+   */
+  async getReturnById(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const returnRecord = await returnsService.getReturnById(
+        req.params.id,
+        req.user.id
+      );
+
+      if (!returnRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Return not found'
+        });
+      }
+
+      res.json({ success: true, data: returnRecord });
+    } catch (error) {
+      logger.error('Error fetching return:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch return',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/returns/sync
+   */
+  async syncReturns(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { connectionId, startDate, endDate } = req.body;
+      const summary = await returnsService.syncClaims(req.user.id, {
+        connectionId,
+        startDate,
+        endDate
+      });
+
+      res.json({
+        success: true,
+        message: `Synced claims: ${summary.created} new, ${summary.updated} updated`,
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Error syncing returns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync returns',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/returns/:id/approve
+   */
+  async approveReturn(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { itemIds, restock = true } = req.body;
+      const result = await returnsService.approveReturn(
+        req.params.id,
+        req.user.id,
+        { itemIds, restock }
+      );
+
+      res.json({
+        success: true,
+        message: 'Return approved successfully',
+        data: result.returnRecord,
+        restock: result.restock
+      });
+    } catch (error) {
+      logger.error('Error approving return:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to approve return',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/returns/:id/reject
+   */
+  async rejectReturn(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { reason, reasonCode, itemIds } = req.body;
+      const result = await returnsService.rejectReturn(
+        req.params.id,
+        req.user.id,
+        { reason, reasonCode, itemIds }
+      );
+
+      res.json({
+        success: true,
+        message: 'Return rejected successfully',
+        data: result.returnRecord
+      });
+    } catch (error) {
+      logger.error('Error rejecting return:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to reject return',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/returns/rejection-reasons/:connectionId
+   */
+  async getRejectionReasons(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const reasons = await returnsService.getRejectionReasons(
+        req.user.id,
+        req.params.connectionId
+      );
+
+      res.json({ success: true, data: reasons });
+    } catch (error) {
+      logger.error('Error fetching rejection reasons:', error);
+      res.status(getErrorStatus(error)).json({
+        success: false,
+        message: 'Failed to fetch rejection reasons',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReturnsController();
@@ -4,15 +4,44 @@
  */
 
 const shippingFactory = require('../modules/public/shipping/ShippingServiceFactory');
+const shipmentService = require('../services/shipment-service');
+const shipmentTrackingService = require('../services/shipment-tracking-service');
+const shipmentManifestService = require('../services/shipment-manifest-service');
 const logger = require('../utils/logger');
-const {
-  Order,
-  ShippingDetail,
-  ShippingCarrier,
-  ShippingRate,
-  OrderItem
-} = require('../models');
-const { Op } = require('sequelize');
+const { ShippingCarrier } = require('../models');
+
+// Shipment service errors caused by the request rather than the server
+const SHIPMENT_ERRORS = {
+  'Shipment not found': { status: 404, code: 'SHIPMENT_NOT_FOUND' },
+  'Shipment has no label': { status: 404, code: 'LABEL_NOT_FOUND' },
+  'Unsupported carrier': { status: 400, code: 'UNSUPPORTED_CARRIER' },
+  'Sender address is required': { status: 400, code: 'MISSING_SENDER_ADDRESS' },
+  'Carrier credentials are missing': {
+    status: 400,
+    code: 'MISSING_CARRIER_CREDENTIALS'
+  },
+  'Shipment can no longer be cancelled': {
+    status: 409,
+    code: 'SHIPMENT_NOT_CANCELLABLE'
+  },
+  'Carrier rejected the cancellation': {
+    status: 502,
+    code: 'CARRIER_CANCELLATION_FAILED'
+  },
+  'Shipment is no longer tracked': {
+    status: 409,
+    code: 'SHIPMENT_NOT_TRACKED'
+  },
+  'Manifest not found': { status: 404, code: 'MANIFEST_NOT_FOUND' },
+  'No shipments waiting for a manifest': {
+    status: 409,
+    code: 'NO_PENDING_SHIPMENTS'
+  },
+  'Manifest close-out cannot be retried': {
+    status: 409,
+    code: 'MANIFEST_CLOSE_OUT_NOT_RETRYABLE'
+  }
+};
 
 class ShippingController {
   /**
@@ -435,173 +464,24 @@ class ShippingController {
   }
 
   /**
-   * Get shipments with filtering
+   * Get shipments with filtering and pagination
    */
   async getShipments(req, res) {
     try {
-      const { search, status, carrier, page = 1, limit = 50 } = req.query;
-      const userId = req.user?.id;
-
-      let shipments = [];
-
-      try {
-        // Build query conditions
-        const whereConditions = {};
-        const orderWhereConditions = userId ? { userId } : {};
-
-        // Build include conditions for filtering
-        const includeConditions = [
-          {
-            model: Order,
-            as: 'order',
-            where: orderWhereConditions,
-            include: [
-              {
-                model: ShippingDetail,
-                as: 'shippingDetail',
-                required: false
-              },
-              {
-                model: OrderItem,
-                as: 'items',
-                required: false
-              }
-            ]
-          },
-          {
-            model: ShippingCarrier,
-            as: 'carrier',
-            required: false
-          }
-        ];
-
-        // Apply search filter
-        if (search) {
-          whereConditions[Op.or] = [
-            { trackingNumber: { [Op.iLike]: `%${search}%` } },
-            { '$order.orderNumber$': { [Op.iLike]: `%${search}%` } },
-            { '$order.customerName$': { [Op.iLike]: `%${search}%` } }
-          ];
-        }
-
-        // Apply status filter
-        if (status) {
-          whereConditions.status = status;
-        }
-
-        // Apply carrier filter
-        if (carrier) {
-          whereConditions['$carrier.code$'] = carrier;
-        }
-
-        // Query database for shipping rates (which represent shipments)
-        const dbShipments = await ShippingRate.findAndCountAll({
-          where: whereConditions,
-          include: includeConditions,
-          limit: parseInt(limit),
-          offset: (parseInt(page) - 1) * parseInt(limit),
-          order: [['createdAt', 'DESC']],
-          distinct: true
-        });
-
-        // Transform database results to shipment format
-        shipments = dbShipments.rows.map((rate) => {
-          const order = rate.order;
-          const shippingDetail = order?.shippingDetail;
-          const carrier = rate.carrier;
-
-          return {
-            id: `SHP_${rate.id}`,
-            trackingNumber:
-              shippingDetail?.trackingNumber ||
-              `${rate.serviceType}_${rate.id}`,
-            carrier: carrier?.code || 'unknown',
-            carrierName: carrier?.name || 'Unknown Carrier',
-            status: this.determineShipmentStatus(order?.status, shippingDetail),
-            orderNumber: order?.orderNumber || `ORD-${order?.id}`,
-            recipientName:
-              shippingDetail?.recipientName || order?.customerName || 'Unknown',
-            recipientCity: shippingDetail?.city || 'Unknown',
-            shippingAddress: {
-              address: shippingDetail?.address,
-              city: shippingDetail?.city,
-              state: shippingDetail?.state,
-              postalCode: shippingDetail?.postalCode,
-              country: shippingDetail?.country || 'Turkey'
-            },
-            createdAt: rate.calculatedAt || rate.createdAt,
-            estimatedDelivery:
-              rate.deliveryDate ||
-              this.calculateEstimatedDelivery(rate.serviceType),
-            deliveredAt: order?.status === 'delivered' ? order.updatedAt : null,
-            cost: parseFloat(rate.totalPrice) || 0,
-            serviceType: rate.serviceType,
-            weight: rate.weight,
-            dimensions: rate.dimensions
-          };
-        });
-
-        res.json({
-          success: true,
-          data: shipments,
-          meta: {
-            total: dbShipments.count,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(dbShipments.count / parseInt(limit)),
-            filtered: !!(search || status || carrier)
-          },
-          message: 'Shipments retrieved successfully'
-        });
-      } catch (dbError) {
-        logger.warn(
-          'Failed to fetch shipments from database, using fallback:',
-          dbError.message
-        );
-
-        // Fallback to mock data for development/testing
-        const mockShipments = this.getMockShipments();
-        let filteredShipments = mockShipments;
-
-        // Apply filters to mock data
-        if (search) {
-          filteredShipments = filteredShipments.filter(
-            (shipment) =>
-              shipment.trackingNumber
-                .toLowerCase()
-                .includes(search.toLowerCase()) ||
-              shipment.orderNumber
-                .toLowerCase()
-                .includes(search.toLowerCase()) ||
-              shipment.recipientName
-                .toLowerCase()
-                .includes(search.toLowerCase())
-          );
-        }
-
-        if (status) {
-          filteredShipments = filteredShipments.filter(
-            (shipment) => shipment.status === status
-          );
-        }
-
-        if (carrier) {
-          filteredShipments = filteredShipments.filter(
-            (shipment) => shipment.carrier === carrier
-          );
-        }
+      const { shipments, pagination } = await shipmentService.getShipments(
+        req.user.id,
+        req.query
+      );
 
-        res.json({
-          success: true,
-          data: filteredShipments,
-          meta: {
-            total: filteredShipments.length,
-            filtered: filteredShipments.length !== mockShipments.length,
-            fallback: true
-          },
-          message: 'Shipments retrieved successfully (fallback data)'
-        });
-      }
+      res.json({
+        success: true,
+        data: shipments,
+        meta: {
+          ...pagination,
+          filtered: !!(req.query.search || req.query.status || req.query.carrier)
+        },
+        message: 'Shipments retrieved successfully'
+      });
     } catch (error) {
       logger.error(`Failed to get shipments: ${error.message}`, { error });
       res.status(500).json({
@@ -615,12 +495,30 @@ class ShippingController {
   }
 
   /**
-   * Create a new shipment
+   * Get a single shipment with its status history
+   */
+  async getShipment(req, res) {
+    try {
+      const shipment = await shipmentService.getShipment(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: shipmentService.serialize(shipment)
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to retrieve shipment');
+    }
+  }
+
+  /**
+   * Create carrier labels and shipments for orders
    */
   async createShipment(req, res) {
     try {
-      const { orderIds, carrier, serviceType = 'STANDARD' } = req.body;
-      const userId = req.user?.id;
+      const { orderIds, carrier, serviceType, packageInfo } = req.body;
 
       // Validate required fields
       if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
@@ -643,284 +541,239 @@ class ShippingController {
         });
       }
 
-      try {
-        // Find the carrier in database
-        const carrierRecord = await ShippingCarrier.findOne({
-          where: { code: carrier, isActive: true }
-        });
-
-        if (!carrierRecord) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              message: `Carrier ${carrier} not found or inactive`,
-              code: 'CARRIER_NOT_FOUND'
-            }
-          });
-        }
+      const result = await shipmentService.createShipments(req.user.id, {
+        orderIds,
+        carrier,
+        serviceType,
+        packageInfo,
+        fromAddress:
+          req.body.fromAddress ||
+          shipmentService.getUserSettings(req.user).shipping?.fromAddress,
+        credentials: shipmentService.getAccountCredentials(req.user, req.body.credentials)
+      });
 
-        // Find orders that belong to the user
-        const orders = await Order.findAll({
-          where: {
-            id: orderIds,
-            ...(userId && { userId }),
-            status: { [Op.in]: ['paid', 'processing', 'confirmed'] }
-          },
-          include: [
-            {
-              model: ShippingDetail,
-              as: 'shippingDetail'
-            }
-          ]
+      if (result.shipments.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'No shipments could be created',
+            code: 'SHIPMENT_CREATION_FAILED',
+            details: result.failures
+          }
         });
+      }
 
-        if (orders.length === 0) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              message: 'No eligible orders found for shipping',
-              code: 'NO_ELIGIBLE_ORDERS'
-            }
-          });
-        }
-
-        // Create shipping rates for each order
-        const createdShipments = [];
+      res.status(201).json({
+        success: true,
+        data: result.shipments,
+        failures: result.failures,
+        message: `${result.shipments.length} shipment(s) created successfully`
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to create shipment');
+    }
+  }
 
-        for (const order of orders) {
-          const shippingDetail = order.shippingDetail;
+  /**
+   * Cancel a stored shipment with its carrier
+   */
+  async cancelShipmentById(req, res) {
+    try {
+      const shipment = await shipmentService.cancelShipment(
+        req.params.id,
+        req.user.id,
+        shipmentService.getAccountCredentials(req.user, req.body.credentials)
+      );
 
-          if (!shippingDetail) {
-            logger.warn(`Order ${order.id} has no shipping details, skipping`);
-            continue;
-          }
+      res.json({
+        success: true,
+        data: shipment,
+        message: 'Shipment cancelled successfully'
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to cancel shipment');
+    }
+  }
 
-          // Calculate estimated costs and delivery
-          const weight = this.calculateOrderWeight(order);
-          const estimatedCost = this.calculateShippingCost(
-            1,
-            carrier,
-            serviceType
-          );
-          const estimatedDelivery =
-            this.calculateEstimatedDelivery(serviceType);
-
-          // Create shipping rate record
-          const shippingRate = await ShippingRate.create({
-            carrierId: carrierRecord.id,
-            orderId: order.id,
-            serviceType: serviceType,
-            fromCity: 'İstanbul', // Default from city - should be configurable
-            fromPostalCode: '34000',
-            toCity: shippingDetail.city || 'Unknown',
-            toPostalCode: shippingDetail.postalCode,
-            weight: weight,
-            dimensions: this.getDefaultDimensions(),
-            basePrice: estimatedCost * 0.85, // Base price without tax
-            taxAmount: estimatedCost * 0.15, // 18% KDV
-            totalPrice: estimatedCost,
-            currency: 'TRY',
-            deliveryTime:
-              carrierRecord.deliveryTimeRange || '1-3 business days',
-            deliveryDate: new Date(estimatedDelivery),
-            isSelected: true
-          });
-
-          // Generate tracking number
-          const trackingNumber = this.generateTrackingNumber(carrier);
-
-          // Update shipping detail with tracking info
-          await shippingDetail.update({
-            carrierId: carrierRecord.id,
-            trackingNumber: trackingNumber,
-            trackingUrl: this.generateTrackingUrl(
-              carrierRecord,
-              trackingNumber
-            ),
-            status: 'shipped'
-          });
-
-          // Update order status
-          await order.update({
-            status: 'shipped',
-            lastSyncedAt: new Date()
-          });
-
-          createdShipments.push({
-            id: `SHP_${shippingRate.id}`,
-            trackingNumber: trackingNumber,
-            carrier: carrier,
-            carrierName: carrierRecord.name,
-            status: 'shipped',
-            orderId: order.id,
-            orderNumber: order.orderNumber,
-            serviceType: serviceType,
-            createdAt: new Date().toISOString(),
-            estimatedDelivery: estimatedDelivery,
-            cost: estimatedCost
-          });
-        }
+  /**
+   * Fetch the latest tracking of a shipment from its carrier now
+   */
+  async refreshShipmentTracking(req, res) {
+    try {
+      const shipment = await shipmentTrackingService.refreshShipment(
+        req.params.id,
+        req.user.id,
+        shipmentService.getAccountCredentials(req.user, req.body.credentials)
+      );
 
-        if (createdShipments.length === 0) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              message: 'No shipments could be created',
-              code: 'SHIPMENT_CREATION_FAILED'
-            }
-          });
-        }
+      res.json({
+        success: true,
+        data: shipment,
+        message: 'Shipment tracking updated'
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to update shipment tracking');
+    }
+  }
 
-        res.json({
-          success: true,
-          data: createdShipments,
-          message: `${createdShipments.length} shipment(s) created successfully`
-        });
-      } catch (dbError) {
-        logger.warn(
-          'Database shipment creation failed, using mock response:',
-          dbError.message
-        );
+  /**
+   * Download the label document of a shipment
+   */
+  async getShipmentLabel(req, res) {
+    try {
+      const label = await shipmentService.getLabel(req.params.id, req.user.id);
+      const extension = label.format.toLowerCase();
 
-        // Fallback to mock shipment creation
-        const trackingNumber = this.generateTrackingNumber(carrier);
-        const newShipment = {
-          id: `SHP_${Date.now()}`,
-          trackingNumber,
-          carrier,
-          carrierName: this.getCarrierName(carrier),
-          status: 'pending',
-          orderIds,
-          serviceType,
-          createdAt: new Date().toISOString(),
-          estimatedDelivery: this.calculateEstimatedDelivery(serviceType),
-          cost: this.calculateShippingCost(
-            orderIds.length,
-            carrier,
-            serviceType
-          )
-        };
-
-        res.json({
-          success: true,
-          data: [newShipment],
-          message: 'Shipment created successfully (mock mode)'
-        });
-      }
+      res.setHeader(
+        'Content-Type',
+        extension === 'pdf' ? 'application/pdf' : 'application/octet-stream'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="label-${label.trackingNumber}.${extension}"`
+      );
+      res.send(label.data);
     } catch (error) {
-      logger.error(`Failed to create shipment: ${error.message}`, { error });
-      res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to create shipment',
-          code: 'SHIPMENT_CREATION_ERROR'
-        }
-      });
+      this.sendShipmentError(res, error, 'Failed to retrieve shipping label');
     }
   }
 
-  // Helper methods
-  determineShipmentStatus(orderStatus, shippingDetail) {
-    if (!orderStatus) {return 'pending';}
-
-    switch (orderStatus) {
-    case 'shipped':
-      return 'in_transit';
-    case 'delivered':
-      return 'delivered';
-    case 'cancelled':
-      return 'cancelled';
-    case 'paid':
-    case 'processing':
-    case 'confirmed':
-      return shippingDetail?.trackingNumber ? 'in_transit' : 'pending';
-    default:
-      return 'pending';
+  /**
+   * Get closed manifests with filtering and pagination
+   */
+  async getManifests(req, res) {
+    try {
+      const { manifests, pagination } =
+        await shipmentManifestService.getManifests(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: manifests,
+        meta: pagination
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to retrieve manifests');
     }
   }
 
-  calculateOrderWeight(order) {
-    // Default weight calculation - should be based on actual product weights
-    const itemCount = order.items?.length || 1;
-    return Math.max(0.5, itemCount * 0.3); // Minimum 0.5kg, 0.3kg per item
+  /**
+   * Shipments waiting for a manifest, per carrier
+   */
+  async getPendingManifests(req, res) {
+    try {
+      const pending = await shipmentManifestService.getPending(req.user.id);
+
+      res.json({
+        success: true,
+        data: pending
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to retrieve pending shipments');
+    }
   }
 
-  getDefaultDimensions() {
-    return {
-      length: 20,
-      width: 15,
-      height: 10
-    };
+  /**
+   * Close the day's manifests, one per carrier, and submit them to carriers
+   * with a close-out API
+   */
+  async closeManifests(req, res) {
+    try {
+      const manifests = await shipmentManifestService.closeManifests(
+        req.user.id,
+        {
+          carrier: req.body.carrier,
+          credentials: shipmentService.getAccountCredentials(req.user, req.body.credentials)
+        }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: manifests,
+        message: `${manifests.length} manifest(s) closed successfully`
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to close manifests');
+    }
   }
 
-  generateTrackingNumber(carrierCode) {
-    const timestamp = Date.now().toString();
-    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-    return `${carrierCode.toUpperCase()}${timestamp.slice(-8)}${random}`;
+  /**
+   * Get a manifest with its shipments
+   */
+  async getManifest(req, res) {
+    try {
+      const manifest = await shipmentManifestService.getManifest(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: shipmentManifestService.serialize(manifest)
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to retrieve manifest');
+    }
   }
 
-  generateTrackingUrl(carrier, trackingNumber) {
-    if (carrier.trackingUrlTemplate) {
-      return carrier.trackingUrlTemplate.replace(
-        '{trackingNumber}',
-        trackingNumber
+  /**
+   * Download the handover list PDF of a manifest
+   */
+  async getManifestPdf(req, res) {
+    try {
+      const pdf = await shipmentManifestService.getManifestPdf(
+        req.params.id,
+        req.user.id
+      );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `inline; filename="manifest-${pdf.manifestNumber}.pdf"`
       );
+      res.send(pdf.data);
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to generate manifest PDF');
     }
+  }
 
-    // Default tracking URLs for major Turkish carriers
-    const trackingUrls = {
-      aras: `https://www.araskargo.com.tr/takip?kod=${trackingNumber}`,
-      yurtici: `https://www.yurticikargo.com/tr/takip?code=${trackingNumber}`,
-      ptt: `https://gonderitakip.ptt.gov.tr/Track?barcode=${trackingNumber}`,
-      mng: `https://www.mngkargo.com.tr/takip?kod=${trackingNumber}`
-    };
+  /**
+   * Submit a manifest whose carrier close-out failed again
+   */
+  async retryManifestCloseOut(req, res) {
+    try {
+      const manifest = await shipmentManifestService.retryCloseOut(
+        req.params.id,
+        req.user.id,
+        shipmentService.getAccountCredentials(req.user, req.body.credentials)
+      );
 
-    return trackingUrls[carrier.code] || `#tracking-${trackingNumber}`;
+      res.json({
+        success: true,
+        data: manifest,
+        message:
+          manifest.closeOutStatus === 'submitted'
+            ? 'Manifest submitted to carrier'
+            : 'Carrier close-out failed again'
+      });
+    } catch (error) {
+      this.sendShipmentError(res, error, 'Failed to submit manifest');
+    }
   }
 
-  getMockShipments() {
-    return [
-      {
-        id: 'SHP_001',
-        trackingNumber: 'ARAS123456789',
-        carrier: 'aras',
-        carrierName: 'Aras Kargo',
-        status: 'in_transit',
-        orderNumber: 'ORD-2025-001',
-        recipientName: 'Ahmet Yılmaz',
-        recipientCity: 'Ankara',
-        createdAt: '2025-06-01T10:00:00Z',
-        estimatedDelivery: '2025-06-03',
-        cost: 25.5
-      },
-      {
-        id: 'SHP_002',
-        trackingNumber: 'YK987654321',
-        carrier: 'yurtici',
-        carrierName: 'Yurtiçi Kargo',
-        status: 'delivered',
-        orderNumber: 'ORD-2025-002',
-        recipientName: 'Fatma Demir',
-        recipientCity: 'İstanbul',
-        createdAt: '2025-05-30T14:30:00Z',
-        estimatedDelivery: '2025-06-01',
-        deliveredAt: '2025-06-01T16:45:00Z',
-        cost: 18.75
-      },
-      {
-        id: 'SHP_003',
-        trackingNumber: 'PTT555888999',
-        carrier: 'ptt',
-        carrierName: 'PTT Kargo',
-        status: 'pending',
-        orderNumber: 'ORD-2025-003',
-        recipientName: 'Mehmet Özkan',
-        recipientCity: 'İzmir',
-        createdAt: '2025-06-01T09:15:00Z',
-        estimatedDelivery: '2025-06-04',
-        cost: 22.0
+  sendShipmentError(res, error, fallbackMessage) {
+    const clientError = SHIPMENT_ERRORS[error.message];
+
+    if (!clientError) {
+      logger.error(`${fallbackMessage}: ${error.message}`, { error });
+    }
+
+    res.status(clientError?.status || 500).json({
+      success: false,
+      error: {
+        message: clientError ? error.message : fallbackMessage,
+        code: clientError?.code || 'SHIPMENT_ERROR'
       }
-    ];
+    });
   }
 
   /**
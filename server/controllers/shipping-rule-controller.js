@@ -0,0 +1,163 @@
+/**
+ * Shipping Rule Controller
+ * Handles the carrier selection rules, their order and dry-run previews
+ */
+
+const shippingRuleService = require('../services/shipping-rule-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Shipping rule not found': 404,
+  'Shipping template not found': 400,
+  'Rule name is required': 400,
+  'Unsupported carrier': 400,
+  'Numeric conditions must be non-negative numbers': 400,
+  'Rule order must list every rule once': 400
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = CLIENT_ERRORS[error.message] || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+    error: error.message
+  });
+};
+
+class ShippingRuleController {
+  /**
+   * GET /api/shipping/rules
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await shippingRuleService.getRules(req.user.id);
+      res.json({ success: true, data: rules });
+    } catch (error) {
+      logger.error('Error fetching shipping rules:', error);
+      sendError(res, error, 'Failed to fetch shipping rules');
+    }
+  }
+
+  /**
+   * POST /api/shipping/rules
+   */
+  async createRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      const rule = await shippingRuleService.createRule(req.user.id, req.body);
+      res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+      logger.error('Error creating shipping rule:', error);
+      sendError(res, error, 'Failed to create shipping rule');
+    }
+  }
+
+  /**
+   * PUT /api/shipping/rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      const rule = await shippingRuleService.updateRule(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error('Error updating shipping rule:', error);
+      sendError(res, error, 'Failed to update shipping rule');
+    }
+  }
+
+  /**
+   * DELETE /api/shipping/rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      await shippingRuleService.deleteRule(req.params.id, req.user.id);
+      res.json({ success: true, message: 'Shipping rule deleted' });
+    } catch (error) {
+      logger.error('Error deleting shipping rule:', error);
+      sendError(res, error, 'Failed to delete shipping rule');
+    }
+  }
+
+  /**
+   * PUT /api/shipping/rules/order
+   */
+  async reorderRules(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      const rules = await shippingRuleService.reorderRules(
+        req.user.id,
+        req.body.ruleIds
+      );
+      res.json({ success: true, data: rules });
+    } catch (error) {
+      logger.error('Error reordering shipping rules:', error);
+      sendError(res, error, 'Failed to reorder shipping rules');
+    }
+  }
+
+  /**
+   * POST /api/shipping/rules/dry-run
+   */
+  async dryRun(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      const result = await shippingRuleService.dryRun(req.user.id, req.body);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error running shipping rule preview:', error);
+      sendError(res, error, 'Failed to preview shipping rules');
+    }
+  }
+
+  /**
+   * POST /api/shipping/rules/apply
+   */
+  async applyRules(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+      const result = await shippingRuleService.applyToOrders(
+        req.user.id,
+        req.body.orderIds
+      );
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error applying shipping rules:', error);
+      sendError(res, error, 'Failed to apply shipping rules');
+    }
+  }
+}
+
+module.exports = new ShippingRuleController();
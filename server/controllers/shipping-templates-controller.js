@@ -5,7 +5,9 @@
 
 const { User } = require('../models');
 const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
 const templateBasedPdfGenerator = require('../services/templateBasedPdfGenerator');
+const TemplateBasedZPLGenerator = require('../services/templateBasedZplGenerator');
 
 class ShippingTemplatesController {
   /**
@@ -290,46 +292,13 @@ class ShippingTemplatesController {
 
       const user = await User.findByPk(userId);
       const settings = user.settings ? JSON.parse(user.settings) : {};
-      const templates = settings.shippingTemplates || [];
-
-      // Use provided templateId or fall back to default
-      let useTemplateId = templateId || settings.defaultShippingTemplateId;
-
-      // Handle null/undefined templateId values more explicitly
-      if (
-        (!useTemplateId ||
-          useTemplateId === 'null' ||
-          useTemplateId === 'undefined') &&
-        templates.length > 0
-      ) {
-        useTemplateId = templates[0].id;
-      }
-
-      if (
-        (!useTemplateId ||
-          useTemplateId === 'null' ||
-          useTemplateId === 'undefined') &&
-        templates.length === 0
-      ) {
-        return res.status(404).json({
-          success: false,
-          message:
-            'No shipping templates found. Please create a template first.'
-        });
-      }
-
-      let template = templates.find((t) => t.id === useTemplateId);
-
-      // If specified template not found but we have other templates, fall back to first template
-      if (!template && templates.length > 0) {
-        template = templates[0];
-      }
+      const template = this.findTemplate(settings, templateId);
 
       if (!template) {
         return res.status(404).json({
           success: false,
           message:
-            'Specified template not found and no fallback templates available'
+            'No shipping templates found. Please create a template first.'
         });
       }
 
@@ -404,6 +373,116 @@ class ShippingTemplatesController {
     }
   }
 
+  /**
+   * Generate ZPL labels for thermal printers, one label per order in a
+   * single file that can be sent to the printer as is
+   */
+  async generateZPL(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const { orderIds, templateId, dpi, transliterate } = req.body;
+
+      const user = await User.findByPk(userId);
+      const settings = user.settings ? JSON.parse(user.settings) : {};
+      const template = this.findTemplate(settings, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message:
+            'No shipping templates found. Please create a template first.'
+        });
+      }
+
+      const { Order, OrderItem, ShippingDetail } = require('../models');
+      const orders = await Order.findAll({
+        where: { id: orderIds, userId },
+        include: [
+          { model: OrderItem, as: 'items' },
+          { model: ShippingDetail, as: 'shippingDetail' }
+        ]
+      });
+
+      if (orders.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      // Print in the order the labels were selected
+      const selection = orderIds.map(String);
+      orders.sort(
+        (a, b) =>
+          selection.indexOf(String(a.id)) - selection.indexOf(String(b.id))
+      );
+
+      const zplGenerator = new TemplateBasedZPLGenerator();
+      const labels = [];
+      const failedOrders = [];
+
+      for (const order of orders) {
+        const result = await zplGenerator.generateFromTemplate(
+          template,
+          this.mapOrderDataForTemplate(order),
+          { dpi, transliterate }
+        );
+
+        if (result.success) {
+          labels.push(result.data.zpl);
+          await order.update({
+            shippingTemplateId: template.id,
+            shippingLabelPrinted: true,
+            shippingLabelPrintedAt: new Date()
+          });
+        } else {
+          failedOrders.push(order.id);
+        }
+      }
+
+      if (labels.length === 0) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to generate ZPL labels',
+          failedOrders
+        });
+      }
+
+      if (failedOrders.length > 0) {
+        logger.warn('Some ZPL labels could not be generated', {
+          userId,
+          failedOrders
+        });
+      }
+
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="shipping-labels-${Date.now()}.zpl"`
+      );
+      res.send(labels.join(''));
+    } catch (error) {
+      logger.error(`Failed to generate ZPL labels: ${error.message}`, {
+        error,
+        userId: req.user?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate ZPL labels',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Link an order to a shipping template
    */
@@ -477,6 +556,23 @@ class ShippingTemplatesController {
     }
   }
 
+  /**
+   * Template to render: the requested one, else the default, else the
+   * first template of the user
+   */
+  findTemplate(settings, templateId) {
+    const templates = settings.shippingTemplates || [];
+    const wantedId = [templateId, settings.defaultShippingTemplateId].find(
+      (id) => id && id !== 'null' && id !== 'undefined'
+    );
+
+    return (
+      templates.find((template) => template.id === wantedId) ||
+      templates[0] ||
+      null
+    );
+  }
+
   /**
    * Helper method to get user by ID
    */
@@ -0,0 +1,323 @@
+/**
+ * Warehouse Controller
+ * Handles warehouses, per-warehouse stock and bins, transfers and
+ * marketplace stock allocation rules
+ */
+
+const warehouseService = require('../services/warehouse-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Service errors that map to client errors rather than 500s
+const CLIENT_ERRORS = {
+  'Warehouse not found': 404,
+  'Platform connection not found': 404,
+  'SKU is not stocked in this warehouse': 404,
+  'Warehouse code is already in use': 409,
+  'Warehouse still holds stock, transfer it first': 409,
+  'Destination warehouse is inactive': 400,
+  'Source and destination warehouses must differ': 400,
+  'Invalid allocation mode': 400
+};
+
+const getErrorStatus = (error) => {
+  if (CLIENT_ERRORS[error.message]) {
+    return CLIENT_ERRORS[error.message];
+  }
+  if (
+    error.message.startsWith('Insufficient warehouse stock') ||
+    error.message.startsWith('No product or variant found')
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = getErrorStatus(error);
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+    error: error.message
+  });
+};
+
+class WarehouseController {
+  /**
+   * GET /api/warehouses
+   */
+  async getWarehouses(req, res) {
+    try {
+      const warehouses = await warehouseService.getWarehouses(req.user.id, {
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({ success: true, data: warehouses });
+    } catch (error) {
+      logger.error('Error fetching warehouses:', error);
+      sendError(res, error, 'Failed to fetch warehouses');
+    }
+  }
+
+  /**
+   * POST /api/warehouses
+   */
+  async createWarehouse(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const warehouse = await warehouseService.createWarehouse(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Warehouse ${warehouse.code} created`,
+        data: warehouse
+      });
+    } catch (error) {
+      logger.error('Error creating warehouse:', error);
+      sendError(res, error, 'Failed to create warehouse');
+    }
+  }
+
+  /**
+   * PUT /api/warehouses/:id
+   */
+  async updateWarehouse(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const warehouse = await warehouseService.updateWarehouse(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.json({ success: true, data: warehouse });
+    } catch (error) {
+      logger.error('Error updating warehouse:', error);
+      sendError(res, error, 'Failed to update warehouse');
+    }
+  }
+
+  /**
+   * DELETE /api/warehouses/:id
+   */
+  async deleteWarehouse(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await warehouseService.deleteWarehouse(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({ success: true, message: 'Warehouse deleted', data: result });
+    } catch (error) {
+      logger.error('Error deleting warehouse:', error);
+      sendError(res, error, 'Failed to delete warehouse');
+    }
+  }
+
+  /**
+   * GET /api/warehouses/:id/stock
+   */
+  async getWarehouseStock(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await warehouseService.getWarehouseStock(
+        req.params.id,
+        req.user.id,
+        req.query
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error fetching warehouse stock:', error);
+      sendError(res, error, 'Failed to fetch warehouse stock');
+    }
+  }
+
+  /**
+   * GET /api/warehouses/stock/:sku
+   */
+  async getSkuStock(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const stock = await warehouseService.getSkuStock(
+        req.user.id,
+        req.params.sku
+      );
+
+      res.json({ success: true, data: stock });
+    } catch (error) {
+      logger.error('Error fetching SKU warehouse stock:', error);
+      sendError(res, error, 'Failed to fetch SKU stock');
+    }
+  }
+
+  /**
+   * POST /api/warehouses/:id/stock/adjust
+   */
+  async adjustStock(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { sku, adjustment, reason, binLocation } = req.body;
+      const result = await warehouseService.adjustStock(
+        req.params.id,
+        req.user.id,
+        { sku, adjustment: parseInt(adjustment), reason, binLocation }
+      );
+
+      res.json({
+        success: true,
+        message: 'Warehouse stock adjusted',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error adjusting warehouse stock:', error);
+      sendError(res, error, 'Failed to adjust warehouse stock');
+    }
+  }
+
+  /**
+   * PUT /api/warehouses/:id/stock/:sku/bin
+   */
+  async setBinLocation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const stock = await warehouseService.setBinLocation(
+        req.params.id,
+        req.user.id,
+        req.params.sku,
+        req.body.binLocation
+      );
+
+      res.json({ success: true, data: stock });
+    } catch (error) {
+      logger.error('Error setting bin location:', error);
+      sendError(res, error, 'Failed to set bin location');
+    }
+  }
+
+  /**
+   * POST /api/warehouses/transfers
+   */
+  async transferStock(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { sku, quantity, fromWarehouseId, toWarehouseId, reason } =
+        req.body;
+      const result = await warehouseService.transferStock(req.user.id, {
+        sku,
+        quantity: parseInt(quantity),
+        fromWarehouseId,
+        toWarehouseId,
+        reason
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${result.quantity} x ${result.sku} transferred`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error transferring stock:', error);
+      sendError(res, error, 'Failed to transfer stock');
+    }
+  }
+
+  /**
+   * GET /api/warehouses/transfers
+   */
+  async getTransfers(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await warehouseService.getTransfers(
+        req.user.id,
+        req.query
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error('Error fetching warehouse transfers:', error);
+      sendError(res, error, 'Failed to fetch transfers');
+    }
+  }
+
+  /**
+   * GET /api/warehouses/allocation-rules
+   */
+  async getAllocationRules(req, res) {
+    try {
+      const rules = await warehouseService.getAllocationRules(req.user.id);
+      res.json({ success: true, data: rules });
+    } catch (error) {
+      logger.error('Error fetching stock allocation rules:', error);
+      sendError(res, error, 'Failed to fetch allocation rules');
+    }
+  }
+
+  /**
+   * PUT /api/warehouses/allocation-rules/:connectionId
+   */
+  async setAllocationRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const rule = await warehouseService.setAllocationRule(
+        req.user.id,
+        req.params.connectionId,
+        { mode: req.body.mode, warehouseId: req.body.warehouseId }
+      );
+
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      logger.error('Error saving stock allocation rule:', error);
+      sendError(res, error, 'Failed to save allocation rule');
+    }
+  }
+}
+
+module.exports = new WarehouseController();
@@ -0,0 +1,162 @@
+/**
+ * Webhook Controller
+ * Receives marketplace webhooks and exposes the stored events
+ */
+
+const webhookReceiverService = require('../services/webhook-receiver-service');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+class WebhookController {
+  /**
+   * POST /api/webhooks/:platform/:connectionId
+   * Public endpoint; authenticated by the connection's webhook secret
+   */
+  async receiveWebhook(req, res) {
+    try {
+      const connectionId = parseInt(req.params.connectionId, 10);
+      if (Number.isNaN(connectionId)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Webhook authentication failed'
+        });
+      }
+
+      const event = await webhookReceiverService.receive({
+        platform: req.params.platform.toLowerCase(),
+        connectionId,
+        headers: req.headers,
+        rawBody: req.rawBody
+          ? req.rawBody.toString('utf8')
+          : JSON.stringify(req.body || {}),
+        payload: req.body,
+        sourceIp: req.ip
+      });
+
+      // Acknowledge before processing so marketplace delivery timeouts are never hit
+      res.status(202).json({ success: true, eventId: event.id });
+
+      setImmediate(() => {
+        webhookReceiverService.processEvent(event).catch((error) => {
+          logger.error(`Webhook event ${event.id} processing crashed:`, error);
+        });
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error receiving webhook:', error);
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to receive webhook'
+      });
+    }
+  }
+
+  /**
+   * GET /api/webhooks/events
+   */
+  async getEvents(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const { page = 1, limit = 20, status, connectionId, platformType } =
+        req.query;
+
+      const result = await webhookReceiverService.getEvents(req.user.id, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        status,
+        connectionId: connectionId ? parseInt(connectionId, 10) : undefined,
+        platformType
+      });
+
+      res.json({
+        success: true,
+        data: result.events,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook events:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook events',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/events/:id/reprocess
+   */
+  async reprocessEvent(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const event = await webhookReceiverService.reprocessEvent(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: event.status !== 'failed',
+        message: `Webhook event ${event.status}`,
+        data: event
+      });
+    } catch (error) {
+      logger.error('Error reprocessing webhook event:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to reprocess webhook event',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/webhooks/connections/:connectionId/secret
+   */
+  async rotateSecret(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) {
+        return;
+      }
+
+      const result = await webhookReceiverService.rotateSecret(
+        req.user.id,
+        req.params.connectionId
+      );
+
+      res.json({
+        success: true,
+        message: 'Webhook secret generated. Configure it on the marketplace.',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error rotating webhook secret:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to generate webhook secret',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
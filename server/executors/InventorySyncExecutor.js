@@ -0,0 +1,528 @@
+const logger = require('../utils/logger');
+const {
+  InventorySync,
+  StockReservation,
+  PlatformConnection,
+  Product,
+  TrendyolProduct,
+  HepsiburadaProduct,
+  N11Product
+} = require('../models');
+const { Op } = require('sequelize');
+const stockAllocationService = require('../services/stock-allocation-service');
+
+const SUPPORTED_PLATFORMS = ['trendyol', 'hepsiburada', 'n11'];
+
+// Rows per listing lookup query
+const LISTING_BATCH_SIZE = 500;
+
+// Maximum items per marketplace stock update request
+const PLATFORM_BATCH_SIZES = {
+  trendyol: 1000,
+  hepsiburada: 1000,
+  n11: 1000
+};
+
+/**
+ * Inventory Sync Task Executor
+ * Pushes available stock (master quantity minus active reservations) for every
+ * tracked SKU to each linked marketplace listing and records per-platform results
+ * on the InventorySync rows. Users with warehouses push each connection's
+ * allocated warehouse stock instead (see stock-allocation-service).
+ */
+class InventorySyncExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, onLog, checkCancellation, waitForResume } = callbacks;
+    const config = task.config || {};
+    const startTime = Date.now();
+
+    const structuredLog = (level, message, additionalData = {}) => {
+      const logData = {
+        taskId: task.id,
+        taskType: task.taskType,
+        userId: task.userId,
+        ...additionalData,
+        source: 'InventorySyncExecutor',
+        phase: additionalData.phase || 'execution',
+        elapsed: Date.now() - startTime
+      };
+
+      const detailedMessage = additionalData.phase
+        ? `[${additionalData.phase.toUpperCase()}] ${message}`
+        : message;
+
+      onLog(level, detailedMessage, logData);
+
+      if (level === 'error') {
+        logger.error(`[Task ${task.id}] ${detailedMessage}`, logData);
+      } else if (level === 'warn') {
+        logger.warn(`[Task ${task.id}] ${detailedMessage}`, logData);
+      } else {
+        logger.info(`[Task ${task.id}] ${detailedMessage}`, logData);
+      }
+    };
+
+    structuredLog('info', 'Starting inventory sync', {
+      config,
+      phase: 'initialization'
+    });
+
+    onProgress(0, 0, 'Loading platform connections', 'initializing');
+
+    const connections = await this.getTargetConnections(task, config);
+    if (connections.length === 0) {
+      throw new Error('No active platform connections to push inventory to');
+    }
+
+    const records = await this.getInventoryRecords(task, config);
+    const total = records.length;
+
+    structuredLog('info', `Found ${total} SKUs to sync`, {
+      platforms: connections.map((c) => c.platformType),
+      phase: 'loading'
+    });
+
+    if (total === 0) {
+      onProgress(0, 0, 'No inventory records to sync', 'completed');
+      return { totalSkus: 0, platforms: {}, duration: Date.now() - startTime };
+    }
+
+    const reservedBySku = await this.getReservedQuantities(
+      task.userId,
+      records.map((r) => r.sku)
+    );
+
+    // Warehouse stock per connection; null when the user has no warehouses.
+    // Keyed by connection: a user may connect several stores of one platform
+    const warehouseQuantities = {};
+    for (const connection of connections) {
+      warehouseQuantities[connection.id] =
+        await stockAllocationService.getSellableQuantities(
+          task.userId,
+          records.map((r) => r.sku),
+          connection
+        );
+    }
+
+    const listingsByRecord = await this.findLinkedListings(
+      task.userId,
+      records,
+      connections.map((c) => c.platformType)
+    );
+
+    // Phase 1: compute available stock and collect linked listings per connection
+    const platformItems = {};
+    connections.forEach((connection) => {
+      platformItems[connection.id] = [];
+    });
+
+    for (let i = 0; i < records.length; i++) {
+      checkCancellation();
+      await waitForResume();
+
+      const record = records[i];
+      const reservedQuantity = reservedBySku[record.sku] || 0;
+      const availableQuantity = Math.max(
+        0,
+        record.masterQuantity - reservedQuantity
+      );
+
+      record.reservedQuantity = reservedQuantity;
+      record.availableQuantity = availableQuantity;
+
+      const listings = listingsByRecord.get(record.id) || {};
+      for (const connection of connections) {
+        const listing = listings[connection.platformType];
+        if (listing) {
+          const allocated = warehouseQuantities[connection.id]?.[record.sku];
+          platformItems[connection.id].push({
+            record,
+            item: {
+              ...listing,
+              quantity: allocated !== undefined ? allocated : availableQuantity
+            }
+          });
+        }
+      }
+
+      if ((i + 1) % 50 === 0 || i + 1 === total) {
+        onProgress(
+          i + 1,
+          total * 2,
+          `Calculated available stock for ${i + 1}/${total} SKUs`,
+          'calculating'
+        );
+      }
+    }
+
+    // Phase 2: push to each marketplace independently so one lagging
+    // platform cannot hold back the others
+    const platformResults = {};
+    const recordResults = new Map();
+    let pushed = 0;
+    const totalToPush = Object.values(platformItems).reduce(
+      (sum, entries) => sum + entries.length,
+      0
+    );
+
+    for (const connection of connections) {
+      const platformType = connection.platformType;
+      const entries = platformItems[connection.id];
+      const connectionResult = {
+        connectionId: connection.id,
+        platformType,
+        total: entries.length,
+        succeeded: 0,
+        failed: 0,
+        requests: []
+      };
+      platformResults[connection.id] = connectionResult;
+
+      if (entries.length === 0) {
+        continue;
+      }
+
+      const platformService = this.getPlatformService(connection);
+      const batchSize = PLATFORM_BATCH_SIZES[platformType];
+
+      for (let start = 0; start < entries.length; start += batchSize) {
+        checkCancellation();
+        await waitForResume();
+
+        const batch = entries.slice(start, start + batchSize);
+        let result;
+        try {
+          result = await platformService.updateInventory(
+            batch.map((entry) => entry.item)
+          );
+        } catch (error) {
+          result = { success: false, message: error.message };
+        }
+
+        const requestId =
+          result.batchRequestId || result.trackingId || result.taskId || null;
+        connectionResult.requests.push({
+          requestId,
+          itemCount: batch.length,
+          success: result.success
+        });
+
+        if (result.success) {
+          connectionResult.succeeded += batch.length;
+        } else {
+          connectionResult.failed += batch.length;
+          structuredLog(
+            'warn',
+            `Inventory push to ${platformType.toUpperCase()} failed for ${batch.length} SKUs`,
+            {
+              platformType,
+              connectionId: connection.id,
+              message: result.message,
+              error: result.error,
+              phase: 'pushing'
+            }
+          );
+        }
+
+        batch.forEach((entry) => {
+          if (!recordResults.has(entry.record.id)) {
+            recordResults.set(entry.record.id, {});
+          }
+          // Rows track one status per platform: failed if any store failed
+          const results = recordResults.get(entry.record.id);
+          const previous = results[platformType];
+          results[platformType] = {
+            success: result.success && (!previous || previous.success),
+            quantity: entry.item.quantity,
+            requestId,
+            error: result.success
+              ? previous?.error || null
+              : result.message || 'Update failed'
+          };
+        });
+
+        pushed += batch.length;
+        onProgress(
+          total + Math.round((pushed / Math.max(totalToPush, 1)) * total),
+          total * 2,
+          `Pushed ${pushed}/${totalToPush} listings`,
+          'pushing'
+        );
+      }
+    }
+
+    // Phase 3: write per-platform results back onto the InventorySync rows
+    let syncedSkus = 0;
+    let failedSkus = 0;
+    for (const record of records) {
+      const results = recordResults.get(record.id) || {};
+      await this.applyResults(record, results);
+
+      if (record.syncStatus === 'synced') {
+        syncedSkus++;
+      } else if (record.syncStatus === 'failed') {
+        failedSkus++;
+      }
+    }
+
+    const summary = {
+      totalSkus: total,
+      syncedSkus,
+      failedSkus,
+      platforms: platformResults,
+      duration: Date.now() - startTime
+    };
+
+    structuredLog('info', 'Inventory sync completed', {
+      ...summary,
+      phase: 'completed'
+    });
+
+    onProgress(
+      total * 2,
+      total * 2,
+      `Inventory synced for ${syncedSkus}/${total} SKUs`,
+      'completed'
+    );
+
+    return summary;
+  }
+
+  /**
+   * Resolve which connections to push to: the task's own connection if set,
+   * otherwise every active supported connection of the user
+   */
+  static async getTargetConnections(task, config) {
+    if (task.platformConnection) {
+      return SUPPORTED_PLATFORMS.includes(task.platformConnection.platformType)
+        ? [task.platformConnection]
+        : [];
+    }
+
+    const platforms = Array.isArray(config.platforms)
+      ? config.platforms.filter((p) => SUPPORTED_PLATFORMS.includes(p))
+      : SUPPORTED_PLATFORMS;
+
+    return PlatformConnection.findAll({
+      where: {
+        userId: task.userId,
+        isActive: true,
+        platformType: { [Op.in]: platforms }
+      }
+    });
+  }
+
+  /**
+   * Load the InventorySync rows owned by the task's user
+   */
+  static async getInventoryRecords(task, config) {
+    const where = {};
+
+    if (Array.isArray(config.skus) && config.skus.length > 0) {
+      where.sku = { [Op.in]: config.skus };
+    } else {
+      where.autoSyncEnabled = true;
+    }
+
+    if (config.onlyPending) {
+      where.syncStatus = { [Op.in]: ['pending', 'failed', 'partial'] };
+    }
+
+    return InventorySync.findAll({
+      where,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          where: { userId: task.userId },
+          attributes: ['id', 'sku', 'barcode', 'userId'],
+          required: true
+        }
+      ],
+      order: [['sku', 'ASC']]
+    });
+  }
+
+  /**
+   * Sum active, unexpired stock reservations per SKU
+   */
+  static async getReservedQuantities(userId, skus) {
+    const reservations = await StockReservation.findAll({
+      where: {
+        userId,
+        sku: { [Op.in]: skus },
+        status: 'active',
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      },
+      attributes: ['sku', 'quantity']
+    });
+
+    return reservations.reduce((totals, reservation) => {
+      totals[reservation.sku] =
+        (totals[reservation.sku] || 0) + reservation.quantity;
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Find the user's marketplace listings linked to the InventorySync rows, by
+   * product or SKU, returning per row the identifiers each platform's
+   * updateInventory() expects
+   * @returns {Promise<Map<string, Object>>} Listings by platform, per row ID
+   */
+  static async findLinkedListings(userId, records, platformTypes) {
+    const sources = {
+      trendyol: {
+        model: TrendyolProduct,
+        skuField: 'stockCode',
+        toItem: (listing) =>
+          listing.barcode ? { barcode: listing.barcode } : null
+      },
+      hepsiburada: {
+        model: HepsiburadaProduct,
+        skuField: 'merchantSku',
+        toItem: (listing) =>
+          listing.merchantSku ? { merchantSku: listing.merchantSku } : null
+      },
+      n11: {
+        model: N11Product,
+        skuField: 'stockCode',
+        toItem: (listing) =>
+          listing.stockCode ? { stockCode: listing.stockCode } : null
+      }
+    };
+
+    const listingsByRecord = new Map(records.map((r) => [r.id, {}]));
+
+    for (const platformType of [...new Set(platformTypes)]) {
+      const { model, skuField, toItem } = sources[platformType];
+      const byProductId = new Map();
+      const bySku = new Map();
+
+      for (let start = 0; start < records.length; start += LISTING_BATCH_SIZE) {
+        const batch = records.slice(start, start + LISTING_BATCH_SIZE);
+        const listings = await model.findAll({
+          where: {
+            [Op.or]: [
+              {
+                productId: {
+                  [Op.in]: batch.map((r) => r.productId).filter(Boolean)
+                }
+              },
+              { [skuField]: { [Op.in]: batch.map((r) => r.sku) } }
+            ]
+          },
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              where: { userId },
+              attributes: [],
+              required: true
+            }
+          ]
+        });
+
+        listings.forEach((listing) => {
+          if (!byProductId.has(listing.productId)) {
+            byProductId.set(listing.productId, listing);
+          }
+          if (listing[skuField] && !bySku.has(listing[skuField])) {
+            bySku.set(listing[skuField], listing);
+          }
+        });
+      }
+
+      records.forEach((record) => {
+        const listing =
+          (record.productId && byProductId.get(record.productId)) ||
+          bySku.get(record.sku);
+        const item = listing && toItem(listing);
+        if (item) {
+          listingsByRecord.get(record.id)[platformType] = item;
+        }
+      });
+    }
+
+    return listingsByRecord;
+  }
+
+  /**
+   * Persist per-platform push results on an InventorySync row
+   */
+  static async applyResults(record, results) {
+    const now = new Date();
+    const platformQuantities = { ...(record.platformQuantities || {}) };
+    const syncErrors = { ...(record.syncErrors || {}) };
+    const attempted = Object.keys(results);
+
+    for (const platformType of attempted) {
+      const result = results[platformType];
+
+      if (result.success) {
+        platformQuantities[platformType] = {
+          quantity: result.quantity,
+          lastSync: now,
+          status: 'synced',
+          requestId: result.requestId
+        };
+        delete syncErrors[platformType];
+      } else {
+        platformQuantities[platformType] = {
+          ...(platformQuantities[platformType] || {}),
+          status: 'failed'
+        };
+        syncErrors[platformType] = {
+          error: result.error,
+          timestamp: now,
+          attempts: (syncErrors[platformType]?.attempts || 0) + 1
+        };
+      }
+    }
+
+    const succeeded = attempted.filter((p) => results[p].success).length;
+
+    record.platformQuantities = platformQuantities;
+    record.syncErrors = syncErrors;
+    record.lastSyncAttempt = now;
+
+    // SKUs without any linked listing keep their previous status
+    if (attempted.length === 0) {
+      await record.save();
+      return;
+    }
+
+    if (succeeded === attempted.length) {
+      record.syncStatus = 'synced';
+      record.lastSuccessfulSync = now;
+    } else if (succeeded === 0) {
+      record.syncStatus = 'failed';
+    } else {
+      record.syncStatus = 'partial';
+    }
+
+    await record.save();
+  }
+
+  static getPlatformService(platformConnection) {
+    const services = {
+      trendyol: require('../modules/order-management/services/platforms/trendyol/trendyol-service'),
+      hepsiburada: require('../modules/order-management/services/platforms/hepsiburada/hepsiburada-service'),
+      n11: require('../modules/order-management/services/platforms/n11/n11-service')
+    };
+
+    const ServiceClass = services[platformConnection.platformType];
+    if (!ServiceClass) {
+      throw new Error(
+        `Inventory sync is not supported for platform: ${platformConnection.platformType}`
+      );
+    }
+
+    return new ServiceClass(platformConnection.id);
+  }
+}
+
+module.exports = InventorySyncExecutor;
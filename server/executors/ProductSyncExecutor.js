@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+
+/**
+ * Product Sync Task Executor
+ * Runs a platform's syncProducts() as a background task with progress reporting
+ * and pause/resume/cancel support between products
+ */
+class ProductSyncExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, onLog, checkCancellation, waitForResume } = callbacks;
+    const config = task.config || {};
+    const startTime = Date.now();
+
+    const logContext = {
+      taskId: task.id,
+      taskType: task.taskType,
+      platformConnectionId: task.platformConnectionId,
+      userId: task.userId
+    };
+
+    const structuredLog = (level, message, additionalData = {}) => {
+      const logData = {
+        ...logContext,
+        ...additionalData,
+        source: 'ProductSyncExecutor',
+        phase: additionalData.phase || 'execution',
+        elapsed: Date.now() - startTime
+      };
+
+      const detailedMessage = additionalData.phase
+        ? `[${additionalData.phase.toUpperCase()}] ${message}`
+        : message;
+
+      onLog(level, detailedMessage, logData);
+
+      if (level === 'error') {
+        logger.error(`[Task ${task.id}] ${detailedMessage}`, logData);
+      } else if (level === 'warn') {
+        logger.warn(`[Task ${task.id}] ${detailedMessage}`, logData);
+      } else {
+        logger.info(`[Task ${task.id}] ${detailedMessage}`, logData);
+      }
+    };
+
+    const platformConnection = task.platformConnection;
+    if (!platformConnection) {
+      throw new Error('Platform connection not found');
+    }
+
+    const platformName = platformConnection.platformType.toUpperCase();
+    // Persisting progress costs a DB write, so only report every N products
+    const progressInterval = Math.max(
+      1,
+      parseInt(config.progressInterval || 25, 10)
+    );
+
+    structuredLog('info', `Starting product sync from ${platformName}`, {
+      platformType: platformConnection.platformType,
+      config,
+      phase: 'initialization'
+    });
+
+    onProgress(0, 0, `Connecting to ${platformName}`, 'connecting');
+    checkCancellation();
+
+    const platformService = this.getPlatformService(platformConnection);
+
+    onProgress(0, 0, `Fetching products from ${platformName}`, 'fetching');
+
+    const fetchParams = {};
+    if (config.size) {
+      fetchParams.size = parseInt(config.size, 10);
+    }
+
+    const result = await platformService.syncProducts(fetchParams, {
+      userId: task.userId,
+      checkpoint: async () => {
+        checkCancellation();
+        await waitForResume();
+      },
+      onProgress: (processed, total) => {
+        if (processed % progressInterval === 0 || processed === total) {
+          onProgress(
+            processed,
+            total,
+            `Synced ${processed}/${total} products`,
+            'syncing'
+          );
+        }
+      }
+    });
+
+    // syncProducts swallows errors, so a cancellation surfaces as a failed result
+    checkCancellation();
+
+    const stats = result.data || result.stats || {};
+
+    if (!result.success) {
+      structuredLog('error', `Product sync from ${platformName} failed`, {
+        message: result.message,
+        error: result.error,
+        stats,
+        phase: 'failed'
+      });
+      throw new Error(result.message || 'Product sync failed');
+    }
+
+    structuredLog('info', `Product sync from ${platformName} completed`, {
+      stats,
+      duration: Date.now() - startTime,
+      phase: 'completed'
+    });
+
+    onProgress(stats.total || 0, stats.total || 0, result.message, 'completed');
+
+    return {
+      platformType: platformConnection.platformType,
+      platformConnectionId: platformConnection.id,
+      message: result.message,
+      stats,
+      duration: Date.now() - startTime
+    };
+  }
+
+  static getPlatformService(platformConnection) {
+    const services = {
+      trendyol: require('../modules/order-management/services/platforms/trendyol/trendyol-service'),
+      hepsiburada: require('../modules/order-management/services/platforms/hepsiburada/hepsiburada-service'),
+      n11: require('../modules/order-management/services/platforms/n11/n11-service')
+    };
+
+    const ServiceClass = services[platformConnection.platformType];
+    if (!ServiceClass) {
+      throw new Error(
+        `Product sync is not supported for platform: ${platformConnection.platformType}`
+      );
+    }
+
+    return new ServiceClass(platformConnection.id);
+  }
+}
+
+module.exports = ProductSyncExecutor;
@@ -2,11 +2,149 @@ const jwt = require("jsonwebtoken");
 const { User } = require("../models");
 const logger = require("../utils/logger");
 const config = require("../config/config");
+const tokenBlacklistService = require("../modules/order-management/services/token-blacklist.service");
+const organizationService = require("../services/organization-service");
+const apiKeyService = require("../services/api-key-service");
+
+// Latest trial or active subscription of the account
+const SUBSCRIPTION_INCLUDE = {
+  association: "subscriptions",
+  where: {
+    status: ["trial", "active"],
+  },
+  required: false,
+  limit: 1,
+  order: [["createdAt", "DESC"]],
+};
+
+/**
+ * Account a user works on: their own, or for organisation members the
+ * organisation owner's, whose orders, products and connections they share
+ * @returns {Promise<{accountUser: Object|null, membership: Object|null}>}
+ */
+const resolveAccount = async (user) => {
+  const membership = await organizationService.getMembership(user.id);
+  if (!membership || membership.organization.ownerId === user.id) {
+    return { accountUser: user, membership };
+  }
+
+  const accountUser = await User.findByPk(membership.organization.ownerId, {
+    include: [SUBSCRIPTION_INCLUDE],
+  });
+  return {
+    accountUser: accountUser && accountUser.isActive ? accountUser : null,
+    membership,
+  };
+};
+
+/**
+ * Attach the signed-in user and the account they work on to the request.
+ * req.user is the account being worked on, req.actor the person signed in.
+ */
+const attachAccount = (req, user, { accountUser, membership }, tenantId) => {
+  req.user = accountUser;
+  req.actor = user;
+  req.organization = membership?.organization || null;
+  req.organizationRole = membership?.role || null;
+  req.subscription = accountUser.subscriptions?.[0] || null;
+  req.tenantId = membership ? membership.organizationId : tenantId;
+};
+
+/**
+ * Authenticate a personal API key. The request acts as the user who created
+ * the key, limited to the key's scopes and its own rate limit.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeyService.findActiveKey(key);
+  if (!apiKey) {
+    logger.warn("Authentication failed: Invalid API key", {
+      url: req.url,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, revoked or expired API key.",
+      code: "INVALID_API_KEY",
+    });
+  }
+
+  const rateLimit = await apiKeyService.checkRateLimit(apiKey);
+  res.set("X-RateLimit-Limit", String(apiKey.rateLimit));
+  if (!rateLimit.allowed) {
+    logger.warn("API key rate limit exceeded", {
+      apiKeyId: apiKey.id,
+      count: rateLimit.count,
+      url: req.url,
+    });
+    res.set("Retry-After", String(rateLimit.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: "API key rate limit exceeded.",
+      code: "API_KEY_RATE_LIMITED",
+      retryAfter: rateLimit.retryAfter,
+    });
+  }
+  if (rateLimit.remaining !== undefined) {
+    res.set("X-RateLimit-Remaining", String(rateLimit.remaining));
+  }
+
+  const user = await User.findByPk(apiKey.userId, {
+    include: [SUBSCRIPTION_INCLUDE],
+  });
+  if (!user || !user.isActive) {
+    logger.warn("Authentication failed: API key user not active", {
+      apiKeyId: apiKey.id,
+      userId: apiKey.userId,
+      url: req.url,
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid API key - user not active.",
+      code: "INVALID_API_KEY",
+    });
+  }
+
+  // A key only works on the account it was created for
+  const account = await resolveAccount(user);
+  if (
+    !account.accountUser ||
+    (account.membership?.organizationId || null) !== apiKey.organizationId
+  ) {
+    logger.warn("Authentication failed: API key account changed", {
+      apiKeyId: apiKey.id,
+      userId: user.id,
+      url: req.url,
+    });
+    return res.status(401).json({
+      success: false,
+      message: "API key is no longer valid for this account.",
+      code: "INVALID_API_KEY",
+    });
+  }
+
+  attachAccount(req, user, account, user.tenantId);
+  req.apiKey = apiKey;
+
+  apiKeyService.recordUsage(apiKey, req.ip).catch((err) => {
+    logger.warn("Failed to record API key usage:", err.message);
+  });
+
+  logger.info("Authentication successful", {
+    operation: "authentication",
+    userId: req.actor.id,
+    accountUserId: req.user.id,
+    apiKeyId: apiKey.id,
+    path: req.path,
+    method: req.method,
+    ip: req.ip,
+  });
+  next();
+};
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Verify a JWT token or, when allowed, a personal API key
  */
-const auth = async (req, res, next) => {
+const authenticate = async (req, res, next, { allowApiKeys = false } = {}) => {
   try {
     const authHeader = req.header("Authorization");
 
@@ -33,6 +171,22 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      // Keys only reach routes that declare the permissions they need
+      if (!allowApiKeys) {
+        logger.warn("Authentication failed: API key not allowed", {
+          url: req.url,
+          ip: req.ip,
+        });
+        return res.status(403).json({
+          success: false,
+          message: "API keys cannot be used on this endpoint.",
+          code: "API_KEY_NOT_ALLOWED",
+        });
+      }
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Only log token verification attempts in debug mode
     if (process.env.DEBUG_AUTH === "true") {
       logger.debug("Attempting token verification", {
@@ -52,19 +206,24 @@ const auth = async (req, res, next) => {
         path: req.path,
         ip: req.ip,
       });
-    } // Find user with subscription information
+    }
+
+    // Logged out tokens stay revoked on every worker and across restarts
+    if (await tokenBlacklistService.isRevoked(token, decoded)) {
+      logger.warn("Authentication failed: Token revoked", {
+        userId: decoded.id,
+        url: req.url,
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked.",
+        code: "TOKEN_REVOKED",
+      });
+    }
+
+    // Find user with subscription information
     const user = await User.findByPk(decoded.id, {
-      include: [
-        {
-          association: "subscriptions",
-          where: {
-            status: ["trial", "active"],
-          },
-          required: false,
-          limit: 1,
-          order: [["createdAt", "DESC"]],
-        },
-      ],
+      include: [SUBSCRIPTION_INCLUDE],
     });
 
     if (!user) {
@@ -90,10 +249,23 @@ const auth = async (req, res, next) => {
       });
     }
 
+    const account = await resolveAccount(user);
+    if (!account.accountUser) {
+      logger.warn("Authentication failed: Organization account not active", {
+        userId: decoded.id,
+        organizationId: account.membership.organizationId,
+        url: req.url,
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Organization account is not active.",
+      });
+    }
+
     // Add user and subscription info to request
-    req.user = user;
-    req.subscription = user.subscriptions?.[0] || null;
-    req.tenantId = decoded.tenantId || user.tenantId;
+    attachAccount(req, user, account, decoded.tenantId || user.tenantId);
+    req.token = token;
+    req.tokenPayload = decoded;
 
     // Update last activity
     user.update({ lastActivityAt: new Date() }).catch((err) => {
@@ -102,8 +274,9 @@ const auth = async (req, res, next) => {
 
     logger.info("Authentication successful", {
       operation: "authentication",
-      userId: req.user.id,
-      email: req.user.email,
+      userId: req.actor.id,
+      accountUserId: req.user.id,
+      email: req.actor.email,
       path: req.path,
       method: req.method,
       ip: req.ip,
@@ -193,6 +366,18 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware for signed-in users. API keys are rejected;
+ * routes open to keys authenticate through the permission middleware.
+ */
+const auth = (req, res, next) => authenticate(req, res, next);
+
+/**
+ * Authentication middleware that also accepts personal API keys
+ */
+const apiKeyAuth = (req, res, next) =>
+  authenticate(req, res, next, { allowApiKeys: true });
+
 /**
  * Feature gating middleware - checks if user has access to specific features
  */
@@ -297,8 +482,9 @@ const adminAuth = async (req, res, next) => {
   try {
     // First run regular auth
     await auth(req, res, () => {
-      // Check if user is admin
-      if (req.user.role !== "admin") {
+      // Check if the signed-in user is admin; members never inherit the
+      // account owner's role
+      if (req.actor.role !== "admin") {
         return res.status(403).json({
           success: false,
           message: "Access denied. Admin privileges required.",
@@ -328,10 +514,25 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, config.jwt.secret);
+    if (await tokenBlacklistService.isRevoked(token, decoded)) {
+      req.user = null;
+      return next();
+    }
+
     const user = await User.findByPk(decoded.id);
+    if (!user || !user.isActive) {
+      req.user = null;
+      return next();
+    }
 
-    req.user = user && user.isActive ? user : null;
-    req.tenantId = decoded.tenantId || user?.tenantId;
+    const { accountUser, membership } = await resolveAccount(user);
+    req.user = accountUser;
+    req.actor = accountUser ? user : null;
+    req.organization = membership?.organization || null;
+    req.organizationRole = membership?.role || null;
+    req.tenantId = membership
+      ? membership.organizationId
+      : decoded.tenantId || user.tenantId;
     next();
   } catch (error) {
     // For optional auth, we just continue without user
@@ -378,7 +579,7 @@ const requireRole = (roles) => {
         });
       }
 
-      const userRole = req.user.role;
+      const userRole = (req.actor || req.user).role;
       const allowedRoles = Array.isArray(roles) ? roles : [roles];
 
       if (!allowedRoles.includes(userRole)) {
@@ -407,4 +608,5 @@ module.exports = {
   checkUsageLimit,
   requireTenant,
   requireRole,
+  apiKeyAuth,
 };
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const { AppError } = require('./errorHandler');
 const logger = require('../utils/logger');
+const tokenBlacklistService = require('../modules/order-management/services/token-blacklist.service');
 
 /**
  * Authorization middleware
@@ -22,6 +23,10 @@ const authorize = async (req, res, next) => {
       token, 
       process.env.JWT_SECRET || 'your-secret-key'
     );
+
+    if (await tokenBlacklistService.isRevoked(token, decoded)) {
+      return next(new AppError('Token has been revoked', 401));
+    }
     
     // Find user
     const user = await User.findByPk(decoded.id);
@@ -0,0 +1,183 @@
+const logger = require('../utils/logger');
+
+/**
+ * Organisation member roles
+ */
+const ROLES = ['owner', 'operator', 'warehouse', 'accountant', 'read_only'];
+
+const READ_PERMISSIONS = [
+  'orders:read',
+  'products:read',
+  'inventory:read',
+  'shipping:read',
+  'returns:read',
+  'questions:read',
+  'invoices:read',
+  'platforms:read',
+  'settings:read',
+  'analytics:financial'
+];
+
+/**
+ * Permission matrix: what each role may do on the organisation's account.
+ * Permissions are `<resource>:<action>`; '*' grants everything. Owner-only
+ * permissions: members:manage, billing:manage.
+ */
+const PERMISSIONS = {
+  owner: ['*'],
+  operator: [
+    ...READ_PERMISSIONS,
+    'orders:write',
+    'products:write',
+    'inventory:write',
+    'shipping:write',
+    'shipping:labels',
+    'returns:write',
+    'questions:write',
+    'invoices:write',
+    'platforms:write',
+    'settings:write'
+  ],
+  warehouse: [
+    'orders:read',
+    'orders:write',
+    'products:read',
+    'inventory:read',
+    'inventory:write',
+    'shipping:read',
+    'shipping:write',
+    'shipping:labels',
+    'returns:read',
+    'returns:write'
+  ],
+  accountant: [
+    'orders:read',
+    'products:read',
+    'returns:read',
+    'invoices:read',
+    'invoices:write',
+    'platforms:read',
+    'settings:read',
+    'analytics:financial'
+  ],
+  read_only: READ_PERMISSIONS
+};
+
+/**
+ * API key scopes and the permissions each one grants. Keys never get the
+ * owner-only permissions.
+ */
+const API_KEY_SCOPES = {
+  'read:orders': ['orders:read'],
+  'write:orders': ['orders:write'],
+  'read:products': ['products:read'],
+  'write:products': ['products:write'],
+  'read:inventory': ['inventory:read'],
+  'write:inventory': ['inventory:write'],
+  'read:shipping': ['shipping:read'],
+  'write:shipping': ['shipping:write', 'shipping:labels'],
+  'read:returns': ['returns:read'],
+  'write:returns': ['returns:write'],
+  'read:questions': ['questions:read'],
+  'write:questions': ['questions:write'],
+  'read:invoices': ['invoices:read'],
+  'write:invoices': ['invoices:write'],
+  'read:platforms': ['platforms:read'],
+  'write:platforms': ['platforms:write'],
+  'read:settings': ['settings:read'],
+  'write:settings': ['settings:write'],
+  'read:analytics': ['analytics:financial']
+};
+
+const hasPermission = (role, permission) => {
+  const granted = PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+const getPermissions = (role) => PERMISSIONS[role] || [];
+
+const getScopePermissions = (scopes = []) => [
+  ...new Set(scopes.flatMap((scope) => API_KEY_SCOPES[scope] || []))
+];
+
+/**
+ * Permission middleware
+ * Requires every listed permission for the member's organisation role and,
+ * for API key requests, the key's scopes. Signed-in users outside an
+ * organisation act on their own account and are not restricted.
+ * Authenticates the request itself when no auth middleware ran before it;
+ * this is the only way API keys are accepted, so routes without declared
+ * permissions stay closed to them.
+ */
+const requirePermission = (...permissions) => {
+  const check = (req, res, next) => {
+    const role = req.organizationRole;
+    const scopePermissions = req.apiKey
+      ? getScopePermissions(req.apiKey.scopes)
+      : null;
+    if (!role && !scopePermissions) {
+      return next();
+    }
+
+    const missing = permissions.filter(
+      (permission) =>
+        (role && !hasPermission(role, permission)) ||
+        (scopePermissions && !scopePermissions.includes(permission))
+    );
+    if (missing.length === 0) {
+      return next();
+    }
+
+    logger.warn('Permission denied', {
+      userId: req.actor?.id,
+      apiKeyId: req.apiKey?.id,
+      organizationId: req.organization?.id,
+      role,
+      missing,
+      method: req.method,
+      url: req.originalUrl
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+      code: 'PERMISSION_DENIED',
+      required: missing
+    });
+  };
+
+  return (req, res, next) => {
+    if (req.user) {
+      return check(req, res, next);
+    }
+
+    // Required lazily: the auth middleware depends on this module
+    const { apiKeyAuth } = require('./auth');
+    return apiKeyAuth(req, res, () => check(req, res, next));
+  };
+};
+
+/**
+ * Read/write access to a resource: safe methods need `<resource>:read`,
+ * everything else `<resource>:write`
+ */
+const requireAccess = (resource) => {
+  const canRead = requirePermission(`${resource}:read`);
+  const canWrite = requirePermission(`${resource}:write`);
+
+  return (req, res, next) =>
+    ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+      ? canRead(req, res, next)
+      : canWrite(req, res, next);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  getPermissions,
+  getScopePermissions,
+  requirePermission,
+  requireAccess
+};
@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * Creates the task_schedules table used by TaskQueueManager to enqueue
+ * recurring background tasks (interval or cron based).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("task_schedules", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      platformConnectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "platform_connections",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      taskType: {
+        type: Sequelize.ENUM(
+          "order_fetching",
+          "product_sync",
+          "inventory_sync",
+          "bulk_operation",
+          "analytics_update",
+          "customer_sync",
+          "shipping_label_generation",
+          "report_generation",
+          "data_export",
+          "data_import"
+        ),
+        allowNull: false,
+      },
+      priority: {
+        type: Sequelize.ENUM("low", "normal", "high", "urgent"),
+        allowNull: false,
+        defaultValue: "normal",
+      },
+      config: {
+        type: JsonType,
+        allowNull: true,
+        defaultValue: {},
+      },
+      scheduleType: {
+        type: Sequelize.ENUM("interval", "cron"),
+        allowNull: false,
+        defaultValue: "interval",
+      },
+      intervalMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      cronExpression: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      timezone: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "Europe/Istanbul",
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      nextRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastTaskId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      runCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      skippedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("task_schedules", ["userId"], {
+      name: "task_schedules_user_id_idx",
+    });
+    await queryInterface.addIndex("task_schedules", ["isActive", "nextRunAt"], {
+      name: "task_schedules_due_idx",
+    });
+    await queryInterface.addIndex("task_schedules", ["platformConnectionId"], {
+      name: "task_schedules_platform_connection_idx",
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("task_schedules");
+  },
+};
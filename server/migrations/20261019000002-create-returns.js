@@ -0,0 +1,240 @@
+"use strict";
+
+/**
+ * Creates returns and return_items tables for marketplace claims
+ * (Trendyol claims, Hepsiburada claims, N11 returns).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("returns", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "platform_connections",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      platformType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      platformClaimId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      orderNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "pending",
+          "approved",
+          "rejected",
+          "cancelled",
+          "in_dispute"
+        ),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      platformStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      customerNote: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      claimDate: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cargoProvider: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      cargoTrackingNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      resolvedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      rejectionReason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      rejectionReasonCode: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      restocked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      restockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastSyncedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      rawData: {
+        type: JsonType,
+        allowNull: true,
+        defaultValue: {},
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("returns", ["connectionId", "platformClaimId"], {
+      unique: true,
+      name: "returns_connection_claim_unique",
+    });
+    await queryInterface.addIndex("returns", ["userId", "status"]);
+    await queryInterface.addIndex("returns", ["orderId"]);
+    await queryInterface.addIndex("returns", ["claimDate"]);
+
+    await queryInterface.createTable("return_items", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      returnId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "returns",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderItemId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "order_items",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      platformClaimItemId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      sku: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      barcode: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      title: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "approved", "rejected", "cancelled"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      platformStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      restockedQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("return_items", ["returnId"]);
+    await queryInterface.addIndex("return_items", ["orderItemId"]);
+    await queryInterface.addIndex(
+      "return_items",
+      ["returnId", "platformClaimItemId"],
+      {
+        unique: true,
+        name: "return_items_claim_item_unique",
+      }
+    );
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("return_items");
+    await queryInterface.dropTable("returns");
+  },
+};
@@ -0,0 +1,117 @@
+"use strict";
+
+/**
+ * Creates webhook_events table holding every inbound marketplace webhook
+ * for audit, replay protection and re-processing.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("webhook_events", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "platform_connections",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      platformType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      eventType: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      eventKey: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("received", "processed", "ignored", "failed"),
+        allowNull: false,
+        defaultValue: "received",
+      },
+      headers: {
+        type: JsonType,
+        allowNull: true,
+        defaultValue: {},
+      },
+      payload: {
+        type: JsonType,
+        allowNull: true,
+      },
+      rawBody: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      sourceIp: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      processingResult: {
+        type: JsonType,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      receivedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      processedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("webhook_events", ["connectionId", "eventKey"], {
+      unique: true,
+      name: "webhook_events_connection_key_unique",
+    });
+    await queryInterface.addIndex("webhook_events", ["userId", "status"]);
+    await queryInterface.addIndex("webhook_events", ["receivedAt"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("webhook_events");
+  },
+};
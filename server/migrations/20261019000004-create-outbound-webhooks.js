@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ * Creates webhook_subscriptions (user-configured outbound webhook endpoints)
+ * and webhook_deliveries (delivery log, retry queue and dead-letter list).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("webhook_subscriptions", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+      },
+      secret: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      events: {
+        type: JsonType,
+        allowNull: false,
+        defaultValue: [],
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      consecutiveFailures: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastDeliveryAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastDeliveryStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("webhook_subscriptions", [
+      "userId",
+      "isActive",
+    ]);
+
+    await queryInterface.createTable("webhook_deliveries", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      subscriptionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "webhook_subscriptions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      eventId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      eventType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      payload: {
+        type: JsonType,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "retrying", "delivered", "dead_letter"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 8,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      responseBody: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      durationMs: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("webhook_deliveries", [
+      "status",
+      "nextAttemptAt",
+    ]);
+    await queryInterface.addIndex("webhook_deliveries", ["userId", "status"]);
+    await queryInterface.addIndex("webhook_deliveries", [
+      "subscriptionId",
+      "createdAt",
+    ]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("webhook_deliveries");
+    await queryInterface.dropTable("webhook_subscriptions");
+  },
+};
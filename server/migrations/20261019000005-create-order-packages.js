@@ -0,0 +1,170 @@
+"use strict";
+
+/**
+ * Creates order_packages and order_package_items for marketplace package
+ * management (create, split, merge and unpack of Hepsiburada packages).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("order_packages", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "platform_connections",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      platformType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      packageNumber: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("packaged", "shipped", "unpacked"),
+        allowNull: false,
+        defaultValue: "packaged",
+      },
+      cargoCompany: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      trackingNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      desi: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      consolidatedGroupId: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      splitFromPackageNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      barcodeGeneratedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      unpackedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      rawData: {
+        type: JsonType,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("order_packages", ["userId", "status"]);
+    await queryInterface.addIndex("order_packages", ["consolidatedGroupId"]);
+    await queryInterface.addIndex(
+      "order_packages",
+      ["connectionId", "packageNumber"],
+      {
+        unique: true,
+        name: "order_packages_connection_package_unique",
+      }
+    );
+
+    await queryInterface.createTable("order_package_items", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      packageId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "order_packages",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderItemId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "order_items",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      lineItemId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("order_package_items", ["packageId"]);
+    await queryInterface.addIndex("order_package_items", ["orderId"]);
+    await queryInterface.addIndex("order_package_items", ["orderItemId"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("order_package_items");
+    await queryInterface.dropTable("order_packages");
+  },
+};
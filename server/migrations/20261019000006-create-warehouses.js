@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * Creates warehouses and per-warehouse stock levels (with bin locations),
+ * and tags inventory movements and stock reservations with the warehouse
+ * they affected.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("warehouses", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.ENUM("own", "third_party"),
+        allowNull: false,
+        defaultValue: "own",
+      },
+      address: {
+        type: JsonType,
+        allowNull: true,
+      },
+      isSellable: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      isDefault: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      metadata: {
+        type: JsonType,
+        allowNull: true,
+        defaultValue: {},
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("warehouses", ["userId", "isActive"]);
+    await queryInterface.addIndex("warehouses", ["userId", "code"], {
+      unique: true,
+      name: "warehouses_user_code_unique",
+    });
+
+    await queryInterface.createTable("warehouse_stocks", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      warehouseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "warehouses",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "products",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      variantId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "product_variants",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      sku: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      binLocation: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("warehouse_stocks", ["warehouseId", "sku"], {
+      unique: true,
+      name: "warehouse_stocks_warehouse_sku_unique",
+    });
+    await queryInterface.addIndex("warehouse_stocks", ["userId", "sku"]);
+    await queryInterface.addIndex("warehouse_stocks", ["productId"]);
+    await queryInterface.addIndex("warehouse_stocks", ["variantId"]);
+
+    await queryInterface.addColumn("inventory_movements", "warehouseId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "warehouses",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("inventory_movements", ["warehouseId"]);
+
+    await queryInterface.addColumn("stock_reservations", "warehouseId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "warehouses",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn("stock_reservations", "warehouseId");
+    await queryInterface.removeColumn("inventory_movements", "warehouseId");
+    await queryInterface.dropTable("warehouse_stocks");
+    await queryInterface.dropTable("warehouses");
+  },
+};
@@ -0,0 +1,298 @@
+"use strict";
+
+/**
+ * Creates suppliers, purchase_orders and purchase_order_lines for inbound
+ * goods (draft → ordered → partially received → received).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("suppliers", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      code: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      contactName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      phone: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      taxNumber: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      taxOffice: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      address: {
+        type: JsonType,
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: "TRY",
+      },
+      leadTimeDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 7,
+      },
+      paymentTermsDays: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("suppliers", ["userId", "isActive"]);
+    await queryInterface.addIndex("suppliers", ["userId", "name"]);
+
+    await queryInterface.createTable("purchase_orders", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      supplierId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "suppliers",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      warehouseId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "warehouses",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      poNumber: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "draft",
+          "ordered",
+          "partially_received",
+          "received",
+          "cancelled"
+        ),
+        allowNull: false,
+        defaultValue: "draft",
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: "TRY",
+      },
+      exchangeRate: {
+        type: Sequelize.DECIMAL(12, 6),
+        allowNull: false,
+        defaultValue: 1,
+      },
+      shippingCost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      customsCost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      otherCosts: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      orderedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      expectedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      receivedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("purchase_orders", ["userId", "poNumber"], {
+      unique: true,
+      name: "purchase_orders_user_po_number_unique",
+    });
+    await queryInterface.addIndex("purchase_orders", ["userId", "status"]);
+    await queryInterface.addIndex("purchase_orders", ["supplierId"]);
+
+    await queryInterface.createTable("purchase_order_lines", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      purchaseOrderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "purchase_orders",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "products",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      variantId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "product_variants",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      sku: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      quantityOrdered: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      quantityReceived: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      unitCost: {
+        type: Sequelize.DECIMAL(12, 4),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      landedUnitCost: {
+        type: Sequelize.DECIMAL(12, 4),
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("purchase_order_lines", ["purchaseOrderId"]);
+    await queryInterface.addIndex("purchase_order_lines", ["sku"]);
+    await queryInterface.addIndex("purchase_order_lines", ["productId"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("purchase_order_lines");
+    await queryInterface.dropTable("purchase_orders");
+    await queryInterface.dropTable("suppliers");
+  },
+};
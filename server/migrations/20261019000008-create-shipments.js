@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * Creates shipments: one row per carrier label with its tracking number,
+ * cost, label document, status history and the raw carrier response.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("shipments", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      shippingDetailId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "shipping_details",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      carrierId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "shipping_carriers",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      carrierCode: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      serviceType: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: "STANDARD",
+      },
+      trackingNumber: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      trackingUrl: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      carrierShipmentId: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "created",
+          "in_transit",
+          "out_for_delivery",
+          "delivered",
+          "delivery_failed",
+          "on_hold",
+          "returned",
+          "cancelled"
+        ),
+        allowNull: false,
+        defaultValue: "created",
+      },
+      statusHistory: {
+        type: JsonType,
+        allowNull: false,
+        defaultValue: [],
+      },
+      cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: "TRY",
+      },
+      weight: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true,
+      },
+      dimensions: {
+        type: JsonType,
+        allowNull: true,
+      },
+      labelUrl: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      labelFormat: {
+        type: Sequelize.STRING(10),
+        allowNull: true,
+        defaultValue: "PDF",
+      },
+      labelData: {
+        type: Sequelize.BLOB,
+        allowNull: true,
+      },
+      carrierResponse: {
+        type: JsonType,
+        allowNull: true,
+      },
+      estimatedDeliveryAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      shippedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastTrackedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("shipments", ["userId", "status"]);
+    await queryInterface.addIndex("shipments", ["orderId"]);
+    await queryInterface.addIndex("shipments", ["carrierCode", "trackingNumber"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("shipments");
+  },
+};
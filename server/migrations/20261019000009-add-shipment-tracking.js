@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ * Adds the carrier tracking events and the current delivery exception to
+ * shipments, both maintained by the shipment tracking poller.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.addColumn("shipments", "trackingEvents", {
+      type: JsonType,
+      allowNull: false,
+      defaultValue: [],
+    });
+    await queryInterface.addColumn("shipments", "exceptionReason", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addIndex("shipments", ["status", "lastTrackedAt"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex("shipments", ["status", "lastTrackedAt"]);
+    await queryInterface.removeColumn("shipments", "exceptionReason");
+    await queryInterface.removeColumn("shipments", "trackingEvents");
+  },
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * Creates shipping_rules, the prioritised carrier selection rules evaluated
+ * at order import, and adds the carrier assignment they make to orders.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("shipping_rules", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 100,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      conditions: {
+        type: JsonType,
+        allowNull: false,
+        defaultValue: {},
+      },
+      actions: {
+        type: JsonType,
+        allowNull: false,
+        defaultValue: {},
+      },
+      matchCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastMatchedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("shipping_rules", [
+      "userId",
+      "isActive",
+      "priority",
+    ]);
+
+    await queryInterface.addColumn("orders", "shippingRuleId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "shipping_rules",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addColumn("orders", "shippingCarrierCode", {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "shippingServiceType", {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn("orders", "shippingServiceType");
+    await queryInterface.removeColumn("orders", "shippingCarrierCode");
+    await queryInterface.removeColumn("orders", "shippingRuleId");
+    await queryInterface.dropTable("shipping_rules");
+  },
+};
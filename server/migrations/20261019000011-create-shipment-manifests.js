@@ -0,0 +1,111 @@
+"use strict";
+
+/**
+ * Creates shipment_manifests, the end-of-day handover lists signed with the
+ * courier at pickup, and links each shipment to the manifest that locked it.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("shipment_manifests", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      carrierCode: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      manifestNumber: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      manifestDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      shipmentCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      totalWeight: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true,
+      },
+      closeOutStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "not_supported",
+      },
+      carrierReference: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      closeOutError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      carrierResponse: {
+        type: JsonType,
+        allowNull: true,
+      },
+      closedOutAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "shipment_manifests",
+      ["userId", "manifestNumber"],
+      { unique: true }
+    );
+    await queryInterface.addIndex("shipment_manifests", [
+      "userId",
+      "carrierCode",
+      "manifestDate",
+    ]);
+
+    await queryInterface.addColumn("shipments", "manifestId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: "shipment_manifests",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("shipments", ["userId", "manifestId"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex("shipments", ["userId", "manifestId"]);
+    await queryInterface.removeColumn("shipments", "manifestId");
+    await queryInterface.dropTable("shipment_manifests");
+  },
+};
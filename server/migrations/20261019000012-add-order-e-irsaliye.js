@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * Adds the e-İrsaliye (electronic despatch advice) sent through QNB Finans
+ * for an order: document number and ETTN, the connector's document id and
+ * the last known delivery status.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.addColumn("orders", "eIrsaliyeNumber", {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "eIrsaliyeUuid", {
+      type: Sequelize.UUID,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "eIrsaliyeStatus", {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "eIrsaliyeProviderId", {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "eIrsaliyeSentAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("orders", "eIrsaliyeResponse", {
+      type: JsonType,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex("orders", ["eIrsaliyeNumber"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex("orders", ["eIrsaliyeNumber"]);
+    await queryInterface.removeColumn("orders", "eIrsaliyeResponse");
+    await queryInterface.removeColumn("orders", "eIrsaliyeSentAt");
+    await queryInterface.removeColumn("orders", "eIrsaliyeProviderId");
+    await queryInterface.removeColumn("orders", "eIrsaliyeStatus");
+    await queryInterface.removeColumn("orders", "eIrsaliyeUuid");
+    await queryInterface.removeColumn("orders", "eIrsaliyeNumber");
+  },
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+/**
+ * Creates credit_notes, the return invoices (iade faturası) issued through
+ * QNB Finans against an order's original e-Arşiv or e-Fatura invoice.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("credit_notes", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      returnId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "returns",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      documentType: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+      },
+      creditNoteNumber: {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+      },
+      uuid: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      originalInvoiceNumber: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      originalInvoiceDate: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      lines: {
+        type: JsonType,
+        allowNull: false,
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      taxTotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      totalAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: "TRY",
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      errorMessage: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      pdfUrl: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      pdfData: {
+        type: Sequelize.BLOB,
+        allowNull: true,
+      },
+      providerResponse: {
+        type: JsonType,
+        allowNull: true,
+      },
+      issuedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("credit_notes", ["userId", "createdAt"]);
+    await queryInterface.addIndex("credit_notes", ["orderId"]);
+    await queryInterface.addIndex("credit_notes", ["returnId"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("credit_notes");
+  },
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+/**
+ * Adds answer deadline tracking to customer questions (due date, who the
+ * question is assigned to since when, escalation markers) and SLA and
+ * response-time figures to the daily question statistics.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.addColumn("customer_questions", "answer_due_date", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn(
+      "customer_questions",
+      "answered_within_sla",
+      {
+        type: Sequelize.BOOLEAN,
+        allowNull: true,
+      }
+    );
+    await queryInterface.addColumn("customer_questions", "assigned_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn(
+      "customer_questions",
+      "sla_warning_sent_at",
+      {
+        type: Sequelize.DATE,
+        allowNull: true,
+      }
+    );
+    await queryInterface.addColumn("customer_questions", "sla_breach_sent_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex("customer_questions", [
+      "status",
+      "answer_due_date",
+    ]);
+
+    await queryInterface.addColumn("question_stats", "answered_within_sla", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("question_stats", "answered_late", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("question_stats", "overdue_open", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("question_stats", "sla_compliance_rate", {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn(
+      "question_stats",
+      "median_response_time_hours",
+      {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      }
+    );
+    await queryInterface.addColumn(
+      "question_stats",
+      "p90_response_time_hours",
+      {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      }
+    );
+    await queryInterface.addColumn(
+      "question_stats",
+      "response_time_by_assignee",
+      {
+        type: JsonType,
+        allowNull: false,
+        defaultValue: [],
+      }
+    );
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn(
+      "question_stats",
+      "response_time_by_assignee"
+    );
+    await queryInterface.removeColumn(
+      "question_stats",
+      "p90_response_time_hours"
+    );
+    await queryInterface.removeColumn(
+      "question_stats",
+      "median_response_time_hours"
+    );
+    await queryInterface.removeColumn("question_stats", "sla_compliance_rate");
+    await queryInterface.removeColumn("question_stats", "overdue_open");
+    await queryInterface.removeColumn("question_stats", "answered_late");
+    await queryInterface.removeColumn("question_stats", "answered_within_sla");
+
+    await queryInterface.removeIndex("customer_questions", [
+      "status",
+      "answer_due_date",
+    ]);
+    await queryInterface.removeColumn(
+      "customer_questions",
+      "sla_breach_sent_at"
+    );
+    await queryInterface.removeColumn(
+      "customer_questions",
+      "sla_warning_sent_at"
+    );
+    await queryInterface.removeColumn("customer_questions", "assigned_at");
+    await queryInterface.removeColumn(
+      "customer_questions",
+      "answered_within_sla"
+    );
+    await queryInterface.removeColumn("customer_questions", "answer_due_date");
+  },
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+/**
+ * Creates auth_states, the shared store behind sessions, revoked tokens and
+ * login lockouts so they survive restarts and are seen by every worker.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const JsonType =
+      queryInterface.sequelize.getDialect() === "postgres"
+        ? Sequelize.JSONB
+        : Sequelize.JSON;
+
+    await queryInterface.createTable("auth_states", {
+      key: {
+        type: Sequelize.STRING(255),
+        primaryKey: true,
+      },
+      value: {
+        type: JsonType,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("auth_states", ["expiresAt"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("auth_states");
+  },
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * Creates personal API keys: hashed, scoped and revocable keys that
+ * integrations use instead of a login token.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable("api_keys", {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      organizationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: "organizations",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+      },
+      keyHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      rateLimit: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 60,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastUsedIp: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex("api_keys", ["userId"]);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable("api_keys");
+  },
+};
@@ -0,0 +1,18 @@
+"use strict";
+
+/**
+ * Drops the stored receiver response body from webhook_deliveries; receivers
+ * are arbitrary URLs and their responses should not be kept.
+ */
+module.exports = {
+  up: async (queryInterface) => {
+    await queryInterface.removeColumn("webhook_deliveries", "responseBody");
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn("webhook_deliveries", "responseBody", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+  },
+};
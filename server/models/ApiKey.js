@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define(
+    'ApiKey',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'User who created the key; requests act as this user'
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        },
+        comment: 'Organisation the creator belonged to when creating the key'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        comment: 'Start of the key, shown to tell keys apart'
+      },
+      keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the full key'
+      },
+      scopes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          isKnownScopes(value) {
+            if (
+              !Array.isArray(value) ||
+              value.some((scope) => !API_KEY_SCOPES[scope])
+            ) {
+              throw new Error('Invalid scopes');
+            }
+          }
+        }
+      },
+      rateLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 60,
+        validate: {
+          min: 1,
+          max: 1000
+        },
+        comment: 'Requests per minute'
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'api_keys',
+      defaultScope: {
+        attributes: { exclude: ['keyHash'] }
+      },
+      indexes: [
+        {
+          fields: ['userId']
+        }
+      ]
+    }
+  );
+
+  ApiKey.associate = function (models) {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+    ApiKey.belongsTo(models.Organization, {
+      foreignKey: 'organizationId',
+      as: 'organization'
+    });
+  };
+
+  return ApiKey;
+};
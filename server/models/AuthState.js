@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AuthState = sequelize.define(
+    'AuthState',
+    {
+      key: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+        comment: 'Namespaced key, e.g. session:<id> or token_blacklist:<hash>'
+      },
+      value: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    },
+    {
+      tableName: 'auth_states',
+      indexes: [
+        {
+          fields: ['expiresAt']
+        }
+      ]
+    }
+  );
+
+  return AuthState;
+};
@@ -0,0 +1,150 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CreditNote = sequelize.define(
+    'CreditNote',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        }
+      },
+      returnId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'returns',
+          key: 'id'
+        },
+        comment: 'Marketplace return the credit note was issued for, if any'
+      },
+      documentType: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        validate: {
+          isIn: [['earsiv', 'efatura']]
+        }
+      },
+      creditNoteNumber: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'Invoice number assigned by QNB Finans'
+      },
+      uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'ETTN of the return invoice'
+      },
+      originalInvoiceNumber: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      originalInvoiceDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      lines: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment:
+          'Credited items: [{orderItemId, title, sku, quantity, unitPrice, taxRate, lineTotal, taxAmount}]'
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      taxTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+          isIn: [['pending', 'issued', 'failed']]
+        }
+      },
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      pdfUrl: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      pdfData: {
+        type: DataTypes.BLOB,
+        allowNull: true,
+        comment: 'Return invoice PDF as rendered by QNB Finans'
+      },
+      providerResponse: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'credit_notes',
+      defaultScope: {
+        attributes: { exclude: ['pdfData'] }
+      },
+      indexes: [
+        {
+          fields: ['userId', 'createdAt']
+        },
+        {
+          fields: ['orderId']
+        },
+        {
+          fields: ['returnId']
+        }
+      ]
+    }
+  );
+
+  CreditNote.associate = function (models) {
+    CreditNote.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return CreditNote;
+};
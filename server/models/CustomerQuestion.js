@@ -138,6 +138,17 @@ const CustomerQuestion = sequelize.define(
       allowNull: true
     },
 
+    // Answer deadline across platforms (expire_date when the platform sends one)
+    answer_due_date: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    answered_within_sla: {
+      type: DataTypes.BOOLEAN, // Set once the question is answered
+      allowNull: true
+    },
+
     last_modified_at: {
       type: DataTypes.DATE, // HepsiBurada: lastModifiedAt
       allowNull: true
@@ -209,6 +220,22 @@ const CustomerQuestion = sequelize.define(
       // },
     },
 
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // Escalation alerts already sent for the current deadline
+    sla_warning_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    sla_breach_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     priority: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
       defaultValue: 'medium'
@@ -252,6 +279,9 @@ const CustomerQuestion = sequelize.define(
       },
       {
         fields: ['expire_date']
+      },
+      {
+        fields: ['status', 'answer_due_date']
       }
     ]
   }
@@ -85,6 +85,15 @@ module.exports = (sequelize) => {
         allowNull: true,
         comment: 'Platform that triggered the movement'
       },
+      warehouseId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'warehouses',
+          key: 'id'
+        },
+        comment: 'Warehouse whose stock moved; null for single-stock accounts'
+      },
       metadata: {
         type: DataTypes.JSON,
         allowNull: true,
@@ -115,6 +124,9 @@ module.exports = (sequelize) => {
         },
         {
           fields: ['referenceId', 'referenceType']
+        },
+        {
+          fields: ['warehouseId']
         }
       ]
     }
@@ -135,6 +147,11 @@ module.exports = (sequelize) => {
       foreignKey: 'userId',
       as: 'user'
     });
+
+    InventoryMovement.belongsTo(models.Warehouse, {
+      foreignKey: 'warehouseId',
+      as: 'warehouse'
+    });
   };
 
   return InventoryMovement;
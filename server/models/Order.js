@@ -1,8 +1,33 @@
 const { DataTypes, Model } = require('sequelize');
 const sequelize = require('../config/database');
+const logger = require('../utils/logger');
 
 class Order extends Model {}
 
+// Required lazily so loading models does not pull in the services that use them
+const getOutboundWebhookService = () =>
+  require('../services/outbound-webhook-service');
+const getShippingRuleService = () => require('../services/shipping-rule-service');
+
+/**
+ * Run a hook side effect after the surrounding transaction commits (or now)
+ */
+const runAfterCommit = (options, callback) => {
+  const run = () => {
+    Promise.resolve()
+      .then(callback)
+      .catch((error) => {
+        logger.warn(`Order notification hook failed: ${error.message}`);
+      });
+  };
+
+  if (options && options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
 Order.init(
   {
     id: {
@@ -171,6 +196,48 @@ Order.init(
       defaultValue: 0,
       comment: 'Total invoice amount'
     },
+    // e-İrsaliye sent through QNB Finans
+    eIrsaliyeNumber: {
+      type: DataTypes.STRING(16),
+      allowNull: true,
+      comment: 'Despatch advice number, e.g. IRS2026000000001'
+    },
+    eIrsaliyeUuid: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'ETTN of the despatch advice'
+    },
+    eIrsaliyeStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [
+          [
+            'processing',
+            'sent',
+            'accepted',
+            'partially_accepted',
+            'rejected',
+            'failed',
+            'cancelled'
+          ]
+        ]
+      }
+    },
+    eIrsaliyeProviderId: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'QNB Finans document id (belgeOid)'
+    },
+    eIrsaliyeSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    eIrsaliyeResponse: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Last status query result from QNB Finans'
+    },
 
     // Enhanced Trendyol-specific fields from API documentation
     isCommercial: {
@@ -277,6 +344,26 @@ Order.init(
       allowNull: true,
       comment: 'ID of the linked shipping template for this order'
     },
+    // Carrier assignment made by shipping rules at import
+    shippingRuleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'shipping_rules',
+        key: 'id'
+      },
+      comment: 'Shipping rule that assigned the carrier of this order'
+    },
+    shippingCarrierCode: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Carrier code to ship this order with (aras, yurtici, mng, ...)'
+    },
+    shippingServiceType: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Carrier service type to ship this order with'
+    },
     // Shipping and Invoice Print Status Tracking
     shippingLabelPrinted: {
       type: DataTypes.BOOLEAN,
@@ -318,6 +405,52 @@ Order.init(
     modelName: 'Order',
     tableName: 'orders',
     timestamps: true,
+    hooks: {
+      // Queue the owner's outbound webhooks once committed. Not broadcast
+      // over WebSocket: every connected client would receive it.
+      afterCreate: (order, options) => {
+        runAfterCommit(options, () =>
+          getOutboundWebhookService().handleNotification({
+            type: 'new_order',
+            userId: order.userId,
+            data: {
+              orderId: order.id,
+              orderNumber: order.orderNumber,
+              platform: order.platform || order.platformType,
+              customerName: order.customerName,
+              totalAmount: order.totalAmount,
+              status: order.orderStatus
+            }
+          })
+        );
+        // Carrier selection waits until the import has written the items
+        runAfterCommit(options, () =>
+          getShippingRuleService().scheduleEvaluation(order.id)
+        );
+      },
+      afterUpdate: (order, options) => {
+        if (!order.changed('orderStatus')) {
+          return;
+        }
+
+        const oldStatus = order.previous('orderStatus');
+        runAfterCommit(options, () =>
+          getOutboundWebhookService().handleNotification({
+            type: 'order_status_change',
+            userId: order.userId,
+            data: {
+              orderId: order.id,
+              orderNumber: order.orderNumber,
+              platform: order.platform || order.platformType,
+              oldStatus,
+              newStatus: order.orderStatus,
+              customerName: order.customerName,
+              totalAmount: order.totalAmount
+            }
+          })
+        );
+      }
+    },
     indexes: [
       {
         fields: ['userId']
@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderPackage = sequelize.define(
+    'OrderPackage',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      connectionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'platform_connections',
+          key: 'id'
+        }
+      },
+      platformType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      packageNumber: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Package number assigned by the marketplace'
+      },
+      status: {
+        type: DataTypes.ENUM('packaged', 'shipped', 'unpacked'),
+        allowNull: false,
+        defaultValue: 'packaged'
+      },
+      cargoCompany: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      trackingNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      desi: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      consolidatedGroupId: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Set when the package holds items from more than one order'
+      },
+      splitFromPackageNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      barcodeGeneratedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      unpackedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      rawData: {
+        type: DataTypes.JSON,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'order_packages',
+      indexes: [
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['consolidatedGroupId']
+        },
+        {
+          unique: true,
+          fields: ['connectionId', 'packageNumber'],
+          name: 'order_packages_connection_package_unique'
+        }
+      ]
+    }
+  );
+
+  OrderPackage.associate = function (models) {
+    OrderPackage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    OrderPackage.belongsTo(models.PlatformConnection, {
+      foreignKey: 'connectionId',
+      as: 'platformConnection'
+    });
+
+    OrderPackage.hasMany(models.OrderPackageItem, {
+      foreignKey: 'packageId',
+      as: 'items',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return OrderPackage;
+};
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderPackageItem = sequelize.define(
+    'OrderPackageItem',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      packageId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'order_packages',
+          key: 'id'
+        }
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        }
+      },
+      orderItemId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        }
+      },
+      lineItemId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Marketplace line item ID used by package endpoints'
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      }
+    },
+    {
+      tableName: 'order_package_items',
+      indexes: [
+        {
+          fields: ['packageId']
+        },
+        {
+          fields: ['orderId']
+        },
+        {
+          fields: ['orderItemId']
+        }
+      ]
+    }
+  );
+
+  OrderPackageItem.associate = function (models) {
+    OrderPackageItem.belongsTo(models.OrderPackage, {
+      foreignKey: 'packageId',
+      as: 'package'
+    });
+
+    OrderPackageItem.belongsTo(models.Order, {
+      foreignKey: 'orderId',
+      as: 'order'
+    });
+
+    OrderPackageItem.belongsTo(models.OrderItem, {
+      foreignKey: 'orderItemId',
+      as: 'orderItem'
+    });
+  };
+
+  return OrderPackageItem;
+};
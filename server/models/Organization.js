@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Organization = sequelize.define(
+    'Organization',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        comment: 'Also the tenantId of every member'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          len: [1, 255]
+        }
+      },
+      ownerId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'Account whose orders, products and connections members work on'
+      }
+    },
+    {
+      tableName: 'organizations',
+      indexes: [
+        {
+          unique: true,
+          fields: ['ownerId']
+        }
+      ]
+    }
+  );
+
+  Organization.associate = function (models) {
+    Organization.belongsTo(models.User, {
+      foreignKey: 'ownerId',
+      as: 'owner'
+    });
+    Organization.hasMany(models.OrganizationMember, {
+      foreignKey: 'organizationId',
+      as: 'members'
+    });
+    Organization.hasMany(models.OrganizationInvitation, {
+      foreignKey: 'organizationId',
+      as: 'invitations'
+    });
+  };
+
+  return Organization;
+};
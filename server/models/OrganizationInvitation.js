@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { ROLES } = require('../middleware/permissions');
+
+module.exports = (sequelize) => {
+  const OrganizationInvitation = sequelize.define(
+    'OrganizationInvitation',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        }
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isEmail: true
+        }
+      },
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [ROLES.filter((role) => role !== 'owner')]
+        }
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the token sent in the invitation link'
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+          isIn: [['pending', 'accepted', 'revoked']]
+        }
+      },
+      invitedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      acceptedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    },
+    {
+      tableName: 'organization_invitations',
+      defaultScope: {
+        attributes: { exclude: ['tokenHash'] }
+      },
+      indexes: [
+        {
+          fields: ['organizationId', 'status']
+        },
+        {
+          fields: ['email']
+        }
+      ]
+    }
+  );
+
+  OrganizationInvitation.associate = function (models) {
+    OrganizationInvitation.belongsTo(models.Organization, {
+      foreignKey: 'organizationId',
+      as: 'organization'
+    });
+    OrganizationInvitation.belongsTo(models.User, {
+      foreignKey: 'invitedBy',
+      as: 'inviter'
+    });
+  };
+
+  return OrganizationInvitation;
+};
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { ROLES } = require('../middleware/permissions');
+
+module.exports = (sequelize) => {
+  const OrganizationMember = sequelize.define(
+    'OrganizationMember',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      organizationId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'organizations',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        comment: 'A user belongs to at most one organisation'
+      },
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [ROLES]
+        }
+      },
+      invitedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      }
+    },
+    {
+      tableName: 'organization_members',
+      indexes: [
+        {
+          unique: true,
+          fields: ['userId']
+        },
+        {
+          fields: ['organizationId']
+        }
+      ]
+    }
+  );
+
+  OrganizationMember.associate = function (models) {
+    OrganizationMember.belongsTo(models.Organization, {
+      foreignKey: 'organizationId',
+      as: 'organization'
+    });
+    OrganizationMember.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return OrganizationMember;
+};
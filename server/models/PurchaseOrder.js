@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PurchaseOrder = sequelize.define(
+    'PurchaseOrder',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      supplierId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'suppliers',
+          key: 'id'
+        }
+      },
+      warehouseId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'warehouses',
+          key: 'id'
+        },
+        comment: 'Warehouse receiving the goods; default warehouse when null'
+      },
+      poNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'draft',
+          'ordered',
+          'partially_received',
+          'received',
+          'cancelled'
+        ),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY'
+      },
+      exchangeRate: {
+        type: DataTypes.DECIMAL(12, 6),
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'PO currency to TRY, applied to landed cost'
+      },
+      shippingCost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      customsCost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      otherCosts: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Sum of line quantity x unit cost in PO currency'
+      },
+      orderedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      expectedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      receivedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'purchase_orders',
+      indexes: [
+        {
+          unique: true,
+          fields: ['userId', 'poNumber'],
+          name: 'purchase_orders_user_po_number_unique'
+        },
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['supplierId']
+        }
+      ]
+    }
+  );
+
+  PurchaseOrder.associate = function (models) {
+    PurchaseOrder.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    PurchaseOrder.belongsTo(models.Supplier, {
+      foreignKey: 'supplierId',
+      as: 'supplier'
+    });
+
+    PurchaseOrder.belongsTo(models.Warehouse, {
+      foreignKey: 'warehouseId',
+      as: 'warehouse'
+    });
+
+    PurchaseOrder.hasMany(models.PurchaseOrderLine, {
+      foreignKey: 'purchaseOrderId',
+      as: 'lines',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return PurchaseOrder;
+};
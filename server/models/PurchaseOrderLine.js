@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PurchaseOrderLine = sequelize.define(
+    'PurchaseOrderLine',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      purchaseOrderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'purchase_orders',
+          key: 'id'
+        }
+      },
+      productId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'products',
+          key: 'id'
+        }
+      },
+      variantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'product_variants',
+          key: 'id'
+        }
+      },
+      sku: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      quantityOrdered: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 1
+        }
+      },
+      quantityReceived: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      unitCost: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Supplier price per unit in PO currency'
+      },
+      landedUnitCost: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: true,
+        comment: 'TRY per unit including allocated shipping, customs and other costs'
+      }
+    },
+    {
+      tableName: 'purchase_order_lines',
+      indexes: [
+        {
+          fields: ['purchaseOrderId']
+        },
+        {
+          fields: ['sku']
+        },
+        {
+          fields: ['productId']
+        }
+      ]
+    }
+  );
+
+  PurchaseOrderLine.associate = function (models) {
+    PurchaseOrderLine.belongsTo(models.PurchaseOrder, {
+      foreignKey: 'purchaseOrderId',
+      as: 'purchaseOrder'
+    });
+
+    PurchaseOrderLine.belongsTo(models.Product, {
+      foreignKey: 'productId',
+      as: 'product'
+    });
+
+    PurchaseOrderLine.belongsTo(models.ProductVariant, {
+      foreignKey: 'variantId',
+      as: 'variant'
+    });
+  };
+
+  return PurchaseOrderLine;
+};
@@ -66,6 +66,46 @@ const QuestionStats = sequelize.define(
       allowNull: true
     },
 
+    median_response_time_hours: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+
+    p90_response_time_hours: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+
+    // Answer deadline (SLA) metrics
+    answered_within_sla: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+
+    answered_late: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+
+    overdue_open: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Unanswered questions past their deadline when the stats were generated'
+    },
+
+    sla_compliance_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Percentage of answered questions answered before the deadline'
+    },
+
+    response_time_by_assignee: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment:
+        'Array of {assigned_to, answered, within_sla, avg_response_time_hours}'
+    },
+
     // Question frequency analysis
     most_frequent_questions: {
       type: DataTypes.JSON,
@@ -0,0 +1,171 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Return = sequelize.define(
+    'Return',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        comment: 'Null when the claimed order has not been imported yet'
+      },
+      connectionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'platform_connections',
+          key: 'id'
+        }
+      },
+      platformType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      platformClaimId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Claim/return ID on the marketplace'
+      },
+      orderNumber: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Marketplace order number the claim belongs to'
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'pending', // Waiting for merchant decision
+          'approved', // Approved by merchant
+          'rejected', // Rejected by merchant
+          'cancelled', // Withdrawn by customer or marketplace
+          'in_dispute' // Escalated to marketplace after rejection
+        ),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      platformStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Raw claim status reported by the marketplace'
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Customer return reason'
+      },
+      customerNote: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      claimDate: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cargoProvider: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      cargoTrackingNumber: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      resolvedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who approved or rejected the claim'
+      },
+      rejectionReason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      rejectionReasonCode: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Marketplace-specific rejection reason identifier'
+      },
+      restocked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      restockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastSyncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      rawData: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {}
+      }
+    },
+    {
+      tableName: 'returns',
+      indexes: [
+        {
+          unique: true,
+          fields: ['connectionId', 'platformClaimId'],
+          name: 'returns_connection_claim_unique'
+        },
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['orderId']
+        },
+        {
+          fields: ['claimDate']
+        }
+      ]
+    }
+  );
+
+  Return.associate = function (models) {
+    Return.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Return.belongsTo(models.Order, {
+      foreignKey: 'orderId',
+      as: 'order'
+    });
+
+    Return.belongsTo(models.PlatformConnection, {
+      foreignKey: 'connectionId',
+      as: 'platformConnection'
+    });
+
+    Return.hasMany(models.ReturnItem, {
+      foreignKey: 'returnId',
+      as: 'items',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
+  };
+
+  return Return;
+};
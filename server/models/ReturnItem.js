@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ReturnItem = sequelize.define(
+    'ReturnItem',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      returnId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'returns',
+          key: 'id'
+        }
+      },
+      orderItemId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        comment: 'Matched order line; null if it could not be resolved'
+      },
+      platformClaimItemId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Claim line ID used when approving/rejecting on the marketplace'
+      },
+      sku: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      barcode: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      title: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      platformStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      restockedQuantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    },
+    {
+      tableName: 'return_items',
+      indexes: [
+        {
+          fields: ['returnId']
+        },
+        {
+          fields: ['orderItemId']
+        },
+        {
+          unique: true,
+          fields: ['returnId', 'platformClaimItemId'],
+          name: 'return_items_claim_item_unique'
+        }
+      ]
+    }
+  );
+
+  ReturnItem.associate = function (models) {
+    ReturnItem.belongsTo(models.Return, {
+      foreignKey: 'returnId',
+      as: 'return'
+    });
+
+    ReturnItem.belongsTo(models.OrderItem, {
+      foreignKey: 'orderItemId',
+      as: 'orderItem'
+    });
+  };
+
+  return ReturnItem;
+};
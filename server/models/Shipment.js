@@ -0,0 +1,214 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Shipment = sequelize.define(
+    'Shipment',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        }
+      },
+      shippingDetailId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'shipping_details',
+          key: 'id'
+        }
+      },
+      carrierId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'shipping_carriers',
+          key: 'id'
+        }
+      },
+      carrierCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Carrier code used with ShippingServiceFactory (aras, yurtici, ptt, mng, surat, hepsijet)'
+      },
+      serviceType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'STANDARD'
+      },
+      trackingNumber: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      trackingUrl: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      carrierShipmentId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Shipment id assigned by the carrier, if different from the tracking number'
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'created',
+          'in_transit',
+          'out_for_delivery',
+          'delivered',
+          'delivery_failed',
+          'on_hold',
+          'returned',
+          'cancelled'
+        ),
+        allowNull: false,
+        defaultValue: 'created'
+      },
+      statusHistory: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Status changes: [{status, description, location, occurredAt, source}]'
+      },
+      cost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY'
+      },
+      weight: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: true,
+        comment: 'Package weight in kg'
+      },
+      dimensions: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Package dimensions {length, width, height} in cm'
+      },
+      labelUrl: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      labelFormat: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        defaultValue: 'PDF'
+      },
+      labelData: {
+        type: DataTypes.BLOB,
+        allowNull: true,
+        comment: 'Label document as returned by the carrier'
+      },
+      carrierResponse: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Raw label creation response from the carrier'
+      },
+      estimatedDeliveryAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      shippedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastTrackedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      trackingEvents: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Carrier tracking events: [{date, time, status, description, location}]'
+      },
+      exceptionReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Current delivery exception reported by the carrier, if any'
+      },
+      manifestId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'shipment_manifests',
+          key: 'id'
+        },
+        comment: 'End-of-day manifest the shipment was handed over on'
+      }
+    },
+    {
+      tableName: 'shipments',
+      defaultScope: {
+        attributes: { exclude: ['labelData'] }
+      },
+      indexes: [
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['orderId']
+        },
+        {
+          fields: ['carrierCode', 'trackingNumber']
+        },
+        {
+          fields: ['status', 'lastTrackedAt']
+        },
+        {
+          fields: ['userId', 'manifestId']
+        }
+      ]
+    }
+  );
+
+  Shipment.associate = function (models) {
+    Shipment.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Shipment.belongsTo(models.Order, {
+      foreignKey: 'orderId',
+      as: 'order'
+    });
+
+    Shipment.belongsTo(models.ShippingDetail, {
+      foreignKey: 'shippingDetailId',
+      as: 'shippingDetail'
+    });
+
+    Shipment.belongsTo(models.ShippingCarrier, {
+      foreignKey: 'carrierId',
+      as: 'carrier'
+    });
+  };
+
+  return Shipment;
+};
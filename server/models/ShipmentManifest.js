@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ShipmentManifest = sequelize.define(
+    'ShipmentManifest',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      carrierCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      manifestNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Printed on the handover list: CARRIER-YYYYMMDD-sequence'
+      },
+      manifestDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      shipmentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalWeight: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: true,
+        comment: 'Sum of shipment weights in kg'
+      },
+      closeOutStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'not_supported',
+        validate: {
+          isIn: [['not_supported', 'submitted', 'failed']]
+        },
+        comment: 'Result of the carrier close-out call, if the carrier has one'
+      },
+      carrierReference: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Manifest / acceptance list number returned by the carrier'
+      },
+      closeOutError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      carrierResponse: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      closedOutAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'shipment_manifests',
+      indexes: [
+        {
+          unique: true,
+          fields: ['userId', 'manifestNumber']
+        },
+        {
+          fields: ['userId', 'carrierCode', 'manifestDate']
+        }
+      ]
+    }
+  );
+
+  ShipmentManifest.associate = function (models) {
+    ShipmentManifest.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return ShipmentManifest;
+};
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ShippingRule = sequelize.define(
+    'ShippingRule',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 100,
+        comment: 'Rules are evaluated in ascending priority; the first match wins'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      conditions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment:
+          'All set conditions must match: {cities, districts, minWeight, maxWeight, cashOnDelivery, marketplaces, minOrderValue, maxOrderValue, productTags}'
+      },
+      actions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Assignment for matching orders: {carrier, serviceType, shippingTemplateId}'
+      },
+      matchCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastMatchedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'shipping_rules',
+      indexes: [
+        {
+          fields: ['userId', 'isActive', 'priority']
+        }
+      ]
+    }
+  );
+
+  ShippingRule.associate = function (models) {
+    ShippingRule.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return ShippingRule;
+};
@@ -48,6 +48,15 @@ module.exports = (sequelize) => {
         type: DataTypes.STRING,
         allowNull: true
       },
+      warehouseId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'warehouses',
+          key: 'id'
+        },
+        comment: 'Warehouse the reserved units were taken from'
+      },
       status: {
         type: DataTypes.ENUM('active', 'confirmed', 'released', 'expired'),
         allowNull: false,
@@ -127,6 +136,11 @@ module.exports = (sequelize) => {
       foreignKey: 'userId',
       as: 'user'
     });
+
+    StockReservation.belongsTo(models.Warehouse, {
+      foreignKey: 'warehouseId',
+      as: 'warehouse'
+    });
   };
 
   // Instance methods
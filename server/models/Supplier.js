@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Supplier = sequelize.define(
+    'Supplier',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      contactName: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isEmail: true
+        }
+      },
+      phone: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+      },
+      taxNumber: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'VKN or TCKN'
+      },
+      taxOffice: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      address: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY'
+      },
+      leadTimeDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 7,
+        comment: 'Typical days between ordering and receiving, used for reorder suggestions'
+      },
+      paymentTermsDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      }
+    },
+    {
+      tableName: 'suppliers',
+      indexes: [
+        {
+          fields: ['userId', 'isActive']
+        },
+        {
+          fields: ['userId', 'name']
+        }
+      ]
+    }
+  );
+
+  Supplier.associate = function (models) {
+    Supplier.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Supplier.hasMany(models.PurchaseOrder, {
+      foreignKey: 'supplierId',
+      as: 'purchaseOrders'
+    });
+  };
+
+  return Supplier;
+};
@@ -0,0 +1,211 @@
+const { DataTypes, Op } = require('sequelize');
+const { CronTime } = require('cron');
+
+// These executors fetch from a single store and fail without a connection
+const CONNECTION_TASK_TYPES = ['order_fetching', 'product_sync'];
+
+module.exports = (sequelize) => {
+  const TaskSchedule = sequelize.define(
+    'TaskSchedule',
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      platformConnectionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Schedule name is required'
+          }
+        }
+      },
+      taskType: {
+        type: DataTypes.ENUM(
+          'order_fetching',
+          'product_sync',
+          'inventory_sync',
+          'bulk_operation',
+          'analytics_update',
+          'customer_sync',
+          'shipping_label_generation',
+          'report_generation',
+          'data_export',
+          'data_import'
+        ),
+        allowNull: false
+      },
+      priority: {
+        type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+        defaultValue: 'normal',
+        allowNull: false
+      },
+      config: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {},
+        comment: 'Config passed to every task created by this schedule'
+      },
+      scheduleType: {
+        type: DataTypes.ENUM('interval', 'cron'),
+        allowNull: false,
+        defaultValue: 'interval'
+      },
+      intervalMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: 1
+        }
+      },
+      cronExpression: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Cron expression, e.g. "0 3 * * *" for nightly at 03:00'
+      },
+      timezone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'Europe/Istanbul'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastTaskId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Most recent task created by this schedule'
+      },
+      runCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skippedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Runs skipped because the previous run was still active'
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'task_schedules',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['userId'],
+          name: 'task_schedules_user_id_idx'
+        },
+        {
+          fields: ['isActive', 'nextRunAt'],
+          name: 'task_schedules_due_idx'
+        },
+        {
+          fields: ['platformConnectionId'],
+          name: 'task_schedules_platform_connection_idx'
+        }
+      ],
+      validate: {
+        hasRequiredConnection() {
+          if (
+            CONNECTION_TASK_TYPES.includes(this.taskType) &&
+            !this.platformConnectionId
+          ) {
+            throw new Error(
+              `${this.taskType} schedules require a platformConnectionId`
+            );
+          }
+        },
+        hasValidTiming() {
+          if (this.scheduleType === 'interval' && !this.intervalMinutes) {
+            throw new Error('Interval schedules require intervalMinutes');
+          }
+          if (this.scheduleType === 'cron') {
+            if (!this.cronExpression) {
+              throw new Error('Cron schedules require a cronExpression');
+            }
+            try {
+              new CronTime(this.cronExpression, this.timezone);
+            } catch (error) {
+              throw new Error(`Invalid cron expression: ${error.message}`);
+            }
+          }
+        }
+      },
+      hooks: {
+        beforeSave: (schedule) => {
+          const timingChanged =
+            schedule.changed('scheduleType') ||
+            schedule.changed('intervalMinutes') ||
+            schedule.changed('cronExpression') ||
+            schedule.changed('timezone') ||
+            (schedule.changed('isActive') && schedule.isActive);
+
+          if (schedule.isActive && (!schedule.nextRunAt || timingChanged)) {
+            schedule.nextRunAt = schedule.computeNextRun();
+          }
+        }
+      }
+    }
+  );
+
+  /**
+   * Compute the next run time after the given date
+   * @param {Date} from - Reference time (defaults to now)
+   * @returns {Date}
+   */
+  TaskSchedule.prototype.computeNextRun = function (from = new Date()) {
+    if (this.scheduleType === 'cron') {
+      const cronTime = new CronTime(this.cronExpression, this.timezone);
+      const next = cronTime.sendAt();
+      return next.toJSDate ? next.toJSDate() : new Date(next);
+    }
+
+    return new Date(from.getTime() + this.intervalMinutes * 60 * 1000);
+  };
+
+  TaskSchedule.getDueSchedules = function (limit = 50) {
+    return this.findAll({
+      where: {
+        isActive: true,
+        nextRunAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextRunAt', 'ASC']],
+      limit
+    });
+  };
+
+  return TaskSchedule;
+};
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Warehouse = sequelize.define(
+    'Warehouse',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Short code shown on pick lists and transfers'
+      },
+      type: {
+        type: DataTypes.ENUM('own', 'third_party'),
+        allowNull: false,
+        defaultValue: 'own',
+        comment: 'third_party for 3PL/fulfilment warehouses'
+      },
+      address: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      isSellable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Counted in "sum of sellable warehouses" allocation'
+      },
+      isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Receives stock adjustments that do not name a warehouse'
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Lower values are reserved from first'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {}
+      }
+    },
+    {
+      tableName: 'warehouses',
+      indexes: [
+        {
+          fields: ['userId', 'isActive']
+        },
+        {
+          unique: true,
+          fields: ['userId', 'code'],
+          name: 'warehouses_user_code_unique'
+        }
+      ]
+    }
+  );
+
+  Warehouse.associate = function (models) {
+    Warehouse.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    Warehouse.hasMany(models.WarehouseStock, {
+      foreignKey: 'warehouseId',
+      as: 'stockLevels'
+    });
+  };
+
+  return Warehouse;
+};
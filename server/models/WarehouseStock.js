@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WarehouseStock = sequelize.define(
+    'WarehouseStock',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      warehouseId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'warehouses',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      productId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'products',
+          key: 'id'
+        }
+      },
+      variantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'product_variants',
+          key: 'id'
+        }
+      },
+      sku: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'On-hand quantity; active reservations are already deducted'
+      },
+      binLocation: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Bin/shelf location, e.g. A-03-2'
+      }
+    },
+    {
+      tableName: 'warehouse_stocks',
+      indexes: [
+        {
+          unique: true,
+          fields: ['warehouseId', 'sku'],
+          name: 'warehouse_stocks_warehouse_sku_unique'
+        },
+        {
+          fields: ['userId', 'sku']
+        },
+        {
+          fields: ['productId']
+        },
+        {
+          fields: ['variantId']
+        }
+      ]
+    }
+  );
+
+  WarehouseStock.associate = function (models) {
+    WarehouseStock.belongsTo(models.Warehouse, {
+      foreignKey: 'warehouseId',
+      as: 'warehouse'
+    });
+
+    WarehouseStock.belongsTo(models.Product, {
+      foreignKey: 'productId',
+      as: 'product'
+    });
+
+    WarehouseStock.belongsTo(models.ProductVariant, {
+      foreignKey: 'variantId',
+      as: 'variant'
+    });
+  };
+
+  return WarehouseStock;
+};
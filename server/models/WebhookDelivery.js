@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define(
+    'WebhookDelivery',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      subscriptionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'webhook_subscriptions',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      eventId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Stable across retries so receivers can deduplicate'
+      },
+      eventType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'pending', // Waiting for its first attempt
+          'retrying', // Failed at least once, next attempt scheduled
+          'delivered', // Receiver answered 2xx
+          'dead_letter' // Gave up after maxAttempts
+        ),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 8
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      durationMs: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'webhook_deliveries',
+      indexes: [
+        {
+          fields: ['status', 'nextAttemptAt']
+        },
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['subscriptionId', 'createdAt']
+        }
+      ]
+    }
+  );
+
+  WebhookDelivery.associate = function (models) {
+    WebhookDelivery.belongsTo(models.WebhookSubscription, {
+      foreignKey: 'subscriptionId',
+      as: 'subscription'
+    });
+
+    WebhookDelivery.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,124 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookEvent = sequelize.define(
+    'WebhookEvent',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      connectionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'platform_connections',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      platformType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      eventType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Event name or package status reported by the marketplace'
+      },
+      eventKey: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+        comment: 'Delivery ID header or SHA-256 of the raw body, used to reject replays'
+      },
+      status: {
+        type: DataTypes.ENUM(
+          'received', // Stored, not processed yet
+          'processed', // Handed to the order processor successfully
+          'ignored', // Processor had nothing to do (unknown order/event)
+          'failed' // Processor threw
+        ),
+        allowNull: false,
+        defaultValue: 'received'
+      },
+      headers: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: {}
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      rawBody: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Body exactly as received, kept for audit and signature checks'
+      },
+      sourceIp: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      processingResult: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      receivedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'webhook_events',
+      indexes: [
+        {
+          unique: true,
+          fields: ['connectionId', 'eventKey'],
+          name: 'webhook_events_connection_key_unique'
+        },
+        {
+          fields: ['userId', 'status']
+        },
+        {
+          fields: ['receivedAt']
+        }
+      ]
+    }
+  );
+
+  WebhookEvent.associate = function (models) {
+    WebhookEvent.belongsTo(models.PlatformConnection, {
+      foreignKey: 'connectionId',
+      as: 'platformConnection'
+    });
+
+    WebhookEvent.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return WebhookEvent;
+};
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookSubscription = sequelize.define(
+    'WebhookSubscription',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+        validate: {
+          isUrl: { require_tld: false, protocols: ['http', 'https'] }
+        }
+      },
+      secret: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'HMAC-SHA256 key used to sign every delivery'
+      },
+      events: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Subscribed event types, ["*"] for all'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      consecutiveFailures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Deliveries dead-lettered in a row, reset on success'
+      },
+      lastDeliveryAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastDeliveryStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'webhook_subscriptions',
+      defaultScope: {
+        attributes: { exclude: ['secret'] }
+      },
+      scopes: {
+        withSecret: {
+          attributes: { include: ['secret'] }
+        }
+      },
+      indexes: [
+        {
+          fields: ['userId', 'isActive']
+        }
+      ]
+    }
+  );
+
+  WebhookSubscription.associate = function (models) {
+    WebhookSubscription.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    WebhookSubscription.hasMany(models.WebhookDelivery, {
+      foreignKey: 'subscriptionId',
+      as: 'deliveries'
+    });
+  };
+
+  return WebhookSubscription;
+};
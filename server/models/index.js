@@ -26,6 +26,18 @@ const N11Product = require("./N11Product");
 const ProductVariant = require("./ProductVariant")(sequelize);
 const InventoryMovement = require("./InventoryMovement")(sequelize);
 const StockReservation = require("./StockReservation")(sequelize);
+const Warehouse = require("./Warehouse")(sequelize);
+const WarehouseStock = require("./WarehouseStock")(sequelize);
+
+// === PURCHASING MODELS ===
+const Supplier = require("./Supplier")(sequelize);
+const PurchaseOrder = require("./PurchaseOrder")(sequelize);
+const PurchaseOrderLine = require("./PurchaseOrderLine")(sequelize);
+
+// === SHIPMENT MODELS ===
+const Shipment = require("./Shipment")(sequelize);
+const ShippingRule = require("./ShippingRule")(sequelize);
+const ShipmentManifest = require("./ShipmentManifest")(sequelize);
 
 // === NEW PRODUCT MANAGEMENT MODELS ===
 const ProductTemplate = require("./ProductTemplate")(sequelize);
@@ -42,6 +54,7 @@ const Invoice = require("./Invoice");
 // === BACKGROUND TASK MODELS ===
 // Temporarily commenting out BackgroundTask to debug server hang
 const BackgroundTask = require("./BackgroundTask")(sequelize);
+const TaskSchedule = require("./TaskSchedule")(sequelize);
 
 // === CUSTOMER QUESTION MODELS ===
 const CustomerQuestion = require("./CustomerQuestion");
@@ -49,6 +62,31 @@ const CustomerReply = require("./CustomerReply");
 const ReplyTemplate = require("./ReplyTemplate");
 const QuestionStats = require("./QuestionStats");
 
+// === RETURNS & CLAIMS MODELS ===
+const Return = require("./Return")(sequelize);
+const ReturnItem = require("./ReturnItem")(sequelize);
+const CreditNote = require("./CreditNote")(sequelize);
+
+// === ORDER PACKAGE MODELS ===
+const OrderPackage = require("./OrderPackage")(sequelize);
+const OrderPackageItem = require("./OrderPackageItem")(sequelize);
+
+// === WEBHOOK MODELS ===
+const WebhookEvent = require("./WebhookEvent")(sequelize);
+const WebhookSubscription = require("./WebhookSubscription")(sequelize);
+const WebhookDelivery = require("./WebhookDelivery")(sequelize);
+
+// === AUTH STATE MODELS ===
+const AuthState = require("./AuthState")(sequelize);
+
+// === ORGANIZATION MODELS ===
+const Organization = require("./Organization")(sequelize);
+const OrganizationMember = require("./OrganizationMember")(sequelize);
+const OrganizationInvitation = require("./OrganizationInvitation")(sequelize);
+
+// === API KEY MODELS ===
+const ApiKey = require("./ApiKey")(sequelize);
+
 // ========================================
 // === NEW ENHANCED PRODUCT MANAGEMENT MODELS ===
 // ========================================
@@ -86,6 +124,18 @@ const models = {
   ProductVariant: ProductVariant,
   InventoryMovement: InventoryMovement,
   StockReservation: StockReservation,
+  Warehouse: Warehouse,
+  WarehouseStock: WarehouseStock,
+
+  // === PURCHASING MODELS ===
+  Supplier: Supplier,
+  PurchaseOrder: PurchaseOrder,
+  PurchaseOrderLine: PurchaseOrderLine,
+
+  // === SHIPMENT MODELS ===
+  Shipment: Shipment,
+  ShippingRule: ShippingRule,
+  ShipmentManifest: ShipmentManifest,
 
   // === NEW PRODUCT MANAGEMENT MODELS ===
   ProductTemplate: ProductTemplate,
@@ -100,6 +150,7 @@ const models = {
 
   // === BACKGROUND TASK MODELS ===
   BackgroundTask: BackgroundTask,
+  TaskSchedule: TaskSchedule,
 
   // === CUSTOMER QUESTION MODELS ===
   CustomerQuestion: CustomerQuestion,
@@ -107,6 +158,31 @@ const models = {
   ReplyTemplate: ReplyTemplate,
   QuestionStats: QuestionStats,
 
+  // === RETURNS & CLAIMS MODELS ===
+  Return: Return,
+  ReturnItem: ReturnItem,
+  CreditNote: CreditNote,
+
+  // === ORDER PACKAGE MODELS ===
+  OrderPackage: OrderPackage,
+  OrderPackageItem: OrderPackageItem,
+
+  // === WEBHOOK MODELS ===
+  WebhookEvent: WebhookEvent,
+  WebhookSubscription: WebhookSubscription,
+  WebhookDelivery: WebhookDelivery,
+
+  // === AUTH STATE MODELS ===
+  AuthState: AuthState,
+
+  // === ORGANIZATION MODELS ===
+  Organization: Organization,
+  OrganizationMember: OrganizationMember,
+  OrganizationInvitation: OrganizationInvitation,
+
+  // === API KEY MODELS ===
+  ApiKey: ApiKey,
+
   // ========================================
   // === NEW ENHANCED PRODUCT MANAGEMENT MODELS ===
   // ========================================
@@ -219,6 +295,36 @@ models.ShippingDetail.belongsTo(models.Order, {
   allowNull: false,
 });
 
+// Order <-> Shipment (One-to-Many), one shipment per carrier label
+models.Order.hasMany(models.Shipment, {
+  foreignKey: "orderId",
+  as: "shipments",
+});
+models.ShippingDetail.hasMany(models.Shipment, {
+  foreignKey: "shippingDetailId",
+  as: "shipments",
+});
+
+// ShipmentManifest <-> Shipment (One-to-Many), the day's handover list
+models.ShipmentManifest.hasMany(models.Shipment, {
+  foreignKey: "manifestId",
+  as: "shipments",
+});
+models.Shipment.belongsTo(models.ShipmentManifest, {
+  foreignKey: "manifestId",
+  as: "manifest",
+});
+
+// Order -> ShippingRule, the rule that assigned the order's carrier
+models.Order.belongsTo(models.ShippingRule, {
+  foreignKey: "shippingRuleId",
+  as: "shippingRule",
+});
+models.ShippingRule.hasMany(models.Order, {
+  foreignKey: "shippingRuleId",
+  as: "orders",
+});
+
 // Additional reference from Order to ShippingDetail via shippingDetailId
 // This allows orders to reference shipping details that may be shared
 models.Order.belongsTo(models.ShippingDetail, {
@@ -751,6 +857,37 @@ models.BackgroundTask.hasMany(models.BackgroundTask, {
   as: "childTasks",
 });
 
+// User <-> TaskSchedule (One-to-Many)
+models.User.hasMany(models.TaskSchedule, {
+  foreignKey: "userId",
+  as: "taskSchedules",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.TaskSchedule.belongsTo(models.User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
+// PlatformConnection <-> TaskSchedule (One-to-Many)
+models.PlatformConnection.hasMany(models.TaskSchedule, {
+  foreignKey: "platformConnectionId",
+  as: "taskSchedules",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.TaskSchedule.belongsTo(models.PlatformConnection, {
+  foreignKey: "platformConnectionId",
+  as: "platformConnection",
+});
+
+// TaskSchedule -> most recent BackgroundTask it created
+models.TaskSchedule.belongsTo(models.BackgroundTask, {
+  foreignKey: "lastTaskId",
+  as: "lastTask",
+  constraints: false,
+});
+
 // ========================================
 // === END LEGACY PRODUCT MANAGEMENT SYSTEM ===
 // ========================================
@@ -817,6 +954,132 @@ models.CustomerReply.belongsTo(models.ReplyTemplate, {
 // === END CUSTOMER QUESTIONS & REPLIES ===
 // ========================================
 
+// ========================================
+// === RETURNS & CLAIMS ===
+// ========================================
+
+if (models.Return.associate) {
+  models.Return.associate(models);
+}
+if (models.ReturnItem.associate) {
+  models.ReturnItem.associate(models);
+}
+
+// Order <-> Return (One-to-Many)
+models.Order.hasMany(models.Return, {
+  foreignKey: "orderId",
+  as: "returns",
+});
+
+// OrderItem <-> ReturnItem (One-to-Many)
+models.OrderItem.hasMany(models.ReturnItem, {
+  foreignKey: "orderItemId",
+  as: "returnItems",
+});
+
+if (models.CreditNote.associate) {
+  models.CreditNote.associate(models);
+}
+
+// Order <-> CreditNote (One-to-Many), return invoices against the order's invoice
+models.Order.hasMany(models.CreditNote, {
+  foreignKey: "orderId",
+  as: "creditNotes",
+});
+models.CreditNote.belongsTo(models.Order, {
+  foreignKey: "orderId",
+  as: "order",
+});
+
+// Return <-> CreditNote (One-to-Many)
+models.Return.hasMany(models.CreditNote, {
+  foreignKey: "returnId",
+  as: "creditNotes",
+});
+models.CreditNote.belongsTo(models.Return, {
+  foreignKey: "returnId",
+  as: "return",
+});
+
+// ========================================
+// === ORDER PACKAGES ===
+// ========================================
+
+if (models.OrderPackage.associate) {
+  models.OrderPackage.associate(models);
+}
+if (models.OrderPackageItem.associate) {
+  models.OrderPackageItem.associate(models);
+}
+
+// Order <-> OrderPackageItem (One-to-Many)
+models.Order.hasMany(models.OrderPackageItem, {
+  foreignKey: "orderId",
+  as: "packageItems",
+});
+
+// OrderItem <-> OrderPackageItem (One-to-Many)
+models.OrderItem.hasMany(models.OrderPackageItem, {
+  foreignKey: "orderItemId",
+  as: "packageItems",
+});
+
+// ========================================
+// === WEBHOOKS ===
+// ========================================
+
+if (models.WebhookEvent.associate) {
+  models.WebhookEvent.associate(models);
+}
+
+// PlatformConnection <-> WebhookEvent (One-to-Many)
+models.PlatformConnection.hasMany(models.WebhookEvent, {
+  foreignKey: "connectionId",
+  as: "webhookEvents",
+});
+
+if (models.WebhookSubscription.associate) {
+  models.WebhookSubscription.associate(models);
+}
+
+if (models.WebhookDelivery.associate) {
+  models.WebhookDelivery.associate(models);
+}
+
+// ========================================
+// === ORGANIZATIONS ===
+// ========================================
+
+if (models.Organization.associate) {
+  models.Organization.associate(models);
+}
+if (models.OrganizationMember.associate) {
+  models.OrganizationMember.associate(models);
+}
+if (models.OrganizationInvitation.associate) {
+  models.OrganizationInvitation.associate(models);
+}
+
+// User <-> OrganizationMember (One-to-One), a user joins one organisation
+models.User.hasOne(models.OrganizationMember, {
+  foreignKey: "userId",
+  as: "organizationMembership",
+});
+
+// ========================================
+// === API KEYS ===
+// ========================================
+
+if (models.ApiKey.associate) {
+  models.ApiKey.associate(models);
+}
+
+// User <-> ApiKey (One-to-Many)
+models.User.hasMany(models.ApiKey, {
+  foreignKey: "userId",
+  as: "apiKeys",
+});
+
 // ========================================
 // === NEW ENHANCED PRODUCT MANAGEMENT ===
 // ========================================
@@ -840,6 +1103,30 @@ if (models.InventoryMovement.associate) {
 if (models.StockReservation.associate) {
   models.StockReservation.associate(models);
 }
+if (models.Warehouse.associate) {
+  models.Warehouse.associate(models);
+}
+if (models.WarehouseStock.associate) {
+  models.WarehouseStock.associate(models);
+}
+if (models.Supplier.associate) {
+  models.Supplier.associate(models);
+}
+if (models.PurchaseOrder.associate) {
+  models.PurchaseOrder.associate(models);
+}
+if (models.PurchaseOrderLine.associate) {
+  models.PurchaseOrderLine.associate(models);
+}
+if (models.Shipment.associate) {
+  models.Shipment.associate(models);
+}
+if (models.ShippingRule.associate) {
+  models.ShippingRule.associate(models);
+}
+if (models.ShipmentManifest.associate) {
+  models.ShipmentManifest.associate(models);
+}
 if (models.PlatformVariant.associate) {
   models.PlatformVariant.associate(models);
 }
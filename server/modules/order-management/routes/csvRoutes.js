@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const csvController = require('../controllers/csv-controller');
 const { auth } = require('../../../middleware/auth'); // Fixed: correct path
+const { requireAccess } = require('../../../middleware/permissions');
 
 // Apply authentication middleware
 router.use(auth);
+router.use(requireAccess('orders'));
 
 // CSV file upload and processing routes
 router.post('/validate', 
@@ -3,9 +3,12 @@ const router = express.Router();
 const exportController = require('../controllers/export-controller');
 const { auth, adminAuth } = require('../../../middleware/auth'); // Fixed: import correct middleware
 const { body } = require('express-validator');
+const { requirePermission } = require('../../../middleware/permissions');
 
 // Apply authentication middleware to all export routes
 router.use(auth); // Fixed: use 'auth' instead of 'protect'
+// Exports only read order data, whatever the HTTP method
+router.use(requirePermission('orders:read'));
 
 // Export routes
 router.post('/orders/csv', exportController.exportOrdersToCSV);
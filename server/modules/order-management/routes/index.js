@@ -152,8 +152,9 @@ try {
   };
 }
 
-// Import authentication middleware
+// Import authentication and permission middleware
 const { auth: authenticateToken } = require("../../../middleware/auth");
+const { requireAccess } = require("../../../middleware/permissions");
 
 // Mount sub-routers with error handling
 try {
@@ -178,6 +179,7 @@ try {
 router.get(
   "/orders/:orderId/items-with-products",
   authenticateToken,
+  requireAccess("orders"),
   async (req, res) => {
     try {
       const { orderId } = req.params;
@@ -205,34 +207,40 @@ router.get(
 );
 
 // Search products for linking
-router.get("/products/search", authenticateToken, async (req, res) => {
-  try {
-    const { query, limit = 10 } = req.query;
-    const products = await ProductLinkingService.searchProducts(query, limit);
+router.get(
+  "/products/search",
+  authenticateToken,
+  requireAccess("products"),
+  async (req, res) => {
+    try {
+      const { query, limit = 10 } = req.query;
+      const products = await ProductLinkingService.searchProducts(query, limit);
 
-    res.json({
-      success: true,
-      data: products,
-    });
-  } catch (error) {
-    logger.error("Error searching products", {
-      operation: "search_products",
-      query: req.query.query,
-      ip: req.ip,
-      userId: req.user?.id,
-      error: error.message,
-    });
-    res.status(500).json({
-      success: false,
-      error: "Failed to search products",
-    });
+      res.json({
+        success: true,
+        data: products,
+      });
+    } catch (error) {
+      logger.error("Error searching products", {
+        operation: "search_products",
+        query: req.query.query,
+        ip: req.ip,
+        userId: req.user?.id,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to search products",
+      });
+    }
   }
-});
+);
 
 // Link order item with product
 router.post(
   "/orders/:orderId/items/:itemId/link",
   authenticateToken,
+  requireAccess("orders"),
   async (req, res) => {
     try {
       const { orderId, itemId } = req.params;
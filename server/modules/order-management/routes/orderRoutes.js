@@ -2,7 +2,10 @@ const express = require("express");
 const logger = require("../../../utils/logger");
 const router = express.Router();
 const orderController = require("../controllers/order-controller");
-const { auth } = require("../../../middleware/auth");
+const {
+  requireAccess,
+  requirePermission,
+} = require("../../../middleware/permissions");
 const { Order, OrderItem } = require("../../../models");
 
 // Special route for sample data (no auth required)
@@ -98,7 +101,20 @@ router.get("/sample", async (req, res) => {
 });
 
 // Use authentication middleware for all other routes
-router.use(auth);
+
+// e-Invoices are issued under the invoice permission, not order access
+router.post(
+  "/bulk-einvoice",
+  requirePermission("invoices:write"),
+  orderController.bulkEInvoice
+);
+router.post(
+  "/:id/einvoice",
+  requirePermission("invoices:write"),
+  orderController.generateEInvoice
+);
+
+router.use(requireAccess("orders"));
 
 /**
  * @swagger
@@ -447,9 +463,7 @@ router.post("/:id/cancel", orderController.cancelOrder);
 
 // Add the missing endpoints that the frontend expects
 router.delete("/bulk-delete", orderController.bulkDeleteOrders);
-router.post("/bulk-einvoice", orderController.bulkEInvoice);
 router.delete("/:id", orderController.deleteOrder);
-router.post("/:id/einvoice", orderController.generateEInvoice);
 router.post("/sync", orderController.syncOrders);
 
 module.exports = router;
@@ -6,12 +6,15 @@ const {
   auth: authenticateToken,
   adminAuth
 } = require('../../../middleware/auth');
+const { requireAccess } = require('../../../middleware/permissions');
 const logger = require('../../../utils/logger');
 const OrderItem = require('../../../models/OrderItem');
 const Product = require('../../../models/Product');
 const ProductVariant = require('../../../models/ProductVariant');
 const { Op } = require('sequelize');
 
+const productAccess = [authenticateToken, requireAccess('products')];
+
 // Get a reference to the global job service instance
 // This will be set when the server starts
 let jobService = null;
@@ -31,7 +34,7 @@ const ensureJobService = (req, res, next) => {
 /**
  * Get job status and statistics
  */
-router.get('/status', authenticateToken, ensureJobService, async (req, res) => {
+router.get('/status', productAccess, ensureJobService, async (req, res) => {
   try {
     const status = req.jobService.getStatus();
     const report = await req.jobService.generateLinkingReport();
@@ -122,7 +125,7 @@ router.post(
 /**
  * Get linking statistics for a custom period
  */
-router.get('/report', authenticateToken, ensureJobService, async (req, res) => {
+router.get('/report', productAccess, ensureJobService, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -155,7 +158,7 @@ router.get('/report', authenticateToken, ensureJobService, async (req, res) => {
 /**
  * Get available jobs list
  */
-router.get('/jobs', authenticateToken, ensureJobService, async (req, res) => {
+router.get('/jobs', productAccess, ensureJobService, async (req, res) => {
   try {
     const status = req.jobService.getStatus();
 
@@ -203,7 +206,7 @@ router.get('/jobs', authenticateToken, ensureJobService, async (req, res) => {
 /**
  * Get dashboard statistics
  */
-router.get('/stats', authenticateToken, ensureJobService, async (req, res) => {
+router.get('/stats', productAccess, ensureJobService, async (req, res) => {
   try {
     const { platform, startDate, endDate } = req.query;
 
@@ -308,7 +311,7 @@ router.get('/stats', authenticateToken, ensureJobService, async (req, res) => {
 /**
  * Get unlinked items with pagination
  */
-router.get('/unlinked-items', authenticateToken, async (req, res) => {
+router.get('/unlinked-items', productAccess, async (req, res) => {
   try {
     const {
       page = 1,
@@ -492,7 +495,7 @@ router.post(
 /**
  * Get product suggestions for manual linking
  */
-router.get('/suggestions/:id', authenticateToken, async (req, res) => {
+router.get('/suggestions/:id', productAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 10 } = req.query;
@@ -555,7 +558,7 @@ router.get('/suggestions/:id', authenticateToken, async (req, res) => {
 /**
  * Manually link order item to product
  */
-router.post('/link/:id', authenticateToken, async (req, res) => {
+router.post('/link/:id', productAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { productId, variantId } = req.body;
@@ -634,7 +637,7 @@ router.post('/link/:id', authenticateToken, async (req, res) => {
 /**
  * Unlink order item from product
  */
-router.delete('/unlink/:id', authenticateToken, async (req, res) => {
+router.delete('/unlink/:id', productAccess, async (req, res) => {
   try {
     const { id } = req.params;
 
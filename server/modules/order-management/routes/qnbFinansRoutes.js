@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const qnbFinansInvoiceController = require('../../../controllers/qnbFinansInvoiceController');
-const { auth } = require('../../../middleware/auth');
+const { requireAccess } = require('../../../middleware/permissions');
 
 // Apply authentication middleware
-router.use(auth);
+router.use(requireAccess('invoices'));
 
 // QNB Finans invoice routes
 router.post(
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const settingsController = require('../../../controllers/settings-controller');
-const { auth, adminAuth } = require('../../../middleware/auth');
+const { adminAuth } = require('../../../middleware/auth');
+const { requireAccess } = require('../../../middleware/permissions');
 
 // Apply authentication middleware
-router.use(auth);
+router.use(requireAccess('settings'));
 
 // Company settings routes
 router.get('/company', settingsController.getCompanyInfo);
@@ -1,78 +1,65 @@
 const logger = require('../../../utils/logger');
-const { User } = require('../../../models');
+const authStateStore = require('./auth-state-store');
 
+// Failed attempts are stored by the auth state store, so a lockout holds on
+// every worker and across restarts, and expires on its own
 class AccountLockoutService {
   constructor() {
-    this.failedAttempts = new Map();
     this.lockoutDuration = 15 * 60 * 1000; // 15 minutes
     this.maxAttempts = 5;
-    
-    // Clean up expired lockouts every hour
-    setInterval(() => this.cleanupExpiredLockouts(), 60 * 60 * 1000);
   }
 
-  // Record a failed login attempt
-  recordFailedAttempt(identifier) {
-    const now = Date.now();
-    const attempts = this.failedAttempts.get(identifier) || { count: 0, timestamps: [] };
-    
-    // Clean up attempts older than lockout duration
-    attempts.timestamps = attempts.timestamps.filter(
-      timestamp => now - timestamp < this.lockoutDuration
+  // Record a failed login attempt. Attempts are counted atomically within a
+  // window that starts at the first failure; reaching the limit locks the
+  // account for the full lockout duration.
+  async recordFailedAttempt(identifier) {
+    const attempts = await authStateStore.increment(
+      this.getAttemptsKey(identifier),
+      this.lockoutDuration / 1000
     );
-    
-    attempts.count = attempts.timestamps.length + 1;
-    attempts.timestamps.push(now);
-    
-    this.failedAttempts.set(identifier, attempts);
-    
-    return attempts.count;
+
+    if (attempts >= this.maxAttempts) {
+      await authStateStore.set(
+        this.getLockKey(identifier),
+        Date.now() + this.lockoutDuration,
+        this.lockoutDuration / 1000
+      );
+
+      if (attempts === this.maxAttempts) {
+        logger.warn('Account locked after repeated failed logins', {
+          identifier,
+          attempts
+        });
+      }
+    }
+
+    return attempts;
   }
 
   // Check if account is locked
-  isLocked(identifier) {
-    const attempts = this.failedAttempts.get(identifier);
-    if (!attempts) {return false;}
-
-    const now = Date.now();
-    // Clean up old attempts
-    attempts.timestamps = attempts.timestamps.filter(
-      timestamp => now - timestamp < this.lockoutDuration
-    );
-    
-    return attempts.timestamps.length >= this.maxAttempts;
+  async isLocked(identifier) {
+    return (await this.getRemainingLockoutTime(identifier)) > 0;
   }
 
   // Get remaining lockout time in milliseconds
-  getRemainingLockoutTime(identifier) {
-    const attempts = this.failedAttempts.get(identifier);
-    if (!attempts || attempts.timestamps.length === 0) {return 0;}
-
-    const now = Date.now();
-    const oldestAttempt = Math.min(...attempts.timestamps);
-    const timeElapsed = now - oldestAttempt;
-    
-    return Math.max(0, this.lockoutDuration - timeElapsed);
+  async getRemainingLockoutTime(identifier) {
+    const lockedUntil = await authStateStore.get(this.getLockKey(identifier));
+    return lockedUntil ? Math.max(0, lockedUntil - Date.now()) : 0;
   }
 
   // Reset attempts for an identifier
-  resetAttempts(identifier) {
-    this.failedAttempts.delete(identifier);
+  async resetAttempts(identifier) {
+    await authStateStore.del(this.getAttemptsKey(identifier));
+    await authStateStore.del(this.getLockKey(identifier));
   }
 
-  // Clean up expired lockouts
-  cleanupExpiredLockouts() {
-    const now = Date.now();
-    for (const [identifier, attempts] of this.failedAttempts.entries()) {
-      attempts.timestamps = attempts.timestamps.filter(
-        timestamp => now - timestamp < this.lockoutDuration
-      );
-      
-      if (attempts.timestamps.length === 0) {
-        this.failedAttempts.delete(identifier);
-      }
-    }
+  getAttemptsKey(identifier) {
+    return `login_failures:${String(identifier).toLowerCase()}`;
+  }
+
+  getLockKey(identifier) {
+    return `login_lock:${String(identifier).toLowerCase()}`;
   }
 }
 
-module.exports = new AccountLockoutService();
\ No newline at end of file
+module.exports = new AccountLockoutService();
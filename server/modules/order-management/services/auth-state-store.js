@@ -0,0 +1,169 @@
+const { Op, QueryTypes } = require('sequelize');
+const { AuthState } = require('../../../models');
+const cacheService = require('../../../services/cache-service');
+const logger = require('../../../utils/logger');
+
+// Keys are namespaced so auth state never collides with other cached data
+const KEY_PREFIX = 'auth:';
+
+// Expired rows are removed this often; reads ignore them in the meantime
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Database backend: shared by every worker and survives restarts
+class DatabaseAuthStateBackend {
+  constructor() {
+    this.purgeInterval = null;
+  }
+
+  async get(key) {
+    const record = await AuthState.findOne({
+      where: { key, expiresAt: { [Op.gt]: new Date() } }
+    });
+    return record ? record.value : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await AuthState.upsert({
+      key,
+      value,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+  }
+
+  // Single statement, so concurrent increments are never lost. An expired
+  // row restarts the count with a fresh expiry.
+  async increment(key, ttlSeconds) {
+    const [row] = await AuthState.sequelize.query(
+      `INSERT INTO "auth_states" ("key", "value", "expiresAt", "createdAt", "updatedAt")
+       VALUES (:key, '1', :expiresAt, NOW(), NOW())
+       ON CONFLICT ("key") DO UPDATE SET
+         "value" = CASE WHEN "auth_states"."expiresAt" > NOW()
+           THEN to_jsonb(("auth_states"."value" #>> '{}')::int + 1)
+           ELSE '1' END,
+         "expiresAt" = CASE WHEN "auth_states"."expiresAt" > NOW()
+           THEN "auth_states"."expiresAt"
+           ELSE EXCLUDED."expiresAt" END,
+         "updatedAt" = NOW()
+       RETURNING "value"`,
+      {
+        replacements: {
+          key,
+          expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+        },
+        type: QueryTypes.SELECT
+      }
+    );
+    return Number(row.value);
+  }
+
+  async del(key) {
+    await AuthState.destroy({ where: { key } });
+  }
+
+  // Started on first use so requiring the store has no side effects
+  startPurge() {
+    if (this.purgeInterval) {return;}
+
+    this.purgeInterval = setInterval(() => {
+      AuthState.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } })
+        .then((count) => {
+          if (count > 0) {
+            logger.debug(`Purged ${count} expired auth state entries`);
+          }
+        })
+        .catch((error) => {
+          logger.error('Error purging expired auth state:', error);
+        });
+    }, PURGE_INTERVAL);
+    this.purgeInterval.unref();
+  }
+}
+
+// Redis backend: expiry is handled by Redis itself through the cache service
+class RedisAuthStateBackend {
+  constructor() {
+    this.warnedDisconnected = false;
+  }
+
+  async get(key) {
+    this.checkConnection();
+    return cacheService.get(key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.checkConnection();
+    await cacheService.set(key, value, Math.max(1, Math.ceil(ttlSeconds)));
+  }
+
+  async increment(key, ttlSeconds) {
+    this.checkConnection();
+    const { count } = await cacheService.increment(
+      key,
+      Math.max(1, Math.ceil(ttlSeconds))
+    );
+    return count;
+  }
+
+  async del(key) {
+    await cacheService.del(key);
+  }
+
+  startPurge() {}
+
+  // The cache service falls back to process memory while Redis is down,
+  // which is neither shared between workers nor persistent
+  checkConnection() {
+    if (cacheService.isConnected) {
+      this.warnedDisconnected = false;
+    } else if (!this.warnedDisconnected) {
+      this.warnedDisconnected = true;
+      logger.warn(
+        'Redis is not connected, auth state is kept in process memory until it reconnects'
+      );
+    }
+  }
+}
+
+/**
+ * Key-value store with expiry for authentication state (sessions, revoked
+ * tokens, failed login attempts). AUTH_STATE_BACKEND selects 'database'
+ * (default) or 'redis'.
+ */
+class AuthStateStore {
+  constructor() {
+    this.backendName =
+      process.env.AUTH_STATE_BACKEND === 'redis' ? 'redis' : 'database';
+    this.backend =
+      this.backendName === 'redis'
+        ? new RedisAuthStateBackend()
+        : new DatabaseAuthStateBackend();
+  }
+
+  async get(key) {
+    this.backend.startPurge();
+    return this.backend.get(KEY_PREFIX + key);
+  }
+
+  // ttlSeconds: the entry is gone once it elapses
+  async set(key, value, ttlSeconds) {
+    this.backend.startPurge();
+    if (ttlSeconds <= 0) {
+      return this.backend.del(KEY_PREFIX + key);
+    }
+    return this.backend.set(KEY_PREFIX + key, value, ttlSeconds);
+  }
+
+  // Atomically add one to a counter and return the new count. ttlSeconds
+  // applies from the first increment and is not extended by later ones.
+  async increment(key, ttlSeconds) {
+    this.backend.startPurge();
+    return this.backend.increment(KEY_PREFIX + key, ttlSeconds);
+  }
+
+  async del(key) {
+    return this.backend.del(KEY_PREFIX + key);
+  }
+}
+
+// Export singleton instance
+module.exports = new AuthStateStore();
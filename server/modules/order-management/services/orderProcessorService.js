@@ -635,9 +635,12 @@ class OrderProcessorService {
    * Process webhook notification from platforms
    * @param {Object} data - Webhook data
    * @param {String} platformType - Platform type
+   * @param {Object} options - Processing options
+   * @param {Number} options.connectionId - Connection the webhook was received for;
+   *   scopes order lookups and enables importing orders we have not seen yet
    * @returns {Object} - Processing result
    */
-  async processWebhookNotification(data, platformType) {
+  async processWebhookNotification(data, platformType, options = {}) {
     try {
       if (!data || !platformType) {
         throw new Error('Missing webhook data or platform type');
@@ -648,13 +651,22 @@ class OrderProcessorService {
 
       switch (platformType.toLowerCase()) {
       case 'trendyol':
-        result = await this._processTrendyolWebhook(data);
+        // Trendyol order webhooks deliver the full shipment package
+        if (options.connectionId && data.orderNumber && Array.isArray(data.lines)) {
+          result = await this._importPlatformOrders(
+            [data],
+            platformType,
+            options.connectionId
+          );
+        } else {
+          result = await this._processTrendyolWebhook(data, options);
+        }
         break;
       case 'hepsiburada':
-        result = await this._processHepsiburadaWebhook(data);
+        result = await this._processHepsiburadaWebhook(data, options);
         break;
       case 'n11':
-        result = await this._processN11Webhook(data);
+        result = await this._processN11Webhook(data, options);
         break;
         // Add more platform handlers as needed
       default:
@@ -668,6 +680,37 @@ class OrderProcessorService {
     }
   }
 
+  /**
+   * Create or update orders from raw platform payloads through the platform
+   * service's own normalization, so webhook-delivered orders are stored exactly
+   * like polled ones
+   * @private
+   * @param {Object[]} platformOrders - Raw platform order payloads
+   * @param {String} platformType - Platform type
+   * @param {Number} connectionId - Platform connection ID
+   * @returns {Object} - Processing result
+   */
+  async _importPlatformOrders(platformOrders, platformType, connectionId) {
+    const PlatformServiceFactory = require('./platforms/platformServiceFactory');
+    const platformService = PlatformServiceFactory.createService(
+      platformType,
+      connectionId
+    );
+    await platformService.initialize();
+
+    const normalizeResult = await platformService.normalizeOrders(platformOrders);
+    const orders = normalizeResult.data || [];
+
+    return {
+      success: orders.length > 0,
+      message: orders.length > 0
+        ? `Imported ${orders.length} order(s) from webhook`
+        : 'Webhook order could not be imported',
+      orderIds: orders.map((order) => order.id),
+      stats: normalizeResult.stats
+    };
+  }
+
   /**
    * Calculate days between two dates
    * @private
@@ -717,7 +760,7 @@ class OrderProcessorService {
    * @param {Object} data - Webhook data
    * @returns {Object} - Processing result
    */
-  async _processTrendyolWebhook(data) {
+  async _processTrendyolWebhook(data, options = {}) {
     try {
       // Handle different webhook events from Trendyol
       if (!data.event || !data.orderId) {
@@ -726,10 +769,12 @@ class OrderProcessorService {
 
       // Find the order in our system
       const order = await Order.findOne({
-        where: {
-          platformOrderId: data.orderId,
-          platformId: { [Op.ne]: null } // Ensure it has a platform ID
-        }
+        where: options.connectionId
+          ? { externalOrderId: String(data.orderId), connectionId: options.connectionId }
+          : {
+            platformOrderId: data.orderId,
+            platformId: { [Op.ne]: null } // Ensure it has a platform ID
+          }
       });
 
       if (!order) {
@@ -802,7 +847,7 @@ class OrderProcessorService {
    * @param {Object} data - Webhook data
    * @returns {Object} - Processing result
    */
-  async _processHepsiburadaWebhook(data) {
+  async _processHepsiburadaWebhook(data, options = {}) {
     try {
       if (!data.event || !data.orderId) {
         throw new Error('Invalid Hepsiburada webhook format');
@@ -811,7 +856,8 @@ class OrderProcessorService {
       const order = await Order.findOne({
         where: {
           externalOrderId: data.orderId,
-          platformType: 'hepsiburada'
+          platformType: 'hepsiburada',
+          ...(options.connectionId && { connectionId: options.connectionId })
         }
       });
 
@@ -896,7 +942,7 @@ class OrderProcessorService {
    * @param {Object} data - Webhook data
    * @returns {Object} - Processing result
    */
-  async _processN11Webhook(data) {
+  async _processN11Webhook(data, options = {}) {
     try {
       if (!data.event || !data.orderId) {
         throw new Error('Invalid N11 webhook format');
@@ -905,7 +951,8 @@ class OrderProcessorService {
       const order = await Order.findOne({
         where: {
           externalOrderId: data.orderId,
-          platformType: 'n11'
+          platformType: 'n11',
+          ...(options.connectionId && { connectionId: options.connectionId })
         }
       });
 
@@ -282,6 +282,73 @@ class BasePlatformService {
     throw new Error("fetchOrders must be implemented by platform service");
   }
 
+  /**
+   * Fetch return/claim requests from the platform
+   * Should be implemented by each platform service. Claims are normalized to:
+   * { platformClaimId, orderNumber, status, platformStatus, reason, customerNote,
+   *   claimDate, cargoProvider, cargoTrackingNumber, rawData,
+   *   items: [{ platformClaimItemId, sku, barcode, title, quantity, reason,
+   *             status, platformStatus }] }
+   * where status is one of pending, approved, rejected, cancelled, in_dispute
+   * @param {Object} params - Query parameters (startDate, endDate, status)
+   * @returns {Promise<Object>} Result containing normalized claims
+   */
+  async fetchClaims(params = {}) {
+    throw new Error("fetchClaims must be implemented by platform service");
+  }
+
+  /**
+   * Approve claim items on the platform
+   * @param {string} platformClaimId - Claim ID on the platform
+   * @param {Array<string>} claimItemIds - Platform claim item IDs to approve
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async approveClaim(platformClaimId, claimItemIds) {
+    throw new Error("approveClaim must be implemented by platform service");
+  }
+
+  /**
+   * Reject claim items on the platform
+   * @param {string} platformClaimId - Claim ID on the platform
+   * @param {Array<string>} claimItemIds - Platform claim item IDs to reject
+   * @param {Object} rejection - { reasonCode, description }
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async rejectClaim(platformClaimId, claimItemIds, rejection = {}) {
+    throw new Error("rejectClaim must be implemented by platform service");
+  }
+
+  /**
+   * Bulk update prices and/or stock through the platform's batch endpoint
+   * Should be implemented by each platform service. Items are
+   * { sku, barcode, quantity, salePrice, listPrice } where any of quantity or
+   * the price fields may be omitted. Results are normalized to:
+   * { success, message, itemCount,
+   *   requests: [{ requestId, type, itemCount, success, error }] }
+   * where each requestId can be passed to checkPriceAndInventoryStatus()
+   * @param {Array} items - Price/stock updates
+   * @returns {Promise<Object>} Result containing submitted batch requests
+   */
+  async updatePriceAndInventory(items) {
+    throw new Error(
+      "updatePriceAndInventory must be implemented by platform service"
+    );
+  }
+
+  /**
+   * Check the processing status of a batch submitted by updatePriceAndInventory
+   * Normalized to { success, requestId, status, failedItems, data } where
+   * status is one of processing, completed, failed
+   * @param {string} requestId - Batch/tracking/task ID returned by the platform
+   * @param {Object} options - Platform specific options (e.g. request type)
+   * @returns {Promise<Object>} Normalized batch status
+   */
+  async checkPriceAndInventoryStatus(requestId, options = {}) {
+    throw new Error(
+      "checkPriceAndInventoryStatus must be implemented by platform service"
+    );
+  }
+
   /**
    * Get orders from the platform - unified implementation
    * @param {Object} options - Options for fetching orders
@@ -0,0 +1,784 @@
+// src/services/platforms/amazon/amazon-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const {
+  Order,
+  OrderItem,
+  ShippingDetail,
+} = require("../../../../../models");
+const { Op } = require("sequelize");
+const sequelize = require("../../../../../config/database");
+
+// Constants for Amazon Selling Partner API endpoints and configurations
+const AMAZON_API = {
+  // Regional SP-API hosts; Amazon.com.tr is served from the EU region
+  REGION_URLS: {
+    eu: "https://sellingpartnerapi-eu.amazon.com",
+    na: "https://sellingpartnerapi-na.amazon.com",
+    fe: "https://sellingpartnerapi-fe.amazon.com",
+  },
+  LWA_TOKEN_URL: "https://api.amazon.com/auth/o2/token",
+  DEFAULT_MARKETPLACE_ID: "A33AVAJ2PDY3EV", // Amazon.com.tr
+  ENDPOINTS: {
+    MARKETPLACE_PARTICIPATIONS: "/sellers/v1/marketplaceParticipations",
+    ORDERS: "/orders/v0/orders",
+    ORDER_ITEMS: "/orders/v0/orders/{orderId}/orderItems",
+    SHIPMENT_CONFIRMATION: "/orders/v0/orders/{orderId}/shipmentConfirmation",
+    LISTINGS_ITEMS: "/listings/2021-08-01/items/{sellerId}",
+    PRODUCT_TYPES: "/definitions/2020-09-01/productTypes",
+  },
+};
+
+// Refresh LWA access tokens this long before they actually expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Amazon Service
+ * Handles integration with Amazon (Amazon.com.tr) through the Selling Partner API.
+ * Outside production the SP-API host can be overridden with
+ * AMAZON_SP_API_ENDPOINT to run against a local mock server such as
+ * scripts/mock-amazon-sp-api.js; LWA tokens are then requested from the same host
+ * unless AMAZON_LWA_ENDPOINT is set. Connections cannot choose their own host,
+ * since the LWA client secret and refresh token are sent to it
+ * @see https://developer-docs.amazon.com/sp-api
+ */
+class AmazonService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId);
+    this.directCredentials = directCredentials;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "amazon";
+  }
+
+  /**
+   * Find connection in database or use direct credentials
+   * @returns {Promise<Object>} Connection object
+   */
+  async findConnection() {
+    if (this.directCredentials) {
+      return { credentials: JSON.stringify(this.directCredentials) };
+    }
+    return await super.findConnection();
+  }
+
+  /**
+   * Normalize Amazon credentials and apply defaults
+   * @param {string|object} encryptedCredentials
+   * @returns {object} Decrypted credentials
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    const region = (credentials.region || "eu").toLowerCase();
+    const allowOverride = process.env.NODE_ENV !== "production";
+    const customEndpoint = (
+      (allowOverride && process.env.AMAZON_SP_API_ENDPOINT) ||
+      ""
+    ).replace(/\/+$/, "");
+
+    return {
+      sellerId: credentials.sellerId,
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+      refreshToken: credentials.refreshToken,
+      marketplaceId:
+        credentials.marketplaceId || AMAZON_API.DEFAULT_MARKETPLACE_ID,
+      region,
+      endpoint:
+        customEndpoint ||
+        AMAZON_API.REGION_URLS[region] ||
+        AMAZON_API.REGION_URLS.eu,
+      // A custom SP-API host (mock server) issues its own LWA tokens too
+      lwaEndpoint:
+        (allowOverride && process.env.AMAZON_LWA_ENDPOINT) ||
+        (customEndpoint
+          ? `${customEndpoint}/auth/o2/token`
+          : AMAZON_API.LWA_TOKEN_URL),
+    };
+  }
+
+  /**
+   * Setup Axios instance with LWA token injection
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const credentials = this.decryptCredentials(this.connection.credentials);
+    const missingFields = ["sellerId", "clientId", "clientSecret", "refreshToken"]
+      .filter((field) => !credentials[field]);
+
+    if (missingFields.length > 0) {
+      throw new Error(
+        `Missing required Amazon credentials: ${missingFields.join(", ")}`
+      );
+    }
+
+    this.credentials = credentials;
+    this.axiosInstance = axios.create({
+      baseURL: credentials.endpoint,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "User-Agent": "PazarPlus/1.0 (Language=JavaScript)",
+      },
+      timeout: 60000,
+    });
+
+    // Every SP-API call carries a short-lived LWA access token
+    this.axiosInstance.interceptors.request.use(async (requestConfig) => {
+      requestConfig.headers["x-amz-access-token"] =
+        await this.getAccessToken();
+      return requestConfig;
+    });
+
+    this.logger.info("Amazon SP-API Axios instance setup completed", {
+      baseURL: credentials.endpoint,
+      marketplaceId: credentials.marketplaceId,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Exchange the refresh token for an LWA access token (cached until expiry)
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (
+      this.accessToken &&
+      Date.now() < this.accessTokenExpiresAt - TOKEN_EXPIRY_MARGIN_MS
+    ) {
+      return this.accessToken;
+    }
+
+    const { lwaEndpoint, refreshToken, clientId, clientSecret } =
+      this.credentials;
+
+    const response = await axios.post(
+      lwaEndpoint,
+      new URLSearchParams({
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret,
+      }).toString(),
+      {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 30000,
+      }
+    );
+
+    if (!response.data?.access_token) {
+      throw new Error("Amazon LWA did not return an access token");
+    }
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt =
+      Date.now() + (response.data.expires_in || 3600) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Extract a readable message from an SP-API error response
+   * @param {Error} error - Axios error
+   * @returns {string} Error message
+   */
+  extractErrorMessage(error) {
+    const errors = error.response?.data?.errors;
+    if (Array.isArray(errors) && errors.length > 0) {
+      return errors.map((e) => e.message || e.code).join(", ");
+    }
+    return (
+      error.response?.data?.error_description ||
+      error.response?.data?.message ||
+      error.message
+    );
+  }
+
+  /**
+   * Test connection by checking the seller participates in the marketplace
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(
+          AMAZON_API.ENDPOINTS.MARKETPLACE_PARTICIPATIONS
+        )
+      );
+
+      const participations = response.data?.payload || [];
+      const participation = participations.find(
+        (p) => p.marketplace?.id === this.credentials.marketplaceId
+      );
+
+      if (!participation) {
+        return {
+          success: false,
+          message: `Connection failed: seller does not participate in marketplace ${this.credentials.marketplaceId}`,
+          error: "Marketplace not available for seller",
+        };
+      }
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+          sellerId: this.credentials.sellerId,
+          marketplace: participation.marketplace?.name,
+          hasSuspendedListings:
+            participation.participation?.hasSuspendedListings || false,
+        },
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Amazon connection test failed: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders (with their items) from Amazon, following NextToken pages,
+   * and store them through normalizeOrders
+   * @param {Object} params - startDate, endDate, status (Amazon OrderStatuses), maxPages
+   * @returns {Promise<Object>} Result containing normalized orders
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 7);
+
+      const queryParams = {
+        MarketplaceIds: this.credentials.marketplaceId,
+        LastUpdatedAfter: new Date(
+          params.startDate || defaultStartDate
+        ).toISOString(),
+        MaxResultsPerPage: 100,
+      };
+
+      // Amazon rejects LastUpdatedBefore values within the last two minutes
+      if (params.endDate) {
+        const endDate = new Date(params.endDate);
+        if (endDate.getTime() < Date.now() - 2 * 60 * 1000) {
+          queryParams.LastUpdatedBefore = endDate.toISOString();
+        }
+      }
+
+      if (params.status) {
+        queryParams.OrderStatuses = params.status;
+      }
+
+      const maxPages = params.maxPages || 50;
+      const amazonOrders = [];
+      let nextToken = null;
+      let page = 0;
+
+      do {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(AMAZON_API.ENDPOINTS.ORDERS, {
+            params: nextToken
+              ? { MarketplaceIds: queryParams.MarketplaceIds, NextToken: nextToken }
+              : queryParams,
+          })
+        );
+
+        const payload = response.data?.payload || {};
+        amazonOrders.push(...(payload.Orders || []));
+        nextToken = payload.NextToken || null;
+        page++;
+      } while (nextToken && page < maxPages);
+
+      for (const order of amazonOrders) {
+        order.OrderItems = await this.fetchOrderItems(order.AmazonOrderId);
+      }
+
+      this.logger.info(`Retrieved ${amazonOrders.length} orders from Amazon`, {
+        pages: page,
+        connectionId: this.connectionId,
+      });
+
+      const normalizeResult = await this.normalizeOrders(amazonOrders);
+
+      return {
+        success: true,
+        message: `Successfully fetched ${normalizeResult.data.length} orders from Amazon`,
+        data: normalizeResult.data,
+        stats: normalizeResult.stats,
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Failed to fetch orders from Amazon: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Fetch all items of an Amazon order
+   * @param {string} amazonOrderId - Amazon order ID
+   * @returns {Promise<Array>} Order items
+   */
+  async fetchOrderItems(amazonOrderId) {
+    const endpoint = AMAZON_API.ENDPOINTS.ORDER_ITEMS.replace(
+      "{orderId}",
+      amazonOrderId
+    );
+    const items = [];
+    let nextToken = null;
+
+    do {
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(endpoint, {
+          params: nextToken ? { NextToken: nextToken } : {},
+        })
+      );
+
+      const payload = response.data?.payload || {};
+      items.push(...(payload.OrderItems || []));
+      nextToken = payload.NextToken || null;
+    } while (nextToken);
+
+    return items;
+  }
+
+  /**
+   * Create or update local orders from Amazon orders
+   * @param {Array} amazonOrders - Amazon orders with OrderItems attached
+   * @returns {Promise<Object>} Normalized orders and stats
+   */
+  async normalizeOrders(amazonOrders) {
+    const normalizedOrders = [];
+    let createdCount = 0;
+    let updatedCount = 0;
+    let skippedCount = 0;
+
+    const existingOrders = await Order.findAll({
+      where: {
+        connectionId: this.connectionId,
+        externalOrderId: {
+          [Op.in]: amazonOrders.map((order) => order.AmazonOrderId),
+        },
+      },
+    });
+
+    const existingOrdersMap = {};
+    existingOrders.forEach((order) => {
+      existingOrdersMap[order.externalOrderId] = order;
+    });
+
+    for (const order of amazonOrders) {
+      try {
+        const existingOrder = existingOrdersMap[order.AmazonOrderId];
+
+        if (existingOrder) {
+          await existingOrder.update({
+            orderStatus: this.mapOrderStatus(order.OrderStatus),
+            totalAmount: parseFloat(order.OrderTotal?.Amount || 0),
+            rawData: JSON.stringify(order),
+            lastSyncedAt: new Date(),
+          });
+          updatedCount++;
+          normalizedOrders.push(existingOrder);
+          continue;
+        }
+
+        const address = order.ShippingAddress || {};
+        const customerName =
+          order.BuyerInfo?.BuyerName || address.Name || "Amazon Customer";
+        const customerEmail = order.BuyerInfo?.BuyerEmail || "";
+        const phoneNumber = address.Phone || "";
+
+        const normalizedOrder = await sequelize.transaction(async (t) => {
+          const [createdOrder] = await Order.findOrCreate({
+            where: {
+              externalOrderId: order.AmazonOrderId,
+              connectionId: this.connectionId,
+            },
+            defaults: {
+              externalOrderId: order.AmazonOrderId,
+              orderNumber: order.AmazonOrderId,
+              connectionId: this.connectionId,
+              userId: this.connection.userId,
+              customerName,
+              customerEmail,
+              customerPhone: phoneNumber,
+              customerInfo: {
+                fullName: customerName,
+                email: customerEmail,
+                phone: phoneNumber,
+              },
+              shippingAddress: address,
+              platform: this.getPlatformType(),
+              platformType: this.getPlatformType(),
+              platformOrderId: order.AmazonOrderId,
+              platformId: this.connectionId,
+              orderDate: new Date(order.PurchaseDate),
+              orderStatus: this.mapOrderStatus(order.OrderStatus),
+              totalAmount: parseFloat(order.OrderTotal?.Amount || 0),
+              invoiceTotal: parseFloat(order.OrderTotal?.Amount || 0),
+              currency: order.OrderTotal?.CurrencyCode || "TRY",
+              isCommercial: order.IsBusinessOrder || false,
+              rawData: JSON.stringify(order),
+              lastSyncedAt: new Date(),
+            },
+            transaction: t,
+          });
+
+          const shippingDetail = await ShippingDetail.create(
+            {
+              orderId: createdOrder.id,
+              recipientName: address.Name || customerName,
+              address: [address.AddressLine1, address.AddressLine2]
+                .filter(Boolean)
+                .join(" "),
+              city: address.City || "",
+              state: address.StateOrRegion || address.County || "",
+              postalCode: address.PostalCode || "",
+              country: address.CountryCode || "TR",
+              phone: phoneNumber,
+              email: customerEmail,
+            },
+            { transaction: t }
+          );
+
+          await createdOrder.update(
+            { shippingDetailId: shippingDetail.id },
+            { transaction: t }
+          );
+
+          const itemCount = await OrderItem.count({
+            where: { orderId: createdOrder.id },
+            transaction: t,
+          });
+
+          if (itemCount === 0) {
+            const orderItemsData = (order.OrderItems || []).map((item) => {
+              const quantity = parseInt(item.QuantityOrdered, 10) || 1;
+              // ItemPrice is the line total on Amazon, not the unit price
+              const lineTotal = parseFloat(item.ItemPrice?.Amount || 0);
+              const discount = parseFloat(item.PromotionDiscount?.Amount || 0);
+
+              return {
+                orderId: createdOrder.id,
+                productId: null, // Will be set by linking service
+                platformProductId: item.ASIN || "",
+                title: item.Title || "Unknown Product",
+                sku: item.SellerSKU || item.ASIN || "",
+                quantity,
+                price: quantity > 0 ? lineTotal / quantity : lineTotal,
+                totalPrice: lineTotal,
+                currency:
+                  item.ItemPrice?.CurrencyCode ||
+                  order.OrderTotal?.CurrencyCode ||
+                  "TRY",
+                barcode: "",
+                discount,
+                merchantDiscount: discount,
+                invoiceTotal: lineTotal - discount,
+                rawData: JSON.stringify(item),
+              };
+            });
+
+            // Try to link products before creating order items
+            let itemsToCreate = orderItemsData;
+            try {
+              const ProductOrderLinkingService = require("../../../../../services/product-order-linking-service");
+              const linkingService = new ProductOrderLinkingService();
+              itemsToCreate = await linkingService.linkIncomingOrderItems(
+                orderItemsData,
+                this.connection?.userId
+              );
+            } catch (linkingError) {
+              this.logger.warn(
+                `Product linking failed for order ${order.AmazonOrderId}: ${linkingError.message}`
+              );
+            }
+
+            for (const itemData of itemsToCreate) {
+              await OrderItem.create(itemData, { transaction: t });
+            }
+          }
+
+          return createdOrder;
+        });
+
+        createdCount++;
+        normalizedOrders.push(normalizedOrder);
+      } catch (error) {
+        this.logger.error(
+          `Failed to normalize Amazon order ${order.AmazonOrderId}: ${error.message}`,
+          { orderId: order.AmazonOrderId, connectionId: this.connectionId }
+        );
+        skippedCount++;
+      }
+    }
+
+    return {
+      success: true,
+      message: `Successfully processed ${createdCount + updatedCount} orders (${createdCount} new, ${updatedCount} updated, ${skippedCount} skipped)`,
+      data: normalizedOrders,
+      stats: {
+        total: amazonOrders.length,
+        success: createdCount + updatedCount,
+        updated: updatedCount,
+        skipped: skippedCount,
+        new: createdCount,
+      },
+    };
+  }
+
+  /**
+   * Map Amazon order status to internal status
+   * @param {string} amazonStatus - Amazon OrderStatus
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(amazonStatus) {
+    const statusMap = {
+      PendingAvailability: "pending", // Pre-order, not yet available
+      Pending: "pending", // Payment not yet authorized
+      Unshipped: "new", // Ready to be shipped by the seller
+      PartiallyShipped: "processing",
+      Shipped: "shipped",
+      InvoiceUnconfirmed: "shipped", // Shipped, invoice not yet confirmed
+      Canceled: "cancelled",
+      Unfulfillable: "failed", // Cannot be fulfilled (FBA only)
+    };
+
+    return statusMap[amazonStatus] || "unknown";
+  }
+
+  /**
+   * Map internal status to Amazon status. Sellers can only move orders to
+   * Shipped through the Orders API
+   * @param {string} internalStatus - Internal status
+   * @returns {string|undefined} Amazon status
+   */
+  mapToPlatformStatus(internalStatus) {
+    const reverseStatusMap = {
+      shipped: "Shipped",
+      in_transit: "Shipped",
+    };
+
+    return reverseStatusMap[internalStatus];
+  }
+
+  /**
+   * Update order status on Amazon. Marks the order shipped via the
+   * shipmentConfirmation API using the order's cargo tracking details
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New internal status
+   * @returns {Promise<Object>} Update result
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId, {
+        include: [{ model: OrderItem, as: "items" }],
+      });
+
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      if (!this.mapToPlatformStatus(newStatus)) {
+        throw new Error(`Cannot map status '${newStatus}' to Amazon status`);
+      }
+
+      if (!order.cargoTrackingNumber) {
+        throw new Error(
+          "Tracking number is required to confirm shipment on Amazon"
+        );
+      }
+
+      const orderItems = (order.items || []).map((item) => {
+        const rawItem =
+          typeof item.rawData === "string"
+            ? JSON.parse(item.rawData)
+            : item.rawData || {};
+        return {
+          orderItemId: rawItem.OrderItemId,
+          quantity: item.quantity,
+        };
+      });
+
+      if (orderItems.some((item) => !item.orderItemId)) {
+        throw new Error("Amazon order item IDs are missing; re-sync the order");
+      }
+
+      await this.retryRequest(() =>
+        this.axiosInstance.post(
+          AMAZON_API.ENDPOINTS.SHIPMENT_CONFIRMATION.replace(
+            "{orderId}",
+            order.externalOrderId
+          ),
+          {
+            marketplaceId: this.credentials.marketplaceId,
+            packageDetail: {
+              packageReferenceId: "1",
+              carrierCode: "Other",
+              carrierName: order.cargoCompany || "Other",
+              trackingNumber: order.cargoTrackingNumber,
+              shipDate: new Date().toISOString(),
+              orderItems,
+            },
+          }
+        )
+      );
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Failed to update order status on Amazon: ${message}`, {
+        orderId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch the seller's listings via searchListingsItems, following page tokens
+   * @param {Object} params - pageToken (single page), pageSize, maxPages
+   * @returns {Promise<Object>} Result containing listing items
+   */
+  async fetchProducts(params = {}) {
+    try {
+      await this.initialize();
+
+      const endpoint = AMAZON_API.ENDPOINTS.LISTINGS_ITEMS.replace(
+        "{sellerId}",
+        this.credentials.sellerId
+      );
+      const singlePage = Boolean(params.pageToken);
+      const maxPages = singlePage ? 1 : params.maxPages || 100;
+
+      const listings = [];
+      let pageToken = params.pageToken || null;
+      let page = 0;
+
+      do {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(endpoint, {
+            params: {
+              marketplaceIds: this.credentials.marketplaceId,
+              includedData: "summaries,attributes,offers,fulfillmentAvailability",
+              pageSize: Math.min(params.pageSize || 20, 20),
+              ...(pageToken && { pageToken }),
+            },
+          })
+        );
+
+        listings.push(...(response.data?.items || []));
+        pageToken = response.data?.pagination?.nextToken || null;
+        page++;
+      } while (pageToken && page < maxPages);
+
+      this.logger.info(`Fetched ${listings.length} listings from Amazon`, {
+        pages: page,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: true,
+        message: `Successfully fetched ${listings.length} products from Amazon`,
+        data: listings,
+        pagination: { nextToken: pageToken },
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Failed to fetch products from Amazon: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch products: ${message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Get Amazon product types for the marketplace. Amazon has no browsable
+   * category tree in SP-API, so product types are returned as flat leaf
+   * categories in the same shape as other platforms
+   * @returns {Promise<Array>} List of categories
+   */
+  async getCategories() {
+    await this.initialize();
+
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(AMAZON_API.ENDPOINTS.PRODUCT_TYPES, {
+        params: {
+          marketplaceIds: this.credentials.marketplaceId,
+          locale: "tr_TR",
+        },
+      })
+    );
+
+    return (response.data?.productTypes || []).map((productType) => ({
+      id: productType.name,
+      name: productType.displayName || productType.name,
+      parentId: null,
+      hasChildren: false,
+      isLeaf: true,
+      path: null,
+      level: 0,
+      platformSpecific: {
+        amazonProductType: productType.name,
+        marketplaceIds: productType.marketplaceIds || [],
+      },
+    }));
+  }
+}
+
+module.exports = AmazonService;
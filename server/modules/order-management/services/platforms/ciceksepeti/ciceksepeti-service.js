@@ -0,0 +1,756 @@
+// src/services/platforms/ciceksepeti/ciceksepeti-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const {
+  Order,
+  OrderItem,
+  ShippingDetail,
+} = require("../../../../../models");
+const { Op } = require("sequelize");
+const sequelize = require("../../../../../config/database");
+
+// Constants for ÇiçekSepeti API endpoints and configurations
+const CICEKSEPETI_API = {
+  BASE_URL: "https://apis.ciceksepeti.com/api/v1",
+  SANDBOX_URL: "https://sandbox-apis.ciceksepeti.com/api/v1",
+  ENDPOINTS: {
+    ORDERS: "/Order/GetOrders",
+    READY_FOR_CARGO: "/Order/readyforcargowithcsintegration",
+    SHIP_WITH_OWN_CARGO: "/Order/deliverywithowncargo",
+    PRODUCTS: "/Products",
+    CATEGORIES: "/Categories",
+  },
+};
+
+// ÇiçekSepeti order item status IDs (orderItemStatusId)
+const CICEKSEPETI_STATUS = {
+  NEW: 1, // Yeni
+  PREPARING: 2, // Hazırlanıyor
+  READY_FOR_CARGO: 3, // Kargoya Hazır
+  SHIPPED: 5, // Kargoya Verildi
+  DELIVERED: 7, // Teslim Edildi
+  CANCELLED: 11, // İptal
+  RETURNED: 12, // İade
+};
+
+/**
+ * ÇiçekSepeti Service
+ * Handles integration with the ÇiçekSepeti seller API. Orders are returned as
+ * one row per order item, so rows are grouped by orderId before normalization
+ */
+class CiceksepetiService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId);
+    this.directCredentials = directCredentials;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "ciceksepeti";
+  }
+
+  /**
+   * Find connection in database or use direct credentials
+   * @returns {Promise<Object>} Connection object
+   */
+  async findConnection() {
+    if (this.directCredentials) {
+      return { credentials: JSON.stringify(this.directCredentials) };
+    }
+    return await super.findConnection();
+  }
+
+  /**
+   * Setup Axios instance with the API key header
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const credentials = this.decryptCredentials(this.connection.credentials);
+
+    if (!credentials.apiKey) {
+      throw new Error("Missing required ÇiçekSepeti credentials: apiKey");
+    }
+
+    const baseURL =
+      credentials.apiUrl ||
+      (["test", "sandbox"].includes(credentials.environment)
+        ? CICEKSEPETI_API.SANDBOX_URL
+        : CICEKSEPETI_API.BASE_URL);
+
+    this.axiosInstance = axios.create({
+      baseURL,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "x-api-key": credentials.apiKey,
+      },
+      timeout: 30000,
+    });
+
+    this.logger.info("ÇiçekSepeti Axios instance setup completed", {
+      baseURL,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Extract a readable message from an ÇiçekSepeti error response
+   * @param {Error} error - Axios error
+   * @returns {string} Error message
+   */
+  extractErrorMessage(error) {
+    const data = error.response?.data;
+    if (Array.isArray(data?.errors) && data.errors.length > 0) {
+      return data.errors.map((e) => e.message || e).join(", ");
+    }
+    return data?.message || error.message;
+  }
+
+  /**
+   * Test connection by requesting a single product page
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.get(CICEKSEPETI_API.ENDPOINTS.PRODUCTS, {
+          params: { PageSize: 1, Page: 1 },
+        })
+      );
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`ÇiçekSepeti connection test failed: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch order item rows from ÇiçekSepeti page by page
+   * @param {Object} filters - Request body filters
+   * @param {number} maxPages - Page limit
+   * @returns {Promise<Array>} Order item rows
+   */
+  async fetchOrderRows(filters, maxPages = 50) {
+    const pageSize = filters.pageSize || 100;
+    const rows = [];
+    let page = 0; // ÇiçekSepeti pages are zero based
+
+    while (page < maxPages) {
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(CICEKSEPETI_API.ENDPOINTS.ORDERS, {
+          ...filters,
+          pageSize,
+          page,
+        })
+      );
+
+      const pageRows = response.data?.supplierOrderListWithBranch || [];
+      rows.push(...pageRows);
+
+      const total = response.data?.orderListCount || 0;
+      if (pageRows.length < pageSize || rows.length >= total) {
+        break;
+      }
+      page++;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Group order item rows into orders
+   * @param {Array} rows - Order item rows
+   * @returns {Array} Orders with an items array
+   */
+  groupOrderRows(rows) {
+    const ordersById = new Map();
+
+    for (const row of rows) {
+      const orderId = String(row.orderId);
+      if (!ordersById.has(orderId)) {
+        ordersById.set(orderId, { ...row, orderId, items: [] });
+      }
+      ordersById.get(orderId).items.push(row);
+    }
+
+    return Array.from(ordersById.values());
+  }
+
+  /**
+   * Fetch orders from ÇiçekSepeti and store them through normalizeOrders
+   * @param {Object} params - startDate, endDate, status (orderItemStatusId), maxPages
+   * @returns {Promise<Object>} Result containing normalized orders
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 7);
+
+      const rows = await this.fetchOrderRows(
+        {
+          startDate: new Date(params.startDate || defaultStartDate).toISOString(),
+          endDate: new Date(params.endDate || Date.now()).toISOString(),
+          ...(params.status && { statusId: params.status }),
+          pageSize: params.pageSize || 100,
+        },
+        params.maxPages || 50
+      );
+
+      const ciceksepetiOrders = this.groupOrderRows(rows);
+
+      this.logger.info(
+        `Retrieved ${ciceksepetiOrders.length} orders (${rows.length} items) from ÇiçekSepeti`,
+        { connectionId: this.connectionId }
+      );
+
+      const normalizeResult = await this.normalizeOrders(ciceksepetiOrders);
+
+      return {
+        success: true,
+        message: `Successfully fetched ${normalizeResult.data.length} orders from ÇiçekSepeti`,
+        data: normalizeResult.data,
+        stats: normalizeResult.stats,
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Failed to fetch orders from ÇiçekSepeti: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Derive a single order status from its item statuses; the least advanced
+   * active item decides
+   * @param {Object} order - Grouped ÇiçekSepeti order
+   * @returns {string} Internal status
+   */
+  getOrderStatus(order) {
+    const itemStatuses = order.items.map((item) =>
+      this.mapOrderStatus(item.orderItemStatusId)
+    );
+    const progression = ["new", "processing", "shipped", "delivered"];
+    const activeStatuses = itemStatuses.filter((status) =>
+      progression.includes(status)
+    );
+
+    if (activeStatuses.length === 0) {
+      return itemStatuses[0] || "unknown";
+    }
+
+    return activeStatuses.reduce((lowest, status) =>
+      progression.indexOf(status) < progression.indexOf(lowest) ? status : lowest
+    );
+  }
+
+  /**
+   * Create or update local orders from grouped ÇiçekSepeti orders
+   * @param {Array} ciceksepetiOrders - Orders from groupOrderRows
+   * @returns {Promise<Object>} Normalized orders and stats
+   */
+  async normalizeOrders(ciceksepetiOrders) {
+    const normalizedOrders = [];
+    let createdCount = 0;
+    let updatedCount = 0;
+    let skippedCount = 0;
+
+    const existingOrders = await Order.findAll({
+      where: {
+        connectionId: this.connectionId,
+        externalOrderId: {
+          [Op.in]: ciceksepetiOrders.map((order) => order.orderId),
+        },
+      },
+    });
+
+    const existingOrdersMap = {};
+    existingOrders.forEach((order) => {
+      existingOrdersMap[order.externalOrderId] = order;
+    });
+
+    for (const order of ciceksepetiOrders) {
+      try {
+        const existingOrder = existingOrdersMap[order.orderId];
+        const totalAmount = order.items.reduce(
+          (sum, item) => sum + parseFloat(item.totalPrice || 0),
+          0
+        );
+
+        if (existingOrder) {
+          await existingOrder.update({
+            orderStatus: this.getOrderStatus(order),
+            rawData: JSON.stringify(order),
+            lastSyncedAt: new Date(),
+          });
+          updatedCount++;
+          normalizedOrders.push(existingOrder);
+          continue;
+        }
+
+        const customerName =
+          order.senderName || order.receiverName || "ÇiçekSepeti Customer";
+        const customerEmail = order.invoiceEmail || "";
+        const phoneNumber = order.receiverPhone || "";
+        const shippingAddress = {
+          fullName: order.receiverName,
+          address: order.receiverAddress,
+          district: order.receiverDistrict,
+          city: order.receiverCity,
+          region: order.receiverRegion,
+          phone: order.receiverPhone,
+        };
+
+        const normalizedOrder = await sequelize.transaction(async (t) => {
+          const [createdOrder] = await Order.findOrCreate({
+            where: {
+              externalOrderId: order.orderId,
+              connectionId: this.connectionId,
+            },
+            defaults: {
+              externalOrderId: order.orderId,
+              orderNumber: order.orderId,
+              connectionId: this.connectionId,
+              userId: this.connection.userId,
+              customerName,
+              customerEmail,
+              customerPhone: phoneNumber,
+              customerInfo: {
+                fullName: customerName,
+                email: customerEmail,
+                phone: phoneNumber,
+                customerId: order.customerId,
+              },
+              shippingAddress,
+              platform: this.getPlatformType(),
+              platformType: this.getPlatformType(),
+              platformOrderId: order.orderId,
+              platformId: this.connectionId,
+              orderDate: new Date(order.orderCreateDate),
+              orderStatus: this.getOrderStatus(order),
+              totalAmount,
+              invoiceTotal: totalAmount,
+              currency: "TRY",
+              cargoCompany: order.cargoCompany || null,
+              cargoTrackingNumber: order.cargoNumber || null,
+              notes: order.cardMessage || null,
+              rawData: JSON.stringify(order),
+              lastSyncedAt: new Date(),
+            },
+            transaction: t,
+          });
+
+          const shippingDetail = await ShippingDetail.create(
+            {
+              orderId: createdOrder.id,
+              recipientName: order.receiverName || customerName,
+              address: order.receiverAddress || "",
+              city: order.receiverCity || "",
+              state: order.receiverDistrict || "",
+              postalCode: "",
+              country: "TR",
+              phone: phoneNumber,
+              email: customerEmail,
+            },
+            { transaction: t }
+          );
+
+          await createdOrder.update(
+            { shippingDetailId: shippingDetail.id },
+            { transaction: t }
+          );
+
+          const itemCount = await OrderItem.count({
+            where: { orderId: createdOrder.id },
+            transaction: t,
+          });
+
+          if (itemCount === 0) {
+            const orderItemsData = order.items.map((item) => {
+              const quantity = parseInt(item.quantity, 10) || 1;
+              const totalPrice = parseFloat(item.totalPrice || 0);
+              const discount = parseFloat(item.discount || 0);
+
+              return {
+                orderId: createdOrder.id,
+                productId: null, // Will be set by linking service
+                platformProductId: String(item.productId || ""),
+                title: item.name || item.productName || "Unknown Product",
+                sku: item.code || item.productCode || "",
+                quantity,
+                price: parseFloat(item.itemPrice || totalPrice / quantity),
+                totalPrice,
+                currency: "TRY",
+                barcode: item.barcode || "",
+                discount,
+                merchantDiscount: discount,
+                invoiceTotal: totalPrice - discount,
+                lineItemStatus: item.orderProductStatus || null,
+                rawData: JSON.stringify(item),
+              };
+            });
+
+            // Try to link products before creating order items
+            let itemsToCreate = orderItemsData;
+            try {
+              const ProductOrderLinkingService = require("../../../../../services/product-order-linking-service");
+              const linkingService = new ProductOrderLinkingService();
+              itemsToCreate = await linkingService.linkIncomingOrderItems(
+                orderItemsData,
+                this.connection?.userId
+              );
+            } catch (linkingError) {
+              this.logger.warn(
+                `Product linking failed for order ${order.orderId}: ${linkingError.message}`
+              );
+            }
+
+            for (const itemData of itemsToCreate) {
+              await OrderItem.create(itemData, { transaction: t });
+            }
+          }
+
+          return createdOrder;
+        });
+
+        createdCount++;
+        normalizedOrders.push(normalizedOrder);
+      } catch (error) {
+        this.logger.error(
+          `Failed to normalize ÇiçekSepeti order ${order.orderId}: ${error.message}`,
+          { orderId: order.orderId, connectionId: this.connectionId }
+        );
+        skippedCount++;
+      }
+    }
+
+    return {
+      success: true,
+      message: `Successfully processed ${createdCount + updatedCount} orders (${createdCount} new, ${updatedCount} updated, ${skippedCount} skipped)`,
+      data: normalizedOrders,
+      stats: {
+        total: ciceksepetiOrders.length,
+        success: createdCount + updatedCount,
+        updated: updatedCount,
+        skipped: skippedCount,
+        new: createdCount,
+      },
+    };
+  }
+
+  /**
+   * Map ÇiçekSepeti order item status ID to internal status
+   * @param {number|string} ciceksepetiStatus - orderItemStatusId
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(ciceksepetiStatus) {
+    const statusMap = {
+      [CICEKSEPETI_STATUS.NEW]: "new",
+      [CICEKSEPETI_STATUS.PREPARING]: "processing",
+      [CICEKSEPETI_STATUS.READY_FOR_CARGO]: "processing",
+      [CICEKSEPETI_STATUS.SHIPPED]: "shipped",
+      [CICEKSEPETI_STATUS.DELIVERED]: "delivered",
+      [CICEKSEPETI_STATUS.CANCELLED]: "cancelled",
+      [CICEKSEPETI_STATUS.RETURNED]: "returned",
+    };
+
+    return statusMap[parseInt(ciceksepetiStatus, 10)] || "unknown";
+  }
+
+  /**
+   * Map internal status to ÇiçekSepeti status ID. Only preparing and
+   * shipping can be triggered by the seller
+   * @param {string} internalStatus - Internal status
+   * @returns {number|undefined} ÇiçekSepeti status ID
+   */
+  mapToPlatformStatus(internalStatus) {
+    const reverseStatusMap = {
+      processing: CICEKSEPETI_STATUS.READY_FOR_CARGO,
+      shipped: CICEKSEPETI_STATUS.SHIPPED,
+      in_transit: CICEKSEPETI_STATUS.SHIPPED,
+    };
+
+    return reverseStatusMap[internalStatus];
+  }
+
+  /**
+   * ÇiçekSepeti order item IDs of a local order
+   * @param {Object} order - Local order with items
+   * @returns {Array<number>} Order item IDs
+   */
+  getOrderItemIds(order) {
+    const orderItemIds = (order.items || []).map((item) => {
+      const rawItem =
+        typeof item.rawData === "string"
+          ? JSON.parse(item.rawData)
+          : item.rawData || {};
+      return rawItem.orderItemId;
+    });
+
+    if (orderItemIds.length === 0 || orderItemIds.some((id) => !id)) {
+      throw new Error(
+        "ÇiçekSepeti order item IDs are missing; re-sync the order"
+      );
+    }
+
+    return orderItemIds;
+  }
+
+  /**
+   * Accept an order on ÇiçekSepeti by marking its items ready for cargo
+   * @param {string} externalOrderId - ÇiçekSepeti order ID
+   * @returns {Promise<Object>} Result
+   */
+  async acceptOrder(externalOrderId) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findOne({
+        where: {
+          externalOrderId: String(externalOrderId),
+          connectionId: this.connectionId,
+        },
+        include: [{ model: OrderItem, as: "items" }],
+      });
+
+      if (!order) {
+        throw new Error(`Order ${externalOrderId} not found`);
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(CICEKSEPETI_API.ENDPOINTS.READY_FOR_CARGO, {
+          orderItemsGroup: [{ orderItemIds: this.getOrderItemIds(order) }],
+        })
+      );
+
+      await order.update({
+        orderStatus: "processing",
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: "Order accepted successfully on ÇiçekSepeti",
+        data: response.data,
+        externalOrderId,
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(`Failed to accept order on ÇiçekSepeti: ${message}`, {
+        externalOrderId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to accept order: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Update order status on ÇiçekSepeti. Shipping with the seller's own
+   * carrier requires the order's cargo tracking number
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New internal status
+   * @returns {Promise<Object>} Update result
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId, {
+        include: [{ model: OrderItem, as: "items" }],
+      });
+
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const ciceksepetiStatus = this.mapToPlatformStatus(newStatus);
+      if (!ciceksepetiStatus) {
+        throw new Error(
+          `Cannot map status '${newStatus}' to ÇiçekSepeti status`
+        );
+      }
+
+      const orderItemIds = this.getOrderItemIds(order);
+
+      if (ciceksepetiStatus === CICEKSEPETI_STATUS.SHIPPED) {
+        if (!order.cargoTrackingNumber) {
+          throw new Error("Tracking number is required to ship on ÇiçekSepeti");
+        }
+
+        await this.retryRequest(() =>
+          this.axiosInstance.put(CICEKSEPETI_API.ENDPOINTS.SHIP_WITH_OWN_CARGO, {
+            orderItemIds,
+            cargoCompany: order.cargoCompany || null,
+            trackingNumber: order.cargoTrackingNumber,
+            trackingUrl: order.cargoTrackingUrl || null,
+          })
+        );
+      } else {
+        await this.retryRequest(() =>
+          this.axiosInstance.put(CICEKSEPETI_API.ENDPOINTS.READY_FOR_CARGO, {
+            orderItemsGroup: [{ orderItemIds }],
+          })
+        );
+      }
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(
+        `Failed to update order status on ÇiçekSepeti: ${message}`,
+        { orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch products from ÇiçekSepeti
+   * @param {Object} params - page (single page), pageSize, maxPages
+   * @returns {Promise<Object>} Result containing products
+   */
+  async fetchProducts(params = {}) {
+    try {
+      await this.initialize();
+
+      const pageSize = Math.min(params.pageSize || 60, 60);
+      const singlePage = params.page !== undefined;
+      const maxPages = singlePage ? 1 : params.maxPages || 100;
+      const products = [];
+      let page = singlePage ? params.page : 1;
+      let pagesFetched = 0;
+      let totalCount = 0;
+
+      while (pagesFetched < maxPages) {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(CICEKSEPETI_API.ENDPOINTS.PRODUCTS, {
+            params: { PageSize: pageSize, Page: page },
+          })
+        );
+
+        const pageProducts = response.data?.products || [];
+        totalCount = response.data?.totalCount || 0;
+        products.push(...pageProducts);
+        pagesFetched++;
+
+        if (pageProducts.length < pageSize || products.length >= totalCount) {
+          break;
+        }
+        page++;
+      }
+
+      return {
+        success: true,
+        message: `Successfully fetched ${products.length} products from ÇiçekSepeti`,
+        data: products,
+        pagination: { page, pageSize, totalCount },
+      };
+    } catch (error) {
+      const message = this.extractErrorMessage(error);
+      this.logger.error(
+        `Failed to fetch products from ÇiçekSepeti: ${message}`,
+        { status: error.response?.status, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch products: ${message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Get ÇiçekSepeti categories flattened from the category tree
+   * @returns {Promise<Array>} List of categories
+   */
+  async getCategories() {
+    await this.initialize();
+
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(CICEKSEPETI_API.ENDPOINTS.CATEGORIES)
+    );
+    const tree = response.data?.categories || [];
+
+    const categories = [];
+    const walk = (nodes, parentId, parentPath, level) => {
+      for (const node of nodes) {
+        const children = node.subCategories || [];
+        const path = parentPath ? `${parentPath} > ${node.name}` : node.name;
+
+        categories.push({
+          id: node.id,
+          name: node.name,
+          parentId,
+          hasChildren: children.length > 0,
+          isLeaf: children.length === 0,
+          path,
+          level,
+          platformSpecific: {},
+        });
+
+        walk(children, node.id, path, level + 1);
+      }
+    };
+    walk(tree, null, null, 0);
+
+    return categories;
+  }
+}
+
+module.exports = CiceksepetiService;
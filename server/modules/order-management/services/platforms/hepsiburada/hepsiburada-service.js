@@ -27,6 +27,8 @@ class HepsiburadaService extends BasePlatformService {
       options.ordersApiUrl || "https://oms-external.hepsiburada.com";
     this.productsApiUrl =
       options.productsApiUrl || "https://mpop.hepsiburada.com";
+    this.listingsApiUrl =
+      options.listingsApiUrl || "https://listing-external.hepsiburada.com";
 
     // Default API URL for general operations (orders)
     this.apiUrl = options.apiUrl || this.ordersApiUrl;
@@ -89,9 +91,11 @@ class HepsiburadaService extends BasePlatformService {
       if (this.isTestEnvironment) {
         this.ordersApiUrl = "https://oms-external-sit.hepsiburada.com";
         this.productsApiUrl = "https://mpop-sit.hepsiburada.com"; // Assuming test URL pattern
+        this.listingsApiUrl = "https://listing-external-sit.hepsiburada.com";
       } else {
         this.ordersApiUrl = "https://oms-external.hepsiburada.com";
         this.productsApiUrl = "https://mpop.hepsiburada.com";
+        this.listingsApiUrl = "https://listing-external.hepsiburada.com";
       }
 
       // Create Basic auth header with merchantId:apiKey (not username:apiKey)
@@ -1294,7 +1298,9 @@ class HepsiburadaService extends BasePlatformService {
 
   /**
    * Create a package for shipping (Paket Oluşturma)
-   * @param {Array} orderItemIds - Array of order item IDs to package together
+   * Line items from different orders of the same customer can be packaged
+   * together; use getPackageableItems to find which ones qualify.
+   * @param {Array} orderItemIds - Hepsiburada line item IDs, or { id, quantity } objects
    * @param {Object} shippingInfo - Shipping information
    * @returns {Object} - Result of package creation
    */
@@ -1304,10 +1310,15 @@ class HepsiburadaService extends BasePlatformService {
 
       const url = `/packages/merchantid/${this.merchantId}`;
 
+      const lineItemRequests = this.buildLineItemRequests(orderItemIds);
+
       const packageData = {
-        items: orderItemIds.map((itemId) => ({ id: itemId })),
+        items: lineItemRequests.map(({ id }) => ({ id })),
+        lineItemRequests,
         cargoCompany: shippingInfo.cargoCompany || "",
         desi: shippingInfo.desi || 1,
+        deci: shippingInfo.desi || 1,
+        parcelQuantity: 1,
         packageNumber: shippingInfo.packageNumber || "",
         ...shippingInfo,
       };
@@ -1320,6 +1331,7 @@ class HepsiburadaService extends BasePlatformService {
         success: true,
         message: "Package created successfully",
         data: response.data,
+        packageNumber: this.extractPackageNumbers(response.data)[0] || null,
       };
     } catch (error) {
       logger.error(
@@ -1421,6 +1433,204 @@ class HepsiburadaService extends BasePlatformService {
     }
   }
 
+  /**
+   * Fetch claims (iade/talep) from Hepsiburada for the given statuses
+   * @param {Object} params - statuses (defaults to open claims), limit
+   * @returns {Promise<Object>} Result containing normalized claims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+
+      const statuses = params.statuses || [
+        "NewRequest",
+        "Accepted",
+        "Rejected",
+        "InDispute",
+      ];
+      const limit = Math.min(params.limit || 50, 100);
+      const claims = [];
+
+      for (const status of statuses) {
+        let offset = 0;
+        let pageItems = [];
+
+        do {
+          const response = await this.retryRequest(() =>
+            this.axiosInstance.get(
+              `/claims/merchantid/${this.merchantId}/status/${status}`,
+              { params: { offset, limit } }
+            )
+          );
+
+          pageItems = Array.isArray(response.data)
+            ? response.data
+            : response.data?.items || [];
+          claims.push(...pageItems.map((claim) => this.normalizeClaim(claim)));
+          offset += limit;
+        } while (pageItems.length === limit);
+      }
+
+      this.logger.info(`Fetched ${claims.length} claims from Hepsiburada`, {
+        connectionId: this.connectionId,
+        statuses,
+      });
+
+      return {
+        success: true,
+        message: `Successfully fetched ${claims.length} claims from Hepsiburada`,
+        data: claims,
+      };
+    } catch (error) {
+      logger.error(`Failed to fetch Hepsiburada claims: ${error.message}`, {
+        error: error.message,
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch claims: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize a Hepsiburada claim into the common claim shape
+   * @param {Object} claim - Raw claim from the Hepsiburada API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const claimNumber = (claim.claimNumber || claim.id)?.toString();
+    const lineItems =
+      Array.isArray(claim.lineItems) && claim.lineItems.length > 0
+        ? claim.lineItems
+        : [claim];
+    const status = this.mapClaimStatus(claim.status);
+
+    return {
+      platformClaimId: claimNumber,
+      orderNumber: claim.orderNumber?.toString(),
+      status,
+      platformStatus: claim.status,
+      reason: claim.reason?.name || claim.reason || null,
+      customerNote: claim.explanation || claim.customerExplanation || null,
+      claimDate: claim.createdDate ? new Date(claim.createdDate) : null,
+      cargoProvider: claim.cargoCompany || null,
+      cargoTrackingNumber: claim.trackingNumber || null,
+      items: lineItems.map((lineItem) => ({
+        platformClaimItemId: (
+          lineItem.lineItemId ||
+          lineItem.id ||
+          claimNumber
+        ).toString(),
+        sku: lineItem.merchantSku || null,
+        barcode: lineItem.merchantSku || null,
+        title: lineItem.productName || lineItem.name || null,
+        quantity: parseInt(lineItem.quantity || 1, 10),
+        reason: claim.reason?.name || claim.reason || null,
+        status,
+        platformStatus: claim.status,
+      })),
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map Hepsiburada claim status to internal return status
+   * @param {string} hepsiburadaStatus - Claim status
+   * @returns {string} Internal return status
+   */
+  mapClaimStatus(hepsiburadaStatus) {
+    const statusMap = {
+      NewRequest: "pending",
+      Accepted: "approved",
+      Rejected: "rejected",
+      InDispute: "in_dispute",
+      Cancelled: "cancelled",
+    };
+
+    return statusMap[hepsiburadaStatus] || "pending";
+  }
+
+  /**
+   * Accept a claim on Hepsiburada. Hepsiburada accepts claims as a whole,
+   * so individual claim item IDs are not sent.
+   * @param {string} platformClaimId - Claim number
+   * @returns {Promise<Object>} Result of the approval
+   */
+  async approveClaim(platformClaimId) {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(`/claims/number/${platformClaimId}/accept`)
+      );
+
+      return {
+        success: true,
+        message: "Claim accepted successfully on Hepsiburada",
+        data: response.data,
+      };
+    } catch (error) {
+      logger.error(`Failed to accept Hepsiburada claim: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to accept claim: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Reject a claim on Hepsiburada
+   * @param {string} platformClaimId - Claim number
+   * @param {Array<string>} claimItemIds - Unused, claims are rejected as a whole
+   * @param {Object} rejection - reasonCode and description
+   * @returns {Promise<Object>} Result of the rejection
+   */
+  async rejectClaim(platformClaimId, claimItemIds, rejection = {}) {
+    try {
+      await this.initialize();
+
+      if (!rejection.description) {
+        throw new Error("An explanation is required to reject a claim");
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(`/claims/number/${platformClaimId}/reject`, {
+          reason: rejection.reasonCode || "Other",
+          explanation: rejection.description,
+        })
+      );
+
+      return {
+        success: true,
+        message: "Claim rejected successfully on Hepsiburada",
+        data: response.data,
+      };
+    } catch (error) {
+      logger.error(`Failed to reject Hepsiburada claim: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to reject claim: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
   /**
    * Generate shipping barcode (Ortak Barkod Oluşturma)
    * Supports HepsiJet and Aras cargo companies
@@ -1466,6 +1676,189 @@ class HepsiburadaService extends BasePlatformService {
     }
   }
 
+  /**
+   * List line items that can be packaged together with the given one
+   * (Birlikte Paketlenebilecek Kalemler). Hepsiburada only allows merging
+   * open line items of the same customer and delivery address.
+   * @param {string} lineItemId - Hepsiburada line item ID
+   * @returns {Object} - Packageable line items
+   */
+  async getPackageableItems(lineItemId) {
+    try {
+      await this.initialize();
+
+      const url = `/packages/merchantid/${this.merchantId}/packageablewith/${lineItemId}`;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(url)
+      );
+
+      const items = Array.isArray(response.data)
+        ? response.data
+        : response.data?.items || response.data?.lineItems || [];
+
+      return {
+        success: true,
+        message: `Found ${items.length} packageable line items`,
+        data: items,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to fetch packageable items from Hepsiburada: ${error.message}`,
+        {
+          error,
+          connectionId: this.connectionId,
+          lineItemId,
+        }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch packageable items: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Split line items out of an existing package into a new one (Paket Bölme)
+   * @param {string} packageNumber - Package to split
+   * @param {Array} orderItemIds - Line item IDs, or { id, quantity } objects, to move
+   * @returns {Object} - Result including the new package number(s)
+   */
+  async splitPackage(packageNumber, orderItemIds) {
+    try {
+      await this.initialize();
+
+      const url = `/packages/merchantid/${this.merchantId}/packagenumber/${packageNumber}/split`;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(url, {
+          lineItemRequests: this.buildLineItemRequests(orderItemIds),
+        })
+      );
+
+      const packageNumbers = this.extractPackageNumbers(response.data).filter(
+        (number) => number !== packageNumber
+      );
+
+      return {
+        success: true,
+        message: "Package split successfully",
+        data: response.data,
+        packageNumbers,
+      };
+    } catch (error) {
+      logger.error(`Failed to split package on Hepsiburada: ${error.message}`, {
+        error,
+        connectionId: this.connectionId,
+        packageNumber,
+        orderItemIds,
+      });
+
+      return {
+        success: false,
+        message: `Failed to split package: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Unpack a package so its line items can be packaged again (Paket Bozma)
+   * Only possible before the package is handed over to the carrier.
+   * @param {string} packageNumber - Package number
+   * @returns {Object} - Result of the unpack operation
+   */
+  async unpackPackage(packageNumber) {
+    try {
+      await this.initialize();
+
+      const url = `/packages/merchantid/${this.merchantId}/packagenumber/${packageNumber}/unpack`;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(url)
+      );
+
+      return {
+        success: true,
+        message: "Package unpacked successfully",
+        data: response.data,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to unpack package on Hepsiburada: ${error.message}`,
+        {
+          error,
+          connectionId: this.connectionId,
+          packageNumber,
+        }
+      );
+
+      return {
+        success: false,
+        message: `Failed to unpack package: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Build the lineItemRequests payload used by package endpoints
+   * @param {Array} orderItemIds - Line item IDs, or { id, quantity } objects
+   * @returns {Array} - [{ id, quantity }]
+   */
+  buildLineItemRequests(orderItemIds = []) {
+    return orderItemIds.map((item) =>
+      typeof item === "object" && item !== null
+        ? { id: String(item.id), quantity: parseInt(item.quantity || 1, 10) }
+        : { id: String(item), quantity: 1 }
+    );
+  }
+
+  /**
+   * Extract package numbers from a package endpoint response, which is
+   * either a single package, a list of packages or a list of numbers.
+   * @param {any} data - Response body
+   * @returns {Array<string>} - Package numbers
+   */
+  extractPackageNumbers(data) {
+    const entries = Array.isArray(data)
+      ? data
+      : data?.packages || data?.items || (data ? [data] : []);
+
+    return entries
+      .map((entry) =>
+        typeof entry === "object" && entry !== null
+          ? entry.packageNumber || entry.PackageNumber
+          : entry
+      )
+      .filter(Boolean)
+      .map(String);
+  }
+
+  /**
+   * Resolve the Hepsiburada line item ID of a local order item.
+   * Line item IDs only live in the raw item payload; platformProductId holds
+   * the product barcode.
+   * @param {Object} orderItem - OrderItem record
+   * @returns {string|null} - Line item ID
+   */
+  getLineItemId(orderItem) {
+    let rawData = orderItem.rawData;
+    if (typeof rawData === "string") {
+      try {
+        rawData = JSON.parse(rawData);
+      } catch (error) {
+        rawData = null;
+      }
+    }
+
+    const lineItemId = rawData?.lineItemId || rawData?.id;
+    return lineItemId ? String(lineItemId) : null;
+  }
+
   /**
    * Create test order (Test İçin Sipariş Oluşturma)
    * Only available in test environment
@@ -3395,6 +3788,32 @@ class HepsiburadaService extends BasePlatformService {
     });
   }
 
+  /**
+   * Create axios instance for the listings API (stock and price uploads)
+   * @returns {Object} Axios instance
+   */
+  createListingsAxiosInstance() {
+    if (!this.authString) {
+      throw new Error(
+        "Authentication not initialized. Call setupAxiosInstance first."
+      );
+    }
+
+    const credentials = this.decryptCredentials(this.connection.credentials);
+    const { username } = credentials;
+
+    return axios.create({
+      baseURL: this.listingsApiUrl,
+      headers: {
+        Authorization: `Basic ${this.authString}`,
+        "User-Agent": username,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      timeout: 30000,
+    });
+  }
+
   /**
    * Update order status on Hepsiburada platform
    * @param {string} orderId - Internal order ID
@@ -3410,7 +3829,13 @@ class HepsiburadaService extends BasePlatformService {
           {
             model: OrderItem,
             as: "items",
-            attributes: ["id", "platformProductId", "sku", "quantity"],
+            attributes: [
+              "id",
+              "platformProductId",
+              "sku",
+              "quantity",
+              "rawData",
+            ],
           },
         ],
       });
@@ -3519,7 +3944,13 @@ class HepsiburadaService extends BasePlatformService {
           {
             model: OrderItem,
             as: "items",
-            attributes: ["id", "platformProductId", "sku", "quantity"],
+            attributes: [
+              "id",
+              "platformProductId",
+              "sku",
+              "quantity",
+              "rawData",
+            ],
           },
         ],
       });
@@ -3581,8 +4012,11 @@ class HepsiburadaService extends BasePlatformService {
 
       // Get order item IDs for package creation
       const orderItemIds = order.items
-        .filter((item) => item.platformProductId)
-        .map((item) => item.platformProductId);
+        .filter((item) => this.getLineItemId(item) || item.platformProductId)
+        .map((item) => ({
+          id: this.getLineItemId(item) || item.platformProductId,
+          quantity: item.quantity,
+        }));
 
       if (orderItemIds.length === 0) {
         throw new Error("No valid platform product IDs found for packaging");
@@ -3643,12 +4077,18 @@ class HepsiburadaService extends BasePlatformService {
   /**
    * Sync products from HepsiBurada to our database
    * @param {Object} params - Query parameters for product fetching
+   * @param {Object} options - Sync options
+   * @param {string} options.userId - Owner of newly created products
+   * @param {Function} options.onProgress - Called as (processed, total) after each product
+   * @param {Function} options.checkpoint - Awaited before each product (pause/cancel hook)
    * @returns {Promise<Object>} Result of the sync operation
    */
-  async syncProducts(params = {}) {
+  async syncProducts(params = {}, options = {}) {
     try {
       const { Product } = require("../../../../../models");
-      const defaultUserId = process.env.DEFAULT_USER_ID || "1";
+      const { onProgress, checkpoint } = options;
+      const defaultUserId =
+        options.userId || process.env.DEFAULT_USER_ID || "1";
 
       // Fetch products from HepsiBurada
       const result = await this.fetchProducts(params);
@@ -3673,7 +4113,12 @@ class HepsiburadaService extends BasePlatformService {
       };
 
       // Process each product
+      let processed = 0;
       for (const hepsiburadaProduct of products) {
+        if (checkpoint) {
+          await checkpoint();
+        }
+
         try {
           // Check if product exists (by merchantSku)
           const existingHepsiburadaProduct = await HepsiburadaProduct.findOne({
@@ -3683,7 +4128,7 @@ class HepsiburadaService extends BasePlatformService {
             include: [
               {
                 model: Product,
-                as: "Product",
+                as: "product",
               },
             ],
           });
@@ -3712,6 +4157,11 @@ class HepsiburadaService extends BasePlatformService {
             }
           );
           stats.failed++;
+        } finally {
+          processed++;
+          if (onProgress) {
+            onProgress(processed, stats.total);
+          }
         }
       }
 
@@ -3749,7 +4199,7 @@ class HepsiburadaService extends BasePlatformService {
   ) {
     try {
       const { Product } = require("../../../../../models");
-      const mainProduct = existingHepsiburadaProduct.Product;
+      const mainProduct = existingHepsiburadaProduct.product;
 
       // Extract stock quantity from baseAttributes
       const stockAttribute = hepsiburadaProductData.baseAttributes?.find(
@@ -4563,12 +5013,257 @@ class HepsiburadaService extends BasePlatformService {
     }
   }
 
+  /**
+   * Bulk update prices and/or stock on Hepsiburada via the listings API.
+   * Stock and price changes are separate uploads on Hepsiburada, so each
+   * 1000-item chunk can produce a stock upload and a price upload
+   * Rows without a merchantSku or hepsiburadaSku are reported in failedItems
+   * @param {Array} items - Items with merchantSku (or sku) and/or hepsiburadaSku, quantity, salePrice
+   * @returns {Promise<Object>} Update result with one trackingId per upload
+   */
+  async updatePriceAndInventory(items) {
+    try {
+      await this.initialize();
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("At least one item is required for price/stock update");
+      }
+
+      const stockItems = [];
+      const priceItems = [];
+      const failedItems = [];
+      let acceptedCount = 0;
+
+      for (const item of items) {
+        const merchantSku = item.merchantSku || item.sku || item.stockCode;
+        const hepsiburadaSku = item.hepsiburadaSku || item.hbSku;
+
+        if (!merchantSku && !hepsiburadaSku) {
+          failedItems.push({
+            identifier: null,
+            reasons: ["merchantSku or hepsiburadaSku is required for Hepsiburada"],
+          });
+          continue;
+        }
+
+        const listingKey = {};
+        if (merchantSku) {
+          listingKey.merchantSku = merchantSku.toString();
+        }
+        if (hepsiburadaSku) {
+          listingKey.hepsiburadaSku = hepsiburadaSku.toString();
+        }
+
+        const hasQuantity = item.quantity !== undefined && item.quantity !== null;
+        const hasPrice = item.salePrice !== undefined && item.salePrice !== null;
+
+        if (!hasQuantity && !hasPrice) {
+          failedItems.push({
+            identifier: listingKey.merchantSku || listingKey.hepsiburadaSku,
+            reasons: ["Either quantity or salePrice is required"],
+          });
+          continue;
+        }
+
+        acceptedCount++;
+
+        if (hasQuantity) {
+          stockItems.push({
+            ...listingKey,
+            availableStock: Math.max(0, parseInt(item.quantity, 10)),
+          });
+        }
+
+        if (hasPrice) {
+          priceItems.push({
+            ...listingKey,
+            price: parseFloat(parseFloat(item.salePrice).toFixed(2)),
+          });
+        }
+      }
+
+      if (acceptedCount === 0) {
+        return {
+          success: false,
+          message: "No valid items to update",
+          itemCount: 0,
+          requests: [],
+          failedItems,
+        };
+      }
+
+      const listingsAxios = this.createListingsAxiosInstance();
+      const uploads = [
+        { type: "stock", path: "stock-uploads", items: stockItems },
+        { type: "price", path: "price-uploads", items: priceItems },
+      ];
+
+      const requests = [];
+      for (const upload of uploads) {
+        const endpoint = `/listings/merchantid/${this.merchantId}/${upload.path}`;
+
+        for (let start = 0; start < upload.items.length; start += 1000) {
+          const batch = upload.items.slice(start, start + 1000);
+
+          try {
+            const response = await this.retryRequest(() =>
+              listingsAxios.post(endpoint, batch)
+            );
+
+            requests.push({
+              requestId: response.data?.id || response.data?.trackingId,
+              type: upload.type,
+              itemCount: batch.length,
+              success: true,
+            });
+          } catch (error) {
+            this.logger.error(
+              `Hepsiburada ${upload.type} upload failed: ${error.message}`,
+              {
+                status: error.response?.status,
+                apiError: error.response?.data,
+                itemCount: batch.length,
+                connectionId: this.connectionId,
+              }
+            );
+
+            requests.push({
+              requestId: null,
+              type: upload.type,
+              itemCount: batch.length,
+              success: false,
+              error: error.response?.data || error.message,
+            });
+          }
+        }
+      }
+
+      const failedRequests = requests.filter((request) => !request.success);
+
+      this.logger.info("Hepsiburada price/stock update submitted", {
+        merchantId: this.merchantId,
+        stockItemCount: stockItems.length,
+        priceItemCount: priceItems.length,
+        rejectedItems: failedItems.length,
+        failedRequests: failedRequests.length,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: failedRequests.length === 0 && failedItems.length === 0,
+        message:
+          failedRequests.length > 0
+            ? `${failedRequests.length} of ${requests.length} listing upload(s) failed`
+            : `Price/stock update submitted for ${acceptedCount} item(s)` +
+              (failedItems.length > 0
+                ? `, ${failedItems.length} item(s) rejected`
+                : ""),
+        itemCount: acceptedCount,
+        requests,
+        failedItems,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update price/stock on Hepsiburada: ${error.message}`,
+        {
+          status: error.response?.status,
+          apiError: error.response?.data,
+          connectionId: this.connectionId,
+        }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update price/stock: ${error.message}`,
+        error: error.response?.data || error.message,
+        statusCode: error.response?.status,
+        requests: [],
+      };
+    }
+  }
+
+  /**
+   * Update stock quantities on Hepsiburada via the listings stock upload
+   * @param {Array} items - Items with merchantSku (or sku), optional hepsiburadaSku and quantity
+   * @returns {Promise<Object>} Update result with trackingId
+   */
+  async updateInventory(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        success: false,
+        message: "At least one item is required for inventory update",
+      };
+    }
+
+    const result = await this.updatePriceAndInventory(
+      items.map((item) => ({
+        merchantSku: item.merchantSku || item.sku || item.stockCode,
+        hepsiburadaSku: item.hepsiburadaSku || item.hbSku,
+        quantity: Math.max(0, parseInt(item.quantity || 0, 10)),
+      }))
+    );
+    const failedRequest = result.requests.find((request) => !request.success);
+
+    return {
+      success: result.success,
+      trackingId: result.requests[0]?.requestId,
+      itemCount: result.itemCount || items.length,
+      message: result.message,
+      error: result.error || failedRequest?.error,
+    };
+  }
+
+  /**
+   * Normalized status of an upload submitted by updatePriceAndInventory
+   * @param {string} trackingId - Listing upload ID
+   * @param {Object} options - { type: "stock" | "price" }
+   * @returns {Promise<Object>} { success, requestId, status, failedItems, data }
+   */
+  async checkPriceAndInventoryStatus(trackingId, options = {}) {
+    const type = options.type === "price" ? "price" : "stock";
+    const result = await this.checkTrackingStatus(trackingId, type);
+
+    if (!result.success) {
+      return {
+        success: false,
+        requestId: trackingId,
+        message: result.message,
+        error: result.error,
+      };
+    }
+
+    const failedItems = (result.errors || []).map((error) => ({
+      identifier: error.merchantSku || error.hepsiburadaSku,
+      reasons: [error.errorMessage || error.message].filter(Boolean),
+    }));
+
+    let status = "processing";
+    if (result.isCompleted) {
+      status =
+        failedItems.length > 0 && failedItems.length >= (result.total || 0)
+          ? "failed"
+          : "completed";
+    }
+
+    return {
+      success: true,
+      requestId: trackingId,
+      type,
+      status,
+      platformStatus: result.status,
+      itemCount: result.total,
+      failedItems,
+      data: result.trackingResponse,
+    };
+  }
+
   /**
    * Check tracking status using official Hepsiburada API
-   * @param {string} trackingId - Tracking ID returned from updateProduct
+   * @param {string} trackingId - Tracking ID returned from updateProduct or a listing upload
+   * @param {string} type - "product" (default), or "stock"/"price" for listing uploads
    * @returns {Promise<Object>} - Tracking status and results
    */
-  async checkTrackingStatus(trackingId) {
+  async checkTrackingStatus(trackingId, type = "product") {
     try {
       await this.initialize();
 
@@ -4576,6 +5271,10 @@ class HepsiburadaService extends BasePlatformService {
         throw new Error("Tracking ID is required to check status");
       }
 
+      if (type === "stock" || type === "price") {
+        return await this.checkListingUploadStatus(trackingId, type);
+      }
+
       // Note: This endpoint structure needs to be verified with official Hepsiburada docs
       // The exact tracking endpoint may vary
       const endpoint = `/product/api/products/tracking/${trackingId}`;
@@ -4629,6 +5328,39 @@ class HepsiburadaService extends BasePlatformService {
     }
   }
 
+  /**
+   * Check the status of a listings API stock or price upload
+   * @param {string} trackingId - Upload ID returned by the listings API
+   * @param {string} type - "stock" or "price"
+   * @returns {Promise<Object>} - Upload status and per-listing errors
+   */
+  async checkListingUploadStatus(trackingId, type) {
+    const listingsAxios = this.createListingsAxiosInstance();
+    const endpoint = `/listings/merchantid/${this.merchantId}/${type}-uploads/id/${trackingId}`;
+
+    const response = await listingsAxios.get(endpoint);
+    const uploadData = response.data || {};
+
+    this.logger.info("Hepsiburada listing upload status retrieved", {
+      trackingId,
+      type,
+      status: uploadData.status,
+      errorCount: uploadData.errors?.length || 0,
+    });
+
+    return {
+      success: true,
+      trackingId,
+      type,
+      status: uploadData.status,
+      total: uploadData.total,
+      errors: uploadData.errors || [],
+      isCompleted: uploadData.status === "Done",
+      hasErrors: (uploadData.errors || []).length > 0,
+      trackingResponse: uploadData,
+    };
+  }
+
   /**
    * Helper method to validate Hepsiburada product data structure
    * @param {Object} productData - Product data to validate
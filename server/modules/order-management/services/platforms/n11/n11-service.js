@@ -518,13 +518,20 @@ class N11Service extends BasePlatformService {
   /**
    * Sync products from N11 to our database
    * @param {Object} params - Query parameters for product fetching
+   * @param {Object} options - Sync options
+   * @param {string} options.userId - Owner of newly created products
+   * @param {Function} options.onProgress - Called as (processed, total) after each product
+   * @param {Function} options.checkpoint - Awaited before each product (pause/cancel hook)
    * @returns {Promise<Object>} Result of the sync operation
    */
-  async syncProducts(params = {}) {
+  async syncProducts(params = {}, options = {}) {
     try {
       const { Product, N11Product } = require("../../../../../models");
+      const { onProgress, checkpoint } = options;
       const defaultUserId =
-        process.env.DEFAULT_USER_ID || "8bd737ab-8a3f-4f50-ab2c-d310d43e867a";
+        options.userId ||
+        process.env.DEFAULT_USER_ID ||
+        "8bd737ab-8a3f-4f50-ab2c-d310d43e867a";
 
       // Fetch products from N11
       const result = await this.fetchProducts(params);
@@ -555,7 +562,12 @@ class N11Service extends BasePlatformService {
       }
 
       // Process each product
+      let processed = 0;
       for (const n11Product of products) {
+        if (checkpoint) {
+          await checkpoint();
+        }
+
         try {
           // Check if product exists (by merchantSku or other unique identifier)
           const externalProductId =
@@ -601,6 +613,11 @@ class N11Service extends BasePlatformService {
               },
             }
           );
+        } finally {
+          processed++;
+          if (onProgress) {
+            onProgress(processed, stats.total);
+          }
         }
       }
 
@@ -1983,6 +2000,199 @@ class N11Service extends BasePlatformService {
     }
   }
 
+  /**
+   * Fetch return requests (claims) from N11, following all pages
+   * @param {Object} params - status, size
+   * @returns {Promise<Object>} Result containing normalized claims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+
+      const queryParams = {
+        page: 0,
+        size: Math.min(params.size || 50, 100),
+      };
+
+      if (params.status) {
+        queryParams.status = params.status;
+      }
+
+      const claims = [];
+      let totalPages = 1;
+
+      do {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(N11_API.ENDPOINTS.RETURNS, {
+            params: { ...queryParams },
+          })
+        );
+
+        const content = response.data?.content || [];
+        claims.push(...content.map((claim) => this.normalizeClaim(claim)));
+        totalPages = response.data?.totalPages || 1;
+        queryParams.page++;
+      } while (queryParams.page < totalPages);
+
+      this.logger.info(`Fetched ${claims.length} return requests from N11`, {
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: true,
+        message: `Successfully fetched ${claims.length} claims from N11`,
+        data: claims,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch N11 claims: ${error.message}`, {
+        error: error.message,
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch claims: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize an N11 return request into the common claim shape
+   * @param {Object} claim - Raw return request from the N11 API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const status = this.mapClaimStatus(claim.status);
+    const claimItems = claim.claimItems || claim.items || [];
+
+    return {
+      platformClaimId: (claim.claimId || claim.id)?.toString(),
+      orderNumber: claim.orderNumber?.toString(),
+      status,
+      platformStatus: claim.status,
+      reason: claim.reason || claim.returnReason || null,
+      customerNote: claim.explanation || null,
+      claimDate: claim.createdDate ? new Date(claim.createdDate) : null,
+      cargoProvider: claim.cargoCompany || null,
+      cargoTrackingNumber: claim.campaignNumber || claim.trackingNumber || null,
+      items: claimItems.map((item) => ({
+        platformClaimItemId: (item.claimItemId || item.id)?.toString(),
+        sku: item.stockCode || item.productSellerCode || null,
+        barcode: item.barcode || null,
+        title: item.productName || null,
+        quantity: parseInt(item.quantity || 1, 10),
+        reason: item.reason || claim.reason || null,
+        status,
+        platformStatus: claim.status,
+      })),
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map N11 return status to internal return status
+   * @param {string} n11Status - Return request status
+   * @returns {string} Internal return status
+   */
+  mapClaimStatus(n11Status) {
+    const statusMap = {
+      REQUESTED: "pending",
+      IN_CARGO: "pending",
+      POSTPONED: "pending",
+      APPROVED: "approved",
+      COMPLETED: "approved",
+      REJECTED: "rejected",
+      DISPUTED: "in_dispute",
+      CANCELLED: "cancelled",
+    };
+
+    return statusMap[n11Status] || "pending";
+  }
+
+  /**
+   * Approve return request items on N11
+   * @param {string} platformClaimId - N11 claim ID
+   * @param {Array<string>} claimItemIds - Claim item IDs to approve
+   * @returns {Promise<Object>} Result of the approval
+   */
+  async approveClaim(platformClaimId, claimItemIds) {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(N11_API.ENDPOINTS.RETURN_APPROVE, {
+          claimId: platformClaimId,
+          claimItemIds,
+        })
+      );
+
+      return {
+        success: true,
+        message: "Return approved successfully on N11",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to approve N11 return: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to approve return: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Reject return request items on N11
+   * @param {string} platformClaimId - N11 claim ID
+   * @param {Array<string>} claimItemIds - Claim item IDs to reject
+   * @param {Object} rejection - reasonCode and description
+   * @returns {Promise<Object>} Result of the rejection
+   */
+  async rejectClaim(platformClaimId, claimItemIds, rejection = {}) {
+    try {
+      await this.initialize();
+
+      if (!rejection.description) {
+        throw new Error("A rejection reason is required to reject a return");
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(N11_API.ENDPOINTS.RETURN_REJECT, {
+          claimId: platformClaimId,
+          claimItemIds,
+          rejectReasonType: rejection.reasonCode || "OTHER",
+          rejectionReason: rejection.description,
+        })
+      );
+
+      return {
+        success: true,
+        message: "Return rejected successfully on N11",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to reject N11 return: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to reject return: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
   /**
    * Fetch a list of categories from N11
    * @param {Object} params - Query parameters
@@ -2574,6 +2784,180 @@ class N11Service extends BasePlatformService {
     }
   }
 
+  /**
+   * Bulk update prices and/or stock on N11 via the price-stock-update task
+   * endpoint. Items are split into 1000-item tasks; rows that cannot be
+   * sent are reported in failedItems
+   * @param {Array} items - Items with stockCode (or sku), quantity, salePrice, listPrice
+   * @returns {Promise<Object>} Update result with one taskId per request
+   */
+  async updatePriceAndInventory(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        success: false,
+        message: "At least one item is required for price/stock update",
+        requests: [],
+      };
+    }
+
+    const updates = [];
+    const failedItems = [];
+    for (const item of items) {
+      const stockCode = item.stockCode || item.sku;
+      if (!stockCode) {
+        failedItems.push({
+          identifier: null,
+          reasons: ["Stock code is required for N11"],
+        });
+        continue;
+      }
+
+      const update = { stockCode };
+      if (item.quantity !== undefined && item.quantity !== null) {
+        update.quantity = Math.max(0, parseInt(item.quantity, 10));
+      }
+      if (item.salePrice !== undefined && item.salePrice !== null) {
+        update.salePrice = item.salePrice;
+        update.listPrice = item.listPrice ?? item.salePrice;
+      }
+
+      if (update.quantity === undefined && update.salePrice === undefined) {
+        failedItems.push({
+          identifier: stockCode,
+          reasons: ["Either quantity or salePrice is required"],
+        });
+        continue;
+      }
+
+      updates.push(update);
+    }
+
+    if (updates.length === 0) {
+      return {
+        success: false,
+        message: "No valid items to update",
+        itemCount: 0,
+        requests: [],
+        failedItems,
+      };
+    }
+
+    const requests = [];
+    for (let start = 0; start < updates.length; start += 1000) {
+      const batch = updates.slice(start, start + 1000);
+      const result = await this.updateProduct(batch);
+      const priceStockTask = (result.results || []).find(
+        (r) => r.type === "PRICE_STOCK_UPDATE"
+      );
+
+      requests.push({
+        requestId: priceStockTask?.taskId || null,
+        type: "price_stock",
+        itemCount: batch.length,
+        success: result.success && !!priceStockTask?.success,
+        error: result.success
+          ? priceStockTask?.error
+          : result.error || result.message,
+      });
+    }
+
+    const failedRequests = requests.filter((request) => !request.success);
+
+    return {
+      success: failedRequests.length === 0 && failedItems.length === 0,
+      message:
+        failedRequests.length > 0
+          ? `${failedRequests.length} of ${requests.length} price/stock task(s) failed`
+          : `Price/stock update submitted for ${updates.length} item(s)` +
+            (failedItems.length > 0
+              ? `, ${failedItems.length} item(s) rejected`
+              : ""),
+      itemCount: updates.length,
+      requests,
+      failedItems,
+    };
+  }
+
+  /**
+   * Update stock quantities on N11 via the price-stock-update task endpoint
+   * @param {Array} items - Items with stockCode (or sku) and quantity
+   * @returns {Promise<Object>} Update result with taskId
+   */
+  async updateInventory(items) {
+    const result = await this.updatePriceAndInventory(
+      (items || []).map((item) => ({
+        stockCode: item.stockCode || item.sku,
+        quantity: Math.max(0, parseInt(item.quantity || 0, 10)),
+      }))
+    );
+    const failedRequest = result.requests.find((request) => !request.success);
+
+    return {
+      success: result.success,
+      taskId: result.requests[0]?.requestId,
+      itemCount: result.itemCount || (items || []).length,
+      message: result.message,
+      error: failedRequest?.error,
+    };
+  }
+
+  /**
+   * Normalized status of a task submitted by updatePriceAndInventory.
+   * Polls once; a task still in queue is reported as processing
+   * @param {number} taskId - N11 task ID
+   * @returns {Promise<Object>} { success, requestId, status, failedItems, data }
+   */
+  async checkPriceAndInventoryStatus(taskId) {
+    const result = await this.pollTaskStatus(taskId, 1, 0);
+
+    if (result.status === "TIMEOUT") {
+      return {
+        success: true,
+        requestId: taskId,
+        status: "processing",
+        platformStatus: "IN_QUEUE",
+        failedItems: [],
+      };
+    }
+
+    if (result.status === "REJECT") {
+      return {
+        success: true,
+        requestId: taskId,
+        status: "failed",
+        platformStatus: result.status,
+        failedItems: [],
+        message: result.error,
+      };
+    }
+
+    if (!result.success) {
+      return {
+        success: false,
+        requestId: taskId,
+        message: result.error,
+        error: result.error,
+      };
+    }
+
+    const failedItems = (result.results || [])
+      .filter((item) => item.status && item.status !== "SUCCESS")
+      .map((item) => ({
+        identifier: item.itemCode || item.stockCode,
+        reasons: item.reasons || [],
+      }));
+
+    return {
+      success: true,
+      requestId: taskId,
+      status: "completed",
+      platformStatus: result.status,
+      itemCount: result.totalElements,
+      failedItems,
+      data: result.results,
+    };
+  }
+
   /**
    * Update product information on N11 using official API structure
    * @param {Object|Array} productData - Product data or array of products to update
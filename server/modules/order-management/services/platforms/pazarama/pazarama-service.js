@@ -0,0 +1,791 @@
+// src/services/platforms/pazarama/pazarama-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const {
+  Order,
+  OrderItem,
+  ShippingDetail,
+} = require("../../../../../models");
+const { Op } = require("sequelize");
+const sequelize = require("../../../../../config/database");
+
+// Constants for Pazarama API endpoints and configurations
+const PAZARAMA_API = {
+  BASE_URL: "https://isortagimapi.pazarama.com",
+  TOKEN_URL: "https://isortagimgiris.pazarama.com/connect/token",
+  TOKEN_SCOPE: "merchantgatewayapi.fullaccess",
+  ENDPOINTS: {
+    ORDERS: "/order/getOrdersForApi",
+    UPDATE_ORDER_STATUS: "/order/updateOrderStatus",
+    PRODUCTS: "/product/products",
+    CATEGORY_TREE: "/category/getCategoryTree",
+  },
+};
+
+// Pazarama order item status codes
+const PAZARAMA_STATUS = {
+  NEW: 3, // Siparişiniz Alındı
+  PREPARING: 12, // Siparişiniz Hazırlanıyor
+  SHIPPED: 5, // Kargoya Verildi
+  DELIVERED: 11, // Teslim Edildi
+  CANCELLED: 7, // İptal Edildi
+  RETURNED: 14, // İade Edildi
+};
+
+// Refresh access tokens this long before they actually expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Pazarama Service
+ * Handles integration with the Pazarama İş Ortağım (merchant) API.
+ * Authenticates with OAuth2 client credentials (API key / secret from the
+ * Pazarama seller panel)
+ */
+class PazaramaService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId);
+    this.directCredentials = directCredentials;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "pazarama";
+  }
+
+  /**
+   * Find connection in database or use direct credentials
+   * @returns {Promise<Object>} Connection object
+   */
+  async findConnection() {
+    if (this.directCredentials) {
+      return { credentials: JSON.stringify(this.directCredentials) };
+    }
+    return await super.findConnection();
+  }
+
+  /**
+   * Normalize Pazarama credentials. The panel calls them API key / secret,
+   * the token endpoint calls them client ID / secret
+   * @param {string|object} encryptedCredentials
+   * @returns {object} Decrypted credentials
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+
+    return {
+      clientId: credentials.clientId || credentials.apiKey,
+      clientSecret: credentials.clientSecret || credentials.apiSecret,
+      apiUrl: credentials.apiUrl || PAZARAMA_API.BASE_URL,
+      tokenUrl: credentials.tokenUrl || PAZARAMA_API.TOKEN_URL,
+    };
+  }
+
+  /**
+   * Setup Axios instance with bearer token injection
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const credentials = this.decryptCredentials(this.connection.credentials);
+
+    if (!credentials.clientId || !credentials.clientSecret) {
+      throw new Error(
+        "Missing required Pazarama credentials: apiKey and apiSecret are required"
+      );
+    }
+
+    this.credentials = credentials;
+    this.axiosInstance = axios.create({
+      baseURL: credentials.apiUrl,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      timeout: 30000,
+    });
+
+    this.axiosInstance.interceptors.request.use(async (requestConfig) => {
+      requestConfig.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+      return requestConfig;
+    });
+
+    this.logger.info("Pazarama Axios instance setup completed", {
+      baseURL: credentials.apiUrl,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Obtain an access token with the client credentials grant (cached until expiry)
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (
+      this.accessToken &&
+      Date.now() < this.accessTokenExpiresAt - TOKEN_EXPIRY_MARGIN_MS
+    ) {
+      return this.accessToken;
+    }
+
+    const { tokenUrl, clientId, clientSecret } = this.credentials;
+    const response = await axios.post(
+      tokenUrl,
+      new URLSearchParams({
+        grant_type: "client_credentials",
+        scope: PAZARAMA_API.TOKEN_SCOPE,
+      }).toString(),
+      {
+        auth: { username: clientId, password: clientSecret },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 30000,
+      }
+    );
+
+    const tokenData = response.data?.data || response.data;
+    if (!tokenData?.accessToken && !tokenData?.access_token) {
+      throw new Error("Pazarama did not return an access token");
+    }
+
+    this.accessToken = tokenData.accessToken || tokenData.access_token;
+    this.accessTokenExpiresAt =
+      Date.now() + (tokenData.expiresIn || tokenData.expires_in || 3600) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Pazarama wraps every response in { success, messageCode, userMessage, data }
+   * @param {Object} response - Axios response
+   * @returns {*} Response data
+   */
+  unwrapResponse(response) {
+    const body = response.data || {};
+    if (body.success === false) {
+      throw new Error(
+        body.userMessage || body.message || body.messageCode || "Pazarama request failed"
+      );
+    }
+    return body.data;
+  }
+
+  /**
+   * Test connection by requesting a token and a single product
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(PAZARAMA_API.ENDPOINTS.PRODUCTS, {
+          params: { Approved: true, Page: 1, Size: 1 },
+        })
+      );
+      this.unwrapResponse(response);
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      const message =
+        error.response?.data?.userMessage ||
+        error.response?.data?.error_description ||
+        error.message;
+      this.logger.error(`Pazarama connection test failed: ${message}`, {
+        status: error.response?.status,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders from Pazarama page by page and store them through normalizeOrders
+   * @param {Object} params - startDate, endDate, pageSize, maxPages
+   * @returns {Promise<Object>} Result containing normalized orders
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 7);
+
+      const pageSize = params.pageSize || 100;
+      const maxPages = params.maxPages || 50;
+      const requestBody = {
+        startDate: new Date(params.startDate || defaultStartDate).toISOString(),
+        endDate: new Date(params.endDate || Date.now()).toISOString(),
+        pageSize,
+      };
+
+      const pazaramaOrders = [];
+      let pageNumber = 1;
+
+      while (pageNumber <= maxPages) {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.post(PAZARAMA_API.ENDPOINTS.ORDERS, {
+            ...requestBody,
+            pageNumber,
+          })
+        );
+
+        const pageOrders = this.unwrapResponse(response) || [];
+        pazaramaOrders.push(...pageOrders);
+
+        if (pageOrders.length < pageSize) {
+          break;
+        }
+        pageNumber++;
+      }
+
+      this.logger.info(
+        `Retrieved ${pazaramaOrders.length} orders from Pazarama`,
+        { pages: pageNumber, connectionId: this.connectionId }
+      );
+
+      const normalizeResult = await this.normalizeOrders(pazaramaOrders);
+
+      return {
+        success: true,
+        message: `Successfully fetched ${normalizeResult.data.length} orders from Pazarama`,
+        data: normalizeResult.data,
+        stats: normalizeResult.stats,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch orders from Pazarama: ${error.message}`,
+        { status: error.response?.status, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Derive a single order status from the order and its item statuses
+   * @param {Object} order - Pazarama order
+   * @returns {string} Internal status
+   */
+  getOrderStatus(order) {
+    const itemStatuses = (order.items || []).map((item) =>
+      this.mapOrderStatus(item.orderItemStatus)
+    );
+
+    if (itemStatuses.length === 0) {
+      return this.mapOrderStatus(order.orderStatus);
+    }
+
+    // The least advanced line decides, except for fully cancelled/returned orders
+    const progression = ["new", "processing", "shipped", "delivered"];
+    const activeStatuses = itemStatuses.filter((status) =>
+      progression.includes(status)
+    );
+
+    if (activeStatuses.length === 0) {
+      return itemStatuses[0];
+    }
+
+    return activeStatuses.reduce((lowest, status) =>
+      progression.indexOf(status) < progression.indexOf(lowest) ? status : lowest
+    );
+  }
+
+  /**
+   * Create or update local orders from Pazarama orders
+   * @param {Array} pazaramaOrders - Pazarama orders with items
+   * @returns {Promise<Object>} Normalized orders and stats
+   */
+  async normalizeOrders(pazaramaOrders) {
+    const normalizedOrders = [];
+    let createdCount = 0;
+    let updatedCount = 0;
+    let skippedCount = 0;
+
+    const existingOrders = await Order.findAll({
+      where: {
+        connectionId: this.connectionId,
+        externalOrderId: {
+          [Op.in]: pazaramaOrders.map((order) => String(order.orderNumber)),
+        },
+      },
+    });
+
+    const existingOrdersMap = {};
+    existingOrders.forEach((order) => {
+      existingOrdersMap[order.externalOrderId] = order;
+    });
+
+    for (const order of pazaramaOrders) {
+      const externalOrderId = String(order.orderNumber);
+
+      try {
+        const existingOrder = existingOrdersMap[externalOrderId];
+
+        if (existingOrder) {
+          await existingOrder.update({
+            orderStatus: this.getOrderStatus(order),
+            rawData: JSON.stringify(order),
+            lastSyncedAt: new Date(),
+          });
+          updatedCount++;
+          normalizedOrders.push(existingOrder);
+          continue;
+        }
+
+        const address = order.shipmentAddress || {};
+        const customerName =
+          order.customerName ||
+          [address.nameSurname, address.name].find(Boolean) ||
+          "Pazarama Customer";
+        const customerEmail = order.customerEmail || "";
+        const phoneNumber = address.phoneNumber || order.customerPhone || "";
+        const totalAmount = parseFloat(order.orderAmount || 0);
+
+        const normalizedOrder = await sequelize.transaction(async (t) => {
+          const [createdOrder] = await Order.findOrCreate({
+            where: {
+              externalOrderId,
+              connectionId: this.connectionId,
+            },
+            defaults: {
+              externalOrderId,
+              orderNumber: externalOrderId,
+              connectionId: this.connectionId,
+              userId: this.connection.userId,
+              customerName,
+              customerEmail,
+              customerPhone: phoneNumber,
+              customerInfo: {
+                fullName: customerName,
+                email: customerEmail,
+                phone: phoneNumber,
+                customerId: order.customerId,
+              },
+              shippingAddress: address,
+              platform: this.getPlatformType(),
+              platformType: this.getPlatformType(),
+              platformOrderId: order.orderId || externalOrderId,
+              platformId: this.connectionId,
+              orderDate: new Date(order.orderDate),
+              orderStatus: this.getOrderStatus(order),
+              totalAmount,
+              invoiceTotal: totalAmount,
+              currency: order.currency || "TRY",
+              rawData: JSON.stringify(order),
+              lastSyncedAt: new Date(),
+            },
+            transaction: t,
+          });
+
+          const shippingDetail = await ShippingDetail.create(
+            {
+              orderId: createdOrder.id,
+              recipientName: address.nameSurname || customerName,
+              address: address.address || address.displayAddressText || "",
+              city: address.cityName || "",
+              state: address.districtName || "",
+              postalCode: address.postalCode || "",
+              country: "TR",
+              phone: phoneNumber,
+              email: customerEmail,
+            },
+            { transaction: t }
+          );
+
+          await createdOrder.update(
+            { shippingDetailId: shippingDetail.id },
+            { transaction: t }
+          );
+
+          const itemCount = await OrderItem.count({
+            where: { orderId: createdOrder.id },
+            transaction: t,
+          });
+
+          if (itemCount === 0) {
+            const orderItemsData = (order.items || []).map((item) => {
+              const quantity = parseInt(item.quantity, 10) || 1;
+              const unitPrice = parseFloat(
+                item.salePrice?.value ?? item.salePrice ?? 0
+              );
+              const listPrice = parseFloat(
+                item.listPrice?.value ?? item.listPrice ?? unitPrice
+              );
+              const totalPrice = parseFloat(
+                item.totalPrice?.value ?? item.totalPrice ?? unitPrice * quantity
+              );
+              const discount = Math.max(0, (listPrice - unitPrice) * quantity);
+
+              return {
+                orderId: createdOrder.id,
+                productId: null, // Will be set by linking service
+                platformProductId: item.product?.productId || item.productId || "",
+                title: item.product?.name || item.productName || "Unknown Product",
+                sku: item.product?.stockCode || item.stockCode || item.product?.code || "",
+                quantity,
+                price: unitPrice,
+                totalPrice,
+                currency: order.currency || "TRY",
+                barcode: item.product?.code || item.barcode || "",
+                discount,
+                merchantDiscount: discount,
+                invoiceTotal: totalPrice,
+                lineItemStatus: item.orderItemStatusName || null,
+                rawData: JSON.stringify(item),
+              };
+            });
+
+            // Try to link products before creating order items
+            let itemsToCreate = orderItemsData;
+            try {
+              const ProductOrderLinkingService = require("../../../../../services/product-order-linking-service");
+              const linkingService = new ProductOrderLinkingService();
+              itemsToCreate = await linkingService.linkIncomingOrderItems(
+                orderItemsData,
+                this.connection?.userId
+              );
+            } catch (linkingError) {
+              this.logger.warn(
+                `Product linking failed for order ${externalOrderId}: ${linkingError.message}`
+              );
+            }
+
+            for (const itemData of itemsToCreate) {
+              await OrderItem.create(itemData, { transaction: t });
+            }
+          }
+
+          return createdOrder;
+        });
+
+        createdCount++;
+        normalizedOrders.push(normalizedOrder);
+      } catch (error) {
+        this.logger.error(
+          `Failed to normalize Pazarama order ${externalOrderId}: ${error.message}`,
+          { orderNumber: externalOrderId, connectionId: this.connectionId }
+        );
+        skippedCount++;
+      }
+    }
+
+    return {
+      success: true,
+      message: `Successfully processed ${createdCount + updatedCount} orders (${createdCount} new, ${updatedCount} updated, ${skippedCount} skipped)`,
+      data: normalizedOrders,
+      stats: {
+        total: pazaramaOrders.length,
+        success: createdCount + updatedCount,
+        updated: updatedCount,
+        skipped: skippedCount,
+        new: createdCount,
+      },
+    };
+  }
+
+  /**
+   * Map Pazarama order item status code to internal status
+   * @param {number|string} pazaramaStatus - Pazarama status code
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(pazaramaStatus) {
+    const statusMap = {
+      [PAZARAMA_STATUS.NEW]: "new",
+      [PAZARAMA_STATUS.PREPARING]: "processing",
+      [PAZARAMA_STATUS.SHIPPED]: "shipped",
+      [PAZARAMA_STATUS.DELIVERED]: "delivered",
+      [PAZARAMA_STATUS.CANCELLED]: "cancelled",
+      [PAZARAMA_STATUS.RETURNED]: "returned",
+    };
+
+    return statusMap[parseInt(pazaramaStatus, 10)] || "unknown";
+  }
+
+  /**
+   * Map internal status to Pazarama status code
+   * @param {string} internalStatus - Internal status
+   * @returns {number|undefined} Pazarama status code
+   */
+  mapToPlatformStatus(internalStatus) {
+    const reverseStatusMap = {
+      processing: PAZARAMA_STATUS.PREPARING,
+      shipped: PAZARAMA_STATUS.SHIPPED,
+      in_transit: PAZARAMA_STATUS.SHIPPED,
+      delivered: PAZARAMA_STATUS.DELIVERED,
+    };
+
+    return reverseStatusMap[internalStatus];
+  }
+
+  /**
+   * Send a status change for every item of an order
+   * @param {Object} order - Local order with items
+   * @param {number} status - Pazarama status code
+   * @param {Object} shipment - Optional { trackingNumber, trackingUrl, cargoCompanyId }
+   */
+  async sendItemStatusUpdates(order, status, shipment = {}) {
+    const items = order.items || [];
+    if (items.length === 0) {
+      throw new Error("Order has no items to update on Pazarama");
+    }
+
+    for (const item of items) {
+      const rawItem =
+        typeof item.rawData === "string"
+          ? JSON.parse(item.rawData)
+          : item.rawData || {};
+
+      if (!rawItem.orderItemId) {
+        throw new Error("Pazarama order item IDs are missing; re-sync the order");
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(PAZARAMA_API.ENDPOINTS.UPDATE_ORDER_STATUS, {
+          orderNumber: order.externalOrderId,
+          item: {
+            orderItemId: rawItem.orderItemId,
+            status,
+            ...(shipment.trackingNumber && {
+              deliveryType: 1, // Seller ships with own cargo contract
+              shippingTrackingNumber: shipment.trackingNumber,
+              trackingUrl: shipment.trackingUrl || null,
+              cargoCompanyId: shipment.cargoCompanyId || null,
+            }),
+          },
+        })
+      );
+      this.unwrapResponse(response);
+    }
+  }
+
+  /**
+   * Accept an order on Pazarama (moves its items to "Hazırlanıyor")
+   * @param {string} externalOrderId - Pazarama order number
+   * @returns {Promise<Object>} Result
+   */
+  async acceptOrder(externalOrderId) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findOne({
+        where: {
+          externalOrderId: String(externalOrderId),
+          connectionId: this.connectionId,
+        },
+        include: [{ model: OrderItem, as: "items" }],
+      });
+
+      if (!order) {
+        throw new Error(`Order ${externalOrderId} not found`);
+      }
+
+      await this.sendItemStatusUpdates(order, PAZARAMA_STATUS.PREPARING);
+
+      await order.update({
+        orderStatus: "processing",
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: "Order accepted successfully on Pazarama",
+        externalOrderId,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to accept order on Pazarama: ${error.message}`, {
+        externalOrderId,
+        connectionId: this.connectionId,
+        response: error.response?.data,
+      });
+
+      return {
+        success: false,
+        message: `Failed to accept order: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Update order status on Pazarama. Shipping uses the order's cargo tracking details
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New internal status
+   * @returns {Promise<Object>} Update result
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId, {
+        include: [{ model: OrderItem, as: "items" }],
+      });
+
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const pazaramaStatus = this.mapToPlatformStatus(newStatus);
+      if (!pazaramaStatus) {
+        throw new Error(`Cannot map status '${newStatus}' to Pazarama status`);
+      }
+
+      let shipment = {};
+      if (pazaramaStatus === PAZARAMA_STATUS.SHIPPED) {
+        if (!order.cargoTrackingNumber) {
+          throw new Error("Tracking number is required to ship on Pazarama");
+        }
+        shipment = {
+          trackingNumber: order.cargoTrackingNumber,
+          trackingUrl: order.cargoTrackingUrl,
+        };
+      }
+
+      await this.sendItemStatusUpdates(order, pazaramaStatus, shipment);
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on Pazarama: ${error.message}`,
+        { orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch products from Pazarama
+   * @param {Object} params - page (single page), size, approved, maxPages
+   * @returns {Promise<Object>} Result containing products
+   */
+  async fetchProducts(params = {}) {
+    try {
+      await this.initialize();
+
+      const size = params.size || 250;
+      const singlePage = params.page !== undefined;
+      const maxPages = singlePage ? 1 : params.maxPages || 100;
+      const products = [];
+      let page = singlePage ? params.page : 1;
+      let pagesFetched = 0;
+
+      while (pagesFetched < maxPages) {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(PAZARAMA_API.ENDPOINTS.PRODUCTS, {
+            params: {
+              Approved: params.approved !== undefined ? params.approved : true,
+              Page: page,
+              Size: size,
+            },
+          })
+        );
+
+        const pageProducts = this.unwrapResponse(response) || [];
+        products.push(...pageProducts);
+        pagesFetched++;
+
+        if (pageProducts.length < size) {
+          break;
+        }
+        page++;
+      }
+
+      return {
+        success: true,
+        message: `Successfully fetched ${products.length} products from Pazarama`,
+        data: products,
+        pagination: { page, size },
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch products from Pazarama: ${error.message}`,
+        { status: error.response?.status, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch products: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Get Pazarama categories flattened from the category tree
+   * @returns {Promise<Array>} List of categories
+   */
+  async getCategories() {
+    await this.initialize();
+
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(PAZARAMA_API.ENDPOINTS.CATEGORY_TREE)
+    );
+    const tree = this.unwrapResponse(response) || [];
+
+    const categories = [];
+    const walk = (nodes, parentId, parentPath, level) => {
+      for (const node of nodes) {
+        const children = node.subCategories || node.children || [];
+        const path = parentPath ? `${parentPath} > ${node.name}` : node.name;
+
+        categories.push({
+          id: node.id,
+          name: node.name,
+          parentId,
+          hasChildren: children.length > 0,
+          isLeaf: node.leaf !== undefined ? node.leaf : children.length === 0,
+          path,
+          level,
+          platformSpecific: {
+            displayName: node.displayName || node.name,
+          },
+        });
+
+        walk(children, node.id, path, level + 1);
+      }
+    };
+    walk(tree, null, null, 0);
+
+    return categories;
+  }
+}
+
+module.exports = PazaramaService;
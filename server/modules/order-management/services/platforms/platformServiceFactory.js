@@ -6,12 +6,15 @@ const { Order, OrderItem, User } = require('../../../../models');
 const TrendyolService = require('./trendyol/trendyol-service');
 const HepsiburadaService =  require('./hepsiburada/hepsiburada-service');
 const N11Service = require('./n11/n11-service');
+const AmazonService = require('./amazon/amazon-service');
+const PazaramaService = require('./pazarama/pazarama-service');
+const CiceksepetiService = require('./ciceksepeti/ciceksepeti-service');
 const CSVImporterService = require('./csv/csv-importer');
 
 class PlatformServiceFactory {
   /**
    * Create a platform service instance based on platform type
-   * @param {string} platformType - The platform type (trendyol, hepsiburada, n11, csv)
+   * @param {string} platformType - The platform type (trendyol, hepsiburada, n11, amazon, pazarama, ciceksepeti, csv)
    * @param {string|Object} connectionData - Connection ID or connection object
    * @param {Object} directCredentials - Optional direct credentials for testing
    * @returns {Object} Platform service instance
@@ -29,6 +32,15 @@ class PlatformServiceFactory {
     case 'n11':
       return new N11Service(connectionData, directCredentials);
         
+    case 'amazon':
+      return new AmazonService(connectionData, directCredentials);
+        
+    case 'pazarama':
+      return new PazaramaService(connectionData, directCredentials);
+        
+    case 'ciceksepeti':
+      return new CiceksepetiService(connectionData, directCredentials);
+        
     case 'csv':
       return new CSVImporterService(connectionData);
         
@@ -42,7 +54,7 @@ class PlatformServiceFactory {
    * @returns {Array} List of supported platform types
    */
   static getSupportedPlatforms() {
-    return ['trendyol', 'hepsiburada', 'n11', 'csv'];
+    return ['trendyol', 'hepsiburada', 'n11', 'amazon', 'pazarama', 'ciceksepeti', 'csv'];
   }
   
   /**
@@ -28,9 +28,15 @@ const TRENDYOL_API = {
       "/integration/order/sellers/{sellerId}/shipment-packages/{packageId}",
 
     PRODUCTS: "/integration/product/sellers/{supplierId}/products",
-    CLAIMS: "/integration/suppliers/{supplierId}/claims",
+    CLAIMS: "/integration/order/sellers/{sellerId}/claims",
+    CLAIM_APPROVE:
+      "/integration/order/sellers/{sellerId}/claims/{claimId}/items/approve",
+    CLAIM_ISSUE: "/integration/order/sellers/{sellerId}/claims/{claimId}/issue",
+    CLAIM_ISSUE_REASONS: "/integration/order/claim-issue-reasons",
     SETTLEMENT: "/integration/suppliers/{supplierId}/settlements",
     BATCH_REQUEST: "/integration/suppliers/{supplierId}/batch-requests",
+    PRICE_AND_INVENTORY:
+      "/integration/inventory/sellers/{supplierId}/products/price-and-inventory",
     SHIPPING_PROVIDERS: "/integration/shipment-providers",
   },
 };
@@ -1702,6 +1708,325 @@ class TrendyolService extends BasePlatformService {
     }
   }
 
+  /**
+   * Fetch claims (iade talepleri) from Trendyol, following all pages
+   * @param {Object} params - startDate, endDate, claimItemStatus, size
+   * @returns {Promise<Object>} Result containing normalized claims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(endDate.getTime() - 14 * 24 * 60 * 60 * 1000);
+
+      const queryParams = {
+        startDate: startDate.getTime(),
+        endDate: endDate.getTime(),
+        size: Math.min(params.size || 50, 200),
+        page: 0,
+      };
+
+      if (params.claimItemStatus) {
+        queryParams.claimItemStatus = params.claimItemStatus;
+      }
+
+      const endpoint = TRENDYOL_API.ENDPOINTS.CLAIMS.replace(
+        "{sellerId}",
+        supplierId
+      );
+
+      const claims = [];
+      let totalPages = 1;
+
+      do {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(endpoint, { params: { ...queryParams } })
+        );
+
+        if (response.status >= 400) {
+          throw new Error(
+            response.data?.errors?.[0]?.message ||
+              `Trendyol API returned status ${response.status}`
+          );
+        }
+
+        const content = response.data?.content || [];
+        claims.push(...content.map((claim) => this.normalizeClaim(claim)));
+        totalPages = response.data?.totalPages || 1;
+        queryParams.page++;
+      } while (queryParams.page < totalPages);
+
+      this.logger.info(`Fetched ${claims.length} claims from Trendyol`, {
+        connectionId: this.connectionId,
+        startDate,
+        endDate,
+      });
+
+      return {
+        success: true,
+        message: `Successfully fetched ${claims.length} claims from Trendyol`,
+        data: claims,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch Trendyol claims: ${error.message}`, {
+        error: error.message,
+        status: error.response?.status,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch claims: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize a Trendyol claim into the common claim shape
+   * @param {Object} claim - Raw claim from the Trendyol API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const items = [];
+
+    (claim.items || []).forEach((item) => {
+      const orderLine = item.orderLine || {};
+
+      (item.claimItems || []).forEach((claimItem) => {
+        const platformStatus = claimItem.claimItemStatus?.name;
+        items.push({
+          platformClaimItemId: claimItem.id?.toString(),
+          sku: orderLine.merchantSku || null,
+          barcode: orderLine.barcode || null,
+          title: orderLine.productName || null,
+          quantity: 1, // Trendyol creates one claim item per returned unit
+          reason:
+            claimItem.customerClaimItemReason?.name ||
+            claimItem.trendyolClaimItemReason?.name ||
+            null,
+          status: this.mapClaimStatus(platformStatus),
+          platformStatus,
+        });
+      });
+    });
+
+    const itemStatuses = [...new Set(items.map((item) => item.platformStatus))];
+
+    return {
+      platformClaimId: claim.id?.toString(),
+      orderNumber: claim.orderNumber?.toString(),
+      status: this.mapClaimStatus(
+        itemStatuses.length === 1 ? itemStatuses[0] : "WaitingInAction"
+      ),
+      platformStatus: itemStatuses.join(","),
+      reason: items[0]?.reason || null,
+      customerNote:
+        claim.items?.[0]?.claimItems?.[0]?.customerNote || null,
+      claimDate: claim.claimDate ? new Date(claim.claimDate) : null,
+      cargoProvider: claim.cargoProviderName || null,
+      cargoTrackingNumber: claim.cargoTrackingNumber?.toString() || null,
+      items,
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map Trendyol claim item status to internal return status
+   * @param {string} trendyolStatus - claimItemStatus.name
+   * @returns {string} Internal return status
+   */
+  mapClaimStatus(trendyolStatus) {
+    const statusMap = {
+      Created: "pending",
+      WaitingInAction: "pending",
+      WaitingFraudCheck: "pending",
+      Accepted: "approved",
+      Rejected: "rejected",
+      Unresolved: "in_dispute",
+      InAnalysis: "in_dispute",
+      Cancelled: "cancelled",
+    };
+
+    return statusMap[trendyolStatus] || "pending";
+  }
+
+  /**
+   * Approve claim items on Trendyol
+   * @param {string} platformClaimId - Trendyol claim ID
+   * @param {Array<string>} claimItemIds - Claim item IDs to approve
+   * @returns {Promise<Object>} Result of the approval
+   */
+  async approveClaim(platformClaimId, claimItemIds) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      if (!Array.isArray(claimItemIds) || claimItemIds.length === 0) {
+        throw new Error("At least one claim item is required for approval");
+      }
+
+      const endpoint = TRENDYOL_API.ENDPOINTS.CLAIM_APPROVE.replace(
+        "{sellerId}",
+        supplierId
+      ).replace("{claimId}", platformClaimId);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(endpoint, {
+          claimLineItemIdList: claimItemIds,
+          params: {},
+        })
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol API returned status ${response.status}`
+        );
+      }
+
+      this.logger.info("Trendyol claim approved", {
+        platformClaimId,
+        itemCount: claimItemIds.length,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: true,
+        message: "Claim approved successfully on Trendyol",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to approve Trendyol claim: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to approve claim: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Reject claim items on Trendyol by opening a claim issue
+   * @param {string} platformClaimId - Trendyol claim ID
+   * @param {Array<string>} claimItemIds - Claim item IDs to reject
+   * @param {Object} rejection - reasonCode (claimIssueReasonId) and description
+   * @returns {Promise<Object>} Result of the rejection
+   */
+  async rejectClaim(platformClaimId, claimItemIds, rejection = {}) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      if (!rejection.reasonCode) {
+        throw new Error(
+          "A claim issue reason is required to reject a Trendyol claim"
+        );
+      }
+
+      if (!Array.isArray(claimItemIds) || claimItemIds.length === 0) {
+        throw new Error("At least one claim item is required for rejection");
+      }
+
+      const endpoint = TRENDYOL_API.ENDPOINTS.CLAIM_ISSUE.replace(
+        "{sellerId}",
+        supplierId
+      ).replace("{claimId}", platformClaimId);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(endpoint, null, {
+          params: {
+            claimIssueReasonId: rejection.reasonCode,
+            claimItemIdList: claimItemIds.join(","),
+            description: rejection.description || "",
+          },
+        })
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol API returned status ${response.status}`
+        );
+      }
+
+      this.logger.info("Trendyol claim rejected", {
+        platformClaimId,
+        reasonCode: rejection.reasonCode,
+        itemCount: claimItemIds.length,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: true,
+        message: "Claim rejected successfully on Trendyol",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to reject Trendyol claim: ${error.message}`, {
+        platformClaimId,
+        apiError: error.response?.data,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to reject claim: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Get the claim issue reasons Trendyol accepts when rejecting a claim
+   * @returns {Promise<Object>} Result containing [{ code, name }]
+   */
+  async getClaimRejectionReasons() {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(TRENDYOL_API.ENDPOINTS.CLAIM_ISSUE_REASONS)
+      );
+
+      const reasons = Array.isArray(response.data) ? response.data : [];
+
+      return {
+        success: true,
+        data: reasons.map((reason) => ({
+          code: reason.id?.toString(),
+          name: reason.name,
+        })),
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch Trendyol claim issue reasons: ${error.message}`,
+        { connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch claim issue reasons: ${error.message}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
   /**
    * Fetch products from Trendyol
    * @param {Object} params - Query parameters
@@ -2003,12 +2328,18 @@ class TrendyolService extends BasePlatformService {
   /**
    * Sync products from Trendyol to our database
    * @param {Object} params - Query parameters for product fetching
+   * @param {Object} options - Sync options
+   * @param {string} options.userId - Owner of newly created products
+   * @param {Function} options.onProgress - Called as (processed, total) after each product
+   * @param {Function} options.checkpoint - Awaited before each product (pause/cancel hook)
    * @returns {Promise<Object>} Result of the sync operation
    */
-  async syncProducts(params = {}) {
+  async syncProducts(params = {}, options = {}) {
     try {
       const { Product, TrendyolProduct } = require("../../../../../models");
-      const defaultUserId = process.env.DEFAULT_USER_ID || "1";
+      const { onProgress, checkpoint } = options;
+      const defaultUserId =
+        options.userId || process.env.DEFAULT_USER_ID || "1";
 
       // Fetch products from Trendyol
       const result = await this.fetchProducts(params);
@@ -2033,7 +2364,12 @@ class TrendyolService extends BasePlatformService {
       };
 
       // Process each product
+      let processed = 0;
       for (const trendyolProduct of products) {
+        if (checkpoint) {
+          await checkpoint();
+        }
+
         try {
           // Check if product already exists in our system
           const externalProductId =
@@ -2042,7 +2378,7 @@ class TrendyolService extends BasePlatformService {
           // Find existing Trendyol product details
           const existingTrendyolProduct = await TrendyolProduct.findOne({
             where: { externalProductId },
-            include: [{ model: Product }],
+            include: [{ model: Product, as: "product" }],
           });
 
           if (existingTrendyolProduct) {
@@ -2067,6 +2403,11 @@ class TrendyolService extends BasePlatformService {
             }
           );
           stats.failed++;
+        } finally {
+          processed++;
+          if (onProgress) {
+            onProgress(processed, stats.total);
+          }
         }
       }
 
@@ -2100,7 +2441,7 @@ class TrendyolService extends BasePlatformService {
    */
   async updateExistingProduct(existingTrendyolProduct, trendyolProductData) {
     try {
-      const mainProduct = existingTrendyolProduct.Product;
+      const mainProduct = existingTrendyolProduct.product;
 
       // Transaction to ensure both records are updated together
       await sequelize.transaction(async (t) => {
@@ -2190,6 +2531,110 @@ class TrendyolService extends BasePlatformService {
     }
   }
 
+  /**
+   * Create a new product from Trendyol data
+   * @param {Object} trendyolProductData - Product data from Trendyol API
+   * @param {string} userId - User ID to associate with the product
+   * @returns {Promise<Object>} Created product
+   */
+  async createNewProduct(trendyolProductData, userId) {
+    try {
+      const { Product, TrendyolProduct } = require("../../../../../models");
+
+      return await sequelize.transaction(async (t) => {
+        const productSku =
+          trendyolProductData.stockCode || trendyolProductData.barcode;
+
+        // Reuse an existing product with the same SKU for this user
+        let mainProduct = await Product.findOne({
+          where: { userId, sku: productSku },
+          transaction: t,
+        });
+
+        if (!mainProduct) {
+          mainProduct = await Product.create(
+            {
+              userId,
+              name: trendyolProductData.title,
+              description: trendyolProductData.description || "",
+              category: trendyolProductData.categoryName || "uncategorized",
+              price: parseFloat(
+                trendyolProductData.salePrice ||
+                  trendyolProductData.listPrice ||
+                  0
+              ),
+              sku: productSku,
+              stockQuantity: parseInt(trendyolProductData.quantity || 0, 10),
+              barcode: trendyolProductData.barcode,
+              sourcePlatform: "trendyol",
+              mainImageUrl:
+                trendyolProductData.images &&
+                trendyolProductData.images.length > 0
+                  ? trendyolProductData.images[0]
+                  : null,
+              additionalImages:
+                trendyolProductData.images &&
+                trendyolProductData.images.length > 1
+                  ? trendyolProductData.images.slice(1)
+                  : null,
+              attributes: trendyolProductData.attributes,
+              hasVariants: false,
+            },
+            { transaction: t }
+          );
+        }
+
+        await TrendyolProduct.create(
+          {
+            productId: mainProduct.id,
+            trendyolProductId: trendyolProductData.id.toString(),
+            externalProductId:
+              trendyolProductData.productCode ||
+              trendyolProductData.id.toString(),
+            barcode: trendyolProductData.barcode,
+            stockCode: trendyolProductData.stockCode,
+            title: trendyolProductData.title,
+            brand: trendyolProductData.brand,
+            brandId: trendyolProductData.brandId,
+            categoryId: trendyolProductData.pimCategoryId,
+            categoryName: trendyolProductData.categoryName,
+            productCode: trendyolProductData.productCode,
+            productContentId: trendyolProductData.productContentId,
+            productMainId: trendyolProductData.productMainId,
+            pimCategoryId: trendyolProductData.pimCategoryId,
+            supplierId: trendyolProductData.supplierId,
+            platformListingId: trendyolProductData.platformListingId,
+            quantity: trendyolProductData.quantity || 0,
+            listPrice: trendyolProductData.listPrice,
+            salePrice: trendyolProductData.salePrice,
+            vatRate: trendyolProductData.vatRate,
+            description: trendyolProductData.description,
+            images: trendyolProductData.images || [],
+            attributes: trendyolProductData.attributes || [],
+            approved: trendyolProductData.approved || false,
+            rejected: trendyolProductData.rejected || false,
+            archived: trendyolProductData.archived || false,
+            blacklisted: trendyolProductData.blacklisted || false,
+            locked: trendyolProductData.locked || false,
+            onSale: trendyolProductData.onSale || false,
+            status: trendyolProductData.approved ? "approved" : "pending",
+            lastSyncedAt: new Date(),
+            rawData: trendyolProductData,
+          },
+          { transaction: t }
+        );
+
+        return mainProduct;
+      });
+    } catch (error) {
+      this.logger.error(`Failed to create new product: ${error.message}`, {
+        error,
+        connectionId: this.connectionId,
+      });
+      throw new Error(`Failed to create new product: ${error.message}`);
+    }
+  }
+
   /**
    * Create product(s) on Trendyol marketplace
    * @param {Object|Array} productData - Product data or array of products
@@ -2444,6 +2889,306 @@ class TrendyolService extends BasePlatformService {
     }
   }
 
+  /**
+   * Last synced Trendyol list prices of the connection owner's products
+   * @param {Array<string>} barcodes
+   * @returns {Promise<Map<string, number>>} List price by barcode; barcodes
+   *   that were never synced are left out
+   */
+  async getCurrentListPrices(barcodes) {
+    const { Product, TrendyolProduct } = require("../../../../../models");
+    const uniqueBarcodes = [...new Set(barcodes)];
+    const listPrices = new Map();
+
+    for (let start = 0; start < uniqueBarcodes.length; start += 1000) {
+      const listings = await TrendyolProduct.findAll({
+        where: { barcode: { [Op.in]: uniqueBarcodes.slice(start, start + 1000) } },
+        attributes: ["barcode", "listPrice"],
+        include: [
+          {
+            model: Product,
+            as: "product",
+            where: { userId: this.connection.userId },
+            attributes: [],
+          },
+        ],
+      });
+
+      listings.forEach((listing) => {
+        listPrices.set(listing.barcode, parseFloat(listing.listPrice));
+      });
+    }
+
+    return listPrices;
+  }
+
+  /**
+   * Bulk update prices and/or stock on Trendyol via the price-and-inventory
+   * batch endpoint. Items are split into 1000-item requests (Trendyol limit).
+   * Rows that cannot be sent (no barcode, unknown list price, ...) are
+   * reported in failedItems and the rest are still submitted
+   * @param {Array} items - Items with barcode, quantity, salePrice, listPrice
+   * @returns {Promise<Object>} Update result with one batchRequestId per request
+   */
+  async updatePriceAndInventory(items) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      if (!supplierId) {
+        throw new Error("Missing supplierId in credentials for Trendyol API");
+      }
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("At least one item is required for price/stock update");
+      }
+
+      // Trendyol takes both prices together; keep the current list price
+      // (the strikethrough price) when only a sale price is given
+      const currentListPrices = await this.getCurrentListPrices(
+        items
+          .filter(
+            (item) =>
+              item.barcode &&
+              item.salePrice !== undefined &&
+              item.salePrice !== null &&
+              (item.listPrice === undefined || item.listPrice === null)
+          )
+          .map((item) => item.barcode.toString())
+      );
+
+      const trendyolItems = [];
+      const failedItems = [];
+      const rejectItem = (item, reason) =>
+        failedItems.push({
+          identifier: item.barcode || item.sku || null,
+          reasons: [reason],
+        });
+
+      for (const item of items) {
+        if (!item.barcode) {
+          rejectItem(item, "Barcode is required for Trendyol");
+          continue;
+        }
+
+        const barcode = item.barcode.toString();
+        const trendyolItem = { barcode };
+
+        if (item.quantity !== undefined && item.quantity !== null) {
+          trendyolItem.quantity = Math.max(0, parseInt(item.quantity, 10));
+        }
+
+        if (item.salePrice !== undefined && item.salePrice !== null) {
+          const salePrice = parseFloat(item.salePrice);
+          const listPrice = parseFloat(
+            item.listPrice ?? currentListPrices.get(barcode)
+          );
+
+          if (Number.isNaN(listPrice)) {
+            rejectItem(
+              item,
+              "Current list price is unknown; sync products or send a list price"
+            );
+            continue;
+          }
+
+          // Trendyol rejects a sale price above the list price
+          if (salePrice > listPrice) {
+            rejectItem(item, "Sale price cannot exceed list price");
+            continue;
+          }
+
+          trendyolItem.salePrice = parseFloat(salePrice.toFixed(2));
+          trendyolItem.listPrice = parseFloat(listPrice.toFixed(2));
+        }
+
+        if (
+          trendyolItem.quantity === undefined &&
+          trendyolItem.salePrice === undefined
+        ) {
+          rejectItem(item, "Either quantity or salePrice is required");
+          continue;
+        }
+
+        trendyolItems.push(trendyolItem);
+      }
+
+      if (trendyolItems.length === 0) {
+        return {
+          success: false,
+          message: "No valid items to update",
+          itemCount: 0,
+          requests: [],
+          failedItems,
+        };
+      }
+
+      const endpoint = TRENDYOL_API.ENDPOINTS.PRICE_AND_INVENTORY.replace(
+        "{supplierId}",
+        supplierId
+      );
+
+      const requests = [];
+      for (let start = 0; start < trendyolItems.length; start += 1000) {
+        const batch = trendyolItems.slice(start, start + 1000);
+
+        try {
+          const response = await this.retryRequest(() =>
+            this.axiosInstance.post(endpoint, { items: batch })
+          );
+
+          // 4xx responses resolve because of validateStatus, surface them here
+          if (response.status >= 400) {
+            throw Object.assign(
+              new Error(`Trendyol responded with status ${response.status}`),
+              { response }
+            );
+          }
+
+          requests.push({
+            requestId: response.data?.batchRequestId,
+            type: "price_inventory",
+            itemCount: batch.length,
+            success: true,
+          });
+        } catch (error) {
+          this.logger.error(
+            `Trendyol price/stock batch failed: ${error.message}`,
+            {
+              status: error.response?.status,
+              apiError: error.response?.data,
+              itemCount: batch.length,
+              connectionId: this.connectionId,
+            }
+          );
+
+          requests.push({
+            requestId: null,
+            type: "price_inventory",
+            itemCount: batch.length,
+            success: false,
+            error: error.response?.data || error.message,
+          });
+        }
+      }
+
+      const failedRequests = requests.filter((request) => !request.success);
+
+      this.logger.info("Trendyol price/stock update submitted", {
+        supplierId,
+        itemCount: trendyolItems.length,
+        rejectedItems: failedItems.length,
+        requestCount: requests.length,
+        failedRequests: failedRequests.length,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: failedRequests.length === 0 && failedItems.length === 0,
+        message:
+          failedRequests.length > 0
+            ? `${failedRequests.length} of ${requests.length} price/stock batch(es) failed`
+            : `Price/stock update submitted for ${trendyolItems.length} item(s)` +
+              (failedItems.length > 0
+                ? `, ${failedItems.length} item(s) rejected`
+                : ""),
+        itemCount: trendyolItems.length,
+        requests,
+        failedItems,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update price/stock on Trendyol: ${error.message}`,
+        {
+          status: error.response?.status,
+          apiError: error.response?.data,
+          connectionId: this.connectionId,
+        }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update price/stock: ${error.message}`,
+        error: error.response?.data || error.message,
+        statusCode: error.response?.status,
+        requests: [],
+      };
+    }
+  }
+
+  /**
+   * Update stock quantities on Trendyol via the price-and-inventory batch endpoint
+   * @param {Array} items - Items with barcode (or sku) and quantity
+   * @returns {Promise<Object>} Update result with batchRequestId
+   */
+  async updateInventory(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return {
+        success: false,
+        message: "At least one item is required for inventory update",
+      };
+    }
+
+    const result = await this.updatePriceAndInventory(
+      items.map((item) => ({
+        barcode: item.barcode || item.sku || item.stockCode,
+        quantity: Math.max(0, parseInt(item.quantity || 0, 10)),
+      }))
+    );
+    const failedRequest = result.requests.find((request) => !request.success);
+
+    return {
+      success: result.success,
+      batchRequestId: result.requests[0]?.requestId,
+      itemCount: result.itemCount || items.length,
+      message: result.message,
+      error: result.error || failedRequest?.error,
+    };
+  }
+
+  /**
+   * Normalized status of a batch submitted by updatePriceAndInventory
+   * @param {string} batchRequestId - Batch request ID
+   * @returns {Promise<Object>} { success, requestId, status, failedItems, data }
+   */
+  async checkPriceAndInventoryStatus(batchRequestId) {
+    const result = await this.checkBatchRequestStatus(batchRequestId);
+
+    if (!result.success) {
+      return {
+        success: false,
+        requestId: batchRequestId,
+        message: result.message,
+        error: result.error,
+      };
+    }
+
+    const failedItems = (result.items || [])
+      .filter((item) => item.status === "FAILED")
+      .map((item) => ({
+        identifier: item.requestItem?.barcode,
+        reasons: item.failureReasons || [],
+      }));
+
+    let status = "processing";
+    if (result.status === "FAILED") {
+      status = "failed";
+    } else if (["COMPLETED", "SUCCESS"].includes(result.status)) {
+      status = "completed";
+    }
+
+    return {
+      success: true,
+      requestId: batchRequestId,
+      status,
+      platformStatus: result.status,
+      itemCount: result.totalItemCount,
+      failedItems,
+      data: result.data,
+    };
+  }
+
   /**
    * Check batch request status using official Trendyol API
    * @param {string} batchRequestId - Batch request ID returned from updateProduct
@@ -2486,8 +3231,9 @@ class TrendyolService extends BasePlatformService {
         creationDate: batchData?.creationDate,
         totalItemCount: batchData?.items?.length || 0,
         items: batchData?.items || [],
-        isCompleted:
-          batchData?.status === "SUCCESS" || batchData?.status === "FAILED",
+        isCompleted: ["COMPLETED", "SUCCESS", "FAILED"].includes(
+          batchData?.status
+        ),
         isProcessing:
           batchData?.status === "IN_PROGRESS" ||
           batchData?.status === "WAITING",
@@ -1,24 +1,44 @@
+const crypto = require('crypto');
 const logger = require('../../../utils/logger');
+const authStateStore = require('./auth-state-store');
 
-class SessionManager {
-  constructor() {
-    this.sessions = new Map();
-    // Clean up expired sessions every hour
-    setInterval(() => this.cleanupExpiredSessions(), 60 * 60 * 1000);
-  }
+const REMEMBER_ME_DURATION = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION = 24 * 60 * 60 * 1000;
+
+// Oldest sessions are ended once a user has more than this many
+const MAX_SESSIONS_PER_USER = 20;
+
+// Activity is written at most this often per session, not on every request
+const ACTIVITY_UPDATE_INTERVAL = 5 * 60 * 1000;
 
+// Sessions are stored by the auth state store and expire with it
+class SessionManager {
   // Create a new session
-  createSession(userId, rememberMe = false) {
+  async createSession(userId, rememberMe = false) {
     const sessionId = this.generateSessionId();
     const expiresAt = this.calculateExpiration(rememberMe);
-    
-    this.sessions.set(sessionId, {
+
+    await this.saveSession(sessionId, {
       userId,
       createdAt: Date.now(),
       expiresAt,
       lastActivity: Date.now()
     });
 
+    // Track the user's live sessions so they can be invalidated together
+    const sessions = [
+      ...(await this.getUserSessions(userId)),
+      { id: sessionId, expiresAt }
+    ];
+    const evicted = sessions.splice(
+      0,
+      Math.max(0, sessions.length - MAX_SESSIONS_PER_USER)
+    );
+    for (const session of evicted) {
+      await authStateStore.del(`session:${session.id}`);
+    }
+    await this.saveUserSessions(userId, sessions);
+
     return {
       sessionId,
       expiresAt
@@ -26,67 +46,103 @@ class SessionManager {
   }
 
   // Update session activity
-  updateActivity(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async updateActivity(sessionId) {
+    const session = await authStateStore.get(`session:${sessionId}`);
     if (session) {
       session.lastActivity = Date.now();
+      await this.saveSession(sessionId, session);
       return true;
     }
     return false;
   }
 
-  // Validate session
-  validateSession(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) {return false;}
-
-    const now = Date.now();
-    if (now > session.expiresAt) {
-      this.sessions.delete(sessionId);
-      return false;
+  // Session data if the session is still live, null otherwise
+  async getActiveSession(sessionId) {
+    const session = await authStateStore.get(`session:${sessionId}`);
+    if (!session) {return null;}
+
+    if (Date.now() > session.expiresAt) {
+      await authStateStore.del(`session:${sessionId}`);
+      return null;
     }
 
-    this.updateActivity(sessionId);
-    return true;
+    if (Date.now() - session.lastActivity > ACTIVITY_UPDATE_INTERVAL) {
+      session.lastActivity = Date.now();
+      await this.saveSession(sessionId, session);
+    }
+    return session;
+  }
+
+  // Validate session
+  async validateSession(sessionId) {
+    return Boolean(await this.getActiveSession(sessionId));
   }
 
   // Invalidate session
-  invalidateSession(sessionId) {
-    return this.sessions.delete(sessionId);
+  async invalidateSession(sessionId) {
+    const session = await authStateStore.get(`session:${sessionId}`);
+    await authStateStore.del(`session:${sessionId}`);
+
+    if (session) {
+      const sessions = await this.getUserSessions(session.userId);
+      await this.saveUserSessions(
+        session.userId,
+        sessions.filter(({ id }) => id !== sessionId)
+      );
+    }
+    return true;
   }
 
   // Invalidate all sessions for a user
-  invalidateUserSessions(userId) {
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.userId === userId) {
-        this.sessions.delete(sessionId);
-      }
+  async invalidateUserSessions(userId) {
+    const sessions = await this.getUserSessions(userId);
+    for (const session of sessions) {
+      await authStateStore.del(`session:${session.id}`);
     }
+    await authStateStore.del(`user_sessions:${userId}`);
+
+    logger.info('Invalidated user sessions', {
+      userId,
+      count: sessions.length
+    });
+    return sessions.length;
   }
 
-  // Clean up expired sessions
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (now > session.expiresAt) {
-        this.sessions.delete(sessionId);
-      }
-    }
+  async saveSession(sessionId, session) {
+    await authStateStore.set(
+      `session:${sessionId}`,
+      session,
+      (session.expiresAt - Date.now()) / 1000
+    );
+  }
+
+  // The list lives as long as its longest session
+  async saveUserSessions(userId, sessions) {
+    const expiresAt = Math.max(0, ...sessions.map((session) => session.expiresAt));
+    await authStateStore.set(
+      `user_sessions:${userId}`,
+      sessions,
+      (expiresAt - Date.now()) / 1000
+    );
+  }
+
+  // Unexpired sessions of a user, oldest first
+  async getUserSessions(userId) {
+    const sessions = (await authStateStore.get(`user_sessions:${userId}`)) || [];
+    return sessions.filter((session) => session.expiresAt > Date.now());
   }
 
   // Helper method to generate session ID
   generateSessionId() {
-    return `sess_${Math.random().toString(36).substr(2, 9)}_${Date.now()}`;
+    return `sess_${crypto.randomBytes(24).toString('hex')}`;
   }
 
   // Helper method to calculate session expiration
   calculateExpiration(rememberMe) {
-    const now = Date.now();
     // Remember Me extends session to 30 days, otherwise 24 hours
-    const duration = rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
-    return now + duration;
+    return Date.now() + (rememberMe ? REMEMBER_ME_DURATION : DEFAULT_DURATION);
   }
 }
 
 // Export singleton instance
-module.exports = new SessionManager();
\ No newline at end of file
+module.exports = new SessionManager();
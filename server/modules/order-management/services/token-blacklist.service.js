@@ -1,33 +1,71 @@
+const crypto = require('crypto');
 const logger = require('../../../utils/logger');
+const authStateStore = require('./auth-state-store');
+const sessionManager = require('./session-manager.service');
+
+// "Log out all devices" markers must outlive every token issued before them;
+// 30 days covers the longest token and session lifetime
+const USER_REVOCATION_TTL = 30 * 24 * 60 * 60;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+// Tokens are stored by hash so the store never holds usable credentials
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
 
 // Token blacklist service for managing invalidated tokens
 class TokenBlacklistService {
-  constructor() {
-    this.blacklist = new Map();
-    // Clean up expired tokens every hour
-    setInterval(() => this.cleanupExpiredTokens(), 60 * 60 * 1000);
-  }
+  // Add token to blacklist until it would have expired anyway
+  async addToBlacklist(token, exp) {
+    const ttl = exp ? exp - nowInSeconds() : USER_REVOCATION_TTL;
+    if (ttl <= 0) {return;}
 
-  // Add token to blacklist
-  addToBlacklist(token, exp) {
-    this.blacklist.set(token, exp);
+    await authStateStore.set(`token_blacklist:${hashToken(token)}`, true, ttl);
   }
 
   // Check if token is blacklisted
-  isBlacklisted(token) {
-    return this.blacklist.has(token);
+  async isBlacklisted(token) {
+    return Boolean(
+      await authStateStore.get(`token_blacklist:${hashToken(token)}`)
+    );
   }
 
-  // Remove expired tokens from blacklist
-  cleanupExpiredTokens() {
-    const now = Math.floor(Date.now() / 1000);
-    for (const [token, exp] of this.blacklist.entries()) {
-      if (exp < now) {
-        this.blacklist.delete(token);
-      }
+  // Revoke every token issued to a user up to now. Stored in milliseconds so
+  // a session started right after logging out everywhere stays valid
+  async revokeAllForUser(userId) {
+    await authStateStore.set(
+      `token_revoked_before:${userId}`,
+      Date.now(),
+      USER_REVOCATION_TTL
+    );
+    logger.info('Revoked all tokens for user', { userId });
+  }
+
+  // Check a verified token against both the blacklist and user-wide revocations
+  async isRevoked(token, decoded) {
+    if (await this.isBlacklisted(token)) {return true;}
+
+    const userId = decoded && (decoded.id || decoded.userId);
+    if (!userId) {return false;}
+
+    // Tokens are tied to a login session and die with it
+    let issuedAt;
+    if (decoded.sid) {
+      const session = await sessionManager.getActiveSession(decoded.sid);
+      if (!session || session.userId !== userId) {return true;}
+      issuedAt = session.createdAt;
+    } else {
+      // Tokens from before sessions only carry a whole-second iat
+      if (!decoded.iat) {return false;}
+      issuedAt = decoded.iat * 1000;
     }
+
+    const revokedBefore = await authStateStore.get(
+      `token_revoked_before:${userId}`
+    );
+    return Boolean(revokedBefore) && issuedAt <= revokedBefore;
   }
 }
 
 // Export singleton instance
-module.exports = new TokenBlacklistService();
\ No newline at end of file
+module.exports = new TokenBlacklistService();
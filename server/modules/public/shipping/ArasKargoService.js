@@ -374,6 +374,60 @@ class ArasKargoService extends BaseShippingService {
     }
   }
 
+  /**
+   * Submit the end-of-day manifest to Aras Kargo
+   * @param {Object} manifestData - Manifest number, date and tracking numbers
+   * @returns {Promise<Object>} Close-out result
+   */
+  async closeManifest(manifestData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!manifestData?.trackingNumbers?.length) {
+        return this.createErrorResponse(
+          'Manifest has no tracking numbers',
+          'EMPTY_MANIFEST'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/api/v1/manifests', {
+          referenceNumber: manifestData.manifestNumber,
+          manifestDate: manifestData.manifestDate,
+          trackingNumbers: manifestData.trackingNumbers
+        })
+      );
+
+      if (!response.data || !response.data.success) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to close manifest',
+          'MANIFEST_FAILED'
+        );
+      }
+
+      return this.createSuccessResponse(
+        {
+          manifestNumber: manifestData.manifestNumber,
+          carrierReference: response.data.manifestId || null,
+          acceptedCount:
+            response.data.acceptedCount ?? manifestData.trackingNumbers.length
+        },
+        'Manifest closed successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to close Aras Kargo manifest: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to close manifest: ${error.message}`,
+        'MANIFEST_ERROR'
+      );
+    }
+  }
+
   /**
    * Get supported service types
    * @returns {Array} List of supported services
@@ -60,6 +60,19 @@ class BaseShippingService {
     throw new Error('cancelShipment() method must be implemented by subclass');
   }
 
+  /**
+   * Submit the end-of-day manifest (close-out) for handed over packages
+   * Carriers without a close-out API keep this default
+   * @param {Object} manifestData - Manifest number, date and tracking numbers
+   * @returns {Promise<Object>} Close-out result
+   */
+  async closeManifest(manifestData) {
+    return this.createErrorResponse(
+      `${this.carrierName} does not provide a manifest close-out API`,
+      'NOT_SUPPORTED'
+    );
+  }
+
   /**
    * Get supported service types for this carrier
    * @returns {Array} List of supported services
@@ -189,7 +202,8 @@ class BaseShippingService {
       volumeCm3 = length * width * height; // Assume cm³
     }
     
-    return Math.ceil(volumeCm3 / divisor);
+    // volume / divisor is in kg (desi); weights here are in grams
+    return Math.ceil((volumeCm3 / divisor) * 1000);
   }
 
   /**
@@ -0,0 +1,538 @@
+/**
+ * HepsiJet Shipping Service
+ * Integration with the HepsiJet delivery API for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class HepsiJetService extends BaseShippingService {
+  /**
+   * @param {Object} credentials - HepsiJet integration credentials
+   * @param {Object} httpClient - Axios compatible client used instead of
+   *   the real API (test doubles)
+   */
+  constructor(credentials = {}, httpClient = null) {
+    super('HepsiJet', credentials);
+    this.apiUrl = 'https://integration.hepsijet.com';
+    this.testApiUrl = 'https://integration-apitest.hepsijet.com';
+    this.isTestMode = credentials.testMode || false;
+    this.httpClient = httpClient;
+    this.token = null;
+  }
+
+  /**
+   * Initialize the HepsiJet service
+   */
+  async initialize() {
+    if (
+      !this.credentials.username ||
+      !this.credentials.password ||
+      !this.credentials.companyCode ||
+      !this.credentials.warehouseCode
+    ) {
+      throw new Error(
+        'HepsiJet credentials (username, password, companyCode, warehouseCode) are required'
+      );
+    }
+
+    const baseURL = this.isTestMode ? this.testApiUrl : this.apiUrl;
+
+    this.axiosInstance =
+      this.httpClient ||
+      axios.create({
+        baseURL,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        timeout: 30000
+      });
+
+    // The token call uses basic auth, everything else the token it returns
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.headers = config.headers || {};
+      if (config.url === '/auth/getToken') {
+        config.auth = {
+          username: this.credentials.username,
+          password: this.credentials.password
+        };
+      } else {
+        config.headers['X-Auth-Token'] = await this.getToken();
+      }
+      return config;
+    });
+
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401) {
+          this.token = null;
+        }
+        this.logger.error(`HepsiJet API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('HepsiJet service initialized successfully');
+  }
+
+  /**
+   * Auth token, requested once and again after a 401
+   * @returns {Promise<string>} Auth token
+   */
+  async getToken() {
+    if (this.token) {
+      return this.token;
+    }
+
+    const response = await this.axiosInstance.get('/auth/getToken');
+    if (!response.data?.data?.token) {
+      throw new Error('HepsiJet did not return an auth token');
+    }
+
+    this.token = response.data.data.token;
+    return this.token;
+  }
+
+  /**
+   * Check the credentials by requesting a token
+   * @returns {Promise<Object>} Connection test result
+   */
+  async testConnection() {
+    this.token = null;
+    await this.getToken();
+    return { success: true, message: 'HepsiJet credentials are valid' };
+  }
+
+  /**
+   * HepsiJet has no rate API; prices come from the contract price table
+   * configured with the credentials as [{maxDesi, price}]
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      const priceTable = this.credentials.priceTable;
+      if (!Array.isArray(priceTable) || priceTable.length === 0) {
+        return this.createErrorResponse(
+          'HepsiJet contract price table is not configured',
+          'RATES_NOT_CONFIGURED'
+        );
+      }
+
+      const availability = await this.checkDeliveryAvailability(toAddress);
+      if (!availability.success) {
+        return availability;
+      }
+      if (!availability.data.available) {
+        return this.createErrorResponse(
+          'HepsiJet does not deliver to this address',
+          'DELIVERY_NOT_AVAILABLE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // HepsiJet uses 3000 cm³/desi
+      const desi = Math.max(1, Math.ceil(weight / 1000));
+      const tier = [...priceTable]
+        .sort((a, b) => a.maxDesi - b.maxDesi)
+        .find((row) => desi <= row.maxDesi);
+
+      if (!tier) {
+        return this.createErrorResponse(
+          `Package exceeds the largest HepsiJet price tier (${desi} desi)`,
+          'PACKAGE_TOO_LARGE'
+        );
+      }
+
+      const rates = [
+        {
+          serviceCode: 'STANDARD',
+          serviceName: 'Standart',
+          price: parseFloat(tier.price),
+          currency: 'TRY',
+          estimatedDeliveryDays: availability.data.estimatedDeliveryDays,
+          features: ['Tracking', 'SMS'],
+          restrictions: []
+        }
+      ];
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get HepsiJet shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create a delivery order with HepsiJet and fetch its barcode label
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const customerDeliveryNo = this.buildDeliveryNo(orderInfo?.orderNumber);
+      const [firstName, ...lastNames] = toFormatted.name.trim().split(/\s+/);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/delivery/sendDeliveryOrderEnhanced', {
+          company: {
+            name: this.credentials.companyName || fromFormatted.name,
+            abbreviationCode: this.credentials.companyCode
+          },
+          delivery: {
+            customerDeliveryNo,
+            customerOrderId: orderInfo?.orderNumber || customerDeliveryNo,
+            totalParcels: String(packageInfo.quantity || 1),
+            desi: String(Math.max(1, Math.ceil(weight / 1000))),
+            deliverySlotOriginal: '0',
+            deliveryType: 'RETAIL',
+            product: { productCode: 'HX_STD' },
+            senderAddress: {
+              companyAddressId: this.credentials.warehouseCode,
+              country: { name: 'Türkiye' },
+              city: { name: fromFormatted.city },
+              town: { name: fromFormatted.district },
+              addressLine1: fromFormatted.address1
+            },
+            receiver: {
+              companyCustomerId: orderInfo?.orderNumber || customerDeliveryNo,
+              firstName: firstName || '',
+              lastName: lastNames.join(' '),
+              phone1: toFormatted.phone.replace(/\D/g, '').slice(-10),
+              email: toFormatted.email
+            },
+            recipientAddress: {
+              companyAddressId: '',
+              country: { name: 'Türkiye' },
+              city: { name: toFormatted.city },
+              town: { name: toFormatted.district },
+              addressLine1: [toFormatted.address1, toFormatted.address2]
+                .filter(Boolean)
+                .join(' ')
+            },
+            recipientPerson: toFormatted.name,
+            recipientPersonPhone1: toFormatted.phone.replace(/\D/g, '').slice(-10)
+          },
+          currentXDock: {
+            abbreviationCode: this.credentials.xDockCode || ''
+          }
+        })
+      );
+
+      if (response.data?.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to create delivery order',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const labelResponse = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/delivery/barcode-label', {
+          customerCode: this.credentials.companyCode,
+          barcodes: [customerDeliveryNo],
+          format: 'PDF'
+        })
+      );
+
+      const result = {
+        trackingNumber: customerDeliveryNo,
+        shipmentId: response.data.data?.[0]?.deliveryNo || null,
+        labelUrl: null,
+        labelData: labelResponse.data?.data?.[0] || null,
+        labelFormat: 'PDF',
+        estimatedDeliveryDate: null,
+        totalCost: null,
+        currency: 'TRY',
+        serviceType: packageInfo.serviceType || 'STANDARD',
+        barcodeNumber: customerDeliveryNo
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create HepsiJet shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with HepsiJet
+   * @param {string} trackingNumber - Customer delivery number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/delivery/getDeliveryTracking', {
+          deliveries: [{ customerDeliveryNo: trackingNumber }]
+        })
+      );
+
+      const tracking = response.data?.data?.[0];
+      if (response.data?.status !== 'OK' || !tracking) {
+        return this.createErrorResponse(
+          response.data?.message || 'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const transactions = tracking.transactions || [];
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(tracking.deliveryStatus),
+        statusDescription: tracking.deliveryStatusDescription,
+        estimatedDeliveryDate: tracking.estimatedDeliveryDate || null,
+        actualDeliveryDate: tracking.deliveryDate || null,
+        currentLocation: {
+          city: tracking.currentCity || null,
+          facility: tracking.currentXDock || null
+        },
+        events: transactions.map((transaction) => ({
+          date: transaction.transactionDateTime,
+          time: transaction.transactionDateTime,
+          status: transaction.transaction,
+          description: transaction.transactionDescription,
+          location: transaction.location,
+          explanation: transaction.reason
+        }))
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track HepsiJet package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Delete a delivery order with HepsiJet. Only orders not yet picked up
+   * can be deleted.
+   * @param {string} trackingNumber - Customer delivery number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(
+          `/rest/delivery/deleteDeliveryOrder/${encodeURIComponent(trackingNumber)}`,
+          { deleteReason: 'IPTAL' }
+        )
+      );
+
+      if (response.data?.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: new Date().toISOString(),
+        refundAmount: 0,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel HepsiJet shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Check if HepsiJet delivers to a district
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+      if (!formattedAddress.city || !formattedAddress.district) {
+        return this.createErrorResponse(
+          'City and district are required',
+          'INVALID_ADDRESS'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/delivery/checkCoverage', {
+          city: formattedAddress.city,
+          town: formattedAddress.district
+        })
+      );
+
+      if (response.data?.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const coverage = response.data.data || {};
+      const result = {
+        available: Boolean(coverage.available),
+        serviceTypes: coverage.available ? this.getSupportedServices() : [],
+        estimatedDeliveryDays: coverage.deliveryDays || '1-2',
+        restrictions: []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check HepsiJet delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart',
+        description: 'Standard delivery service',
+        estimatedDays: '1-2'
+      }
+    ];
+  }
+
+  /**
+   * Customer delivery number for a new order: order number plus a time
+   * suffix, so the same order can be shipped again after a cancellation
+   * @param {string} orderNumber - Order number
+   * @returns {string} Customer delivery number
+   */
+  buildDeliveryNo(orderNumber) {
+    const prefix = String(orderNumber || 'HJ')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .slice(0, 14);
+    return `${prefix}${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  /**
+   * Map HepsiJet delivery status to standard status
+   * @param {string} hepsiJetStatus - HepsiJet deliveryStatus
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(hepsiJetStatus) {
+    const statusMap = {
+      CREATED: 'created',
+      ACCEPTED: 'created',
+      PICKED_UP: 'in_transit',
+      IN_TRANSFER: 'in_transit',
+      ARRIVED_AT_XDOCK: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      DELIVERY_FAILED: 'delivery_failed',
+      ON_HOLD: 'on_hold',
+      RETURNED: 'returned',
+      RETURNED_TO_SENDER: 'returned',
+      DELETED: 'cancelled',
+      CANCELLED: 'cancelled'
+    };
+
+    return statusMap[hepsiJetStatus?.toUpperCase()] || 'unknown';
+  }
+}
+
+module.exports = HepsiJetService;
@@ -0,0 +1,655 @@
+/**
+ * MNG Kargo Shipping Service
+ * Integration with the MNG Kargo API Zone for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+// Tokens are refreshed this long before MNG expires them
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+class MNGKargoService extends BaseShippingService {
+  /**
+   * @param {Object} credentials - MNG API Zone credentials
+   * @param {Object} httpClient - Axios compatible client used instead of
+   *   the real API (test doubles)
+   */
+  constructor(credentials = {}, httpClient = null) {
+    super('MNG Kargo', credentials);
+    this.apiUrl = 'https://apizone.mngkargo.com.tr/mngapi/api';
+    this.testApiUrl = 'https://testapi.mngkargo.com.tr/mngapi/api';
+    this.isTestMode = credentials.testMode || false;
+    this.httpClient = httpClient;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Initialize the MNG Kargo service
+   */
+  async initialize() {
+    if (
+      !this.credentials.clientId ||
+      !this.credentials.clientSecret ||
+      !this.credentials.customerNumber ||
+      !this.credentials.password
+    ) {
+      throw new Error(
+        'MNG Kargo credentials (clientId, clientSecret, customerNumber, password) are required'
+      );
+    }
+
+    const baseURL = this.isTestMode ? this.testApiUrl : this.apiUrl;
+
+    this.axiosInstance =
+      this.httpClient ||
+      axios.create({
+        baseURL,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        timeout: 30000
+      });
+
+    // Every API Zone call carries the client keys, all but /token the JWT
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.headers = config.headers || {};
+      config.headers['X-IBM-Client-Id'] = this.credentials.clientId;
+      config.headers['X-IBM-Client-Secret'] = this.credentials.clientSecret;
+      if (config.url !== '/token') {
+        config.headers.Authorization = `Bearer ${await this.getToken()}`;
+      }
+      return config;
+    });
+
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401) {
+          this.token = null;
+        }
+        this.logger.error(`MNG Kargo API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('MNG Kargo service initialized successfully');
+  }
+
+  /**
+   * JWT for the API Zone, requested again shortly before it expires
+   * @returns {Promise<string>} Access token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+
+    const response = await this.axiosInstance.post('/token', {
+      customerNumber: this.credentials.customerNumber,
+      password: this.credentials.password,
+      identityType: 1
+    });
+
+    if (!response.data?.jwt) {
+      throw new Error('MNG Kargo did not return an access token');
+    }
+
+    this.token = response.data.jwt;
+    this.tokenExpiresAt = response.data.jwtExpireDate
+      ? new Date(response.data.jwtExpireDate).getTime()
+      : Date.now() + 60 * 60 * 1000;
+
+    return this.token;
+  }
+
+  /**
+   * Check the credentials by requesting a token
+   * @returns {Promise<Object>} Connection test result
+   */
+  async testConnection() {
+    this.token = null;
+    await this.getToken();
+    return { success: true, message: 'MNG Kargo credentials are valid' };
+  }
+
+  /**
+   * Get shipping rates from MNG Kargo
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      if (!toFormatted.city || !toFormatted.district) {
+        return this.createErrorResponse(
+          'Destination city and district are required',
+          'INVALID_ADDRESS'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // MNG uses 3000 cm³/desi
+      const desi = Math.max(1, Math.ceil(weight / 1000));
+      const serviceTypes = packageInfo.serviceType
+        ? [this.mapServiceType(packageInfo.serviceType)]
+        : [1, 7];
+
+      const rates = [];
+      for (const shipmentServiceType of serviceTypes) {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.post('/standardqueryapi/calculate', {
+            shipmentServiceType,
+            packagingType: this.mapPackagingType(packageInfo.type),
+            paymentType: packageInfo.paymentType === 'COD' ? 2 : 1,
+            pickUpType: 1,
+            deliveryType: 1,
+            senderCityName: fromFormatted.city,
+            senderDistrictName: fromFormatted.district,
+            cityName: toFormatted.city,
+            districtName: toFormatted.district,
+            orderPieceList: [{ desi, kg: Math.ceil(weight / 1000) }]
+          })
+        );
+
+        if (response.data?.finalTotal === undefined) {
+          return this.createErrorResponse(
+            response.data?.error?.Description || 'Failed to get shipping rates',
+            'RATE_CALCULATION_FAILED'
+          );
+        }
+
+        rates.push({
+          serviceCode: shipmentServiceType.toString(),
+          serviceName: this.getServiceName(shipmentServiceType),
+          price: parseFloat(response.data.finalTotal),
+          currency: 'TRY',
+          estimatedDeliveryDays: shipmentServiceType === 7 ? '1' : '1-3',
+          features: ['Tracking', 'COD', 'SMS'],
+          restrictions: []
+        });
+      }
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get MNG Kargo shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create an order and its barcode with MNG Kargo
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const desi = Math.max(1, Math.ceil(weight / 1000));
+      const isCod = packageInfo.paymentType === 'COD';
+      const serviceType = this.mapServiceType(packageInfo.serviceType);
+
+      // MNG tracks orders by the reference id we assign
+      const referenceId = this.buildReferenceId(orderInfo?.orderNumber);
+
+      const orderRequest = {
+        order: {
+          referenceId,
+          barcode: referenceId,
+          billOfLandingId: orderInfo?.orderNumber || referenceId,
+          isCOD: isCod ? 1 : 0,
+          codAmount: isCod ? packageInfo.codAmount || 0 : 0,
+          shipmentServiceType: serviceType,
+          packagingType: this.mapPackagingType(packageInfo.type),
+          content: packageInfo.description || 'E-commerce order',
+          smsPreference1: 1,
+          smsPreference2: 0,
+          smsPreference3: 0,
+          paymentType: isCod ? 2 : 1,
+          deliveryType: 1,
+          description: orderInfo?.orderNumber || '',
+          marketPlaceShortCode: '',
+          marketPlaceSaleCode: ''
+        },
+        orderPieceList: [
+          {
+            barcode: `${referenceId}-1`,
+            desi,
+            kg: Math.ceil(weight / 1000),
+            content: packageInfo.description || 'E-commerce order'
+          }
+        ],
+        shipper: this.buildContact(fromAddress),
+        recipient: this.buildContact(toAddress)
+      };
+
+      const orderResponse = await this.retryRequest(() =>
+        this.axiosInstance.post('/standardcmdapi/createOrder', orderRequest)
+      );
+
+      const createdOrder = Array.isArray(orderResponse.data)
+        ? orderResponse.data[0]
+        : orderResponse.data;
+      if (!createdOrder?.orderInvoiceId) {
+        return this.createErrorResponse(
+          createdOrder?.error?.Description || 'Failed to create shipping order',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const barcodeResponse = await this.retryRequest(() =>
+        this.axiosInstance.post('/barcodecmdapi/createbarcode', {
+          referenceId,
+          billOfLandingId: orderRequest.order.billOfLandingId,
+          isCOD: orderRequest.order.isCOD,
+          codAmount: orderRequest.order.codAmount,
+          packagingType: orderRequest.order.packagingType,
+          printReferenceBarcodeOnError: 0,
+          message: '',
+          additionalContent1: '',
+          additionalContent2: '',
+          additionalContent3: '',
+          additionalContent4: '',
+          orderPieceList: orderRequest.orderPieceList
+        })
+      );
+
+      const barcode = Array.isArray(barcodeResponse.data)
+        ? barcodeResponse.data[0]
+        : barcodeResponse.data;
+      if (!barcode?.shipmentId) {
+        return this.createErrorResponse(
+          barcode?.error?.Description || 'Failed to create shipping barcode',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      // The barcode comes back as ZPL text; labels are passed on as base64
+      const label = barcode.barcodes?.[0];
+
+      const result = {
+        trackingNumber: referenceId,
+        shipmentId: barcode.shipmentId,
+        invoiceId: barcode.invoiceId || createdOrder.orderInvoiceId,
+        labelUrl: null,
+        labelData: label?.value
+          ? Buffer.from(label.value).toString('base64')
+          : null,
+        labelFormat: 'ZPL',
+        estimatedDeliveryDate: null,
+        totalCost: null,
+        currency: 'TRY',
+        serviceType: packageInfo.serviceType || 'STANDARD',
+        barcodeNumber: label?.barcode || referenceId
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create MNG Kargo shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with MNG Kargo
+   * @param {string} trackingNumber - Reference id given at label creation
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const statusResponse = await this.retryRequest(() =>
+        this.axiosInstance.get(
+          `/standardqueryapi/getshipmentstatus/${encodeURIComponent(trackingNumber)}`
+        )
+      );
+
+      const shipment = Array.isArray(statusResponse.data)
+        ? statusResponse.data[0]
+        : statusResponse.data;
+      if (!shipment || shipment.shipmentStatusCode === undefined) {
+        return this.createErrorResponse(
+          'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const movementsResponse = await this.retryRequest(() =>
+        this.axiosInstance.get(
+          `/standardqueryapi/trackshipment/${encodeURIComponent(trackingNumber)}`
+        )
+      );
+      const movements = Array.isArray(movementsResponse.data)
+        ? movementsResponse.data
+        : [];
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(shipment.shipmentStatusCode),
+        statusDescription: shipment.shipmentStatus,
+        estimatedDeliveryDate: shipment.estimatedDeliveryDate || null,
+        actualDeliveryDate: shipment.deliveryDate || null,
+        currentLocation: {
+          city: shipment.deliveryCity || null,
+          facility: shipment.deliveryBranchName || null
+        },
+        events: movements.map((movement) => ({
+          date: movement.eventDateTime,
+          time: movement.eventDateTime,
+          status: movement.eventStatus,
+          description: movement.eventStatus,
+          location: movement.location,
+          explanation: movement.eventStatusEn
+        }))
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track MNG Kargo package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel an order with MNG Kargo. Only orders not yet accepted at a
+   * branch can be cancelled.
+   * @param {string} trackingNumber - Reference id given at label creation
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(
+          `/standardcmdapi/cancelorder/${encodeURIComponent(trackingNumber)}`
+        )
+      );
+
+      if (response.data?.error) {
+        return this.createErrorResponse(
+          response.data.error.Description || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: new Date().toISOString(),
+        refundAmount: 0,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel MNG Kargo shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Check if MNG Kargo delivers to a district
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+      if (!formattedAddress.city || !formattedAddress.district) {
+        return this.createErrorResponse(
+          'City and district are required',
+          'INVALID_ADDRESS'
+        );
+      }
+
+      const citiesResponse = await this.retryRequest(() =>
+        this.axiosInstance.get('/cbsinfoapi/getcities')
+      );
+      const city = (citiesResponse.data || []).find(
+        (item) => this.sameName(item.name, formattedAddress.city)
+      );
+
+      let district = null;
+      if (city) {
+        const districtsResponse = await this.retryRequest(() =>
+          this.axiosInstance.get(`/cbsinfoapi/getdistricts/${city.code}`)
+        );
+        district = (districtsResponse.data || []).find(
+          (item) => this.sameName(item.name, formattedAddress.district)
+        );
+      }
+
+      const result = {
+        available: Boolean(district),
+        serviceTypes: district ? this.getSupportedServices() : [],
+        estimatedDeliveryDays: '1-3',
+        restrictions: district ? [] : ['District is not served by MNG Kargo']
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check MNG Kargo delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: '1',
+        name: 'Standart',
+        description: 'Standard delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: '7',
+        name: 'Gün İçi',
+        description: 'Same day delivery in selected cities',
+        estimatedDays: '1'
+      }
+    ];
+  }
+
+  /**
+   * Contact block of an MNG order
+   * @param {Object} address - Raw address object
+   * @returns {Object} MNG contact
+   */
+  buildContact(address) {
+    const formatted = this.formatTurkishAddress(address);
+    return {
+      customerId: '',
+      refCustomerId: '',
+      cityCode: 0,
+      cityName: formatted.city,
+      districtName: formatted.district,
+      districtCode: 0,
+      address: [formatted.address1, formatted.address2]
+        .filter(Boolean)
+        .join(' '),
+      bussinessPhoneNumber: '',
+      email: formatted.email,
+      taxOffice: '',
+      taxNumber: '',
+      fullName: formatted.name,
+      homePhoneNumber: '',
+      mobilePhoneNumber: formatted.phone.replace(/\D/g, '').slice(-10)
+    };
+  }
+
+  /**
+   * Reference id for a new order: order number plus a time suffix, so the
+   * same order can be shipped again after a cancellation
+   * @param {string} orderNumber - Order number
+   * @returns {string} Reference id
+   */
+  buildReferenceId(orderNumber) {
+    const prefix = String(orderNumber || 'ORD')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .slice(0, 14);
+    return `${prefix}${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  sameName(a, b) {
+    const normalize = (value) =>
+      String(value || '').toLocaleUpperCase('tr-TR').trim();
+    return normalize(a) === normalize(b);
+  }
+
+  /**
+   * Map service type to MNG shipmentServiceType
+   * @param {string} serviceType - Service type
+   * @returns {number} MNG service type code
+   */
+  mapServiceType(serviceType) {
+    const serviceMap = {
+      STANDARD: 1,
+      SAME_DAY: 7,
+      EXPRESS: 7
+    };
+    return serviceMap[serviceType?.toUpperCase()] || 1;
+  }
+
+  /**
+   * Map package type to MNG packagingType
+   * @param {string} type - Package type
+   * @returns {number} MNG packaging type code
+   */
+  mapPackagingType(type) {
+    const typeMap = {
+      DOCUMENT: 1,
+      PACKAGE: 3,
+      PARCEL: 3
+    };
+    return typeMap[type?.toUpperCase()] || 3;
+  }
+
+  getServiceName(serviceType) {
+    return serviceType === 7 ? 'Gün İçi' : 'Standart';
+  }
+
+  /**
+   * Map MNG shipment status code to standard status
+   * @param {number} statusCode - MNG shipmentStatusCode
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(statusCode) {
+    const statusMap = {
+      0: 'created', // Order received, not yet at a branch
+      1: 'created', // Accepted at the sender branch
+      2: 'in_transit', // Moving between transfer centres
+      3: 'in_transit', // Arrived at the delivery branch
+      4: 'out_for_delivery',
+      5: 'delivered',
+      6: 'delivery_failed',
+      7: 'returned',
+      8: 'cancelled'
+    };
+
+    return statusMap[statusCode] || 'unknown';
+  }
+}
+
+module.exports = MNGKargoService;
@@ -386,6 +386,61 @@ class PTTKargoService extends BaseShippingService {
     }
   }
 
+  /**
+   * Submit the end-of-day manifest to PTT Kargo
+   * @param {Object} manifestData - Manifest number, date and tracking numbers
+   * @returns {Promise<Object>} Close-out result
+   */
+  async closeManifest(manifestData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!manifestData?.trackingNumbers?.length) {
+        return this.createErrorResponse(
+          'Manifest has no tracking numbers',
+          'EMPTY_MANIFEST'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/v1/acceptance-lists', {
+          customerCode: this.credentials.customerCode,
+          listNumber: manifestData.manifestNumber,
+          date: manifestData.manifestDate,
+          barcodes: manifestData.trackingNumbers
+        })
+      );
+
+      if (!response.data || !response.data.success) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to close manifest',
+          'MANIFEST_FAILED'
+        );
+      }
+
+      return this.createSuccessResponse(
+        {
+          manifestNumber: manifestData.manifestNumber,
+          carrierReference: response.data.acceptanceListId || null,
+          acceptedCount:
+            response.data.acceptedCount ?? manifestData.trackingNumbers.length
+        },
+        'Manifest closed successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to close PTT Kargo manifest: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to close manifest: ${error.message}`,
+        'MANIFEST_ERROR'
+      );
+    }
+  }
+
   /**
    * Get supported service types
    * @returns {Array} List of supported services
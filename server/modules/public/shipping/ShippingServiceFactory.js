@@ -6,6 +6,10 @@
 const ArasKargoService = require('./ArasKargoService');
 const YurticiKargoService = require('./YurticiKargoService');
 const PTTKargoService = require('./PTTKargoService');
+const MNGKargoService = require('./MNGKargoService');
+const SuratKargoService = require('./SuratKargoService');
+const HepsiJetService = require('./HepsiJetService');
+const { createTestDouble } = require('./fakes');
 const logger = require('../../../utils/logger');
 
 class ShippingServiceFactory {
@@ -14,14 +18,18 @@ class ShippingServiceFactory {
     this.supportedCarriers = [
       'aras',
       'yurtici',
-      'ptt'
+      'ptt',
+      'mng',
+      'surat',
+      'hepsijet'
     ];
   }
 
   /**
    * Get a shipping service instance for a specific carrier
-   * @param {string} carrierCode - Carrier code (aras, yurtici, ptt)
-   * @param {Object} credentials - Carrier credentials
+   * @param {string} carrierCode - Carrier code (aras, yurtici, ptt, mng, surat, hepsijet)
+   * @param {Object} credentials - Carrier credentials; `offline: true` runs
+   *   the carrier against its in-memory test double
    * @returns {Object} Shipping service instance
    */
   getService(carrierCode, credentials = {}) {
@@ -39,6 +47,10 @@ class ShippingServiceFactory {
       return this.services.get(serviceKey);
     }
 
+    const httpClient = credentials.offline
+      ? this.createOfflineClient(normalizedCode)
+      : null;
+
     // Create new service instance
     let service;
     switch (normalizedCode) {
@@ -51,6 +63,15 @@ class ShippingServiceFactory {
     case 'ptt':
       service = new PTTKargoService(credentials);
       break;
+    case 'mng':
+      service = new MNGKargoService(credentials, httpClient);
+      break;
+    case 'surat':
+      service = new SuratKargoService(credentials, httpClient);
+      break;
+    case 'hepsijet':
+      service = new HepsiJetService(credentials, httpClient);
+      break;
     default:
       throw new Error(`Service implementation not found for carrier: ${carrierCode}`);
     }
@@ -62,6 +83,23 @@ class ShippingServiceFactory {
     return service;
   }
 
+  /**
+   * In-memory carrier API for offline testing
+   * @param {string} carrierCode - Normalized carrier code
+   * @returns {Object} Axios compatible test double
+   */
+  createOfflineClient(carrierCode) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Offline carrier test doubles are disabled in production');
+    }
+
+    const httpClient = createTestDouble(carrierCode);
+    if (!httpClient) {
+      throw new Error(`No offline test double for carrier: ${carrierCode}`);
+    }
+    return httpClient;
+  }
+
   /**
    * Get all supported carriers with their information
    * @returns {Array} List of supported carriers
@@ -97,6 +135,36 @@ class ShippingServiceFactory {
         coverage: 'Turkey (all provinces and rural areas)',
         estimatedDeliveryDays: '1-5',
         credentialsRequired: ['apiKey', 'customerCode']
+      },
+      {
+        code: 'mng',
+        name: 'MNG Kargo',
+        description: 'Nationwide cargo company with same day delivery in major cities',
+        website: 'https://www.mngkargo.com.tr',
+        features: ['Tracking', 'COD', 'Same Day (limited cities)', 'SMS'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-3',
+        credentialsRequired: ['clientId', 'clientSecret', 'customerNumber', 'password']
+      },
+      {
+        code: 'surat',
+        name: 'Sürat Kargo',
+        description: 'Turkish cargo company with nationwide branch network',
+        website: 'https://www.suratkargo.com.tr',
+        features: ['Tracking', 'COD', 'SMS'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-2',
+        credentialsRequired: ['kullaniciAdi', 'sifre', 'cariKodu']
+      },
+      {
+        code: 'hepsijet',
+        name: 'HepsiJet',
+        description: 'E-commerce delivery network of Hepsiburada',
+        website: 'https://www.hepsijet.com',
+        features: ['Tracking', 'SMS', 'Contract pricing'],
+        coverage: 'Turkey (served districts)',
+        estimatedDeliveryDays: '1-2',
+        credentialsRequired: ['username', 'password', 'companyCode', 'warehouseCode']
       }
     ];
   }
@@ -258,6 +326,29 @@ class ShippingServiceFactory {
     }
   }
 
+  /**
+   * Submit an end-of-day manifest to a specific carrier
+   * @param {Object} manifestData - Manifest number, date and tracking numbers
+   * @param {string} carrierCode - Carrier code
+   * @param {Object} credentials - Carrier credentials
+   * @returns {Promise<Object>} Close-out result
+   */
+  async closeManifest(manifestData, carrierCode, credentials) {
+    try {
+      const service = this.getService(carrierCode, credentials);
+      const result = await service.closeManifest(manifestData);
+
+      return {
+        ...result,
+        carrier: carrierCode,
+        carrierName: service.carrierName
+      };
+    } catch (error) {
+      logger.error(`Failed to close manifest with ${carrierCode}: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
   /**
    * Check delivery availability across carriers
    * @param {Object} address - Delivery address
@@ -0,0 +1,509 @@
+/**
+ * Sürat Kargo Shipping Service
+ * Integration with the Sürat Kargo web service for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class SuratKargoService extends BaseShippingService {
+  /**
+   * @param {Object} credentials - Sürat Kargo web service credentials
+   * @param {Object} httpClient - Axios compatible client used instead of
+   *   the real API (test doubles)
+   */
+  constructor(credentials = {}, httpClient = null) {
+    super('Sürat Kargo', credentials);
+    this.apiUrl = 'https://api01.suratkargo.com.tr/api';
+    this.testApiUrl = 'https://testapi.suratkargo.com.tr/api';
+    this.isTestMode = credentials.testMode || false;
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Initialize the Sürat Kargo service
+   */
+  async initialize() {
+    if (
+      !this.credentials.kullaniciAdi ||
+      !this.credentials.sifre ||
+      !this.credentials.cariKodu
+    ) {
+      throw new Error(
+        'Sürat Kargo credentials (kullaniciAdi, sifre, cariKodu) are required'
+      );
+    }
+
+    const baseURL = this.isTestMode ? this.testApiUrl : this.apiUrl;
+
+    this.axiosInstance =
+      this.httpClient ||
+      axios.create({
+        baseURL,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        timeout: 30000
+      });
+
+    // Sürat authenticates every call with the account in the request body
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.data = {
+        KullaniciAdi: this.credentials.kullaniciAdi,
+        Sifre: this.credentials.sifre,
+        ...(config.data || {})
+      };
+      return config;
+    });
+
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        this.logger.error(`Sürat Kargo API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('Sürat Kargo service initialized successfully');
+  }
+
+  /**
+   * Check the credentials with an authenticated no-op call
+   * @returns {Promise<Object>} Connection test result
+   */
+  async testConnection() {
+    const response = await this.axiosInstance.post('/KullaniciDogrula', {
+      CariKodu: this.credentials.cariKodu
+    });
+
+    if (response.data?.IsError) {
+      throw new Error(response.data.Message || 'Sürat Kargo rejected the credentials');
+    }
+
+    return { success: true, message: 'Sürat Kargo credentials are valid' };
+  }
+
+  /**
+   * Get shipping rates from Sürat Kargo
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      if (!fromFormatted.city || !toFormatted.city) {
+        return this.createErrorResponse(
+          'Origin and destination cities are required',
+          'INVALID_ADDRESS'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // Sürat uses 3000 cm³/desi
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/FiyatHesapla', {
+          CariKodu: this.credentials.cariKodu,
+          CikisIl: fromFormatted.city,
+          VarisIl: toFormatted.city,
+          VarisIlce: toFormatted.district,
+          Desi: Math.max(1, Math.ceil(weight / 1000)),
+          Kg: Math.ceil(weight / 1000),
+          OdemeTipi: packageInfo.paymentType === 'COD' ? 2 : 1,
+          KapidanOdemeTutari:
+            packageInfo.paymentType === 'COD' ? packageInfo.codAmount || 0 : 0
+        })
+      );
+
+      if (!response.data || response.data.IsError) {
+        return this.createErrorResponse(
+          response.data?.Message || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const price = response.data.Data;
+      const rates = [
+        {
+          serviceCode: 'STANDARD',
+          serviceName: 'Standart',
+          price: parseFloat(price.ToplamTutar || 0),
+          currency: 'TRY',
+          estimatedDeliveryDays: price.TeslimSuresi || '1-2',
+          features: ['Tracking', 'COD', 'SMS'],
+          restrictions: []
+        }
+      ];
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get Sürat Kargo shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Hand a shipment over to Sürat Kargo and get its label
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const isCod = packageInfo.paymentType === 'COD';
+
+      // Sürat tracks shipments by the tracking key we assign
+      const trackingNumber = this.buildTrackingKey(orderInfo?.orderNumber);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/GonderiyiKargoyaGonder', {
+          Gonderi: {
+            CariKodu: this.credentials.cariKodu,
+            OzelKargoTakipNo: trackingNumber,
+            KisiKurum: toFormatted.name,
+            AliciAdresi: [toFormatted.address1, toFormatted.address2]
+              .filter(Boolean)
+              .join(' '),
+            Il: toFormatted.city,
+            Ilce: toFormatted.district,
+            TelefonCep: toFormatted.phone.replace(/\D/g, '').slice(-10),
+            Email: toFormatted.email,
+            AliciKodu: '',
+            Adet: packageInfo.quantity || 1,
+            Desi: Math.max(1, Math.ceil(weight / 1000)),
+            Kg: Math.ceil(weight / 1000),
+            KargoIcerigi: packageInfo.description || 'E-commerce order',
+            OdemeTipi: isCod ? 2 : 1,
+            KapidanOdemeTahsilatTipi: isCod ? 1 : 0,
+            KapidanOdemeTutari: isCod ? packageInfo.codAmount || 0 : 0,
+            EkHizmetler: '',
+            SevkAdresi: fromFormatted.address1,
+            TeslimSekli: 1,
+            TasimaSekli: 1,
+            BayiNo: '',
+            EntegrasyonFirmasi: '',
+            Irsaliye: orderInfo?.orderNumber || '',
+            SiparisNo: orderInfo?.orderNumber || ''
+          },
+          BarkodFormati: 'PDF'
+        })
+      );
+
+      if (!response.data || response.data.IsError) {
+        return this.createErrorResponse(
+          response.data?.Message || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const created = response.data.Data || {};
+
+      const result = {
+        trackingNumber,
+        shipmentId: created.KargoTakipNo || null,
+        labelUrl: created.BarkodUrl || null,
+        labelData: created.BarkodPdf || null,
+        labelFormat: 'PDF',
+        estimatedDeliveryDate: null,
+        totalCost: created.ToplamTutar ?? null,
+        currency: 'TRY',
+        serviceType: packageInfo.serviceType || 'STANDARD',
+        barcodeNumber: created.Barkod || trackingNumber
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create Sürat Kargo shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with Sürat Kargo
+   * @param {string} trackingNumber - Tracking key given at label creation
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/KargoTakipHareketDetayi', {
+          CariKodu: this.credentials.cariKodu,
+          OzelKargoTakipNo: trackingNumber
+        })
+      );
+
+      if (!response.data || response.data.IsError || !response.data.Data) {
+        return this.createErrorResponse(
+          response.data?.Message || 'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const tracking = response.data.Data;
+      const movements = tracking.Hareketler || [];
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(tracking.DurumKodu),
+        statusDescription: tracking.Durum,
+        estimatedDeliveryDate: tracking.TahminiTeslimTarihi || null,
+        actualDeliveryDate: tracking.TeslimTarihi || null,
+        currentLocation: {
+          city: tracking.BulunduguIl || null,
+          facility: tracking.BulunduguBirim || null
+        },
+        events: movements.map((movement) => ({
+          date: movement.Tarih,
+          time: movement.Saat,
+          status: movement.IslemKodu,
+          description: movement.Islem,
+          location: movement.Birim,
+          explanation: movement.Aciklama
+        }))
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track Sürat Kargo package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with Sürat Kargo
+   * @param {string} trackingNumber - Tracking key given at label creation
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/GonderiIptal', {
+          CariKodu: this.credentials.cariKodu,
+          OzelKargoTakipNo: trackingNumber
+        })
+      );
+
+      if (!response.data || response.data.IsError) {
+        return this.createErrorResponse(
+          response.data?.Message || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: new Date().toISOString(),
+        refundAmount: 0,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel Sürat Kargo shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Check if Sürat Kargo serves a district
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+      if (!formattedAddress.city || !formattedAddress.district) {
+        return this.createErrorResponse(
+          'City and district are required',
+          'INVALID_ADDRESS'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/IlceHizmetKontrol', {
+          Il: formattedAddress.city,
+          Ilce: formattedAddress.district
+        })
+      );
+
+      if (!response.data || response.data.IsError) {
+        return this.createErrorResponse(
+          response.data?.Message || 'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const coverage = response.data.Data || {};
+      const result = {
+        available: Boolean(coverage.HizmetVar),
+        serviceTypes: coverage.HizmetVar ? this.getSupportedServices() : [],
+        estimatedDeliveryDays: coverage.TeslimSuresi || '1-2',
+        restrictions: coverage.MobilBolge ? ['Mobile delivery area'] : []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check Sürat Kargo delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart',
+        description: 'Standard delivery service',
+        estimatedDays: '1-2'
+      },
+      {
+        code: 'COD',
+        name: 'Kapıda Ödeme',
+        description: 'Cash on delivery service',
+        estimatedDays: '1-2'
+      }
+    ];
+  }
+
+  /**
+   * Tracking key for a new shipment: order number plus a time suffix, so the
+   * same order can be shipped again after a cancellation
+   * @param {string} orderNumber - Order number
+   * @returns {string} Tracking key
+   */
+  buildTrackingKey(orderNumber) {
+    const prefix = String(orderNumber || 'SRT')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .slice(0, 12);
+    return `${prefix}${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  /**
+   * Map Sürat Kargo status code to standard status
+   * @param {number} statusCode - Sürat DurumKodu
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(statusCode) {
+    const statusMap = {
+      0: 'created', // Shipment data received
+      1: 'created', // Accepted at the branch
+      2: 'in_transit',
+      3: 'in_transit', // At the delivery branch
+      4: 'out_for_delivery',
+      5: 'delivered',
+      6: 'delivery_failed',
+      7: 'returned',
+      8: 'cancelled',
+      9: 'on_hold'
+    };
+
+    return statusMap[statusCode] || 'unknown';
+  }
+}
+
+module.exports = SuratKargoService;
@@ -0,0 +1,158 @@
+/**
+ * Fake Carrier Client
+ * In-memory stand-in for the axios instance of a carrier service, so carrier
+ * integrations can be exercised without network access or real accounts
+ */
+
+// Cities and districts every fake carrier delivers to
+const FAKE_COVERAGE = {
+  'İstanbul': ['Kadıköy', 'Beşiktaş', 'Üsküdar', 'Şişli', 'Ataşehir'],
+  Ankara: ['Çankaya', 'Keçiören', 'Yenimahalle'],
+  'İzmir': ['Konak', 'Bornova', 'Karşıyaka'],
+  Bursa: ['Nilüfer', 'Osmangazi']
+};
+
+// Credentials with this password are rejected by every fake carrier
+const INVALID_PASSWORD = 'invalid';
+
+// Smallest document the label endpoints hand back
+const FAKE_PDF_LABEL = Buffer.from(
+  '%PDF-1.4\n1 0 obj<</Type/Catalog>>endobj\ntrailer<</Root 1 0 R>>\n%%EOF\n'
+).toString('base64');
+
+class FakeCarrierClient {
+  constructor() {
+    this.requests = [];
+    this.shipments = new Map();
+    this.requestInterceptor = null;
+    this.errorInterceptor = null;
+
+    // Services attach their interceptors on every initialize(); like a
+    // fresh axios instance, only the latest ones apply
+    this.interceptors = {
+      request: {
+        use: (onFulfilled) => {
+          this.requestInterceptor = onFulfilled;
+        }
+      },
+      response: {
+        use: (onFulfilled, onRejected) => {
+          this.errorInterceptor = onRejected;
+        }
+      }
+    };
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+
+  async request(config) {
+    let requestConfig = { headers: {}, ...config };
+    if (this.requestInterceptor) {
+      requestConfig = await this.requestInterceptor(requestConfig);
+    }
+
+    this.requests.push({
+      method: requestConfig.method,
+      url: requestConfig.url,
+      data: requestConfig.data
+    });
+
+    try {
+      const data = await this.handle(requestConfig);
+      return { status: 200, data, config: requestConfig };
+    } catch (error) {
+      if (this.errorInterceptor) {
+        return this.errorInterceptor(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Answer one request in the carrier's response format
+   * Must be implemented by subclasses
+   * @param {Object} config - Request config after the service interceptors
+   * @returns {Promise<any>} Response body
+   */
+  async handle(config) {
+    throw new Error('handle() method must be implemented by subclass');
+  }
+
+  /**
+   * Error shaped like the one axios rejects with for a non-2xx response
+   */
+  httpError(status, data) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data };
+    return error;
+  }
+
+  /**
+   * Store a new shipment; it starts at the first step of the carrier's
+   * status sequence
+   */
+  addShipment(trackingNumber, details = {}) {
+    this.shipments.set(trackingNumber, {
+      ...details,
+      step: 0,
+      cancelled: false,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Each tracking query moves a shipment one step further, until the last
+   * step of the sequence is reached
+   */
+  advanceShipment(trackingNumber, stepCount) {
+    const shipment = this.shipments.get(trackingNumber);
+    if (shipment && !shipment.cancelled && shipment.step < stepCount - 1) {
+      shipment.step++;
+    }
+    return shipment;
+  }
+
+  isCovered(city, district) {
+    const normalize = (value) =>
+      String(value || '').toLocaleUpperCase('tr-TR').trim();
+    const coveredCity = Object.keys(FAKE_COVERAGE).find(
+      (name) => normalize(name) === normalize(city)
+    );
+    return Boolean(
+      coveredCity &&
+        FAKE_COVERAGE[coveredCity].some(
+          (name) => normalize(name) === normalize(district)
+        )
+    );
+  }
+
+  /**
+   * Path segments after a prefix, e.g. the id of /trackshipment/:id
+   */
+  pathParam(url, prefix) {
+    return url.startsWith(prefix)
+      ? decodeURIComponent(url.slice(prefix.length))
+      : null;
+  }
+}
+
+module.exports = {
+  FakeCarrierClient,
+  FAKE_COVERAGE,
+  FAKE_PDF_LABEL,
+  INVALID_PASSWORD
+};
@@ -0,0 +1,129 @@
+/**
+ * Fake HepsiJet integration API
+ * Answers HepsiJetService requests in the {status, message, data} format
+ */
+
+const {
+  FakeCarrierClient,
+  FAKE_PDF_LABEL,
+  INVALID_PASSWORD
+} = require('./FakeCarrierClient');
+
+// deliveryStatus sequence a tracked delivery goes through
+const STATUS_STEPS = [
+  { status: 'CREATED', description: 'Teslimat oluşturuldu', location: null },
+  { status: 'PICKED_UP', description: 'Gönderici deposundan alındı', location: 'Depo' },
+  { status: 'ARRIVED_AT_XDOCK', description: 'Dağıtım merkezinde', location: 'Dağıtım Merkezi' },
+  { status: 'OUT_FOR_DELIVERY', description: 'Dağıtıma çıktı', location: 'Dağıtım Merkezi' },
+  { status: 'DELIVERED', description: 'Teslim edildi', location: 'Alıcı adresi' }
+];
+
+const DELETED_STEP = { status: 'DELETED', description: 'Teslimat silindi', location: null };
+
+class FakeHepsiJetApi extends FakeCarrierClient {
+  constructor() {
+    super();
+    this.issuedTokens = new Set();
+  }
+
+  async handle(config) {
+    const { method, url, data = {}, headers = {}, auth } = config;
+
+    if (method === 'get' && url === '/auth/getToken') {
+      if (!auth?.username || auth.password === INVALID_PASSWORD) {
+        throw this.httpError(401, { status: 'FAIL', message: 'Kullanıcı adı veya şifre hatalı' });
+      }
+      const token = `fake-hepsijet-token-${this.issuedTokens.size + 1}`;
+      this.issuedTokens.add(token);
+      return { status: 'OK', data: { token } };
+    }
+
+    if (!this.issuedTokens.has(headers['X-Auth-Token'])) {
+      throw this.httpError(401, { status: 'FAIL', message: 'Invalid token' });
+    }
+
+    if (method === 'post' && url === '/rest/delivery/sendDeliveryOrderEnhanced') {
+      const deliveryNo = data.delivery?.customerDeliveryNo;
+      if (!deliveryNo || this.shipments.has(deliveryNo)) {
+        return { status: 'FAIL', message: 'customerDeliveryNo is missing or already used' };
+      }
+      if (!this.isCovered(data.delivery.recipientAddress?.city?.name, data.delivery.recipientAddress?.town?.name)) {
+        return { status: 'FAIL', message: 'Alıcı adresi teslimat bölgesi dışında' };
+      }
+      this.addShipment(deliveryNo, { city: data.delivery.recipientAddress.city.name });
+      return {
+        status: 'OK',
+        data: [{ customerDeliveryNo: deliveryNo, deliveryNo: `HJ${Date.now()}` }]
+      };
+    }
+
+    if (method === 'post' && url === '/rest/delivery/barcode-label') {
+      const labels = (data.barcodes || [])
+        .filter((barcode) => this.shipments.has(barcode))
+        .map(() => FAKE_PDF_LABEL);
+      return { status: 'OK', data: labels };
+    }
+
+    if (method === 'post' && url === '/rest/delivery/getDeliveryTracking') {
+      const deliveries = (data.deliveries || [])
+        .map(({ customerDeliveryNo }) => {
+          const shipment = this.advanceShipment(customerDeliveryNo, STATUS_STEPS.length);
+          if (!shipment) {
+            return null;
+          }
+          const steps = STATUS_STEPS.slice(0, shipment.step + 1);
+          if (shipment.cancelled) {
+            steps.push(DELETED_STEP);
+          }
+          const current = steps[steps.length - 1];
+          return {
+            customerDeliveryNo,
+            deliveryStatus: current.status,
+            deliveryStatusDescription: current.description,
+            currentCity: shipment.city,
+            currentXDock: current.location,
+            deliveryDate: current.status === 'DELIVERED' ? new Date().toISOString() : null,
+            transactions: steps.map((step) => ({
+              transactionDateTime: new Date().toISOString(),
+              transaction: step.status,
+              transactionDescription: step.description,
+              location: step.location,
+              reason: null
+            }))
+          };
+        })
+        .filter(Boolean);
+
+      return deliveries.length > 0
+        ? { status: 'OK', data: deliveries }
+        : { status: 'FAIL', message: 'Teslimat bulunamadı', data: [] };
+    }
+
+    const deleteId = this.pathParam(url, '/rest/delivery/deleteDeliveryOrder/');
+    if (method === 'post' && deleteId) {
+      const shipment = this.shipments.get(deleteId);
+      if (!shipment) {
+        return { status: 'FAIL', message: 'Teslimat bulunamadı' };
+      }
+      if (shipment.step > 0) {
+        return { status: 'FAIL', message: 'Depodan alınan teslimat silinemez' };
+      }
+      shipment.cancelled = true;
+      return { status: 'OK' };
+    }
+
+    if (method === 'post' && url === '/rest/delivery/checkCoverage') {
+      return {
+        status: 'OK',
+        data: {
+          available: this.isCovered(data.city, data.town),
+          deliveryDays: '1-2'
+        }
+      };
+    }
+
+    throw this.httpError(404, { status: 'FAIL', message: `No route for ${method} ${url}` });
+  }
+}
+
+module.exports = FakeHepsiJetApi;
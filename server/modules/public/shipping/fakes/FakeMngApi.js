@@ -0,0 +1,167 @@
+/**
+ * Fake MNG Kargo API Zone
+ * Answers MNGKargoService requests in the API Zone response format
+ */
+
+const {
+  FakeCarrierClient,
+  FAKE_COVERAGE,
+  INVALID_PASSWORD
+} = require('./FakeCarrierClient');
+
+// shipmentStatusCode sequence a tracked shipment goes through
+const STATUS_STEPS = [
+  { code: 0, status: 'Sipariş alındı', location: null },
+  { code: 2, status: 'Transfer merkezinde', location: 'İstanbul Transfer Merkezi' },
+  { code: 3, status: 'Teslimat şubesinde', location: 'Teslimat Şubesi' },
+  { code: 4, status: 'Dağıtıma çıktı', location: 'Teslimat Şubesi' },
+  { code: 5, status: 'Teslim edildi', location: 'Alıcı adresi' }
+];
+
+const CANCELLED_STEP = { code: 8, status: 'İptal edildi', location: null };
+
+class FakeMngApi extends FakeCarrierClient {
+  constructor() {
+    super();
+    this.issuedTokens = new Set();
+    this.cities = Object.keys(FAKE_COVERAGE).map((name, index) => ({
+      code: String(index + 1),
+      name
+    }));
+  }
+
+  async handle(config) {
+    const { method, url, data = {}, headers = {} } = config;
+
+    if (!headers['X-IBM-Client-Id'] || !headers['X-IBM-Client-Secret']) {
+      throw this.httpError(401, { error: { Description: 'Client id and secret are required' } });
+    }
+
+    if (method === 'post' && url === '/token') {
+      if (!data.customerNumber || data.password === INVALID_PASSWORD) {
+        throw this.httpError(401, { error: { Description: 'Müşteri numarası veya şifre hatalı' } });
+      }
+      const jwt = `fake-mng-jwt-${this.issuedTokens.size + 1}`;
+      this.issuedTokens.add(jwt);
+      return {
+        jwt,
+        refreshToken: `${jwt}-refresh`,
+        jwtExpireDate: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      };
+    }
+
+    const token = String(headers.Authorization || '').replace('Bearer ', '');
+    if (!this.issuedTokens.has(token)) {
+      throw this.httpError(401, { error: { Description: 'Invalid token' } });
+    }
+
+    if (method === 'post' && url === '/standardqueryapi/calculate') {
+      const desi = data.orderPieceList?.[0]?.desi || 1;
+      const sameDay = data.shipmentServiceType === 7 ? 35 : 0;
+      return { finalTotal: (49.9 + desi * 7.5 + sameDay).toFixed(2) };
+    }
+
+    if (method === 'post' && url === '/standardcmdapi/createOrder') {
+      const { referenceId } = data.order || {};
+      if (!referenceId || this.shipments.has(referenceId)) {
+        throw this.httpError(400, { error: { Description: 'referenceId is missing or already used' } });
+      }
+      this.addShipment(referenceId, { recipient: data.recipient });
+      return [
+        {
+          orderInvoiceId: `INV${this.shipments.size}`,
+          orderInvoiceDetailId: `DET${this.shipments.size}`,
+          shipperBranchCode: '0340'
+        }
+      ];
+    }
+
+    if (method === 'post' && url === '/barcodecmdapi/createbarcode') {
+      if (!this.shipments.has(data.referenceId)) {
+        throw this.httpError(404, { error: { Description: 'Order not found' } });
+      }
+      return [
+        {
+          referenceId: data.referenceId,
+          invoiceId: `INV${this.shipments.size}`,
+          shipmentId: `MNG${Date.now()}`,
+          barcodes: [
+            {
+              pieceNumber: 1,
+              barcode: data.referenceId,
+              value: `^XA^FO50,50^BCN,100,Y,N,N^FD${data.referenceId}^FS^XZ`
+            }
+          ]
+        }
+      ];
+    }
+
+    const statusId = this.pathParam(url, '/standardqueryapi/getshipmentstatus/');
+    if (method === 'get' && statusId) {
+      const shipment = this.advanceShipment(statusId, STATUS_STEPS.length);
+      if (!shipment) {
+        throw this.httpError(404, { error: { Description: 'Shipment not found' } });
+      }
+      const step = shipment.cancelled ? CANCELLED_STEP : STATUS_STEPS[shipment.step];
+      return [
+        {
+          referenceId: statusId,
+          shipmentStatusCode: step.code,
+          shipmentStatus: step.status,
+          deliveryCity: shipment.recipient?.cityName || null,
+          deliveryBranchName: step.location,
+          deliveryDate: step.code === 5 ? new Date().toISOString() : null
+        }
+      ];
+    }
+
+    const trackId = this.pathParam(url, '/standardqueryapi/trackshipment/');
+    if (method === 'get' && trackId) {
+      const shipment = this.shipments.get(trackId);
+      if (!shipment) {
+        throw this.httpError(404, { error: { Description: 'Shipment not found' } });
+      }
+      const steps = STATUS_STEPS.slice(0, shipment.step + 1);
+      if (shipment.cancelled) {
+        steps.push(CANCELLED_STEP);
+      }
+      return steps.map((step) => ({
+        eventDateTime: new Date().toISOString(),
+        eventStatus: step.status,
+        eventStatusEn: step.status,
+        location: step.location
+      }));
+    }
+
+    const cancelId = this.pathParam(url, '/standardcmdapi/cancelorder/');
+    if (method === 'put' && cancelId) {
+      const shipment = this.shipments.get(cancelId);
+      if (!shipment) {
+        throw this.httpError(404, { error: { Description: 'Order not found' } });
+      }
+      if (shipment.step > 0) {
+        return { error: { Description: 'Şubede kabul edilen sipariş iptal edilemez' } };
+      }
+      shipment.cancelled = true;
+      return {};
+    }
+
+    if (method === 'get' && url === '/cbsinfoapi/getcities') {
+      return this.cities;
+    }
+
+    const cityCode = this.pathParam(url, '/cbsinfoapi/getdistricts/');
+    if (method === 'get' && cityCode) {
+      const city = this.cities.find((item) => item.code === cityCode);
+      return (city ? FAKE_COVERAGE[city.name] : []).map((name, index) => ({
+        code: `${cityCode}${index + 1}`,
+        name,
+        cityCode
+      }));
+    }
+
+    throw this.httpError(404, { error: { Description: `No route for ${method} ${url}` } });
+  }
+}
+
+module.exports = FakeMngApi;
@@ -0,0 +1,127 @@
+/**
+ * Fake Sürat Kargo web service
+ * Answers SuratKargoService requests in the {IsError, Message, Data} format
+ */
+
+const {
+  FakeCarrierClient,
+  FAKE_PDF_LABEL,
+  INVALID_PASSWORD
+} = require('./FakeCarrierClient');
+
+// DurumKodu sequence a tracked shipment goes through
+const STATUS_STEPS = [
+  { code: 0, status: 'Gönderi bilgisi alındı', unit: null },
+  { code: 2, status: 'Transfer merkezinde', unit: 'Transfer Merkezi' },
+  { code: 4, status: 'Dağıtıma çıkarıldı', unit: 'Teslimat Şubesi' },
+  { code: 5, status: 'Teslim edildi', unit: 'Teslimat Şubesi' }
+];
+
+const CANCELLED_STEP = { code: 8, status: 'Gönderi iptal edildi', unit: null };
+
+class FakeSuratApi extends FakeCarrierClient {
+  async handle(config) {
+    const { method, url, data = {} } = config;
+
+    if (method !== 'post') {
+      throw this.httpError(405, { IsError: true, Message: 'Method not allowed' });
+    }
+
+    if (!data.KullaniciAdi || data.Sifre === INVALID_PASSWORD) {
+      return { IsError: true, Message: 'Kullanıcı adı veya şifre hatalı', Data: null };
+    }
+
+    switch (url) {
+    case '/KullaniciDogrula':
+      return { IsError: false, Message: 'OK', Data: { CariKodu: data.CariKodu } };
+
+    case '/FiyatHesapla':
+      return {
+        IsError: false,
+        Message: 'OK',
+        Data: {
+          ToplamTutar: (44.9 + (data.Desi || 1) * 6.9 + (data.OdemeTipi === 2 ? 15 : 0)).toFixed(2),
+          TeslimSuresi: '1-2'
+        }
+      };
+
+    case '/GonderiyiKargoyaGonder': {
+      const trackingKey = data.Gonderi?.OzelKargoTakipNo;
+      if (!trackingKey || this.shipments.has(trackingKey)) {
+        return { IsError: true, Message: 'Özel kargo takip numarası boş veya kullanılmış', Data: null };
+      }
+      this.addShipment(trackingKey, { city: data.Gonderi.Il });
+      return {
+        IsError: false,
+        Message: 'OK',
+        Data: {
+          KargoTakipNo: `SRT${Date.now()}`,
+          Barkod: trackingKey,
+          BarkodPdf: FAKE_PDF_LABEL,
+          ToplamTutar: null
+        }
+      };
+    }
+
+    case '/KargoTakipHareketDetayi': {
+      const shipment = this.advanceShipment(data.OzelKargoTakipNo, STATUS_STEPS.length);
+      if (!shipment) {
+        return { IsError: true, Message: 'Gönderi bulunamadı', Data: null };
+      }
+      const steps = STATUS_STEPS.slice(0, shipment.step + 1);
+      if (shipment.cancelled) {
+        steps.push(CANCELLED_STEP);
+      }
+      const current = steps[steps.length - 1];
+      const now = new Date();
+      return {
+        IsError: false,
+        Message: 'OK',
+        Data: {
+          DurumKodu: current.code,
+          Durum: current.status,
+          BulunduguIl: shipment.city,
+          BulunduguBirim: current.unit,
+          TeslimTarihi: current.code === 5 ? now.toISOString() : null,
+          Hareketler: steps.map((step) => ({
+            Tarih: now.toISOString().slice(0, 10),
+            Saat: now.toTimeString().slice(0, 5),
+            IslemKodu: step.code,
+            Islem: step.status,
+            Birim: step.unit,
+            Aciklama: ''
+          }))
+        }
+      };
+    }
+
+    case '/GonderiIptal': {
+      const shipment = this.shipments.get(data.OzelKargoTakipNo);
+      if (!shipment) {
+        return { IsError: true, Message: 'Gönderi bulunamadı', Data: null };
+      }
+      if (shipment.step > 0) {
+        return { IsError: true, Message: 'Yola çıkan gönderi iptal edilemez', Data: null };
+      }
+      shipment.cancelled = true;
+      return { IsError: false, Message: 'OK', Data: null };
+    }
+
+    case '/IlceHizmetKontrol':
+      return {
+        IsError: false,
+        Message: 'OK',
+        Data: {
+          HizmetVar: this.isCovered(data.Il, data.Ilce),
+          MobilBolge: false,
+          TeslimSuresi: '1-2'
+        }
+      };
+
+    default:
+      throw this.httpError(404, { IsError: true, Message: `No route for ${method} ${url}` });
+    }
+  }
+}
+
+module.exports = FakeSuratApi;
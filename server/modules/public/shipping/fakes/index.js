@@ -0,0 +1,34 @@
+/**
+ * Carrier API test doubles
+ * ShippingServiceFactory hands these to carrier services instead of the real
+ * API when credentials carry `offline: true`
+ */
+
+const FakeMngApi = require('./FakeMngApi');
+const FakeSuratApi = require('./FakeSuratApi');
+const FakeHepsiJetApi = require('./FakeHepsiJetApi');
+const { INVALID_PASSWORD } = require('./FakeCarrierClient');
+
+const FAKE_APIS = {
+  mng: FakeMngApi,
+  surat: FakeSuratApi,
+  hepsijet: FakeHepsiJetApi
+};
+
+/**
+ * Create a fresh in-memory API for a carrier
+ * @param {string} carrierCode - Carrier code
+ * @returns {Object|null} Fake client, or null if the carrier has none
+ */
+function createTestDouble(carrierCode) {
+  const FakeApi = FAKE_APIS[carrierCode];
+  return FakeApi ? new FakeApi() : null;
+}
+
+module.exports = {
+  createTestDouble,
+  FakeMngApi,
+  FakeSuratApi,
+  FakeHepsiJetApi,
+  INVALID_PASSWORD
+};
@@ -2,7 +2,7 @@ const express = require("express");
 const logger = require("../utils/logger");
 const router = express.Router();
 const analyticsController = require("../controllers/analytics-controller");
-const { auth } = require("../middleware/auth"); // Fixed: destructure auth from middleware
+const { requirePermission } = require("../middleware/permissions");
 const rateLimit = require("express-rate-limit");
 const analyticsPerformanceMiddleware = require("../middleware/analyticsPerformance");
 
@@ -16,7 +16,7 @@ const analyticsRateLimit = rateLimit({
 });
 
 // Apply authentication and middleware to all routes
-router.use(auth);
+router.use(requirePermission("analytics:financial"));
 router.use(analyticsRateLimit);
 router.use(analyticsPerformanceMiddleware);
 
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../middleware/permissions');
+const apiKeyController = require('../controllers/api-key-controller');
+
+// Keys are managed by the signed-in user; auth rejects API keys
+router.use(auth);
+
+/**
+ * @route GET /api/api-keys/scopes
+ * @desc Available scopes and whether the user's role allows them
+ * @access Private
+ */
+router.get('/scopes', (req, res) => apiKeyController.getScopes(req, res));
+
+/**
+ * @route GET /api/api-keys
+ * @desc List the user's active API keys with their current usage
+ * @access Private
+ */
+router.get('/', (req, res) => apiKeyController.getKeys(req, res));
+
+/**
+ * @route POST /api/api-keys
+ * @desc Create an API key; the key is only returned in this response
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(Object.keys(API_KEY_SCOPES))
+      .withMessage('Unknown scope'),
+    body('rateLimit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Rate limit must be between 1 and 1000 requests per minute')
+      .toInt(),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a date')
+      .custom((value) => new Date(value) > new Date())
+      .withMessage('Expiry must be in the future')
+  ],
+  (req, res) => apiKeyController.createKey(req, res)
+);
+
+/**
+ * @route DELETE /api/api-keys/:id
+ * @desc Revoke an API key
+ * @access Private
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('ID must be a valid UUID')],
+  (req, res) => apiKeyController.revokeKey(req, res)
+);
+
+module.exports = router;
@@ -133,6 +133,8 @@ router.post(
   authController.changePassword
 );
 router.get("/logout", auth, authController.logout);
+router.post("/logout", auth, authController.logout);
+router.post("/logout-all", auth, authController.logoutAll);
 
 // Add a base route for /api/auth that shows available endpoints
 router.get("/", (req, res) => {
@@ -153,6 +155,8 @@ router.get("/", (req, res) => {
       "PUT /profile": "Update user profile (auth required)",
       "POST /change-password": "Change password (auth required)",
       "GET /logout": "Logout user (auth required)",
+      "POST /logout": "Logout user (auth required)",
+      "POST /logout-all": "Logout from all devices (auth required)",
     },
     note: "Most endpoints require POST method. GET is only for profile endpoints.",
   });
@@ -223,6 +227,8 @@ router.use("*", (req, res) => {
       "PUT /api/auth/profile": "Update profile (auth required)",
       "POST /api/auth/change-password": "Change password (auth required)",
       "GET /api/auth/logout": "Logout (auth required)",
+      "POST /api/auth/logout": "Logout (auth required)",
+      "POST /api/auth/logout-all": "Logout from all devices (auth required)",
     },
     tips: [
       "Make sure you are using the correct HTTP method (GET vs POST)",
@@ -3,7 +3,10 @@ const logger = require("../utils/logger");
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const BackgroundTaskController = require('../controllers/BackgroundTaskController');
+const TaskScheduleController = require('../controllers/TaskScheduleController');
 const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
+const { EXECUTABLE_TASK_TYPES } = require('../services/TaskQueueManager');
 
 // Apply authentication middleware to all routes
 router.use((req, res, next) => {
@@ -16,6 +19,7 @@ router.use((req, res, next) => {
 });
 
 router.use(auth);
+router.use(requireAccess('platforms'));
 
 // Validation rules
 const createTaskValidation = [
@@ -60,6 +64,49 @@ const createTaskValidation = [
     .withMessage('Depends on task IDs must be an array')
 ];
 
+const scheduleIdValidation = [
+  param('scheduleId').isUUID().withMessage('Schedule ID must be a valid UUID')
+];
+
+const buildScheduleValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().notEmpty().withMessage('Schedule name is required'),
+    field('taskType')
+      .isIn(EXECUTABLE_TASK_TYPES)
+      .withMessage('Task type cannot be scheduled'),
+    field('scheduleType')
+      .isIn(['interval', 'cron'])
+      .withMessage('Schedule type must be interval or cron'),
+    body('intervalMinutes')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 43200 })
+      .withMessage('Interval must be between 1 and 43200 minutes'),
+    body('cronExpression')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Cron expression must be a string'),
+    body('timezone')
+      .optional()
+      .isString()
+      .withMessage('Timezone must be a string'),
+    body('priority')
+      .optional()
+      .isIn(['low', 'normal', 'high', 'urgent'])
+      .withMessage('Invalid priority'),
+    body('config').optional().isObject().withMessage('Config must be an object'),
+    body('platformConnectionId')
+      .optional({ nullable: true })
+      .isInt()
+      .withMessage('Platform connection ID must be an integer'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
 const updateProgressValidation = [
   param('id').isUUID().withMessage('Task ID must be a valid UUID'),
   body('current')
@@ -185,6 +232,37 @@ router.get(
   BackgroundTaskController.getQueue
 );
 
+// GET /api/background-tasks/schedules - List recurring task schedules
+router.get('/schedules', TaskScheduleController.getSchedules);
+
+// POST /api/background-tasks/schedules - Create recurring task schedule
+router.post(
+  '/schedules',
+  buildScheduleValidation(false),
+  TaskScheduleController.createSchedule
+);
+
+// PUT /api/background-tasks/schedules/:scheduleId - Update schedule
+router.put(
+  '/schedules/:scheduleId',
+  [...scheduleIdValidation, ...buildScheduleValidation(true)],
+  TaskScheduleController.updateSchedule
+);
+
+// DELETE /api/background-tasks/schedules/:scheduleId - Delete schedule
+router.delete(
+  '/schedules/:scheduleId',
+  scheduleIdValidation,
+  TaskScheduleController.deleteSchedule
+);
+
+// POST /api/background-tasks/schedules/:scheduleId/run - Run schedule now
+router.post(
+  '/schedules/:scheduleId/run',
+  scheduleIdValidation,
+  TaskScheduleController.runScheduleNow
+);
+
 // GET /api/background-tasks/:id - Get task by ID
 router.get(
   '/:id',
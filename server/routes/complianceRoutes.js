@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const {
   TurkishComplianceService
 } = require('../services/turkishComplianceService');
 const { TurkishPaymentService } = require('../services/turkishPaymentService');
+const qnbEIrsaliyeService = require('../services/qnbEIrsaliyeService');
+const qnbFinansInvoiceController = require('../controllers/qnbFinansInvoiceController');
 const logger = require('../utils/logger');
 
+// Invoicing and e-documents by default; consent and payments are order data
+const complianceAuth = [auth, requireAccess('invoices')];
+const orderAuth = [auth, requireAccess('orders')];
+
 const complianceService = new TurkishComplianceService();
 const paymentService = new TurkishPaymentService();
 
@@ -45,7 +52,7 @@ const paymentService = new TurkishPaymentService();
  *                 taxCalculations:
  *                   type: object
  */
-router.get('/status/:orderId', auth, async (req, res) => {
+router.get('/status/:orderId', complianceAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
     const complianceStatus = await complianceService.getComplianceStatus(
@@ -97,7 +104,7 @@ router.get('/status/:orderId', auth, async (req, res) => {
  *       200:
  *         description: KVKK consent recorded successfully
  */
-router.post('/kvkk/:orderId', auth, async (req, res) => {
+router.post('/kvkk/:orderId', orderAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { consentGiven, consentMethod, consentDate, ipAddress } = req.body;
@@ -164,7 +171,7 @@ router.post('/kvkk/:orderId', auth, async (req, res) => {
  *       200:
  *         description: E-Fatura created successfully
  */
-router.post('/efatura/:orderId', auth, async (req, res) => {
+router.post('/efatura/:orderId', complianceAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { customerType, taxNumber, taxOffice, identityNumber } = req.body;
@@ -215,7 +222,7 @@ router.post('/efatura/:orderId', auth, async (req, res) => {
  *       200:
  *         description: E-Arşiv created successfully
  */
-router.post('/earsiv/:orderId', auth, async (req, res) => {
+router.post('/earsiv/:orderId', complianceAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -263,7 +270,7 @@ router.post('/earsiv/:orderId', auth, async (req, res) => {
  *       200:
  *         description: Tax calculation completed
  */
-router.post('/tax/calculate', auth, async (req, res) => {
+router.post('/tax/calculate', complianceAuth, async (req, res) => {
   try {
     const { amount, productCategory, customerType } = req.body;
 
@@ -291,11 +298,49 @@ router.post('/tax/calculate', auth, async (req, res) => {
   }
 });
 
+// Error messages from the e-İrsaliye service and their HTTP status codes
+const IRSALIYE_ERRORS = {
+  'Order not found': 404,
+  'E-İrsaliye not sent for this order': 404,
+  'E-İrsaliye already sent for this order': 409,
+  'E-İrsaliye cannot be cancelled': 409,
+  'Order has no items to despatch': 400,
+  'Customer tax number or TCKN is required for e-İrsaliye': 400,
+  'Carrier tax number is required for e-İrsaliye': 400,
+  'QNB Finans credentials not configured': 400
+};
+
+const sendIrsaliyeError = (res, error, fallbackMessage) => {
+  const status = IRSALIYE_ERRORS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+};
+
+const getIrsaliyeConfig = async (req, res) => {
+  const qnbConfig = await qnbFinansInvoiceController.getQNBFinansConfig(
+    req.user.id
+  );
+  if (!qnbConfig) {
+    res.status(400).json({
+      error:
+        'QNB Finans configuration not found. Please configure your QNB Finans settings first.'
+    });
+  }
+  return qnbConfig;
+};
+
 /**
  * @swagger
  * /api/compliance/irsaliye/{orderId}:
  *   post:
- *     summary: Generate İrsaliye (delivery note) for an order
+ *     summary: Send the e-İrsaliye (despatch advice) for an order via QNB Finans
  *     tags: [Turkish Compliance]
  *     security:
  *       - bearerAuth: []
@@ -305,29 +350,182 @@ router.post('/tax/calculate', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: object
+ *                 description: Overrides the carrier from the QNB Finans settings
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   taxNumber:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *               plateNumber:
+ *                 type: string
+ *               driver:
+ *                 type: object
+ *                 properties:
+ *                   firstName:
+ *                     type: string
+ *                   familyName:
+ *                     type: string
+ *                   identityNumber:
+ *                     type: string
+ *               despatchDate:
+ *                 type: string
+ *                 format: date-time
+ *               receiverAlias:
+ *                 type: string
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
- *         description: İrsaliye generated successfully
+ *         description: E-İrsaliye sent successfully
+ *       400:
+ *         description: Missing QNB Finans settings, customer or carrier details
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: E-İrsaliye already sent for this order
  */
-router.post('/irsaliye/:orderId', auth, async (req, res) => {
+router.post('/irsaliye/:orderId', complianceAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { driver, plateNumber } = req.body;
 
-    const result = await complianceService.generateIrsaliye(orderId, {
-      userId: req.user.id
+    if (plateNumber && (!driver?.firstName || !driver?.identityNumber)) {
+      return res.status(400).json({
+        error: 'Driver name and TCKN are required when a plate number is given'
+      });
+    }
+
+    const qnbConfig = await getIrsaliyeConfig(req, res);
+    if (!qnbConfig) {
+      return;
+    }
+
+    const result = await qnbEIrsaliyeService.sendForOrder(
+      orderId,
+      req.user.id,
+      qnbConfig,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: 'E-İrsaliye sent successfully',
+      data: result
     });
+  } catch (error) {
+    sendIrsaliyeError(res, error, 'Failed to send e-İrsaliye');
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{orderId}/status:
+ *   get:
+ *     summary: Refresh the e-İrsaliye delivery status and receiver response
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: E-İrsaliye status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [processing, sent, accepted, partially_accepted, rejected, failed, cancelled]
+ *       404:
+ *         description: Order not found or e-İrsaliye not sent
+ */
+router.get('/irsaliye/:orderId/status', complianceAuth, async (req, res) => {
+  try {
+    const qnbConfig = await getIrsaliyeConfig(req, res);
+    if (!qnbConfig) {
+      return;
+    }
+
+    const result = await qnbEIrsaliyeService.refreshStatus(
+      req.params.orderId,
+      req.user.id,
+      qnbConfig
+    );
 
     res.json({
       success: true,
-      message: 'İrsaliye generated successfully',
       data: result
     });
   } catch (error) {
-    logger.error('Failed to generate İrsaliye:', error);
-    res.status(500).json({
-      error: 'Failed to generate İrsaliye',
-      message: error.message
+    sendIrsaliyeError(res, error, 'Failed to get e-İrsaliye status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an e-İrsaliye the receiver has not answered yet
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: E-İrsaliye cancelled successfully
+ *       409:
+ *         description: The receiver already answered the e-İrsaliye
+ */
+router.post('/irsaliye/:orderId/cancel', complianceAuth, async (req, res) => {
+  try {
+    const qnbConfig = await getIrsaliyeConfig(req, res);
+    if (!qnbConfig) {
+      return;
+    }
+
+    const result = await qnbEIrsaliyeService.cancel(
+      req.params.orderId,
+      req.user.id,
+      qnbConfig,
+      req.body.reason
+    );
+
+    res.json({
+      success: true,
+      message: 'E-İrsaliye cancelled successfully',
+      data: result
     });
+  } catch (error) {
+    sendIrsaliyeError(res, error, 'Failed to cancel e-İrsaliye');
   }
 });
 
@@ -357,7 +555,7 @@ router.post('/irsaliye/:orderId', auth, async (req, res) => {
  *       200:
  *         description: Payment methods retrieved successfully
  */
-router.get('/payments/methods', auth, async (req, res) => {
+router.get('/payments/methods', orderAuth, async (req, res) => {
   try {
     const { amount, currency } = req.query;
 
@@ -402,7 +600,7 @@ router.get('/payments/methods', auth, async (req, res) => {
  *       200:
  *         description: Installment options retrieved successfully
  */
-router.get('/payments/installments', auth, async (req, res) => {
+router.get('/payments/installments', orderAuth, async (req, res) => {
   try {
     const { amount, currency } = req.query;
 
@@ -464,7 +662,7 @@ router.get('/payments/installments', auth, async (req, res) => {
  *       200:
  *         description: Payment processed successfully
  */
-router.post('/payments/process', auth, async (req, res) => {
+router.post('/payments/process', orderAuth, async (req, res) => {
   try {
     const {
       gateway,
@@ -551,7 +749,7 @@ router.post('/payments/process', auth, async (req, res) => {
  *       200:
  *         description: Card validation result
  */
-router.post('/payments/validate-card', auth, async (req, res) => {
+router.post('/payments/validate-card', orderAuth, async (req, res) => {
   try {
     const { cardNumber } = req.body;
 
@@ -588,7 +786,7 @@ router.post('/payments/validate-card', auth, async (req, res) => {
  *       200:
  *         description: Payment gateways status retrieved successfully
  */
-router.get('/payments/gateways', auth, async (req, res) => {
+router.get('/payments/gateways', orderAuth, async (req, res) => {
   try {
     const gateways = ['IYZICO', 'PAYU', 'GARANTI', 'AKBANK'];
     const gatewayStatus = {};
@@ -626,7 +824,7 @@ router.get('/payments/gateways', auth, async (req, res) => {
  *       200:
  *         description: Dashboard overview retrieved successfully
  */
-router.get('/dashboard/overview', auth, async (req, res) => {
+router.get('/dashboard/overview', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const overview = await complianceService.getDashboardOverview(userId);
@@ -656,7 +854,7 @@ router.get('/dashboard/overview', auth, async (req, res) => {
  *       200:
  *         description: Compliance alerts retrieved successfully
  */
-router.get('/dashboard/alerts', auth, async (req, res) => {
+router.get('/dashboard/alerts', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const alerts = await complianceService.getComplianceAlerts(userId);
@@ -693,7 +891,7 @@ router.get('/dashboard/alerts', auth, async (req, res) => {
  *       200:
  *         description: Compliance statistics retrieved successfully
  */
-router.get('/dashboard/stats', auth, async (req, res) => {
+router.get('/dashboard/stats', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = 'monthly' } = req.query;
@@ -744,7 +942,7 @@ router.get('/dashboard/stats', auth, async (req, res) => {
  *       200:
  *         description: Report generated successfully
  */
-router.post('/reports/generate', auth, async (req, res) => {
+router.post('/reports/generate', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const { reportType, dateFrom, dateTo, format = 'PDF' } = req.body;
@@ -789,7 +987,7 @@ router.post('/reports/generate', auth, async (req, res) => {
  *       200:
  *         description: Notification preferences retrieved successfully
  */
-router.get('/notifications/preferences', auth, async (req, res) => {
+router.get('/notifications/preferences', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const preferences = await complianceService.getNotificationPreferences(
@@ -834,7 +1032,7 @@ router.get('/notifications/preferences', auth, async (req, res) => {
  *       200:
  *         description: Notification preferences updated successfully
  */
-router.put('/notifications/preferences', auth, async (req, res) => {
+router.put('/notifications/preferences', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const preferences = req.body;
@@ -874,7 +1072,7 @@ router.put('/notifications/preferences', auth, async (req, res) => {
  *       200:
  *         description: Automation rules retrieved successfully
  */
-router.get('/automation/rules', auth, async (req, res) => {
+router.get('/automation/rules', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const rules = await complianceService.getAutomationRules(userId);
@@ -919,7 +1117,7 @@ router.get('/automation/rules', auth, async (req, res) => {
  *       201:
  *         description: Automation rule created successfully
  */
-router.post('/automation/rules', auth, async (req, res) => {
+router.post('/automation/rules', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const ruleData = req.body;
@@ -952,7 +1150,7 @@ router.post('/automation/rules', auth, async (req, res) => {
  *       200:
  *         description: Integration status retrieved successfully
  */
-router.get('/integration/status', auth, async (req, res) => {
+router.get('/integration/status', complianceAuth, async (req, res) => {
   try {
     const integrationStatus = await complianceService.getIntegrationStatus();
 
@@ -1006,7 +1204,7 @@ router.get('/integration/status', auth, async (req, res) => {
  *       200:
  *         description: Audit trail retrieved successfully
  */
-router.get('/audit/trail', auth, async (req, res) => {
+router.get('/audit/trail', complianceAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const { page = 1, limit = 50, action, dateFrom, dateTo } = req.query;
@@ -1060,7 +1258,7 @@ router.get('/kvkk/export/:userId', auth, async (req, res) => {
     const { userId } = req.params;
 
     // Only users can export their own data, or admins can export any data
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.actor.id !== userId && req.actor.role !== 'admin') {
       return res.status(403).json({
         error: 'Unauthorized to export this user data'
       });
@@ -1105,14 +1303,14 @@ router.delete('/kvkk/delete/:userId', auth, async (req, res) => {
     const { userId } = req.params;
 
     // Only users can delete their own data, or admins can delete any data
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (req.actor.id !== userId && req.actor.role !== 'admin') {
       return res.status(403).json({
         error: 'Unauthorized to delete this user data'
       });
     }
 
     const result = await complianceService.deleteUserData(userId, {
-      requestedBy: req.user.id,
+      requestedBy: req.actor.id,
       requestDate: new Date(),
       ipAddress: req.ip
     });
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const creditNoteController = require('../controllers/credit-note-controller');
+
+// All routes require authentication
+router.use(requireAccess('invoices'));
+
+const creditNoteIdValidation = [
+  param('id').isUUID().withMessage('Credit note ID must be a valid UUID')
+];
+
+/**
+ * @route GET /api/credit-notes
+ * @desc List return invoices, optionally for one order
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('orderId').optional().isUUID(),
+    query('status').optional().isIn(['pending', 'issued', 'failed'])
+  ],
+  (req, res) => creditNoteController.getCreditNotes(req, res)
+);
+
+/**
+ * @route POST /api/credit-notes
+ * @desc Issue a return invoice for returned or refunded order items
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('orderId').isUUID().withMessage('Order ID must be a valid UUID'),
+    body('returnId')
+      .optional()
+      .isUUID()
+      .withMessage('Return ID must be a valid UUID'),
+    body('items')
+      .optional()
+      .isArray()
+      .withMessage('Items must be an array'),
+    body('items.*.orderItemId')
+      .isUUID()
+      .withMessage('All order item IDs must be valid UUIDs'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantities must be positive integers'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    body('documentType').optional().isIn(['earsiv', 'efatura'])
+  ],
+  (req, res) => creditNoteController.createCreditNote(req, res)
+);
+
+/**
+ * @route GET /api/credit-notes/:id
+ * @desc Get a return invoice
+ * @access Private
+ */
+router.get('/:id', creditNoteIdValidation, (req, res) =>
+  creditNoteController.getCreditNote(req, res)
+);
+
+/**
+ * @route GET /api/credit-notes/:id/pdf
+ * @desc Return invoice PDF
+ * @access Private
+ */
+router.get('/:id/pdf', creditNoteIdValidation, (req, res) =>
+  creditNoteController.getCreditNotePdf(req, res)
+);
+
+module.exports = router;
@@ -1,8 +1,7 @@
 const express = require("express");
 const logger = require("../utils/logger");
 const { body, query, param } = require("express-validator");
-// Re-enable auth middleware now that we have the reply method implemented
-const { auth } = require("../middleware/auth");
+const { requireAccess } = require("../middleware/permissions");
 
 // Import the proper controller class
 const CustomerQuestionController = require("../controllers/CustomerQuestionController");
@@ -84,7 +83,7 @@ const validateSync = [
 ];
 
 // Apply authentication to all routes
-router.use(auth);
+router.use(requireAccess("questions"));
 
 /**
  * @route GET /api/customer-questions
@@ -138,6 +137,39 @@ router.get(
   (req, res) => getController().getDashboardData(req, res)
 );
 
+/**
+ * @route GET /api/customer-questions/sla/queue
+ * @desc Get unanswered questions that are overdue or due soon
+ * @access Private
+ */
+router.get(
+  "/sla/queue",
+  [
+    query("platform").optional().isIn(["trendyol", "hepsiburada", "n11"]),
+    query("assigned_to").optional().isString().isLength({ max: 64 }),
+    query("hours").optional().isFloat({ min: 0.5, max: 168 }),
+    query("limit").optional().isInt({ min: 1, max: 500 }),
+  ],
+  (req, res) => getController().getSlaQueue(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/sla/report
+ * @desc Get daily response-time and answer deadline report
+ * @access Private
+ */
+router.get(
+  "/sla/report",
+  [
+    query("platform")
+      .optional()
+      .isIn(["trendyol", "hepsiburada", "n11", "all"]),
+    query("start_date").optional().isISO8601(),
+    query("end_date").optional().isISO8601(),
+  ],
+  (req, res) => getController().getSlaReport(req, res)
+);
+
 /**
  * @route POST /api/customer-questions/sync
  * @desc Sync questions from platforms
@@ -244,6 +276,17 @@ router.get(
   (req, res) => getController().getTemplateSuggestions(req, res)
 );
 
+/**
+ * @route GET /api/customer-questions/:id/reply-suggestions
+ * @desc Get previously sent answers to similar questions
+ * @access Private
+ */
+router.get(
+  "/:id/reply-suggestions",
+  [param("id").isInt(), query("limit").optional().isInt({ min: 1, max: 10 })],
+  (req, res) => getController().getReplySuggestions(req, res)
+);
+
 /**
  * @route PUT /api/customer-questions/:id/assign
  * @desc Assign question to user
@@ -251,7 +294,13 @@ router.get(
  */
 router.put(
   "/:id/assign",
-  [param("id").isInt(), body("assigned_to").optional().isInt()],
+  [
+    param("id").isInt(),
+    body("assigned_to")
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage("assigned_to must be a user ID"),
+  ],
   (req, res) => getController().assignQuestion(req, res)
 );
 
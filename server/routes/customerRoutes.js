@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const CustomerService = require('../services/CustomerService');
 const {
   Order,
@@ -13,7 +13,8 @@ const { Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 // Apply authentication middleware to all routes
-router.use(auth);
+// Customers are derived from orders
+router.use(requireAccess('orders'));
 
 // POST /api/customers/sync - Extract customers from orders and save to database
 router.post('/sync', async (req, res) => {
@@ -6,10 +6,12 @@ const express = require('express');
 const router = express.Router();
 const dbTransactionManager = require('../services/database-transaction-manager');
 const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const logger = require('../utils/logger');
 
-// Apply authentication to all routes
+// Apply authentication to all routes; transactions belong to platform syncs
 router.use(auth);
+router.use(requireAccess('platforms'));
 
 /**
  * GET /api/database/status
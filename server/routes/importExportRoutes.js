@@ -2,12 +2,20 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { auth: authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
+// Products need product access, everything else is order data
+const requireTypeAccess = (action) => (req, res, next) =>
+  requirePermission(
+    `${req.params.type === 'products' ? 'products' : 'orders'}:${action}`
+  )(req, res, next);
+const requireImportAccess = requirePermission('products:write');
+
 // Export data endpoint
-router.get('/export/:type', async (req, res) => {
+router.get('/export/:type', requireTypeAccess('read'), async (req, res) => {
   try {
     const { type } = req.params;
     const { format = 'csv' } = req.query;
@@ -87,7 +95,7 @@ ${type},Sample Data,${new Date().toISOString()}`;
 });
 
 // Import data endpoint
-router.post('/import', async (req, res) => {
+router.post('/import', requireImportAccess, async (req, res) => {
   try {
     logger.info('Import request received');
 
@@ -109,7 +117,7 @@ router.post('/import', async (req, res) => {
 });
 
 // Download template endpoint
-router.get('/templates/:type', async (req, res) => {
+router.get('/templates/:type', requireTypeAccess('read'), async (req, res) => {
   try {
     const { type } = req.params;
 
@@ -40,6 +40,9 @@ try {
   // Import shipping templates routes
   const shippingTemplatesRoutes = require("./shipping-templates");
 
+  // Import shipping rules routes
+  const shippingRulesRoutes = require("./shipping-rules");
+
   // Import database transaction management routes
   const databaseRoutes = require("./database");
 
@@ -67,6 +70,30 @@ try {
   // Import background tasks routes
   const backgroundTasksRoutes = require("./backgroundTasks");
 
+  // Import returns/claims routes
+  const returnsRoutes = require("./returns");
+
+  // Import return invoice (credit note) routes
+  const creditNoteRoutes = require("./credit-notes");
+
+  // Import marketplace package routes
+  const orderPackageRoutes = require("./order-packages");
+
+  // Import warehouse routes
+  const warehouseRoutes = require("./warehouses");
+
+  // Import supplier and purchase order routes
+  const purchasingRoutes = require("./purchasing");
+
+  // Import inbound marketplace webhook routes
+  const webhookRoutes = require("./webhooks");
+
+  // Import organisation, team member and invitation routes
+  const organizationRoutes = require("./organizations");
+
+  // Import personal API key routes
+  const apiKeyRoutes = require("./api-keys");
+
   // Unified Product Intelligence routes
   const unifiedIntelligenceRoutes = require("./unified-product-intelligence");
 
@@ -128,6 +155,9 @@ try {
   // Shipping templates routes
   router.use("/shipping/templates", shippingTemplatesRoutes);
 
+  // Carrier selection rules
+  router.use("/shipping/rules", shippingRulesRoutes);
+
   // Main shipping routes - direct mounting to match client API calls
   router.use("/shipping", shippingRoutes);
 
@@ -146,6 +176,28 @@ try {
   // Background tasks routes
   router.use("/background-tasks", backgroundTasksRoutes);
 
+  // Returns/claims routes
+  router.use("/returns", returnsRoutes);
+  router.use("/credit-notes", creditNoteRoutes);
+
+  // Marketplace package (split/merge/unpack) routes
+  router.use("/order-packages", orderPackageRoutes);
+
+  // Warehouse, bin location and stock transfer routes
+  router.use("/warehouses", warehouseRoutes);
+
+  // Supplier, purchase order and goods receipt routes
+  router.use("/purchasing", purchasingRoutes);
+
+  // Marketplace webhook routes (receiver is public, secret-authenticated)
+  router.use("/webhooks", webhookRoutes);
+
+  // Organisation, team member and invitation routes
+  router.use("/organizations", organizationRoutes);
+
+  // Personal API key routes
+  router.use("/api-keys", apiKeyRoutes);
+
   // Font management routes
   router.use("/fonts", fontRoutes);
 
@@ -181,7 +233,7 @@ router.get("/health", (req, res) => {
       customerQuestions: "/api/customer-questions",
       settings: "/api/settings", // Includes shipping templates at /api/settings/shipping/templates
       compliance: "/api/compliance",
-      shipping: "/api/shipping", // Coming Soon - Q3 2025
+      shipping: "/api/shipping", // Carriers, labels, tracking, shipments and shipping rules
       payments: "/api/payments", // Coming Soon - Q4 2025
       orderManagement: "/api/order-management",
       analytics: "/api/analytics", // Month 5 Phase 1
@@ -191,13 +243,11 @@ router.get("/health", (req, res) => {
       platformOperations: "/api/platform-operations", // Background tasks and platform operations
       platformProducts: "/api/platform-products", // Platform product creation and management
       backgroundTasks: "/api/background-tasks", // Background task management
+      webhooks: "/api/webhooks", // Inbound marketplace webhooks and outbound subscriptions
+      organizations: "/api/organizations", // Team members, roles and invitations
+      apiKeys: "/api/api-keys", // Personal API keys for integrations
     },
     comingSoon: {
-      shipping: {
-        status: "development",
-        expectedRelease: "Q3 2025",
-        note: "PDF Template Designer moved to /api/settings/shipping/templates",
-      },
       payments: {
         status: "development",
         expectedRelease: "Q4 2025",
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const orderPackageController = require('../controllers/order-package-controller');
+
+// All routes require authentication
+router.use(requireAccess('orders'));
+
+const orderIdValidation = [
+  param('orderId').isUUID().withMessage('Order ID must be a valid UUID')
+];
+
+const packageIdValidation = [
+  param('id').isUUID().withMessage('Package ID must be a valid UUID')
+];
+
+const shippingValidation = [
+  body('desi')
+    .optional()
+    .isFloat({ min: 0.1 })
+    .withMessage('Desi must be a positive number'),
+  body('cargoCompany').optional().isString().trim()
+];
+
+/**
+ * @route GET /api/order-packages/orders/:orderId
+ * @desc Packages of an order and its items not packaged yet
+ * @access Private
+ */
+router.get('/orders/:orderId', orderIdValidation, (req, res) =>
+  orderPackageController.getOrderPackages(req, res)
+);
+
+/**
+ * @route GET /api/order-packages/orders/:orderId/merge-candidates
+ * @desc Open orders of the same customer that can share a package
+ * @access Private
+ */
+router.get('/orders/:orderId/merge-candidates', orderIdValidation, (req, res) =>
+  orderPackageController.getMergeCandidates(req, res)
+);
+
+/**
+ * @route POST /api/order-packages
+ * @desc Package order items, optionally from several orders of one customer
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('orderItemIds')
+      .isArray({ min: 1 })
+      .withMessage('At least one order item is required'),
+    body('orderItemIds.*').isUUID().withMessage('All item IDs must be valid UUIDs'),
+    ...shippingValidation
+  ],
+  (req, res) => orderPackageController.createPackage(req, res)
+);
+
+/**
+ * @route POST /api/order-packages/merge
+ * @desc Merge all open items of several orders into one package
+ * @access Private
+ */
+router.post(
+  '/merge',
+  [
+    body('orderIds')
+      .isArray({ min: 2 })
+      .withMessage('At least two orders are required'),
+    body('orderIds.*').isUUID().withMessage('All order IDs must be valid UUIDs'),
+    ...shippingValidation
+  ],
+  (req, res) => orderPackageController.mergeOrders(req, res)
+);
+
+/**
+ * @route POST /api/order-packages/:id/split
+ * @desc Move the given items into a new package
+ * @access Private
+ */
+router.post(
+  '/:id/split',
+  [
+    ...packageIdValidation,
+    body('orderItemIds')
+      .isArray({ min: 1 })
+      .withMessage('At least one order item is required'),
+    body('orderItemIds.*').isUUID().withMessage('All item IDs must be valid UUIDs')
+  ],
+  (req, res) => orderPackageController.splitPackage(req, res)
+);
+
+/**
+ * @route POST /api/order-packages/:id/unpack
+ * @desc Unpack a package that has not been shipped yet
+ * @access Private
+ */
+router.post('/:id/unpack', packageIdValidation, (req, res) =>
+  orderPackageController.unpackPackage(req, res)
+);
+
+/**
+ * @route GET /api/order-packages/:id/barcode
+ * @desc Cargo barcode label of a package
+ * @access Private
+ */
+router.get(
+  '/:id/barcode',
+  [
+    ...packageIdValidation,
+    query('format')
+      .optional()
+      .isIn(['pdf', 'zpl', 'base64zpl', 'png', 'jpg'])
+      .withMessage('Unsupported barcode format')
+  ],
+  (req, res) => orderPackageController.getPackageBarcode(req, res)
+);
+
+module.exports = router;
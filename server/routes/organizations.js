@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { ROLES, requirePermission } = require('../middleware/permissions');
+const organizationController = require('../controllers/organization-controller');
+
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== 'owner');
+
+const idValidation = [param('id').isUUID().withMessage('ID must be a valid UUID')];
+
+const tokenValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token')
+];
+
+const nameValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Organization name is required')
+];
+
+const roleValidation = body('role')
+  .isIn(ASSIGNABLE_ROLES)
+  .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+
+/**
+ * @route GET /api/organizations/invitations/:token
+ * @desc Invitation details for its accept page
+ * @access Public
+ */
+router.get('/invitations/:token', tokenValidation, (req, res) =>
+  organizationController.getInvitation(req, res)
+);
+
+// All other routes require authentication
+router.use(auth);
+
+/**
+ * @route GET /api/organizations/current
+ * @desc Organisation of the current user with their role and permissions
+ * @access Private
+ */
+router.get('/current', (req, res) =>
+  organizationController.getCurrentOrganization(req, res)
+);
+
+/**
+ * @route POST /api/organizations
+ * @desc Create an organisation with the current user as owner
+ * @access Private
+ */
+router.post('/', nameValidation, (req, res) =>
+  organizationController.createOrganization(req, res)
+);
+
+/**
+ * @route PUT /api/organizations/current
+ * @desc Rename the organisation
+ * @access Private (members:manage)
+ */
+router.put(
+  '/current',
+  requirePermission('members:manage'),
+  nameValidation,
+  (req, res) => organizationController.updateOrganization(req, res)
+);
+
+/**
+ * @route GET /api/organizations/members
+ * @desc List organisation members
+ * @access Private
+ */
+router.get('/members', (req, res) =>
+  organizationController.getMembers(req, res)
+);
+
+/**
+ * @route PATCH /api/organizations/members/:id
+ * @desc Change a member's role
+ * @access Private (members:manage)
+ */
+router.patch(
+  '/members/:id',
+  requirePermission('members:manage'),
+  [...idValidation, roleValidation],
+  (req, res) => organizationController.updateMember(req, res)
+);
+
+/**
+ * @route DELETE /api/organizations/members/:id
+ * @desc Remove a member from the organisation
+ * @access Private (members:manage)
+ */
+router.delete(
+  '/members/:id',
+  requirePermission('members:manage'),
+  idValidation,
+  (req, res) => organizationController.removeMember(req, res)
+);
+
+/**
+ * @route POST /api/organizations/leave
+ * @desc Leave the organisation and go back to the user's own account
+ * @access Private
+ */
+router.post('/leave', (req, res) =>
+  organizationController.leaveOrganization(req, res)
+);
+
+/**
+ * @route GET /api/organizations/invitations
+ * @desc List pending invitations
+ * @access Private (members:manage)
+ */
+router.get('/invitations', requirePermission('members:manage'), (req, res) =>
+  organizationController.getInvitations(req, res)
+);
+
+/**
+ * @route POST /api/organizations/invitations
+ * @desc Invite someone by email with a role
+ * @access Private (members:manage)
+ */
+router.post(
+  '/invitations',
+  requirePermission('members:manage'),
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
+      .withMessage('A valid email is required'),
+    roleValidation
+  ],
+  (req, res) => organizationController.createInvitation(req, res)
+);
+
+/**
+ * @route DELETE /api/organizations/invitations/:id
+ * @desc Revoke a pending invitation
+ * @access Private (members:manage)
+ */
+router.delete(
+  '/invitations/:id',
+  requirePermission('members:manage'),
+  idValidation,
+  (req, res) => organizationController.revokeInvitation(req, res)
+);
+
+/**
+ * @route POST /api/organizations/invitations/:token/accept
+ * @desc Join the inviting organisation
+ * @access Private
+ */
+router.post('/invitations/:token/accept', tokenValidation, (req, res) =>
+  organizationController.acceptInvitation(req, res)
+);
+
+module.exports = router;
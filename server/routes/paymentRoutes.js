@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 // Apply authentication middleware
 router.use(auth);
+router.use(requirePermission('billing:manage'));
 
 // Coming Soon response for payment routes
 const comingSoonResponse = (req, res) => {
@@ -1,10 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
+const multer = require('multer');
 const platformOperationsController = require('../controllers/platform-operations-controller');
 
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
 // All routes require authentication
-router.use(auth);
+router.use(requireAccess('platforms'));
 
 /**
  * @route GET /api/platform-operations/tasks
@@ -71,4 +84,43 @@ router.get('/stats/orders', (req, res) =>
   )
 );
 
+/**
+ * @route POST /api/platform-operations/price-stock
+ * @desc Bulk update price/stock on marketplaces. Accepts a multipart CSV
+ *       "file", a JSON "csv" string or a JSON "items" array
+ *       ({ sku, barcode, quantity, salePrice, listPrice }); optional
+ *       "connectionIds" limits the target connections
+ * @access Private
+ */
+router.post(
+  '/price-stock',
+  (req, res, next) =>
+    csvUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      next();
+    }),
+  (req, res) =>
+    platformOperationsController.updatePriceStock.call(
+      platformOperationsController,
+      req,
+      res
+    )
+);
+
+/**
+ * @route GET /api/platform-operations/price-stock/:connectionId/status/:requestId
+ * @desc Processing status of a submitted price/stock batch
+ *       (?type=stock|price for Hepsiburada uploads)
+ * @access Private
+ */
+router.get('/price-stock/:connectionId/status/:requestId', (req, res) =>
+  platformOperationsController.getPriceStockStatus.call(
+    platformOperationsController,
+    req,
+    res
+  )
+);
+
 module.exports = router;
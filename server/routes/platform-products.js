@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, param, query } = require('express-validator');
 const platformProductController = require('../controllers/platform-product-controller');
 const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 
 // Development middleware that adds a fallback user if none exists
 const devAuth = (req, res, next) => {
@@ -22,6 +23,7 @@ const devAuth = (req, res, next) => {
 
 // Use auth for production, devAuth as fallback
 router.use(process.env.NODE_ENV === 'production' ? auth : devAuth);
+router.use(requireAccess('products'));
 
 /**
  * @swagger
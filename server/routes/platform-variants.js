@@ -3,14 +3,17 @@ const logger = require("../utils/logger");
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const PlatformVariantController = require('../controllers/platform-variant-controller');
 
+const variantAuth = [auth, requireAccess('products')];
+
 /**
  * Get platform field definitions
  */
 router.get(
   '/platforms/:platform/fields',
-  auth,
+  variantAuth,
   param('platform').isIn(['trendyol', 'hepsiburada', 'n11']),
   query('categoryId').optional().isString(),
   PlatformVariantController.getPlatformFields
@@ -21,7 +24,7 @@ router.get(
  */
 router.get(
   '/platforms/:platform/categories',
-  auth,
+  variantAuth,
   param('platform').isIn(['trendyol', 'hepsiburada', 'n11']),
   PlatformVariantController.getPlatformCategories
 );
@@ -31,7 +34,7 @@ router.get(
  */
 router.get(
   '/products/:productId/variants',
-  auth,
+  variantAuth,
   param('productId').isUUID(),
   PlatformVariantController.getProductVariants
 );
@@ -41,7 +44,7 @@ router.get(
  */
 router.post(
   '/products/:productId/variants',
-  auth,
+  variantAuth,
   param('productId').isUUID(),
   body('platform').isIn(['trendyol', 'hepsiburada', 'n11']),
   body('platformSku').isString().isLength({ min: 1, max: 100 }),
@@ -54,7 +57,7 @@ router.post(
  */
 router.put(
   '/variants/:variantId',
-  auth,
+  variantAuth,
   param('variantId').isUUID(),
   body('platformFields').optional().isObject(),
   body('isPublished').optional().isBoolean(),
@@ -66,7 +69,7 @@ router.put(
  */
 router.delete(
   '/variants/:variantId',
-  auth,
+  variantAuth,
   param('variantId').isUUID(),
   PlatformVariantController.deletePlatformVariant
 );
@@ -76,7 +79,7 @@ router.delete(
  */
 router.post(
   '/variants/:variantId/publish',
-  auth,
+  variantAuth,
   param('variantId').isUUID(),
   PlatformVariantController.publishVariant
 );
@@ -86,7 +89,7 @@ router.post(
  */
 router.post(
   '/variants/:variantId/sync',
-  auth,
+  variantAuth,
   param('variantId').isUUID(),
   PlatformVariantController.syncVariant
 );
@@ -96,7 +99,7 @@ router.post(
  */
 router.post(
   '/variants/bulk/publish',
-  auth,
+  variantAuth,
   body('variantIds').isArray().notEmpty(),
   body('variantIds.*').isUUID(),
   PlatformVariantController.bulkPublishVariants
@@ -104,7 +107,7 @@ router.post(
 
 router.post(
   '/variants/bulk/sync',
-  auth,
+  variantAuth,
   body('variantIds').isArray().notEmpty(),
   body('variantIds.*').isUUID(),
   PlatformVariantController.bulkSyncVariants
@@ -115,7 +118,7 @@ router.post(
  */
 router.post(
   '/platforms/:platform/categories/seed',
-  auth,
+  variantAuth,
   param('platform').isIn(['trendyol', 'hepsiburada', 'n11', 'all']),
   async (req, res) => {
     try {
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const platformController = require('../controllers/platform-controller');
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const { platformServiceFactory } = require('../services/platform-factory');
 const { body, query, param, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
@@ -20,7 +20,7 @@ const validateRequest = (req, res, next) => {
 };
 
 // Apply authentication middleware
-router.use(auth);
+router.use(requireAccess('platforms'));
 
 // Platform connection routes
 router.get('/connections', platformController.getConnections);
@@ -3,9 +3,12 @@ const { body, param, query } = require("express-validator");
 const router = express.Router();
 const productController = require("../controllers/product-controller");
 const FieldSyncController = require("../controllers/field-sync-controller");
-const { auth } = require("../middleware/auth");
+const { requireAccess } = require("../middleware/permissions");
 const validationMiddleware = require("../middleware/validation-middleware");
 
+// Authentication (sessions or API keys) plus product permissions
+const productAuth = requireAccess("products");
+
 /**
  * @swagger
  * /api/products:
@@ -17,7 +20,7 @@ const validationMiddleware = require("../middleware/validation-middleware");
  *       200:
  *         description: A list of products
  */
-router.get("/", auth, productController.getProducts);
+router.get("/", productAuth, productController.getProducts);
 
 /**
  * @swagger
@@ -30,7 +33,7 @@ router.get("/", auth, productController.getProducts);
  *       200:
  *         description: Product statistics
  */
-router.get("/stats", auth, productController.getProductStats);
+router.get("/stats", productAuth, productController.getProductStats);
 
 /**
  * @swagger
@@ -43,7 +46,7 @@ router.get("/stats", auth, productController.getProductStats);
  *       200:
  *         description: Import options retrieved successfully
  */
-router.get("/import/options", auth, productController.getImportOptions);
+router.get("/import/options", productAuth, productController.getImportOptions);
 
 /**
  * @swagger
@@ -68,7 +71,7 @@ router.get("/import/options", auth, productController.getImportOptions);
  *       200:
  *         description: Products imported successfully
  */
-router.post("/import", auth, productController.importProducts);
+router.post("/import", productAuth, productController.importProducts);
 
 // Background Variant Detection Routes
 /**
@@ -84,7 +87,7 @@ router.post("/import", auth, productController.importProducts);
  */
 router.get(
   "/background-variant-detection/status",
-  auth,
+  productAuth,
   productController.getBackgroundVariantDetectionStatus
 );
 
@@ -101,7 +104,7 @@ router.get(
  */
 router.post(
   "/background-variant-detection/start",
-  auth,
+  productAuth,
   productController.startBackgroundVariantDetection
 );
 
@@ -118,7 +121,7 @@ router.post(
  */
 router.post(
   "/background-variant-detection/stop",
-  auth,
+  productAuth,
   productController.stopBackgroundVariantDetection
 );
 
@@ -144,7 +147,7 @@ router.post(
  */
 router.put(
   "/background-variant-detection/config",
-  auth,
+  productAuth,
   productController.updateBackgroundVariantDetectionConfig
 );
 
@@ -175,7 +178,7 @@ router.put(
  */
 router.post(
   "/batch-variant-detection",
-  auth,
+  productAuth,
   productController.runBatchVariantDetection
 );
 
@@ -244,7 +247,7 @@ router.get(
       ]),
     query("sortOrder").optional().isIn(["ASC", "DESC"]),
   ],
-  auth,
+  productAuth,
   productController.getMainProducts
 );
 
@@ -267,7 +270,7 @@ router.get(
  *       404:
  *         description: Product not found
  */
-router.get("/:id", auth, productController.getProductById);
+router.get("/:id", productAuth, productController.getProductById);
 
 /**
  * @swagger
@@ -296,7 +299,7 @@ router.get("/:id", auth, productController.getProductById);
  *       400:
  *         description: Invalid data
  */
-router.post("/", auth, productController.createProduct);
+router.post("/", productAuth, productController.createProduct);
 
 /**
  * @swagger
@@ -323,7 +326,7 @@ router.post("/", auth, productController.createProduct);
  *       404:
  *         description: Product not found
  */
-router.put("/:id", auth, productController.updateProduct);
+router.put("/:id", productAuth, productController.updateProduct);
 
 /**
  * @swagger
@@ -344,7 +347,7 @@ router.put("/:id", auth, productController.updateProduct);
  *       404:
  *         description: Product not found
  */
-router.delete("/:id", auth, productController.deleteProduct);
+router.delete("/:id", productAuth, productController.deleteProduct);
 
 /**
  * @swagger
@@ -370,7 +373,7 @@ router.delete("/:id", auth, productController.deleteProduct);
  *       200:
  *         description: Products deleted successfully
  */
-router.delete("/bulk", auth, productController.bulkDeleteProducts);
+router.delete("/bulk", productAuth, productController.bulkDeleteProducts);
 
 /**
  * @swagger
@@ -400,7 +403,7 @@ router.delete("/bulk", auth, productController.bulkDeleteProducts);
  *       200:
  *         description: Products status updated successfully
  */
-router.put("/bulk/status", auth, productController.bulkUpdateStatus);
+router.put("/bulk/status", productAuth, productController.bulkUpdateStatus);
 
 /**
  * @swagger
@@ -413,7 +416,7 @@ router.put("/bulk/status", auth, productController.bulkUpdateStatus);
  *       200:
  *         description: Products synced successfully
  */
-router.post("/sync", auth, productController.syncProducts);
+router.post("/sync", productAuth, productController.syncProducts);
 
 /**
  * @swagger
@@ -454,7 +457,7 @@ router.post("/sync", auth, productController.syncProducts);
  */
 router.post(
   "/import/csv",
-  auth,
+  productAuth,
   require("../middleware/upload").upload.single("file"),
   require("../middleware/upload").handleUploadErrors,
   productController.importProductsFromCSV
@@ -484,7 +487,7 @@ router.post(
  */
 router.post(
   "/import/preview",
-  auth,
+  productAuth,
   (req, res, next) => {
     console.log("🔍 ROUTE DEBUG: Before multer", {
       method: req.method,
@@ -524,7 +527,7 @@ router.post(
  *       200:
  *         description: Data validation completed
  */
-router.post("/import/validate", auth, productController.validateImportData);
+router.post("/import/validate", productAuth, productController.validateImportData);
 
 /**
  * @swagger
@@ -537,7 +540,7 @@ router.post("/import/validate", auth, productController.validateImportData);
  *       200:
  *         description: Import options retrieved successfully
  */
-router.get("/import/options", auth, productController.getImportOptions);
+router.get("/import/options", productAuth, productController.getImportOptions);
 
 /**
  * @swagger
@@ -554,7 +557,7 @@ router.get("/import/options", auth, productController.getImportOptions);
  *             schema:
  *               type: string
  */
-router.get("/import/template", auth, productController.getCSVTemplate);
+router.get("/import/template", productAuth, productController.getCSVTemplate);
 
 // === NEW PRODUCT MANAGEMENT ROUTES ===
 
@@ -575,7 +578,7 @@ router.get("/import/template", auth, productController.getCSVTemplate);
  *       200:
  *         description: Product dashboard data
  */
-router.get("/:id/dashboard", auth, productController.getProductDashboard);
+router.get("/:id/dashboard", productAuth, productController.getProductDashboard);
 
 /**
  * @swagger
@@ -608,7 +611,7 @@ router.get("/:id/dashboard", auth, productController.getProductDashboard);
  *       200:
  *         description: Bulk publishing operation started
  */
-router.post("/bulk/publish", auth, productController.bulkPublishProducts);
+router.post("/bulk/publish", productAuth, productController.bulkPublishProducts);
 
 /**
  * @swagger
@@ -629,7 +632,7 @@ router.post("/bulk/publish", auth, productController.bulkPublishProducts);
  */
 router.get(
   "/bulk/operations/:operationId",
-  auth,
+  productAuth,
   productController.getBulkOperationStatus
 );
 
@@ -677,7 +680,7 @@ router.get(
  *       200:
  *         description: Media uploaded successfully
  */
-router.post("/:id/media", auth, productController.uploadProductMedia);
+router.post("/:id/media", productAuth, productController.uploadProductMedia);
 
 /**
  * @swagger
@@ -704,7 +707,7 @@ router.post("/:id/media", auth, productController.uploadProductMedia);
  *       200:
  *         description: Variants detected successfully
  */
-router.post("/:id/variants/detect", auth, productController.autoDetectVariants);
+router.post("/:id/variants/detect", productAuth, productController.autoDetectVariants);
 
 /**
  * @swagger
@@ -743,7 +746,7 @@ router.post("/:id/variants/detect", auth, productController.autoDetectVariants);
 router.post(
   "/:id/sync-field",
   [
-    auth,
+    productAuth,
     param("id").isString().notEmpty().withMessage("Product ID is required"),
     body("field").isString().notEmpty().withMessage("Field name is required"),
     body("value").exists().withMessage("Field value is required"),
@@ -787,7 +790,7 @@ router.post(
 router.get(
   "/:id/sync-field/:taskId/status",
   [
-    auth,
+    productAuth,
     param("id").isString().notEmpty().withMessage("Product ID is required"),
     param("taskId").isString().notEmpty().withMessage("Task ID is required"),
     query("platform").isString().notEmpty().withMessage("Platform is required"),
@@ -816,7 +819,7 @@ router.get(
  */
 router.post(
   "/categories/sync/:platformType",
-  auth,
+  productAuth,
   productController.syncPlatformCategories
 );
 
@@ -952,7 +955,7 @@ router.post(
     body("media").optional().isArray(),
     body("status").optional().isIn(["active", "inactive", "draft", "archived"]),
   ],
-  auth,
+  productAuth,
   productController.createMainProduct
 );
 
@@ -1010,7 +1013,7 @@ router.put(
     body("basePrice").optional().isFloat({ min: 0 }),
     body("status").optional().isIn(["active", "inactive", "draft", "archived"]),
   ],
-  auth,
+  productAuth,
   productController.updateMainProduct
 );
 
@@ -1037,7 +1040,7 @@ router.put(
 router.delete(
   "/main-products/:id",
   [param("id").isUUID().withMessage("Invalid product ID")],
-  auth,
+  productAuth,
   productController.deleteMainProduct
 );
 
@@ -1076,7 +1079,7 @@ router.post(
       .withMessage("At least one product ID is required"),
     body("productIds.*").isUUID().withMessage("Invalid product ID format"),
   ],
-  auth,
+  productAuth,
   productController.bulkMarkAsMainProducts
 );
 
@@ -1265,6 +1268,15 @@ router.post(
       .withMessage("Quantity must be a positive integer"),
     body("reason").optional().isString(),
     body("expiresAt").optional().isISO8601(),
+    body("connectionId")
+      .optional()
+      .isInt()
+      .withMessage("Connection ID must be an integer"),
+    body("warehouseId")
+      .optional()
+      .isUUID()
+      .withMessage("Warehouse ID must be a valid UUID"),
+    validationMiddleware,
   ],
   productController.reserveStock
 );
@@ -1513,7 +1525,7 @@ router.post(
       .isIn(["create", "update", "delete"])
       .withMessage("Invalid operation"),
   ],
-  auth,
+  productAuth,
   productController.syncProductToPlatforms
 );
 
@@ -1538,7 +1550,7 @@ router.post(
 router.get(
   "/:id/sync/status",
   [param("id").isUUID().withMessage("Invalid product ID")],
-  auth,
+  productAuth,
   productController.getProductSyncStatus
 );
 
@@ -1581,7 +1593,7 @@ router.post(
     body("fields").isArray().withMessage("Fields must be an array"),
     body("fields.*").isString().withMessage("Each field must be a string"),
   ],
-  auth,
+  productAuth,
   productController.syncSpecificFields
 );
 
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const purchasingController = require('../controllers/purchasing-controller');
+
+// All routes require authentication
+router.use(requireAccess('inventory'));
+
+const idValidation = [param('id').isUUID().withMessage('ID must be a valid UUID')];
+
+const supplierValidation = [
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Lead time must be a non-negative integer'),
+  body('paymentTermsDays').optional({ nullable: true }).isInt({ min: 0 }),
+  body('isActive').optional().isBoolean()
+];
+
+const costValidation = [
+  body('warehouseId').optional({ nullable: true }).isUUID(),
+  body('currency').optional().isLength({ min: 3, max: 3 }),
+  body('exchangeRate')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be positive'),
+  body(['shippingCost', 'customsCost', 'otherCosts'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Costs must be non-negative'),
+  body('expectedAt').optional({ nullable: true }).isISO8601()
+];
+
+const lineValidation = [
+  body('lines.*.sku').trim().notEmpty().withMessage('Every line needs a SKU'),
+  body('lines.*.quantityOrdered')
+    .isInt({ min: 1 })
+    .withMessage('Line quantity must be a positive integer'),
+  body('lines.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be non-negative'),
+  body('lines.*.productId').optional({ nullable: true }).isUUID(),
+  body('lines.*.variantId').optional({ nullable: true }).isUUID()
+];
+
+/**
+ * @route GET /api/purchasing/suppliers
+ * @desc Suppliers of the user
+ * @access Private
+ */
+router.get('/suppliers', (req, res) =>
+  purchasingController.getSuppliers(req, res)
+);
+
+/**
+ * @route POST /api/purchasing/suppliers
+ * @desc Create a supplier
+ * @access Private
+ */
+router.post(
+  '/suppliers',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    ...supplierValidation
+  ],
+  (req, res) => purchasingController.createSupplier(req, res)
+);
+
+/**
+ * @route PUT /api/purchasing/suppliers/:id
+ * @desc Update a supplier
+ * @access Private
+ */
+router.put(
+  '/suppliers/:id',
+  [...idValidation, body('name').optional().trim().notEmpty(), ...supplierValidation],
+  (req, res) => purchasingController.updateSupplier(req, res)
+);
+
+/**
+ * @route DELETE /api/purchasing/suppliers/:id
+ * @desc Delete a supplier, or deactivate it when it has purchase orders
+ * @access Private
+ */
+router.delete('/suppliers/:id', idValidation, (req, res) =>
+  purchasingController.deleteSupplier(req, res)
+);
+
+/**
+ * @route GET /api/purchasing/reorder-suggestions
+ * @desc Products to reorder based on the demand forecast
+ * @access Private
+ */
+router.get(
+  '/reorder-suggestions',
+  [
+    query('timeframe').optional().isIn(['7d', '30d', '90d', '1y']),
+    query('coverDays').optional().isInt({ min: 1, max: 365 })
+  ],
+  (req, res) => purchasingController.getReorderSuggestions(req, res)
+);
+
+/**
+ * @route GET /api/purchasing/purchase-orders
+ * @desc Purchase orders with status/supplier filters
+ * @access Private
+ */
+router.get(
+  '/purchase-orders',
+  [
+    query('status')
+      .optional()
+      .isIn(['all', 'draft', 'ordered', 'partially_received', 'received', 'cancelled']),
+    query('supplierId').optional().isUUID(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  (req, res) => purchasingController.getPurchaseOrders(req, res)
+);
+
+/**
+ * @route POST /api/purchasing/purchase-orders
+ * @desc Create a draft purchase order
+ * @access Private
+ */
+router.post(
+  '/purchase-orders',
+  [
+    body('supplierId').isUUID().withMessage('Supplier is required'),
+    body('lines')
+      .isArray({ min: 1 })
+      .withMessage('At least one line is required'),
+    ...lineValidation,
+    ...costValidation
+  ],
+  (req, res) => purchasingController.createPurchaseOrder(req, res)
+);
+
+/**
+ * @route GET /api/purchasing/purchase-orders/:id
+ * @desc Purchase order with lines
+ * @access Private
+ */
+router.get('/purchase-orders/:id', idValidation, (req, res) =>
+  purchasingController.getPurchaseOrder(req, res)
+);
+
+/**
+ * @route PUT /api/purchasing/purchase-orders/:id
+ * @desc Update a purchase order (lines only while draft)
+ * @access Private
+ */
+router.put(
+  '/purchase-orders/:id',
+  [
+    ...idValidation,
+    body('supplierId').optional().isUUID(),
+    body('lines').optional().isArray({ min: 1 }),
+    ...lineValidation,
+    ...costValidation
+  ],
+  (req, res) => purchasingController.updatePurchaseOrder(req, res)
+);
+
+/**
+ * @route DELETE /api/purchasing/purchase-orders/:id
+ * @desc Delete a draft purchase order
+ * @access Private
+ */
+router.delete('/purchase-orders/:id', idValidation, (req, res) =>
+  purchasingController.deletePurchaseOrder(req, res)
+);
+
+/**
+ * @route POST /api/purchasing/purchase-orders/:id/order
+ * @desc Mark a draft as sent to the supplier
+ * @access Private
+ */
+router.post('/purchase-orders/:id/order', idValidation, (req, res) =>
+  purchasingController.markOrdered(req, res)
+);
+
+/**
+ * @route POST /api/purchasing/purchase-orders/:id/cancel
+ * @desc Cancel a purchase order with no receipts
+ * @access Private
+ */
+router.post('/purchase-orders/:id/cancel', idValidation, (req, res) =>
+  purchasingController.cancelPurchaseOrder(req, res)
+);
+
+/**
+ * @route POST /api/purchasing/purchase-orders/:id/receive
+ * @desc Receive goods; without lines everything outstanding is received
+ * @access Private
+ */
+router.post(
+  '/purchase-orders/:id/receive',
+  [
+    ...idValidation,
+    body('warehouseId').optional({ nullable: true }).isUUID(),
+    body('lines').optional().isArray(),
+    body('lines.*.lineId').isUUID().withMessage('Line ID must be a valid UUID'),
+    body('lines.*.quantity')
+      .isInt({ min: 0 })
+      .withMessage('Quantity must be a non-negative integer')
+  ],
+  (req, res) => purchasingController.receivePurchaseOrder(req, res)
+);
+
+module.exports = router;
@@ -6,7 +6,7 @@ const logger = require('../utils/logger');
 
 // Rate limiting management middleware - only for admins
 const requireAdmin = (req, res, next) => {
-  if (req.user?.role !== 'admin') {
+  if (req.actor?.role !== 'admin') {
     return res.status(403).json({
       success: false,
       message: 'Admin access required'
@@ -18,10 +18,12 @@ const requireAdmin = (req, res, next) => {
 // Get comprehensive rate limit status
 router.get('/rate-limits', auth, requireAdmin, async (req, res) => {
   try {
-    const { user: userId, type, ip } = req.query;
+    const { user: userId, type, ip, apiKey: apiKeyId } = req.query;
 
     let keys = [];
-    if (userId) {
+    if (apiKeyId) {
+      keys = await cacheService.client.keys(`rate_limit:api_key:${apiKeyId}`);
+    } else if (userId) {
       keys = await cacheService.client.keys(`rate_limit:*${userId}*`);
     } else if (type) {
       keys = await cacheService.client.keys(`rate_limit:${type}:*`);
@@ -76,13 +78,17 @@ router.get('/rate-limits', auth, requireAdmin, async (req, res) => {
 // Clear specific rate limits
 router.delete('/rate-limits', auth, requireAdmin, async (req, res) => {
   try {
-    const { user: userId, type, ip, key } = req.body;
+    const { user: userId, type, ip, key, apiKey: apiKeyId } = req.body;
 
     let keysToDelete = [];
 
     if (key) {
       // Delete specific key
       keysToDelete = [key];
+    } else if (apiKeyId) {
+      keysToDelete = await cacheService.client.keys(
+        `rate_limit:api_key:${apiKeyId}`
+      );
     } else if (userId) {
       keysToDelete = await cacheService.client.keys(`rate_limit:*${userId}*`);
     } else if (type) {
@@ -92,7 +98,8 @@ router.delete('/rate-limits', auth, requireAdmin, async (req, res) => {
     } else {
       return res.status(400).json({
         success: false,
-        message: 'Please specify user, type, ip, or specific key to delete'
+        message:
+          'Please specify user, type, ip, apiKey, or specific key to delete'
       });
     }
 
@@ -109,7 +116,7 @@ router.delete('/rate-limits', auth, requireAdmin, async (req, res) => {
     logger.info(`Rate limits cleared by admin ${req.user.id}`, {
       adminId: req.user.id,
       keysDeleted: keysToDelete.length,
-      criteria: { user: userId, type, ip, key }
+      criteria: { user: userId, type, ip, key, apiKey: apiKeyId }
     });
 
     res.json({
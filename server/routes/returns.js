@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const returnsController = require('../controllers/returns-controller');
+
+// All routes require authentication
+router.use(requireAccess('returns'));
+
+const returnIdValidation = [
+  param('id').isUUID().withMessage('Return ID must be a valid UUID')
+];
+
+const itemIdsValidation = [
+  body('itemIds')
+    .optional()
+    .isArray()
+    .withMessage('Item IDs must be an array'),
+  body('itemIds.*').isUUID().withMessage('All item IDs must be valid UUIDs')
+];
+
+/**
+ * @route GET /api/returns
+ * @desc List returns/claims with filtering and pagination
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status')
+      .optional()
+      .isIn(['all', 'pending', 'approved', 'rejected', 'cancelled', 'in_dispute'])
+  ],
+  (req, res) => returnsController.getReturns(req, res)
+);
+
+/**
+ * @route POST /api/returns/sync
+ * @desc Pull claims from connected marketplaces
+ * @access Private
+ */
+router.post(
+  '/sync',
+  [
+    body('connectionId')
+      .optional()
+      .isInt()
+      .withMessage('Connection ID must be an integer'),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601()
+  ],
+  (req, res) => returnsController.syncReturns(req, res)
+);
+
+/**
+ * @route GET /api/returns/rejection-reasons/:connectionId
+ * @desc Rejection reasons accepted by the connection's marketplace
+ * @access Private
+ */
+router.get(
+  '/rejection-reasons/:connectionId',
+  [param('connectionId').isInt().withMessage('Connection ID must be an integer')],
+  (req, res) => returnsController.getRejectionReasons(req, res)
+);
+
+/**
+ * @route GET /api/returns/:id
+ * @desc Get a return with its items
+ * @access Private
+ */
+router.get('/:id', returnIdValidation, (req, res) =>
+  returnsController.getReturnById(req, res)
+);
+
+/**
+ * @route POST /api/returns/:id/approve
+ * @desc Approve a return on the marketplace and restock it
+ * @access Private
+ */
+router.post(
+  '/:id/approve',
+  [
+    ...returnIdValidation,
+    ...itemIdsValidation,
+    body('restock').optional().isBoolean()
+  ],
+  (req, res) => returnsController.approveReturn(req, res)
+);
+
+/**
+ * @route POST /api/returns/:id/reject
+ * @desc Reject a return on the marketplace with a reason
+ * @access Private
+ */
+router.post(
+  '/:id/reject',
+  [
+    ...returnIdValidation,
+    ...itemIdsValidation,
+    body('reason')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Rejection reason is required'),
+    body('reasonCode').optional().isString()
+  ],
+  (req, res) => returnsController.rejectReturn(req, res)
+);
+
+module.exports = router;
@@ -4,7 +4,7 @@ const multer = require('multer');
 const path = require('path');
 const settingsController = require('../controllers/settings-controller');
 const shippingTemplatesController = require('../controllers/shipping-templates-controller');
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 
 // Setup multer storage for company logo uploads
 const storage = multer.diskStorage({
@@ -33,7 +33,7 @@ const upload = multer({
 });
 
 // Apply authentication middleware
-router.use(auth);
+router.use(requireAccess('settings'));
 
 // Company info routes
 router.get('/company', settingsController.getCompanyInfo);
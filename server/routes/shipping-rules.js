@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const shippingRuleController = require('../controllers/shipping-rule-controller');
+
+// All routes require authentication
+router.use(requireAccess('shipping'));
+
+const idValidation = [param('id').isUUID().withMessage('ID must be a valid UUID')];
+
+const ruleValidation = [
+  body('priority').optional({ nullable: true }).isInt(),
+  body('isActive').optional().isBoolean(),
+  body('conditions').optional().isObject(),
+  body('actions').isObject().withMessage('Actions are required'),
+  body('actions.carrier').isString().notEmpty().withMessage('A carrier is required')
+];
+
+/**
+ * @route GET /api/shipping/rules
+ * @desc Shipping rules of the user in evaluation order
+ * @access Private
+ */
+router.get('/', (req, res) => shippingRuleController.getRules(req, res));
+
+/**
+ * @route POST /api/shipping/rules
+ * @desc Create a shipping rule; without a priority it is evaluated last
+ * @access Private
+ */
+router.post(
+  '/',
+  [body('name').trim().notEmpty().withMessage('Name is required'), ...ruleValidation],
+  (req, res) => shippingRuleController.createRule(req, res)
+);
+
+/**
+ * @route PUT /api/shipping/rules/order
+ * @desc Set the evaluation order of all rules
+ * @access Private
+ */
+router.put(
+  '/order',
+  [
+    body('ruleIds').isArray().withMessage('Rule IDs array is required'),
+    body('ruleIds.*').isUUID().withMessage('Rule IDs must be valid UUIDs')
+  ],
+  (req, res) => shippingRuleController.reorderRules(req, res)
+);
+
+/**
+ * @route POST /api/shipping/rules/dry-run
+ * @desc Preview the rule each recent order would get, optionally with
+ * unsaved rules from the editor
+ * @access Private
+ */
+router.post(
+  '/dry-run',
+  [
+    body('rules').optional().isArray(),
+    body('days').optional().isInt({ min: 1, max: 90 }),
+    body('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  (req, res) => shippingRuleController.dryRun(req, res)
+);
+
+/**
+ * @route POST /api/shipping/rules/apply
+ * @desc Evaluate the rules again for existing orders
+ * @access Private
+ */
+router.post(
+  '/apply',
+  [
+    body('orderIds')
+      .isArray({ min: 1, max: 500 })
+      .withMessage('Order IDs array is required (max 500)'),
+    body('orderIds.*').isUUID().withMessage('Order IDs must be valid UUIDs')
+  ],
+  (req, res) => shippingRuleController.applyRules(req, res)
+);
+
+/**
+ * @route PUT /api/shipping/rules/:id
+ * @desc Update a shipping rule
+ * @access Private
+ */
+router.put(
+  '/:id',
+  [
+    ...idValidation,
+    body('name').optional().trim().notEmpty(),
+    body('priority').optional({ nullable: true }).isInt(),
+    body('isActive').optional().isBoolean(),
+    body('conditions').optional().isObject(),
+    body('actions').optional().isObject()
+  ],
+  (req, res) => shippingRuleController.updateRule(req, res)
+);
+
+/**
+ * @route DELETE /api/shipping/rules/:id
+ * @desc Delete a shipping rule
+ * @access Private
+ */
+router.delete('/:id', idValidation, (req, res) =>
+  shippingRuleController.deleteRule(req, res)
+);
+
+module.exports = router;
@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const shippingTemplatesController = require('../controllers/shipping-templates-controller');
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const { body, param } = require('express-validator');
 
 // Apply authentication middleware
-router.use(auth);
+router.use(requireAccess('shipping'));
 
 /**
  * @swagger
@@ -145,6 +145,66 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /api/shipping/templates/generate-zpl:
+ *   post:
+ *     summary: Generate ZPL II labels for thermal printers
+ *     tags: [Shipping Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderIds
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Orders to print, one label each
+ *               templateId:
+ *                 type: string
+ *                 description: Template ID (uses default if not specified)
+ *               dpi:
+ *                 type: integer
+ *                 enum: [203, 300, 600]
+ *                 description: Printer resolution, 203 by default
+ *               transliterate:
+ *                 type: boolean
+ *                 description: Replace Turkish letters for printers without them
+ *     responses:
+ *       200:
+ *         description: ZPL file with one label per order
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Orders or template not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/generate-zpl',
+  body('orderIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Order IDs array is required (max 500)'),
+  body('orderIds.*').notEmpty().withMessage('Order IDs cannot be empty'),
+  body('templateId').optional({ nullable: true }).isString(),
+  body('dpi').optional().isIn([203, 300, 600]),
+  body('transliterate').optional().isBoolean(),
+  (req, res) => shippingTemplatesController.generateZPL(req, res)
+);
+
 /**
  * @swagger
  * /api/shipping/templates:
@@ -1,44 +1,272 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
-
-// Apply authentication middleware
-router.use(auth);
-
-// Coming Soon response for shipping routes
-const comingSoonResponse = (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Shipping Management - Coming Soon',
-    description:
-      'Advanced shipping features are currently under development and will be available soon.',
-    features: [
-      'Shipping Label Generation',
-      'Carrier Integration',
-      'Tracking Management',
-      'Rate Calculation',
-      'Delivery Management',
-      'Shipping Analytics'
-    ],
-    status: 'development',
-    expectedRelease: 'Q3 2025',
-    note: 'PDF Template Designer has been moved to Settings > Shipping Templates'
-  });
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAccess, requirePermission } = require('../middleware/permissions');
+const shippingController = require('../controllers/shipping-controller');
+
+// All routes require authentication
+router.use(requireAccess('shipping'));
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      }
+    });
+  }
+  next();
 };
 
-// Specific routes that show coming soon
-router.get('/', comingSoonResponse);
-router.get('/create', comingSoonResponse);
-router.get('/tracking', comingSoonResponse);
-router.get('/carriers', comingSoonResponse);
-router.get('/rates', comingSoonResponse);
-router.post('/create', comingSoonResponse);
-router.post('/tracking', comingSoonResponse);
-router.put('*', comingSoonResponse);
-router.delete('*', comingSoonResponse);
-
-// Catch remaining routes
-router.get('*', comingSoonResponse);
-router.post('*', comingSoonResponse);
+const shipmentIdValidation = [
+  param('id').isUUID().withMessage('Shipment ID must be a valid UUID')
+];
+
+const manifestIdValidation = [
+  param('id').isUUID().withMessage('Manifest ID must be a valid UUID')
+];
+
+/**
+ * @route GET /api/shipping/carriers
+ * @desc Supported carriers
+ * @access Private
+ */
+router.get('/carriers', (req, res) =>
+  shippingController.getSupportedCarriers(req, res)
+);
+
+/**
+ * @route POST /api/shipping/carriers/validate
+ * @desc Validate carrier credentials
+ * @access Private
+ */
+router.post('/carriers/validate', (req, res) =>
+  shippingController.validateCredentials(req, res)
+);
+
+/**
+ * @route GET /api/shipping/carriers/:carrier/services
+ * @desc Services offered by a carrier
+ * @access Private
+ */
+router.get('/carriers/:carrier/services', (req, res) =>
+  shippingController.getCarrierServices(req, res)
+);
+
+/**
+ * @route POST /api/shipping/rates
+ * @desc Compare rates across carriers
+ * @access Private
+ */
+router.post('/rates', (req, res) =>
+  shippingController.getShippingRates(req, res)
+);
+
+/**
+ * @route POST /api/shipping/labels
+ * @desc Create a label without an order (not stored as a shipment)
+ * @access Private (shipping:labels)
+ */
+router.post('/labels', requirePermission('shipping:labels'), (req, res) =>
+  shippingController.createShippingLabel(req, res)
+);
+
+/**
+ * @route POST /api/shipping/availability
+ * @desc Check whether carriers deliver to an address
+ * @access Private
+ */
+router.post('/availability', (req, res) =>
+  shippingController.checkDeliveryAvailability(req, res)
+);
+
+/**
+ * @route GET /api/shipping/track/:carrier/:trackingNumber
+ * @desc Track a package with its carrier
+ * @access Private
+ */
+router.get('/track/:carrier/:trackingNumber', (req, res) =>
+  shippingController.trackPackage(req, res)
+);
+
+/**
+ * @route POST /api/shipping/cancel/:carrier/:trackingNumber
+ * @desc Cancel a package with its carrier by tracking number
+ * @access Private
+ */
+router.post('/cancel/:carrier/:trackingNumber', (req, res) =>
+  shippingController.cancelShipment(req, res)
+);
+
+/**
+ * @route GET /api/shipping/shipments
+ * @desc Stored shipments with filtering and pagination
+ * @access Private
+ */
+router.get(
+  '/shipments',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('orderId').optional().isUUID()
+  ],
+  validateRequest,
+  (req, res) => shippingController.getShipments(req, res)
+);
+
+/**
+ * @route POST /api/shipping/shipments
+ * @desc Create carrier labels and shipments for orders. Without a carrier
+ * each order uses the carrier assigned by its shipping rule.
+ * @access Private (shipping:labels)
+ */
+router.post(
+  '/shipments',
+  requirePermission('shipping:labels'),
+  [
+    body('orderIds')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Order IDs array is required (max 100)'),
+    body('orderIds.*').isUUID().withMessage('Order IDs must be valid UUIDs'),
+    body('carrier').optional({ checkFalsy: true }).isString(),
+    body('serviceType').optional().isString(),
+    body('fromAddress').optional().isObject(),
+    body('packageInfo').optional().isObject()
+  ],
+  validateRequest,
+  (req, res) => shippingController.createShipment(req, res)
+);
+
+/**
+ * @route GET /api/shipping/shipments/:id
+ * @desc Shipment with status history
+ * @access Private
+ */
+router.get('/shipments/:id', shipmentIdValidation, validateRequest, (req, res) =>
+  shippingController.getShipment(req, res)
+);
+
+/**
+ * @route GET /api/shipping/shipments/:id/label
+ * @desc Label document of a shipment
+ * @access Private (shipping:labels)
+ */
+router.get(
+  '/shipments/:id/label',
+  requirePermission('shipping:labels'),
+  shipmentIdValidation,
+  validateRequest,
+  (req, res) => shippingController.getShipmentLabel(req, res)
+);
+
+/**
+ * @route POST /api/shipping/shipments/:id/cancel
+ * @desc Cancel a shipment with its carrier
+ * @access Private
+ */
+router.post('/shipments/:id/cancel', shipmentIdValidation, validateRequest, (req, res) =>
+  shippingController.cancelShipmentById(req, res)
+);
+
+/**
+ * @route POST /api/shipping/shipments/:id/track
+ * @desc Fetch the latest tracking of a shipment now
+ * @access Private
+ */
+router.post('/shipments/:id/track', shipmentIdValidation, validateRequest, (req, res) =>
+  shippingController.refreshShipmentTracking(req, res)
+);
+
+/**
+ * @route GET /api/shipping/manifests
+ * @desc Closed end-of-day manifests with filtering and pagination
+ * @access Private
+ */
+router.get(
+  '/manifests',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+  ],
+  validateRequest,
+  (req, res) => shippingController.getManifests(req, res)
+);
+
+/**
+ * @route GET /api/shipping/manifests/pending
+ * @desc Labelled shipments waiting for a manifest, per carrier
+ * @access Private
+ */
+router.get('/manifests/pending', (req, res) =>
+  shippingController.getPendingManifests(req, res)
+);
+
+/**
+ * @route POST /api/shipping/manifests
+ * @desc Close manifests for all pending shipments, one per carrier, or only
+ * for the given carrier
+ * @access Private
+ */
+router.post(
+  '/manifests',
+  [body('carrier').optional({ checkFalsy: true }).isString()],
+  validateRequest,
+  (req, res) => shippingController.closeManifests(req, res)
+);
+
+/**
+ * @route GET /api/shipping/manifests/:id
+ * @desc Manifest with its shipments
+ * @access Private
+ */
+router.get('/manifests/:id', manifestIdValidation, validateRequest, (req, res) =>
+  shippingController.getManifest(req, res)
+);
+
+/**
+ * @route GET /api/shipping/manifests/:id/pdf
+ * @desc Handover list PDF signed by the courier at pickup
+ * @access Private (shipping:labels)
+ */
+router.get(
+  '/manifests/:id/pdf',
+  requirePermission('shipping:labels'),
+  manifestIdValidation,
+  validateRequest,
+  (req, res) => shippingController.getManifestPdf(req, res)
+);
+
+/**
+ * @route POST /api/shipping/manifests/:id/close-out
+ * @desc Retry a failed carrier close-out submission
+ * @access Private
+ */
+router.post('/manifests/:id/close-out', manifestIdValidation, validateRequest, (req, res) =>
+  shippingController.retryManifestCloseOut(req, res)
+);
+
+/**
+ * @route GET /api/shipping/cache/stats
+ * @desc Carrier service cache statistics
+ * @access Private
+ */
+router.get('/cache/stats', (req, res) =>
+  shippingController.getCacheStats(req, res)
+);
+
+/**
+ * @route DELETE /api/shipping/cache/:carrier?
+ * @desc Clear carrier service cache
+ * @access Private
+ */
+router.delete('/cache/:carrier?', (req, res) =>
+  shippingController.clearCache(req, res)
+);
 
 module.exports = router;
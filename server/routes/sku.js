@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const EnhancedSKUService = require('../services/sku-service');
+const { requireAccess } = require('../middleware/permissions');
 
 // Initialize Enhanced SKU service
 const skuService = new EnhancedSKUService();
@@ -27,7 +28,8 @@ const initMiddleware = async (req, res, next) => {
   next();
 };
 
-// Apply initialization middleware to all routes
+// Apply authentication and initialization middleware to all routes
+router.use(requireAccess('products'));
 router.use(initMiddleware);
 
 /**
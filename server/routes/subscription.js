@@ -1,10 +1,14 @@
 const express = require('express');
 const subscriptionController = require('../controllers/subscription-controller');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const { body, query, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+// Plan changes and billing are owner-only for organisation members
+const billingAuth = [auth, requirePermission('billing:manage')];
+
 // Validation middleware - define it locally to avoid import issues
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -94,7 +98,7 @@ router.get('/current', auth, subscriptionController.getCurrentSubscription);
  *       400:
  *         description: User already has a subscription
  */
-router.post('/trial', auth, subscriptionController.startTrial);
+router.post('/trial', billingAuth, subscriptionController.startTrial);
 
 /**
  * @swagger
@@ -126,7 +130,7 @@ router.post('/trial', auth, subscriptionController.startTrial);
  */
 router.post(
   '/upgrade',
-  auth,
+  billingAuth,
   upgradeValidation,
   validateRequest,
   subscriptionController.upgradeSubscription
@@ -160,7 +164,7 @@ router.post(
  */
 router.post(
   '/cancel',
-  auth,
+  billingAuth,
   cancelValidation,
   validateRequest,
   subscriptionController.cancelSubscription
@@ -194,7 +198,7 @@ router.post(
  */
 router.get(
   '/billing-history',
-  auth,
+  billingAuth,
   paginationValidation,
   validateRequest,
   subscriptionController.getBillingHistory
@@ -11,7 +11,7 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
 const { body, query, param } = require('express-validator');
 const validationMiddleware = require('../middleware/validation-middleware');
 const { jsonResponseMiddleware } = require('../utils/json-serializer');
@@ -48,7 +48,7 @@ router.get('/health', (req, res) => {
 });
 
 // Apply authentication to all other routes
-router.use(auth);
+router.use(requireAccess('products'));
 
 // Apply JSON serialization middleware to prevent circular references
 router.use(jsonResponseMiddleware);
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { requireAccess } = require('../middleware/permissions');
+const warehouseController = require('../controllers/warehouse-controller');
+
+// All routes require authentication
+router.use(requireAccess('inventory'));
+
+const warehouseIdValidation = [
+  param('id').isUUID().withMessage('Warehouse ID must be a valid UUID')
+];
+
+const warehouseFieldValidation = [
+  body('type')
+    .optional()
+    .isIn(['own', 'third_party'])
+    .withMessage('Type must be own or third_party'),
+  body('address').optional({ nullable: true }).isObject(),
+  body('isSellable').optional().isBoolean(),
+  body('isDefault').optional().isBoolean(),
+  body('isActive').optional().isBoolean(),
+  body('priority')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Priority must be a non-negative integer')
+];
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+];
+
+/**
+ * @route GET /api/warehouses
+ * @desc Warehouses of the user with stock totals
+ * @access Private
+ */
+router.get('/', (req, res) => warehouseController.getWarehouses(req, res));
+
+/**
+ * @route POST /api/warehouses
+ * @desc Create a warehouse
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('code')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Code is required (max 50 characters)'),
+    ...warehouseFieldValidation
+  ],
+  (req, res) => warehouseController.createWarehouse(req, res)
+);
+
+/**
+ * @route GET /api/warehouses/allocation-rules
+ * @desc Stock allocation rule of every active marketplace connection
+ * @access Private
+ */
+router.get('/allocation-rules', (req, res) =>
+  warehouseController.getAllocationRules(req, res)
+);
+
+/**
+ * @route PUT /api/warehouses/allocation-rules/:connectionId
+ * @desc Sum of sellable warehouses or one pinned warehouse for a connection
+ * @access Private
+ */
+router.put(
+  '/allocation-rules/:connectionId',
+  [
+    param('connectionId').isInt().withMessage('Connection ID must be an integer'),
+    body('mode')
+      .isIn(['sum_sellable', 'single_warehouse'])
+      .withMessage('Mode must be sum_sellable or single_warehouse'),
+    body('warehouseId')
+      .if(body('mode').equals('single_warehouse'))
+      .isUUID()
+      .withMessage('A warehouse is required for single warehouse mode')
+  ],
+  (req, res) => warehouseController.setAllocationRule(req, res)
+);
+
+/**
+ * @route GET /api/warehouses/transfers
+ * @desc Transfer history
+ * @access Private
+ */
+router.get(
+  '/transfers',
+  [
+    query('warehouseId').optional().isUUID(),
+    query('sku').optional().isString(),
+    ...paginationValidation
+  ],
+  (req, res) => warehouseController.getTransfers(req, res)
+);
+
+/**
+ * @route POST /api/warehouses/transfers
+ * @desc Move stock from one warehouse to another
+ * @access Private
+ */
+router.post(
+  '/transfers',
+  [
+    body('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer'),
+    body('fromWarehouseId').isUUID().withMessage('Source warehouse is required'),
+    body('toWarehouseId')
+      .isUUID()
+      .withMessage('Destination warehouse is required'),
+    body('reason').optional().isString()
+  ],
+  (req, res) => warehouseController.transferStock(req, res)
+);
+
+/**
+ * @route GET /api/warehouses/stock/:sku
+ * @desc Stock of a SKU across warehouses
+ * @access Private
+ */
+router.get(
+  '/stock/:sku',
+  [param('sku').trim().notEmpty()],
+  (req, res) => warehouseController.getSkuStock(req, res)
+);
+
+/**
+ * @route PUT /api/warehouses/:id
+ * @desc Update a warehouse
+ * @access Private
+ */
+router.put(
+  '/:id',
+  [
+    ...warehouseIdValidation,
+    body('name').optional().trim().notEmpty(),
+    body('code').optional().trim().isLength({ min: 1, max: 50 }),
+    ...warehouseFieldValidation
+  ],
+  (req, res) => warehouseController.updateWarehouse(req, res)
+);
+
+/**
+ * @route DELETE /api/warehouses/:id
+ * @desc Delete an empty warehouse
+ * @access Private
+ */
+router.delete('/:id', warehouseIdValidation, (req, res) =>
+  warehouseController.deleteWarehouse(req, res)
+);
+
+/**
+ * @route GET /api/warehouses/:id/stock
+ * @desc Stock rows and bin locations of a warehouse
+ * @access Private
+ */
+router.get(
+  '/:id/stock',
+  [
+    ...warehouseIdValidation,
+    query('search').optional().isString(),
+    ...paginationValidation
+  ],
+  (req, res) => warehouseController.getWarehouseStock(req, res)
+);
+
+/**
+ * @route POST /api/warehouses/:id/stock/adjust
+ * @desc Adjust a SKU's stock in a warehouse
+ * @access Private
+ */
+router.post(
+  '/:id/stock/adjust',
+  [
+    ...warehouseIdValidation,
+    body('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('adjustment').isInt().withMessage('Adjustment must be an integer'),
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+    body('binLocation').optional({ nullable: true }).isString().isLength({ max: 100 })
+  ],
+  (req, res) => warehouseController.adjustStock(req, res)
+);
+
+/**
+ * @route PUT /api/warehouses/:id/stock/:sku/bin
+ * @desc Set the bin location of a SKU in a warehouse
+ * @access Private
+ */
+router.put(
+  '/:id/stock/:sku/bin',
+  [
+    ...warehouseIdValidation,
+    body('binLocation').optional({ nullable: true }).isString().isLength({ max: 100 })
+  ],
+  (req, res) => warehouseController.setBinLocation(req, res)
+);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { requireAccess } = require('../middleware/permissions');
+const webhookController = require('../controllers/webhook-controller');
+const outboundWebhookController = require('../controllers/outbound-webhook-controller');
+
+// Webhook secrets and subscriptions are account settings
+const webhookAuth = [auth, requireAccess('settings')];
+
+const subscriptionIdParam = param('id')
+  .isUUID()
+  .withMessage('Subscription ID must be a valid UUID');
+
+/**
+ * @route GET /api/webhooks/events
+ * @desc List stored inbound webhook events
+ * @access Private
+ */
+router.get(
+  '/events',
+  webhookAuth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status')
+      .optional()
+      .isIn(['all', 'received', 'processed', 'ignored', 'failed']),
+    query('connectionId').optional().isInt()
+  ],
+  (req, res) => webhookController.getEvents(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/events/:id/reprocess
+ * @desc Run a stored webhook event through the order processor again
+ * @access Private
+ */
+router.post(
+  '/events/:id/reprocess',
+  webhookAuth,
+  [param('id').isUUID().withMessage('Event ID must be a valid UUID')],
+  (req, res) => webhookController.reprocessEvent(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/connections/:connectionId/secret
+ * @desc Generate or rotate the webhook secret of a connection
+ * @access Private
+ */
+router.post(
+  '/connections/:connectionId/secret',
+  webhookAuth,
+  [param('connectionId').isInt().withMessage('Connection ID must be an integer')],
+  (req, res) => webhookController.rotateSecret(req, res)
+);
+
+/**
+ * @route GET /api/webhooks/event-types
+ * @desc Event types an outbound webhook subscription can select
+ * @access Private
+ */
+router.get('/event-types', webhookAuth, (req, res) =>
+  outboundWebhookController.getEventTypes(req, res)
+);
+
+/**
+ * @route GET /api/webhooks/subscriptions
+ * @desc List outbound webhook subscriptions
+ * @access Private
+ */
+router.get('/subscriptions', webhookAuth, (req, res) =>
+  outboundWebhookController.getSubscriptions(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/subscriptions
+ * @desc Create an outbound webhook subscription
+ * @access Private
+ */
+router.post(
+  '/subscriptions',
+  webhookAuth,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('url')
+      .isURL({ require_tld: false, protocols: ['http', 'https'] })
+      .withMessage('A valid http(s) URL is required'),
+    body('events').isArray({ min: 1 }).withMessage('Select at least one event'),
+    body('isActive').optional().isBoolean()
+  ],
+  (req, res) => outboundWebhookController.createSubscription(req, res)
+);
+
+/**
+ * @route PUT /api/webhooks/subscriptions/:id
+ * @desc Update an outbound webhook subscription
+ * @access Private
+ */
+router.put(
+  '/subscriptions/:id',
+  webhookAuth,
+  [
+    subscriptionIdParam,
+    body('name').optional().trim().notEmpty(),
+    body('url')
+      .optional()
+      .isURL({ require_tld: false, protocols: ['http', 'https'] })
+      .withMessage('A valid http(s) URL is required'),
+    body('events').optional().isArray({ min: 1 }),
+    body('isActive').optional().isBoolean()
+  ],
+  (req, res) => outboundWebhookController.updateSubscription(req, res)
+);
+
+/**
+ * @route DELETE /api/webhooks/subscriptions/:id
+ * @desc Delete an outbound webhook subscription and its delivery log
+ * @access Private
+ */
+router.delete(
+  '/subscriptions/:id',
+  webhookAuth,
+  [subscriptionIdParam],
+  (req, res) => outboundWebhookController.deleteSubscription(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/subscriptions/:id/secret
+ * @desc Rotate the signing secret of a subscription
+ * @access Private
+ */
+router.post(
+  '/subscriptions/:id/secret',
+  webhookAuth,
+  [subscriptionIdParam],
+  (req, res) => outboundWebhookController.rotateSubscriptionSecret(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/subscriptions/:id/test
+ * @desc Send a signed ping event to the subscription URL
+ * @access Private
+ */
+router.post(
+  '/subscriptions/:id/test',
+  webhookAuth,
+  [subscriptionIdParam],
+  (req, res) => outboundWebhookController.sendTestEvent(req, res)
+);
+
+/**
+ * @route GET /api/webhooks/deliveries
+ * @desc Outbound delivery log, including the dead-letter list
+ * @access Private
+ */
+router.get(
+  '/deliveries',
+  webhookAuth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status')
+      .optional()
+      .isIn(['all', 'pending', 'retrying', 'delivered', 'dead_letter']),
+    query('subscriptionId').optional().isUUID()
+  ],
+  (req, res) => outboundWebhookController.getDeliveries(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/deliveries/:id/redeliver
+ * @desc Requeue a dead-lettered delivery
+ * @access Private
+ */
+router.post(
+  '/deliveries/:id/redeliver',
+  webhookAuth,
+  [param('id').isUUID().withMessage('Delivery ID must be a valid UUID')],
+  (req, res) => outboundWebhookController.redeliver(req, res)
+);
+
+/**
+ * @route POST /api/webhooks/:platform/:connectionId
+ * @desc Receive a marketplace webhook
+ * @access Public (authenticated by the connection's webhook secret)
+ */
+router.post('/:platform/:connectionId', (req, res) =>
+  webhookController.receiveWebhook(req, res)
+);
+
+module.exports = router;
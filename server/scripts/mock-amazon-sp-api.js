@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * Local mock of the Amazon SP-API and LWA token endpoints used by AmazonService.
+ *
+ * Usage:
+ *   node scripts/mock-amazon-sp-api.js [port]
+ *
+ * Point the server at it with AMAZON_SP_API_ENDPOINT=http://localhost:4010
+ * (ignored when NODE_ENV=production); LWA tokens are then requested from the
+ * same host.
+ * Any clientId/clientSecret/refreshToken is accepted.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const PORT = parseInt(process.argv[2] || process.env.MOCK_AMAZON_PORT || '4010', 10);
+const MARKETPLACE_ID = 'A33AVAJ2PDY3EV';
+
+const issuedTokens = new Set();
+
+const money = (amount) => ({ CurrencyCode: 'TRY', Amount: amount.toFixed(2) });
+
+const orders = [
+  {
+    AmazonOrderId: '407-1000001-0000001',
+    PurchaseDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+    LastUpdateDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    OrderStatus: 'Unshipped',
+    FulfillmentChannel: 'MFN',
+    OrderTotal: money(449.8),
+    MarketplaceId: MARKETPLACE_ID,
+    IsBusinessOrder: false,
+    BuyerInfo: { BuyerEmail: 'alici1@marketplace.amazon.com.tr', BuyerName: 'Ayşe Yılmaz' },
+    ShippingAddress: {
+      Name: 'Ayşe Yılmaz',
+      AddressLine1: 'Bağdat Cad. No:12 D:4',
+      City: 'İstanbul',
+      County: 'Kadıköy',
+      PostalCode: '34710',
+      CountryCode: 'TR',
+      Phone: '+905550000001'
+    },
+    items: [
+      {
+        ASIN: 'B0MOCK0001',
+        SellerSKU: 'SKU-KUPA-01',
+        OrderItemId: '11111111111111',
+        Title: 'Seramik Kupa 350ml',
+        QuantityOrdered: 2,
+        QuantityShipped: 0,
+        ItemPrice: money(299.8),
+        ItemTax: money(49.97),
+        PromotionDiscount: money(0)
+      },
+      {
+        ASIN: 'B0MOCK0002',
+        SellerSKU: 'SKU-TABAK-01',
+        OrderItemId: '11111111111112',
+        Title: 'Porselen Tabak',
+        QuantityOrdered: 1,
+        QuantityShipped: 0,
+        ItemPrice: money(150),
+        ItemTax: money(25),
+        PromotionDiscount: money(0)
+      }
+    ]
+  },
+  {
+    AmazonOrderId: '407-1000002-0000002',
+    PurchaseDate: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+    LastUpdateDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+    OrderStatus: 'Shipped',
+    FulfillmentChannel: 'MFN',
+    OrderTotal: money(89.9),
+    MarketplaceId: MARKETPLACE_ID,
+    IsBusinessOrder: true,
+    BuyerInfo: { BuyerEmail: 'alici2@marketplace.amazon.com.tr', BuyerName: 'Mehmet Kaya' },
+    ShippingAddress: {
+      Name: 'Mehmet Kaya',
+      AddressLine1: 'Atatürk Bulvarı No:45',
+      City: 'Ankara',
+      County: 'Çankaya',
+      PostalCode: '06680',
+      CountryCode: 'TR',
+      Phone: '+905550000002'
+    },
+    items: [
+      {
+        ASIN: 'B0MOCK0003',
+        SellerSKU: 'SKU-PECETE-01',
+        OrderItemId: '22222222222221',
+        Title: 'Kumaş Peçete 6lı',
+        QuantityOrdered: 1,
+        QuantityShipped: 1,
+        ItemPrice: money(89.9),
+        ItemTax: money(14.98),
+        PromotionDiscount: money(0)
+      }
+    ]
+  }
+];
+
+const listings = orders.flatMap((order) =>
+  order.items.map((item) => ({
+    sku: item.SellerSKU,
+    summaries: [
+      {
+        marketplaceId: MARKETPLACE_ID,
+        asin: item.ASIN,
+        productType: 'KITCHEN',
+        conditionType: 'new_new',
+        status: ['BUYABLE', 'DISCOVERABLE'],
+        itemName: item.Title,
+        createdDate: '2026-01-01T00:00:00Z',
+        lastUpdatedDate: '2026-10-01T00:00:00Z'
+      }
+    ],
+    offers: [
+      {
+        marketplaceId: MARKETPLACE_ID,
+        offerType: 'B2C',
+        price: { currencyCode: 'TRY', amount: (parseFloat(item.ItemPrice.Amount) / item.QuantityOrdered).toFixed(2) }
+      }
+    ],
+    fulfillmentAvailability: [{ fulfillmentChannelCode: 'DEFAULT', quantity: 25 }]
+  }))
+);
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+app.use((req, res, next) => {
+  logger.info(`[mock-amazon] ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+// Login with Amazon token exchange
+app.post('/auth/o2/token', (req, res) => {
+  const { grant_type: grantType, refresh_token: refreshToken, client_id: clientId } = req.body;
+
+  if (grantType !== 'refresh_token' || !refreshToken || !clientId) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'refresh_token grant with client credentials is required'
+    });
+  }
+
+  const accessToken = `Atza|mock-${crypto.randomBytes(12).toString('hex')}`;
+  issuedTokens.add(accessToken);
+
+  res.json({
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'bearer',
+    expires_in: 3600
+  });
+});
+
+// Every SP-API route requires a token issued above
+const requireAccessToken = (req, res, next) => {
+  if (!issuedTokens.has(req.headers['x-amz-access-token'])) {
+    return res.status(403).json({
+      errors: [{ code: 'Unauthorized', message: 'Access to requested resource is denied.' }]
+    });
+  }
+  next();
+};
+
+app.get('/sellers/v1/marketplaceParticipations', requireAccessToken, (req, res) => {
+  res.json({
+    payload: [
+      {
+        marketplace: {
+          id: MARKETPLACE_ID,
+          countryCode: 'TR',
+          name: 'Amazon.com.tr',
+          defaultCurrencyCode: 'TRY',
+          defaultLanguageCode: 'tr_TR',
+          domainName: 'www.amazon.com.tr'
+        },
+        participation: { isParticipating: true, hasSuspendedListings: false }
+      }
+    ]
+  });
+});
+
+// One order per page so NextToken handling gets exercised
+app.get('/orders/v0/orders', requireAccessToken, (req, res) => {
+  const index = req.query.NextToken ? parseInt(req.query.NextToken, 10) : 0;
+  const statuses = req.query.OrderStatuses ? String(req.query.OrderStatuses).split(',') : null;
+  const matching = orders.filter((order) => !statuses || statuses.includes(order.OrderStatus));
+  const page = matching.slice(index, index + 1).map(({ items, ...order }) => order);
+
+  res.json({
+    payload: {
+      Orders: page,
+      ...(index + 1 < matching.length && { NextToken: String(index + 1) }),
+      LastUpdatedBefore: new Date().toISOString()
+    }
+  });
+});
+
+app.get('/orders/v0/orders/:orderId/orderItems', requireAccessToken, (req, res) => {
+  const order = orders.find((o) => o.AmazonOrderId === req.params.orderId);
+  if (!order) {
+    return res.status(404).json({ errors: [{ code: 'InvalidInput', message: 'Order not found' }] });
+  }
+  res.json({ payload: { AmazonOrderId: order.AmazonOrderId, OrderItems: order.items } });
+});
+
+app.post('/orders/v0/orders/:orderId/shipmentConfirmation', requireAccessToken, (req, res) => {
+  const order = orders.find((o) => o.AmazonOrderId === req.params.orderId);
+  const packageDetail = req.body?.packageDetail;
+
+  if (!order) {
+    return res.status(404).json({ errors: [{ code: 'InvalidInput', message: 'Order not found' }] });
+  }
+  if (!packageDetail?.trackingNumber || !Array.isArray(packageDetail.orderItems)) {
+    return res.status(400).json({
+      errors: [{ code: 'InvalidInput', message: 'packageDetail with trackingNumber and orderItems is required' }]
+    });
+  }
+
+  order.OrderStatus = 'Shipped';
+  order.LastUpdateDate = new Date().toISOString();
+  res.status(204).end();
+});
+
+app.get('/listings/2021-08-01/items/:sellerId', requireAccessToken, (req, res) => {
+  const pageSize = parseInt(req.query.pageSize || '20', 10);
+  const start = req.query.pageToken ? parseInt(req.query.pageToken, 10) : 0;
+
+  res.json({
+    numberOfResults: listings.length,
+    items: listings.slice(start, start + pageSize),
+    pagination: start + pageSize < listings.length ? { nextToken: String(start + pageSize) } : {}
+  });
+});
+
+app.get('/definitions/2020-09-01/productTypes', requireAccessToken, (req, res) => {
+  res.json({
+    productTypes: [
+      { name: 'KITCHEN', displayName: 'Mutfak', marketplaceIds: [MARKETPLACE_ID] },
+      { name: 'HOME', displayName: 'Ev', marketplaceIds: [MARKETPLACE_ID] },
+      { name: 'SHIRT', displayName: 'Gömlek', marketplaceIds: [MARKETPLACE_ID] }
+    ],
+    productTypeVersion: 'LATEST'
+  });
+});
+
+app.use((req, res) => {
+  res.status(404).json({ errors: [{ code: 'NotFound', message: `No mock for ${req.method} ${req.path}` }] });
+});
+
+app.listen(PORT, () => {
+  logger.info(`Mock Amazon SP-API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Local stub of the QNB Finans connector service used for e-İrsaliye.
+ *
+ * Usage:
+ *   node scripts/mock-qnb-eirsaliye.js [port]
+ *
+ * Point the server at it with the QNB_EIRSALIYE_ENDPOINT environment variable
+ * or the `eIrsaliyeEndpoint` QNB Finans setting, e.g.
+ *   http://localhost:4020/efatura/ws/connectorService
+ *
+ * Any username/password is accepted unless MOCK_QNB_PASSWORD is set. Each
+ * status query moves a document one step further: processing, sent to GİB,
+ * then answered by the receiver with MOCK_QNB_RESPONSE (KABUL by default,
+ * or RED / KISMI_KABUL). Documents live in memory only.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const logger = require('../utils/logger');
+
+const PORT = parseInt(process.argv[2] || process.env.MOCK_QNB_PORT || '4020', 10);
+const SERVICE_PATH = '/efatura/ws/connectorService';
+const RECEIVER_RESPONSE = process.env.MOCK_QNB_RESPONSE || 'KABUL';
+
+// belgeOid -> { belgeNo, ettn, vkn, stage, cancelled }
+const documents = new Map();
+let nextOid = 1;
+
+const parser = new xml2js.Parser({
+  explicitArray: false,
+  tagNameProcessors: [xml2js.processors.stripPrefix]
+});
+const builder = new xml2js.Builder({ headless: true });
+
+const envelope = (body) =>
+  builder.buildObject({
+    'S:Envelope': {
+      $: { 'xmlns:S': 'http://schemas.xmlsoap.org/soap/envelope/' },
+      'S:Body': body
+    }
+  });
+
+const respond = (res, method, content) => {
+  res.type('text/xml').send(
+    envelope({
+      [`ns2:${method}Response`]: {
+        $: { 'xmlns:ns2': 'http://service.connector.cs.com.tr/' },
+        ...content
+      }
+    })
+  );
+};
+
+const fault = (res, message) => {
+  logger.warn(`[mock-qnb] fault: ${message}`);
+  res
+    .status(500)
+    .type('text/xml')
+    .send(envelope({ 'S:Fault': { faultcode: 'S:Server', faultstring: message } }));
+};
+
+const handlers = {
+  belgeGonderExt(params, res) {
+    const { parametreler: doc = {} } = params;
+    if (!doc.belgeNo || !doc.vergiTcKimlikNo || !doc.veri) {
+      return fault(res, 'belgeNo, vergiTcKimlikNo ve veri zorunludur');
+    }
+    if (doc.belgeTuru !== 'IRSALIYE_UBL') {
+      return fault(res, `Desteklenmeyen belge türü: ${doc.belgeTuru}`);
+    }
+
+    const xml = Buffer.from(doc.veri, 'base64').toString('utf8');
+    if (crypto.createHash('md5').update(xml).digest('hex') !== doc.belgeHash) {
+      return fault(res, 'Belge hash değeri uyuşmuyor');
+    }
+    if (!xml.includes('<DespatchAdvice')) {
+      return fault(res, 'Belge bir DespatchAdvice değil');
+    }
+
+    const belgeNo = (xml.match(/<cbc:ID>([A-Z0-9]{16})<\/cbc:ID>/) || [])[1];
+    const duplicate = Array.from(documents.values()).some(
+      (existing) =>
+        existing.vkn === doc.vergiTcKimlikNo &&
+        (existing.ettn === doc.belgeNo || existing.belgeNo === belgeNo)
+    );
+    if (duplicate) {
+      return fault(res, `Bu belge numarası daha önce gönderilmiş: ${belgeNo || doc.belgeNo}`);
+    }
+
+    const oid = `MOCK${String(nextOid++).padStart(8, '0')}`;
+    documents.set(oid, {
+      belgeNo,
+      ettn: doc.belgeNo,
+      vkn: doc.vergiTcKimlikNo,
+      stage: 0,
+      cancelled: false
+    });
+    logger.info(`[mock-qnb] despatch advice ${belgeNo} stored as ${oid}`);
+
+    respond(res, 'belgeGonderExt', { return: oid });
+  },
+
+  gidenBelgeDurumSorgula(params, res) {
+    const doc = documents.get(params.belgeOid);
+    if (!doc || doc.vkn !== params.vergiTcKimlikNo) {
+      return fault(res, `Belge bulunamadı: ${params.belgeOid}`);
+    }
+
+    if (!doc.cancelled && doc.stage < 2) {
+      doc.stage++;
+    }
+
+    respond(res, 'gidenBelgeDurumSorgula', {
+      return: {
+        belgeNo: doc.belgeNo,
+        ettn: doc.ettn,
+        durum: doc.stage === 0 ? 1 : 3,
+        aciklama: doc.cancelled
+          ? 'Belge iptal edildi'
+          : doc.stage === 0
+            ? 'Belge işleniyor'
+            : 'Belge GİB\'e iletildi',
+        ...(doc.stage === 2 &&
+          !doc.cancelled && {
+          yanitDurumu: RECEIVER_RESPONSE,
+          yanitAciklama: `Alıcı yanıtı: ${RECEIVER_RESPONSE}`
+        })
+      }
+    });
+  },
+
+  gidenBelgeIptalEt(params, res) {
+    const doc = documents.get(params.belgeOid);
+    if (!doc || doc.vkn !== params.vergiTcKimlikNo) {
+      return fault(res, `Belge bulunamadı: ${params.belgeOid}`);
+    }
+    if (doc.stage === 2) {
+      return fault(res, 'Alıcı yanıt verdiği için belge iptal edilemez');
+    }
+
+    doc.cancelled = true;
+    respond(res, 'gidenBelgeIptalEt', { return: true });
+  }
+};
+
+const app = express();
+app.use(express.text({ type: '*/*', limit: '10mb' }));
+
+app.post(SERVICE_PATH, async (req, res) => {
+  let soap;
+  try {
+    soap = await parser.parseStringPromise(req.body);
+  } catch (error) {
+    return fault(res, `Geçersiz SOAP isteği: ${error.message}`);
+  }
+
+  const token = soap?.Envelope?.Header?.Security?.UsernameToken;
+  if (!token?.Username || !token?.Password) {
+    return fault(res, 'Kimlik doğrulama bilgileri eksik');
+  }
+  if (process.env.MOCK_QNB_PASSWORD && token.Password !== process.env.MOCK_QNB_PASSWORD) {
+    return fault(res, 'Kullanıcı adı veya şifre hatalı');
+  }
+
+  const body = soap.Envelope.Body || {};
+  const [method] = Object.keys(body).filter((key) => key !== '$');
+  logger.info(`[mock-qnb] ${method}`);
+
+  if (!handlers[method]) {
+    return fault(res, `No mock for ${method}`);
+  }
+  handlers[method](body[method] || {}, res);
+});
+
+app.use((req, res) => {
+  res.status(404).send(`No mock for ${req.method} ${req.path}`);
+});
+
+app.listen(PORT, () => {
+  logger.info(`Mock QNB e-İrsaliye connector listening on http://localhost:${PORT}${SERVICE_PATH}`);
+});
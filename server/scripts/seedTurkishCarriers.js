@@ -228,6 +228,42 @@ async function seedTurkishCarriers() {
           email: 'info@suratkargo.com.tr',
           website: 'https://www.suratkargo.com.tr'
         }
+      },
+      {
+        name: 'HepsiJet',
+        code: 'HEPSIJET',
+        carrierType: 'TURKISH_DOMESTIC',
+        isActive: true,
+        apiEndpoint: 'https://integration.hepsijet.com',
+        trackingUrlTemplate: 'https://www.hepsijet.com/gonderi-takibi/{trackingNumber}',
+        supportedServices: ['STANDARD'],
+        configuration: {
+          authType: 'token',
+          shipmentEndpoint: '/rest/delivery/sendDeliveryOrderEnhanced',
+          trackingEndpoint: '/rest/delivery/getDeliveryTracking'
+        },
+        coverage: {
+          domestic: true,
+          international: false,
+          cities: 'all',
+          exclusions: []
+        },
+        deliveryTimeRange: '1-2 iş günü',
+        maxWeight: 30.0,
+        maxDimensions: {
+          length: 100,
+          width: 60,
+          height: 60
+        },
+        cashOnDeliverySupported: false,
+        insuranceSupported: false,
+        returnSupported: true,
+        businessDaysOnly: false,
+        contactInfo: {
+          phone: '0850 252 24 24',
+          email: 'destek@hepsijet.com',
+          website: 'https://www.hepsijet.com'
+        }
       }
     ];
 
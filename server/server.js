@@ -279,6 +279,10 @@ async function startServer() {
               });
             }
 
+            // Deliver outbound webhooks for domain events
+            const outboundWebhookService = require('./services/outbound-webhook-service');
+            outboundWebhookService.start();
+
             // Initialize other background services with delay
             setTimeout(() => {
               logger.info(
@@ -308,7 +312,9 @@ async function startServer() {
               services: [
                 'product-linking',
                 'customer-question-sync',
-                'variant-detection'
+                'outbound-webhooks',
+                'variant-detection',
+                'shipment-tracking'
               ]
             });
           }
@@ -328,6 +334,7 @@ async function startServer() {
       try {
         productLinkingJobs.stop();
         customerQuestionSyncJobs.stop();
+        require('./services/outbound-webhook-service').stop();
         logger.info('Background jobs stopped successfully', {
           service: 'pazar-plus'
         });
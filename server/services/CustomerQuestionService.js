@@ -9,6 +9,8 @@ const ReplyTemplate = require("../models/ReplyTemplate");
 const QuestionStats = require("../models/QuestionStats");
 const Customer = require("../models/Customer");
 const PlatformConnection = require("../models/PlatformConnection");
+const replySuggestionService = require("./ReplySuggestionService");
+const questionSlaService = require("./QuestionSlaService");
 const { Op, Sequelize } = require("sequelize");
 
 let debug;
@@ -323,6 +325,9 @@ class CustomerQuestionService {
         );
       }
 
+      // Track the answer deadline
+      await questionSlaService.applySla(question);
+
       // Update similar questions count
       await this.updateSimilarQuestionsCount(question);
 
@@ -568,6 +573,7 @@ class CustomerQuestionService {
             status: "ANSWERED",
             answered_date: new Date(),
           });
+          await questionSlaService.applySla(question);
 
           // Update template usage if used (since the intent was to use the template)
           if (replyData.template_id) {
@@ -594,11 +600,17 @@ class CustomerQuestionService {
           status: replyData.type === "reject" ? "REJECTED" : "ANSWERED",
           answered_date: new Date(),
         });
+        await questionSlaService.applySla(question);
 
         // Update template usage if used
         if (replyData.template_id) {
           await this.updateTemplateUsage(replyData.template_id);
         }
+
+        // New answers become suggestions for similar questions
+        if (replyData.type !== "reject") {
+          replySuggestionService.invalidate();
+        }
       } else {
         await reply.update({
           status: "failed",
@@ -883,6 +895,83 @@ class CustomerQuestionService {
       .slice(0, 10); // Take first 10 meaningful words
   }
 
+  /**
+   * Daily response-time and SLA figures from QuestionStats, with totals over
+   * the whole period
+   */
+  async getSlaReport({ platform = "all", startDate, endDate }) {
+    const rows = await QuestionStats.findAll({
+      where: {
+        platform,
+        date: {
+          [Op.between]: [
+            startDate.toISOString().split("T")[0],
+            endDate.toISOString().split("T")[0],
+          ],
+        },
+      },
+      order: [["date", "ASC"]],
+    });
+
+    const days = rows.map((row) => ({
+      date: row.date,
+      total_questions: row.total_questions,
+      answered: row.answered,
+      answered_within_sla: row.answered_within_sla,
+      answered_late: row.answered_late,
+      overdue_open: row.overdue_open,
+      sla_compliance_rate:
+        row.sla_compliance_rate !== null
+          ? parseFloat(row.sla_compliance_rate)
+          : null,
+      avg_response_time_hours:
+        row.avg_response_time_hours !== null
+          ? parseFloat(row.avg_response_time_hours)
+          : null,
+      median_response_time_hours:
+        row.median_response_time_hours !== null
+          ? parseFloat(row.median_response_time_hours)
+          : null,
+      p90_response_time_hours:
+        row.p90_response_time_hours !== null
+          ? parseFloat(row.p90_response_time_hours)
+          : null,
+      response_time_by_assignee: row.response_time_by_assignee || [],
+    }));
+
+    const withinSla = days.reduce(
+      (sum, day) => sum + day.answered_within_sla,
+      0
+    );
+    const late = days.reduce((sum, day) => sum + day.answered_late, 0);
+
+    // Average of daily averages weighted by the questions answered that day
+    const timedDays = days.filter(
+      (day) => day.avg_response_time_hours !== null
+    );
+    const timedAnswers = timedDays.reduce((sum, day) => sum + day.answered, 0);
+    const weightedHours = timedDays.reduce(
+      (sum, day) => sum + day.avg_response_time_hours * day.answered,
+      0
+    );
+
+    return {
+      platform,
+      days,
+      totals: {
+        answered_within_sla: withinSla,
+        answered_late: late,
+        sla_compliance_rate:
+          withinSla + late
+            ? Math.round((withinSla / (withinSla + late)) * 10000) / 100
+            : null,
+        avg_response_time_hours: timedAnswers
+          ? Math.round((weightedHours / timedAnswers) * 100) / 100
+          : null,
+      },
+    };
+  }
+
   /**
    * Generate daily statistics
    */
@@ -994,6 +1083,12 @@ class CustomerQuestionService {
           parseFloat(rtStats.getDataValue("min_hours")) || null;
       }
 
+      // Add answer deadline and response-time distribution metrics
+      Object.assign(
+        statsData,
+        await questionSlaService.getSlaMetrics(whereClause)
+      );
+
       // Save or update stats
       await QuestionStats.upsert(statsData, {
         conflictFields: ["date", "platform"],
@@ -0,0 +1,437 @@
+const CustomerQuestion = require("../models/CustomerQuestion");
+const { OrganizationMember } = require("../models");
+const HepsiBuradaQuestionService = require("./HepsiBuradaQuestionService");
+const alertService = require("./alertService");
+const logger = require("../utils/logger");
+const { Op } = require("sequelize");
+
+const CHECK_INTERVAL_MS = parseInt(
+  process.env.QUESTION_SLA_CHECK_INTERVAL_MS || String(5 * 60 * 1000),
+  10
+);
+
+// Questions are escalated this long before their deadline
+const DUE_SOON_MS = parseInt(
+  process.env.QUESTION_SLA_WARNING_MS || String(4 * 60 * 60 * 1000),
+  10
+);
+
+// Today's QuestionStats row is regenerated at most this often
+const STATS_INTERVAL_MS = 60 * 60 * 1000;
+
+// Answer windows for platforms that do not send a deadline with the question.
+// Hepsiburada sends expireDate, or it is derived from calculateExpireDate().
+const PLATFORM_SLA_HOURS = {
+  trendyol: parseInt(process.env.QUESTION_SLA_HOURS_TRENDYOL || "24", 10),
+  n11: parseInt(process.env.QUESTION_SLA_HOURS_N11 || "48", 10),
+};
+
+// Alerts list at most this many questions, the rest only count
+const MAX_ALERTED_QUESTIONS = 20;
+
+const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const percentile = (sortedValues, fraction) => {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const position = Math.ceil(fraction * sortedValues.length) - 1;
+  return sortedValues[Math.max(0, position)];
+};
+
+/**
+ * Question SLA Service
+ * Tracks answer deadlines of customer questions across platforms, escalates
+ * questions whose deadline nears or has passed and reports response times
+ */
+class QuestionSlaService {
+  constructor() {
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.lastRun = null;
+    this.lastStatsRunAt = 0;
+    this.lastStatsDate = null;
+  }
+
+  start() {
+    if (this.checkInterval) {
+      return;
+    }
+
+    this.checkInterval = setInterval(() => {
+      this.checkDeadlines().catch((error) => {
+        logger.error("Error checking question deadlines:", error);
+      });
+    }, CHECK_INTERVAL_MS);
+
+    logger.info("Question SLA checker started", {
+      intervalMs: CHECK_INTERVAL_MS,
+    });
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.checkInterval),
+      isChecking: this.isChecking,
+      intervalMs: CHECK_INTERVAL_MS,
+      lastRun: this.lastRun,
+    };
+  }
+
+  /**
+   * Answer deadline of a question: the platform's own expire date when it
+   * sent one, otherwise the platform's answer window from creation
+   * @returns {Date|null}
+   */
+  calculateDueDate(question) {
+    if (question.expire_date) {
+      return new Date(question.expire_date);
+    }
+    if (!question.creation_date) {
+      return null;
+    }
+    if (question.platform === "hepsiburada") {
+      return HepsiBuradaQuestionService.prototype.calculateExpireDate(
+        question.creation_date
+      );
+    }
+
+    const hours = PLATFORM_SLA_HOURS[question.platform];
+    if (!hours) {
+      return null;
+    }
+    return new Date(
+      new Date(question.creation_date).getTime() + hours * HOUR_MS
+    );
+  }
+
+  /**
+   * Store the deadline of a question and, once answered, whether it was met
+   */
+  async applySla(question) {
+    const dueDate = this.calculateDueDate(question);
+    const answeredWithinSla =
+      question.answered_date && dueDate
+        ? new Date(question.answered_date) <= dueDate
+        : null;
+
+    const changes = {};
+    if (dueDate?.getTime() !== question.answer_due_date?.getTime()) {
+      changes.answer_due_date = dueDate;
+      // A new deadline is escalated again
+      changes.sla_warning_sent_at = null;
+      changes.sla_breach_sent_at = null;
+    }
+    if (answeredWithinSla !== question.answered_within_sla) {
+      changes.answered_within_sla = answeredWithinSla;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await question.update(changes);
+    }
+    return question;
+  }
+
+  /**
+   * Unanswered questions past or close to their deadline, most urgent first
+   * @param {Object} options - platform, assignedTo, dueWithinHours, limit
+   * @returns {Promise<{overdue: Array, dueSoon: Array}>}
+   */
+  async getQueue(options = {}) {
+    const now = new Date();
+    const dueWithinMs = options.dueWithinHours
+      ? options.dueWithinHours * HOUR_MS
+      : DUE_SOON_MS;
+
+    const where = {
+      status: "WAITING_FOR_ANSWER",
+      answer_due_date: { [Op.lte]: new Date(now.getTime() + dueWithinMs) },
+    };
+    if (options.platform) {
+      where.platform = options.platform;
+    }
+    if (options.assignedTo) {
+      where.assigned_to = options.assignedTo;
+    }
+
+    const questions = await CustomerQuestion.findAll({
+      where,
+      attributes: { exclude: ["raw_data"] },
+      order: [["answer_due_date", "ASC"]],
+      limit: options.limit || 100,
+    });
+
+    return {
+      overdue: questions.filter((question) => question.answer_due_date < now),
+      dueSoon: questions.filter((question) => question.answer_due_date >= now),
+    };
+  }
+
+  /**
+   * Assign a question to a team member, or unassign it with a null userId.
+   * Assignees must belong to the requester's organisation; without one the
+   * requester can only assign themself.
+   * @param {number} questionId
+   * @param {string|null} userId - Assignee
+   * @param {Object} requester - { userId, organizationId } of the signed-in user
+   */
+  async assignQuestion(questionId, userId, requester) {
+    const question = await CustomerQuestion.findByPk(questionId);
+    if (!question) {
+      throw new Error("Question not found");
+    }
+
+    if (userId) {
+      const isTeamMember = requester.organizationId
+        ? (await OrganizationMember.count({
+            where: { organizationId: requester.organizationId, userId },
+          })) > 0
+        : userId === requester.userId;
+      if (!isTeamMember) {
+        throw new Error("User not found");
+      }
+    }
+
+    await question.update({
+      assigned_to: userId || null,
+      assigned_at: userId ? new Date() : null,
+    });
+    return question;
+  }
+
+  /**
+   * Escalate unanswered questions whose deadline nears or has passed. Each
+   * question is escalated once per stage: priority is raised and one alert
+   * per stage lists the affected questions.
+   */
+  async checkDeadlines() {
+    if (this.isChecking) {
+      return;
+    }
+    this.isChecking = true;
+
+    try {
+      const now = new Date();
+
+      const overdue = await CustomerQuestion.findAll({
+        where: {
+          status: "WAITING_FOR_ANSWER",
+          answer_due_date: { [Op.lt]: now },
+          sla_breach_sent_at: null,
+        },
+        attributes: { exclude: ["raw_data"] },
+        order: [["answer_due_date", "ASC"]],
+      });
+
+      const dueSoon = await CustomerQuestion.findAll({
+        where: {
+          status: "WAITING_FOR_ANSWER",
+          answer_due_date: {
+            [Op.gte]: now,
+            [Op.lte]: new Date(now.getTime() + DUE_SOON_MS),
+          },
+          sla_warning_sent_at: null,
+        },
+        attributes: { exclude: ["raw_data"] },
+        order: [["answer_due_date", "ASC"]],
+      });
+
+      await this.escalate(dueSoon, "high", { sla_warning_sent_at: now });
+      await this.escalate(overdue, "urgent", {
+        sla_warning_sent_at: now,
+        sla_breach_sent_at: now,
+      });
+
+      if (dueSoon.length > 0) {
+        await this.sendEscalationAlert(
+          "questionSlaWarning",
+          `${dueSoon.length} customer question(s) due within ${Math.round(
+            DUE_SOON_MS / HOUR_MS
+          )} hours`,
+          dueSoon
+        );
+      }
+      if (overdue.length > 0) {
+        await this.sendEscalationAlert(
+          "questionSlaBreach",
+          `${overdue.length} customer question(s) past their answer deadline`,
+          overdue
+        );
+      }
+
+      await this.refreshStats(now);
+
+      this.lastRun = {
+        finishedAt: new Date(),
+        dueSoon: dueSoon.length,
+        overdue: overdue.length,
+      };
+      return this.lastRun;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async escalate(questions, minimumPriority, markers) {
+    for (const question of questions) {
+      const priority =
+        PRIORITY_ORDER.indexOf(question.priority) <
+        PRIORITY_ORDER.indexOf(minimumPriority)
+          ? minimumPriority
+          : question.priority;
+
+      await question.update({ ...markers, priority });
+    }
+  }
+
+  async sendEscalationAlert(type, title, questions) {
+    const listed = questions.slice(0, MAX_ALERTED_QUESTIONS);
+    const lines = listed.map(
+      (question) =>
+        `- [${question.platform}] ${question.product_name || "-"}: "${
+          question.question_text
+        }" (due ${question.answer_due_date.toISOString()}, assigned to ${
+          question.assigned_to || "nobody"
+        })`
+    );
+    if (questions.length > listed.length) {
+      lines.push(`...and ${questions.length - listed.length} more`);
+    }
+
+    await alertService.sendAlert(type, title, lines.join("\n"), {
+      count: questions.length,
+      questions: listed.map((question) => ({
+        id: question.id,
+        platform: question.platform,
+        platformQuestionId: question.platform_question_id,
+        answerDueDate: question.answer_due_date,
+        assignedTo: question.assigned_to,
+      })),
+    });
+  }
+
+  /**
+   * Regenerate today's QuestionStats periodically and yesterday's once the
+   * day has turned, so reports include the SLA figures of full days
+   */
+  async refreshStats(now = new Date()) {
+    if (now.getTime() - this.lastStatsRunAt < STATS_INTERVAL_MS) {
+      return;
+    }
+
+    // Required lazily: CustomerQuestionService depends on this service
+    const CustomerQuestionService = require("./CustomerQuestionService");
+    const questionService = new CustomerQuestionService();
+
+    const today = now.toISOString().split("T")[0];
+    if (this.lastStatsDate && this.lastStatsDate !== today) {
+      await questionService.generateDailyStats(
+        new Date(now.getTime() - 24 * HOUR_MS)
+      );
+    }
+    await questionService.generateDailyStats(now);
+
+    this.lastStatsRunAt = now.getTime();
+    this.lastStatsDate = today;
+  }
+
+  /**
+   * SLA and response-time figures of the questions matching a filter
+   * @param {Object} where - CustomerQuestion filter, e.g. one day's questions
+   * @returns {Promise<Object>} QuestionStats fields
+   */
+  async getSlaMetrics(where) {
+    const questions = await CustomerQuestion.findAll({
+      where,
+      attributes: [
+        "status",
+        "creation_date",
+        "answered_date",
+        "answer_due_date",
+        "answered_within_sla",
+        "assigned_to",
+      ],
+    });
+
+    const now = new Date();
+    const responseTimes = [];
+    const byAssignee = new Map();
+    const metrics = {
+      answered_within_sla: 0,
+      answered_late: 0,
+      overdue_open: 0,
+    };
+
+    questions.forEach((question) => {
+      if (
+        question.status === "WAITING_FOR_ANSWER" &&
+        question.answer_due_date &&
+        question.answer_due_date < now
+      ) {
+        metrics.overdue_open++;
+      }
+
+      if (!question.answered_date) {
+        return;
+      }
+
+      const hours =
+        (new Date(question.answered_date) - new Date(question.creation_date)) /
+        HOUR_MS;
+      responseTimes.push(hours);
+
+      if (question.answered_within_sla === true) {
+        metrics.answered_within_sla++;
+      } else if (question.answered_within_sla === false) {
+        metrics.answered_late++;
+      }
+
+      const assignee = question.assigned_to || null;
+      const entry = byAssignee.get(assignee) || {
+        assigned_to: assignee,
+        answered: 0,
+        within_sla: 0,
+        total_hours: 0,
+      };
+      entry.answered++;
+      entry.within_sla += question.answered_within_sla === true ? 1 : 0;
+      entry.total_hours += hours;
+      byAssignee.set(assignee, entry);
+    });
+
+    responseTimes.sort((a, b) => a - b);
+    const measured = metrics.answered_within_sla + metrics.answered_late;
+
+    return {
+      ...metrics,
+      sla_compliance_rate: measured
+        ? roundHours((metrics.answered_within_sla / measured) * 100)
+        : null,
+      median_response_time_hours: responseTimes.length
+        ? roundHours(percentile(responseTimes, 0.5))
+        : null,
+      p90_response_time_hours: responseTimes.length
+        ? roundHours(percentile(responseTimes, 0.9))
+        : null,
+      response_time_by_assignee: [...byAssignee.values()].map(
+        ({ total_hours, ...entry }) => ({
+          ...entry,
+          avg_response_time_hours: roundHours(total_hours / entry.answered),
+        })
+      ),
+    };
+  }
+}
+
+module.exports = new QuestionSlaService();
@@ -0,0 +1,592 @@
+const CustomerQuestion = require("../models/CustomerQuestion");
+const CustomerReply = require("../models/CustomerReply");
+const Product = require("../models/Product");
+const { Op } = require("sequelize");
+
+let debug;
+try {
+  debug = require("debug")("pazar:customer:suggestions");
+} catch (error) {
+  debug = () => {}; // No-op function if debug is not available
+}
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Answers to questions about the same product are far more likely to apply
+const SAME_PRODUCT_BOOST = 2;
+const NEAR_DUPLICATE_BOOST = 1.5;
+
+// TF-IDF cosine similarity above which two questions count as the same question
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+const MIN_SIMILARITY = 0.15;
+
+const MAX_INDEXED_REPLIES = 20000;
+const INDEX_TTL_MS = 15 * 60 * 1000;
+
+const MIN_STEM_LENGTH = 3;
+
+const DIACRITICS = {
+  ç: "c",
+  ğ: "g",
+  ı: "i",
+  ö: "o",
+  ş: "s",
+  ü: "u",
+  â: "a",
+  î: "i",
+  û: "u",
+};
+
+// Folded Turkish stop words, including greetings that open most questions
+const STOP_WORDS = new Set([
+  "acaba",
+  "ama",
+  "ben",
+  "bana",
+  "bey",
+  "bir",
+  "biz",
+  "bu",
+  "da",
+  "de",
+  "diye",
+  "gibi",
+  "gunler",
+  "hanim",
+  "hocam",
+  "icin",
+  "ile",
+  "iyi",
+  "ki",
+  "merhaba",
+  "merhabalar",
+  "mi",
+  "mu",
+  "ne",
+  "nedir",
+  "nasil",
+  "o",
+  "sayin",
+  "selam",
+  "siz",
+  "size",
+  "su",
+  "tesekkur",
+  "tesekkurler",
+  "lutfen",
+  "ve",
+  "veya",
+  "ya",
+]);
+
+// Folded inflectional suffixes, longest first. Stripping is deliberately
+// light: the goal is that "kargoya", "kargoda" and "kargonun" share a term,
+// not a linguistically correct root.
+const SUFFIXES = [
+  "abilir",
+  "ebilir",
+  "larin",
+  "lerin",
+  "lari",
+  "leri",
+  "acak",
+  "ecek",
+  "iyor",
+  "uyor",
+  "yla",
+  "yle",
+  "nin",
+  "nun",
+  "dan",
+  "den",
+  "tan",
+  "ten",
+  "lar",
+  "ler",
+  "mis",
+  "mus",
+  "dir",
+  "dur",
+  "tir",
+  "tur",
+  "miz",
+  "niz",
+  "mak",
+  "mek",
+  "yor",
+  "si",
+  "su",
+  "la",
+  "le",
+  "da",
+  "de",
+  "ta",
+  "te",
+  "ya",
+  "ye",
+  "yi",
+  "yu",
+  "in",
+  "un",
+  "im",
+  "um",
+  "a",
+  "e",
+  "i",
+  "u",
+];
+
+// Consonants softened before a vowel suffix ("rengi" -> "reng" -> "renk")
+const SOFTENED_ENDINGS = { g: "k", b: "p", d: "t" };
+
+/**
+ * Lowercase with Turkish casing rules and fold diacritics to ASCII
+ */
+const foldText = (text) =>
+  (text || "")
+    .toLocaleLowerCase("tr-TR")
+    .replace(/[çğıöşüâîû]/g, (char) => DIACRITICS[char])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+const stem = (word) => {
+  let current = word;
+
+  for (let round = 0; round < 3; round++) {
+    const suffix = SUFFIXES.find(
+      (candidate) =>
+        current.endsWith(candidate) &&
+        current.length - candidate.length >= MIN_STEM_LENGTH
+    );
+    if (!suffix) {
+      break;
+    }
+    current = current.slice(0, -suffix.length);
+  }
+
+  const last = current[current.length - 1];
+  if (current !== word && SOFTENED_ENDINGS[last]) {
+    current = current.slice(0, -1) + SOFTENED_ENDINGS[last];
+  }
+
+  return current;
+};
+
+/**
+ * Fold, tokenize, drop stop words and stem
+ * @param {string} text
+ * @returns {string[]} Terms
+ */
+const tokenize = (text) =>
+  foldText(text)
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (/^\d+$/.test(word) ? word : stem(word)));
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Identifiers a question's product can be matched on
+ */
+const getProductIdentifiers = (question) =>
+  [
+    question.product_main_id,
+    question.product_stock_code,
+    question.product_sku,
+  ]
+    .filter(Boolean)
+    .map((identifier) => identifier.toString().trim());
+
+const getProductKeys = (question) =>
+  getProductIdentifiers(question).map((identifier) => identifier.toLowerCase());
+
+/**
+ * Reply Suggestion Service
+ * Ranks answers already sent to customers by how similar their questions are
+ * to a new question. Uses an in-memory BM25 index over answered questions,
+ * rebuilt periodically and whenever a new answer is sent.
+ */
+class ReplySuggestionService {
+  constructor() {
+    this.index = null;
+    this.indexBuiltAt = 0;
+    this.building = null;
+  }
+
+  /**
+   * Mark the index as stale so the next suggestion request rebuilds it
+   */
+  invalidate() {
+    this.indexBuiltAt = 0;
+  }
+
+  async getIndex() {
+    if (this.index && Date.now() - this.indexBuiltAt < INDEX_TTL_MS) {
+      return this.index;
+    }
+
+    // Concurrent requests share one rebuild
+    if (!this.building) {
+      this.building = this.buildIndex()
+        .then((index) => {
+          this.index = index;
+          this.indexBuiltAt = Date.now();
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    return this.building;
+  }
+
+  async buildIndex() {
+    const startedAt = Date.now();
+
+    const replies = await CustomerReply.findAll({
+      where: {
+        from_type: "merchant",
+        reply_type: "answer",
+        status: "sent",
+      },
+      attributes: ["id", "reply_text", "question_id", "creation_date"],
+      include: [
+        {
+          model: CustomerQuestion,
+          as: "question",
+          required: true,
+          attributes: [
+            "id",
+            "question_text",
+            "question_hash",
+            "product_name",
+            "product_main_id",
+            "product_sku",
+            "product_stock_code",
+            "answered_date",
+          ],
+        },
+      ],
+      order: [["creation_date", "DESC"]],
+      limit: MAX_INDEXED_REPLIES,
+    });
+
+    const documents = [];
+    const documentFrequency = new Map();
+    const postings = new Map();
+
+    replies.forEach((reply) => {
+      const terms = tokenize(reply.question.question_text);
+      if (terms.length === 0 || !reply.reply_text?.trim()) {
+        return;
+      }
+
+      const termCounts = countTerms(terms);
+      const position = documents.length;
+
+      termCounts.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        if (!postings.has(term)) {
+          postings.set(term, []);
+        }
+        postings.get(term).push(position);
+      });
+
+      documents.push({
+        replyId: reply.id,
+        replyText: reply.reply_text.trim(),
+        answerKey: tokenize(reply.reply_text).join(" "),
+        question: reply.question,
+        productKeys: getProductKeys(reply.question),
+        termCounts,
+        length: terms.length,
+      });
+    });
+
+    const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+    const index = {
+      documents,
+      documentFrequency,
+      postings,
+      averageLength: documents.length ? totalLength / documents.length : 0,
+    };
+
+    // Vector norms for cosine similarity depend on the final document frequencies
+    documents.forEach((doc) => {
+      doc.norm = this.vectorNorm(doc.termCounts, index);
+    });
+
+    debug(
+      `Indexed ${documents.length} answered questions in ${
+        Date.now() - startedAt
+      }ms`
+    );
+
+    return index;
+  }
+
+  /**
+   * Inverse document frequency as used by BM25
+   */
+  bm25Idf(term, index) {
+    const df = index.documentFrequency.get(term) || 0;
+    const n = index.documents.length;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Smoothed inverse document frequency for TF-IDF vectors
+   */
+  tfIdfWeight(term, count, index) {
+    const df = index.documentFrequency.get(term) || 0;
+    return count * (Math.log((index.documents.length + 1) / (df + 1)) + 1);
+  }
+
+  vectorNorm(termCounts, index) {
+    let sum = 0;
+    termCounts.forEach((count, term) => {
+      sum += this.tfIdfWeight(term, count, index) ** 2;
+    });
+    return Math.sqrt(sum);
+  }
+
+  /**
+   * Previous answers to similar questions, best match first
+   * @param {Object} question - CustomerQuestion instance
+   * @param {string} userId - Requesting user, whose catalogue fills in products
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Suggestions with the current product filled in
+   */
+  async suggestReplies(question, userId, limit = 3) {
+    const queryCounts = countTerms(tokenize(question.question_text));
+    if (queryCounts.size === 0) {
+      return [];
+    }
+
+    const index = await this.getIndex();
+    if (index.documents.length === 0) {
+      return [];
+    }
+
+    const queryNorm = this.vectorNorm(queryCounts, index);
+    const productKeys = new Set(getProductKeys(question));
+
+    // Only documents sharing at least one term can score above zero
+    const candidates = new Map();
+    queryCounts.forEach((queryCount, term) => {
+      const idf = this.bm25Idf(term, index);
+      const queryWeight = this.tfIdfWeight(term, queryCount, index);
+
+      (index.postings.get(term) || []).forEach((position) => {
+        const doc = index.documents[position];
+        const tf = doc.termCounts.get(term);
+        const candidate = candidates.get(position) || { bm25: 0, dot: 0 };
+
+        candidate.bm25 +=
+          (idf * tf * (K1 + 1)) /
+          (tf + K1 * (1 - B + (B * doc.length) / index.averageLength));
+        candidate.dot += queryWeight * this.tfIdfWeight(term, tf, index);
+        candidates.set(position, candidate);
+      });
+    });
+
+    // Keep the best scoring occurrence of each distinct answer
+    const byAnswer = new Map();
+    candidates.forEach(({ bm25, dot }, position) => {
+      const doc = index.documents[position];
+      if (doc.question.id === question.id) {
+        return;
+      }
+
+      const similarity = dot / (queryNorm * doc.norm);
+      if (similarity < MIN_SIMILARITY) {
+        return;
+      }
+
+      const sameProduct = doc.productKeys.some((key) => productKeys.has(key));
+      const nearDuplicate =
+        similarity >= NEAR_DUPLICATE_SIMILARITY ||
+        (!!question.question_hash &&
+          doc.question.question_hash === question.question_hash);
+
+      const score =
+        bm25 *
+        (sameProduct ? SAME_PRODUCT_BOOST : 1) *
+        (nearDuplicate ? NEAR_DUPLICATE_BOOST : 1);
+
+      const existing = byAnswer.get(doc.answerKey);
+      if (existing) {
+        existing.usageCount++;
+        if (score <= existing.score) {
+          return;
+        }
+      }
+
+      byAnswer.set(doc.answerKey, {
+        doc,
+        score,
+        similarity,
+        sameProduct,
+        nearDuplicate,
+        usageCount: existing ? existing.usageCount : 1,
+      });
+    });
+
+    const ranked = [...byAnswer.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const productCache = new Map();
+    const targetAttributes = await this.getProductAttributes(
+      question,
+      userId,
+      productCache
+    );
+
+    return Promise.all(
+      ranked.map(async (match) => {
+        const sourceAttributes = await this.getProductAttributes(
+          match.doc.question,
+          userId,
+          productCache
+        );
+
+        return {
+          replyId: match.doc.replyId,
+          text: this.fillProductAttributes(
+            match.doc.replyText,
+            sourceAttributes,
+            targetAttributes
+          ),
+          originalText: match.doc.replyText,
+          score: Math.round(match.score * 1000) / 1000,
+          similarity: Math.round(match.similarity * 100) / 100,
+          sameProduct: match.sameProduct,
+          nearDuplicate: match.nearDuplicate,
+          usageCount: match.usageCount,
+          sourceQuestion: {
+            id: match.doc.question.id,
+            question_text: match.doc.question.question_text,
+            product_name: match.doc.question.product_name,
+            answered_date: match.doc.question.answered_date,
+          },
+        };
+      })
+    );
+  }
+
+  /**
+   * Product attributes of a question as placeholder name -> value. Falls back
+   * to the product fields stored on the question when the product is not in
+   * the user's catalogue.
+   */
+  async getProductAttributes(question, userId, productCache) {
+    const identifiers = getProductIdentifiers(question);
+    const cacheKey = identifiers.join("|") || `question:${question.id}`;
+
+    if (!productCache.has(cacheKey)) {
+      const product = identifiers.length
+        ? await Product.findOne({
+            where: {
+              userId,
+              [Op.or]: [
+                { sku: { [Op.in]: identifiers } },
+                { barcode: { [Op.in]: identifiers } },
+              ],
+            },
+            attributes: [
+              "name",
+              "sku",
+              "barcode",
+              "weight",
+              "dimensions",
+              "attributes",
+            ],
+          })
+        : null;
+
+      const attributes = {
+        urun_adi: product?.name || question.product_name,
+        stok_kodu:
+          product?.sku || question.product_stock_code || question.product_sku,
+        barkod: product?.barcode,
+        agirlik: product?.weight,
+      };
+
+      Object.entries(product?.dimensions || {}).forEach(([key, value]) => {
+        attributes[key] = value;
+      });
+      Object.entries(product?.attributes || {}).forEach(([key, value]) => {
+        if (typeof value === "string" || typeof value === "number") {
+          attributes[key] = value;
+        }
+      });
+
+      productCache.set(cacheKey, attributes);
+    }
+
+    return productCache.get(cacheKey);
+  }
+
+  /**
+   * Adapt a previous answer to the current product: fill {placeholder}
+   * variables and swap values that belonged to the product the answer was
+   * originally written for ("XL beden 75 cm" stays correct for the new product).
+   */
+  fillProductAttributes(text, sourceAttributes, targetAttributes) {
+    const present = (value) =>
+      value !== undefined && value !== null && value.toString().trim() !== "";
+
+    let filled = text.replace(/\{\{?\s*([\w]+)\s*\}?\}/g, (match, key) =>
+      present(targetAttributes[key]) ? targetAttributes[key].toString() : match
+    );
+
+    const swaps = new Map();
+    Object.keys(sourceAttributes)
+      .filter(
+        (key) =>
+          present(sourceAttributes[key]) &&
+          present(targetAttributes[key]) &&
+          sourceAttributes[key].toString().trim().length > 1 &&
+          sourceAttributes[key].toString() !== targetAttributes[key].toString()
+      )
+      .forEach((key) => {
+        swaps.set(
+          sourceAttributes[key].toString().trim().toLocaleLowerCase("tr-TR"),
+          targetAttributes[key].toString().trim()
+        );
+      });
+
+    if (swaps.size === 0) {
+      return filled;
+    }
+
+    // One pass, longer values first so "Tişört Siyah" wins over "Siyah" and a
+    // swapped-in value is never swapped again
+    const alternatives = [...swaps.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|");
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`,
+      "giu"
+    );
+
+    return filled.replace(
+      pattern,
+      (match) => swaps.get(match.toLocaleLowerCase("tr-TR")) ?? match
+    );
+  }
+}
+
+module.exports = new ReplySuggestionService();
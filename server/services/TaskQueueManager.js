@@ -1,7 +1,19 @@
 const EventEmitter = require('events');
 const BackgroundTaskService = require('../services/BackgroundTaskService');
+const TaskScheduleService = require('../services/TaskScheduleService');
 const logger = require('../utils/logger');
 
+// Executors by task type, required on first use
+const TASK_EXECUTORS = {
+  order_fetching: () => require('../executors/OrderFetchingExecutor'),
+  product_sync: () => require('../executors/ProductSyncExecutor'),
+  inventory_sync: () => require('../executors/InventorySyncExecutor')
+  // Note: Other executors can be added as they are implemented
+};
+
+// Task types that can actually run; schedules are limited to these
+const EXECUTABLE_TASK_TYPES = Object.keys(TASK_EXECUTORS);
+
 class TaskQueueManager extends EventEmitter {
   constructor() {
     super();
@@ -22,6 +34,11 @@ class TaskQueueManager extends EventEmitter {
       10
     ); // 1 minute
     this.connectionMonitorInterval = null;
+    this.scheduleInterval = null;
+    this.scheduleCheckInterval = parseInt(
+      process.env.TASK_SCHEDULE_INTERVAL || '60000',
+      10
+    ); // 1 minute
 
     // Enhanced metrics collection
     this.metrics = {
@@ -62,6 +79,7 @@ class TaskQueueManager extends EventEmitter {
       maxConcurrentTasks: this.maxConcurrentTasks,
       retryInterval: this.retryInterval,
       timeoutCheckInterval: this.timeoutCheckInterval,
+      scheduleCheckInterval: this.scheduleCheckInterval,
       metricsEnabled: true,
       performanceMonitoringEnabled: true
     });
@@ -98,6 +116,16 @@ class TaskQueueManager extends EventEmitter {
       });
     }, this.timeoutCheckInterval);
 
+    // Start recurring schedule checker
+    this.scheduleInterval = setInterval(() => {
+      this.processSchedules().catch((error) => {
+        logger.error('Error processing task schedules:', {
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, this.scheduleCheckInterval);
+
     // Start connection pool monitoring
     if (process.env.DEBUG_DB_POOL === 'true') {
       this.connectionMonitorInterval = setInterval(() => {
@@ -146,9 +174,9 @@ class TaskQueueManager extends EventEmitter {
       this.timeoutCheckInterval = null;
     }
 
-    if (this.connectionMonitorInterval) {
-      clearInterval(this.connectionMonitorInterval);
-      this.connectionMonitorInterval = null;
+    if (this.scheduleInterval) {
+      clearInterval(this.scheduleInterval);
+      this.scheduleInterval = null;
     }
 
     if (this.connectionMonitorInterval) {
@@ -435,6 +463,29 @@ class TaskQueueManager extends EventEmitter {
     }
   }
 
+  /**
+   * Enqueue tasks for recurring schedules that are due
+   */
+  async processSchedules() {
+    if (!this.isProcessing) {
+      return;
+    }
+
+    try {
+      const { triggered } = await TaskScheduleService.processDueSchedules();
+
+      // Pick up freshly created tasks without waiting for the next queue tick
+      if (triggered > 0) {
+        await this.processQueue();
+      }
+    } catch (error) {
+      logger.error('Error processing task schedules:', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
   /**
    * Check for timed out tasks
    */
@@ -852,18 +903,12 @@ class TaskExecution extends EventEmitter {
   }
 
   getTaskExecutor() {
-    // Dynamic import of task executors based on task type
-    const executors = {
-      order_fetching: require('../executors/OrderFetchingExecutor')
-      // Note: Other executors can be added as they are implemented
-    };
-
     return (taskType) => {
-      const executor = executors[taskType];
-      if (!executor) {
+      const loadExecutor = TASK_EXECUTORS[taskType];
+      if (!loadExecutor) {
         throw new Error(`No executor found for task type: ${taskType}`);
       }
-      return executor;
+      return loadExecutor();
     };
   }
 
@@ -897,5 +942,6 @@ const taskQueueManager = new TaskQueueManager();
 
 module.exports = {
   TaskQueueManager,
-  taskQueueManager
+  taskQueueManager,
+  EXECUTABLE_TASK_TYPES
 };
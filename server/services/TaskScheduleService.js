@@ -0,0 +1,284 @@
+const { Op } = require("sequelize");
+const {
+  TaskSchedule,
+  BackgroundTask,
+  PlatformConnection,
+} = require("../models");
+const BackgroundTaskService = require("./BackgroundTaskService");
+const logger = require("../utils/logger");
+
+// Task statuses that mean a previous run is still in flight
+const ACTIVE_TASK_STATUSES = ["pending", "queued", "running", "paused"];
+
+const EDITABLE_FIELDS = [
+  "name",
+  "taskType",
+  "priority",
+  "config",
+  "platformConnectionId",
+  "scheduleType",
+  "intervalMinutes",
+  "cronExpression",
+  "timezone",
+  "isActive",
+];
+
+class TaskScheduleService {
+  /**
+   * Create a recurring task schedule
+   * @param {string} userId - Owner of the schedule
+   * @param {Object} data - Schedule fields
+   * @returns {Promise<TaskSchedule>}
+   */
+  static async createSchedule(userId, data) {
+    const fields = this.pickEditableFields(data);
+
+    if (fields.platformConnectionId) {
+      await this.assertConnectionOwnership(userId, fields.platformConnectionId);
+    }
+
+    const schedule = await TaskSchedule.create({ ...fields, userId });
+
+    logger.info(`Task schedule created`, {
+      scheduleId: schedule.id,
+      userId,
+      taskType: schedule.taskType,
+      scheduleType: schedule.scheduleType,
+      nextRunAt: schedule.nextRunAt,
+    });
+
+    return schedule;
+  }
+
+  /**
+   * List a user's schedules with their most recent task
+   * @param {string} userId
+   * @returns {Promise<TaskSchedule[]>}
+   */
+  static async getSchedules(userId) {
+    return TaskSchedule.findAll({
+      where: { userId },
+      include: [
+        {
+          model: PlatformConnection,
+          as: "platformConnection",
+          attributes: ["id", "name", "platformType"],
+        },
+        {
+          model: BackgroundTask,
+          as: "lastTask",
+          attributes: ["id", "status", "startedAt", "completedAt", "error"],
+        },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+  }
+
+  /**
+   * Get a single schedule owned by the user
+   * @param {string} scheduleId
+   * @param {string} userId
+   * @returns {Promise<TaskSchedule|null>}
+   */
+  static async getScheduleById(scheduleId, userId) {
+    return TaskSchedule.findOne({ where: { id: scheduleId, userId } });
+  }
+
+  /**
+   * Update a schedule; nextRunAt is recalculated when timing changes
+   * @returns {Promise<TaskSchedule|null>}
+   */
+  static async updateSchedule(scheduleId, userId, data) {
+    const schedule = await this.getScheduleById(scheduleId, userId);
+    if (!schedule) {
+      return null;
+    }
+
+    const fields = this.pickEditableFields(data);
+
+    if (fields.platformConnectionId) {
+      await this.assertConnectionOwnership(userId, fields.platformConnectionId);
+    }
+
+    await schedule.update(fields);
+
+    logger.info(`Task schedule updated`, {
+      scheduleId,
+      userId,
+      fields: Object.keys(fields),
+      nextRunAt: schedule.nextRunAt,
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule. Tasks it already created are left untouched.
+   * @returns {Promise<boolean>}
+   */
+  static async deleteSchedule(scheduleId, userId) {
+    const deleted = await TaskSchedule.destroy({
+      where: { id: scheduleId, userId },
+    });
+
+    if (deleted) {
+      logger.info(`Task schedule deleted`, { scheduleId, userId });
+    }
+
+    return deleted > 0;
+  }
+
+  /**
+   * Enqueue every schedule whose nextRunAt has passed.
+   * Called periodically by TaskQueueManager.
+   * @returns {Promise<{ triggered: number, skipped: number }>}
+   */
+  static async processDueSchedules() {
+    const dueSchedules = await TaskSchedule.getDueSchedules();
+    let triggered = 0;
+    let skipped = 0;
+
+    for (const schedule of dueSchedules) {
+      try {
+        const outcome = await this.runSchedule(schedule);
+        if (outcome.status === "triggered") {
+          triggered++;
+        } else if (outcome.status === "skipped") {
+          skipped++;
+        }
+      } catch (error) {
+        logger.error(`Error running task schedule ${schedule.id}:`, {
+          scheduleId: schedule.id,
+          error: error.message,
+          stack: error.stack,
+        });
+        await schedule
+          .update({ lastError: error.message }, { hooks: false })
+          .catch(() => {});
+      }
+    }
+
+    if (triggered > 0 || skipped > 0) {
+      logger.info(`Processed due task schedules`, { triggered, skipped });
+    }
+
+    return { triggered, skipped };
+  }
+
+  /**
+   * Run a single due schedule: claim it, skip if the previous run is still
+   * active, otherwise create a background task.
+   * @param {TaskSchedule} schedule
+   * @param {Object} options
+   * @param {boolean} options.manual - Triggered from the UI; does not move nextRunAt
+   * @returns {Promise<{ status: string, task?: BackgroundTask }>}
+   */
+  static async runSchedule(schedule, { manual = false } = {}) {
+    if (!manual) {
+      // Claim the run by moving nextRunAt forward only if nobody else has,
+      // so several server instances never enqueue the same run twice
+      const nextRunAt = schedule.computeNextRun();
+      const [claimed] = await TaskSchedule.update(
+        { nextRunAt },
+        {
+          where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+          hooks: false,
+        }
+      );
+
+      if (claimed === 0) {
+        return { status: "claimed_elsewhere" };
+      }
+
+      schedule.nextRunAt = nextRunAt;
+    }
+
+    if (await this.isPreviousRunActive(schedule)) {
+      await TaskSchedule.increment("skippedCount", {
+        where: { id: schedule.id },
+      });
+
+      logger.info(`Skipping task schedule run, previous run still active`, {
+        scheduleId: schedule.id,
+        lastTaskId: schedule.lastTaskId,
+        nextRunAt: schedule.nextRunAt,
+      });
+
+      return { status: "skipped" };
+    }
+
+    const task = await BackgroundTaskService.createTask({
+      userId: schedule.userId,
+      taskType: schedule.taskType,
+      priority: schedule.priority,
+      config: schedule.config || {},
+      platformConnectionId: schedule.platformConnectionId,
+      metadata: {
+        source: "task_schedule",
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        manual,
+      },
+    });
+
+    await TaskSchedule.update(
+      {
+        lastRunAt: new Date(),
+        lastTaskId: task.id,
+        lastError: null,
+      },
+      { where: { id: schedule.id }, hooks: false }
+    );
+    await TaskSchedule.increment("runCount", { where: { id: schedule.id } });
+
+    logger.info(`Task schedule triggered`, {
+      scheduleId: schedule.id,
+      taskId: task.id,
+      taskType: schedule.taskType,
+      manual,
+    });
+
+    return { status: "triggered", task };
+  }
+
+  /**
+   * Whether the task created by the previous run has not finished yet
+   * @param {TaskSchedule} schedule
+   * @returns {Promise<boolean>}
+   */
+  static async isPreviousRunActive(schedule) {
+    if (!schedule.lastTaskId) {
+      return false;
+    }
+
+    const activeCount = await BackgroundTask.count({
+      where: {
+        id: schedule.lastTaskId,
+        status: { [Op.in]: ACTIVE_TASK_STATUSES },
+      },
+    });
+
+    return activeCount > 0;
+  }
+
+  static pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  static async assertConnectionOwnership(userId, platformConnectionId) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: platformConnectionId, userId },
+    });
+
+    if (!connection) {
+      throw new Error("Platform connection not found");
+    }
+  }
+}
+
+module.exports = TaskScheduleService;
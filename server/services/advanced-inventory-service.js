@@ -3,10 +3,14 @@ const {
   ProductVariant,
   InventoryMovement,
   StockReservation,
+  Warehouse,
+  WarehouseStock,
   sequelize
 } = require('../models');
 const { Op } = require('sequelize');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const stockAllocationService = require('./stock-allocation-service');
 
 /**
  * Advanced Inventory Service
@@ -14,7 +18,10 @@ const logger = require('../utils/logger');
  */
 class AdvancedInventoryService {
   /**
-   * Record an inventory movement
+   * Record an inventory movement. When warehouseId is given the warehouse's
+   * stock row for the SKU moves by the same quantity. With
+   * options.warehouseOnly only the warehouse row moves and the product total
+   * is left as is.
    */
   async recordMovement(
     {
@@ -27,6 +34,9 @@ class AdvancedInventoryService {
       userId,
       orderId = null,
       reference = null,
+      referenceId = null,
+      referenceType = null,
+      warehouseId = null,
       metadata = {}
     },
     options = {}
@@ -52,15 +62,24 @@ class AdvancedInventoryService {
           throw new Error(`Product not found: ${productId}`);
         }
       } else if (sku) {
-        // Try to find by SKU - check variants first, then products
+        // Try to find by SKU - check variants first, then products. SKUs are
+        // only unique per user, so the lookup is limited to the user's catalogue
         targetEntity = await ProductVariant.findOne({
           where: { sku },
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              where: { userId },
+              attributes: ['id']
+            }
+          ],
           transaction
         });
 
         if (!targetEntity) {
           targetEntity = await Product.findOne({
-            where: { sku },
+            where: { sku, userId },
             transaction
           });
           if (targetEntity) {
@@ -79,7 +98,23 @@ class AdvancedInventoryService {
       }
 
       const currentStock = targetEntity[stockField] || 0;
-      const newStock = Math.max(0, currentStock + quantity);
+      const newStock = options.warehouseOnly
+        ? currentStock
+        : Math.max(0, currentStock + quantity);
+
+      const warehouseStock = warehouseId
+        ? await this.applyWarehouseMovement(
+          {
+            warehouseId,
+            userId,
+            productId,
+            variantId,
+            sku: sku || targetEntity.sku,
+            quantity
+          },
+          { transaction }
+        )
+        : null;
 
       // Create the inventory movement record
       const movement = await InventoryMovement.create(
@@ -95,20 +130,31 @@ class AdvancedInventoryService {
           userId,
           orderId,
           reference,
-          metadata,
+          referenceId,
+          referenceType,
+          warehouseId,
+          metadata: warehouseStock
+            ? {
+              ...metadata,
+              warehousePreviousQuantity: warehouseStock.previousQuantity,
+              warehouseNewQuantity: warehouseStock.newQuantity
+            }
+            : metadata,
           occurredAt: new Date()
         },
         { transaction }
       );
 
       // Update the stock quantity
-      await targetEntity.update(
-        {
-          [stockField]: newStock,
-          lastSyncedAt: new Date()
-        },
-        { transaction }
-      );
+      if (!options.warehouseOnly) {
+        await targetEntity.update(
+          {
+            [stockField]: newStock,
+            lastSyncedAt: new Date()
+          },
+          { transaction }
+        );
+      }
 
       if (shouldCommitTransaction) {
         await transaction.commit();
@@ -124,7 +170,8 @@ class AdvancedInventoryService {
         movement,
         previousStock: currentStock,
         newStock,
-        entity: targetEntity
+        entity: targetEntity,
+        warehouseStock: warehouseStock ? warehouseStock.record : null
       };
     } catch (error) {
       if (shouldCommitTransaction) {
@@ -136,9 +183,63 @@ class AdvancedInventoryService {
   }
 
   /**
-   * Adjust stock manually
+   * Move a warehouse's stock row for a SKU, creating it on first use
    */
-  async adjustStock({ productId, variantId, sku, adjustment, reason, userId }) {
+  async applyWarehouseMovement(
+    { warehouseId, userId, productId, variantId, sku, quantity },
+    options = {}
+  ) {
+    const { transaction } = options;
+
+    const warehouse = await Warehouse.findOne({
+      where: { id: warehouseId, userId },
+      transaction
+    });
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+
+    const [record] = await WarehouseStock.findOrCreate({
+      where: { warehouseId, sku },
+      defaults: {
+        warehouseId,
+        userId,
+        productId,
+        variantId,
+        sku,
+        quantity: 0
+      },
+      transaction
+    });
+
+    const previousQuantity = record.quantity || 0;
+    const newQuantity = Math.max(0, previousQuantity + quantity);
+
+    await record.update(
+      {
+        quantity: newQuantity,
+        productId: record.productId || productId,
+        variantId: record.variantId || variantId
+      },
+      { transaction }
+    );
+
+    return { record, previousQuantity, newQuantity };
+  }
+
+  /**
+   * Adjust stock manually. Without a warehouse the user's default warehouse
+   * (if any) takes the adjustment.
+   */
+  async adjustStock({
+    productId,
+    variantId,
+    sku,
+    adjustment,
+    reason,
+    userId,
+    warehouseId = null
+  }) {
     return this.recordMovement({
       productId,
       variantId,
@@ -147,10 +248,82 @@ class AdvancedInventoryService {
       quantity: adjustment,
       reason,
       userId,
+      warehouseId:
+        warehouseId ||
+        (await stockAllocationService.getDefaultWarehouseId(userId)),
       metadata: { manualAdjustment: true }
     });
   }
 
+  /**
+   * Transfer stock between two warehouses. Recorded as a pair of TRANSFER
+   * movements sharing one referenceId that only move the warehouse rows, so
+   * the product total is unchanged.
+   */
+  async transferStock({
+    sku,
+    quantity,
+    fromWarehouseId,
+    toWarehouseId,
+    userId,
+    reason = null
+  }) {
+    if (fromWarehouseId === toWarehouseId) {
+      throw new Error('Source and destination warehouses must differ');
+    }
+
+    const transferId = crypto.randomUUID();
+
+    return sequelize.transaction(async (transaction) => {
+      const source = await WarehouseStock.findOne({
+        where: { warehouseId: fromWarehouseId, sku, userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!source || source.quantity < quantity) {
+        throw new Error(
+          `Insufficient warehouse stock. Available: ${
+            source ? source.quantity : 0
+          }, Requested: ${quantity}`
+        );
+      }
+
+      const common = {
+        productId: source.productId,
+        variantId: source.variantId,
+        sku,
+        movementType: 'TRANSFER',
+        reason: reason || `Warehouse transfer ${transferId}`,
+        userId,
+        referenceId: transferId,
+        referenceType: 'warehouse_transfer',
+        metadata: { fromWarehouseId, toWarehouseId }
+      };
+
+      const outbound = await this.recordMovement(
+        { ...common, quantity: -quantity, warehouseId: fromWarehouseId },
+        { transaction, warehouseOnly: true }
+      );
+      const inbound = await this.recordMovement(
+        { ...common, quantity, warehouseId: toWarehouseId },
+        { transaction, warehouseOnly: true }
+      );
+
+      logger.info(
+        `Warehouse transfer ${transferId}: ${quantity} x ${sku} ${fromWarehouseId} → ${toWarehouseId}`
+      );
+
+      return {
+        transferId,
+        sku,
+        quantity,
+        from: outbound.warehouseStock,
+        to: inbound.warehouseStock
+      };
+    });
+  }
+
   /**
    * Reserve stock for an order
    */
@@ -161,6 +334,8 @@ class AdvancedInventoryService {
     quantity,
     orderId,
     userId,
+    connectionId = null,
+    warehouseId = null,
     expiresAt = null,
     metadata = {}
   }) {
@@ -180,15 +355,31 @@ class AdvancedInventoryService {
         );
       }
 
+      const reservationSku =
+        sku || (await this.getSkuForEntity(productId, variantId));
+
+      const reservationWarehouseId =
+        await stockAllocationService.resolveReservationWarehouse(
+          {
+            userId,
+            sku: reservationSku,
+            quantity,
+            connectionId,
+            warehouseId
+          },
+          { transaction }
+        );
+
       // Create reservation
       const reservation = await StockReservation.create(
         {
           productId,
           variantId,
-          sku: sku || (await this.getSkuForEntity(productId, variantId)),
+          sku: reservationSku,
           quantity,
           orderId,
           userId,
+          warehouseId: reservationWarehouseId,
           status: 'active',
           expiresAt: expiresAt || new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours default
           metadata
@@ -208,6 +399,7 @@ class AdvancedInventoryService {
           userId,
           orderId,
           reference: reservation.id,
+          warehouseId: reservationWarehouseId,
           metadata: { reservationId: reservation.id }
         },
         { transaction }
@@ -267,6 +459,7 @@ class AdvancedInventoryService {
           userId: reservation.userId,
           orderId: reservation.orderId,
           reference: reservationId,
+          warehouseId: reservation.warehouseId,
           metadata: { reservationId }
         },
         { transaction }
@@ -566,6 +759,7 @@ class AdvancedInventoryService {
             userId: reservation.userId,
             orderId: reservation.orderId,
             reference: reservation.id,
+            warehouseId: reservation.warehouseId,
             metadata: {
               reservationId: reservation.id,
               autoExpired: true
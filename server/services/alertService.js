@@ -114,6 +114,7 @@ class AlertService {
       connectionFailure: 'high',
       dataInconsistency: 'medium',
       performanceIssue: 'medium',
+      questionSlaBreach: 'high',
       userError: 'low'
     };
     return severityMap[type] || 'medium';
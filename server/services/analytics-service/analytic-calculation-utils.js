@@ -837,7 +837,7 @@ async function calculateProductProfitMargin(userId, productId, dateRange) {
 async function calculateDemandForecast(productId, userId) {
   try {
     // Get historical sales data for the product
-    const historicalData = await OrderItem.findAll({
+    const salesByDay = await OrderItem.findAll({
       include: [
         {
           model: Order,
@@ -878,18 +878,23 @@ async function calculateDemandForecast(productId, userId) {
           "ASC",
         ],
       ],
+      raw: true,
     });
+    // The forecast helpers read units sold per day from `orders`
+    const historicalData = salesByDay.map((row) => ({
+      date: row.date,
+      orders: parseInt(row.totalSold) || 0,
+    }));
     const daily = await calculateMovingAverageForecast(historicalData, 30);
-    const weekly = await calculateMovingAverageForecast(historicalData, 7);
 
     // Ensure daily is an array before using slice
     const dailyArray = Array.isArray(daily) ? daily : [];
-    const weeklyArray = Array.isArray(weekly) ? weekly : [];
+    const nextDay = dailyArray.length > 0 ? dailyArray[0].orders : 0;
 
     return {
       nextMonth: dailyArray.slice(0, 30),
-      daily: dailyArray.length > 0 ? dailyArray[dailyArray.length - 1] : 0,
-      weekly: weeklyArray.length > 0 ? weeklyArray[weeklyArray.length - 1] : 0,
+      daily: nextDay,
+      weekly: nextDay * 7,
       trend: await calculateTrend(historicalData),
       confidence: await calculateForecastConfidence(historicalData),
       seasonality: await detectSeasonality(historicalData),
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { RateLimitService } = require('../middleware/security');
+const cacheService = require('./cache-service');
+const {
+  API_KEY_SCOPES,
+  hasPermission
+} = require('../middleware/permissions');
+const logger = require('../utils/logger');
+
+// Keys look like `pzp_<48 hex chars>`, so the auth middleware can tell them
+// apart from JWTs
+const KEY_PREFIX = 'pzp_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const rateLimitIdentifier = (apiKey) => `api_key:${apiKey.id}`;
+
+/**
+ * API Key Service
+ * Personal API keys for integrations such as ERP jobs. A key acts as the user
+ * who created it, limited to its scopes and its own per-minute rate limit.
+ * Only a hash of the key is stored; the key itself is shown once.
+ */
+class ApiKeyService {
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Active keys of a user with their usage in the current rate limit window
+   */
+  async listKeys(userId) {
+    const apiKeys = await ApiKey.findAll({
+      where: { userId, revokedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return Promise.all(
+      apiKeys.map(async (apiKey) => {
+        const usage = await cacheService.getRateLimit(
+          rateLimitIdentifier(apiKey)
+        );
+        return {
+          ...apiKey.toJSON(),
+          usage: { count: usage.count, resetTime: new Date(usage.resetTime) }
+        };
+      })
+    );
+  }
+
+  /**
+   * Create a key. Scopes are limited to what the creator's organisation role
+   * allows.
+   * @returns {Promise<{apiKey: ApiKey, key: string}>} key is the only copy
+   */
+  async createKey(user, membership, { name, scopes, rateLimit, expiresAt }) {
+    if (!scopes.length || scopes.some((scope) => !API_KEY_SCOPES[scope])) {
+      throw new Error('Invalid scopes');
+    }
+    if (
+      membership &&
+      scopes.some((scope) =>
+        API_KEY_SCOPES[scope].some(
+          (permission) => !hasPermission(membership.role, permission)
+        )
+      )
+    ) {
+      throw new Error('Scopes exceed your role');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const created = await ApiKey.create({
+      userId: user.id,
+      organizationId: membership?.organizationId || null,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes,
+      rateLimit,
+      expiresAt: expiresAt || null
+    });
+
+    logger.info('API key created', {
+      userId: user.id,
+      apiKeyId: created.id,
+      scopes
+    });
+
+    return { apiKey: await ApiKey.findByPk(created.id), key };
+  }
+
+  async revokeKey(userId, apiKeyId) {
+    const apiKey = await ApiKey.findOne({
+      where: { id: apiKeyId, userId, revokedAt: null }
+    });
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    await apiKey.update({ revokedAt: new Date() });
+    logger.info('API key revoked', { userId, apiKeyId });
+    return apiKey;
+  }
+
+  /**
+   * The key record for a presented key, unless it is unknown, revoked or
+   * expired
+   * @returns {Promise<ApiKey|null>}
+   */
+  async findActiveKey(key) {
+    const apiKey = await ApiKey.findOne({ where: { keyHash: hashKey(key) } });
+    if (!apiKey || apiKey.revokedAt) {
+      return null;
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  /**
+   * Count a request against the key's per-minute limit
+   */
+  async checkRateLimit(apiKey) {
+    return RateLimitService.checkCustomRateLimit(
+      rateLimitIdentifier(apiKey),
+      apiKey.rateLimit,
+      RATE_LIMIT_WINDOW_SECONDS
+    );
+  }
+
+  /**
+   * Record when and from where the key was last used
+   */
+  async recordUsage(apiKey, ip) {
+    const lastUsedAt = apiKey.lastUsedAt?.getTime() || 0;
+    if (Date.now() - lastUsedAt < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip || null });
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -8,6 +8,8 @@
 const logger = require("../utils/logger");
 const backgroundVariantDetectionService = require("../services/background-variant-detection-service");
 const { taskQueueManager } = require("../services/TaskQueueManager");
+const shipmentTrackingService = require("../services/shipment-tracking-service");
+const questionSlaService = require("../services/QuestionSlaService");
 
 class BackgroundServicesManager {
   constructor() {
@@ -33,6 +35,12 @@ class BackgroundServicesManager {
       // Start variant detection service
       await this.startVariantDetectionService();
 
+      // Start shipment tracking poller
+      await this.startShipmentTrackingService();
+
+      // Start customer question deadline checker
+      await this.startQuestionSlaService();
+
       this.isInitialized = true;
       logger.info("All background services initialized successfully");
     } catch (error) {
@@ -134,6 +142,50 @@ class BackgroundServicesManager {
     }
   }
 
+  /**
+   * Start the shipment tracking poller
+   */
+  async startShipmentTrackingService() {
+    try {
+      logger.info("Starting shipment tracking poller...");
+
+      shipmentTrackingService.start();
+
+      this.services.push({
+        name: "shipment-tracking",
+        service: shipmentTrackingService,
+        startedAt: new Date(),
+      });
+
+      logger.info("Shipment tracking poller started successfully");
+    } catch (error) {
+      logger.error("Error starting shipment tracking poller:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the customer question deadline checker
+   */
+  async startQuestionSlaService() {
+    try {
+      logger.info("Starting question SLA checker...");
+
+      questionSlaService.start();
+
+      this.services.push({
+        name: "question-sla",
+        service: questionSlaService,
+        startedAt: new Date(),
+      });
+
+      logger.info("Question SLA checker started successfully");
+    } catch (error) {
+      logger.error("Error starting question SLA checker:", error);
+      throw error;
+    }
+  }
+
   /**
    * Gracefully shutdown all background services
    */
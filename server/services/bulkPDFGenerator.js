@@ -0,0 +1,369 @@
+// Bulk PDF Generator Service
+// Generates multi-shipment documents such as the end-of-day carrier manifest
+
+const PDFDocument = require("pdfkit");
+const fs = require("fs");
+const path = require("path");
+
+const logger = require("../utils/logger");
+
+// Try to require bwip-js for barcode generation - make it optional
+let bwipjs = null;
+try {
+  bwipjs = require("bwip-js");
+} catch (_error) {
+  logger.warn(
+    "bwip-js barcode library not available, manifest barcodes will be printed as text"
+  );
+}
+
+const FONTS_PATH = path.join(__dirname, "../fonts");
+const MARGIN = 40;
+const ROW_HEIGHT = 44;
+const HEADER_ROW_HEIGHT = 20;
+const SIGNATURE_BLOCK_HEIGHT = 130;
+
+// Manifest table columns, widths add up to the A4 content width
+const MANIFEST_COLUMNS = [
+  { key: "index", label: "#", width: 24, align: "right" },
+  { key: "trackingNumber", label: "Gönderi Barkodu", width: 170 },
+  { key: "orderNumber", label: "Sipariş No", width: 90 },
+  { key: "recipientName", label: "Alıcı", width: 115 },
+  { key: "destination", label: "İl / İlçe", width: 76 },
+  { key: "weight", label: "Ağırlık", width: 40, align: "right" },
+];
+
+class BulkPDFGenerator {
+  constructor() {
+    this.fonts = { regular: "Helvetica", bold: "Helvetica-Bold" };
+  }
+
+  /**
+   * Register DejaVuSans for Turkish characters, falling back to the PDF
+   * standard fonts when the font files are missing
+   */
+  registerFonts(doc) {
+    const regularPath = path.join(FONTS_PATH, "DejaVuSans.ttf");
+    const boldPath = path.join(FONTS_PATH, "DejaVuSans-Bold.ttf");
+
+    if (fs.existsSync(regularPath) && fs.existsSync(boldPath)) {
+      doc.registerFont("DejaVuSans", regularPath);
+      doc.registerFont("DejaVuSans-Bold", boldPath);
+      this.fonts = { regular: "DejaVuSans", bold: "DejaVuSans-Bold" };
+    } else {
+      logger.warn("DejaVuSans fonts not found, using Helvetica for bulk PDFs");
+      this.fonts = { regular: "Helvetica", bold: "Helvetica-Bold" };
+    }
+  }
+
+  /**
+   * Handover list signed by the courier at pickup: one row per package with
+   * its tracking barcode, totals and signature boxes for both parties
+   * @param {Object} params
+   * @param {Object} params.manifest - manifestNumber, manifestDate,
+   *   shipmentCount, totalWeight, carrierReference
+   * @param {string} params.carrierName - Carrier display name
+   * @param {Array} params.shipments - trackingNumber, orderNumber,
+   *   recipientName, city, district, weight, status
+   * @param {Object} params.sender - companyName, fullName, email
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async generateManifest({ manifest, carrierName, shipments, sender = {} }) {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Teslim Listesi ${manifest.manifestNumber}`,
+        Subject: `${carrierName} gün sonu teslim listesi`,
+      },
+    });
+    this.registerFonts(doc);
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    const barcodes = await this.renderBarcodes(
+      shipments.map((shipment) => shipment.trackingNumber)
+    );
+    const manifestBarcode = await this.renderBarcode(manifest.manifestNumber);
+
+    let y = this.drawManifestHeader(doc, {
+      manifest,
+      carrierName,
+      sender,
+      manifestBarcode,
+    });
+    y = this.drawTableHeader(doc, y);
+
+    shipments.forEach((shipment, index) => {
+      if (y + ROW_HEIGHT > this.contentBottom(doc)) {
+        doc.addPage();
+        y = this.drawTableHeader(doc, MARGIN);
+      }
+      this.drawManifestRow(doc, y, {
+        ...shipment,
+        index: index + 1,
+        barcode: barcodes.get(shipment.trackingNumber),
+      });
+      y += ROW_HEIGHT;
+    });
+
+    if (y + SIGNATURE_BLOCK_HEIGHT > this.contentBottom(doc)) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    this.drawManifestSummary(doc, y + 10, { manifest, shipments, carrierName });
+
+    this.drawPageNumbers(doc, manifest.manifestNumber);
+    doc.end();
+
+    return finished;
+  }
+
+  drawManifestHeader(doc, { manifest, carrierName, sender, manifestBarcode }) {
+    const width = doc.page.width - MARGIN * 2;
+    const barcodeWidth = 180;
+
+    doc
+      .font(this.fonts.bold)
+      .fontSize(16)
+      .fillColor("#000000")
+      .text("Kargo Teslim Listesi", MARGIN, MARGIN, {
+        width: width - barcodeWidth,
+      });
+
+    doc
+      .font(this.fonts.regular)
+      .fontSize(10)
+      .text(`Kargo Firması: ${carrierName}`, MARGIN, MARGIN + 24)
+      .text(`Liste No: ${manifest.manifestNumber}`)
+      .text(`Tarih: ${this.formatDate(manifest.manifestDate)}`);
+
+    const senderName = sender.companyName || sender.fullName;
+    if (senderName) {
+      doc.text(`Gönderen: ${senderName}`);
+    }
+    if (manifest.carrierReference) {
+      doc.text(`Kargo Referansı: ${manifest.carrierReference}`);
+    }
+
+    this.drawBarcode(doc, manifestBarcode, manifest.manifestNumber, {
+      x: MARGIN + width - barcodeWidth,
+      y: MARGIN,
+      width: barcodeWidth,
+      height: 50,
+    });
+
+    const y = Math.max(doc.y, MARGIN + 60) + 12;
+    doc
+      .moveTo(MARGIN, y)
+      .lineTo(MARGIN + width, y)
+      .lineWidth(1)
+      .strokeColor("#000000")
+      .stroke();
+
+    return y + 8;
+  }
+
+  drawTableHeader(doc, y) {
+    const width = doc.page.width - MARGIN * 2;
+    doc.rect(MARGIN, y, width, HEADER_ROW_HEIGHT).fillColor("#eeeeee").fill();
+
+    let x = MARGIN;
+    doc.font(this.fonts.bold).fontSize(8).fillColor("#000000");
+    MANIFEST_COLUMNS.forEach((column) => {
+      doc.text(column.label, x + 3, y + 6, {
+        width: column.width - 6,
+        align: column.align || "left",
+      });
+      x += column.width;
+    });
+
+    return y + HEADER_ROW_HEIGHT;
+  }
+
+  drawManifestRow(doc, y, shipment) {
+    const width = doc.page.width - MARGIN * 2;
+    const cancelled = shipment.status === "cancelled";
+    const values = {
+      index: String(shipment.index),
+      orderNumber: shipment.orderNumber || "-",
+      recipientName: shipment.recipientName || "-",
+      destination:
+        [shipment.city, shipment.district].filter(Boolean).join(" / ") || "-",
+      weight:
+        shipment.weight !== null && shipment.weight !== undefined
+          ? `${Number(shipment.weight).toFixed(2)} kg`
+          : "-",
+    };
+
+    let x = MARGIN;
+    MANIFEST_COLUMNS.forEach((column) => {
+      if (column.key === "trackingNumber") {
+        this.drawBarcode(doc, shipment.barcode, shipment.trackingNumber, {
+          x: x + 4,
+          y: y + 4,
+          width: column.width - 8,
+          height: ROW_HEIGHT - 8,
+        });
+      } else {
+        doc
+          .font(this.fonts.regular)
+          .fontSize(8)
+          .fillColor(cancelled ? "#888888" : "#000000")
+          .text(values[column.key], x + 3, y + 8, {
+            width: column.width - 6,
+            height: cancelled ? ROW_HEIGHT - 24 : ROW_HEIGHT - 10,
+            align: column.align || "left",
+            ellipsis: true,
+          });
+      }
+      x += column.width;
+    });
+
+    if (cancelled) {
+      doc
+        .font(this.fonts.bold)
+        .fontSize(8)
+        .fillColor("#cc0000")
+        .text("İPTAL - TESLİM EDİLMEDİ", MARGIN + 197, y + ROW_HEIGHT - 14, {
+          width: 200,
+        });
+    }
+
+    doc
+      .moveTo(MARGIN, y + ROW_HEIGHT)
+      .lineTo(MARGIN + width, y + ROW_HEIGHT)
+      .lineWidth(0.5)
+      .strokeColor("#cccccc")
+      .stroke();
+  }
+
+  drawManifestSummary(doc, y, { manifest, shipments, carrierName }) {
+    const width = doc.page.width - MARGIN * 2;
+    const handedOver = shipments.filter(
+      (shipment) => shipment.status !== "cancelled"
+    ).length;
+
+    doc
+      .font(this.fonts.bold)
+      .fontSize(10)
+      .fillColor("#000000")
+      .text(`Teslim Edilen Paket: ${handedOver}`, MARGIN, y)
+      .font(this.fonts.regular)
+      .text(
+        `Toplam Ağırlık: ${
+          manifest.totalWeight !== null && manifest.totalWeight !== undefined
+            ? `${Number(manifest.totalWeight).toFixed(2)} kg`
+            : "-"
+        }`
+      );
+
+    if (handedOver !== shipments.length) {
+      doc.text(`İptal Edilen: ${shipments.length - handedOver}`);
+    }
+
+    const boxY = doc.y + 14;
+    const boxWidth = (width - 20) / 2;
+    const boxHeight = 80;
+
+    [
+      { title: "Teslim Eden", x: MARGIN },
+      { title: `Teslim Alan (${carrierName})`, x: MARGIN + boxWidth + 20 },
+    ].forEach((box) => {
+      doc
+        .rect(box.x, boxY, boxWidth, boxHeight)
+        .lineWidth(1)
+        .strokeColor("#000000")
+        .stroke();
+      doc
+        .font(this.fonts.bold)
+        .fontSize(9)
+        .fillColor("#000000")
+        .text(box.title, box.x + 8, boxY + 8, { width: boxWidth - 16 });
+      doc
+        .font(this.fonts.regular)
+        .fontSize(8)
+        .text("Ad Soyad:", box.x + 8, boxY + 28)
+        .text("İmza:", box.x + 8, boxY + 46)
+        .text("Saat:", box.x + 8, boxY + 64);
+    });
+  }
+
+  drawPageNumbers(doc, manifestNumber) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc
+        .font(this.fonts.regular)
+        .fontSize(7)
+        .fillColor("#666666")
+        .text(
+          `${manifestNumber} - Sayfa ${i - range.start + 1} / ${range.count}`,
+          MARGIN,
+          doc.page.height - MARGIN + 10,
+          { width: doc.page.width - MARGIN * 2, align: "right", lineBreak: false }
+        );
+    }
+  }
+
+  drawBarcode(doc, barcode, text, { x, y, width, height }) {
+    if (barcode) {
+      doc.image(barcode, x, y, { fit: [width, height], align: "left" });
+      return;
+    }
+
+    // Without bwip-js the tracking number is still printed and scannable by eye
+    doc
+      .font(this.fonts.bold)
+      .fontSize(10)
+      .fillColor("#000000")
+      .text(text, x, y + height / 2 - 6, { width, lineBreak: false });
+  }
+
+  async renderBarcodes(values) {
+    const barcodes = new Map();
+    for (const value of values) {
+      if (value && !barcodes.has(value)) {
+        barcodes.set(value, await this.renderBarcode(value));
+      }
+    }
+    return barcodes;
+  }
+
+  async renderBarcode(text) {
+    if (!bwipjs || !text) {
+      return null;
+    }
+
+    try {
+      return await bwipjs.toBuffer({
+        bcid: "code128",
+        text: String(text),
+        scale: 2,
+        height: 9,
+        includetext: true,
+        textxalign: "center",
+        textsize: 8,
+      });
+    } catch (error) {
+      logger.warn(`Failed to render manifest barcode ${text}: ${error.message}`);
+      return null;
+    }
+  }
+
+  contentBottom(doc) {
+    return doc.page.height - MARGIN;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString("tr-TR", { timeZone: "UTC" });
+  }
+}
+
+module.exports = BulkPDFGenerator;
@@ -189,6 +189,43 @@ class CacheService {
     return true;
   }
 
+  // Atomic counter. The expiry is set when the counter is created and is not
+  // extended by later increments.
+  async increment(key, ttl = this.defaultTTL) {
+    if (this.isConnected && this.client) {
+      try {
+        const [, count, remainingMs] = await this.client
+          .multi()
+          .set(key, 0, {
+            expiration: { type: "EX", value: ttl },
+            condition: "NX",
+          })
+          .incr(key)
+          .pTTL(key)
+          .exec();
+        return { count, expiresAt: Date.now() + remainingMs };
+      } catch (error) {
+        logger.warn(
+          `Redis increment error for key ${key}, using fallback:`,
+          error.message
+        );
+        this.isConnected = false;
+      }
+    }
+
+    // Fallback to in-memory cache
+    const now = Date.now();
+    const fallbackValue = this.fallbackCache.get(key);
+    if (fallbackValue && fallbackValue.expires > now) {
+      fallbackValue.data += 1;
+      return { count: fallbackValue.data, expiresAt: fallbackValue.expires };
+    }
+
+    const expires = now + ttl * 1000;
+    this.fallbackCache.set(key, { data: 1, expires });
+    return { count: 1, expiresAt: expires };
+  }
+
   async exists(key) {
     if (!this.isConnected) {
       return false;
@@ -244,37 +281,27 @@ class CacheService {
     return await this.get(key);
   }
 
-  // Rate limiting cache operations
+  // Rate limiting cache operations. The window starts with the first request;
+  // while Redis is down requests are counted per process instead of allowed.
   async incrementRateLimit(identifier, window = 60) {
-    if (!this.isConnected) {
-      return { count: 0, resetTime: Date.now() + window * 1000 };
-    }
-
-    const key = `rate_limit:${identifier}`;
-
-    try {
-      const multi = this.client.multi();
-      multi.incr(key);
-      multi.expire(key, window);
-      const results = await multi.exec();
-
-      const count = results[0][1];
-      const resetTime = Date.now() + window * 1000;
-
-      return { count, resetTime };
-    } catch (error) {
-      logger.error(`Rate limit error for ${identifier}:`, error);
-      return { count: 0, resetTime: Date.now() + window * 1000 };
-    }
+    const { count, expiresAt } = await this.increment(
+      `rate_limit:${identifier}`,
+      window
+    );
+    return { count, resetTime: expiresAt };
   }
 
   async getRateLimit(identifier) {
+    const key = `rate_limit:${identifier}`;
+
     if (!this.isConnected) {
+      const fallbackValue = this.fallbackCache.get(key);
+      if (fallbackValue && fallbackValue.expires > Date.now()) {
+        return { count: fallbackValue.data, resetTime: fallbackValue.expires };
+      }
       return { count: 0, resetTime: Date.now() };
     }
 
-    const key = `rate_limit:${identifier}`;
-
     try {
       const count = await this.client.get(key);
       const ttl = await this.client.ttl(key);
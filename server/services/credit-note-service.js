@@ -0,0 +1,373 @@
+const {
+  CreditNote,
+  Order,
+  OrderItem,
+  Return,
+  ReturnItem
+} = require('../models');
+const axios = require('axios');
+const crypto = require('crypto');
+const qnbFinansService = require('./qnbFinansService');
+const logger = require('../utils/logger');
+
+// Same VAT default as the invoices created by qnbFinansService, so a credit
+// note mirrors the amounts of the invoice it reverses
+const DEFAULT_TAX_RATE = 0.18;
+
+const PDF_DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Credit Note Service
+ * Issues return invoices (iade faturası) through QNB Finans for returned or
+ * refunded order items once the original invoice can no longer be cancelled
+ */
+class CreditNoteService {
+  /**
+   * @param {string} userId
+   * @param {Object} params - orderId, status, page, limit
+   */
+  async getCreditNotes(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    const where = { userId };
+    if (params.orderId) {
+      where.orderId = params.orderId;
+    }
+    if (params.status) {
+      where.status = params.status;
+    }
+
+    const { count, rows } = await CreditNote.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'orderNumber', 'customerName', 'platform']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      creditNotes: rows.map((creditNote) => this.serialize(creditNote)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async getCreditNote(creditNoteId, userId) {
+    const creditNote = await CreditNote.findOne({
+      where: { id: creditNoteId, userId },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'orderNumber', 'customerName', 'platform']
+        }
+      ]
+    });
+
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    return this.serialize(creditNote);
+  }
+
+  /**
+   * Issue a return invoice for an order. Items default to the approved items
+   * of the given return, or to everything not credited yet.
+   * @param {string} orderId
+   * @param {string} userId
+   * @param {Object} qnbConfig - User's QNB Finans configuration
+   * @param {Object} options - returnId, items [{orderItemId, quantity}],
+   *   reason, documentType ('earsiv' or 'efatura')
+   * @returns {Promise<Object>} Serialized credit note
+   */
+  async createCreditNote(orderId, userId, qnbConfig, options = {}) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [{ model: OrderItem, as: 'items' }]
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!order.invoiceNumber) {
+      throw new Error('Order has no invoice to credit');
+    }
+
+    let requested = options.items;
+    if (options.returnId) {
+      const returnItems = await this.getReturnItems(
+        options.returnId,
+        order.id,
+        userId
+      );
+      requested = requested?.length ? requested : returnItems;
+    }
+
+    const lines = this.buildLines(
+      order,
+      requested,
+      await this.getCreditedQuantities(order.id)
+    );
+    const totals = this.calculateTotals(lines);
+
+    const creditNote = await CreditNote.create({
+      userId,
+      orderId: order.id,
+      returnId: options.returnId || null,
+      documentType:
+        options.documentType ||
+        (qnbFinansService.getCustomerTaxNumber(order) ? 'efatura' : 'earsiv'),
+      uuid: crypto.randomUUID(),
+      originalInvoiceNumber: order.invoiceNumber,
+      originalInvoiceDate: order.invoiceDate,
+      reason: options.reason || null,
+      lines,
+      ...totals,
+      currency: order.currency || 'TRY',
+      status: 'pending'
+    });
+
+    const result = await qnbFinansService.iadeFaturasiOlustur(
+      creditNote.toJSON(),
+      order,
+      qnbConfig
+    );
+
+    if (!result.success) {
+      await creditNote.update({
+        status: 'failed',
+        errorMessage: result.error || result.message
+      });
+      throw new Error(result.message);
+    }
+
+    const { pdfData, ...providerResponse } = result.data;
+    await creditNote.update({
+      status: 'issued',
+      creditNoteNumber: result.data.invoiceNumber || null,
+      pdfUrl: result.data.pdfUrl || null,
+      pdfData: pdfData ? Buffer.from(pdfData, 'base64') : null,
+      providerResponse,
+      issuedAt: new Date()
+    });
+
+    logger.info(
+      `Credit note ${creditNote.creditNoteNumber} issued for order ${order.orderNumber}`,
+      { orderId, userId, totalAmount: totals.totalAmount }
+    );
+
+    return this.serialize(creditNote);
+  }
+
+  /**
+   * Return invoice PDF, downloaded from QNB Finans on first access when the
+   * document was not returned inline
+   * @returns {Promise<{data: Buffer, creditNoteNumber: string}>}
+   */
+  async getCreditNotePdf(creditNoteId, userId) {
+    const creditNote = await CreditNote.unscoped().findOne({
+      where: { id: creditNoteId, userId }
+    });
+
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    if (!creditNote.pdfData && creditNote.pdfUrl) {
+      try {
+        const response = await axios.get(creditNote.pdfUrl, {
+          responseType: 'arraybuffer',
+          timeout: PDF_DOWNLOAD_TIMEOUT_MS
+        });
+        await creditNote.update({ pdfData: Buffer.from(response.data) });
+      } catch (error) {
+        logger.warn(
+          `Failed to download credit note PDF ${creditNote.pdfUrl}: ${error.message}`
+        );
+      }
+    }
+
+    if (!creditNote.pdfData) {
+      throw new Error('Credit note PDF not available');
+    }
+
+    return {
+      data: creditNote.pdfData,
+      creditNoteNumber: creditNote.creditNoteNumber || creditNote.uuid
+    };
+  }
+
+  /**
+   * Approved items of a return, as requested credit quantities
+   */
+  async getReturnItems(returnId, orderId, userId) {
+    const returnRecord = await Return.findOne({
+      where: { id: returnId, userId, orderId },
+      include: [{ model: ReturnItem, as: 'items' }]
+    });
+
+    if (!returnRecord) {
+      throw new Error('Return not found');
+    }
+
+    const items = returnRecord.items.filter(
+      (item) => item.status === 'approved' && item.orderItemId
+    );
+    if (items.length === 0) {
+      throw new Error('Return has no approved items to credit');
+    }
+
+    return items.map((item) => ({
+      orderItemId: item.orderItemId,
+      quantity: item.quantity
+    }));
+  }
+
+  /**
+   * Quantities already credited per order item. Credit notes still being
+   * sent count too, so a double submit cannot credit an item twice.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getCreditedQuantities(orderId) {
+    const issued = await CreditNote.findAll({
+      where: { orderId, status: ['pending', 'issued'] },
+      attributes: ['lines']
+    });
+
+    const credited = new Map();
+    issued.forEach((creditNote) => {
+      (creditNote.lines || []).forEach((line) => {
+        credited.set(
+          line.orderItemId,
+          (credited.get(line.orderItemId) || 0) + line.quantity
+        );
+      });
+    });
+    return credited;
+  }
+
+  /**
+   * Credit note lines for the requested items. Without a request every item
+   * is credited for whatever quantity has not been credited yet. Requests
+   * naming the same item more than once are credited as one line.
+   */
+  buildLines(order, requested, credited) {
+    const itemsById = new Map(order.items.map((item) => [item.id, item]));
+    const remaining = (item) => item.quantity - (credited.get(item.id) || 0);
+
+    const selection = requested?.length
+      ? this.mergeRequestedItems(requested)
+      : order.items.map((item) => ({
+        orderItemId: item.id,
+        quantity: remaining(item)
+      }));
+
+    const lines = selection
+      .filter((entry) => entry.quantity > 0)
+      .map((entry) => {
+        const item = itemsById.get(entry.orderItemId);
+        if (!item) {
+          throw new Error('Order item not found');
+        }
+
+        const quantity = entry.quantity;
+        if (quantity > remaining(item)) {
+          throw new Error('Credit quantity exceeds invoiced quantity');
+        }
+
+        const unitPrice = parseFloat(item.price) || 0;
+        const taxRate = item.taxRate || DEFAULT_TAX_RATE;
+        const lineTotal = this.round(unitPrice * quantity);
+
+        return {
+          orderItemId: item.id,
+          title: item.title,
+          sku: item.sku || item.barcode || null,
+          quantity,
+          unitPrice,
+          taxRate,
+          lineTotal,
+          taxAmount: this.round(lineTotal * taxRate)
+        };
+      });
+
+    if (lines.length === 0) {
+      throw new Error('No items left to credit');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Requested quantities summed per order item, in first-seen order
+   */
+  mergeRequestedItems(requested) {
+    const quantities = new Map();
+    requested.forEach((entry) => {
+      quantities.set(
+        entry.orderItemId,
+        (quantities.get(entry.orderItemId) || 0) + (parseInt(entry.quantity) || 0)
+      );
+    });
+
+    return [...quantities].map(([orderItemId, quantity]) => ({
+      orderItemId,
+      quantity
+    }));
+  }
+
+  calculateTotals(lines) {
+    const subtotal = this.round(
+      lines.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+    const taxTotal = this.round(
+      lines.reduce((sum, line) => sum + line.taxAmount, 0)
+    );
+
+    return { subtotal, taxTotal, totalAmount: this.round(subtotal + taxTotal) };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  serialize(creditNote) {
+    return {
+      id: creditNote.id,
+      orderId: creditNote.orderId,
+      orderNumber: creditNote.order?.orderNumber,
+      customerName: creditNote.order?.customerName,
+      returnId: creditNote.returnId,
+      documentType: creditNote.documentType,
+      creditNoteNumber: creditNote.creditNoteNumber,
+      uuid: creditNote.uuid,
+      originalInvoiceNumber: creditNote.originalInvoiceNumber,
+      originalInvoiceDate: creditNote.originalInvoiceDate,
+      reason: creditNote.reason,
+      lines: creditNote.lines,
+      subtotal: parseFloat(creditNote.subtotal),
+      taxTotal: parseFloat(creditNote.taxTotal),
+      totalAmount: parseFloat(creditNote.totalAmount),
+      currency: creditNote.currency,
+      status: creditNote.status,
+      errorMessage: creditNote.errorMessage,
+      hasPdf: creditNote.status === 'issued',
+      issuedAt: creditNote.issuedAt,
+      createdAt: creditNote.createdAt
+    };
+  }
+}
+
+module.exports = new CreditNoteService();
@@ -98,6 +98,38 @@ class EmailService {
     return await this.sendEmail(email, subject, htmlContent, textContent);
   }
 
+  getInvitationUrl(invitationToken) {
+    return `${this.baseUrl}/accept-invitation?token=${invitationToken}`;
+  }
+
+  async sendOrganizationInvitationEmail(
+    email,
+    invitationToken,
+    organizationName,
+    inviterName = ""
+  ) {
+    const invitationUrl = this.getInvitationUrl(invitationToken);
+
+    const subject = `You're invited to join ${organizationName} on Pazar+`;
+    const htmlContent = this.generateInvitationHTML(
+      invitationUrl,
+      organizationName,
+      inviterName
+    );
+    const textContent = this.generateInvitationText(
+      invitationUrl,
+      organizationName,
+      inviterName
+    );
+
+    logger.info("Sending organization invitation email", {
+      email,
+      organizationName,
+    });
+
+    return await this.sendEmail(email, subject, htmlContent, textContent);
+  }
+
   generatePasswordResetHTML(resetUrl, firstName) {
     return `
       <!DOCTYPE html>
@@ -194,6 +226,56 @@ ${verificationUrl}
 
 This link will expire in 24 hours.
 
+Best regards,
+The Pazar+ Team
+support@pazarplus.com
+    `.trim();
+  }
+
+  generateInvitationHTML(invitationUrl, organizationName, inviterName) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Join ${organizationName}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin-bottom: 20px;">Join ${organizationName}</h1>
+          <p>Hello,</p>
+          <p>${inviterName || "A team member"} invited you to join <strong>${organizationName}</strong> on Pazar+. Sign in or create an account with this email address, then accept the invitation.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${invitationUrl}" style="background: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">Accept Invitation</a>
+          </div>
+          <p>Or copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; background: #f1f2f6; padding: 10px; border-radius: 5px;">${invitationUrl}</p>
+          <p><strong>This invitation will expire in 7 days.</strong></p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          <p style="color: #666; font-size: 14px;">
+            Best regards,<br>
+            The Pazar+ Team<br>
+            <a href="mailto:support@pazarplus.com">support@pazarplus.com</a>
+          </p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  generateInvitationText(invitationUrl, organizationName, inviterName) {
+    return `
+Join ${organizationName}
+
+Hello,
+
+${inviterName || "A team member"} invited you to join ${organizationName} on Pazar+. Sign in or create an account with this email address, then accept the invitation:
+
+${invitationUrl}
+
+This invitation will expire in 7 days.
+
 Best regards,
 The Pazar+ Team
 support@pazarplus.com
@@ -509,6 +509,7 @@ class InventoryManagementService extends EventEmitter {
       });
 
       const alertData = {
+        userId: product?.userId,
         sku,
         productName: product?.name || 'Unknown Product',
         quantity: availableQuantity,
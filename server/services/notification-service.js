@@ -324,6 +324,9 @@ class NotificationService extends EventEmitter {
       timestamp: notification.timestamp || new Date()
     };
 
+    // Let in-process listeners (outbound webhooks) react to the same events
+    this.emit('notification', safeNotification);
+
     const sentCount = { success: 0, failed: 0 };
     const channel = notification.channel || 'all';
 
@@ -441,7 +444,9 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'order_status_change',
       channel: 'orders',
+      userId: orderData.userId,
       data: {
+        orderId: orderData.orderId,
         orderNumber: orderData.orderNumber,
         platform: orderData.platform,
         oldStatus: orderData.oldStatus,
@@ -458,7 +463,9 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'new_order',
       channel: 'orders',
+      userId: orderData.userId,
       data: {
+        orderId: orderData.orderId,
         orderNumber: orderData.orderNumber,
         platform: orderData.platform,
         customerName: orderData.customerName,
@@ -475,6 +482,7 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'low_inventory',
       channel: 'inventory',
+      userId: inventoryData.userId,
       data: {
         sku: inventoryData.sku,
         productName: inventoryData.productName,
@@ -491,6 +499,7 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'inventory_synced',
       channel: 'inventory',
+      userId: syncData.userId,
       data: {
         sku: syncData.sku,
         newQuantity: syncData.newQuantity,
@@ -585,6 +594,7 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'shipping_update',
       channel: 'shipping',
+      userId: shippingData.userId,
       data: {
         orderNumber: shippingData.orderNumber,
         trackingNumber: shippingData.trackingNumber,
@@ -602,6 +612,7 @@ class NotificationService extends EventEmitter {
     this.broadcast({
       type: 'payment_update',
       channel: 'payments',
+      userId: paymentData.userId,
       data: {
         orderNumber: paymentData.orderNumber,
         platform: paymentData.platform,
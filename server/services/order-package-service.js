@@ -0,0 +1,723 @@
+const {
+  OrderPackage,
+  OrderPackageItem,
+  Order,
+  OrderItem,
+  PlatformConnection,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const PlatformServiceFactory = require('../modules/order-management/services/platforms/platformServiceFactory');
+const logger = require('../utils/logger');
+
+// Marketplaces whose packages are created and managed by the seller
+const PACKAGE_PLATFORMS = ['hepsiburada'];
+
+// Orders that can still be (re)packaged
+const OPEN_ORDER_STATUSES = ['new', 'pending', 'processing'];
+
+/**
+ * Order Package Service
+ * Creates, splits, merges and unpacks marketplace packages and keeps
+ * Order.isConsolidated/consolidatedGroupId in line with multi-order packages
+ */
+class OrderPackageService {
+  /**
+   * Packages of an order together with the items not packaged yet
+   * @param {string} orderId
+   * @param {string} userId
+   * @returns {Promise<Object>} order, packages, unpackagedItems
+   */
+  async getOrderPackages(orderId, userId) {
+    const order = await this.getPackagingOrder(orderId, userId, {
+      requireOpen: false
+    });
+
+    const packageIds = (
+      await OrderPackageItem.findAll({
+        where: { orderId: order.id },
+        attributes: ['packageId']
+      })
+    ).map((item) => item.packageId);
+
+    // Packages leave the seller's hands together with the order
+    if (
+      packageIds.length &&
+      ['shipped', 'in_transit', 'delivered'].includes(order.orderStatus)
+    ) {
+      await OrderPackage.update(
+        { status: 'shipped' },
+        { where: { id: { [Op.in]: packageIds }, status: 'packaged' } }
+      );
+    }
+
+    const packages = packageIds.length
+      ? await OrderPackage.findAll({
+          where: { id: { [Op.in]: [...new Set(packageIds)] }, userId },
+          include: this.packageItemsInclude(),
+          order: [['createdAt', 'DESC']]
+        })
+      : [];
+
+    return {
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        isConsolidated: order.isConsolidated,
+        consolidatedGroupId: order.consolidatedGroupId
+      },
+      packages,
+      unpackagedItems: OPEN_ORDER_STATUSES.includes(order.orderStatus)
+        ? await this.getUnpackagedItems([order])
+        : []
+    };
+  }
+
+  /**
+   * Other open orders of the same customer whose items can share a package
+   * with this order. When the marketplace confirms which line items are
+   * packageable together, candidates are narrowed down to those.
+   * @param {string} orderId
+   * @param {string} userId
+   * @returns {Promise<Object>} candidates and whether the marketplace verified them
+   */
+  async getMergeCandidates(orderId, userId) {
+    const order = await this.getPackagingOrder(orderId, userId);
+    const customerWhere = this.customerWhere(order);
+
+    if (!customerWhere) {
+      return { candidates: [], verified: false };
+    }
+
+    const orders = await Order.findAll({
+      where: {
+        userId,
+        connectionId: order.connectionId,
+        id: { [Op.ne]: order.id },
+        orderStatus: { [Op.in]: OPEN_ORDER_STATUSES },
+        ...customerWhere
+      },
+      include: [
+        { model: OrderItem, as: 'items' },
+        {
+          model: PlatformConnection,
+          as: 'platformConnection',
+          attributes: ['id', 'platformType']
+        }
+      ],
+      order: [['orderDate', 'DESC']],
+      limit: 20
+    });
+
+    const unpackagedItems = await this.getUnpackagedItems(orders);
+    let candidates = orders
+      .map((candidate) => ({
+        id: candidate.id,
+        orderNumber: candidate.orderNumber,
+        orderStatus: candidate.orderStatus,
+        orderDate: candidate.orderDate,
+        items: unpackagedItems.filter((item) => item.orderId === candidate.id)
+      }))
+      .filter((candidate) => candidate.items.length > 0);
+
+    const [ownItem] = await this.getUnpackagedItems([order]);
+    let verified = false;
+
+    if (ownItem && candidates.length > 0) {
+      const platformService = this.createPlatformService(order);
+      const result = await platformService.getPackageableItems(ownItem.lineItemId);
+
+      if (result.success) {
+        const packageable = new Set(
+          result.data.map((item) => String(item.lineItemId || item.id))
+        );
+        candidates = candidates
+          .map((candidate) => ({
+            ...candidate,
+            items: candidate.items.filter((item) =>
+              packageable.has(item.lineItemId)
+            )
+          }))
+          .filter((candidate) => candidate.items.length > 0);
+        verified = true;
+      }
+    }
+
+    return { candidates, verified };
+  }
+
+  /**
+   * Package the given order items. Items may come from several orders of the
+   * same customer, which produces a consolidated package.
+   * @param {string} userId
+   * @param {Object} options - orderItemIds, desi, cargoCompany
+   * @returns {Promise<Object>} Created package with items
+   */
+  async createPackage(userId, options = {}) {
+    const { orderItemIds = [], desi, cargoCompany } = options;
+
+    const orderItems = await OrderItem.findAll({
+      where: { id: { [Op.in]: orderItemIds } },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          where: { userId },
+          include: [
+            {
+              model: PlatformConnection,
+              as: 'platformConnection',
+              attributes: ['id', 'platformType']
+            }
+          ]
+        }
+      ]
+    });
+
+    if (orderItems.length === 0 || orderItems.length !== orderItemIds.length) {
+      throw new Error('Order items not found');
+    }
+
+    const orders = [
+      ...new Map(orderItems.map((item) => [item.order.id, item.order])).values()
+    ];
+    this.assertPackageable(orders);
+
+    const unpackaged = await this.getUnpackagedItems(orders);
+    const requested = unpackaged.filter((item) =>
+      orderItemIds.includes(item.orderItemId)
+    );
+
+    if (requested.length !== orderItemIds.length) {
+      throw new Error('Some items are already packaged');
+    }
+
+    const platformService = this.createPlatformService(orders[0]);
+    const result = await platformService.createPackage(
+      requested.map((item) => ({ id: item.lineItemId, quantity: item.quantity })),
+      {
+        ...(desi && { desi }),
+        ...(cargoCompany && { cargoCompany })
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    if (!result.packageNumber) {
+      logger.warn('Marketplace created a package without returning its number', {
+        connectionId: orders[0].connectionId,
+        response: result.data
+      });
+      throw new Error('Marketplace did not return a package number');
+    }
+
+    const orderPackage = await sequelize.transaction(async (transaction) => {
+      const created = await this.savePackage(
+        userId,
+        orders[0],
+        result.packageNumber,
+        requested,
+        { desi, cargoCompany, rawData: result.data },
+        transaction
+      );
+
+      // Packaging is how Hepsiburada accepts an order
+      for (const order of orders) {
+        if (order.orderStatus === 'new' || order.orderStatus === 'pending') {
+          await order.update({ orderStatus: 'processing' }, { transaction });
+        }
+      }
+
+      await this.refreshConsolidation(
+        orders.map((order) => order.id),
+        transaction
+      );
+      return created;
+    });
+
+    logger.info('Order package created', {
+      userId,
+      packageNumber: result.packageNumber,
+      orderIds: orders.map((order) => order.id),
+      itemCount: requested.length
+    });
+
+    return this.getPackageById(orderPackage.id, userId);
+  }
+
+  /**
+   * Merge all open items of several orders of the same customer into one
+   * package. Existing single-order packages of those orders are unpacked first.
+   * @param {string} userId
+   * @param {Object} options - orderIds, desi, cargoCompany
+   * @returns {Promise<Object>} Created package with items
+   */
+  async mergeOrders(userId, options = {}) {
+    const { orderIds = [], desi, cargoCompany } = options;
+
+    if (new Set(orderIds).size < 2) {
+      throw new Error('At least two orders are required to merge');
+    }
+
+    const orders = await Order.findAll({
+      where: { id: { [Op.in]: orderIds }, userId },
+      include: [
+        {
+          model: PlatformConnection,
+          as: 'platformConnection',
+          attributes: ['id', 'platformType']
+        }
+      ]
+    });
+
+    if (orders.length !== new Set(orderIds).size) {
+      throw new Error('Order not found');
+    }
+    this.assertPackageable(orders);
+
+    const activePackages = await OrderPackage.findAll({
+      where: { userId, status: 'packaged' },
+      include: [
+        {
+          model: OrderPackageItem,
+          as: 'items',
+          where: { orderId: { [Op.in]: orderIds } }
+        }
+      ]
+    });
+
+    for (const orderPackage of activePackages) {
+      const packageOrderIds = await this.getPackageOrderIds(orderPackage.id);
+      if (packageOrderIds.some((id) => !orderIds.includes(id))) {
+        throw new Error(
+          `Package ${orderPackage.packageNumber} also contains other orders; split it first`
+        );
+      }
+    }
+
+    for (const orderPackage of activePackages) {
+      await this.unpackPackage(orderPackage.id, userId);
+    }
+
+    const unpackaged = await this.getUnpackagedItems(orders);
+    if (unpackaged.length === 0) {
+      throw new Error('No items left to package');
+    }
+
+    return this.createPackage(userId, {
+      orderItemIds: unpackaged.map((item) => item.orderItemId),
+      desi,
+      cargoCompany
+    });
+  }
+
+  /**
+   * Move some items of a package into a new package on the marketplace
+   * @param {string} packageId
+   * @param {string} userId
+   * @param {Object} options - orderItemIds to move
+   * @returns {Promise<Object>} source and created packages
+   */
+  async splitPackage(packageId, userId, options = {}) {
+    const { orderItemIds = [] } = options;
+    const orderPackage = await this.getPackagedPackage(packageId, userId);
+
+    const moving = orderPackage.items.filter((item) =>
+      orderItemIds.includes(item.orderItemId)
+    );
+
+    if (moving.length === 0 || moving.length !== orderItemIds.length) {
+      throw new Error('Selected items are not in this package');
+    }
+    if (moving.length === orderPackage.items.length) {
+      throw new Error('At least one item must stay in the original package');
+    }
+
+    const platformService = this.createPlatformService(orderPackage);
+    const result = await platformService.splitPackage(
+      orderPackage.packageNumber,
+      moving.map((item) => ({ id: item.lineItemId, quantity: item.quantity }))
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    if (result.packageNumbers.length === 0) {
+      throw new Error('Marketplace did not return a package number');
+    }
+
+    const affectedOrderIds = [
+      ...new Set(orderPackage.items.map((item) => item.orderId))
+    ];
+
+    const created = await sequelize.transaction(async (transaction) => {
+      const newPackage = await this.savePackage(
+        userId,
+        orderPackage,
+        result.packageNumbers[0],
+        moving,
+        {
+          cargoCompany: orderPackage.cargoCompany,
+          splitFromPackageNumber: orderPackage.packageNumber,
+          rawData: result.data
+        },
+        transaction
+      );
+
+      await OrderPackageItem.destroy({
+        where: { id: { [Op.in]: moving.map((item) => item.id) } },
+        transaction
+      });
+
+      await this.updatePackageGroup(orderPackage, transaction);
+      await this.refreshConsolidation(affectedOrderIds, transaction);
+      return newPackage;
+    });
+
+    logger.info('Order package split', {
+      userId,
+      packageNumber: orderPackage.packageNumber,
+      newPackageNumber: created.packageNumber,
+      movedItems: moving.length
+    });
+
+    return {
+      source: await this.getPackageById(orderPackage.id, userId),
+      created: await this.getPackageById(created.id, userId)
+    };
+  }
+
+  /**
+   * Unpack a package on the marketplace so its items can be packaged again
+   * @param {string} packageId
+   * @param {string} userId
+   * @returns {Promise<Object>} Updated package
+   */
+  async unpackPackage(packageId, userId) {
+    const orderPackage = await this.getPackagedPackage(packageId, userId);
+
+    const platformService = this.createPlatformService(orderPackage);
+    const result = await platformService.unpackPackage(orderPackage.packageNumber);
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    const affectedOrderIds = [
+      ...new Set(orderPackage.items.map((item) => item.orderId))
+    ];
+
+    await sequelize.transaction(async (transaction) => {
+      await orderPackage.update(
+        {
+          status: 'unpacked',
+          unpackedAt: new Date(),
+          consolidatedGroupId: null
+        },
+        { transaction }
+      );
+      await this.refreshConsolidation(affectedOrderIds, transaction);
+    });
+
+    logger.info('Order package unpacked', {
+      userId,
+      packageNumber: orderPackage.packageNumber
+    });
+
+    return this.getPackageById(orderPackage.id, userId);
+  }
+
+  /**
+   * Fetch the cargo barcode label of a package
+   * @param {string} packageId
+   * @param {string} userId
+   * @param {string} format - pdf, zpl, base64zpl, png or jpg
+   * @returns {Promise<Object>} label data and format
+   */
+  async getPackageBarcode(packageId, userId, format = 'pdf') {
+    const orderPackage = await this.getPackageById(packageId, userId);
+
+    if (orderPackage.status === 'unpacked') {
+      throw new Error('Package is unpacked');
+    }
+
+    const platformService = this.createPlatformService(orderPackage);
+    const result = await platformService.generateShippingBarcode(
+      orderPackage.packageNumber,
+      format
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await orderPackage.update({ barcodeGeneratedAt: new Date() });
+
+    return {
+      packageNumber: orderPackage.packageNumber,
+      format,
+      data: result.data
+    };
+  }
+
+  /**
+   * @param {string} packageId
+   * @param {string} userId
+   */
+  async getPackageById(packageId, userId) {
+    const orderPackage = await OrderPackage.findOne({
+      where: { id: packageId, userId },
+      include: this.packageItemsInclude()
+    });
+
+    if (!orderPackage) {
+      throw new Error('Package not found');
+    }
+
+    return orderPackage;
+  }
+
+  async getPackagedPackage(packageId, userId) {
+    const orderPackage = await this.getPackageById(packageId, userId);
+
+    if (orderPackage.status !== 'packaged') {
+      throw new Error(`Package is already ${orderPackage.status}`);
+    }
+
+    return orderPackage;
+  }
+
+  async getPackagingOrder(orderId, userId, options = {}) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [
+        { model: OrderItem, as: 'items' },
+        {
+          model: PlatformConnection,
+          as: 'platformConnection',
+          attributes: ['id', 'platformType']
+        }
+      ]
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    this.assertPackageable([order], options);
+
+    return order;
+  }
+
+  /**
+   * Items of the given orders that are not in an active package, with their
+   * marketplace line item IDs. Items without a line item ID are skipped.
+   * @param {Array<Object>} orders - Orders, items are loaded when missing
+   */
+  async getUnpackagedItems(orders) {
+    if (orders.length === 0) {
+      return [];
+    }
+
+    const orderIds = orders.map((order) => order.id);
+    const packaged = await OrderPackageItem.findAll({
+      where: { orderId: { [Op.in]: orderIds } },
+      include: [
+        {
+          model: OrderPackage,
+          as: 'package',
+          attributes: ['status'],
+          where: { status: { [Op.ne]: 'unpacked' } }
+        }
+      ]
+    });
+    const packagedItemIds = new Set(packaged.map((item) => item.orderItemId));
+
+    // Orders passed in here always share one connection
+    const platformService = this.createPlatformService(orders[0]);
+
+    const items = [];
+    for (const order of orders) {
+      const orderItems =
+        order.items ||
+        (await OrderItem.findAll({ where: { orderId: order.id } }));
+
+      for (const orderItem of orderItems) {
+        const lineItemId = platformService.getLineItemId(orderItem);
+        if (!lineItemId || packagedItemIds.has(orderItem.id)) {
+          continue;
+        }
+
+        items.push({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          orderItemId: orderItem.id,
+          lineItemId,
+          title: orderItem.title,
+          sku: orderItem.sku,
+          quantity: orderItem.quantity
+        });
+      }
+    }
+
+    return items;
+  }
+
+  async savePackage(userId, source, packageNumber, items, details, transaction) {
+    const orderPackage = await OrderPackage.create(
+      {
+        userId,
+        connectionId: source.connectionId,
+        platformType: this.getPlatformType(source),
+        packageNumber,
+        status: 'packaged',
+        cargoCompany: details.cargoCompany || null,
+        desi: details.desi || null,
+        splitFromPackageNumber: details.splitFromPackageNumber || null,
+        rawData: details.rawData || null
+      },
+      { transaction }
+    );
+
+    await OrderPackageItem.bulkCreate(
+      items.map((item) => ({
+        packageId: orderPackage.id,
+        orderId: item.orderId,
+        orderItemId: item.orderItemId,
+        lineItemId: item.lineItemId,
+        quantity: item.quantity
+      })),
+      { transaction }
+    );
+
+    await this.updatePackageGroup(orderPackage, transaction);
+    return orderPackage;
+  }
+
+  /**
+   * A package holding items of more than one order gets a consolidation group
+   */
+  async updatePackageGroup(orderPackage, transaction) {
+    const orderIds = await this.getPackageOrderIds(orderPackage.id, transaction);
+    const consolidatedGroupId =
+      orderIds.length > 1 ? orderPackage.packageNumber.slice(0, 50) : null;
+
+    if (orderPackage.consolidatedGroupId !== consolidatedGroupId) {
+      await orderPackage.update({ consolidatedGroupId }, { transaction });
+    }
+  }
+
+  async getPackageOrderIds(packageId, transaction) {
+    const items = await OrderPackageItem.findAll({
+      where: { packageId },
+      attributes: ['orderId'],
+      transaction
+    });
+    return [...new Set(items.map((item) => item.orderId))];
+  }
+
+  /**
+   * Recompute Order.isConsolidated/consolidatedGroupId from the active
+   * packages the orders are part of
+   * @param {Array<string>} orderIds
+   * @param {Object} transaction
+   */
+  async refreshConsolidation(orderIds, transaction) {
+    for (const orderId of orderIds) {
+      const groupedItem = await OrderPackageItem.findOne({
+        where: { orderId },
+        include: [
+          {
+            model: OrderPackage,
+            as: 'package',
+            attributes: ['consolidatedGroupId'],
+            where: {
+              status: { [Op.ne]: 'unpacked' },
+              consolidatedGroupId: { [Op.ne]: null }
+            }
+          }
+        ],
+        transaction
+      });
+
+      const consolidatedGroupId = groupedItem?.package.consolidatedGroupId || null;
+
+      await Order.update(
+        { isConsolidated: !!consolidatedGroupId, consolidatedGroupId },
+        { where: { id: orderId }, transaction }
+      );
+    }
+  }
+
+  assertPackageable(orders, { requireOpen = true } = {}) {
+    const [first] = orders;
+
+    for (const order of orders) {
+      const platformType = order.platformConnection?.platformType;
+      if (!PACKAGE_PLATFORMS.includes(platformType)) {
+        throw new Error('Package management is not supported for this platform');
+      }
+      if (requireOpen && !OPEN_ORDER_STATUSES.includes(order.orderStatus)) {
+        throw new Error(`Order ${order.orderNumber} is already ${order.orderStatus}`);
+      }
+      if (order.connectionId !== first.connectionId) {
+        throw new Error('Items from different connections cannot be packaged together');
+      }
+      if (!this.isSameCustomer(order, first)) {
+        throw new Error('Items from different customers cannot be packaged together');
+      }
+    }
+  }
+
+  isSameCustomer(order, other) {
+    if (order.customerEmail && other.customerEmail) {
+      return order.customerEmail === other.customerEmail;
+    }
+    return !!order.customerName && order.customerName === other.customerName;
+  }
+
+  customerWhere(order) {
+    if (order.customerEmail) {
+      return { customerEmail: order.customerEmail };
+    }
+    if (order.customerName) {
+      return { customerName: order.customerName };
+    }
+    return null;
+  }
+
+  getPlatformType(source) {
+    return source.platformConnection?.platformType || source.platformType;
+  }
+
+  createPlatformService(source) {
+    return PlatformServiceFactory.createService(
+      this.getPlatformType(source),
+      source.connectionId
+    );
+  }
+
+  packageItemsInclude() {
+    return [
+      {
+        model: OrderPackageItem,
+        as: 'items',
+        include: [
+          {
+            model: OrderItem,
+            as: 'orderItem',
+            attributes: ['id', 'title', 'sku', 'barcode', 'quantity']
+          },
+          {
+            model: Order,
+            as: 'order',
+            attributes: ['id', 'orderNumber', 'customerName']
+          }
+        ]
+      }
+    ];
+  }
+}
+
+module.exports = new OrderPackageService();
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  Organization,
+  OrganizationMember,
+  OrganizationInvitation,
+  User
+} = require('../models');
+const emailService = require('./emailService');
+const { ROLES } = require('../middleware/permissions');
+const logger = require('../utils/logger');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MEMBER_USER_ATTRIBUTES = ['id', 'email', 'username', 'fullName'];
+
+// The owner role comes with creating the organisation and is never assigned
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== 'owner');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Organization Service
+ * Company accounts shared with invited staff. Members work on the owner's
+ * account with the permissions of their role.
+ */
+class OrganizationService {
+  /**
+   * The organisation a user belongs to, if any
+   * @returns {Promise<OrganizationMember|null>} with `organization` included
+   */
+  async getMembership(userId) {
+    return OrganizationMember.findOne({
+      where: { userId },
+      include: [{ model: Organization, as: 'organization' }]
+    });
+  }
+
+  /**
+   * Create an organisation around the user's account, with the user as owner
+   */
+  async createOrganization(user, { name }) {
+    // Members act with the owner's account, including its platform role
+    if (user.role !== 'user') {
+      throw new Error('Only regular accounts can own an organization');
+    }
+    if (await this.getMembership(user.id)) {
+      throw new Error('Already a member of an organization');
+    }
+
+    const organization = await Organization.sequelize.transaction(
+      async (transaction) => {
+        const created = await Organization.create(
+          { name, ownerId: user.id },
+          { transaction }
+        );
+        await OrganizationMember.create(
+          { organizationId: created.id, userId: user.id, role: 'owner' },
+          { transaction }
+        );
+        await User.update(
+          { tenantId: created.id },
+          { where: { id: user.id }, transaction }
+        );
+        return created;
+      }
+    );
+
+    logger.info('Organization created', {
+      organizationId: organization.id,
+      ownerId: user.id
+    });
+    return organization;
+  }
+
+  async updateOrganization(organizationId, { name }) {
+    const organization = await Organization.findByPk(organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    await organization.update({ name });
+    return organization;
+  }
+
+  async getMembers(organizationId) {
+    return OrganizationMember.findAll({
+      where: { organizationId },
+      include: [
+        { model: User, as: 'user', attributes: MEMBER_USER_ATTRIBUTES }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  async updateMemberRole(organizationId, memberId, role) {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new Error('Invalid role');
+    }
+
+    const member = await this.findMember(organizationId, memberId);
+    if (member.role === 'owner') {
+      throw new Error('The owner role cannot be changed');
+    }
+
+    await member.update({ role });
+    logger.info('Organization member role changed', {
+      organizationId,
+      memberId,
+      role
+    });
+    return member;
+  }
+
+  async removeMember(organizationId, memberId) {
+    const member = await this.findMember(organizationId, memberId);
+    if (member.role === 'owner') {
+      throw new Error('The owner cannot be removed');
+    }
+
+    await this.detachMember(member);
+    logger.info('Organization member removed', {
+      organizationId,
+      userId: member.userId
+    });
+  }
+
+  async leaveOrganization(userId) {
+    const member = await this.getMembership(userId);
+    if (!member) {
+      throw new Error('Not a member of an organization');
+    }
+    if (member.role === 'owner') {
+      throw new Error('The owner cannot leave the organization');
+    }
+
+    await this.detachMember(member);
+    logger.info('Organization member left', {
+      organizationId: member.organizationId,
+      userId
+    });
+  }
+
+  /**
+   * Pending, unexpired invitations of an organisation
+   */
+  async getInvitations(organizationId) {
+    return OrganizationInvitation.findAll({
+      where: {
+        organizationId,
+        status: 'pending',
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      include: [
+        { model: User, as: 'inviter', attributes: MEMBER_USER_ATTRIBUTES }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Invite someone by email. A new invitation replaces a pending one for the
+   * same address.
+   * @returns {Promise<{invitation: OrganizationInvitation, invitationUrl: string}>}
+   */
+  async createInvitation(organization, inviter, { email, role }) {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new Error('Invalid role');
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const existingMember = await OrganizationMember.findOne({
+      where: { organizationId: organization.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id'],
+          where: { email: normalizedEmail }
+        }
+      ]
+    });
+    if (existingMember) {
+      throw new Error('User is already a member');
+    }
+
+    await OrganizationInvitation.update(
+      { status: 'revoked' },
+      {
+        where: {
+          organizationId: organization.id,
+          email: normalizedEmail,
+          status: 'pending'
+        }
+      }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await OrganizationInvitation.create({
+      organizationId: organization.id,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: inviter.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+
+    await emailService.sendOrganizationInvitationEmail(
+      normalizedEmail,
+      token,
+      organization.name,
+      inviter.fullName || inviter.email
+    );
+
+    logger.info('Organization invitation sent', {
+      organizationId: organization.id,
+      invitationId: invitation.id,
+      role
+    });
+
+    return {
+      invitation: await OrganizationInvitation.findByPk(invitation.id),
+      invitationUrl: emailService.getInvitationUrl(token)
+    };
+  }
+
+  async revokeInvitation(organizationId, invitationId) {
+    const invitation = await OrganizationInvitation.findOne({
+      where: { id: invitationId, organizationId, status: 'pending' }
+    });
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    await invitation.update({ status: 'revoked' });
+    return invitation;
+  }
+
+  /**
+   * Public details of an invitation for its accept page
+   */
+  async getInvitation(token) {
+    const invitation = await this.findValidInvitation(token);
+    return {
+      organizationName: invitation.organization.name,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    };
+  }
+
+  /**
+   * Join the inviting organisation. The invitation must have been sent to
+   * the user's email address.
+   */
+  async acceptInvitation(token, user) {
+    const invitation = await this.findValidInvitation(token);
+
+    if (normalizeEmail(user.email) !== invitation.email) {
+      throw new Error('Invitation was sent to a different email address');
+    }
+    if (await this.getMembership(user.id)) {
+      throw new Error('Already a member of an organization');
+    }
+
+    const member = await Organization.sequelize.transaction(
+      async (transaction) => {
+        const created = await OrganizationMember.create(
+          {
+            organizationId: invitation.organizationId,
+            userId: user.id,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy
+          },
+          { transaction }
+        );
+        await invitation.update(
+          { status: 'accepted', acceptedAt: new Date(), acceptedBy: user.id },
+          { transaction }
+        );
+        await User.update(
+          { tenantId: invitation.organizationId },
+          { where: { id: user.id }, transaction }
+        );
+        return created;
+      }
+    );
+
+    logger.info('Organization invitation accepted', {
+      organizationId: invitation.organizationId,
+      invitationId: invitation.id,
+      userId: user.id
+    });
+
+    return { member, organization: invitation.organization };
+  }
+
+  async findMember(organizationId, memberId) {
+    const member = await OrganizationMember.findOne({
+      where: { id: memberId, organizationId }
+    });
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    return member;
+  }
+
+  async findValidInvitation(token) {
+    const invitation = await OrganizationInvitation.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [{ model: Organization, as: 'organization' }]
+    });
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+    if (invitation.status !== 'pending') {
+      throw new Error('Invitation is no longer valid');
+    }
+    if (invitation.expiresAt <= new Date()) {
+      throw new Error('Invitation has expired');
+    }
+    return invitation;
+  }
+
+  // Members go back to working on their own account
+  async detachMember(member) {
+    await Organization.sequelize.transaction(async (transaction) => {
+      await member.destroy({ transaction });
+      await User.update(
+        { tenantId: null },
+        { where: { id: member.userId }, transaction }
+      );
+    });
+  }
+}
+
+module.exports = new OrganizationService();
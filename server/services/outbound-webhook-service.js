@@ -0,0 +1,735 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const {
+  WebhookSubscription,
+  WebhookDelivery,
+  PlatformConnection
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const notificationService = require('./notification-service');
+const logger = require('../utils/logger');
+
+// Notification types that can be subscribed to; '*' subscribes to all of them
+const OUTBOUND_EVENT_TYPES = [
+  'new_order',
+  'order_status_change',
+  'low_inventory',
+  'inventory_synced',
+  'shipping_update',
+  'payment_update',
+  'platform_error',
+  'sync_error'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BASE_RETRY_DELAY_MS = parseInt(
+  process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS || '30000',
+  10
+);
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const WORKER_INTERVAL_MS = parseInt(
+  process.env.OUTBOUND_WEBHOOK_INTERVAL || '15000',
+  10
+);
+const WORKER_BATCH_SIZE = 50;
+const DELIVERY_CONCURRENCY = parseInt(
+  process.env.OUTBOUND_WEBHOOK_CONCURRENCY || '5',
+  10
+);
+// A claimed delivery is retried by any worker once this lease runs out
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// Receivers must be public: no private, loopback, link-local or CGNAT hosts
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10]
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+);
+
+const isBlockedAddress = (address) => {
+  const mappedIPv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mappedIPv4) {
+    return BLOCKED_ADDRESSES.check(mappedIPv4[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, `ipv${family}`);
+};
+
+/**
+ * dns.lookup that refuses private addresses. Used by the delivery agents so
+ * the check applies to the address actually connected to (no DNS rebinding)
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(
+        `${hostname} resolves to a non-public address (${blocked.address})`
+      );
+      blockedError.code = 'EADDRBLOCKED';
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Outbound Webhook Service
+ * Delivers domain events broadcast by the notification service to
+ * user-configured endpoints. Every delivery is HMAC-signed, stored, retried
+ * with exponential backoff and moved to the dead-letter list after
+ * maxAttempts failures
+ */
+class OutboundWebhookService {
+  constructor() {
+    this.workerInterval = null;
+    this.isProcessing = false;
+    this.notificationListener = null;
+  }
+
+  /**
+   * Subscribe to notifications and start the delivery worker
+   */
+  start() {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.notificationListener = (notification) => {
+      this.handleNotification(notification).catch((error) => {
+        logger.error('Failed to enqueue outbound webhooks:', error);
+      });
+    };
+    notificationService.on('notification', this.notificationListener);
+
+    this.workerInterval = setInterval(() => {
+      this.processDueDeliveries().catch((error) => {
+        logger.error('Error processing outbound webhook deliveries:', error);
+      });
+    }, WORKER_INTERVAL_MS);
+
+    logger.info('Outbound webhook worker started', {
+      intervalMs: WORKER_INTERVAL_MS,
+      maxAttempts: MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * Stop the delivery worker
+   */
+  stop() {
+    if (this.notificationListener) {
+      notificationService.removeListener('notification', this.notificationListener);
+      this.notificationListener = null;
+    }
+
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+  }
+
+  /**
+   * Owner of a notification: explicit userId, or the owner of its connection
+   * @param {Object} notification - Notification broadcast
+   * @returns {Promise<string|null>} User ID
+   */
+  async resolveUserId(notification) {
+    if (notification.userId) {
+      return notification.userId;
+    }
+
+    const connectionId = notification.data?.connectionId;
+    if (connectionId) {
+      const connection = await PlatformConnection.findByPk(connectionId, {
+        attributes: ['userId']
+      });
+      return connection?.userId || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue a delivery for every active subscription interested in the notification
+   * @param {Object} notification - { type, data, userId, timestamp }
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async handleNotification(notification) {
+    if (!OUTBOUND_EVENT_TYPES.includes(notification.type)) {
+      return 0;
+    }
+
+    const userId = await this.resolveUserId(notification);
+    if (!userId) {
+      logger.debug('Skipping outbound webhook for notification without owner', {
+        type: notification.type
+      });
+      return 0;
+    }
+
+    const subscriptions = await WebhookSubscription.findAll({
+      where: { userId, isActive: true }
+    });
+    const interested = subscriptions.filter(
+      (subscription) =>
+        subscription.events.includes('*') ||
+        subscription.events.includes(notification.type)
+    );
+
+    if (interested.length === 0) {
+      return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type: notification.type,
+      createdAt: new Date(notification.timestamp || Date.now()).toISOString(),
+      data: notification.data
+    };
+
+    await WebhookDelivery.bulkCreate(
+      interested.map((subscription) => ({
+        subscriptionId: subscription.id,
+        userId,
+        eventId,
+        eventType: notification.type,
+        payload,
+        maxAttempts: MAX_ATTEMPTS,
+        nextAttemptAt: new Date()
+      }))
+    );
+
+    // Deliver right away instead of waiting for the next worker tick
+    setImmediate(() => {
+      this.processDueDeliveries().catch((error) => {
+        logger.error('Error processing outbound webhook deliveries:', error);
+      });
+    });
+
+    return interested.length;
+  }
+
+  /**
+   * Reject receiver URLs that are not http(s) or point at a non-public
+   * address. IP literals are never looked up, so they are checked here; host
+   * names are checked again on every delivery by the agents' lookup
+   * @param {string} url - Receiver URL
+   */
+  async assertPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new AppError('Webhook URL is invalid', 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new AppError('Webhook URL must use http or https', 400);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true }).catch(() => {
+          throw new AppError(`Webhook host ${hostname} cannot be resolved`, 400);
+        });
+
+    if (addresses.some((entry) => isBlockedAddress(entry.address))) {
+      throw new AppError('Webhook URL must point to a public address', 400);
+    }
+  }
+
+  /**
+   * Signature headers for a delivery body. Receivers verify
+   * HMAC-SHA256(secret, "<timestamp>.<body>")
+   * @param {string} secret - Subscription secret
+   * @param {string} body - Serialized payload
+   * @returns {Object} Headers
+   */
+  signPayload(secret, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`, 'utf8')
+      .digest('hex');
+
+    return {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`
+    };
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1) with ±20% jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(
+      BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1),
+      MAX_RETRY_DELAY_MS
+    );
+    const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(delay + jitter);
+  }
+
+  /**
+   * Claim a due delivery by moving nextAttemptAt past the lease only if no
+   * other worker has, so several server instances never send it twice
+   * @param {Object} delivery - Due WebhookDelivery
+   * @returns {Promise<boolean>} Whether this worker owns the attempt
+   */
+  async claimDelivery(delivery) {
+    const [claimed] = await WebhookDelivery.update(
+      { nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) },
+      {
+        where: {
+          id: delivery.id,
+          status: delivery.status,
+          nextAttemptAt: delivery.nextAttemptAt
+        }
+      }
+    );
+    return claimed > 0;
+  }
+
+  /**
+   * Attempt deliveries whose next attempt is due, a few at a time so one
+   * slow receiver does not hold up everyone else's
+   * @returns {Promise<Object>} { processed }
+   */
+  async processDueDeliveries() {
+    if (this.isProcessing) {
+      return { processed: 0 };
+    }
+
+    this.isProcessing = true;
+    try {
+      const deliveries = await WebhookDelivery.findAll({
+        where: {
+          status: { [Op.in]: ['pending', 'retrying'] },
+          nextAttemptAt: { [Op.lte]: new Date() }
+        },
+        include: [
+          {
+            model: WebhookSubscription.scope('withSecret'),
+            as: 'subscription'
+          }
+        ],
+        order: [['nextAttemptAt', 'ASC']],
+        limit: WORKER_BATCH_SIZE
+      });
+
+      const queue = [...deliveries];
+      let processed = 0;
+      const worker = async () => {
+        while (queue.length > 0) {
+          const delivery = queue.shift();
+          try {
+            if (await this.claimDelivery(delivery)) {
+              await this.attemptDelivery(delivery);
+              processed++;
+            }
+          } catch (error) {
+            logger.error('Outbound webhook delivery failed:', {
+              deliveryId: delivery.id,
+              error: error.message
+            });
+          }
+        }
+      };
+
+      await Promise.all(
+        Array.from(
+          { length: Math.min(DELIVERY_CONCURRENCY, queue.length) },
+          worker
+        )
+      );
+
+      return { processed };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * POST a delivery to its subscription and record the outcome
+   * @param {Object} delivery - WebhookDelivery with subscription included
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(delivery) {
+    const subscription = delivery.subscription;
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let error = null;
+
+    if (!subscription || !subscription.isActive) {
+      error = 'Subscription is inactive or deleted';
+    } else {
+      try {
+        const response = await axios.post(subscription.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PazarPlus-Webhooks/1.0',
+            'X-Webhook-Id': delivery.eventId,
+            'X-Webhook-Event': delivery.eventType,
+            ...this.signPayload(subscription.secret, body)
+          },
+          timeout: REQUEST_TIMEOUT_MS,
+          maxRedirects: 0,
+          httpAgent,
+          httpsAgent,
+          proxy: false,
+          transformRequest: [(data) => data],
+          // Only the status matters; the body is neither parsed nor stored
+          responseType: 'stream',
+          validateStatus: () => true
+        });
+
+        response.data.destroy();
+        responseStatus = response.status;
+        if (response.status < 200 || response.status >= 300) {
+          error = `Receiver responded with HTTP ${response.status}`;
+        }
+      } catch (requestError) {
+        error = requestError.code
+          ? `${requestError.code}: ${requestError.message}`
+          : requestError.message;
+      }
+    }
+
+    const delivered = !error;
+    const exhausted = !delivered && attempts >= delivery.maxAttempts;
+    let status = 'retrying';
+    if (delivered) {
+      status = 'delivered';
+    } else if (exhausted || !subscription || !subscription.isActive) {
+      status = 'dead_letter';
+    }
+
+    await delivery.update({
+      status,
+      attempts,
+      lastAttemptAt: new Date(),
+      nextAttemptAt:
+        status === 'retrying'
+          ? new Date(Date.now() + this.getRetryDelay(attempts))
+          : null,
+      responseStatus,
+      durationMs: Date.now() - startedAt,
+      error,
+      deliveredAt: delivered ? new Date() : null
+    });
+
+    if (subscription) {
+      await WebhookSubscription.update(
+        {
+          lastDeliveryAt: new Date(),
+          lastDeliveryStatus: status,
+          ...(delivered && { consecutiveFailures: 0 }),
+          ...(status === 'dead_letter' && {
+            consecutiveFailures: subscription.consecutiveFailures + 1
+          })
+        },
+        { where: { id: subscription.id } }
+      );
+    }
+
+    if (status === 'dead_letter') {
+      logger.warn('Outbound webhook moved to dead-letter list', {
+        deliveryId: delivery.id,
+        subscriptionId: delivery.subscriptionId,
+        eventType: delivery.eventType,
+        attempts,
+        error
+      });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Event types a subscription can select
+   * @returns {Array<string>}
+   */
+  getEventTypes() {
+    return OUTBOUND_EVENT_TYPES;
+  }
+
+  /**
+   * Find a subscription owned by the user
+   */
+  async getOwnedSubscription(userId, subscriptionId) {
+    const subscription = await WebhookSubscription.findOne({
+      where: { id: subscriptionId, userId }
+    });
+
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Reject unknown event types
+   * @param {Array<string>} events - Requested event types
+   */
+  validateEvents(events) {
+    const unknown = (events || []).filter(
+      (event) => event !== '*' && !OUTBOUND_EVENT_TYPES.includes(event)
+    );
+
+    if (!events || events.length === 0) {
+      throw new AppError('At least one event type is required', 400);
+    }
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown event types: ${unknown.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * List the user's subscriptions
+   * @param {string} userId
+   * @returns {Promise<Array>} Subscriptions (without secrets)
+   */
+  async getSubscriptions(userId) {
+    return WebhookSubscription.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Create a subscription. The secret is only returned here and on rotation
+   * @param {string} userId
+   * @param {Object} data - { name, url, events, isActive }
+   * @returns {Promise<Object>} { subscription, secret }
+   */
+  async createSubscription(userId, { name, url, events, isActive = true }) {
+    this.validateEvents(events);
+    await this.assertPublicUrl(url);
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const subscription = await WebhookSubscription.create({
+      userId,
+      name,
+      url,
+      events,
+      isActive,
+      secret
+    });
+
+    logger.info('Outbound webhook subscription created', {
+      subscriptionId: subscription.id,
+      userId,
+      events
+    });
+
+    return {
+      subscription: await this.getOwnedSubscription(userId, subscription.id),
+      secret
+    };
+  }
+
+  /**
+   * Update name, url, events or active state of a subscription
+   * @param {string} userId
+   * @param {string} subscriptionId
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(userId, subscriptionId, data) {
+    const subscription = await this.getOwnedSubscription(userId, subscriptionId);
+    const updates = {};
+
+    ['name', 'url', 'events', 'isActive'].forEach((field) => {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    });
+
+    if (updates.events) {
+      this.validateEvents(updates.events);
+    }
+    if (updates.url) {
+      await this.assertPublicUrl(updates.url);
+    }
+    if (updates.isActive === true) {
+      updates.consecutiveFailures = 0;
+    }
+
+    await subscription.update(updates);
+    return subscription;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   */
+  async deleteSubscription(userId, subscriptionId) {
+    const subscription = await this.getOwnedSubscription(userId, subscriptionId);
+    await WebhookDelivery.destroy({ where: { subscriptionId: subscription.id } });
+    await subscription.destroy();
+  }
+
+  /**
+   * Replace the signing secret of a subscription
+   * @returns {Promise<Object>} { secret }
+   */
+  async rotateSecret(userId, subscriptionId) {
+    const subscription = await this.getOwnedSubscription(userId, subscriptionId);
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    await WebhookSubscription.update(
+      { secret },
+      { where: { id: subscription.id } }
+    );
+
+    return { secret };
+  }
+
+  /**
+   * Queue a 'ping' delivery so the receiver can verify its signature check
+   * @returns {Promise<Object>} Attempted delivery
+   */
+  async sendTestEvent(userId, subscriptionId) {
+    const subscription = await this.getOwnedSubscription(userId, subscriptionId);
+    const eventId = crypto.randomUUID();
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: subscription.id,
+      userId,
+      eventId,
+      eventType: 'ping',
+      payload: {
+        id: eventId,
+        type: 'ping',
+        createdAt: new Date().toISOString(),
+        data: { subscriptionId: subscription.id, name: subscription.name }
+      },
+      maxAttempts: 1,
+      nextAttemptAt: null
+    });
+
+    delivery.subscription = await WebhookSubscription.scope('withSecret').findByPk(
+      subscription.id
+    );
+    return this.attemptDelivery(delivery);
+  }
+
+  /**
+   * List deliveries for the user's subscriptions
+   * @param {string} userId
+   * @param {Object} filters - { page, limit, status, subscriptionId, eventType }
+   * @returns {Promise<Object>} { deliveries, pagination }
+   */
+  async getDeliveries(
+    userId,
+    { page = 1, limit = 20, status, subscriptionId, eventType } = {}
+  ) {
+    const where = { userId };
+    if (status && status !== 'all') {
+      where.status = status;
+    }
+    if (subscriptionId) {
+      where.subscriptionId = subscriptionId;
+    }
+    if (eventType && eventType !== 'all') {
+      where.eventType = eventType;
+    }
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      include: [
+        {
+          model: WebhookSubscription,
+          as: 'subscription',
+          attributes: ['id', 'name', 'url']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue with a fresh attempt budget
+   * @returns {Promise<Object>} Requeued delivery
+   */
+  async redeliver(userId, deliveryId) {
+    const delivery = await WebhookDelivery.findOne({
+      where: { id: deliveryId, userId }
+    });
+
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+    if (delivery.status !== 'dead_letter') {
+      throw new AppError('Only dead-lettered deliveries can be redelivered', 400);
+    }
+
+    await delivery.update({
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: Math.max(delivery.maxAttempts, MAX_ATTEMPTS),
+      nextAttemptAt: new Date(),
+      error: null
+    });
+
+    setImmediate(() => {
+      this.processDueDeliveries().catch((error) => {
+        logger.error('Error processing outbound webhook deliveries:', error);
+      });
+    });
+
+    return delivery;
+  }
+}
+
+module.exports = new OutboundWebhookService();
@@ -0,0 +1,259 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { PlatformConnection } = require('../models');
+const { Op } = require('sequelize');
+const PlatformServiceFactory = require('../modules/order-management/services/platforms/platformServiceFactory');
+const logger = require('../utils/logger');
+
+const PRICE_STOCK_PLATFORMS = ['trendyol', 'hepsiburada', 'n11'];
+const MAX_ITEMS_PER_REQUEST = 10000;
+
+// Accepted CSV headers (lowercased) mapped onto update item fields
+const COLUMN_ALIASES = {
+  sku: 'sku',
+  stockcode: 'sku',
+  merchantsku: 'sku',
+  'stok kodu': 'sku',
+  barcode: 'barcode',
+  barkod: 'barcode',
+  hepsiburadasku: 'hepsiburadaSku',
+  quantity: 'quantity',
+  stock: 'quantity',
+  stok: 'quantity',
+  adet: 'quantity',
+  saleprice: 'salePrice',
+  price: 'salePrice',
+  fiyat: 'salePrice',
+  'satış fiyatı': 'salePrice',
+  listprice: 'listPrice',
+  'liste fiyatı': 'listPrice'
+};
+
+/**
+ * Price & Stock Service
+ * Parses bulk price/stock payloads and pushes them to every selected
+ * marketplace through the platform services' updatePriceAndInventory()
+ */
+class PriceStockService {
+  /**
+   * Parse a CSV upload into raw rows keyed by update item field.
+   * Both comma and semicolon (Excel TR locale) separators are accepted.
+   * @param {Buffer|string} content - CSV content
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  parseCsv(content) {
+    const text = Buffer.isBuffer(content)
+      ? content.toString('utf8').replace(/^\uFEFF/, '')
+      : String(content);
+    const headerLine = text.split(/\r?\n/, 1)[0] || '';
+    const separator =
+      headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from([text])
+        .pipe(
+          csv({
+            separator,
+            mapHeaders: ({ header }) =>
+              COLUMN_ALIASES[header.trim().toLocaleLowerCase('tr-TR')] ||
+              COLUMN_ALIASES[header.trim().toLowerCase()] ||
+              null
+          })
+        )
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Validate raw rows into update items
+   * @param {Array<Object>} rows - Rows from CSV or JSON
+   * @returns {Object} { items, errors } where errors carry the 1-based row number
+   */
+  normalizeItems(rows) {
+    const items = [];
+    const errors = [];
+
+    const toNumber = (value) =>
+      value === undefined || value === null || value === ''
+        ? undefined
+        : Number(String(value).replace(',', '.'));
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 1;
+      const sku = row.sku || row.stockCode || row.merchantSku;
+      const barcode = row.barcode;
+
+      if (!sku && !barcode) {
+        errors.push({ row: rowNumber, message: 'SKU or barcode is required' });
+        return;
+      }
+
+      const item = {};
+      if (sku) {
+        item.sku = String(sku).trim();
+      }
+      if (barcode) {
+        item.barcode = String(barcode).trim();
+      }
+      if (row.hepsiburadaSku) {
+        item.hepsiburadaSku = String(row.hepsiburadaSku).trim();
+      }
+
+      const quantity = toNumber(row.quantity);
+      const salePrice = toNumber(row.salePrice);
+      const listPrice = toNumber(row.listPrice);
+
+      if (quantity !== undefined) {
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          errors.push({
+            row: rowNumber,
+            message: 'Quantity must be a non-negative integer'
+          });
+          return;
+        }
+        item.quantity = quantity;
+      }
+
+      if (listPrice !== undefined && salePrice === undefined) {
+        errors.push({
+          row: rowNumber,
+          message: 'List price requires a sale price'
+        });
+        return;
+      }
+
+      if (salePrice !== undefined) {
+        if (!Number.isFinite(salePrice) || salePrice <= 0) {
+          errors.push({ row: rowNumber, message: 'Sale price must be positive' });
+          return;
+        }
+        if (listPrice !== undefined) {
+          if (!Number.isFinite(listPrice) || listPrice < salePrice) {
+            errors.push({
+              row: rowNumber,
+              message: 'List price must be greater than or equal to sale price'
+            });
+            return;
+          }
+          item.listPrice = listPrice;
+        }
+        item.salePrice = salePrice;
+      }
+
+      if (item.quantity === undefined && item.salePrice === undefined) {
+        errors.push({
+          row: rowNumber,
+          message: 'Either quantity or sale price is required'
+        });
+        return;
+      }
+
+      items.push(item);
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Push price/stock updates to the user's marketplace connections
+   * @param {number} userId - Owner of the connections
+   * @param {Object} options - { items, connectionIds } (all active connections when omitted)
+   * @returns {Promise<Object>} Per-connection submission results
+   */
+  async updatePriceAndInventory(userId, { items, connectionIds } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('No price/stock items to update');
+    }
+
+    if (items.length > MAX_ITEMS_PER_REQUEST) {
+      throw new Error(
+        `A maximum of ${MAX_ITEMS_PER_REQUEST} items can be updated per request`
+      );
+    }
+
+    const where = {
+      userId,
+      isActive: true,
+      platformType: { [Op.in]: PRICE_STOCK_PLATFORMS }
+    };
+    if (Array.isArray(connectionIds) && connectionIds.length > 0) {
+      where.id = { [Op.in]: connectionIds };
+    }
+
+    const connections = await PlatformConnection.findAll({ where });
+    if (connections.length === 0) {
+      throw new Error('No active marketplace connections found');
+    }
+
+    const results = [];
+    for (const connection of connections) {
+      let result;
+      try {
+        const platformService = PlatformServiceFactory.createService(
+          connection.platformType,
+          connection.id
+        );
+        result = await platformService.updatePriceAndInventory(items);
+      } catch (error) {
+        result = { success: false, message: error.message, requests: [] };
+      }
+
+      if (!result.success) {
+        logger.warn(
+          `Price/stock update failed for connection ${connection.id}: ${result.message}`,
+          { connectionId: connection.id, platformType: connection.platformType }
+        );
+      }
+
+      results.push({
+        connectionId: connection.id,
+        connectionName: connection.name,
+        platformType: connection.platformType,
+        success: result.success,
+        message: result.message,
+        itemCount: result.itemCount || 0,
+        requests: result.requests || [],
+        failedItems: result.failedItems || []
+      });
+    }
+
+    logger.info('Bulk price/stock update submitted', {
+      userId,
+      itemCount: items.length,
+      connectionCount: connections.length,
+      failedConnections: results.filter((r) => !r.success).length
+    });
+
+    return { itemCount: items.length, connections: results };
+  }
+
+  /**
+   * Check the processing status of a submitted batch
+   * @param {number} userId - Owner of the connection
+   * @param {number} connectionId - Connection the batch was sent to
+   * @param {string} requestId - Batch/tracking/task ID
+   * @param {Object} options - Platform specific options ({ type } for Hepsiburada)
+   * @returns {Promise<Object>} Normalized batch status
+   */
+  async getRequestStatus(userId, connectionId, requestId, options = {}) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: connectionId, userId }
+    });
+
+    if (!connection) {
+      throw new Error('Platform connection not found');
+    }
+
+    const platformService = PlatformServiceFactory.createService(
+      connection.platformType,
+      connection.id
+    );
+
+    return platformService.checkPriceAndInventoryStatus(requestId, options);
+  }
+}
+
+module.exports = new PriceStockService();
@@ -0,0 +1,709 @@
+const {
+  PurchaseOrder,
+  PurchaseOrderLine,
+  Supplier,
+  Warehouse,
+  Product,
+  ProductVariant,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const advancedInventoryService = require('./advanced-inventory-service');
+const stockAllocationService = require('./stock-allocation-service');
+const analyticsService = require('./analytics-service');
+const {
+  calculateDemandForecast
+} = require('./analytics-service/analytic-calculation-utils');
+const logger = require('../utils/logger');
+
+// Orders whose goods are still expected
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+// Safety stock on top of supplier lead time, same as getInventoryPredictions
+const SAFETY_STOCK_DAYS = 7;
+
+// Upper bound on products forecast for reorder suggestions
+const MAX_SUGGESTION_PRODUCTS = 50;
+
+/**
+ * Purchase Order Service
+ * Purchase orders move draft → ordered → partially_received → received
+ * (or cancelled). Receiving books PURCHASE inventory movements into the
+ * target warehouse and rolls the landed unit cost into the product's
+ * weighted average cost price.
+ */
+class PurchaseOrderService {
+  /**
+   * @param {string} userId
+   * @param {Object} params - status, supplierId, search, page, limit
+   */
+  async getPurchaseOrders(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+
+    const where = { userId };
+    if (params.status && params.status !== 'all') {
+      where.status = params.status;
+    }
+    if (params.supplierId) {
+      where.supplierId = params.supplierId;
+    }
+    if (params.search) {
+      where.poNumber = { [Op.iLike]: `%${params.search}%` };
+    }
+
+    const { count, rows } = await PurchaseOrder.findAndCountAll({
+      where,
+      include: [
+        { model: Supplier, as: 'supplier', attributes: ['id', 'name'] },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'name', 'code'],
+          required: false
+        },
+        { model: PurchaseOrderLine, as: 'lines' }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return {
+      purchaseOrders: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async getPurchaseOrder(purchaseOrderId, userId, options = {}) {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      where: { id: purchaseOrderId, userId },
+      include: [
+        { model: Supplier, as: 'supplier' },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'name', 'code'],
+          required: false
+        },
+        { model: PurchaseOrderLine, as: 'lines' }
+      ],
+      order: [[{ model: PurchaseOrderLine, as: 'lines' }, 'createdAt', 'ASC']],
+      transaction: options.transaction
+    });
+
+    if (!purchaseOrder) {
+      throw new Error('Purchase order not found');
+    }
+
+    return purchaseOrder;
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - supplierId, warehouseId, currency, exchangeRate,
+   *   shippingCost, customsCost, otherCosts, expectedAt, notes,
+   *   lines [{ sku, productId, variantId, name, quantityOrdered, unitCost }]
+   */
+  async createPurchaseOrder(userId, data) {
+    const supplier = await Supplier.findOne({
+      where: { id: data.supplierId, userId }
+    });
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+
+    if (data.warehouseId) {
+      await this.assertWarehouse(userId, data.warehouseId);
+    }
+
+    const lines = await this.resolveLines(userId, data.lines);
+
+    return sequelize.transaction(async (transaction) => {
+      const purchaseOrder = await PurchaseOrder.create(
+        {
+          userId,
+          supplierId: supplier.id,
+          warehouseId: data.warehouseId || null,
+          poNumber: await this.nextPoNumber(userId, transaction),
+          status: 'draft',
+          currency: data.currency || supplier.currency,
+          exchangeRate: data.exchangeRate || 1,
+          shippingCost: data.shippingCost || 0,
+          customsCost: data.customsCost || 0,
+          otherCosts: data.otherCosts || 0,
+          subtotal: this.calculateSubtotal(lines),
+          expectedAt:
+            data.expectedAt ||
+            new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000),
+          notes: data.notes || null
+        },
+        { transaction }
+      );
+
+      await PurchaseOrderLine.bulkCreate(
+        lines.map((line) => ({ ...line, purchaseOrderId: purchaseOrder.id })),
+        { transaction }
+      );
+
+      logger.info(
+        `Purchase order ${purchaseOrder.poNumber} created for supplier ${supplier.name}`
+      );
+
+      return this.getPurchaseOrder(purchaseOrder.id, userId, { transaction });
+    });
+  }
+
+  /**
+   * Update a purchase order. Lines can only change while it is a draft;
+   * extra costs can change until everything is received.
+   */
+  async updatePurchaseOrder(purchaseOrderId, userId, data) {
+    const purchaseOrder = await this.getPurchaseOrder(purchaseOrderId, userId);
+
+    if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+      throw new Error(`Purchase order is already ${purchaseOrder.status}`);
+    }
+
+    const isDraft = purchaseOrder.status === 'draft';
+    if (!isDraft && (data.lines || data.supplierId || data.currency)) {
+      throw new Error('Only draft purchase orders can change lines or supplier');
+    }
+
+    if (data.warehouseId) {
+      await this.assertWarehouse(userId, data.warehouseId);
+    }
+    if (data.supplierId) {
+      const supplier = await Supplier.findOne({
+        where: { id: data.supplierId, userId }
+      });
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+    }
+
+    const lines = data.lines
+      ? await this.resolveLines(userId, data.lines)
+      : null;
+
+    await sequelize.transaction(async (transaction) => {
+      const updates = {};
+      [
+        'supplierId',
+        'warehouseId',
+        'currency',
+        'exchangeRate',
+        'shippingCost',
+        'customsCost',
+        'otherCosts',
+        'expectedAt',
+        'notes'
+      ].forEach((field) => {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      });
+
+      if (lines) {
+        await PurchaseOrderLine.destroy({
+          where: { purchaseOrderId: purchaseOrder.id },
+          transaction
+        });
+        await PurchaseOrderLine.bulkCreate(
+          lines.map((line) => ({
+            ...line,
+            purchaseOrderId: purchaseOrder.id
+          })),
+          { transaction }
+        );
+        updates.subtotal = this.calculateSubtotal(lines);
+      }
+
+      await purchaseOrder.update(updates, { transaction });
+    });
+
+    return this.getPurchaseOrder(purchaseOrder.id, userId);
+  }
+
+  /**
+   * Send a draft to the supplier
+   */
+  async markOrdered(purchaseOrderId, userId) {
+    const purchaseOrder = await this.getPurchaseOrder(purchaseOrderId, userId);
+
+    if (purchaseOrder.status !== 'draft') {
+      throw new Error('Only draft purchase orders can be ordered');
+    }
+    if (purchaseOrder.lines.length === 0) {
+      throw new Error('Purchase order has no lines');
+    }
+
+    await purchaseOrder.update({ status: 'ordered', orderedAt: new Date() });
+    return purchaseOrder;
+  }
+
+  /**
+   * Cancel a purchase order that has not received anything yet
+   */
+  async cancelPurchaseOrder(purchaseOrderId, userId) {
+    const purchaseOrder = await this.getPurchaseOrder(purchaseOrderId, userId);
+
+    if (!['draft', 'ordered'].includes(purchaseOrder.status)) {
+      throw new Error(
+        'Only draft or ordered purchase orders without receipts can be cancelled'
+      );
+    }
+
+    await purchaseOrder.update({
+      status: 'cancelled',
+      cancelledAt: new Date()
+    });
+    return purchaseOrder;
+  }
+
+  async deletePurchaseOrder(purchaseOrderId, userId) {
+    const purchaseOrder = await this.getPurchaseOrder(purchaseOrderId, userId);
+
+    if (purchaseOrder.status !== 'draft') {
+      throw new Error('Only draft purchase orders can be deleted');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await PurchaseOrderLine.destroy({
+        where: { purchaseOrderId: purchaseOrder.id },
+        transaction
+      });
+      await purchaseOrder.destroy({ transaction });
+    });
+
+    return { id: purchaseOrder.id };
+  }
+
+  /**
+   * Receive goods against an ordered purchase order. Each received line
+   * books a PURCHASE movement and updates the weighted average cost price.
+   * @param {Object} data - lines [{ lineId, quantity }] (default: everything
+   *   outstanding), warehouseId (overrides the PO's warehouse)
+   */
+  async receivePurchaseOrder(purchaseOrderId, userId, data = {}) {
+    const purchaseOrder = await this.getPurchaseOrder(purchaseOrderId, userId);
+
+    if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+      throw new Error('Only ordered purchase orders can be received');
+    }
+
+    const receipts = this.buildReceipts(purchaseOrder, data.lines);
+    if (receipts.length === 0) {
+      throw new Error('Nothing to receive');
+    }
+
+    const warehouseId =
+      data.warehouseId ||
+      purchaseOrder.warehouseId ||
+      (await stockAllocationService.getDefaultWarehouseId(userId));
+    if (data.warehouseId) {
+      await this.assertWarehouse(userId, data.warehouseId);
+    }
+
+    const landedCosts = this.calculateLandedUnitCosts(purchaseOrder);
+
+    await sequelize.transaction(async (transaction) => {
+      for (const { line, quantity } of receipts) {
+        const landedUnitCost = landedCosts.get(line.id);
+
+        const result = await advancedInventoryService.recordMovement(
+          {
+            productId: line.productId,
+            variantId: line.variantId,
+            sku: line.sku,
+            movementType: 'PURCHASE',
+            quantity,
+            reason: `Received against ${purchaseOrder.poNumber}`,
+            userId,
+            referenceId: purchaseOrder.id,
+            referenceType: 'purchase_order',
+            warehouseId,
+            metadata: {
+              poNumber: purchaseOrder.poNumber,
+              purchaseOrderLineId: line.id,
+              supplierId: purchaseOrder.supplierId,
+              landedUnitCost
+            }
+          },
+          { transaction }
+        );
+
+        await this.updateAverageCost(
+          result.entity,
+          result.previousStock,
+          quantity,
+          landedUnitCost,
+          transaction
+        );
+
+        await line.update(
+          {
+            quantityReceived: line.quantityReceived + quantity,
+            landedUnitCost
+          },
+          { transaction }
+        );
+      }
+
+      const fullyReceived = purchaseOrder.lines.every(
+        (line) => line.quantityReceived >= line.quantityOrdered
+      );
+
+      await purchaseOrder.update(
+        {
+          status: fullyReceived ? 'received' : 'partially_received',
+          receivedAt: fullyReceived ? new Date() : null
+        },
+        { transaction }
+      );
+    });
+
+    logger.info(
+      `Purchase order ${purchaseOrder.poNumber} received: ${receipts
+        .map((r) => `${r.line.sku} x${r.quantity}`)
+        .join(', ')}`
+    );
+
+    return this.getPurchaseOrder(purchaseOrder.id, userId);
+  }
+
+  /**
+   * Reorder suggestions from the demand forecast used by the analytics
+   * inventory predictions. Covers the predicted top sellers plus every
+   * product bought before, and suggests enough to last the supplier's lead
+   * time, safety stock and the requested cover period, minus stock already
+   * on hand or on order.
+   * @param {Object} params - timeframe (7d/30d/90d/1y), coverDays
+   */
+  async getReorderSuggestions(userId, params = {}) {
+    const coverDays = parseInt(params.coverDays) || 30;
+    const dateRange = analyticsService.getDateRange(params.timeframe || '30d');
+
+    const predictions = await analyticsService.getInventoryPredictions(
+      userId,
+      dateRange
+    );
+
+    const purchasedLines = await PurchaseOrderLine.findAll({
+      include: [
+        {
+          model: PurchaseOrder,
+          as: 'purchaseOrder',
+          where: { userId, status: { [Op.ne]: 'cancelled' } },
+          attributes: ['id', 'supplierId', 'status', 'createdAt']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const productIds = [
+      ...new Set([
+        ...(predictions?.products || []).map((p) => p.productId),
+        ...purchasedLines.map((line) => line.productId).filter(Boolean)
+      ])
+    ].slice(0, MAX_SUGGESTION_PRODUCTS);
+
+    if (productIds.length === 0) {
+      return { suggestions: [], coverDays };
+    }
+
+    const [products, suppliers] = await Promise.all([
+      Product.findAll({
+        where: { id: { [Op.in]: productIds }, userId },
+        attributes: ['id', 'name', 'sku', 'stockQuantity', 'costPrice']
+      }),
+      Supplier.findAll({ where: { userId } })
+    ]);
+    const supplierById = new Map(suppliers.map((s) => [s.id, s]));
+
+    const suggestions = [];
+    for (const product of products) {
+      const forecast = await calculateDemandForecast(product.id, userId);
+      const dailyDemand = Number(forecast?.daily) || 0;
+      if (dailyDemand <= 0) {
+        continue;
+      }
+
+      const productLines = purchasedLines.filter(
+        (line) => line.productId === product.id
+      );
+      const onOrder = productLines
+        .filter((line) => OPEN_STATUSES.includes(line.purchaseOrder.status))
+        .reduce(
+          (sum, line) =>
+            sum + Math.max(0, line.quantityOrdered - line.quantityReceived),
+          0
+        );
+
+      // Most recent supplier of the product, if it was bought before
+      const lastLine = productLines[0];
+      const supplier = lastLine
+        ? supplierById.get(lastLine.purchaseOrder.supplierId)
+        : null;
+      const leadTimeDays = supplier ? supplier.leadTimeDays : SAFETY_STOCK_DAYS;
+
+      const currentStock = product.stockQuantity || 0;
+      const reorderPoint = Math.ceil(
+        dailyDemand * (leadTimeDays + SAFETY_STOCK_DAYS)
+      );
+      if (currentStock + onOrder > reorderPoint) {
+        continue;
+      }
+
+      const suggestedQuantity =
+        Math.ceil(dailyDemand * (leadTimeDays + SAFETY_STOCK_DAYS + coverDays)) -
+        currentStock -
+        onOrder;
+      if (suggestedQuantity <= 0) {
+        continue;
+      }
+
+      suggestions.push({
+        productId: product.id,
+        sku: product.sku,
+        name: product.name,
+        currentStock,
+        onOrder,
+        dailyDemand: Math.round(dailyDemand * 100) / 100,
+        daysUntilStockout: Math.floor((currentStock + onOrder) / dailyDemand),
+        reorderPoint,
+        suggestedQuantity,
+        supplier: supplier
+          ? { id: supplier.id, name: supplier.name, leadTimeDays }
+          : null,
+        lastUnitCost: lastLine ? Number(lastLine.unitCost) : null,
+        costPrice: product.costPrice !== null ? Number(product.costPrice) : null
+      });
+    }
+
+    suggestions.sort((a, b) => a.daysUntilStockout - b.daysUntilStockout);
+
+    return { suggestions, coverDays };
+  }
+
+  /**
+   * Pair requested receipt quantities with lines, defaulting to everything
+   * outstanding
+   */
+  buildReceipts(purchaseOrder, requested) {
+    const linesById = new Map(purchaseOrder.lines.map((l) => [l.id, l]));
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return purchaseOrder.lines
+        .map((line) => ({
+          line,
+          quantity: line.quantityOrdered - line.quantityReceived
+        }))
+        .filter((receipt) => receipt.quantity > 0);
+    }
+
+    return requested
+      .filter((entry) => parseInt(entry.quantity) > 0)
+      .map((entry) => {
+        const line = linesById.get(entry.lineId);
+        if (!line) {
+          throw new Error('Purchase order line not found');
+        }
+
+        const quantity = parseInt(entry.quantity);
+        if (line.quantityReceived + quantity > line.quantityOrdered) {
+          throw new Error(
+            `Cannot receive more than ordered for ${line.sku}: ${
+              line.quantityOrdered - line.quantityReceived
+            } outstanding`
+          );
+        }
+
+        return { line, quantity };
+      });
+  }
+
+  /**
+   * Landed TRY cost per unit for every line. Shipping, customs and other
+   * costs are spread over lines by their share of the order value (by
+   * quantity when all unit costs are zero).
+   * @returns {Map<string, number>} lineId → landed unit cost
+   */
+  calculateLandedUnitCosts(purchaseOrder) {
+    const extras =
+      Number(purchaseOrder.shippingCost || 0) +
+      Number(purchaseOrder.customsCost || 0) +
+      Number(purchaseOrder.otherCosts || 0);
+    const rate = Number(purchaseOrder.exchangeRate) || 1;
+
+    const totalValue = purchaseOrder.lines.reduce(
+      (sum, line) => sum + line.quantityOrdered * Number(line.unitCost),
+      0
+    );
+    const totalQuantity = purchaseOrder.lines.reduce(
+      (sum, line) => sum + line.quantityOrdered,
+      0
+    );
+
+    return new Map(
+      purchaseOrder.lines.map((line) => {
+        const share =
+          totalValue > 0
+            ? (line.quantityOrdered * Number(line.unitCost)) / totalValue
+            : line.quantityOrdered / totalQuantity;
+        const extraPerUnit = (extras * share) / line.quantityOrdered;
+        const landed = (Number(line.unitCost) + extraPerUnit) * rate;
+
+        return [line.id, Math.round(landed * 10000) / 10000];
+      })
+    );
+  }
+
+  /**
+   * Blend received units into the product/variant cost price
+   */
+  async updateAverageCost(entity, previousStock, quantity, landedUnitCost, transaction) {
+    const currentCost =
+      entity.costPrice !== null && entity.costPrice !== undefined
+        ? Number(entity.costPrice)
+        : null;
+    const onHand = Math.max(0, previousStock);
+
+    const averageCost =
+      currentCost === null || onHand === 0
+        ? landedUnitCost
+        : (onHand * currentCost + quantity * landedUnitCost) /
+          (onHand + quantity);
+
+    await entity.update(
+      { costPrice: Math.round(averageCost * 100) / 100 },
+      { transaction }
+    );
+  }
+
+  /**
+   * Variant of one of the user's products
+   */
+  async findOwnedVariant(userId, where) {
+    return ProductVariant.findOne({
+      where,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          where: { userId },
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Attach product/variant IDs and names to requested lines, checking that
+   * given IDs belong to the user or resolving them by SKU
+   */
+  async resolveLines(userId, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('Purchase order has no lines');
+    }
+
+    const resolved = [];
+    for (const line of lines) {
+      let { productId = null, variantId = null, name = null } = line;
+
+      // Given IDs must belong to the user and to each other
+      if (variantId) {
+        const variant = await this.findOwnedVariant(userId, { id: variantId });
+        if (!variant || (productId && variant.productId !== productId)) {
+          throw new Error(`No product or variant found with ID: ${variantId}`);
+        }
+        productId = variant.productId;
+        name = name || variant.name || variant.product.name;
+      } else if (productId) {
+        const product = await Product.findOne({
+          where: { id: productId, userId },
+          attributes: ['id', 'name']
+        });
+        if (!product) {
+          throw new Error(`No product or variant found with ID: ${productId}`);
+        }
+        name = name || product.name;
+      } else {
+        const variant = await this.findOwnedVariant(userId, { sku: line.sku });
+
+        if (variant) {
+          variantId = variant.id;
+          productId = variant.productId;
+          name = name || variant.name || variant.product.name;
+        } else {
+          const product = await Product.findOne({
+            where: { sku: line.sku, userId },
+            attributes: ['id', 'name']
+          });
+          if (!product) {
+            throw new Error(`No product or variant found with SKU: ${line.sku}`);
+          }
+          productId = product.id;
+          name = name || product.name;
+        }
+      }
+
+      resolved.push({
+        productId,
+        variantId,
+        sku: line.sku,
+        name,
+        quantityOrdered: parseInt(line.quantityOrdered),
+        unitCost: Number(line.unitCost) || 0
+      });
+    }
+
+    return resolved;
+  }
+
+  calculateSubtotal(lines) {
+    const subtotal = lines.reduce(
+      (sum, line) => sum + line.quantityOrdered * Number(line.unitCost),
+      0
+    );
+    return Math.round(subtotal * 100) / 100;
+  }
+
+  async assertWarehouse(userId, warehouseId) {
+    const warehouse = await Warehouse.findOne({
+      where: { id: warehouseId, userId, isActive: true }
+    });
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+  }
+
+  /**
+   * Sequential PO number per user, e.g. PO-2026-00042
+   */
+  async nextPoNumber(userId, transaction) {
+    const year = new Date().getFullYear();
+    const prefix = `PO-${year}-`;
+
+    const last = await PurchaseOrder.findOne({
+      where: { userId, poNumber: { [Op.like]: `${prefix}%` } },
+      order: [['poNumber', 'DESC']],
+      attributes: ['poNumber'],
+      transaction
+    });
+
+    const lastSequence = last
+      ? parseInt(last.poNumber.slice(prefix.length)) || 0
+      : 0;
+
+    return `${prefix}${String(lastSequence + 1).padStart(5, '0')}`;
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,269 @@
+/**
+ * QNB Finans e-İrsaliye Service
+ * Sends UBL-TR DespatchAdvice documents through the QNB Finans connector
+ * service and follows their delivery to the receiver
+ *
+ * Requests are authenticated with a WS-Security UsernameToken. Set
+ * `eIrsaliyeEndpoint` in the QNB Finans settings, or the
+ * QNB_EIRSALIYE_ENDPOINT environment variable, to use another connector
+ * such as the local stub in scripts/mock-qnb-eirsaliye.js
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const QNBConfig = require('../shared/config/QNBConfig');
+const DespatchAdviceGenerator = require('./xml/DespatchAdviceGenerator');
+const logger = require('../../../utils/logger');
+
+const DOCUMENT_TYPE = 'IRSALIYE_UBL';
+
+class EIrsaliyeService {
+  constructor() {
+    this.xmlBuilder = new xml2js.Builder({ headless: true });
+    this.xmlParser = new xml2js.Parser({
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    this.generator = new DespatchAdviceGenerator();
+  }
+
+  /**
+   * Connector service URL for a configuration
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {string} Service URL
+   */
+  getEndpoint(config) {
+    return (
+      config.eIrsaliyeEndpoint ||
+      process.env.QNB_EIRSALIYE_ENDPOINT ||
+      QNBConfig.getEndpoint(config.environment, 'connectorService')
+    );
+  }
+
+  /**
+   * Build and send a DespatchAdvice (belgeGonderExt)
+   * @param {Object} despatch - Despatch data for DespatchAdviceGenerator
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {Object} Send result with the connector's document id
+   */
+  async sendDespatchAdvice(despatch, config) {
+    try {
+      const despatchXML = this.generator.generateDespatchAdviceUBL(despatch);
+
+      const response = await this.makeRequest(
+        QNBConfig.eIrsaliyeMethods.send,
+        {
+          parametreler: {
+            belgeNo: despatch.uuid,
+            vergiTcKimlikNo: config.companyInfo.taxNumber,
+            belgeTuru: DOCUMENT_TYPE,
+            veri: Buffer.from(despatchXML).toString('base64'),
+            belgeHash: crypto
+              .createHash('md5')
+              .update(despatchXML)
+              .digest('hex'),
+            mimeType: 'application/xml',
+            belgeVersiyon: '1.0',
+            ...(despatch.receiverAlias && {
+              alanEtiket: despatch.receiverAlias
+            })
+          }
+        },
+        config
+      );
+
+      return {
+        success: true,
+        message: 'E-İrsaliye sent successfully',
+        data: {
+          providerId: response.return,
+          number: despatch.number,
+          uuid: despatch.uuid
+        }
+      };
+    } catch (error) {
+      logger.error(`QNB Finans e-İrsaliye send error: ${error.message}`, {
+        number: despatch.number
+      });
+      return {
+        success: false,
+        message: `Failed to send e-İrsaliye: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Query delivery status and receiver response (gidenBelgeDurumSorgula)
+   * @param {string} providerId - Connector document id from sending
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {Object} Status result
+   */
+  async queryStatus(providerId, config) {
+    try {
+      const response = await this.makeRequest(
+        QNBConfig.eIrsaliyeMethods.query,
+        {
+          vergiTcKimlikNo: config.companyInfo.taxNumber,
+          belgeOid: providerId
+        },
+        config
+      );
+
+      const result = response.return || {};
+      const status =
+        QNBConfig.eIrsaliyeResponseCodes[result.yanitDurumu] ||
+        QNBConfig.eIrsaliyeStatusCodes[result.durum] ||
+        'processing';
+
+      return {
+        success: true,
+        data: {
+          status,
+          description: result.yanitAciklama || result.aciklama || null,
+          number: result.belgeNo || null,
+          uuid: result.ettn || null,
+          raw: result
+        }
+      };
+    } catch (error) {
+      logger.error(`QNB Finans e-İrsaliye query error: ${error.message}`, {
+        providerId
+      });
+      return {
+        success: false,
+        message: `Failed to query e-İrsaliye: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cancel a sent DespatchAdvice (gidenBelgeIptalEt). The connector only
+   * cancels documents the receiver has not answered yet.
+   * @param {string} providerId - Connector document id from sending
+   * @param {Object} config - User's QNB Finans configuration
+   * @param {string} reason - Cancellation reason
+   * @returns {Object} Cancellation result
+   */
+  async cancelDespatchAdvice(providerId, config, reason = 'İptal') {
+    try {
+      await this.makeRequest(
+        QNBConfig.eIrsaliyeMethods.cancel,
+        {
+          vergiTcKimlikNo: config.companyInfo.taxNumber,
+          belgeOid: providerId,
+          iptalNedeni: reason
+        },
+        config
+      );
+
+      return {
+        success: true,
+        message: 'E-İrsaliye cancelled successfully'
+      };
+    } catch (error) {
+      logger.error(`QNB Finans e-İrsaliye cancel error: ${error.message}`, {
+        providerId
+      });
+      return {
+        success: false,
+        message: `Failed to cancel e-İrsaliye: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create SOAP envelope with WS-Security authentication header
+   * @param {string} methodName - Connector method
+   * @param {Object} parameters - Method parameters
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {string} SOAP XML
+   */
+  createSOAPEnvelope(methodName, parameters, config) {
+    return this.xmlBuilder.buildObject({
+      'soapenv:Envelope': {
+        $: {
+          'xmlns:soapenv': QNBConfig.namespaces.soapEnv,
+          'xmlns:ser': QNBConfig.namespaces.connectorService
+        },
+        'soapenv:Header': {
+          'wsse:Security': {
+            $: { 'xmlns:wsse': QNBConfig.namespaces.wsse },
+            'wsse:UsernameToken': {
+              'wsse:Username': config.username,
+              'wsse:Password': config.password
+            }
+          }
+        },
+        'soapenv:Body': {
+          [`ser:${methodName}`]: parameters
+        }
+      }
+    });
+  }
+
+  /**
+   * Call a connector method
+   * @returns {Object} Content of the method's response element
+   */
+  async makeRequest(methodName, parameters, config) {
+    if (!config.username || !config.password) {
+      throw new Error('QNB Finans credentials not configured');
+    }
+
+    const soapXML = this.createSOAPEnvelope(methodName, parameters, config);
+
+    let response;
+    try {
+      response = await axios.post(this.getEndpoint(config), soapXML, {
+        headers: {
+          'Content-Type': 'text/xml; charset=utf-8',
+          SOAPAction: ''
+        },
+        timeout: QNBConfig.defaults.timeout
+      });
+    } catch (error) {
+      // Connector errors come back as SOAP faults with HTTP 500
+      if (error.response?.data) {
+        return this.parseSOAPResponse(
+          await this.xmlParser.parseStringPromise(error.response.data)
+        );
+      }
+      throw error;
+    }
+
+    return this.parseSOAPResponse(
+      await this.xmlParser.parseStringPromise(response.data)
+    );
+  }
+
+  /**
+   * Extract the response element from a SOAP envelope
+   * @param {Object} soapResponse - Parsed SOAP response, prefixes stripped
+   * @returns {Object} Response content
+   */
+  parseSOAPResponse(soapResponse) {
+    const body = soapResponse?.Envelope?.Body;
+    if (!body) {
+      throw new Error('Invalid SOAP response - no body found');
+    }
+
+    if (body.Fault) {
+      throw new Error(
+        body.Fault.faultstring || body.Fault.faultString || 'Unknown SOAP fault'
+      );
+    }
+
+    const [responseKey] = Object.keys(body).filter((key) => key !== '$');
+    if (!responseKey) {
+      throw new Error('Invalid SOAP response - no content found');
+    }
+
+    return body[responseKey] || {};
+  }
+}
+
+module.exports = EIrsaliyeService;
@@ -0,0 +1,233 @@
+/**
+ * UBL-TR DespatchAdvice Generator for QNB Finans e-İrsaliye
+ * Generates UBL 2.1 DespatchAdvice XML following the GİB e-İrsaliye guide
+ */
+
+const xml2js = require('xml2js');
+const config = require('../../shared/config/QNBConfig');
+const QNBHelpers = require('../../shared/utils/QNBHelpers');
+
+class DespatchAdviceGenerator {
+  constructor() {
+    this.xmlBuilder = new xml2js.Builder({
+      xmldec: { version: '1.0', encoding: 'UTF-8' }
+    });
+  }
+
+  /**
+   * Generate complete DespatchAdvice XML
+   * @param {Object} despatch - number, uuid, issueDate, orderReference,
+   *   supplier, customer, deliveryAddress, carrier, shipment, lines, notes
+   * @returns {string} UBL-TR DespatchAdvice XML string
+   */
+  generateDespatchAdviceUBL(despatch) {
+    const issueDate = despatch.issueDate || new Date();
+    const despatchDate = despatch.shipment?.despatchDate || issueDate;
+
+    const ublData = {
+      DespatchAdvice: {
+        $: {
+          xmlns: config.namespaces.despatchAdvice,
+          'xmlns:cac': config.namespaces.cac,
+          'xmlns:cbc': config.namespaces.cbc
+        },
+
+        // Document identification
+        'cbc:UBLVersionID': config.defaults.ublVersion,
+        'cbc:CustomizationID': config.defaults.despatchCustomizationId,
+        'cbc:ProfileID': config.defaults.despatchProfileId,
+        'cbc:ID': despatch.number,
+        'cbc:CopyIndicator': config.defaults.copyIndicator,
+        'cbc:UUID': despatch.uuid,
+        'cbc:IssueDate': QNBHelpers.formatDateForUBL(issueDate),
+        'cbc:IssueTime': QNBHelpers.formatTimeForUBL(issueDate),
+        'cbc:DespatchAdviceTypeCode': config.defaults.despatchTypeCode,
+        ...(despatch.notes?.length && { 'cbc:Note': despatch.notes }),
+        'cbc:LineCountNumeric': String(despatch.lines.length),
+
+        ...(despatch.orderReference && {
+          'cac:OrderReference': {
+            'cbc:ID': despatch.orderReference.id,
+            'cbc:IssueDate': QNBHelpers.formatDateForUBL(
+              despatch.orderReference.issueDate
+            )
+          }
+        }),
+
+        'cac:DespatchSupplierParty': {
+          'cac:Party': this.createParty(despatch.supplier),
+          'cac:DespatchContact': {
+            'cbc:Name': despatch.supplier.companyName
+          }
+        },
+
+        'cac:DeliveryCustomerParty': {
+          'cac:Party': this.createParty(despatch.customer)
+        },
+
+        'cac:Shipment': this.createShipment(despatch, despatchDate),
+
+        'cac:DespatchLine': this.createDespatchLines(despatch.lines)
+      }
+    };
+
+    return this.xmlBuilder.buildObject(ublData);
+  }
+
+  /**
+   * Create a party with VKN or TCKN identification
+   * @param {Object} party - companyName or name, taxNumber or identityNumber,
+   *   taxOffice, address, district, city, postalCode, phone, email
+   * @returns {Object} UBL party
+   */
+  createParty(party) {
+    const identification = party.taxNumber
+      ? { $: { schemeID: 'VKN' }, _: party.taxNumber }
+      : { $: { schemeID: 'TCKN' }, _: party.identityNumber };
+
+    const ublParty = {
+      'cac:PartyIdentification': {
+        'cbc:ID': identification
+      },
+      'cac:PartyName': {
+        'cbc:Name': party.companyName || party.name || ''
+      },
+      'cac:PostalAddress': this.createAddress(party)
+    };
+
+    if (party.taxOffice) {
+      ublParty['cac:PartyTaxScheme'] = {
+        'cac:TaxScheme': {
+          'cbc:Name': party.taxOffice
+        }
+      };
+    }
+
+    if (party.phone || party.email) {
+      ublParty['cac:Contact'] = {
+        ...(party.phone && { 'cbc:Telephone': party.phone }),
+        ...(party.email && { 'cbc:ElectronicMail': party.email })
+      };
+    }
+
+    // Individuals are identified by TCKN and need a Person element
+    if (!party.taxNumber) {
+      const [firstName, ...familyName] = (party.name || '').trim().split(/\s+/);
+      ublParty['cac:Person'] = {
+        'cbc:FirstName': firstName || '',
+        'cbc:FamilyName': familyName.join(' ') || firstName || ''
+      };
+    }
+
+    return ublParty;
+  }
+
+  /**
+   * @param {Object} address - address, district, city, postalCode
+   * @returns {Object} UBL postal address
+   */
+  createAddress(address) {
+    return {
+      'cbc:StreetName': address.address || '',
+      'cbc:CitySubdivisionName': address.district || address.city || '',
+      'cbc:CityName': address.city || '',
+      ...(address.postalCode && { 'cbc:PostalZone': address.postalCode }),
+      'cac:Country': {
+        'cbc:Name': config.defaults.countryName
+      }
+    };
+  }
+
+  /**
+   * Shipment section: the carrier company taking the goods, the delivery
+   * address and the actual despatch date
+   * @param {Object} despatch - Despatch data
+   * @param {Date} despatchDate - When the goods leave the warehouse
+   * @returns {Object} UBL shipment
+   */
+  createShipment(despatch, despatchDate) {
+    const { carrier, shipment = {} } = despatch;
+
+    const ublShipment = {
+      'cbc:ID': shipment.trackingNumber || despatch.number,
+      'cac:GoodsItem': {
+        'cbc:ValueAmount': {
+          $: { currencyID: config.defaults.currency },
+          _: QNBHelpers.formatCurrency(despatch.totalValue || 0)
+        }
+      }
+    };
+
+    // Own vehicles carry a plate and driver; cargo companies only need the
+    // carrier party below
+    if (shipment.plateNumber || shipment.driver) {
+      ublShipment['cac:ShipmentStage'] = {
+        ...(shipment.plateNumber && {
+          'cac:TransportMeans': {
+            'cac:RoadTransport': {
+              'cbc:LicensePlateID': {
+                $: { schemeID: 'PLAKA' },
+                _: shipment.plateNumber
+              }
+            }
+          }
+        }),
+        ...(shipment.driver && {
+          'cac:DriverPerson': {
+            'cbc:FirstName': shipment.driver.firstName,
+            'cbc:FamilyName': shipment.driver.familyName,
+            'cbc:NationalityID': shipment.driver.identityNumber
+          }
+        })
+      };
+    }
+
+    ublShipment['cac:Delivery'] = {
+      'cac:DeliveryAddress': this.createAddress(
+        despatch.deliveryAddress || despatch.customer
+      ),
+      'cac:CarrierParty': {
+        'cac:PartyIdentification': {
+          'cbc:ID': { $: { schemeID: 'VKN' }, _: carrier.taxNumber }
+        },
+        'cac:PartyName': {
+          'cbc:Name': carrier.name
+        },
+        'cac:PostalAddress': this.createAddress(carrier)
+      },
+      'cac:Despatch': {
+        'cbc:ActualDespatchDate': QNBHelpers.formatDateForUBL(despatchDate),
+        'cbc:ActualDespatchTime': QNBHelpers.formatTimeForUBL(despatchDate)
+      }
+    };
+
+    return ublShipment;
+  }
+
+  /**
+   * @param {Array} lines - name, sku, quantity, unitCode
+   * @returns {Array} UBL despatch lines
+   */
+  createDespatchLines(lines) {
+    return lines.map((line, index) => ({
+      'cbc:ID': String(index + 1),
+      'cbc:DeliveredQuantity': {
+        $: { unitCode: line.unitCode || 'C62' },
+        _: String(line.quantity)
+      },
+      'cac:OrderLineReference': {
+        'cbc:LineID': String(index + 1)
+      },
+      'cac:Item': {
+        'cbc:Name': line.name,
+        ...(line.sku && {
+          'cac:SellersItemIdentification': {
+            'cbc:ID': line.sku
+          }
+        })
+      }
+    }));
+  }
+}
+
+module.exports = DespatchAdviceGenerator;
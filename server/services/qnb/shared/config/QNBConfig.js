@@ -11,15 +11,40 @@ class QNBConfig {
         earsivService:
           'https://test-earsiv.qnbesolutions.com.tr/EarsivWebService?wsdl',
         userService:
-          'https://test-earsiv.qnbesolutions.com.tr/UserService?wsdl'
+          'https://test-earsiv.qnbesolutions.com.tr/UserService?wsdl',
+        connectorService:
+          'https://erpefaturatest2.qnbesolutions.com.tr/efatura/ws/connectorService'
       },
       production: {
         earsivService:
           'https://earsiv.qnbesolutions.com.tr/EarsivWebService?wsdl',
-        userService: 'https://earsiv.qnbesolutions.com.tr/UserService?wsdl'
+        userService: 'https://earsiv.qnbesolutions.com.tr/UserService?wsdl',
+        connectorService:
+          'https://erpefatura.qnbesolutions.com.tr/efatura/ws/connectorService'
       }
     };
 
+    // e-İrsaliye connector methods
+    this.eIrsaliyeMethods = {
+      send: 'belgeGonderExt',
+      query: 'gidenBelgeDurumSorgula',
+      cancel: 'gidenBelgeIptalEt'
+    };
+
+    // gidenBelgeDurumSorgula `durum` values
+    this.eIrsaliyeStatusCodes = {
+      1: 'processing',
+      2: 'failed',
+      3: 'sent'
+    };
+
+    // Receiver's İrsaliye Yanıtı (receipt advice), reported as `yanitDurumu`
+    this.eIrsaliyeResponseCodes = {
+      KABUL: 'accepted',
+      KISMI_KABUL: 'partially_accepted',
+      RED: 'rejected'
+    };
+
     // QNB Finans error codes from official documentation
     this.errorCodes = {
       AE00000: 'İşlem başarılı.',
@@ -93,8 +118,11 @@ class QNBConfig {
       soapEnv: 'http://schemas.xmlsoap.org/soap/envelope/',
       earsivService: 'http://service.earsiv.uut.cs.com.tr/',
       userService: 'http://service.user.cs.com.tr/',
+      connectorService: 'http://service.connector.cs.com.tr/',
       wsse: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd',
       ubl: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+      despatchAdvice:
+        'urn:oasis:names:specification:ubl:schema:xsd:DespatchAdvice-2',
       cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
       cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
     };
@@ -110,7 +138,11 @@ class QNBConfig {
       ublVersion: '2.1',
       customizationId: 'TR1.2',
       copyIndicator: 'false',
-      invoiceTypeCode: 'SATIS'
+      invoiceTypeCode: 'SATIS',
+      despatchCustomizationId: 'TR1.2.1',
+      despatchProfileId: 'TEMELIRSALIYE',
+      despatchTypeCode: 'SEVK',
+      despatchPrefix: 'IRS'
     };
   }
 
@@ -0,0 +1,294 @@
+const { Order, OrderItem, ShippingDetail, Shipment } = require('../models');
+const { Op } = require('sequelize');
+const EIrsaliyeService = require('./qnb/eirsaliye/EIrsaliyeService');
+const QNBConfig = require('./qnb/shared/config/QNBConfig');
+const QNBHelpers = require('./qnb/shared/utils/QNBHelpers');
+const qnbFinansService = require('./qnbFinansService');
+const logger = require('../utils/logger');
+
+// A despatch advice in these states exists at GİB and blocks a new one
+const ACTIVE_STATUSES = ['processing', 'sent', 'accepted', 'partially_accepted'];
+
+// The receiver has not answered yet, so the sender may still cancel
+const CANCELLABLE_STATUSES = ['processing', 'sent'];
+
+/**
+ * QNB e-İrsaliye Service
+ * Builds the despatch advice for a shipped B2B order, sends it through QNB
+ * Finans and keeps the document number and delivery status on the order
+ */
+class QNBEIrsaliyeService {
+  constructor() {
+    this.connector = new EIrsaliyeService();
+  }
+
+  /**
+   * Send the e-İrsaliye for an order
+   * @param {string} orderId
+   * @param {string} userId
+   * @param {Object} qnbConfig - User's QNB Finans configuration
+   * @param {Object} options - carrier {name, taxNumber, city}, plateNumber,
+   *   driver {firstName, familyName, identityNumber}, despatchDate,
+   *   receiverAlias, notes
+   * @returns {Promise<Object>} Serialized e-İrsaliye
+   */
+  async sendForOrder(orderId, userId, qnbConfig, options = {}) {
+    const order = await this.findOrder(orderId, userId);
+
+    if (ACTIVE_STATUSES.includes(order.eIrsaliyeStatus)) {
+      throw new Error('E-İrsaliye already sent for this order');
+    }
+    if (!order.items?.length) {
+      throw new Error('Order has no items to despatch');
+    }
+
+    const customer = this.buildCustomer(order);
+    if (!customer.taxNumber && !customer.identityNumber) {
+      throw new Error('Customer tax number or TCKN is required for e-İrsaliye');
+    }
+
+    const shipment = order.shipments?.[0];
+    const carrier = this.resolveCarrier(order, shipment, qnbConfig, options);
+
+    // A failed send never reached GİB, so its number and ETTN are reused
+    const reuse = order.eIrsaliyeStatus === 'failed' && order.eIrsaliyeNumber;
+    const number = reuse
+      ? order.eIrsaliyeNumber
+      : await this.nextNumber(userId, qnbConfig);
+    const uuid = (reuse && order.eIrsaliyeUuid) || QNBHelpers.generateUUID();
+
+    const result = await this.connector.sendDespatchAdvice(
+      {
+        number,
+        uuid,
+        issueDate: new Date(),
+        receiverAlias: options.receiverAlias,
+        orderReference: {
+          id: order.orderNumber,
+          issueDate: order.orderDate || order.createdAt
+        },
+        supplier: qnbConfig.companyInfo,
+        customer,
+        deliveryAddress: customer,
+        carrier,
+        shipment: {
+          trackingNumber: shipment?.trackingNumber,
+          despatchDate: options.despatchDate
+            ? new Date(options.despatchDate)
+            : shipment?.createdAt,
+          plateNumber: options.plateNumber,
+          driver: options.driver
+        },
+        lines: order.items.map((item) => ({
+          name: item.title,
+          sku: item.sku || item.barcode,
+          quantity: item.quantity
+        })),
+        notes: options.notes ? [options.notes] : [],
+        totalValue: order.totalAmount
+      },
+      qnbConfig
+    );
+
+    await order.update({
+      eIrsaliyeNumber: number,
+      eIrsaliyeUuid: uuid,
+      eIrsaliyeStatus: result.success ? 'processing' : 'failed',
+      eIrsaliyeProviderId: result.success ? result.data.providerId : null,
+      eIrsaliyeSentAt: result.success ? new Date() : null,
+      eIrsaliyeResponse: result.success ? null : { error: result.error }
+    });
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    logger.info(`E-İrsaliye ${number} sent for order ${order.orderNumber}`, {
+      orderId,
+      userId,
+      providerId: result.data.providerId
+    });
+
+    return this.serialize(order);
+  }
+
+  /**
+   * Refresh delivery status and receiver response from QNB Finans
+   */
+  async refreshStatus(orderId, userId, qnbConfig) {
+    const order = await this.findSentOrder(orderId, userId);
+
+    // Final states do not change any more
+    if (!['processing', 'sent'].includes(order.eIrsaliyeStatus)) {
+      return this.serialize(order);
+    }
+
+    const result = await this.connector.queryStatus(
+      order.eIrsaliyeProviderId,
+      qnbConfig
+    );
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await order.update({
+      eIrsaliyeStatus: result.data.status,
+      eIrsaliyeResponse: result.data.raw
+    });
+
+    return this.serialize(order);
+  }
+
+  /**
+   * Cancel an e-İrsaliye the receiver has not answered yet
+   */
+  async cancel(orderId, userId, qnbConfig, reason) {
+    const order = await this.findSentOrder(orderId, userId);
+
+    if (!CANCELLABLE_STATUSES.includes(order.eIrsaliyeStatus)) {
+      throw new Error('E-İrsaliye cannot be cancelled');
+    }
+
+    const result = await this.connector.cancelDespatchAdvice(
+      order.eIrsaliyeProviderId,
+      qnbConfig,
+      reason
+    );
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await order.update({ eIrsaliyeStatus: 'cancelled' });
+
+    logger.info(`E-İrsaliye ${order.eIrsaliyeNumber} cancelled`, {
+      orderId,
+      userId
+    });
+
+    return this.serialize(order);
+  }
+
+  async findOrder(orderId, userId) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [
+        { model: OrderItem, as: 'items' },
+        { model: ShippingDetail, as: 'shippingDetail', required: false },
+        {
+          model: Shipment,
+          as: 'shipments',
+          required: false,
+          where: { status: { [Op.ne]: 'cancelled' } }
+        }
+      ],
+      order: [[{ model: Shipment, as: 'shipments' }, 'createdAt', 'DESC']]
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  async findSentOrder(orderId, userId) {
+    const order = await Order.findOne({ where: { id: orderId, userId } });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!order.eIrsaliyeProviderId) {
+      throw new Error('E-İrsaliye not sent for this order');
+    }
+
+    return order;
+  }
+
+  /**
+   * Receiver party from the order's invoice details and delivery address
+   */
+  buildCustomer(order) {
+    const detail = order.shippingDetail;
+    const address = order.shippingAddress || {};
+    const taxNumber = qnbFinansService.getCustomerTaxNumber(order);
+
+    return {
+      ...(taxNumber
+        ? { companyName: qnbFinansService.getCustomerName(order), taxNumber }
+        : {
+          identityNumber:
+              qnbFinansService.getCustomerTCKN(order) || order.identityNumber
+        }),
+      name: detail?.recipientName || order.customerName || '',
+      address: detail?.address || address.address1 || address.address || '',
+      district: detail?.state || address.district || '',
+      city: detail?.city || address.city || '',
+      postalCode: detail?.postalCode || address.postalCode || '',
+      phone: detail?.phone || address.phone || order.customerPhone || '',
+      email: detail?.email || order.customerEmail || ''
+    };
+  }
+
+  /**
+   * The carrier named on the despatch advice. Cargo companies come from the
+   * request or from the `carriers` map in the QNB Finans settings, keyed by
+   * carrier code; goods taken in the sender's own vehicle name the sender.
+   */
+  resolveCarrier(order, shipment, qnbConfig, options) {
+    const carrierCode = (
+      shipment?.carrierCode ||
+      order.shippingCarrierCode ||
+      ''
+    ).toLowerCase();
+    const carrier = options.carrier || qnbConfig.carriers?.[carrierCode];
+
+    if (carrier?.taxNumber) {
+      return carrier;
+    }
+    if (options.plateNumber && options.driver) {
+      return {
+        name: qnbConfig.companyInfo.companyName,
+        taxNumber: qnbConfig.companyInfo.taxNumber,
+        address: qnbConfig.companyInfo.address,
+        city: qnbConfig.companyInfo.city
+      };
+    }
+
+    throw new Error('Carrier tax number is required for e-İrsaliye');
+  }
+
+  /**
+   * Next number in the GİB format: 3-character prefix, year, 9-digit
+   * sequence, e.g. IRS2026000000001
+   */
+  async nextNumber(userId, qnbConfig) {
+    const prefix = (
+      qnbConfig.eIrsaliyePrefix || QNBConfig.defaults.despatchPrefix
+    ).toUpperCase();
+    const base = `${prefix}${new Date().getFullYear()}`;
+
+    const last = await Order.findOne({
+      where: { userId, eIrsaliyeNumber: { [Op.like]: `${base}%` } },
+      attributes: ['eIrsaliyeNumber'],
+      order: [['eIrsaliyeNumber', 'DESC']]
+    });
+    const sequence = last ? parseInt(last.eIrsaliyeNumber.slice(base.length)) : 0;
+
+    return `${base}${String(sequence + 1).padStart(9, '0')}`;
+  }
+
+  serialize(order) {
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      number: order.eIrsaliyeNumber,
+      uuid: order.eIrsaliyeUuid,
+      status: order.eIrsaliyeStatus,
+      providerId: order.eIrsaliyeProviderId,
+      sentAt: order.eIrsaliyeSentAt,
+      response: order.eIrsaliyeResponse
+    };
+  }
+}
+
+module.exports = new QNBEIrsaliyeService();
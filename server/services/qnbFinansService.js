@@ -666,6 +666,272 @@ class QNBFinansService {
     }
   }
 
+  /**
+   * Create a return invoice (iade faturası) using QNB Finans API
+   * (faturaOlustur) with WS-Security. Returns after the cancellation window
+   * of the original invoice are documented this way instead of faturaIptalEt.
+   * @param {Object} creditNote - Credit note with lines, uuid and the
+   *   original invoice reference
+   * @param {Object} order - Order the original invoice was issued for
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {Object} - Return invoice creation result
+   */
+  async iadeFaturasiOlustur(creditNote, order, config) {
+    try {
+      if (!config.username || !config.password) {
+        return {
+          success: false,
+          message: 'QNB Finans credentials not configured',
+          error: 'MISSING_CREDENTIALS'
+        };
+      }
+
+      const inputData = {
+        donenBelgeFormati: 3, // PDF format
+        islemId: Date.now().toString(),
+        vkn: config.companyInfo?.taxNumber || '',
+        sube: '000000',
+        kasa: '0000',
+        numaraVerilsinMi: 1, // Generate number automatically
+        gzip: 0 // No compression
+      };
+
+      const ublInvoiceData = this.createUBLCreditNoteData(
+        creditNote,
+        order,
+        config
+      );
+
+      const bodyContent = {
+        'ser:faturaOlustur': {
+          input: JSON.stringify(inputData),
+          fatura: {
+            belgeFormati: 0, // UBL format
+            belgeIcerigi: Buffer.from(ublInvoiceData).toString('base64')
+          }
+        }
+      };
+
+      const soapXML = this.createSOAPEnvelope(bodyContent, config);
+      const response = await this.makeSOAPRequest(soapXML, config);
+
+      if (response.success) {
+        return {
+          success: true,
+          message: 'Return invoice created successfully',
+          data: {
+            invoiceNumber: response.resultExtra?.faturaNo,
+            invoiceId: response.resultExtra?.uuid || creditNote.uuid,
+            pdfUrl: response.resultExtra?.faturaURL,
+            pdfData: response.output || null,
+            status: 'CREATED',
+            transactionId: inputData.islemId
+          }
+        };
+      } else {
+        throw new Error(
+          response.resultText || 'Failed to create return invoice'
+        );
+      }
+    } catch (error) {
+      logger.error(`QNB Finans return invoice error: ${error.message}`, {
+        error,
+        orderId: order.id
+      });
+
+      return {
+        success: false,
+        message: `Failed to create return invoice: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create UBL return invoice data for QNB Finans. Uses the IADE invoice
+   * type and references the original invoice in BillingReference; e-Fatura
+   * returns must use the TEMELFATURA profile.
+   * @param {Object} creditNote - Credit note with lines and totals
+   * @param {Object} order - Order object
+   * @param {Object} config - Configuration
+   * @returns {string} UBL XML string
+   */
+  createUBLCreditNoteData(creditNote, order, config) {
+    const invoiceDate = new Date().toISOString().split('T')[0];
+    const invoiceTime = new Date().toISOString().split('T')[1].split('.')[0];
+    const currency = creditNote.currency || 'TRY';
+    const amount = (value) => ({
+      $: { currencyID: currency },
+      _: Number(value).toFixed(2)
+    });
+
+    const taxByRate = {};
+    creditNote.lines.forEach((line) => {
+      const subtotal = taxByRate[line.taxRate] || {
+        taxRate: line.taxRate,
+        taxableAmount: 0,
+        taxAmount: 0
+      };
+      subtotal.taxableAmount += line.lineTotal;
+      subtotal.taxAmount += line.taxAmount;
+      taxByRate[line.taxRate] = subtotal;
+    });
+
+    const customerTaxNumber = this.getCustomerTaxNumber(order);
+    const customerIdentification = customerTaxNumber
+      ? { $: { schemeID: 'VKN' }, _: customerTaxNumber }
+      : {
+        $: { schemeID: 'TCKN' },
+        _: this.getCustomerTCKN(order) || order.identityNumber || '11111111111'
+      };
+
+    const ublData = {
+      Invoice: {
+        $: {
+          xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+          'xmlns:cac':
+            'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+          'xmlns:cbc':
+            'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+        },
+        'cbc:UBLVersionID': '2.1',
+        'cbc:CustomizationID': 'TR1.2',
+        'cbc:ProfileID':
+          creditNote.documentType === 'efatura' ? 'TEMELFATURA' : 'EARSIVFATURA',
+        'cbc:ID': creditNote.creditNoteNumber || 'TEMP',
+        'cbc:CopyIndicator': 'false',
+        'cbc:UUID': creditNote.uuid,
+        'cbc:IssueDate': invoiceDate,
+        'cbc:IssueTime': invoiceTime,
+        'cbc:InvoiceTypeCode': 'IADE',
+        ...(creditNote.reason && { 'cbc:Note': creditNote.reason }),
+        'cbc:DocumentCurrencyCode': currency,
+        'cbc:LineCountNumeric': creditNote.lines.length.toString(),
+
+        // Original invoice being returned
+        'cac:BillingReference': {
+          'cac:InvoiceDocumentReference': {
+            'cbc:ID': creditNote.originalInvoiceNumber,
+            'cbc:IssueDate': new Date(
+              creditNote.originalInvoiceDate || order.invoiceDate || Date.now()
+            )
+              .toISOString()
+              .split('T')[0]
+          }
+        },
+
+        // Supplier Party (Company)
+        'cac:AccountingSupplierParty': {
+          'cac:Party': {
+            'cac:PartyIdentification': {
+              'cbc:ID': {
+                $: { schemeID: 'VKN' },
+                _: config.companyInfo?.taxNumber || ''
+              }
+            },
+            'cac:PartyName': {
+              'cbc:Name': config.companyInfo?.companyName || ''
+            },
+            'cac:PostalAddress': {
+              'cbc:StreetName': config.companyInfo?.address || '',
+              'cbc:CityName': config.companyInfo?.city || '',
+              'cbc:PostalZone': config.companyInfo?.postalCode || '',
+              'cac:Country': {
+                'cbc:Name': 'Türkiye'
+              }
+            },
+            'cac:PartyTaxScheme': {
+              'cac:TaxScheme': {
+                'cbc:Name': config.companyInfo?.taxOffice || ''
+              }
+            }
+          }
+        },
+
+        // Customer Party
+        'cac:AccountingCustomerParty': {
+          'cac:Party': {
+            'cac:PartyIdentification': {
+              'cbc:ID': customerIdentification
+            },
+            'cac:PartyName': {
+              'cbc:Name': this.getCustomerName(order)
+            },
+            'cac:PostalAddress': {
+              'cbc:StreetName': this.getShippingAddress(order),
+              'cbc:CityName': this.getShippingCity(order),
+              'cbc:PostalZone': this.getShippingPostalCode(order),
+              'cac:Country': {
+                'cbc:Name': 'Türkiye'
+              }
+            }
+          }
+        },
+
+        // Tax Total, one subtotal per VAT rate
+        'cac:TaxTotal': {
+          'cbc:TaxAmount': amount(creditNote.taxTotal),
+          'cac:TaxSubtotal': Object.values(taxByRate).map((subtotal) => ({
+            'cbc:TaxableAmount': amount(subtotal.taxableAmount),
+            'cbc:TaxAmount': amount(subtotal.taxAmount),
+            'cbc:Percent': (subtotal.taxRate * 100).toString(),
+            'cac:TaxCategory': {
+              'cac:TaxScheme': {
+                'cbc:Name': 'KDV',
+                'cbc:TaxTypeCode': '0015'
+              }
+            }
+          }))
+        },
+
+        // Legal Monetary Total
+        'cac:LegalMonetaryTotal': {
+          'cbc:LineExtensionAmount': amount(creditNote.subtotal),
+          'cbc:TaxExclusiveAmount': amount(creditNote.subtotal),
+          'cbc:TaxInclusiveAmount': amount(creditNote.totalAmount),
+          'cbc:PayableAmount': amount(creditNote.totalAmount)
+        },
+
+        // Returned items
+        'cac:InvoiceLine': creditNote.lines.map((line, index) => ({
+          'cbc:ID': (index + 1).toString(),
+          'cbc:InvoicedQuantity': {
+            $: { unitCode: 'NIU' },
+            _: line.quantity.toString()
+          },
+          'cbc:LineExtensionAmount': amount(line.lineTotal),
+          'cac:TaxTotal': {
+            'cbc:TaxAmount': amount(line.taxAmount),
+            'cac:TaxSubtotal': {
+              'cbc:TaxableAmount': amount(line.lineTotal),
+              'cbc:TaxAmount': amount(line.taxAmount),
+              'cbc:Percent': (line.taxRate * 100).toString(),
+              'cac:TaxCategory': {
+                'cac:TaxScheme': {
+                  'cbc:Name': 'KDV',
+                  'cbc:TaxTypeCode': '0015'
+                }
+              }
+            }
+          },
+          'cac:Item': {
+            'cbc:Name': line.title || '',
+            ...(line.sku && {
+              'cac:SellersItemIdentification': {
+                'cbc:ID': line.sku
+              }
+            })
+          },
+          'cac:Price': {
+            'cbc:PriceAmount': amount(line.unitPrice)
+          }
+        }))
+      }
+    };
+
+    return this.xmlBuilder.buildObject(ublData);
+  }
+
   /**
    * Create UBL invoice data for QNB Finans
    * @param {Object} order - Order object
@@ -0,0 +1,626 @@
+const {
+  Return,
+  ReturnItem,
+  Order,
+  OrderItem,
+  PlatformConnection,
+  Product,
+  ProductVariant,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const PlatformServiceFactory = require('../modules/order-management/services/platforms/platformServiceFactory');
+const advancedInventoryService = require('./advanced-inventory-service');
+const stockAllocationService = require('./stock-allocation-service');
+const logger = require('../utils/logger');
+
+const CLAIM_PLATFORMS = ['trendyol', 'hepsiburada', 'n11'];
+
+// Order status to set when a return reaches a given state
+const ORDER_STATUS_BY_RETURN_STATUS = {
+  pending: 'claim_created',
+  approved: 'claim_approved',
+  rejected: 'claim_rejected'
+};
+
+/**
+ * Returns Service
+ * Syncs marketplace claims into Return/ReturnItem records and resolves them,
+ * restocking approved items through inventory movements
+ */
+class ReturnsService {
+  /**
+   * Pull claims from every active claim-capable connection of the user
+   * @param {string} userId
+   * @param {Object} options - connectionId to limit the sync, plus fetch params
+   * @returns {Promise<Object>} Per-connection sync summary
+   */
+  async syncClaims(userId, options = {}) {
+    const { connectionId, ...fetchParams } = options;
+    const where = {
+      userId,
+      isActive: true,
+      platformType: { [Op.in]: CLAIM_PLATFORMS }
+    };
+
+    if (connectionId) {
+      where.id = connectionId;
+    }
+
+    const connections = await PlatformConnection.findAll({ where });
+    const summary = { created: 0, updated: 0, failed: 0, connections: [] };
+
+    for (const connection of connections) {
+      const connectionSummary = {
+        connectionId: connection.id,
+        platformType: connection.platformType,
+        created: 0,
+        updated: 0,
+        success: true
+      };
+
+      try {
+        const platformService = PlatformServiceFactory.createService(
+          connection.platformType,
+          connection.id
+        );
+        const result = await platformService.fetchClaims(fetchParams);
+
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+
+        for (const claim of result.data) {
+          const { created } = await this.upsertClaim(userId, connection, claim);
+          if (created) {
+            connectionSummary.created++;
+          } else {
+            connectionSummary.updated++;
+          }
+        }
+      } catch (error) {
+        logger.error(
+          `Failed to sync claims for connection ${connection.id}: ${error.message}`,
+          { connectionId: connection.id, platformType: connection.platformType }
+        );
+        connectionSummary.success = false;
+        connectionSummary.error = error.message;
+        summary.failed++;
+      }
+
+      summary.created += connectionSummary.created;
+      summary.updated += connectionSummary.updated;
+      summary.connections.push(connectionSummary);
+    }
+
+    logger.info('Claim sync completed', {
+      userId,
+      created: summary.created,
+      updated: summary.updated,
+      failedConnections: summary.failed
+    });
+
+    return summary;
+  }
+
+  /**
+   * Create or update a Return from a normalized platform claim
+   */
+  async upsertClaim(userId, connection, claim) {
+    return sequelize.transaction(async (transaction) => {
+      const order = claim.orderNumber
+        ? await Order.findOne({
+          where: {
+            connectionId: connection.id,
+            [Op.or]: [
+              { externalOrderId: claim.orderNumber },
+              { orderNumber: claim.orderNumber }
+            ]
+          },
+          include: [{ model: OrderItem, as: 'items' }],
+          transaction
+        })
+        : null;
+
+      let returnRecord = await Return.findOne({
+        where: {
+          connectionId: connection.id,
+          platformClaimId: claim.platformClaimId
+        },
+        transaction
+      });
+      const created = !returnRecord;
+
+      const fields = {
+        orderId: order ? order.id : null,
+        orderNumber: claim.orderNumber,
+        platformStatus: claim.platformStatus,
+        reason: claim.reason,
+        customerNote: claim.customerNote,
+        claimDate: claim.claimDate,
+        cargoProvider: claim.cargoProvider,
+        cargoTrackingNumber: claim.cargoTrackingNumber,
+        lastSyncedAt: new Date(),
+        rawData: claim.rawData
+      };
+
+      if (created) {
+        returnRecord = await Return.create(
+          {
+            ...fields,
+            userId,
+            connectionId: connection.id,
+            platformType: connection.platformType,
+            platformClaimId: claim.platformClaimId,
+            status: claim.status
+          },
+          { transaction }
+        );
+      } else {
+        // Keep locally resolved status until the marketplace reports a change
+        if (claim.status !== 'pending' || returnRecord.status === 'pending') {
+          fields.status = claim.status;
+        }
+        await returnRecord.update(fields, { transaction });
+      }
+
+      for (const item of claim.items) {
+        const orderItem = this.matchOrderItem(order, item);
+        const [returnItem, itemCreated] = await ReturnItem.findOrCreate({
+          where: {
+            returnId: returnRecord.id,
+            platformClaimItemId: item.platformClaimItemId
+          },
+          defaults: {
+            orderItemId: orderItem ? orderItem.id : null,
+            sku: item.sku || orderItem?.sku,
+            barcode: item.barcode || orderItem?.barcode,
+            title: item.title || orderItem?.title,
+            quantity: item.quantity,
+            reason: item.reason,
+            status: item.status,
+            platformStatus: item.platformStatus
+          },
+          transaction
+        });
+
+        if (!itemCreated) {
+          await returnItem.update(
+            {
+              orderItemId: returnItem.orderItemId || orderItem?.id || null,
+              platformStatus: item.platformStatus,
+              ...(item.status !== 'pending' ? { status: item.status } : {})
+            },
+            { transaction }
+          );
+        }
+      }
+
+      if (order && ORDER_STATUS_BY_RETURN_STATUS[returnRecord.status]) {
+        await order.update(
+          { orderStatus: ORDER_STATUS_BY_RETURN_STATUS[returnRecord.status] },
+          { transaction }
+        );
+      }
+
+      return { returnRecord, created };
+    });
+  }
+
+  /**
+   * Find the order line a claim item refers to by barcode, then SKU
+   */
+  matchOrderItem(order, item) {
+    if (!order || !Array.isArray(order.items)) {
+      return null;
+    }
+
+    return (
+      order.items.find(
+        (orderItem) => item.barcode && orderItem.barcode === item.barcode
+      ) ||
+      order.items.find((orderItem) => item.sku && orderItem.sku === item.sku) ||
+      null
+    );
+  }
+
+  /**
+   * List returns for the returns queue
+   */
+  async getReturns(userId, params = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      platformType,
+      search
+    } = params;
+    const where = { userId };
+
+    if (status && status !== 'all') {
+      where.status = status;
+    }
+
+    if (platformType && platformType !== 'all') {
+      where.platformType = platformType;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { orderNumber: { [Op.iLike]: `%${search}%` } },
+        { platformClaimId: { [Op.iLike]: `%${search}%` } },
+        { cargoTrackingNumber: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const offset = (page - 1) * limit;
+    const { count, rows } = await Return.findAndCountAll({
+      where,
+      include: [
+        { model: ReturnItem, as: 'items' },
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'orderNumber', 'customerName', 'orderStatus']
+        },
+        {
+          model: PlatformConnection,
+          as: 'platformConnection',
+          attributes: ['id', 'name', 'platformType']
+        }
+      ],
+      order: [['claimDate', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    return {
+      returns: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a single return with its items
+   */
+  async getReturnById(returnId, userId) {
+    return Return.findOne({
+      where: { id: returnId, userId },
+      include: [
+        {
+          model: ReturnItem,
+          as: 'items',
+          include: [{ model: OrderItem, as: 'orderItem' }]
+        },
+        { model: Order, as: 'order' },
+        {
+          model: PlatformConnection,
+          as: 'platformConnection',
+          attributes: ['id', 'name', 'platformType']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Approve a pending return on the marketplace and optionally restock it
+   * @param {string} returnId
+   * @param {string} userId
+   * @param {Object} options - itemIds (ReturnItem IDs, default all pending), restock
+   */
+  async approveReturn(returnId, userId, options = {}) {
+    const { itemIds, restock = true } = options;
+    const returnRecord = await this.getPendingReturn(returnId, userId);
+    const items = this.selectItems(returnRecord, itemIds);
+
+    const platformService = PlatformServiceFactory.createService(
+      returnRecord.platformType,
+      returnRecord.connectionId
+    );
+    const result = await platformService.approveClaim(
+      returnRecord.platformClaimId,
+      items.map((item) => item.platformClaimItemId)
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const item of items) {
+        await item.update({ status: 'approved' }, { transaction });
+      }
+
+      await this.refreshReturnStatus(returnRecord, userId, transaction);
+    });
+
+    let restockResult = null;
+    if (restock) {
+      restockResult = await this.restockReturn(returnRecord, userId, items);
+    }
+
+    logger.info('Return approved', {
+      returnId,
+      userId,
+      platformType: returnRecord.platformType,
+      itemCount: items.length,
+      restocked: restockResult?.restocked || 0
+    });
+
+    return {
+      returnRecord: await this.getReturnById(returnId, userId),
+      restock: restockResult
+    };
+  }
+
+  /**
+   * Reject a pending return on the marketplace with a reason
+   * @param {string} returnId
+   * @param {string} userId
+   * @param {Object} options - reason (required), reasonCode, itemIds
+   */
+  async rejectReturn(returnId, userId, options = {}) {
+    const { reason, reasonCode, itemIds } = options;
+
+    if (!reason || !reason.trim()) {
+      throw new Error('A rejection reason is required');
+    }
+
+    const returnRecord = await this.getPendingReturn(returnId, userId);
+    const items = this.selectItems(returnRecord, itemIds);
+
+    const platformService = PlatformServiceFactory.createService(
+      returnRecord.platformType,
+      returnRecord.connectionId
+    );
+    const result = await platformService.rejectClaim(
+      returnRecord.platformClaimId,
+      items.map((item) => item.platformClaimItemId),
+      { reasonCode, description: reason }
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const item of items) {
+        await item.update({ status: 'rejected' }, { transaction });
+      }
+
+      await returnRecord.update(
+        { rejectionReason: reason, rejectionReasonCode: reasonCode || null },
+        { transaction }
+      );
+
+      await this.refreshReturnStatus(returnRecord, userId, transaction);
+    });
+
+    logger.info('Return rejected', {
+      returnId,
+      userId,
+      platformType: returnRecord.platformType,
+      reasonCode,
+      itemCount: items.length
+    });
+
+    return { returnRecord: await this.getReturnById(returnId, userId) };
+  }
+
+  /**
+   * Put approved, not yet restocked items back into stock via RETURN movements
+   */
+  async restockReturn(returnRecord, userId, items) {
+    const outcome = { restocked: 0, skipped: [] };
+    // Returned units go back to the default warehouse when warehouses are used
+    const restockWarehouseId =
+      await stockAllocationService.getDefaultWarehouseId(userId);
+
+    for (const item of items) {
+      const quantity = item.quantity - item.restockedQuantity;
+      const sku = item.sku || item.barcode;
+
+      if (quantity <= 0) {
+        continue;
+      }
+
+      if (!sku) {
+        outcome.skipped.push({ itemId: item.id, reason: 'No SKU on item' });
+        continue;
+      }
+
+      try {
+        const target = await this.findRestockTarget(item, sku, userId);
+        if (!target) {
+          outcome.skipped.push({
+            itemId: item.id,
+            sku,
+            reason: 'No matching product in your catalogue'
+          });
+          continue;
+        }
+
+        await sequelize.transaction(async (transaction) => {
+          await advancedInventoryService.recordMovement(
+            {
+              ...target,
+              sku,
+              movementType: 'RETURN',
+              quantity,
+              reason: `Return ${returnRecord.platformClaimId} approved (${returnRecord.platformType})`,
+              userId,
+              referenceId: returnRecord.id,
+              referenceType: 'return',
+              warehouseId: restockWarehouseId,
+              metadata: {
+                platformType: returnRecord.platformType,
+                platformClaimId: returnRecord.platformClaimId,
+                orderNumber: returnRecord.orderNumber,
+                returnItemId: item.id
+              }
+            },
+            { transaction }
+          );
+
+          await item.update(
+            { restockedQuantity: item.restockedQuantity + quantity },
+            { transaction }
+          );
+        });
+
+        outcome.restocked += quantity;
+      } catch (error) {
+        logger.warn(`Could not restock return item ${item.id}: ${error.message}`, {
+          returnId: returnRecord.id,
+          sku
+        });
+        outcome.skipped.push({ itemId: item.id, sku, reason: error.message });
+      }
+    }
+
+    if (outcome.restocked > 0) {
+      await returnRecord.update({ restocked: true, restockedAt: new Date() });
+    }
+
+    return outcome;
+  }
+
+  /**
+   * The user's product (and variant) a returned item goes back into: the
+   * product linked to its order item, otherwise a match on SKU. Never looked
+   * up by SKU alone, which may match another account's catalogue.
+   * @returns {Promise<{productId: string, variantId?: string}|null>}
+   */
+  async findRestockTarget(item, sku, userId) {
+    if (item.orderItemId) {
+      const orderItem = await OrderItem.findByPk(item.orderItemId, {
+        attributes: ['productId']
+      });
+      if (orderItem?.productId) {
+        const product = await Product.findOne({
+          where: { id: orderItem.productId, userId },
+          attributes: ['id']
+        });
+        if (product) {
+          return { productId: product.id };
+        }
+      }
+    }
+
+    const variant = await ProductVariant.findOne({
+      where: { sku },
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          where: { userId },
+          attributes: []
+        }
+      ]
+    });
+    if (variant) {
+      return { productId: variant.productId, variantId: variant.id };
+    }
+
+    const product = await Product.findOne({
+      where: { sku, userId },
+      attributes: ['id']
+    });
+    return product ? { productId: product.id } : null;
+  }
+
+  /**
+   * Rejection reasons a marketplace accepts; empty when free text is enough
+   */
+  async getRejectionReasons(userId, connectionId) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: connectionId, userId }
+    });
+
+    if (!connection) {
+      throw new Error('Platform connection not found');
+    }
+
+    const platformService = PlatformServiceFactory.createService(
+      connection.platformType,
+      connection.id
+    );
+
+    if (typeof platformService.getClaimRejectionReasons !== 'function') {
+      return [];
+    }
+
+    const result = await platformService.getClaimRejectionReasons();
+    return result.success ? result.data : [];
+  }
+
+  async getPendingReturn(returnId, userId) {
+    const returnRecord = await Return.findOne({
+      where: { id: returnId, userId },
+      include: [{ model: ReturnItem, as: 'items' }]
+    });
+
+    if (!returnRecord) {
+      throw new Error('Return not found');
+    }
+
+    if (returnRecord.status !== 'pending') {
+      throw new Error(`Return is already ${returnRecord.status}`);
+    }
+
+    return returnRecord;
+  }
+
+  selectItems(returnRecord, itemIds) {
+    const pendingItems = returnRecord.items.filter(
+      (item) => item.status === 'pending'
+    );
+    const items = Array.isArray(itemIds) && itemIds.length > 0
+      ? pendingItems.filter((item) => itemIds.includes(item.id))
+      : pendingItems;
+
+    if (items.length === 0) {
+      throw new Error('No pending items selected');
+    }
+
+    return items;
+  }
+
+  /**
+   * Derive the return status from its items and mirror it onto the order
+   */
+  async refreshReturnStatus(returnRecord, userId, transaction) {
+    const items = await ReturnItem.findAll({
+      where: { returnId: returnRecord.id },
+      transaction
+    });
+    const statuses = new Set(items.map((item) => item.status));
+
+    // Stay pending while any line still awaits a decision
+    if (statuses.has('pending')) {
+      return;
+    }
+
+    const status = statuses.has('approved') ? 'approved' : 'rejected';
+
+    await returnRecord.update(
+      { status, resolvedAt: new Date(), resolvedBy: userId },
+      { transaction }
+    );
+
+    if (returnRecord.orderId) {
+      await Order.update(
+        { orderStatus: ORDER_STATUS_BY_RETURN_STATUS[status] },
+        { where: { id: returnRecord.orderId }, transaction }
+      );
+    }
+  }
+}
+
+module.exports = new ReturnsService();
@@ -0,0 +1,393 @@
+const {
+  Shipment,
+  ShipmentManifest,
+  Order,
+  ShippingDetail,
+  User
+} = require('../models');
+const { Op } = require('sequelize');
+const shippingFactory = require('../modules/public/shipping/ShippingServiceFactory');
+const shipmentService = require('./shipment-service');
+const BulkPDFGenerator = require('./bulkPDFGenerator');
+const logger = require('../utils/logger');
+
+// Labelled shipments the courier has not picked up yet
+const PENDING_WHERE = { status: 'created', manifestId: null };
+
+/**
+ * Shipment Manifest Service
+ * Locks the day's labelled shipments into one handover list per carrier,
+ * submits it to carriers that have a close-out API and renders the PDF the
+ * courier signs at pickup
+ */
+class ShipmentManifestService {
+  /**
+   * Shipments waiting for a manifest, counted per carrier
+   */
+  async getPending(userId) {
+    const rows = await Shipment.findAll({
+      where: { userId, ...PENDING_WHERE },
+      attributes: ['carrierCode', 'weight'],
+      raw: true
+    });
+
+    const byCarrier = new Map();
+    rows.forEach((row) => {
+      const entry = byCarrier.get(row.carrierCode) || {
+        carrier: row.carrierCode,
+        carrierName: this.getCarrierName(row.carrierCode),
+        shipmentCount: 0,
+        totalWeight: 0
+      };
+      entry.shipmentCount++;
+      entry.totalWeight += parseFloat(row.weight) || 0;
+      byCarrier.set(row.carrierCode, entry);
+    });
+
+    return Array.from(byCarrier.values()).map((entry) => ({
+      ...entry,
+      totalWeight: Math.round(entry.totalWeight * 1000) / 1000
+    }));
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} params - carrier, from, to, page, limit
+   */
+  async getManifests(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    const where = { userId };
+    if (params.carrier) {
+      where.carrierCode = String(params.carrier).toLowerCase();
+    }
+    if (params.from || params.to) {
+      where.manifestDate = {};
+      if (params.from) {
+        where.manifestDate[Op.gte] = params.from;
+      }
+      if (params.to) {
+        where.manifestDate[Op.lte] = params.to;
+      }
+    }
+
+    const { count, rows } = await ShipmentManifest.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      manifests: rows.map((manifest) => this.serialize(manifest)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async getManifest(manifestId, userId) {
+    const manifest = await ShipmentManifest.findOne({
+      where: { id: manifestId, userId },
+      include: [
+        {
+          model: Shipment,
+          as: 'shipments',
+          include: this.shipmentIncludes()
+        }
+      ],
+      order: [[{ model: Shipment, as: 'shipments' }, 'createdAt', 'ASC']]
+    });
+
+    if (!manifest) {
+      throw new Error('Manifest not found');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Close one manifest per carrier over the shipments waiting for pickup.
+   * Shipments are locked by setting their manifestId only while still
+   * unassigned, so labels created while a manifest is being closed stay
+   * pending and go into the next one.
+   * @param {string} userId
+   * @param {Object} options - carrier (only close this carrier),
+   *   credentials (keyed by carrier code)
+   * @returns {Promise<Array>} Created manifests
+   */
+  async closeManifests(userId, options = {}) {
+    const carrierCode = options.carrier
+      ? String(options.carrier).toLowerCase()
+      : null;
+
+    const where = { userId, ...PENDING_WHERE };
+    if (carrierCode) {
+      where.carrierCode = carrierCode;
+    }
+
+    const pending = await Shipment.findAll({
+      where,
+      attributes: ['id', 'carrierCode'],
+      order: [['createdAt', 'ASC']],
+      raw: true
+    });
+
+    if (pending.length === 0) {
+      throw new Error('No shipments waiting for a manifest');
+    }
+
+    const idsByCarrier = new Map();
+    pending.forEach((shipment) => {
+      const ids = idsByCarrier.get(shipment.carrierCode) || [];
+      ids.push(shipment.id);
+      idsByCarrier.set(shipment.carrierCode, ids);
+    });
+
+    const manifests = [];
+    for (const [code, shipmentIds] of idsByCarrier) {
+      const manifest = await this.createManifest(userId, code, shipmentIds);
+      if (!manifest) {
+        continue;
+      }
+      await this.submitCloseOut(manifest, options.credentials);
+      manifests.push(this.serialize(manifest));
+    }
+
+    if (manifests.length === 0) {
+      throw new Error('No shipments waiting for a manifest');
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Create a manifest and lock the given shipments into it. Shipments that
+   * were cancelled or assigned in the meantime are skipped.
+   * @returns {Promise<Object|null>} Manifest, or null if none were left
+   */
+  async createManifest(userId, carrierCode, shipmentIds) {
+    return ShipmentManifest.sequelize.transaction(async (transaction) => {
+      const manifestDate = this.formatDate(new Date());
+      const sameDayCount = await ShipmentManifest.count({
+        where: { userId, carrierCode, manifestDate },
+        transaction
+      });
+
+      const manifest = await ShipmentManifest.create(
+        {
+          userId,
+          carrierCode,
+          manifestDate,
+          manifestNumber: this.buildManifestNumber(
+            carrierCode,
+            manifestDate,
+            sameDayCount + 1
+          )
+        },
+        { transaction }
+      );
+
+      const [lockedCount] = await Shipment.update(
+        { manifestId: manifest.id },
+        {
+          where: { id: shipmentIds, userId, ...PENDING_WHERE },
+          transaction
+        }
+      );
+
+      if (lockedCount === 0) {
+        await manifest.destroy({ transaction });
+        return null;
+      }
+
+      const totalWeight = await Shipment.sum('weight', {
+        where: { manifestId: manifest.id },
+        transaction
+      });
+
+      await manifest.update(
+        { shipmentCount: lockedCount, totalWeight: totalWeight || null },
+        { transaction }
+      );
+
+      logger.info(
+        `Manifest ${manifest.manifestNumber} closed with ${lockedCount} shipments`
+      );
+
+      return manifest;
+    });
+  }
+
+  /**
+   * Submit a manifest to the carrier's close-out API. A failed submission
+   * is recorded on the manifest and can be retried; the handover list stays
+   * valid either way.
+   */
+  async submitCloseOut(manifest, credentials = {}) {
+    const trackingNumbers = (
+      await Shipment.findAll({
+        where: { manifestId: manifest.id, status: { [Op.ne]: 'cancelled' } },
+        attributes: ['trackingNumber'],
+        raw: true
+      })
+    ).map((shipment) => shipment.trackingNumber);
+
+    const updates = { closeOutError: null };
+    try {
+      const result = await shippingFactory.closeManifest(
+        {
+          manifestNumber: manifest.manifestNumber,
+          manifestDate: manifest.manifestDate,
+          trackingNumbers
+        },
+        manifest.carrierCode,
+        shipmentService.resolveCredentials(manifest.carrierCode, credentials)
+      );
+
+      if (result.success) {
+        updates.closeOutStatus = 'submitted';
+        updates.carrierReference = result.data?.carrierReference || null;
+        updates.carrierResponse = result.data;
+        updates.closedOutAt = new Date();
+      } else if (result.error?.code === 'NOT_SUPPORTED') {
+        updates.closeOutStatus = 'not_supported';
+      } else {
+        updates.closeOutStatus = 'failed';
+        updates.closeOutError = result.error?.message || 'Close-out failed';
+        updates.carrierResponse = result.error;
+      }
+    } catch (error) {
+      updates.closeOutStatus = 'failed';
+      updates.closeOutError = error.message;
+    }
+
+    if (updates.closeOutStatus === 'failed') {
+      logger.warn(
+        `Carrier close-out failed for manifest ${manifest.manifestNumber}: ${updates.closeOutError}`
+      );
+    }
+
+    await manifest.update(updates);
+    return manifest;
+  }
+
+  async retryCloseOut(manifestId, userId, credentials = {}) {
+    const manifest = await ShipmentManifest.findOne({
+      where: { id: manifestId, userId }
+    });
+
+    if (!manifest) {
+      throw new Error('Manifest not found');
+    }
+    if (manifest.closeOutStatus !== 'failed') {
+      throw new Error('Manifest close-out cannot be retried');
+    }
+
+    await this.submitCloseOut(manifest, credentials);
+    return this.serialize(manifest);
+  }
+
+  /**
+   * Handover list PDF for a manifest
+   * @returns {Promise<{data: Buffer, manifestNumber: string}>}
+   */
+  async getManifestPdf(manifestId, userId) {
+    const manifest = await this.getManifest(manifestId, userId);
+    const user = await User.findByPk(userId, {
+      attributes: ['fullName', 'companyName', 'email']
+    });
+
+    const data = await new BulkPDFGenerator().generateManifest({
+      manifest: manifest.toJSON(),
+      carrierName: this.getCarrierName(manifest.carrierCode),
+      shipments: manifest.shipments.map((shipment) =>
+        this.serializeShipment(shipment)
+      ),
+      sender: user ? user.toJSON() : {}
+    });
+
+    return { data, manifestNumber: manifest.manifestNumber };
+  }
+
+  /**
+   * e.g. ARAS-20261019-2 for the second Aras manifest of the day
+   */
+  buildManifestNumber(carrierCode, manifestDate, sequence) {
+    return `${carrierCode.toUpperCase()}-${manifestDate.replace(/-/g, '')}-${sequence}`;
+  }
+
+  getCarrierName(carrierCode) {
+    const carrier = shippingFactory
+      .getSupportedCarriers()
+      .find((supported) => supported.code === carrierCode);
+    return carrier?.name || carrierCode;
+  }
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  shipmentIncludes() {
+    return [
+      {
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'orderNumber', 'customerName', 'shippingAddress']
+      },
+      {
+        model: ShippingDetail,
+        as: 'shippingDetail',
+        required: false
+      }
+    ];
+  }
+
+  serializeShipment(shipment) {
+    const recipient = shipment.order
+      ? shipmentService.buildRecipientAddress({
+        ...shipment.order.toJSON(),
+        shippingDetail: shipment.shippingDetail
+      })
+      : {};
+
+    return {
+      id: shipment.id,
+      orderId: shipment.orderId,
+      orderNumber: shipment.order?.orderNumber || null,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      recipientName: recipient.name || null,
+      city: recipient.city || null,
+      district: recipient.district || null,
+      weight: shipment.weight !== null ? parseFloat(shipment.weight) : null
+    };
+  }
+
+  serialize(manifest) {
+    return {
+      id: manifest.id,
+      carrier: manifest.carrierCode,
+      carrierName: this.getCarrierName(manifest.carrierCode),
+      manifestNumber: manifest.manifestNumber,
+      manifestDate: manifest.manifestDate,
+      shipmentCount: manifest.shipmentCount,
+      totalWeight:
+        manifest.totalWeight !== null ? parseFloat(manifest.totalWeight) : null,
+      closeOutStatus: manifest.closeOutStatus,
+      carrierReference: manifest.carrierReference,
+      closeOutError: manifest.closeOutError,
+      closedOutAt: manifest.closedOutAt,
+      createdAt: manifest.createdAt,
+      shipments: manifest.shipments
+        ? manifest.shipments.map((shipment) => this.serializeShipment(shipment))
+        : undefined
+    };
+  }
+}
+
+module.exports = new ShipmentManifestService();
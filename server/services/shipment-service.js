@@ -0,0 +1,623 @@
+const axios = require('axios');
+const {
+  Shipment,
+  Order,
+  OrderItem,
+  ShippingDetail,
+  ShippingCarrier
+} = require('../models');
+const { Op } = require('sequelize');
+const shippingFactory = require('../modules/public/shipping/ShippingServiceFactory');
+const notificationService = require('./notification-service');
+const logger = require('../utils/logger');
+
+// Orders that can still be handed over to a carrier
+const SHIPPABLE_ORDER_STATUSES = ['new', 'pending', 'processing'];
+
+// Shipments in these states are never tracked or changed again
+const FINAL_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+// Carrier mapTrackingStatus() values that differ from Shipment statuses
+const CARRIER_STATUS_ALIASES = {
+  delivery_attempted: 'delivery_failed'
+};
+
+// Order status to move to when a shipment reaches a status
+const ORDER_STATUS_BY_SHIPMENT_STATUS = {
+  created: 'shipped',
+  in_transit: 'in_transit',
+  out_for_delivery: 'in_transit',
+  delivered: 'delivered',
+  returned: 'returned'
+};
+
+const DEFAULT_TRACKING_URLS = {
+  aras: 'https://www.araskargo.com.tr/takip?kod={trackingNumber}',
+  yurtici: 'https://www.yurticikargo.com/tr/takip?code={trackingNumber}',
+  ptt: 'https://gonderitakip.ptt.gov.tr/Track?barcode={trackingNumber}',
+  mng: 'https://www.mngkargo.com.tr/takip?kod={trackingNumber}',
+  surat: 'https://www.suratkargo.com.tr/KargoTakip/?kargotakipno={trackingNumber}',
+  hepsijet: 'https://www.hepsijet.com/gonderi-takibi/{trackingNumber}'
+};
+
+const DEFAULT_DIMENSIONS = { length: 20, width: 15, height: 10 };
+const LABEL_DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Shipment Service
+ * Creates carrier labels for orders and keeps the resulting shipments,
+ * their label documents and status history
+ */
+class ShipmentService {
+  /**
+   * @param {string} userId
+   * @param {Object} params - search, status, carrier, orderId, page, limit
+   */
+  async getShipments(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    const where = { userId };
+    if (params.status) {
+      where.status = params.status;
+    }
+    if (params.carrier) {
+      where.carrierCode = String(params.carrier).toLowerCase();
+    }
+    if (params.orderId) {
+      where.orderId = params.orderId;
+    }
+    if (params.search) {
+      where[Op.or] = [
+        { trackingNumber: { [Op.iLike]: `%${params.search}%` } },
+        { '$order.orderNumber$': { [Op.iLike]: `%${params.search}%` } },
+        { '$order.customerName$': { [Op.iLike]: `%${params.search}%` } }
+      ];
+    }
+
+    const { count, rows } = await Shipment.findAndCountAll({
+      where,
+      include: this.listIncludes(),
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+      subQuery: false
+    });
+
+    return {
+      shipments: rows.map((shipment) => this.serialize(shipment)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async getShipment(shipmentId, userId) {
+    const shipment = await Shipment.findOne({
+      where: { id: shipmentId, userId },
+      include: this.listIncludes()
+    });
+
+    if (!shipment) {
+      throw new Error('Shipment not found');
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Create a carrier label and shipment for each order. Orders that cannot
+   * be shipped are reported in `failures` instead of aborting the batch.
+   * @param {string} userId
+   * @param {Object} options - orderIds, carrier, serviceType, fromAddress,
+   *   packageInfo, credentials (keyed by carrier code). Without a carrier
+   *   each order ships with the carrier its shipping rule assigned.
+   */
+  async createShipments(userId, options) {
+    const {
+      orderIds,
+      serviceType = 'STANDARD',
+      fromAddress,
+      packageInfo = {},
+      credentials = {}
+    } = options;
+    const carrierCode = String(options.carrier || '').toLowerCase();
+
+    if (carrierCode && !shippingFactory.supportedCarriers.includes(carrierCode)) {
+      throw new Error('Unsupported carrier');
+    }
+    if (!fromAddress) {
+      throw new Error('Sender address is required');
+    }
+
+    // Carrier record and credentials per carrier code, resolved once
+    const carriers = new Map();
+    const resolveCarrier = async (code) => {
+      if (!carriers.has(code)) {
+        const carrierRecord = await this.findCarrierRecord(code);
+        carriers.set(code, {
+          carrierRecord,
+          carrierCredentials: this.resolveCredentials(code, credentials)
+        });
+      }
+      return carriers.get(code);
+    };
+
+    if (carrierCode) {
+      await resolveCarrier(carrierCode);
+    }
+
+    const orders = await Order.findAll({
+      where: { id: orderIds, userId },
+      include: [
+        { model: ShippingDetail, as: 'shippingDetail', required: false },
+        { model: OrderItem, as: 'items', required: false },
+        {
+          model: Shipment,
+          as: 'shipments',
+          required: false,
+          where: { status: { [Op.ne]: 'cancelled' } }
+        }
+      ]
+    });
+
+    const shipments = [];
+    const failures = orderIds
+      .filter((id) => !orders.some((order) => order.id === id))
+      .map((orderId) => ({ orderId, error: 'Order not found' }));
+
+    for (const order of orders) {
+      try {
+        if (!SHIPPABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+          throw new Error('Order is not in a shippable status');
+        }
+        if (order.shipments?.length > 0) {
+          throw new Error('Order already has an active shipment');
+        }
+
+        const orderCarrierCode = carrierCode || order.shippingCarrierCode;
+        if (!orderCarrierCode) {
+          throw new Error('No carrier assigned to order');
+        }
+
+        const shipment = await this.createOrderShipment(order, {
+          userId,
+          carrierCode: orderCarrierCode,
+          ...(await resolveCarrier(orderCarrierCode)),
+          serviceType: carrierCode
+            ? serviceType
+            : order.shippingServiceType || serviceType,
+          fromAddress,
+          packageInfo
+        });
+        shipments.push(shipment);
+      } catch (error) {
+        logger.warn(`Shipment creation failed for order ${order.id}: ${error.message}`);
+        failures.push({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          error: error.message
+        });
+      }
+    }
+
+    return { shipments, failures };
+  }
+
+  async createOrderShipment(order, context) {
+    const {
+      userId,
+      carrierCode,
+      carrierRecord,
+      carrierCredentials,
+      serviceType,
+      fromAddress,
+      packageInfo
+    } = context;
+    const shippingDetail = order.shippingDetail;
+    const weight = packageInfo.weight || this.estimateOrderWeight(order);
+    const dimensions = packageInfo.dimensions || DEFAULT_DIMENSIONS;
+
+    const result = await shippingFactory.createShippingLabel(
+      {
+        packageInfo: {
+          weight,
+          weightUnit: 'kg',
+          dimensions,
+          quantity: 1,
+          declaredValue: parseFloat(order.totalAmount) || 0,
+          description: packageInfo.description,
+          serviceType
+        },
+        fromAddress,
+        toAddress: this.buildRecipientAddress(order),
+        orderInfo: { orderNumber: order.orderNumber }
+      },
+      { [carrierCode]: carrierCredentials },
+      carrierCode
+    );
+
+    if (!result.success) {
+      throw new Error(result.error?.message || 'Carrier rejected the label request');
+    }
+
+    const label = result.data;
+    const now = new Date();
+    const shipment = await Shipment.create({
+      userId,
+      orderId: order.id,
+      shippingDetailId: shippingDetail?.id || null,
+      carrierId: carrierRecord?.id || null,
+      carrierCode,
+      serviceType: label.serviceType || serviceType,
+      trackingNumber: label.trackingNumber,
+      trackingUrl: this.buildTrackingUrl(carrierCode, carrierRecord, label.trackingNumber),
+      carrierShipmentId: label.shipmentId || null,
+      status: 'created',
+      statusHistory: [
+        {
+          status: 'created',
+          description: 'Label created',
+          occurredAt: now.toISOString(),
+          source: 'system'
+        }
+      ],
+      cost: label.totalCost ?? null,
+      currency: label.currency || 'TRY',
+      weight,
+      dimensions,
+      labelUrl: label.labelUrl || null,
+      labelFormat: label.labelFormat || 'PDF',
+      labelData: await this.downloadLabel(label),
+      // The label itself is kept in labelData only
+      carrierResponse: { ...result, data: { ...label, labelData: undefined } },
+      estimatedDeliveryAt: label.estimatedDeliveryDate || null,
+      shippedAt: now
+    });
+
+    await order.update({
+      orderStatus: ORDER_STATUS_BY_SHIPMENT_STATUS.created,
+      cargoTrackingNumber: shipment.trackingNumber,
+      cargoTrackingUrl: shipment.trackingUrl,
+      cargoCompany: result.carrierName || carrierRecord?.name || carrierCode
+    });
+
+    if (shippingDetail && carrierRecord) {
+      await shippingDetail.update({ carrierId: carrierRecord.id });
+    }
+
+    notificationService.notifyShippingUpdate({
+      userId,
+      orderNumber: order.orderNumber,
+      trackingNumber: shipment.trackingNumber,
+      carrier: carrierCode,
+      status: shipment.status
+    });
+
+    logger.info(
+      `Shipment created for order ${order.orderNumber}: ${carrierCode} ${shipment.trackingNumber}`
+    );
+
+    shipment.order = order;
+    shipment.carrier = carrierRecord;
+    return this.serialize(shipment);
+  }
+
+  /**
+   * Cancel a shipment with its carrier. Only shipments the carrier has not
+   * picked up yet can be cancelled.
+   */
+  async cancelShipment(shipmentId, userId, credentials = {}) {
+    const shipment = await this.getShipment(shipmentId, userId);
+
+    if (shipment.status !== 'created') {
+      throw new Error('Shipment can no longer be cancelled');
+    }
+
+    const result = await shippingFactory.cancelShipment(
+      shipment.trackingNumber,
+      shipment.carrierCode,
+      this.resolveCredentials(shipment.carrierCode, credentials)
+    );
+
+    if (!result.success) {
+      logger.warn(
+        `Carrier rejected cancellation of ${shipment.trackingNumber}: ${result.error?.message}`
+      );
+      throw new Error('Carrier rejected the cancellation');
+    }
+
+    await this.recordStatus(shipment, 'cancelled', {
+      description: 'Cancelled by user',
+      source: 'user'
+    });
+
+    return this.serialize(shipment);
+  }
+
+  /**
+   * Label document of a shipment. Labels the carrier only returned as a URL
+   * are downloaded and stored on first access.
+   * @returns {Promise<{data: Buffer, format: string}>}
+   */
+  async getLabel(shipmentId, userId) {
+    const shipment = await Shipment.unscoped().findOne({
+      where: { id: shipmentId, userId }
+    });
+
+    if (!shipment) {
+      throw new Error('Shipment not found');
+    }
+
+    if (!shipment.labelData && shipment.labelUrl) {
+      const labelData = await this.downloadLabel({ labelUrl: shipment.labelUrl });
+      if (labelData) {
+        await shipment.update({ labelData });
+      }
+    }
+
+    if (!shipment.labelData) {
+      throw new Error('Shipment has no label');
+    }
+
+    return {
+      data: shipment.labelData,
+      format: shipment.labelFormat || 'PDF',
+      trackingNumber: shipment.trackingNumber
+    };
+  }
+
+  /**
+   * Move a shipment to a new status, appending it to the status history and
+   * syncing the order status. Carrier statuses that do not map to a shipment
+   * status (e.g. 'unknown') are ignored.
+   * @param {Object} shipment - Shipment instance
+   * @param {string} status - Shipment or carrier status
+   * @param {Object} details - description, location, occurredAt, source
+   * @returns {Promise<boolean>} Whether the status changed
+   */
+  async recordStatus(shipment, status, details = {}) {
+    const nextStatus = this.normalizeStatus(status);
+    if (!nextStatus || nextStatus === shipment.status) {
+      return false;
+    }
+    if (FINAL_STATUSES.includes(shipment.status)) {
+      return false;
+    }
+
+    const occurredAt = details.occurredAt ? new Date(details.occurredAt) : new Date();
+    const updates = {
+      status: nextStatus,
+      statusHistory: [
+        ...(shipment.statusHistory || []),
+        {
+          status: nextStatus,
+          description: details.description || null,
+          location: details.location || null,
+          occurredAt: occurredAt.toISOString(),
+          source: details.source || 'carrier'
+        }
+      ]
+    };
+    if (nextStatus === 'delivered') {
+      updates.deliveredAt = occurredAt;
+    }
+    if (nextStatus === 'cancelled') {
+      updates.cancelledAt = occurredAt;
+    }
+
+    await shipment.update(updates);
+
+    const order =
+      shipment.order || (await Order.findByPk(shipment.orderId));
+    const orderStatus = ORDER_STATUS_BY_SHIPMENT_STATUS[nextStatus];
+    if (order && orderStatus && order.orderStatus !== orderStatus) {
+      await order.update({ orderStatus });
+    }
+
+    notificationService.notifyShippingUpdate({
+      userId: shipment.userId,
+      orderNumber: order?.orderNumber,
+      trackingNumber: shipment.trackingNumber,
+      carrier: shipment.carrierCode,
+      status: nextStatus,
+      location: details.location
+    });
+
+    return true;
+  }
+
+  normalizeStatus(status) {
+    const normalized = CARRIER_STATUS_ALIASES[status] || status;
+    return Shipment.rawAttributes.status.values.includes(normalized)
+      ? normalized
+      : null;
+  }
+
+  isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Active carrier record for a factory carrier code. Seeded records use
+   * upper-case codes (MNG, SURAT), so both spellings match.
+   */
+  findCarrierRecord(carrierCode) {
+    return ShippingCarrier.findOne({
+      where: {
+        code: [carrierCode, carrierCode.toUpperCase()],
+        isActive: true
+      }
+    });
+  }
+
+  /**
+   * Credentials for a carrier from the account's own credentials. Carrier
+   * records are shared by all accounts, so their credentials are never used.
+   */
+  resolveCredentials(carrierCode, credentials) {
+    const resolved = credentials?.[carrierCode];
+    if (!resolved) {
+      throw new Error('Carrier credentials are missing');
+    }
+    return resolved;
+  }
+
+  /**
+   * Carrier credentials of an account keyed by carrier code: the ones on the
+   * user, otherwise the ones saved in the user's settings. Credentials sent
+   * with a request fill in carriers the account has none for.
+   * @param {Object} user - User instance or plain user
+   * @param {Object} requestCredentials - Credentials sent with the request
+   */
+  getAccountCredentials(user, requestCredentials = {}) {
+    return {
+      ...requestCredentials,
+      ...(user?.carrierCredentials ||
+        this.getUserSettings(user).carrierCredentials)
+    };
+  }
+
+  /**
+   * User settings are stored as a JSON string
+   */
+  getUserSettings(user) {
+    if (!user?.settings) {
+      return {};
+    }
+    if (typeof user.settings !== 'string') {
+      return user.settings;
+    }
+    try {
+      return JSON.parse(user.settings);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  buildRecipientAddress(order) {
+    const detail = order.shippingDetail;
+    const address = order.shippingAddress || {};
+
+    return {
+      name: detail?.recipientName || address.fullName || order.customerName || '',
+      address1: detail?.address || address.address1 || address.address || '',
+      district: detail?.state || address.district || '',
+      city: detail?.city || address.city || '',
+      postalCode: detail?.postalCode || address.postalCode || '',
+      phone: detail?.phone || address.phone || order.customerPhone || '',
+      email: detail?.email || order.customerEmail || ''
+    };
+  }
+
+  buildTrackingUrl(carrierCode, carrierRecord, trackingNumber) {
+    const template =
+      carrierRecord?.trackingUrlTemplate || DEFAULT_TRACKING_URLS[carrierCode];
+    return template ? template.replace('{trackingNumber}', trackingNumber) : null;
+  }
+
+  /**
+   * Rough weight in kg when the caller does not pass one
+   */
+  estimateOrderWeight(order) {
+    const itemCount = (order.items || []).reduce(
+      (sum, item) => sum + (item.quantity || 1),
+      0
+    );
+    return Math.max(0.5, itemCount * 0.3);
+  }
+
+  /**
+   * Label bytes from the carrier response: inline base64 data if present,
+   * otherwise downloaded from the label URL. Download failures are logged
+   * and leave the label to be fetched on first access.
+   */
+  async downloadLabel(label) {
+    if (label.labelData) {
+      return Buffer.from(label.labelData, 'base64');
+    }
+    if (!label.labelUrl) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(label.labelUrl, {
+        responseType: 'arraybuffer',
+        timeout: LABEL_DOWNLOAD_TIMEOUT_MS
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.warn(`Failed to download shipping label ${label.labelUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  listIncludes() {
+    return [
+      {
+        model: Order,
+        as: 'order',
+        attributes: ['id', 'orderNumber', 'customerName', 'platform', 'orderStatus']
+      },
+      {
+        model: ShippingDetail,
+        as: 'shippingDetail',
+        required: false
+      },
+      {
+        model: ShippingCarrier,
+        as: 'carrier',
+        attributes: ['id', 'code', 'name', 'trackingUrlTemplate', 'credentials'],
+        required: false
+      }
+    ];
+  }
+
+  serialize(shipment) {
+    const detail = shipment.shippingDetail || shipment.order?.shippingDetail;
+
+    return {
+      id: shipment.id,
+      orderId: shipment.orderId,
+      orderNumber: shipment.order?.orderNumber || null,
+      customerName: detail?.recipientName || shipment.order?.customerName || null,
+      platform: shipment.order?.platform || null,
+      carrier: shipment.carrierCode,
+      carrierName: shipment.carrier?.name || shipment.carrierCode,
+      serviceType: shipment.serviceType,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      status: shipment.status,
+      statusHistory: shipment.statusHistory || [],
+      shippingAddress: detail
+        ? {
+          address: detail.address,
+          city: detail.city,
+          state: detail.state,
+          postalCode: detail.postalCode,
+          country: detail.country
+        }
+        : null,
+      cost: shipment.cost !== null ? parseFloat(shipment.cost) : null,
+      currency: shipment.currency,
+      weight: shipment.weight !== null ? parseFloat(shipment.weight) : null,
+      dimensions: shipment.dimensions,
+      hasLabel: Boolean(shipment.labelUrl || shipment.labelData),
+      shipDate: shipment.shippedAt,
+      estimatedDelivery: shipment.estimatedDeliveryAt,
+      deliveredAt: shipment.deliveredAt,
+      cancelledAt: shipment.cancelledAt,
+      lastTrackedAt: shipment.lastTrackedAt,
+      trackingEvents: shipment.trackingEvents || [],
+      exceptionReason: shipment.exceptionReason,
+      manifestId: shipment.manifestId,
+      createdAt: shipment.createdAt
+    };
+  }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,356 @@
+const { Shipment, Order, User } = require('../models');
+const { Op } = require('sequelize');
+const shippingFactory = require('../modules/public/shipping/ShippingServiceFactory');
+const shipmentService = require('./shipment-service');
+const notificationService = require('./notification-service');
+const alertService = require('./alertService');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL_MS = parseInt(
+  process.env.SHIPMENT_TRACKING_INTERVAL_MS || String(15 * 60 * 1000),
+  10
+);
+
+// A shipment is polled again only after this long
+const MIN_TRACK_AGE_MS = parseInt(
+  process.env.SHIPMENT_TRACKING_MIN_AGE_MS || String(30 * 60 * 1000),
+  10
+);
+
+// Tracking requests per minute allowed for each carrier API
+const CARRIER_REQUESTS_PER_MINUTE = {
+  aras: 30,
+  yurtici: 30,
+  ptt: 20,
+  mng: 60,
+  surat: 30,
+  hepsijet: 60
+};
+const DEFAULT_REQUESTS_PER_MINUTE = 20;
+
+// Upper bound on shipments polled per carrier in one cycle
+const MAX_SHIPMENTS_PER_CARRIER = 200;
+
+// Statuses that are delivery exceptions on their own
+const EXCEPTION_STATUSES = ['delivery_failed', 'on_hold', 'returned'];
+
+// Carrier event texts that are delivery exceptions whatever the status says
+const EXCEPTION_PATTERNS = [
+  { reason: 'address_not_found', pattern: /address not found|adres(i)? bulunamad|adres(te)? yanl[ıi]ş|eksik adres/i },
+  { reason: 'recipient_unavailable', pattern: /recipient not available|al[ıi]c[ıi] (adreste )?bulunamad/i },
+  { reason: 'returned_to_sender', pattern: /return(ed)? to sender|g[öo]ndericiye iade/i },
+  { reason: 'refused', pattern: /refused|teslim almak istemedi|reddetti/i },
+  { reason: 'damaged', pattern: /damaged|hasarl[ıi]/i }
+];
+
+/**
+ * Shipment Tracking Service
+ * Polls carriers for open shipments, stores their tracking events, moves
+ * shipment and order statuses forward and raises delivery exceptions
+ */
+class ShipmentTrackingService {
+  constructor() {
+    this.pollInterval = null;
+    this.isPolling = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.pollInterval = setInterval(() => {
+      this.pollOpenShipments().catch((error) => {
+        logger.error('Error polling shipment tracking:', error);
+      });
+    }, POLL_INTERVAL_MS);
+
+    logger.info('Shipment tracking poller started', {
+      intervalMs: POLL_INTERVAL_MS
+    });
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.pollInterval),
+      isPolling: this.isPolling,
+      intervalMs: POLL_INTERVAL_MS,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Poll every carrier that has open shipments due for tracking. Carriers
+   * are polled in parallel, shipments of one carrier one after another.
+   */
+  async pollOpenShipments() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const carrierCodes = shippingFactory.supportedCarriers;
+      const results = await Promise.all(
+        carrierCodes.map((carrierCode) => this.pollCarrier(carrierCode))
+      );
+
+      this.lastRun = {
+        finishedAt: new Date(),
+        carriers: carrierCodes.reduce((summary, carrierCode, index) => {
+          summary[carrierCode] = results[index];
+          return summary;
+        }, {})
+      };
+
+      logger.info('Shipment tracking poll finished', this.lastRun);
+      return this.lastRun;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Poll the due shipments of one carrier. Each account's shipments are
+   * tracked with that account's own credentials; accounts without
+   * credentials for the carrier are skipped.
+   */
+  async pollCarrier(carrierCode) {
+    const summary = { tracked: 0, updated: 0, failed: 0, skippedUsers: 0 };
+    const dueWhere = {
+      carrierCode,
+      status: { [Op.notIn]: ['delivered', 'returned', 'cancelled'] },
+      [Op.or]: [
+        { lastTrackedAt: null },
+        { lastTrackedAt: { [Op.lt]: new Date(Date.now() - MIN_TRACK_AGE_MS) } }
+      ]
+    };
+
+    const owners = await Shipment.findAll({
+      where: dueWhere,
+      attributes: ['userId'],
+      group: ['userId'],
+      raw: true
+    });
+    if (owners.length === 0) {
+      return summary;
+    }
+
+    const users = await User.findAll({
+      where: { id: owners.map((owner) => owner.userId) },
+      attributes: ['id', 'settings']
+    });
+
+    const credentialsByUser = new Map();
+    for (const user of users) {
+      const credentials =
+        shipmentService.getAccountCredentials(user)[carrierCode];
+      if (credentials) {
+        credentialsByUser.set(user.id, credentials);
+      }
+    }
+    summary.skippedUsers = owners.length - credentialsByUser.size;
+
+    if (credentialsByUser.size === 0) {
+      return { ...summary, skipped: 'missing_credentials' };
+    }
+
+    // Only shipments that can be tracked count against the per-cycle limit
+    const shipments = await Shipment.findAll({
+      where: { ...dueWhere, userId: [...credentialsByUser.keys()] },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'orderNumber', 'orderStatus']
+        }
+      ],
+      order: [['lastTrackedAt', 'ASC NULLS FIRST']],
+      limit: MAX_SHIPMENTS_PER_CARRIER
+    });
+
+    const requestsPerMinute =
+      CARRIER_REQUESTS_PER_MINUTE[carrierCode] || DEFAULT_REQUESTS_PER_MINUTE;
+    const spacingMs = Math.ceil(60000 / requestsPerMinute);
+
+    for (const [index, shipment] of shipments.entries()) {
+      if (index > 0) {
+        await new Promise((resolve) => setTimeout(resolve, spacingMs));
+      }
+
+      try {
+        const changed = await this.trackShipment(
+          shipment,
+          credentialsByUser.get(shipment.userId)
+        );
+        summary.tracked++;
+        if (changed) {
+          summary.updated++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.warn(
+          `Failed to track ${carrierCode} shipment ${shipment.trackingNumber}: ${error.message}`
+        );
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Track one shipment of a user right away, outside the poll cycle
+   * @param {Object} credentials - Request credentials keyed by carrier code
+   */
+  async refreshShipment(shipmentId, userId, credentials = {}) {
+    const shipment = await shipmentService.getShipment(shipmentId, userId);
+
+    if (shipmentService.isFinalStatus(shipment.status)) {
+      throw new Error('Shipment is no longer tracked');
+    }
+
+    await this.trackShipment(
+      shipment,
+      shipmentService.resolveCredentials(shipment.carrierCode, credentials)
+    );
+
+    return shipmentService.serialize(shipment);
+  }
+
+  /**
+   * Fetch tracking for one shipment and apply it
+   * @returns {Promise<boolean>} Whether the shipment status changed
+   */
+  async trackShipment(shipment, credentials) {
+    const result = await shippingFactory.trackPackage(
+      shipment.trackingNumber,
+      shipment.carrierCode,
+      credentials
+    );
+
+    if (!result.success) {
+      await shipment.update({ lastTrackedAt: new Date() });
+      throw new Error(result.error?.message || 'Tracking request failed');
+    }
+
+    return this.applyTracking(shipment, result.data);
+  }
+
+  /**
+   * Store tracking events, record the carrier status and raise an alert
+   * when the shipment enters a delivery exception
+   * @param {Object} shipment - Shipment instance with its order
+   * @param {Object} tracking - trackPackage() data
+   * @returns {Promise<boolean>} Whether the shipment status changed
+   */
+  async applyTracking(shipment, tracking) {
+    const events = tracking.events || [];
+    const latestEvent = events[events.length - 1];
+    const location = this.formatLocation(tracking.currentLocation);
+
+    await shipment.update({
+      trackingEvents: events,
+      lastTrackedAt: new Date(),
+      estimatedDeliveryAt:
+        tracking.estimatedDeliveryDate || shipment.estimatedDeliveryAt
+    });
+
+    const changed = await shipmentService.recordStatus(
+      shipment,
+      tracking.status,
+      {
+        description: tracking.statusDescription || latestEvent?.description,
+        location,
+        occurredAt:
+          tracking.status === 'delivered' ? tracking.actualDeliveryDate : null
+      }
+    );
+
+    const exceptionReason = this.detectException(
+      shipment.status,
+      tracking.statusDescription,
+      latestEvent
+    );
+    if (exceptionReason !== shipment.exceptionReason) {
+      await shipment.update({ exceptionReason });
+      if (exceptionReason) {
+        await this.raiseException(shipment, exceptionReason, {
+          description: tracking.statusDescription || latestEvent?.description,
+          location,
+          notify: !changed
+        });
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Exception reason for the current tracking state, or null
+   */
+  detectException(status, statusDescription, latestEvent) {
+    const text = [statusDescription, latestEvent?.description]
+      .filter(Boolean)
+      .join(' ');
+
+    const match = EXCEPTION_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (match) {
+      return match.reason;
+    }
+
+    return EXCEPTION_STATUSES.includes(status) ? status : null;
+  }
+
+  async raiseException(shipment, reason, { description, location, notify }) {
+    const orderNumber = shipment.order?.orderNumber;
+
+    // recordStatus() already notified when the status changed with it
+    if (notify) {
+      notificationService.notifyShippingUpdate({
+        userId: shipment.userId,
+        orderNumber,
+        trackingNumber: shipment.trackingNumber,
+        carrier: shipment.carrierCode,
+        status: shipment.status,
+        location
+      });
+    }
+
+    await alertService.sendAlert(
+      'shipmentException',
+      `Shipment exception: ${orderNumber || shipment.trackingNumber}`,
+      `${shipment.carrierCode} reported "${reason}" for tracking number ${shipment.trackingNumber}.`,
+      {
+        userId: shipment.userId,
+        shipmentId: shipment.id,
+        orderId: shipment.orderId,
+        orderNumber,
+        carrier: shipment.carrierCode,
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        reason,
+        description,
+        location
+      }
+    );
+  }
+
+  formatLocation(currentLocation) {
+    if (!currentLocation) {
+      return null;
+    }
+    return (
+      Object.values(currentLocation).filter(Boolean).join(', ') || null
+    );
+  }
+}
+
+module.exports = new ShipmentTrackingService();
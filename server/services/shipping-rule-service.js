@@ -0,0 +1,519 @@
+const {
+  ShippingRule,
+  Order,
+  OrderItem,
+  Product,
+  ShippingDetail,
+  User
+} = require('../models');
+const { Op } = require('sequelize');
+const shippingFactory = require('../modules/public/shipping/ShippingServiceFactory');
+const BaseShippingService = require('../modules/public/shipping/BaseShippingService');
+const logger = require('../utils/logger');
+
+// Orders are evaluated this long after import, once their items are written
+const IMPORT_SETTLE_MS = parseInt(
+  process.env.SHIPPING_RULE_SETTLE_MS || '10000',
+  10
+);
+
+// Desi divisor used for the billable weight of rule conditions
+const DIMENSIONAL_DIVISOR = 3000;
+
+const DRY_RUN_DEFAULT_DAYS = 7;
+const DRY_RUN_MAX_ORDERS = 500;
+
+const LIST_CONDITIONS = ['cities', 'districts', 'marketplaces', 'productTags'];
+const NUMBER_CONDITIONS = [
+  'minWeight',
+  'maxWeight',
+  'minOrderValue',
+  'maxOrderValue'
+];
+
+// Payment markers of cash-on-delivery orders in the platform payload
+const COD_PATTERN = /cod|cash[_ ]?on[_ ]?delivery|kap[ıi]da/i;
+
+// Only used for its weight helpers
+const weightCalculator = new BaseShippingService('Shipping rules');
+
+// Names compare without case or Turkish letters, so "Istanbul" matches "İSTANBUL"
+const TURKISH_LETTERS = { ı: 'i', ğ: 'g', ü: 'u', ş: 's', ö: 'o', ç: 'c' };
+const normalizeName = (value) =>
+  String(value || '')
+    .toLocaleLowerCase('tr-TR')
+    .replace(/[ığüşöç]/g, (letter) => TURKISH_LETTERS[letter])
+    .trim();
+
+/**
+ * Shipping Rule Service
+ * Prioritised rules that pick the carrier, service type and shipping
+ * template of an order from its destination, weight, payment, marketplace,
+ * value and product tags. Rules are evaluated at order import; the first
+ * active rule whose conditions all match wins.
+ */
+class ShippingRuleService {
+  constructor() {
+    this.pendingOrderIds = new Set();
+    this.evaluationTimer = null;
+  }
+
+  async getRules(userId) {
+    return ShippingRule.findAll({
+      where: { userId },
+      order: [
+        ['priority', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+  }
+
+  async getRule(ruleId, userId) {
+    const rule = await ShippingRule.findOne({ where: { id: ruleId, userId } });
+
+    if (!rule) {
+      throw new Error('Shipping rule not found');
+    }
+
+    return rule;
+  }
+
+  async createRule(userId, data) {
+    const fields = await this.normalizeRule(userId, data);
+
+    if (fields.priority === undefined) {
+      const last = await ShippingRule.max('priority', { where: { userId } });
+      fields.priority = (last || 0) + 10;
+    }
+
+    const rule = await ShippingRule.create({ ...fields, userId });
+    logger.info(`Shipping rule created: ${rule.name}`, { userId, ruleId: rule.id });
+    return rule;
+  }
+
+  async updateRule(ruleId, userId, data) {
+    const rule = await this.getRule(ruleId, userId);
+    const fields = await this.normalizeRule(userId, {
+      name: rule.name,
+      isActive: rule.isActive,
+      conditions: rule.conditions,
+      actions: rule.actions,
+      ...data
+    });
+
+    await rule.update(fields);
+    return rule;
+  }
+
+  async deleteRule(ruleId, userId) {
+    const rule = await this.getRule(ruleId, userId);
+    await rule.destroy();
+  }
+
+  /**
+   * Set the evaluation order of the user's rules
+   * @param {string[]} ruleIds - All rule ids, first evaluated first
+   */
+  async reorderRules(userId, ruleIds) {
+    const rules = await this.getRules(userId);
+
+    if (
+      ruleIds.length !== rules.length ||
+      rules.some((rule) => !ruleIds.includes(rule.id))
+    ) {
+      throw new Error('Rule order must list every rule once');
+    }
+
+    await ShippingRule.sequelize.transaction(async (transaction) => {
+      for (const [index, ruleId] of ruleIds.entries()) {
+        await ShippingRule.update(
+          { priority: (index + 1) * 10 },
+          { where: { id: ruleId, userId }, transaction }
+        );
+      }
+    });
+
+    return this.getRules(userId);
+  }
+
+  /**
+   * Validate editor input and keep only known conditions and actions
+   */
+  async normalizeRule(userId, data) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+
+    const source = data.conditions || {};
+    const conditions = {};
+
+    for (const key of LIST_CONDITIONS) {
+      const values = (Array.isArray(source[key]) ? source[key] : [])
+        .map((value) => String(value).trim())
+        .filter(Boolean);
+      if (values.length > 0) {
+        conditions[key] = values;
+      }
+    }
+
+    for (const key of NUMBER_CONDITIONS) {
+      if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+        const value = parseFloat(source[key]);
+        if (Number.isNaN(value) || value < 0) {
+          throw new Error('Numeric conditions must be non-negative numbers');
+        }
+        conditions[key] = value;
+      }
+    }
+
+    if (typeof source.cashOnDelivery === 'boolean') {
+      conditions.cashOnDelivery = source.cashOnDelivery;
+    }
+
+    const actionSource = data.actions || {};
+    const carrier = String(actionSource.carrier || '').toLowerCase();
+    if (!shippingFactory.supportedCarriers.includes(carrier)) {
+      throw new Error('Unsupported carrier');
+    }
+
+    const actions = { carrier };
+    if (actionSource.serviceType) {
+      actions.serviceType = String(actionSource.serviceType);
+    }
+    if (actionSource.shippingTemplateId) {
+      const templates = await this.getShippingTemplates(userId);
+      if (!templates.some((template) => template.id === actionSource.shippingTemplateId)) {
+        throw new Error('Shipping template not found');
+      }
+      actions.shippingTemplateId = actionSource.shippingTemplateId;
+    }
+
+    const fields = {
+      name,
+      isActive: data.isActive !== false,
+      conditions,
+      actions
+    };
+    if (data.priority !== undefined && data.priority !== null) {
+      fields.priority = parseInt(data.priority, 10) || 0;
+    }
+    return fields;
+  }
+
+  /**
+   * Queue an imported order for evaluation. Orders are evaluated in a batch
+   * a few seconds later so that importers writing items after the order
+   * row are done.
+   */
+  scheduleEvaluation(orderId) {
+    this.pendingOrderIds.add(orderId);
+
+    if (!this.evaluationTimer) {
+      this.evaluationTimer = setTimeout(() => {
+        this.evaluationTimer = null;
+        this.evaluatePending().catch((error) => {
+          logger.error('Error evaluating shipping rules:', error);
+        });
+      }, IMPORT_SETTLE_MS);
+    }
+  }
+
+  async evaluatePending() {
+    const orderIds = [...this.pendingOrderIds];
+    this.pendingOrderIds.clear();
+
+    if (orderIds.length === 0) {
+      return;
+    }
+
+    const orders = await Order.findAll({
+      where: { id: orderIds, shippingRuleId: null },
+      include: this.orderIncludes()
+    });
+
+    const rulesByUser = new Map();
+    let assigned = 0;
+
+    for (const order of orders) {
+      try {
+        if (!rulesByUser.has(order.userId)) {
+          rulesByUser.set(order.userId, await this.getActiveRules(order.userId));
+        }
+        const rule = await this.applyRules(order, rulesByUser.get(order.userId));
+        if (rule) {
+          assigned++;
+        }
+      } catch (error) {
+        logger.warn(`Shipping rules failed for order ${order.id}: ${error.message}`);
+      }
+    }
+
+    if (assigned > 0) {
+      logger.info(`Shipping rules assigned carriers to ${assigned} of ${orders.length} imported orders`);
+    }
+  }
+
+  /**
+   * Re-evaluate the rules for existing orders of a user
+   * @returns {Promise<Object>} {assigned, unmatched}
+   */
+  async applyToOrders(userId, orderIds) {
+    const [orders, rules] = await Promise.all([
+      Order.findAll({
+        where: { id: orderIds, userId },
+        include: this.orderIncludes()
+      }),
+      this.getActiveRules(userId)
+    ]);
+
+    const result = { assigned: [], unmatched: [] };
+    for (const order of orders) {
+      const rule = await this.applyRules(order, rules);
+      if (rule) {
+        result.assigned.push({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          ...rule.actions
+        });
+      } else {
+        result.unmatched.push({ orderId: order.id, orderNumber: order.orderNumber });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Assign the first matching rule to an order
+   * @returns {Promise<Object|null>} The matching rule
+   */
+  async applyRules(order, rules) {
+    const facts = this.buildFacts(order);
+    const rule = rules.find((candidate) => this.matches(candidate, facts));
+
+    if (!rule) {
+      return null;
+    }
+
+    await order.update({
+      shippingRuleId: rule.id,
+      shippingCarrierCode: rule.actions.carrier,
+      shippingServiceType: rule.actions.serviceType || null,
+      shippingTemplateId: rule.actions.shippingTemplateId || order.shippingTemplateId
+    });
+    await rule.update({
+      matchCount: rule.matchCount + 1,
+      lastMatchedAt: new Date()
+    });
+
+    return rule;
+  }
+
+  /**
+   * Preview which rule each recent order would get, without changing
+   * anything. Unsaved rules from the editor can be passed instead of the
+   * stored ones.
+   * @param {Object} options - rules, days, limit
+   */
+  async dryRun(userId, options = {}) {
+    const days = parseInt(options.days, 10) || DRY_RUN_DEFAULT_DAYS;
+    const limit = Math.min(parseInt(options.limit, 10) || 100, DRY_RUN_MAX_ORDERS);
+
+    let rules;
+    if (Array.isArray(options.rules)) {
+      rules = [];
+      for (const [index, data] of options.rules.entries()) {
+        const fields = await this.normalizeRule(userId, data);
+        if (fields.isActive) {
+          rules.push({
+            id: data.id || null,
+            priority: fields.priority ?? index,
+            ...fields
+          });
+        }
+      }
+      rules.sort((a, b) => a.priority - b.priority);
+    } else {
+      rules = await this.getActiveRules(userId);
+    }
+
+    const orders = await Order.findAll({
+      where: {
+        userId,
+        orderDate: { [Op.gte]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      },
+      include: this.orderIncludes(),
+      order: [['orderDate', 'DESC']],
+      limit
+    });
+
+    const summary = {};
+    const results = orders.map((order) => {
+      const facts = this.buildFacts(order);
+      const rule = rules.find((candidate) => this.matches(candidate, facts));
+      const key = rule ? rule.id || rule.name : 'unmatched';
+      summary[key] = (summary[key] || 0) + 1;
+
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        orderDate: order.orderDate,
+        facts: { ...facts, productTags: [...facts.productTags] },
+        current: {
+          ruleId: order.shippingRuleId,
+          carrier: order.shippingCarrierCode,
+          serviceType: order.shippingServiceType
+        },
+        match: rule
+          ? { ruleId: rule.id, ruleName: rule.name, actions: rule.actions }
+          : null
+      };
+    });
+
+    return {
+      orders: results,
+      summary: {
+        evaluated: results.length,
+        matched: results.filter((result) => result.match).length,
+        byRule: summary
+      }
+    };
+  }
+
+  async getActiveRules(userId) {
+    return ShippingRule.findAll({
+      where: { userId, isActive: true },
+      order: [
+        ['priority', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+  }
+
+  orderIncludes() {
+    return [
+      { model: ShippingDetail, as: 'shippingDetail', required: false },
+      {
+        model: OrderItem,
+        as: 'items',
+        required: false,
+        include: [
+          {
+            model: Product,
+            as: 'product',
+            required: false,
+            attributes: ['id', 'weight', 'dimensions', 'tags']
+          }
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Order facts the rule conditions are checked against
+   */
+  buildFacts(order) {
+    const address = order.shippingAddress || {};
+    const items = order.items || [];
+
+    const weightKg = items.reduce(
+      (sum, item) =>
+        sum + (parseFloat(item.product?.weight) || 0) * (item.quantity || 1),
+      0
+    );
+    // Dimensions are only known for single-product parcels
+    const dimensions =
+      items.length === 1 && (items[0].quantity || 1) === 1
+        ? items[0].product?.dimensions || {}
+        : {};
+    const billableWeight =
+      weightCalculator.getBillableWeight(
+        { weight: weightKg, weightUnit: 'kg', dimensions },
+        DIMENSIONAL_DIVISOR
+      ) / 1000;
+
+    const productTags = new Set();
+    for (const item of items) {
+      for (const tag of item.product?.tags || []) {
+        productTags.add(normalizeName(tag));
+      }
+    }
+
+    return {
+      city: order.shippingDetail?.city || address.city || null,
+      district: order.shippingDetail?.state || address.district || null,
+      billableWeight: Math.round(billableWeight * 1000) / 1000,
+      cashOnDelivery: this.isCashOnDelivery(order),
+      marketplace: normalizeName(order.platform || order.platformType) || null,
+      orderValue: parseFloat(order.totalAmount) || 0,
+      productTags
+    };
+  }
+
+  isCashOnDelivery(order) {
+    const raw = order.rawData || {};
+    if (raw.isCod === true || raw.cod === true || raw.cashOnDelivery === true) {
+      return true;
+    }
+    return [raw.paymentType, raw.paymentMethod].some(
+      (value) => typeof value === 'string' && COD_PATTERN.test(value)
+    );
+  }
+
+  /**
+   * Whether every condition set on the rule holds for the order facts
+   */
+  matches(rule, facts) {
+    const conditions = rule.conditions || {};
+    const inList = (list, value) =>
+      list.some((entry) => normalizeName(entry) === normalizeName(value));
+
+    if (conditions.cities && !inList(conditions.cities, facts.city)) {
+      return false;
+    }
+    if (conditions.districts && !inList(conditions.districts, facts.district)) {
+      return false;
+    }
+    if (conditions.marketplaces && !inList(conditions.marketplaces, facts.marketplace)) {
+      return false;
+    }
+    if (
+      conditions.productTags &&
+      !conditions.productTags.some((tag) => facts.productTags.has(normalizeName(tag)))
+    ) {
+      return false;
+    }
+    if (conditions.minWeight !== undefined && facts.billableWeight < conditions.minWeight) {
+      return false;
+    }
+    if (conditions.maxWeight !== undefined && facts.billableWeight > conditions.maxWeight) {
+      return false;
+    }
+    if (conditions.minOrderValue !== undefined && facts.orderValue < conditions.minOrderValue) {
+      return false;
+    }
+    if (conditions.maxOrderValue !== undefined && facts.orderValue > conditions.maxOrderValue) {
+      return false;
+    }
+    if (
+      conditions.cashOnDelivery !== undefined &&
+      conditions.cashOnDelivery !== facts.cashOnDelivery
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  async getShippingTemplates(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'settings'] });
+    const settings =
+      typeof user?.settings === 'string'
+        ? JSON.parse(user.settings)
+        : user?.settings || {};
+    return settings.shippingTemplates || [];
+  }
+}
+
+module.exports = new ShippingRuleService();
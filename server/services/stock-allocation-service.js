@@ -0,0 +1,218 @@
+const { Warehouse, WarehouseStock, PlatformConnection } = require('../models');
+const { Op } = require('sequelize');
+
+// How a marketplace connection's sellable stock is derived from warehouses
+const ALLOCATION_MODES = {
+  // Sum of every active warehouse flagged as sellable
+  SUM_SELLABLE: 'sum_sellable',
+  // Only the warehouse pinned to the connection
+  SINGLE_WAREHOUSE: 'single_warehouse'
+};
+
+/**
+ * Stock Allocation Service
+ * Resolves which warehouses feed a marketplace connection's stock and which
+ * warehouse a reservation is taken from. Rules live on the connection in
+ * settings.stockAllocation = { mode, warehouseId }. Users without any
+ * warehouse keep the single stock figure on the product.
+ */
+class StockAllocationService {
+  constructor() {
+    this.MODES = ALLOCATION_MODES;
+  }
+
+  /**
+   * Read the allocation rule stored on a connection, falling back to
+   * sum of sellable warehouses
+   */
+  getRule(connection) {
+    const rule = connection?.settings?.stockAllocation || {};
+
+    if (rule.mode === ALLOCATION_MODES.SINGLE_WAREHOUSE && rule.warehouseId) {
+      return {
+        mode: ALLOCATION_MODES.SINGLE_WAREHOUSE,
+        warehouseId: rule.warehouseId
+      };
+    }
+
+    return { mode: ALLOCATION_MODES.SUM_SELLABLE, warehouseId: null };
+  }
+
+  /**
+   * Store the allocation rule for one of the user's connections
+   */
+  async setRule(userId, connectionId, { mode, warehouseId = null }) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: connectionId, userId }
+    });
+
+    if (!connection) {
+      throw new Error('Platform connection not found');
+    }
+
+    if (!Object.values(ALLOCATION_MODES).includes(mode)) {
+      throw new Error('Invalid allocation mode');
+    }
+
+    if (mode === ALLOCATION_MODES.SINGLE_WAREHOUSE) {
+      const warehouse = await Warehouse.findOne({
+        where: { id: warehouseId, userId, isActive: true }
+      });
+      if (!warehouse) {
+        throw new Error('Warehouse not found');
+      }
+    }
+
+    await connection.update({
+      settings: {
+        ...(connection.settings || {}),
+        stockAllocation: {
+          mode,
+          warehouseId:
+            mode === ALLOCATION_MODES.SINGLE_WAREHOUSE ? warehouseId : null
+        }
+      }
+    });
+
+    return this.getRule(connection);
+  }
+
+  /**
+   * Active warehouses of a user, in reservation priority order
+   */
+  async getActiveWarehouses(userId, options = {}) {
+    return Warehouse.findAll({
+      where: { userId, isActive: true },
+      order: [
+        ['priority', 'ASC'],
+        ['createdAt', 'ASC']
+      ],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Warehouse that receives stock changes which do not name one, or null
+   * when the user does not manage warehouses
+   */
+  async getDefaultWarehouseId(userId, options = {}) {
+    const warehouses = await this.getActiveWarehouses(userId, options);
+    if (warehouses.length === 0) {
+      return null;
+    }
+
+    const defaultWarehouse = warehouses.find((w) => w.isDefault);
+    return (defaultWarehouse || warehouses[0]).id;
+  }
+
+  /**
+   * Warehouse IDs whose stock feeds a connection, or null when the user has
+   * no warehouses and the product stock should be used as before
+   */
+  async getWarehouseIdsForConnection(userId, connection, options = {}) {
+    const warehouses = await this.getActiveWarehouses(userId, options);
+    if (warehouses.length === 0) {
+      return null;
+    }
+
+    const rule = this.getRule(connection);
+    if (rule.mode === ALLOCATION_MODES.SINGLE_WAREHOUSE) {
+      return warehouses.some((w) => w.id === rule.warehouseId)
+        ? [rule.warehouseId]
+        : [];
+    }
+
+    return warehouses.filter((w) => w.isSellable).map((w) => w.id);
+  }
+
+  /**
+   * Sellable quantity per SKU for a connection. SKUs that are not stocked in
+   * any warehouse yet are left out so callers can fall back to product stock.
+   * Returns null when the user has no warehouses.
+   */
+  async getSellableQuantities(userId, skus, connection) {
+    const warehouseIds = await this.getWarehouseIdsForConnection(
+      userId,
+      connection
+    );
+    if (warehouseIds === null) {
+      return null;
+    }
+
+    const rows = await WarehouseStock.findAll({
+      where: { userId, sku: { [Op.in]: skus } },
+      attributes: ['sku', 'warehouseId', 'quantity']
+    });
+
+    return rows.reduce((totals, row) => {
+      const quantity = warehouseIds.includes(row.warehouseId)
+        ? Math.max(0, row.quantity)
+        : 0;
+      totals[row.sku] = (totals[row.sku] || 0) + quantity;
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Pick the warehouse a reservation is taken from. An explicit warehouse
+   * wins, then the connection's pinned warehouse, then the first sellable
+   * warehouse by priority holding enough stock. Returns null when the user
+   * has no warehouses.
+   */
+  async resolveReservationWarehouse(
+    { userId, sku, quantity, connectionId = null, warehouseId = null },
+    options = {}
+  ) {
+    const { transaction } = options;
+
+    if (warehouseId) {
+      const warehouse = await Warehouse.findOne({
+        where: { id: warehouseId, userId, isActive: true },
+        transaction
+      });
+      if (!warehouse) {
+        throw new Error('Warehouse not found');
+      }
+      return warehouse.id;
+    }
+
+    const connection = connectionId
+      ? await PlatformConnection.findOne({
+        where: { id: connectionId, userId },
+        transaction
+      })
+      : null;
+
+    const candidateIds = await this.getWarehouseIdsForConnection(
+      userId,
+      connection,
+      { transaction }
+    );
+    if (candidateIds === null) {
+      return null;
+    }
+    if (candidateIds.length === 0) {
+      throw new Error('No sellable warehouse available for this connection');
+    }
+
+    const stocks = await WarehouseStock.findAll({
+      where: { sku, warehouseId: { [Op.in]: candidateIds } },
+      transaction
+    });
+    const quantities = new Map(stocks.map((s) => [s.warehouseId, s.quantity]));
+
+    const match = candidateIds.find(
+      (id) => (quantities.get(id) || 0) >= quantity
+    );
+    if (!match) {
+      const available = Math.max(0, ...quantities.values(), 0);
+      throw new Error(
+        `Insufficient warehouse stock. Available: ${available}, Requested: ${quantity}`
+      );
+    }
+
+    return match;
+  }
+}
+
+module.exports = new StockAllocationService();
@@ -0,0 +1,106 @@
+const { Supplier, PurchaseOrder } = require('../models');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+
+// Supplier fields a user may set directly
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'contactName',
+  'email',
+  'phone',
+  'taxNumber',
+  'taxOffice',
+  'address',
+  'currency',
+  'leadTimeDays',
+  'paymentTermsDays',
+  'notes',
+  'isActive'
+];
+
+/**
+ * Supplier Service
+ * Supplier records used by purchase orders and reorder suggestions
+ */
+class SupplierService {
+  /**
+   * @param {string} userId
+   * @param {Object} params - search, includeInactive
+   */
+  async getSuppliers(userId, params = {}) {
+    const where = { userId };
+
+    if (params.includeInactive !== 'true' && params.includeInactive !== true) {
+      where.isActive = true;
+    }
+
+    if (params.search) {
+      where[Op.or] = [
+        { name: { [Op.iLike]: `%${params.search}%` } },
+        { code: { [Op.iLike]: `%${params.search}%` } },
+        { taxNumber: { [Op.iLike]: `%${params.search}%` } }
+      ];
+    }
+
+    return Supplier.findAll({ where, order: [['name', 'ASC']] });
+  }
+
+  async getSupplier(supplierId, userId) {
+    const supplier = await Supplier.findOne({
+      where: { id: supplierId, userId }
+    });
+
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+
+    return supplier;
+  }
+
+  async createSupplier(userId, data) {
+    const supplier = await Supplier.create({
+      ...this.pickEditable(data),
+      userId
+    });
+
+    logger.info(`Supplier created: ${supplier.name} for user ${userId}`);
+    return supplier;
+  }
+
+  async updateSupplier(supplierId, userId, data) {
+    const supplier = await this.getSupplier(supplierId, userId);
+    await supplier.update(this.pickEditable(data));
+    return supplier;
+  }
+
+  /**
+   * Delete a supplier without purchase orders; otherwise deactivate it
+   */
+  async deleteSupplier(supplierId, userId) {
+    const supplier = await this.getSupplier(supplierId, userId);
+
+    const orderCount = await PurchaseOrder.count({
+      where: { supplierId: supplier.id }
+    });
+
+    if (orderCount > 0) {
+      await supplier.update({ isActive: false });
+      return { id: supplier.id, deactivated: true };
+    }
+
+    await supplier.destroy();
+    return { id: supplier.id, deactivated: false };
+  }
+
+  pickEditable(data) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+}
+
+module.exports = new SupplierService();
@@ -1809,72 +1809,75 @@ class TemplateBasedPDFGenerator {
   // === CONTACT & ADDRESS ELEMENTS ===
 
   /**
-   * Render recipient element
+   * Label-value pairs shown by the recipient element
+   * @param {Object} orderData - Order data
+   * @returns {Array<{label: string, value: string}>}
    */
-  async renderRecipientElement(doc, element, orderData, x, y, width, height) {
-    try {
-      // Fix: Handle both object and string formats for shipping address
-      const recipient = orderData.recipient || orderData.customer || {};
-      const order = orderData.order || orderData;
-
-      // Extract recipient information with multiple fallback paths
-      const recipientName =
-        recipient.name ||
-        recipient.recipientName ||
-        (recipient.firstName && recipient.lastName
-          ? `${recipient.firstName} ${recipient.lastName}`
-          : null) ||
-        orderData.customerName ||
-        "Alıcı bilgisi yok";
-
-      // Fix: Properly handle shippingAddress as both object and string
-      let recipientAddress = "Adres bilgisi yok";
-
-      if (
-        typeof orderData.shippingAddress === "string" &&
-        orderData.shippingAddress.trim()
-      ) {
-        // If shippingAddress is a string (which it usually is), use it directly
-        recipientAddress = orderData.shippingAddress;
-      } else if (
-        typeof orderData.shippingAddress === "object" &&
-        orderData.shippingAddress
-      ) {
-        // If it's an object, try to extract address properties
-        recipientAddress =
-          `${orderData.shippingAddress.street} - ${orderData.shippingAddress.city}/${orderData.shippingAddress.country}` ||
-          `${orderData.recipient.address} - ${orderData.recipient.city}/${orderData.recipient.country}` ||
-          "Adres bilgisi yok";
-      } else if (recipient.address) {
-        // Fallback to recipient object address
-        recipientAddress = recipient.address;
-      } else if (orderData.address) {
-        // Fallback to orderData.address
-        recipientAddress = orderData.address;
-      }
+  getRecipientData(orderData) {
+    // Fix: Handle both object and string formats for shipping address
+    const recipient = orderData.recipient || orderData.customer || {};
+    const order = orderData.order || orderData;
+
+    // Extract recipient information with multiple fallback paths
+    const recipientName =
+      recipient.name ||
+      recipient.recipientName ||
+      (recipient.firstName && recipient.lastName
+        ? `${recipient.firstName} ${recipient.lastName}`
+        : null) ||
+      orderData.customerName ||
+      "Alıcı bilgisi yok";
+
+    // Fix: Properly handle shippingAddress as both object and string
+    let recipientAddress = "Adres bilgisi yok";
 
-      const orderNumber =
-        order.orderNumber ||
-        order.id ||
-        orderData.orderNumber ||
-        orderData.id ||
-        "Sipariş no yok";
+    if (
+      typeof orderData.shippingAddress === "string" &&
+      orderData.shippingAddress.trim()
+    ) {
+      // If shippingAddress is a string (which it usually is), use it directly
+      recipientAddress = orderData.shippingAddress;
+    } else if (
+      typeof orderData.shippingAddress === "object" &&
+      orderData.shippingAddress
+    ) {
+      // If it's an object, try to extract address properties
+      recipientAddress =
+        `${orderData.shippingAddress.street} - ${orderData.shippingAddress.city}/${orderData.shippingAddress.country}` ||
+        `${orderData.recipient.address} - ${orderData.recipient.city}/${orderData.recipient.country}` ||
+        "Adres bilgisi yok";
+    } else if (recipient.address) {
+      // Fallback to recipient object address
+      recipientAddress = recipient.address;
+    } else if (orderData.address) {
+      // Fallback to orderData.address
+      recipientAddress = orderData.address;
+    }
 
-      // Create formatted content with proper encoding for each component
-      const encodedRecipientName = this.ensureProperEncoding(recipientName);
-      const encodedRecipientAddress =
-        this.ensureProperEncoding(recipientAddress);
-      const encodedOrderNumber = this.ensureProperEncoding(orderNumber);
+    const orderNumber =
+      order.orderNumber ||
+      order.id ||
+      orderData.orderNumber ||
+      orderData.id ||
+      "Sipariş no yok";
+
+    return [
+      { label: "Sipariş No", value: orderNumber },
+      { label: "Alıcı Ad / Soyad", value: recipientName },
+      { label: "Adres", value: recipientAddress },
+    ];
+  }
 
+  /**
+   * Render recipient element
+   */
+  async renderRecipientElement(doc, element, orderData, x, y, width, height) {
+    try {
       // Get font options from element
       const fontOptions = this.extractFontOptions(element);
 
       // Prepare structured data for custom rendering with bold labels
-      const recipientData = [
-        { label: "Sipariş No", value: orderNumber },
-        { label: "Alıcı Ad / Soyad", value: recipientName },
-        { label: "Adres", value: recipientAddress },
-      ];
+      const recipientData = this.getRecipientData(orderData);
 
       // Render with custom bold label formatting
       await this.renderLabelValuePairs(
@@ -2358,6 +2361,59 @@ class TemplateBasedPDFGenerator {
     return boldFont;
   }
 
+  /**
+   * Label-value pairs shown by the sender element
+   * @param {Object} orderData - Order data
+   * @returns {Array<{label: string, value: string}>}
+   */
+  getSenderData(orderData) {
+    // Handle both object and string formats for sender data
+    let senderData = [];
+
+    if (typeof orderData.sender === "string" && orderData.sender.trim()) {
+      // If sender is a string, use it directly
+      senderData = [{ label: "Gönderen", value: orderData.sender }];
+    } else if (typeof orderData.sender === "object" && orderData.sender) {
+      // If it's an object, extract relevant fields
+      const sender = orderData.sender;
+      senderData = [
+        { label: "Gönderen", value: sender.name || sender.companyName },
+        { label: "Adres", value: sender.address },
+        {
+          label: "Şehir",
+          value:
+            sender.city + (sender.postalCode ? " " + sender.postalCode : ""),
+        },
+        { label: "Ülke", value: sender.country },
+        { label: "Telefon", value: sender.phone },
+        { label: "E-posta", value: sender.email },
+      ].filter((item) => item.value);
+    } else if (typeof orderData.company === "object" && orderData.company) {
+      // Fallback to company data
+      const company = orderData.company;
+      senderData = [
+        { label: "Şirket", value: company.name || company.companyName },
+        { label: "Adres", value: company.address },
+        {
+          label: "Şehir",
+          value:
+            company.city +
+            (company.postalCode ? " " + company.postalCode : ""),
+        },
+        { label: "Ülke", value: company.country },
+        { label: "Telefon", value: company.phone },
+        { label: "E-posta", value: company.email },
+      ].filter((item) => item.value);
+    } else {
+      // If no sender data available, show placeholder
+      senderData = [
+        { label: "Gönderen", value: "Gönderen bilgisi mevcut değil" },
+      ];
+    }
+
+    return senderData;
+  }
+
   /**
    * Render sender element
    */
@@ -2371,49 +2427,7 @@ class TemplateBasedPDFGenerator {
       // Extract font options with robust fallbacks
       const fontOptions = this.extractFontOptions(element);
 
-      // Handle both object and string formats for sender data
-      let senderData = [];
-
-      if (typeof orderData.sender === "string" && orderData.sender.trim()) {
-        // If sender is a string, use it directly
-        senderData = [{ label: "Gönderen", value: orderData.sender }];
-      } else if (typeof orderData.sender === "object" && orderData.sender) {
-        // If it's an object, extract relevant fields
-        const sender = orderData.sender;
-        senderData = [
-          { label: "Gönderen", value: sender.name || sender.companyName },
-          { label: "Adres", value: sender.address },
-          {
-            label: "Şehir",
-            value:
-              sender.city + (sender.postalCode ? " " + sender.postalCode : ""),
-          },
-          { label: "Ülke", value: sender.country },
-          { label: "Telefon", value: sender.phone },
-          { label: "E-posta", value: sender.email },
-        ].filter((item) => item.value);
-      } else if (typeof orderData.company === "object" && orderData.company) {
-        // Fallback to company data
-        const company = orderData.company;
-        senderData = [
-          { label: "Şirket", value: company.name || company.companyName },
-          { label: "Adres", value: company.address },
-          {
-            label: "Şehir",
-            value:
-              company.city +
-              (company.postalCode ? " " + company.postalCode : ""),
-          },
-          { label: "Ülke", value: company.country },
-          { label: "Telefon", value: company.phone },
-          { label: "E-posta", value: company.email },
-        ].filter((item) => item.value);
-      } else {
-        // If no sender data available, show placeholder
-        senderData = [
-          { label: "Gönderen", value: "Gönderen bilgisi mevcut değil" },
-        ];
-      }
+      const senderData = this.getSenderData(orderData);
 
       // Render using the robust label-value pairs method
       await this.renderLabelValuePairs(
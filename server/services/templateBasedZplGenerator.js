@@ -0,0 +1,634 @@
+// Template-based ZPL Generator Service
+// Renders designer templates as ZPL II for thermal label printers
+
+const logger = require("../utils/logger");
+const TemplateBasedPDFGenerator = require("./templateBasedPdfGenerator");
+
+// PDF layout works in points; printers work in dots
+const PT_PER_MM = 2.835;
+const MM_PER_INCH = 25.4;
+const SUPPORTED_DPI = [203, 300, 600];
+
+// Designer barcode types (keys of BARCODE_FORMATS in the client's
+// barcodeTypes.js) with a printer-resident ZPL symbology. `modules` estimates
+// the symbol width in narrow bars so the module width can be fitted to the
+// element; anything not listed prints as Code 128.
+const ZPL_BARCODES = {
+  code128: { command: "BC", modules: (n) => 11 * n + 35 },
+  gs1_128: { command: "BC", mode: "D", modules: (n) => 11 * n + 46 },
+  hibccode128: { command: "BC", modules: (n) => 11 * n + 46 },
+  code39: { command: "B3", modules: (n) => 16 * (n + 2) },
+  code39ext: { command: "B3", modules: (n) => 32 * (n + 2) },
+  hibccode39: { command: "B3", modules: (n) => 16 * (n + 3) },
+  code93: { command: "BA", modules: (n) => 9 * (n + 4) + 1 },
+  code93ext: { command: "BA", modules: (n) => 18 * (n + 4) + 1 },
+  code11: { command: "B1", modules: (n) => 8 * (n + 4) },
+  ean13: { command: "BE", modules: () => 95 },
+  ean8: { command: "B8", modules: () => 67 },
+  upca: { command: "BU", modules: () => 95 },
+  upce: { command: "B9", modules: () => 51 },
+  interleaved2of5: { command: "B2", modules: (n) => 9 * n + 9 },
+  itf14: { command: "B2", modules: () => 135 },
+  industrial2of5: { command: "BI", modules: (n) => 14 * n + 18 },
+  code2of5: { command: "BJ", modules: (n) => 14 * n + 18 },
+  msi: { command: "BM", modules: (n) => 12 * n + 7 },
+  plessey: { command: "BP", modules: (n) => 16 * n + 30 },
+  rationalizedCodabar: { command: "BK", modules: (n) => 12 * (n + 2) },
+  postnet: { command: "BZ", modules: (n) => 10 * n + 12 },
+  planet: { command: "B5", modules: (n) => 10 * n + 12 },
+  pdf417: { command: "B7", twoDimensional: true },
+  micropdf417: { command: "BF", twoDimensional: true },
+  datamatrix: { command: "BX", twoDimensional: true },
+  gs1datamatrix: { command: "BX", twoDimensional: true },
+  azreccode: { command: "BO", twoDimensional: true },
+  maxicode: { command: "BD", twoDimensional: true },
+  qrcode: { command: "BQ", twoDimensional: true },
+};
+
+// Printer-resident fonts. Font 0 is the scalable CG Triumvirate; font D is a
+// fixed-pitch bitmap font the printer magnifies to the requested size.
+const MONOSPACE_FAMILIES = ["courier", "courier new", "monospace", "consolas"];
+const PROPORTIONAL_FONT = "0";
+const MONOSPACE_FONT = "D";
+
+// Older firmware has no Turkish glyphs in the resident fonts
+const TRANSLITERATION = {
+  ç: "c",
+  Ç: "C",
+  ğ: "g",
+  Ğ: "G",
+  ı: "i",
+  İ: "I",
+  ö: "o",
+  Ö: "O",
+  ş: "s",
+  Ş: "S",
+  ü: "u",
+  Ü: "U",
+};
+
+// QR byte capacity per version at error correction level M
+const QR_CAPACITY_M = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213, 251, 287];
+
+const ORIENTATIONS = { 0: "N", 90: "R", 180: "I", 270: "B" };
+
+class TemplateBasedZPLGenerator extends TemplateBasedPDFGenerator {
+  /**
+   * Generate a ZPL II label for one order from a designer template
+   * @param {Object} template - Template configuration with elements
+   * @param {Object} orderData - Order data to populate the template
+   * @param {Object} options - dpi (203, 300 or 600), transliterate
+   * @returns {Object} - Result containing the ZPL document
+   */
+  async generateFromTemplate(template, orderData, options = {}) {
+    try {
+      if (!template || !template.config || !template.elements) {
+        throw new Error("Invalid template: missing config or elements");
+      }
+
+      if (!orderData) {
+        throw new Error("Order data is required");
+      }
+
+      const dpi = SUPPORTED_DPI.includes(Number(options.dpi))
+        ? Number(options.dpi)
+        : 203;
+      const context = {
+        dotsPerPoint: dpi / MM_PER_INCH / PT_PER_MM,
+        dpi,
+        transliterate: options.transliterate === true,
+      };
+
+      const paperDimensions = this.getPaperDimensions(template.config);
+      const skippedElements = [];
+
+      const commands = [
+        "^XA",
+        "^CI28",
+        `^PW${this.toDots(paperDimensions.width, context)}`,
+        `^LL${this.toDots(paperDimensions.height, context)}`,
+        "^LH0,0",
+      ];
+
+      const sortedElements = template.elements
+        .filter((element) => element.visible !== false)
+        .sort((a, b) => (a.zIndex || 1) - (b.zIndex || 1));
+
+      for (const element of sortedElements) {
+        const elementCommands = this.renderZplElement(
+          element,
+          orderData,
+          paperDimensions,
+          context
+        );
+
+        if (elementCommands === null) {
+          skippedElements.push(element.type);
+        } else {
+          commands.push(...elementCommands);
+        }
+      }
+
+      commands.push("^XZ");
+
+      if (skippedElements.length > 0) {
+        logger.warn("ZPL label skipped elements without a ZPL rendering", {
+          orderId: orderData.id,
+          templateName: template.config.name,
+          skippedElements,
+        });
+      }
+
+      return {
+        success: true,
+        message: "Shipping label generated successfully",
+        data: {
+          orderId: orderData.id,
+          templateName: template.config.name,
+          dpi,
+          zpl: commands.join("\n") + "\n",
+          skippedElements: [...new Set(skippedElements)],
+        },
+      };
+    } catch (error) {
+      logger.error(`Failed to generate ZPL shipping label: ${error.message}`, {
+        error,
+        orderId: orderData?.id,
+        templateName: template?.config?.name,
+      });
+
+      return {
+        success: false,
+        message: `Failed to generate shipping label: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * ZPL commands for one element, or null when the element type has no
+   * ZPL rendering
+   */
+  renderZplElement(element, orderData, paperDimensions, context) {
+    const box = {
+      x: this.toDots(
+        (element.position.x / 100) * paperDimensions.width,
+        context
+      ),
+      y: this.toDots(
+        (element.position.y / 100) * paperDimensions.height,
+        context
+      ),
+      width: this.toDots(
+        (element.size.width / 100) * paperDimensions.width,
+        context
+      ),
+      height: this.toDots(
+        (element.size.height / 100) * paperDimensions.height,
+        context
+      ),
+      orientation: this.getOrientation(element.rotation),
+    };
+
+    try {
+      switch (element.type) {
+        case "text":
+          return this.zplText(element, orderData, box, context);
+        case "barcode":
+          return this.zplBarcode(element, orderData, box, context);
+        case "qr_code":
+        case "qrcode":
+          return this.zplQRCode(element, orderData, box, context);
+        case "rectangle":
+          return this.zplRectangle(element, box, context);
+        case "line":
+          return this.zplLine(element, box, context);
+        case "divider":
+          return this.zplDivider(element, box, context);
+        case "recipient":
+          return this.zplLabelValuePairs(
+            element,
+            this.getRecipientData(orderData),
+            box,
+            context
+          );
+        case "sender":
+          return this.zplLabelValuePairs(
+            element,
+            this.getSenderData(orderData),
+            box,
+            context
+          );
+        default:
+          return null;
+      }
+    } catch (error) {
+      logger.error(`Error rendering ZPL element: ${error.message}`, {
+        type: element.type,
+        id: element.id,
+        error,
+      });
+      return [];
+    }
+  }
+
+  zplText(element, orderData, box, context) {
+    const content = element.dataMapping
+      ? this.applyDataMapping(
+          element.content || "",
+          element.dataMapping,
+          orderData
+        )
+      : this.processContent(element.content || "", orderData);
+
+    const style = this.resolveStyleVariables(element.style || {});
+    const font = this.getZplFont(this.getElementFontOptions(element), context);
+    const padding = this.parsePadding(style.padding);
+    const textBox = {
+      ...box,
+      x: box.x + this.toDots(padding.left, context),
+      y: box.y + this.toDots(padding.top, context),
+      width: Math.max(
+        1,
+        box.width - this.toDots(padding.left + padding.right, context)
+      ),
+    };
+
+    const commands = [];
+    const reverse = this.isInk(style.backgroundColor);
+    if (reverse) {
+      commands.push(
+        `^FO${box.x},${box.y}^GB${box.width},${box.height},${Math.min(
+          box.width,
+          box.height
+        )}^FS`
+      );
+    }
+    if (style.border && style.border !== "none") {
+      commands.push(
+        this.zplBox(box, this.toDots(style.borderWidth || 1, context))
+      );
+    }
+
+    const align = this.convertJustifyContentToTextAlign(
+      style.justifyContent,
+      style.textAlign
+    );
+    const maxLines = Math.max(
+      1,
+      Math.floor(
+        box.height / (font.height * (parseFloat(style.lineHeight) || 1.2))
+      )
+    );
+
+    commands.push(
+      ...this.zplTextBlock(String(content), textBox, font, context, {
+        align,
+        maxLines,
+        reverse,
+      })
+    );
+    return commands;
+  }
+
+  zplLabelValuePairs(element, pairs, box, context) {
+    const fontOptions = this.getElementFontOptions(element);
+    const font = this.getZplFont(fontOptions, context);
+    const lineHeight = Math.ceil(font.height * fontOptions.lineHeight);
+    const charsPerLine = Math.max(
+      1,
+      Math.floor(box.width / (font.width * 0.55))
+    );
+    const commands = [];
+    let y = box.y;
+
+    for (const { label, value } of pairs) {
+      const text = `${label}: ${value}`;
+      const lines = Math.ceil(text.length / charsPerLine);
+      const remainingLines = Math.floor((box.y + box.height - y) / lineHeight);
+      if (remainingLines < 1) {
+        break;
+      }
+
+      commands.push(
+        ...this.zplTextBlock(text, { ...box, y }, font, context, {
+          align: fontOptions.textAlign,
+          maxLines: Math.min(lines, remainingLines),
+        })
+      );
+      y += Math.min(lines, remainingLines) * lineHeight;
+    }
+
+    return commands;
+  }
+
+  zplBarcode(element, orderData, box, context) {
+    const content = this.processContent(element.content, orderData);
+    const type = element.barcodeType || element.options?.format || "code128";
+    let symbology = ZPL_BARCODES[type] || ZPL_BARCODES[type.toLowerCase()];
+
+    if (!symbology) {
+      logger.warn(`Barcode type ${type} has no ZPL equivalent, using Code 128`);
+      symbology = ZPL_BARCODES.code128;
+    }
+
+    if (symbology.command === "BQ") {
+      return this.zplQRCode(element, orderData, box, context);
+    }
+
+    // Same "Kargo Barkodu" caption as the PDF slip
+    const titleFont = this.getZplFont(
+      { fontSize: 10, fontWeight: "bold" },
+      context
+    );
+    const titleHeight = Math.ceil(titleFont.height * 1.4);
+    const commands = this.zplTextBlock(
+      "Kargo Barkodu",
+      box,
+      titleFont,
+      context,
+      { align: "center", maxLines: 1 }
+    );
+
+    const codeBox = {
+      ...box,
+      y: box.y + titleHeight,
+      height: Math.max(1, box.height - titleHeight),
+    };
+    const orientation = box.orientation;
+    const data = this.escapeFieldData(content, context);
+
+    if (symbology.twoDimensional) {
+      const size = Math.min(codeBox.width, codeBox.height);
+      const moduleSize = Math.max(2, Math.min(10, Math.floor(size / 40)));
+      const start = `^FO${codeBox.x},${codeBox.y}`;
+
+      switch (symbology.command) {
+        case "BX":
+          commands.push(
+            `${start}^BX${orientation},${moduleSize},200^FH^FD${data}^FS`
+          );
+          break;
+        case "B7":
+          commands.push(
+            `^BY${Math.max(1, Math.floor(codeBox.width / 200))}`,
+            `${start}^B7${orientation},${moduleSize},5,,,N^FH^FD${data}^FS`
+          );
+          break;
+        case "BF":
+          commands.push(
+            `${start}^BF${orientation},${moduleSize}^FH^FD${data}^FS`
+          );
+          break;
+        case "BO":
+          commands.push(
+            `${start}^BO${orientation},${moduleSize},N^FH^FD${data}^FS`
+          );
+          break;
+        case "BD":
+          commands.push(`${start}^BD4,1,1^FH^FD${data}^FS`);
+          break;
+        default:
+          break;
+      }
+      return commands;
+    }
+
+    const showText = element.showText !== false ? "Y" : "N";
+    const textSpace = showText === "Y" ? Math.ceil(titleFont.height * 1.2) : 0;
+    const barHeight = Math.max(
+      this.toDots(15, context),
+      codeBox.height - textSpace
+    );
+    const moduleWidth = Math.max(
+      1,
+      Math.min(
+        10,
+        Math.floor(codeBox.width / symbology.modules(content.length))
+      )
+    );
+    const symbolWidth = moduleWidth * symbology.modules(content.length);
+    const x =
+      codeBox.x + Math.max(0, Math.floor((codeBox.width - symbolWidth) / 2));
+
+    let field;
+    switch (symbology.command) {
+      case "BC":
+        field = `^BC${orientation},${barHeight},${showText},N,N${
+          symbology.mode ? `,${symbology.mode}` : ""
+        }`;
+        break;
+      case "B3":
+        field = `^B3${orientation},N,${barHeight},${showText},N`;
+        break;
+      case "B1":
+        field = `^B1${orientation},N,${barHeight},${showText},N`;
+        break;
+      case "BM":
+        field = `^BM${orientation},B,${barHeight},${showText},N,N`;
+        break;
+      case "BP":
+        field = `^BP${orientation},N,${barHeight},${showText},N`;
+        break;
+      case "BK":
+        field = `^BK${orientation},N,${barHeight},${showText},N,A,A`;
+        break;
+      case "BZ":
+        field = `^BZ${orientation},${barHeight},${showText},N`;
+        break;
+      default:
+        field = `^${symbology.command}${orientation},${barHeight},${showText},N`;
+    }
+
+    commands.push(
+      `^BY${moduleWidth},3,${barHeight}`,
+      `^FO${x},${codeBox.y}${field}^FH^FD${data}^FS`
+    );
+    return commands;
+  }
+
+  zplQRCode(element, orderData, box, context) {
+    const content = this.processContent(element.content, orderData);
+    const data = this.escapeFieldData(content, context);
+    const level = ["H", "Q", "M", "L"].includes(element.errorCorrectionLevel)
+      ? element.errorCorrectionLevel
+      : "M";
+
+    // Fit the magnification to the smaller side of the element
+    const version =
+      QR_CAPACITY_M.findIndex((capacity) => capacity >= content.length) + 1;
+    const modules = 17 + 4 * (version > 0 ? version : QR_CAPACITY_M.length + 4);
+    const size = Math.min(box.width, box.height);
+    const magnification = Math.max(1, Math.min(10, Math.floor(size / modules)));
+    const symbolSize = modules * magnification;
+
+    const align = this.convertJustifyContentToTextAlign(
+      element.style?.justifyContent,
+      element.style?.textAlign || "center"
+    );
+    let x = box.x;
+    if (align === "center") {
+      x += Math.floor((box.width - symbolSize) / 2);
+    } else if (align === "right") {
+      x += box.width - symbolSize;
+    }
+
+    return [
+      `^FO${x},${box.y}^BQN,2,${magnification}^FH^FD${level}A,${data}^FS`,
+    ];
+  }
+
+  zplRectangle(element, box, context) {
+    const commands = [];
+    if (this.isInk(element.fillColor)) {
+      commands.push(this.zplBox(box, Math.min(box.width, box.height)));
+    }
+    if (this.isInk(element.strokeColor) && element.strokeWidth > 0) {
+      commands.push(
+        this.zplBox(box, this.toDots(element.strokeWidth, context))
+      );
+    }
+    return commands;
+  }
+
+  zplLine(element, box, context) {
+    const thickness = Math.max(
+      1,
+      this.toDots(element.strokeWidth || 1, context)
+    );
+    const start = `^FO${box.x},${box.y}`;
+
+    // Lines run from the top-left to the bottom-right corner of the element
+    if (box.height <= thickness) {
+      return [`${start}^GB${box.width},${thickness},${thickness}^FS`];
+    }
+    if (box.width <= thickness) {
+      return [`${start}^GB${thickness},${box.height},${thickness}^FS`];
+    }
+    return [`${start}^GD${box.width},${box.height},${thickness},B,L^FS`];
+  }
+
+  zplDivider(element, box, context) {
+    const thickness = Math.max(
+      1,
+      this.toDots(element.thickness || element.strokeWidth || 1, context)
+    );
+
+    if (box.width > box.height) {
+      const y = box.y + Math.floor(box.height / 2);
+      return [`^FO${box.x},${y}^GB${box.width},${thickness},${thickness}^FS`];
+    }
+    const x = box.x + Math.floor(box.width / 2);
+    return [`^FO${x},${box.y}^GB${thickness},${box.height},${thickness}^FS`];
+  }
+
+  /**
+   * Wrapped text field. Bold is printed twice with a one-dot offset since
+   * the resident fonts have no bold face.
+   */
+  zplTextBlock(text, box, font, context, options = {}) {
+    const justify =
+      { center: "C", right: "R", justify: "J" }[options.align] || "L";
+    const data = this.escapeFieldData(text, context).replace(/\r?\n/g, "\\&");
+    const field = (x) =>
+      `^FO${x},${box.y}^A${font.name}${box.orientation || "N"},${font.height},${
+        font.width
+      }^FB${box.width},${options.maxLines || 1},0,${justify},0${
+        options.reverse ? "^FR" : ""
+      }^FH^FD${data}^FS`;
+
+    const commands = [field(box.x)];
+    if (font.bold) {
+      commands.push(field(box.x + Math.max(1, Math.round(context.dpi / 200))));
+    }
+    return commands;
+  }
+
+  zplBox(box, thickness) {
+    const border = Math.max(1, Math.min(thickness, box.width, box.height));
+    return `^FO${box.x},${box.y}^GB${box.width},${box.height},${border}^FS`;
+  }
+
+  /**
+   * Font options of an element with the family as designed; the PDF
+   * options map every family to the font that is embedded
+   */
+  getElementFontOptions(element) {
+    return {
+      ...this.extractFontOptions(element),
+      fontFamily: element.style?.fontFamily,
+    };
+  }
+
+  /**
+   * Map designer font options to a printer-resident font
+   */
+  getZplFont(fontOptions, context) {
+    const family = String(fontOptions.fontFamily || "").toLowerCase();
+    const height = Math.max(
+      10,
+      this.toDots(fontOptions.fontSize || 12, context)
+    );
+    const monospace = MONOSPACE_FAMILIES.includes(family);
+
+    return {
+      name: monospace ? MONOSPACE_FONT : PROPORTIONAL_FONT,
+      height,
+      width: monospace ? Math.round(height * 0.55) : height,
+      bold:
+        fontOptions.fontWeight === "bold" ||
+        parseInt(fontOptions.fontWeight, 10) >= 600,
+    };
+  }
+
+  getOrientation(rotation) {
+    const quarterTurn =
+      (Math.round((Number(rotation) || 0) / 90) * 90 + 360) % 360;
+    return ORIENTATIONS[quarterTurn];
+  }
+
+  /**
+   * Field data for ^FH: the command prefixes and the hex indicator itself
+   * are written as hex escapes
+   */
+  escapeFieldData(value, context) {
+    let text = String(value ?? "");
+    if (context.transliterate) {
+      text = text.replace(
+        /[çÇğĞıİöÖşŞüÜ]/g,
+        (char) => TRANSLITERATION[char]
+      );
+    }
+    return text.replace(/[_^~]/g, (char) =>
+      `_${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+  }
+
+  /**
+   * Thermal printers print one colour; light colours are left blank
+   */
+  isInk(color) {
+    if (!color || color === "transparent" || color === "none") {
+      return false;
+    }
+    const hex = String(color).trim().replace(/^#/, "");
+    const full =
+      hex.length === 3
+        ? hex
+            .split("")
+            .map((char) => char + char)
+            .join("")
+        : hex;
+    if (!/^[0-9a-f]{6}$/i.test(full)) {
+      return !/^(white|rgba?\(\s*255\s*,\s*255\s*,\s*255)/i.test(color);
+    }
+    const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b < 160;
+  }
+
+  toDots(points, context) {
+    return Math.round(points * context.dotsPerPoint);
+  }
+}
+
+module.exports = TemplateBasedZPLGenerator;
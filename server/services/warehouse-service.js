@@ -0,0 +1,384 @@
+const {
+  Warehouse,
+  WarehouseStock,
+  InventoryMovement,
+  PlatformConnection,
+  Product,
+  ProductVariant,
+  sequelize
+} = require('../models');
+const { Op } = require('sequelize');
+const advancedInventoryService = require('./advanced-inventory-service');
+const stockAllocationService = require('./stock-allocation-service');
+const logger = require('../utils/logger');
+
+// Warehouse fields a user may set directly
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'type',
+  'address',
+  'isSellable',
+  'isDefault',
+  'priority',
+  'isActive',
+  'metadata'
+];
+
+/**
+ * Warehouse Service
+ * Warehouse CRUD, per-warehouse stock with bin locations, transfers and
+ * per-connection stock allocation rules
+ */
+class WarehouseService {
+  /**
+   * Warehouses of a user with their total on-hand quantity
+   * @param {string} userId
+   * @param {Object} options - includeInactive
+   */
+  async getWarehouses(userId, options = {}) {
+    const where = { userId };
+    if (!options.includeInactive) {
+      where.isActive = true;
+    }
+
+    const warehouses = await Warehouse.findAll({
+      where,
+      order: [
+        ['priority', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+
+    const totals = await WarehouseStock.findAll({
+      where: { userId },
+      attributes: [
+        'warehouseId',
+        [sequelize.fn('SUM', sequelize.col('quantity')), 'totalQuantity'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'skuCount']
+      ],
+      group: ['warehouseId'],
+      raw: true
+    });
+    const totalsById = new Map(totals.map((t) => [t.warehouseId, t]));
+
+    return warehouses.map((warehouse) => ({
+      ...warehouse.toJSON(),
+      totalQuantity: parseInt(totalsById.get(warehouse.id)?.totalQuantity || 0),
+      skuCount: parseInt(totalsById.get(warehouse.id)?.skuCount || 0)
+    }));
+  }
+
+  async getWarehouse(warehouseId, userId) {
+    const warehouse = await Warehouse.findOne({
+      where: { id: warehouseId, userId }
+    });
+
+    if (!warehouse) {
+      throw new Error('Warehouse not found');
+    }
+
+    return warehouse;
+  }
+
+  /**
+   * Create a warehouse. The first warehouse becomes the default one.
+   */
+  async createWarehouse(userId, data) {
+    await this.assertCodeAvailable(userId, data.code);
+
+    const existingCount = await Warehouse.count({ where: { userId } });
+
+    return sequelize.transaction(async (transaction) => {
+      const isDefault = existingCount === 0 || Boolean(data.isDefault);
+      if (isDefault) {
+        await this.clearDefault(userId, transaction);
+      }
+
+      const warehouse = await Warehouse.create(
+        {
+          ...this.pickEditable(data),
+          userId,
+          isDefault
+        },
+        { transaction }
+      );
+
+      logger.info(`Warehouse created: ${warehouse.code} for user ${userId}`);
+      return warehouse;
+    });
+  }
+
+  async updateWarehouse(warehouseId, userId, data) {
+    const warehouse = await this.getWarehouse(warehouseId, userId);
+
+    if (data.code && data.code !== warehouse.code) {
+      await this.assertCodeAvailable(userId, data.code);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      if (data.isDefault && !warehouse.isDefault) {
+        await this.clearDefault(userId, transaction);
+      }
+
+      await warehouse.update(this.pickEditable(data), { transaction });
+      return warehouse;
+    });
+  }
+
+  /**
+   * Delete a warehouse that no longer holds stock
+   */
+  async deleteWarehouse(warehouseId, userId) {
+    const warehouse = await this.getWarehouse(warehouseId, userId);
+
+    const remaining =
+      (await WarehouseStock.sum('quantity', {
+        where: { warehouseId: warehouse.id }
+      })) || 0;
+    if (remaining > 0) {
+      throw new Error('Warehouse still holds stock, transfer it first');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await WarehouseStock.destroy({
+        where: { warehouseId: warehouse.id },
+        transaction
+      });
+      await warehouse.destroy({ transaction });
+    });
+
+    logger.info(`Warehouse deleted: ${warehouse.code} for user ${userId}`);
+    return { id: warehouse.id };
+  }
+
+  /**
+   * Stock rows of a warehouse
+   * @param {Object} params - search, page, limit
+   */
+  async getWarehouseStock(warehouseId, userId, params = {}) {
+    const warehouse = await this.getWarehouse(warehouseId, userId);
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    const where = { warehouseId: warehouse.id };
+    if (params.search) {
+      where[Op.or] = [
+        { sku: { [Op.iLike]: `%${params.search}%` } },
+        { binLocation: { [Op.iLike]: `%${params.search}%` } }
+      ];
+    }
+
+    const { count, rows } = await WarehouseStock.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'name', 'sku'],
+          required: false
+        },
+        {
+          model: ProductVariant,
+          as: 'variant',
+          attributes: ['id', 'name', 'sku'],
+          required: false
+        }
+      ],
+      order: [['sku', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      warehouse,
+      stock: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Stock of one SKU across all warehouses of the user
+   */
+  async getSkuStock(userId, sku) {
+    return WarehouseStock.findAll({
+      where: { userId, sku },
+      include: [
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'name', 'code', 'isSellable', 'isActive']
+        }
+      ],
+      order: [['quantity', 'DESC']]
+    });
+  }
+
+  /**
+   * Adjust a warehouse's stock for a SKU through an ADJUSTMENT movement
+   */
+  async adjustStock(warehouseId, userId, { sku, adjustment, reason, binLocation }) {
+    const warehouse = await this.getWarehouse(warehouseId, userId);
+
+    const result = await advancedInventoryService.adjustStock({
+      sku,
+      adjustment,
+      reason,
+      userId,
+      warehouseId: warehouse.id
+    });
+
+    if (binLocation !== undefined && result.warehouseStock) {
+      await result.warehouseStock.update({ binLocation: binLocation || null });
+    }
+
+    return result;
+  }
+
+  /**
+   * Set the bin location of a SKU in a warehouse
+   */
+  async setBinLocation(warehouseId, userId, sku, binLocation) {
+    const warehouse = await this.getWarehouse(warehouseId, userId);
+
+    const stock = await WarehouseStock.findOne({
+      where: { warehouseId: warehouse.id, sku }
+    });
+    if (!stock) {
+      throw new Error('SKU is not stocked in this warehouse');
+    }
+
+    await stock.update({ binLocation: binLocation || null });
+    return stock;
+  }
+
+  /**
+   * Move stock between two of the user's warehouses
+   */
+  async transferStock(userId, { sku, quantity, fromWarehouseId, toWarehouseId, reason }) {
+    await this.getWarehouse(fromWarehouseId, userId);
+    const destination = await this.getWarehouse(toWarehouseId, userId);
+
+    if (!destination.isActive) {
+      throw new Error('Destination warehouse is inactive');
+    }
+
+    return advancedInventoryService.transferStock({
+      sku,
+      quantity,
+      fromWarehouseId,
+      toWarehouseId,
+      userId,
+      reason
+    });
+  }
+
+  /**
+   * Transfer history, one entry per transfer
+   * @param {Object} params - warehouseId, sku, page, limit
+   */
+  async getTransfers(userId, params = {}) {
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    // The inbound leg carries the positive quantity and destination
+    const where = {
+      userId,
+      movementType: 'TRANSFER',
+      referenceType: 'warehouse_transfer',
+      quantity: { [Op.gt]: 0 }
+    };
+    if (params.sku) {
+      where.sku = params.sku;
+    }
+    if (params.warehouseId) {
+      where[Op.or] = [
+        { warehouseId: params.warehouseId },
+        { metadata: { fromWarehouseId: params.warehouseId } }
+      ];
+    }
+
+    const { count, rows } = await InventoryMovement.findAndCountAll({
+      where,
+      order: [['occurredAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const warehouses = await Warehouse.findAll({
+      where: { userId },
+      attributes: ['id', 'name', 'code']
+    });
+    const warehouseById = new Map(warehouses.map((w) => [w.id, w]));
+
+    return {
+      transfers: rows.map((movement) => ({
+        transferId: movement.referenceId,
+        sku: movement.sku,
+        quantity: movement.quantity,
+        reason: movement.reason,
+        from: warehouseById.get(movement.metadata?.fromWarehouseId) || null,
+        to: warehouseById.get(movement.warehouseId) || null,
+        occurredAt: movement.occurredAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Allocation rule of every active connection of the user
+   */
+  async getAllocationRules(userId) {
+    const connections = await PlatformConnection.findAll({
+      where: { userId, isActive: true },
+      attributes: ['id', 'name', 'platformType', 'settings'],
+      order: [['platformType', 'ASC']]
+    });
+
+    return connections.map((connection) => ({
+      connectionId: connection.id,
+      name: connection.name,
+      platformType: connection.platformType,
+      ...stockAllocationService.getRule(connection)
+    }));
+  }
+
+  async setAllocationRule(userId, connectionId, rule) {
+    return stockAllocationService.setRule(userId, connectionId, rule);
+  }
+
+  pickEditable(data) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  async assertCodeAvailable(userId, code) {
+    const existing = await Warehouse.findOne({ where: { userId, code } });
+    if (existing) {
+      throw new Error('Warehouse code is already in use');
+    }
+  }
+
+  async clearDefault(userId, transaction) {
+    await Warehouse.update(
+      { isDefault: false },
+      { where: { userId, isDefault: true }, transaction }
+    );
+  }
+}
+
+module.exports = new WarehouseService();
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const { WebhookEvent, PlatformConnection } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const orderProcessorService = require('../modules/order-management/services/orderProcessorService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const WEBHOOK_PLATFORMS = ['trendyol', 'hepsiburada', 'n11'];
+
+// Marketplaces that cannot sign deliveries and send the shared secret itself
+// (Trendyol API_KEY / BASIC_AUTHENTICATION, Hepsiburada basic auth)
+const UNSIGNED_PLATFORMS = ['trendyol', 'hepsiburada'];
+
+// Signed timestamps older than this are treated as replays
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(
+  process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS || '300',
+  10
+);
+
+// Headers worth keeping on the audit record (never the credentials themselves)
+const STORED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-webhook-id',
+  'x-event-id',
+  'x-webhook-timestamp',
+  'x-webhook-signature',
+  'x-signature'
+];
+
+/**
+ * Constant-time string comparison that tolerates different lengths
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+/**
+ * Webhook Receiver Service
+ * Authenticates inbound marketplace webhooks against the connection's
+ * webhookSecret, rejects replays, stores every accepted event and hands it
+ * to the order processor
+ */
+class WebhookReceiverService {
+  /**
+   * Public URL a marketplace should deliver webhooks for a connection to
+   * @param {Object} connection - PlatformConnection
+   * @returns {string} Webhook URL
+   */
+  buildWebhookUrl(connection) {
+    return `${config.server.apiUrl}/api/webhooks/${connection.platformType}/${connection.id}`;
+  }
+
+  /**
+   * Generate (or rotate) the webhook secret of a connection
+   * @param {string} userId - Owner of the connection
+   * @param {number} connectionId - Connection ID
+   * @returns {Promise<Object>} { webhookUrl, webhookSecret }
+   */
+  async rotateSecret(userId, connectionId) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: connectionId, userId }
+    });
+
+    if (!connection) {
+      throw new AppError('Platform connection not found', 404);
+    }
+
+    if (!WEBHOOK_PLATFORMS.includes(connection.platformType)) {
+      throw new AppError(
+        `Webhooks are not supported for ${connection.platformType}`,
+        400
+      );
+    }
+
+    const webhookSecret = crypto.randomBytes(32).toString('hex');
+    const webhookUrl = this.buildWebhookUrl(connection);
+    await connection.update({ webhookSecret, webhookUrl });
+
+    logger.info('Webhook secret rotated', { connectionId, userId });
+
+    return { webhookUrl, webhookSecret };
+  }
+
+  /**
+   * Check a request against the connection secret. Accepted schemes:
+   * - X-Webhook-Signature / X-Signature: HMAC-SHA256 (hex or base64) of
+   *   "<X-Webhook-Timestamp>.<X-Webhook-Id>.<body>"; both headers required
+   * - For marketplaces without signing only: X-API-Key equal to the secret,
+   *   or Basic auth whose password is the secret
+   * @param {Object} connection - PlatformConnection
+   * @param {Object} headers - Lowercased request headers
+   * @param {string} rawBody - Body exactly as received
+   * @returns {Object} { valid, scheme, reason }
+   */
+  verifySignature(connection, headers, rawBody) {
+    const secret = connection.webhookSecret;
+    if (!secret) {
+      return { valid: false, reason: 'Webhook secret is not configured' };
+    }
+
+    const signature = headers['x-webhook-signature'] || headers['x-signature'];
+    if (signature) {
+      const timestamp = headers['x-webhook-timestamp'];
+      const deliveryId = headers['x-webhook-id'];
+      if (!timestamp || !deliveryId) {
+        return {
+          valid: false,
+          scheme: 'hmac',
+          reason: 'Signed webhooks need X-Webhook-Timestamp and X-Webhook-Id'
+        };
+      }
+
+      const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${deliveryId}.${rawBody}`, 'utf8')
+        .digest();
+      const provided = signature.replace(/^sha256=/, '');
+
+      const valid =
+        safeEqual(provided.toLowerCase(), digest.toString('hex')) ||
+        safeEqual(provided, digest.toString('base64'));
+      return { valid, scheme: 'hmac', reason: valid ? null : 'Invalid signature' };
+    }
+
+    if (!UNSIGNED_PLATFORMS.includes(connection.platformType)) {
+      return { valid: false, reason: 'Missing webhook signature' };
+    }
+
+    if (headers['x-api-key']) {
+      const valid = safeEqual(headers['x-api-key'], secret);
+      return { valid, scheme: 'api_key', reason: valid ? null : 'Invalid API key' };
+    }
+
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      const password = decoded.slice(decoded.indexOf(':') + 1);
+      const valid = safeEqual(password, secret);
+      return { valid, scheme: 'basic', reason: valid ? null : 'Invalid credentials' };
+    }
+
+    return { valid: false, reason: 'Missing webhook signature' };
+  }
+
+  /**
+   * Reject signed timestamps outside the tolerance window. Only signed
+   * deliveries carry an authenticated timestamp
+   * @param {Object} headers - Lowercased request headers
+   * @param {string} scheme - Scheme that authenticated the request
+   * @returns {string|null} Rejection reason, null when acceptable
+   */
+  checkTimestamp(headers, scheme) {
+    if (scheme !== 'hmac') {
+      return null;
+    }
+
+    const timestamp = headers['x-webhook-timestamp'];
+
+    // Accept both seconds and milliseconds since epoch
+    const value = Number(timestamp);
+    if (!Number.isFinite(value)) {
+      return 'Invalid webhook timestamp';
+    }
+    const seconds = value > 1e12 ? value / 1000 : value;
+
+    if (Math.abs(Date.now() / 1000 - seconds) > TIMESTAMP_TOLERANCE_SECONDS) {
+      return 'Webhook timestamp outside tolerance window';
+    }
+    return null;
+  }
+
+  /**
+   * Delivery ID sent by the marketplace, or a hash of the body
+   */
+  buildEventKey(headers, rawBody) {
+    const deliveryId = headers['x-webhook-id'] || headers['x-event-id'];
+    if (deliveryId) {
+      return `id:${String(deliveryId).slice(0, 120)}`;
+    }
+    return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * Authenticate and store an inbound webhook
+   * @param {Object} request - { platform, connectionId, headers, rawBody, payload, sourceIp }
+   * @returns {Promise<Object>} Stored WebhookEvent
+   */
+  async receive({ platform, connectionId, headers, rawBody, payload, sourceIp }) {
+    if (!WEBHOOK_PLATFORMS.includes(platform)) {
+      throw new AppError(`Unsupported webhook platform: ${platform}`, 404);
+    }
+
+    const connection = await PlatformConnection.findOne({
+      where: { id: connectionId, platformType: platform, isActive: true }
+    });
+
+    // Same response for unknown and unauthenticated so IDs cannot be probed
+    if (!connection) {
+      throw new AppError('Webhook authentication failed', 401);
+    }
+
+    const verification = this.verifySignature(connection, headers, rawBody);
+    if (!verification.valid) {
+      logger.warn('Rejected webhook with invalid signature', {
+        connectionId,
+        platform,
+        reason: verification.reason,
+        sourceIp
+      });
+      throw new AppError('Webhook authentication failed', 401);
+    }
+
+    const timestampError = this.checkTimestamp(headers, verification.scheme);
+    if (timestampError) {
+      logger.warn('Rejected replayed webhook', {
+        connectionId,
+        platform,
+        reason: timestampError,
+        sourceIp
+      });
+      throw new AppError(timestampError, 401);
+    }
+
+    const eventKey = this.buildEventKey(headers, rawBody);
+    const storedHeaders = STORED_HEADERS.reduce((stored, name) => {
+      if (headers[name] !== undefined) {
+        stored[name] = headers[name];
+      }
+      return stored;
+    }, {});
+
+    const [event, created] = await WebhookEvent.findOrCreate({
+      where: { connectionId: connection.id, eventKey },
+      defaults: {
+        userId: connection.userId,
+        platformType: platform,
+        eventType: payload?.event || payload?.eventType || payload?.status || null,
+        headers: { ...storedHeaders, authScheme: verification.scheme },
+        payload,
+        rawBody,
+        sourceIp,
+        receivedAt: new Date()
+      }
+    });
+
+    if (!created) {
+      logger.warn('Rejected duplicate webhook delivery', {
+        connectionId,
+        platform,
+        eventId: event.id
+      });
+      throw new AppError('Duplicate webhook event', 409);
+    }
+
+    return event;
+  }
+
+  /**
+   * Hand a stored event to the order processor and record the outcome
+   * @param {Object} event - WebhookEvent
+   * @returns {Promise<Object>} Updated WebhookEvent
+   */
+  async processEvent(event) {
+    const attempts = event.attempts + 1;
+
+    try {
+      const result = await orderProcessorService.processWebhookNotification(
+        event.payload,
+        event.platformType,
+        { connectionId: event.connectionId }
+      );
+
+      await event.update({
+        status: result && result.success ? 'processed' : 'ignored',
+        processingResult: result,
+        error: null,
+        attempts,
+        processedAt: new Date()
+      });
+    } catch (error) {
+      logger.error(`Failed to process webhook event ${event.id}: ${error.message}`, {
+        eventId: event.id,
+        connectionId: event.connectionId
+      });
+
+      await event.update({
+        status: 'failed',
+        error: error.message,
+        attempts,
+        processedAt: new Date()
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Re-run a stored event through the order processor
+   * @param {string} userId - Owner of the event
+   * @param {string} eventId - WebhookEvent ID
+   * @returns {Promise<Object>} Updated WebhookEvent
+   */
+  async reprocessEvent(userId, eventId) {
+    const event = await WebhookEvent.findOne({ where: { id: eventId, userId } });
+
+    if (!event) {
+      throw new AppError('Webhook event not found', 404);
+    }
+
+    return this.processEvent(event);
+  }
+
+  /**
+   * List stored events for the user's connections
+   * @param {string} userId - Owner of the events
+   * @param {Object} filters - { page, limit, status, connectionId, platformType }
+   * @returns {Promise<Object>} { events, pagination }
+   */
+  async getEvents(userId, { page = 1, limit = 20, status, connectionId, platformType } = {}) {
+    const where = { userId };
+    if (status && status !== 'all') {
+      where.status = status;
+    }
+    if (connectionId) {
+      where.connectionId = connectionId;
+    }
+    if (platformType && platformType !== 'all') {
+      where.platformType = platformType;
+    }
+
+    const { count, rows } = await WebhookEvent.findAndCountAll({
+      where,
+      attributes: { exclude: ['rawBody'] },
+      order: [['receivedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      events: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  }
+}
+
+module.exports = new WebhookReceiverService();